@@ -1,19 +1,25 @@
 /**
  * App Entry (Navigation + Providers)
  *
- * This module wires up the global providers (Redux, Safe Area, Gesture Handler, Chat context),
+ * This module wires up the global providers (Redux, Safe Area, Gesture Handler),
  * boot-time flows (SplashScreen + font loading), navigation containers (stack + tabs),
  * and user-affecting side-effects (theme load, location tracking, auth redirects).
  *
  * Key functionalities:
  * - **Providers**: Wraps the tree with Redux <Provider>, <SafeAreaProvider>, and <GestureHandlerRootView>.
- * - **Splash & Fonts**: Blocks UI with SplashScreen until fonts load and initial theme is restored.
+ * - **Splash & Fonts**: Blocks UI with SplashScreen until fonts load, the initial theme is restored,
+ *   any persisted session has been rehydrated via `restoreSession` and the persisted Redux
+ *   snapshot has been restored (`state.persist.rehydrated`), so cached data shows offline.
  * - **Navigation**:
- *   - **Stack**: Auth flow (Login/Registration/OTP) vs. Main app (Tabs + ChatRoom/AddPeople/Quiz/Badges).
+ *   - **Stack**: Auth flow (Login/Registration/OTP, plus the hidden Developer screen outside
+ *     release builds) vs. Main app
+ *     (Tabs + ChatRoom/AddPeople/Quiz/Badges).
  *   - **Tabs**: Home, Tasks, Alerts, Resources, Chat — with dynamic theming and custom header left profile button.
  * - **Profile Modal**: Header-left avatar opens a slide-in sidebar with:
  *   - Theme toggle (Light/Dark) via `applyThemeMode`.
  *   - Logout via `logout`.
+ * - **Pending Sync**: Header-right `PendingSyncIndicator` shows offline changes still in the outbox;
+ *   tapping it offers "Sync now" and lists/clears changes the server rejected.
  * - **Theming**: Reads `{ isDarkMode, themeColors }` from Redux and adapts NavigationContainer theme,
  *   tab colors, header/tab styles, and sidebar styles.
  * - **Location Updates**: When authenticated, requests foreground permission and streams location updates
@@ -21,8 +27,9 @@
  * - **Auth Redirects**: If user logs out, resets navigation state to Login screen.
  *
  * Middleware/Effects Flow:
- * 1. On mount, restore theme from storage and prevent auto-hiding SplashScreen.
- * 2. When fonts + splash are ready, hide SplashScreen.
+ * 1. On mount, re-apply the environment profile chosen on the Developer screen, then restore theme
+ *    and session from storage and prevent auto-hiding SplashScreen.
+ * 2. When fonts + splash are ready and the persisted store snapshot is restored, hide SplashScreen.
  * 3. If authenticated, begin location watch; cleanup on unmount or logout.
  * 4. Header avatar opens a modal; actions inside dispatch Redux state changes.
  *
@@ -49,6 +56,7 @@ import {
     Text,
     Easing,
     Platform,
+    Alert,
 } from 'react-native';
 import {
     NavigationContainer,
@@ -77,13 +85,28 @@ import {
     loadThemeFromStorage,
     applyThemeMode,
 } from './src/store/actions/themeActions';
-import { logout, updateUserLocation } from './src/store/actions/loginActions';
-import { ChatProvider } from './src/context/ChatContext';
+import {
+    logout,
+    restoreSession,
+    updateUserLocation,
+} from './src/store/actions/loginActions';
+import {
+    requestOutboxSync,
+    clearConflicts,
+} from './src/store/reducers/outboxReducer';
+import {
+    selectOutboxStatus,
+    selectOutboxConflicts,
+} from './src/store/selectors/outboxSelectors';
+import { selectIsRehydrated } from './src/store/selectors/persistSelectors';
+import { restoreEnvironmentProfile, DEVELOPER_TOOLS } from './src/utils/config';
+import PendingSyncIndicator from './src/components/PendingSyncIndicator';
 
 // Login and Registration Screens
 import LoginScreen from './src/screens/LoginScreen';
 import OTPVerificationScreen from './src/screens/OTPVerificationScreen';
 import RegistrationScreen from './src/screens/RegistrationScreen';
+import DeveloperScreen from './src/screens/DeveloperScreen';
 
 // Home Screen
 import HomeScreen from './src/screens/HomeScreen';
@@ -119,6 +142,8 @@ const icons = {
 const TabNavigator = ({ navigationRef }) => {
     const themeState = useSelector((state) => state.theme);
     const authState = useSelector((state) => state.auth);
+    const outboxStatus = useSelector(selectOutboxStatus);
+    const conflicts = useSelector(selectOutboxConflicts);
     const dispatch = useDispatch();
     const insets = useSafeAreaInsets();
     const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -145,6 +170,34 @@ const TabNavigator = ({ navigationRef }) => {
         ]).start();
     };
 
+    const showSyncStatus = () => {
+        const lines = [];
+        if (outboxStatus.pendingCount) {
+            lines.push(
+                `${outboxStatus.pendingCount} change(s) will sync when you are back online.`
+            );
+        }
+        conflicts.forEach((conflict) => {
+            lines.push(`⚠️ ${conflict.type}: ${conflict.message}`);
+        });
+
+        const buttons = [{ text: 'Close', style: 'cancel' }];
+        if (outboxStatus.pendingCount) {
+            buttons.push({
+                text: 'Sync now',
+                onPress: () => dispatch(requestOutboxSync()),
+            });
+        }
+        if (conflicts.length) {
+            buttons.push({
+                text: 'Dismiss conflicts',
+                onPress: () => dispatch(clearConflicts()),
+            });
+        }
+
+        Alert.alert('Offline changes', lines.join('\n\n'), buttons);
+    };
+
     const closeModal = () => {
         Animated.parallel([
             Animated.timing(fadeAnim, {
@@ -301,7 +354,13 @@ const TabNavigator = ({ navigationRef }) => {
                         </Modal>
                     </View>
                 ),
-                headerRight: () => null,
+                headerRight: () => (
+                    <PendingSyncIndicator
+                        {...outboxStatus}
+                        onPress={showSyncStatus}
+                        theme={themeColors}
+                    />
+                ),
             })}
         >
             <Tab.Screen name='Alerts' component={AlertsScreen} />
@@ -334,6 +393,12 @@ const AppNavigation = ({ navigationRef }) => {
                             name='OTPVerification'
                             component={OTPVerificationScreen}
                         />
+                        {DEVELOPER_TOOLS && (
+                            <Stack.Screen
+                                name='Developer'
+                                component={DeveloperScreen}
+                            />
+                        )}
                     </>
                 ) : (
                     <>
@@ -365,6 +430,7 @@ const MainApp = () => {
     const dispatch = useDispatch();
     const navigationRef = useNavigationContainerRef();
     const { user } = useSelector((state) => state.auth);
+    const isRehydrated = useSelector(selectIsRehydrated);
     const [fontsLoaded] = useFonts({
         Poppins: Poppins_400Regular,
         PoppinsBold: Poppins_700Bold,
@@ -373,18 +439,22 @@ const MainApp = () => {
 
     useEffect(() => {
         const prepare = async () => {
+            // Before the first dispatch: the outbox may replay requests right away
+            await restoreEnvironmentProfile();
             dispatch(loadThemeFromStorage());
             await SplashScreen.preventAutoHideAsync();
+            // Rehydrate `auth` before choosing the auth or main stack
+            await dispatch(restoreSession());
             setSplashReady(true);
         };
         prepare();
     }, [dispatch]);
 
     useEffect(() => {
-        if (fontsLoaded && isSplashReady) {
+        if (fontsLoaded && isSplashReady && isRehydrated) {
             SplashScreen.hideAsync();
         }
-    }, [fontsLoaded, isSplashReady]);
+    }, [fontsLoaded, isSplashReady, isRehydrated]);
 
     useEffect(() => {
         if (!user && navigationRef.isReady()) {
@@ -431,7 +501,7 @@ const MainApp = () => {
         };
     }, [user]);
 
-    if (!fontsLoaded || !isSplashReady) {
+    if (!fontsLoaded || !isSplashReady || !isRehydrated) {
         return (
             <View
                 style={{
@@ -457,9 +527,7 @@ const MainApp = () => {
 export default function App() {
     return (
         <Provider store={store}>
-            <ChatProvider>
-                <MainApp />
-            </ChatProvider>
+            <MainApp />
         </Provider>
     );
 }
@@ -8,6 +8,30 @@ jest.mock('@react-native-async-storage/async-storage', () =>
   require('@react-native-async-storage/async-storage/jest/async-storage-mock')
 );
 
+// expo-secure-store -> in-memory keychain
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    setItemAsync: jest.fn(async (key, value) => { store.set(key, value); }),
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    deleteItemAsync: jest.fn(async (key) => { store.delete(key); }),
+    __reset: () => store.clear(),
+  };
+});
+
+// expo-constants -> the real app.json, so config.js resolves its environment profiles
+jest.mock('expo-constants', () => ({
+  __esModule: true,
+  default: { expoConfig: require('../../app.json').expo },
+}));
+
+// react-native-rsa-native -> reversible fake so handshakes can be asserted
+jest.mock('react-native-rsa-native', () => ({
+  RSA: {
+    encrypt: jest.fn(async (data, publicKey) => `rsa(${publicKey}):${data}`),
+  },
+}));
+
 // expo-linear-gradient mock -> render children inside a View
 jest.mock('expo-linear-gradient', () => ({
   LinearGradient: ({ children, style, ...rest }) => {
@@ -166,6 +190,69 @@ jest.mock('expo-image-picker', () => {
   };
 });
 
+// expo-image-manipulator -> saves a '-prepared.jpg' copy sized by the last resize
+jest.mock('expo-image-manipulator', () => {
+  const manipulate = jest.fn((uri) => {
+    const context = {
+      size: null,
+      resize: jest.fn((size) => {
+        context.size = size;
+        return context;
+      }),
+      renderAsync: jest.fn(async () => ({
+        saveAsync: jest.fn(async () => ({
+          uri: uri.replace(/\.\w+$/, '-prepared.jpg'),
+          width: context.size?.width ?? 100,
+          height: context.size?.height ?? 100,
+        })),
+      })),
+    };
+    return context;
+  });
+  return {
+    ImageManipulator: { manipulate },
+    SaveFormat: { JPEG: 'jpeg', PNG: 'png', WEBP: 'webp' },
+  };
+});
+
+// expo-file-system -> files read back as a fixed base64 string
+jest.mock('expo-file-system', () => ({
+  File: jest.fn().mockImplementation((uri) => ({
+    uri,
+    size: 6,
+    base64: jest.fn(async () => 'aW1hZ2U='),
+  })),
+}));
+
+// expo-audio -> an idle recorder and player; tests override the state hooks
+jest.mock('expo-audio', () => {
+  const recorder = {
+    uri: 'file:///mock/voice.m4a',
+    prepareToRecordAsync: jest.fn(async () => {}),
+    record: jest.fn(),
+    stop: jest.fn(async () => {}),
+  };
+  const player = {
+    play: jest.fn(),
+    pause: jest.fn(),
+    seekTo: jest.fn(async () => {}),
+    setPlaybackRate: jest.fn(),
+  };
+  return {
+    AudioModule: {
+      requestRecordingPermissionsAsync: jest.fn(async () => ({ granted: true })),
+    },
+    setAudioModeAsync: jest.fn(async () => {}),
+    useAudioRecorder: jest.fn(() => recorder),
+    useAudioRecorderState: jest.fn(() => ({ isRecording: false, durationMillis: 0, metering: -160 })),
+    useAudioPlayer: jest.fn(() => player),
+    useAudioPlayerStatus: jest.fn(() => ({ playing: false, currentTime: 0, duration: 0, didJustFinish: false })),
+    RecordingPresets: { HIGH_QUALITY: {}, LOW_QUALITY: {} },
+    IOSOutputFormat: { MPEG4AAC: 'aac ' },
+    AudioQuality: { MIN: 0, LOW: 32, MEDIUM: 64, HIGH: 96, MAX: 127 },
+  };
+}, { virtual: true });
+
 // react-native-modal
 jest.mock('react-native-modal', () => {
   const React = require('react');
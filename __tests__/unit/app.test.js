@@ -23,7 +23,7 @@
 import React from 'react';
 import { render, fireEvent, waitFor } from '@testing-library/react-native';
 
-// Import the default App (already wraps Redux Provider and ChatProvider)
+// Import the default App (already wraps the Redux Provider)
 // 🛠️ Mock the Redux store BEFORE importing App to avoid building real reducers
 jest.mock('../../src/store', () => ({
   __esModule: true,
@@ -64,6 +64,7 @@ jest.mock('../../src/store/actions/themeActions', () => ({
 }));
 jest.mock('../../src/store/actions/loginActions', () => ({
   logout: jest.fn(() => ({ type: 'AUTH/LOGOUT' })),
+  restoreSession: jest.fn(() => ({ type: 'AUTH/RESTORE_SESSION' })),
   updateUserLocation: jest.fn((coords) => ({ type: 'AUTH/UPDATE_LOCATION', payload: coords })),
 }));
 
@@ -102,6 +103,9 @@ const setSelectors = ({ user = null, isDarkMode = false } = {}) => {
       auth: {
         user,
       },
+      persist: {
+        rehydrated: true,
+      },
     })
   );
 };
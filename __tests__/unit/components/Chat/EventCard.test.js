@@ -0,0 +1,140 @@
+/**
+ * __tests__/unit/components/Chat/EventCard.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Rendering
+ *    - Title, time window, location pin, counts and spots left.
+ *
+ * 2. RSVP
+ *    - Buttons send the tapped status and highlight the user's RSVP.
+ *    - "Going" is disabled while full (unless already going); ended events hide the buttons.
+ *
+ * 3. Tasks & Location
+ *    - "Add to my tasks" re-sends the RSVP with addToTasks; "In your tasks" once added.
+ *    - The pin calls onOpenLocation with the event location.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import EventCard, { hasEventEnded, formatEventWindow } from 'src/components/Chat/EventCard';
+
+jest.mock('src/utils/utils', () =>
+  jest.fn((date) => (date.endsWith('T09:00:00.000Z') ? '9:00 AM' : '11:00 AM'))
+);
+
+const theme = { text: '#111', mutedText: '#aaa', accent: '#f39c12', link: '#6c5ce7' };
+
+const startsAt = '2099-04-12T09:00:00.000Z';
+const endsAt = '2099-04-12T11:00:00.000Z';
+
+const baseEvent = {
+  id: 4,
+  title: 'Sandbag drive',
+  starts_at: startsAt,
+  ends_at: endsAt,
+  location: { latitude: 51.5, longitude: -0.12, label: 'Town hall' },
+  capacity: 10,
+  created_by: 1,
+  counts: { going: 3, maybe: 2, not_going: 1 },
+  my_rsvp: null,
+  my_task_id: null,
+};
+
+const setup = (event = {}) => {
+  const onRsvp = jest.fn();
+  const onOpenLocation = jest.fn();
+  const utils = render(
+    <EventCard
+      event={{ ...baseEvent, ...event }}
+      theme={theme}
+      onRsvp={onRsvp}
+      onOpenLocation={onOpenLocation}
+    />
+  );
+  return { ...utils, onRsvp, onOpenLocation };
+};
+
+describe('EventCard', () => {
+  it('renders the title, time window, location and counts', () => {
+    const { getByText } = setup();
+
+    expect(getByText('🗓️ Sandbag drive')).toBeTruthy();
+    expect(getByText(formatEventWindow(startsAt, endsAt))).toBeTruthy();
+    expect(getByText('Town hall')).toBeTruthy();
+    expect(getByText('3 going · 2 maybe · 7 spots left')).toBeTruthy();
+  });
+
+  it('formats the window from the start date and both times', () => {
+    const day = new Date(startsAt).toDateString().slice(0, 10);
+
+    expect(formatEventWindow(startsAt, endsAt)).toBe(`${day}, 9:00 AM – 11:00 AM`);
+    expect(formatEventWindow(startsAt, null)).toBe(`${day}, 9:00 AM`);
+  });
+
+  it('sends the tapped RSVP and highlights the current one', () => {
+    const { getByText, getByTestId, onRsvp } = setup({ my_rsvp: 'maybe' });
+
+    fireEvent.press(getByText("Can't"));
+
+    expect(onRsvp).toHaveBeenCalledWith('not_going');
+    expect(getByTestId('event-rsvp-maybe').props.accessibilityState).toMatchObject({ selected: true });
+  });
+
+  it('disables "Going" while the event is full', () => {
+    const { getByText, getByTestId, onRsvp } = setup({ counts: { going: 10, maybe: 0 } });
+
+    fireEvent.press(getByText('Going'));
+
+    expect(onRsvp).not.toHaveBeenCalled();
+    expect(getByText('10 going · 0 maybe · Full')).toBeTruthy();
+    expect(getByTestId('event-rsvp-going').props.accessibilityState).toMatchObject({ disabled: true });
+  });
+
+  it('keeps "Going" enabled for users already going to a full event', () => {
+    const { getByTestId } = setup({ counts: { going: 10 }, my_rsvp: 'going' });
+
+    expect(getByTestId('event-rsvp-going').props.accessibilityState).toMatchObject({
+      selected: true,
+      disabled: false,
+    });
+  });
+
+  it('hides the RSVP buttons once the event has ended', () => {
+    const { getByText, queryByText } = setup({
+      starts_at: '2000-01-01T09:00:00.000Z',
+      ends_at: '2000-01-01T11:00:00.000Z',
+    });
+
+    expect(getByText('Event ended')).toBeTruthy();
+    expect(queryByText('Going')).toBeNull();
+    expect(hasEventEnded({ starts_at: '2000-01-01T09:00:00.000Z', ends_at: null })).toBe(true);
+  });
+
+  it('offers to add the event to tasks after a Going/Maybe RSVP', () => {
+    const { getByText, onRsvp } = setup({ my_rsvp: 'going' });
+
+    fireEvent.press(getByText('Add to my tasks'));
+
+    expect(onRsvp).toHaveBeenCalledWith('going', { addToTasks: true });
+  });
+
+  it('shows "In your tasks" once added and nothing for other RSVPs', () => {
+    const added = setup({ my_rsvp: 'maybe', my_task_id: 9 });
+    expect(added.getByText('✓ In your tasks')).toBeTruthy();
+    added.unmount();
+
+    const declined = setup({ my_rsvp: 'not_going' });
+    expect(declined.queryByText('Add to my tasks')).toBeNull();
+  });
+
+  it('opens the pinned location, falling back to a generic label', () => {
+    const labelled = setup();
+    fireEvent.press(labelled.getByText('Town hall'));
+    expect(labelled.onOpenLocation).toHaveBeenCalledWith(baseEvent.location);
+    labelled.unmount();
+
+    const unlabelled = setup({ location: { latitude: 1, longitude: 2, label: null } });
+    expect(unlabelled.getByText('Pinned location')).toBeTruthy();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * __tests__/unit/components/Chat/MemberActions.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Roles
+ *    - Members can be made admin; admins can be dismissed.
+ *
+ * 2. Mutes
+ *    - Each mute length sends its end time; muted members get "Unmute" instead.
+ *
+ * 3. Remove / Ban
+ *    - Both chips call their handlers.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import MemberActions, { MUTE_DURATIONS } from 'src/components/Chat/MemberActions';
+
+const theme = { link: '#6c5ce7' };
+const now = Date.parse('2025-04-10T09:00:00.000Z');
+
+const renderActions = (member, handlers = {}) =>
+  render(<MemberActions member={{ id: 3, name: 'Sam', ...member }} theme={theme} now={now} {...handlers} />);
+
+describe('MemberActions', () => {
+  it('promotes members and dismisses admins', () => {
+    const onSetRole = jest.fn();
+    fireEvent.press(renderActions({ role: 'member' }, { onSetRole }).getByText('Make admin'));
+    fireEvent.press(renderActions({ role: 'admin' }, { onSetRole }).getByText('Dismiss as admin'));
+
+    expect(onSetRole.mock.calls).toEqual([['admin'], ['member']]);
+  });
+
+  it('mutes for each length', () => {
+    const onMute = jest.fn();
+    const { getByText } = renderActions({ role: 'member' }, { onMute });
+
+    MUTE_DURATIONS.forEach(({ label }) => fireEvent.press(getByText(`Mute ${label}`)));
+
+    expect(onMute.mock.calls).toEqual(MUTE_DURATIONS.map(({ ms }) => [new Date(now + ms).toISOString()]));
+  });
+
+  it('offers Unmute while a mute is running', () => {
+    const onMute = jest.fn();
+    const { getByText, queryByText } = renderActions(
+      { role: 'member', muted_until: '2025-04-10T10:00:00.000Z' },
+      { onMute }
+    );
+
+    expect(queryByText('Mute 1 hour')).toBeNull();
+    fireEvent.press(getByText('Unmute'));
+    expect(onMute).toHaveBeenCalledWith(null);
+  });
+
+  it('treats an expired mute as unmuted', () => {
+    const { getByText, queryByText } = renderActions({ muted_until: '2025-04-10T08:00:00.000Z' });
+
+    expect(queryByText('Unmute')).toBeNull();
+    expect(getByText('Mute 1 hour')).toBeTruthy();
+  });
+
+  it('removes and bans', () => {
+    const onRemove = jest.fn();
+    const onBan = jest.fn();
+    const { getByText } = renderActions({ role: 'member' }, { onRemove, onBan });
+
+    fireEvent.press(getByText('Remove'));
+    fireEvent.press(getByText('Ban'));
+
+    expect(onRemove).toHaveBeenCalledTimes(1);
+    expect(onBan).toHaveBeenCalledTimes(1);
+  });
+});
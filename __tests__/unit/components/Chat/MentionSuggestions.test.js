@@ -0,0 +1,39 @@
+/**
+ * __tests__/unit/components/Chat/MentionSuggestions.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Rows
+ *    - Each suggested member shows their initial and name; tapping one passes the member to
+ *      `onSelect`.
+ *
+ * 2. Empty
+ *    - Nothing is rendered without members to suggest.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import MentionSuggestions from 'src/components/Chat/MentionSuggestions';
+
+const theme = { surface: '#fff', text: '#222', primary: '#6c5ce7', divider: '#eee' };
+
+describe('MentionSuggestions', () => {
+  it('lists the members and selects the tapped one', () => {
+    const onSelect = jest.fn();
+    const members = [{ id: 2, name: 'Alice' }, { id: 5, name: 'ben Albright' }];
+    const { getByText, getByLabelText } = render(
+      <MentionSuggestions members={members} theme={theme} onSelect={onSelect} />
+    );
+
+    expect(getByText('Alice')).toBeTruthy();
+    expect(getByText('B')).toBeTruthy();
+
+    fireEvent.press(getByLabelText('Mention ben Albright'));
+    expect(onSelect).toHaveBeenCalledWith(members[1]);
+  });
+
+  it('renders nothing without members', () => {
+    const { queryByTestId } = render(<MentionSuggestions members={[]} theme={theme} onSelect={jest.fn()} />);
+    expect(queryByTestId('mention-suggestions')).toBeNull();
+  });
+});
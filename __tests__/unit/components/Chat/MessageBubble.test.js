@@ -4,10 +4,22 @@
  * What This Test File Covers:
  *
  * 1) Sender Awareness & Styling
- * 2) Long-Press Actions (Copy/React/Delete visibility)
+ * 2) Long-Press Actions (Copy/Delete visibility; React opens the picker; Reply opens the thread)
  * 3) Location Message (opens geo: URL on Android)
  * 4) Quiz Message (navigates with numeric quizId)
- * 5) Poll Message & Reactions
+ * 5) Poll Message & Reactions (votes and creator actions are forwarded with the message)
+ * 6) Event Message (RSVPs are forwarded with the message; the pin opens the maps app;
+ *    events without an `event` payload fall back to their text)
+ * 7) Thread Replies (reply count opens the thread; hidden without replies)
+ * 8) Reactions (grouped counts; tapping a chip forwards the emoji; long-press lists who reacted)
+ * 9) Photos (thumbnail opens the full-screen viewer; upload progress, waiting and retry states)
+ * 10) Receipts (ticks on own messages only; in groups the ticks and "Seen by" action list readers)
+ * 11) Edits & Deletions (Edit / Delete forward the message within their windows; "edited" opens the
+ *     history; deleted messages show a placeholder without actions)
+ * 12) Pins (Pin / Unpin forward the message when pinning is allowed; pinned messages show a marker)
+ * 13) Mentions (mentioned names are highlighted, mentions of the current user more so)
+ * 14) Voice Notes (the player replaces the text; unsent notes show the upload states and retry
+ *     through `onRetryVoice`)
  */
 
 import React from 'react';
@@ -117,16 +129,14 @@ describe('MessageBubble', () => {
   });
 
   test('long-press opens modal; Copy/React work; Delete visible only for own messages', () => {
+    const onReact = jest.fn();
+    const message = {
+      sender: { id: 'me', name: 'Me' },
+      content: 'Long press me',
+      timestamp: Date.now(),
+    };
     const { getByText, queryByText, rerender } = render(
-      <MessageBubble
-        senderId="me"
-        theme={theme}
-        message={{
-          sender: { id: 'me', name: 'Me' },
-          content: 'Long press me',
-          timestamp: Date.now(),
-        }}
-      />
+      <MessageBubble senderId="me" theme={theme} message={message} onReact={onReact} />
     );
 
     fireEvent(getByText('Long press me'), 'longPress');
@@ -135,7 +145,9 @@ describe('MessageBubble', () => {
 
     fireEvent(getByText('Long press me'), 'longPress');
     fireEvent.press(getByText('React'));
-    expect(spyAlert).toHaveBeenCalledWith('React', '❤️ reaction added (UI only)');
+    fireEvent.press(getByText('👍'));
+    expect(onReact).toHaveBeenCalledWith(message, '👍');
+    expect(queryByText('👍')).toBeNull();
 
     fireEvent(getByText('Long press me'), 'longPress');
     expect(getByText('Delete')).toBeTruthy();
@@ -202,24 +214,390 @@ describe('MessageBubble', () => {
     expect(mockNavigate).toHaveBeenCalledWith('Quiz', { quizId: 42 });
   });
 
-  test('poll message renders options and triggers alert on vote; reactions show', () => {
+  test('poll message renders options and forwards votes; reactions show', () => {
+    const onPollVote = jest.fn();
+    const message = {
+      sender: { id: 'other', name: 'Sam' },
+      message_type: 'poll',
+      content: 'Your pick?',
+      poll: {
+        id: 5,
+        question: 'Your pick?',
+        options: [{ id: 1, text: 'A', votes: 0 }, { id: 2, text: 'B', votes: 0 }],
+        created_by: 'other',
+        my_votes: [],
+      },
+      reactions: [
+        { emoji: '🔥', user: { id: 'u1' } },
+        { emoji: '🎉', user: { id: 'u2' } },
+        { emoji: '🔥', user: { id: 'me' } },
+      ],
+      timestamp: Date.now(),
+    };
+    const { getByText, queryByText } = render(
+      <MessageBubble senderId="me" theme={theme} message={message} onPollVote={onPollVote} />
+    );
+
+    fireEvent.press(getByText('A'));
+    expect(onPollVote).toHaveBeenCalledWith(message, [1]);
+    expect(queryByText('Close poll')).toBeNull();
+    expect(getByText('🔥 2')).toBeTruthy();
+    expect(getByText('🎉 1')).toBeTruthy();
+  });
+
+  test('poll creator can close the poll and see the votes', () => {
+    const onPollClose = jest.fn();
+    const onPollVoters = jest.fn();
+    const message = {
+      sender: { id: 'me', name: 'Me' },
+      message_type: 'poll',
+      poll: { id: 5, question: 'Q?', options: [{ id: 1, text: 'A' }], created_by: 'me' },
+      timestamp: Date.now(),
+    };
+    const { getByText } = render(
+      <MessageBubble
+        senderId="me"
+        theme={theme}
+        message={message}
+        onPollClose={onPollClose}
+        onPollVoters={onPollVoters}
+      />
+    );
+
+    fireEvent.press(getByText('Close poll'));
+    fireEvent.press(getByText('See votes'));
+    expect(onPollClose).toHaveBeenCalledWith(message);
+    expect(onPollVoters).toHaveBeenCalledWith(message);
+  });
+
+  test('event message forwards RSVPs and opens the pinned location', () => {
+    const onEventRsvp = jest.fn();
+    const message = {
+      sender: { id: 'u2', name: 'Alex' },
+      message_type: 'event',
+      content: '🗓️ Cleanup',
+      event: {
+        id: 4,
+        title: 'Cleanup',
+        starts_at: '2099-04-12T09:00:00.000Z',
+        ends_at: null,
+        location: { latitude: 1, longitude: 2, label: 'Park gate' },
+        capacity: null,
+        counts: { going: 1, maybe: 0, not_going: 0 },
+        my_rsvp: 'going',
+        my_task_id: null,
+      },
+      timestamp: Date.now(),
+    };
+    const { getByText } = render(
+      <MessageBubble senderId="me" theme={theme} message={message} onEventRsvp={onEventRsvp} />
+    );
+
+    fireEvent.press(getByText('Maybe'));
+    fireEvent.press(getByText('Add to my tasks'));
+    fireEvent.press(getByText('Park gate'));
+
+    expect(onEventRsvp).toHaveBeenNthCalledWith(1, message, 'maybe', {});
+    expect(onEventRsvp).toHaveBeenNthCalledWith(2, message, 'going', { addToTasks: true });
+    expect(spyOpenURL).toHaveBeenCalled();
+  });
+
+  test('event message without an event payload shows its text', () => {
     const { getByText } = render(
       <MessageBubble
         senderId="me"
         theme={theme}
         message={{
-          sender: { id: 'other', name: 'Sam' },
-          type: 'poll',
-          poll: { question: 'Your pick?', options: ['A', 'B'] },
-          reactions: [{ emoji: '🔥' }, { emoji: '🎉' }],
+          sender: { id: 'u2' },
+          message_type: 'event',
+          content: '🗓️ Event issued.',
           timestamp: Date.now(),
         }}
       />
     );
 
-    fireEvent.press(getByText('A'));
-    expect(spyAlert).toHaveBeenCalledWith('Poll Vote', 'You voted for: A');
-    expect(getByText('🔥')).toBeTruthy();
-    expect(getByText('🎉')).toBeTruthy();
+    expect(getByText('🗓️ Event issued.')).toBeTruthy();
+  });
+
+  test('Reply action and reply count open the thread', () => {
+    const openThread = jest.fn();
+    const message = {
+      id: 'm7',
+      sender: { id: 'u2', name: 'Alex' },
+      content: 'Anyone have sandbags?',
+      reply_count: 2,
+      timestamp: Date.now(),
+    };
+    const { getByText } = render(
+      <MessageBubble senderId="me" theme={theme} message={message} openThread={openThread} />
+    );
+
+    fireEvent(getByText('Anyone have sandbags?'), 'longPress');
+    fireEvent.press(getByText('Reply'));
+    fireEvent.press(getByText('2 replies'));
+
+    expect(openThread).toHaveBeenCalledTimes(2);
+    expect(openThread).toHaveBeenCalledWith(message);
+    expect(spyAlert).not.toHaveBeenCalled();
+  });
+
+  test('reply count is singular for one reply and hidden without replies', () => {
+    const base = { sender: { id: 'u2' }, content: 'Hi', timestamp: Date.now() };
+    const one = render(<MessageBubble senderId="me" theme={theme} message={{ ...base, reply_count: 1 }} />);
+    expect(one.getByText('1 reply')).toBeTruthy();
+    one.unmount();
+
+    const none = render(<MessageBubble senderId="me" theme={theme} message={base} />);
+    expect(none.queryByText(/repl(y|ies)$/)).toBeNull();
+  });
+
+  test('reaction chips forward the emoji and a long-press lists who reacted', () => {
+    const onReact = jest.fn();
+    const message = {
+      sender: { id: 'u2', name: 'Sam' },
+      content: 'Water is back on',
+      reactions: [
+        { emoji: '❤️', user: { id: 'u3', name: 'Ana' } },
+        { emoji: '🎉', user: { id: 'me', name: 'Me' } },
+      ],
+      timestamp: Date.now(),
+    };
+    const { getByText, getByLabelText } = render(
+      <MessageBubble senderId="me" theme={theme} message={message} onReact={onReact} />
+    );
+
+    fireEvent.press(getByText('🎉 1'));
+    expect(onReact).toHaveBeenCalledWith(message, '🎉');
+    expect(getByLabelText('🎉 1').props.accessibilityState).toEqual({ selected: true });
+
+    fireEvent(getByText('❤️ 1'), 'longPress');
+    expect(getByText('Reactions')).toBeTruthy();
+    expect(getByText('You')).toBeTruthy();
+    expect(getByText('Ana')).toBeTruthy();
+  });
+
+  test('photo thumbnails open the viewer and show the upload state', () => {
+    const onRetryImage = jest.fn();
+    const message = {
+      id: 'temp-1',
+      sender: { id: 'me' },
+      content: '📷 Photo',
+      message_type: 'image',
+      image: { url: 'file:///flood.jpg', width: 1600, height: 800, location: null },
+      status: 'uploading',
+      progress: 0.42,
+      timestamp: Date.now(),
+    };
+    const { getByTestId, getByText, queryByTestId, queryByText, rerender } = render(
+      <MessageBubble senderId="me" theme={theme} message={message} onRetryImage={onRetryImage} />
+    );
+
+    const thumbnail = getByTestId('image-thumbnail');
+    expect(getByText('Uploading… 42%')).toBeTruthy();
+    expect(queryByText('📷 Photo')).toBeNull();
+
+    expect(queryByTestId('image-viewer-photo')).toBeNull();
+    fireEvent.press(thumbnail);
+    expect(getByTestId('image-viewer-photo').props.source).toEqual({ uri: 'file:///flood.jpg' });
+
+    rerender(
+      <MessageBubble
+        senderId="me"
+        theme={theme}
+        message={{ ...message, status: 'pending', progress: undefined }}
+        onRetryImage={onRetryImage}
+      />
+    );
+    expect(getByText('Waiting for connection…')).toBeTruthy();
+
+    const failed = { ...message, status: 'failed', progress: undefined };
+    rerender(<MessageBubble senderId="me" theme={theme} message={failed} onRetryImage={onRetryImage} />);
+    fireEvent.press(getByText('Upload failed · Tap to retry'));
+    expect(onRetryImage).toHaveBeenCalledWith(failed);
+
+    const sent = { ...message, id: 40, status: undefined, progress: undefined };
+    rerender(<MessageBubble senderId="me" theme={theme} message={sent} />);
+    expect(queryByText(/Uploading|Waiting|Upload failed/)).toBeNull();
+  });
+
+  test('own messages show delivery ticks; group messages list who has seen them', () => {
+    const message = {
+      id: 7,
+      sender: { id: 'me' },
+      content: 'Road closed at the bridge',
+      receipts: [
+        { user: { id: 'u2', name: 'Sam' }, delivered_at: '2025-04-10T08:00:00.000Z', read_at: '2025-04-10T08:01:00.000Z' },
+        { user: { id: 'u3', name: 'Ana' }, delivered_at: '2025-04-10T08:00:00.000Z', read_at: null },
+      ],
+      timestamp: Date.now(),
+    };
+
+    const theirs = render(
+      <MessageBubble senderId="me" theme={theme} message={{ ...message, sender: { id: 'u2', name: 'Sam' } }} />
+    );
+    expect(theirs.queryByTestId('receipt-ticks')).toBeNull();
+    theirs.unmount();
+
+    const direct = render(<MessageBubble senderId="me" theme={theme} message={message} />);
+    expect(direct.getByLabelText('Delivered')).toBeTruthy();
+    fireEvent(direct.getByText('Road closed at the bridge'), 'longPress');
+    expect(direct.queryByText('Seen by')).toBeNull();
+    direct.unmount();
+
+    const { getByText, getByLabelText, queryByText } = render(
+      <MessageBubble senderId="me" theme={theme} message={message} isGroup />
+    );
+    fireEvent.press(getByLabelText('Delivered, show who has seen it'));
+    expect(getByText('Read by 1')).toBeTruthy();
+    expect(getByText('Sam')).toBeTruthy();
+    expect(getByText('Delivered to 1')).toBeTruthy();
+    expect(getByText('Ana')).toBeTruthy();
+    expect(queryByText(/Not delivered yet/)).toBeNull();
+  });
+
+  test('the Seen by action opens the list for own group messages', () => {
+    const message = {
+      id: 8,
+      sender: { id: 'me' },
+      content: 'Meet at the hall',
+      receipts: [{ user: { id: 'u2', name: 'Sam' }, delivered_at: null, read_at: null }],
+      timestamp: Date.now(),
+    };
+    const { getByText } = render(<MessageBubble senderId="me" theme={theme} message={message} isGroup />);
+
+    fireEvent(getByText('Meet at the hall'), 'longPress');
+    fireEvent.press(getByText('Seen by'));
+    expect(getByText('Not delivered yet 1')).toBeTruthy();
+  });
+
+  test('Edit and Delete forward own messages while their windows are open', () => {
+    const onEdit = jest.fn();
+    const onDelete = jest.fn();
+    const message = { id: 9, sender: { id: 'me' }, content: 'Shelter opens at 6', timestamp: Date.now() };
+    const props = { senderId: 'me', theme, onEdit, onDelete };
+    const { getByText, queryByText, rerender } = render(<MessageBubble {...props} message={message} />);
+
+    fireEvent(getByText('Shelter opens at 6'), 'longPress');
+    fireEvent.press(getByText('Edit'));
+    expect(onEdit).toHaveBeenCalledWith(message);
+    fireEvent(getByText('Shelter opens at 6'), 'longPress');
+    fireEvent.press(getByText('Delete'));
+    expect(onDelete).toHaveBeenCalledWith(message);
+    expect(spyAlert).not.toHaveBeenCalled();
+
+    const halfHourAgo = { ...message, timestamp: Date.now() - 30 * 60 * 1000 };
+    rerender(<MessageBubble {...props} message={halfHourAgo} />);
+    fireEvent(getByText('Shelter opens at 6'), 'longPress');
+    expect(queryByText('Edit')).toBeNull();
+    expect(getByText('Delete')).toBeTruthy();
+
+    rerender(<MessageBubble {...props} message={{ ...message, timestamp: Date.now() - 2 * 60 * 60 * 1000 }} />);
+    fireEvent(getByText('Shelter opens at 6'), 'longPress');
+    expect(queryByText('Delete')).toBeNull();
+  });
+
+  test('edited messages open their history; deleted ones show a placeholder only', () => {
+    const message = {
+      id: 9,
+      sender: { id: 'me' },
+      content: 'Shelter opens at 7',
+      edited_at: '2025-04-10T08:05:00.000Z',
+      edit_history: [{ content: 'Shelter opens at 6', written_at: '2025-04-10T08:00:00.000Z' }],
+      reactions: [{ emoji: '👍', user: { id: 'u2', name: 'Sam' } }],
+      timestamp: Date.now(),
+    };
+    const { getByText, getByLabelText, queryByText, queryByLabelText, queryByTestId, rerender } = render(
+      <MessageBubble senderId="me" theme={theme} message={message} />
+    );
+
+    fireEvent.press(getByLabelText('Edited, show edit history'));
+    expect(getByText('Edit history')).toBeTruthy();
+    expect(getByText('Shelter opens at 6')).toBeTruthy();
+
+    rerender(
+      <MessageBubble
+        senderId="me"
+        theme={theme}
+        message={{ ...message, content: null, deleted_at: '2025-04-10T09:00:00.000Z', edit_history: [], reactions: [] }}
+      />
+    );
+    expect(getByText('This message was deleted')).toBeTruthy();
+    expect(queryByLabelText('Edited, show edit history')).toBeNull();
+    expect(queryByTestId('receipt-ticks')).toBeNull();
+    fireEvent(getByText('This message was deleted'), 'longPress');
+    expect(queryByText('Copy')).toBeNull();
+  });
+
+  test('pin action forwards the message and pinned messages show a marker', () => {
+    const onTogglePin = jest.fn();
+    const message = { id: 9, sender: { id: 'u2', name: 'Sam' }, content: 'Evacuate via Main St', timestamp: Date.now() };
+    const props = { senderId: 'me', theme, message, onTogglePin };
+    const { getByText, queryByText, queryByLabelText, getByLabelText, rerender } = render(<MessageBubble {...props} />);
+
+    expect(queryByLabelText('Pinned')).toBeNull();
+    fireEvent(getByText('Evacuate via Main St'), 'longPress');
+    fireEvent.press(getByText('Pin'));
+    expect(onTogglePin).toHaveBeenCalledWith(message);
+
+    rerender(<MessageBubble {...props} isPinned />);
+    expect(getByLabelText('Pinned')).toBeTruthy();
+    fireEvent(getByText('Evacuate via Main St'), 'longPress');
+    expect(getByText('Unpin')).toBeTruthy();
+
+    rerender(<MessageBubble {...props} onTogglePin={undefined} />);
+    fireEvent(getByText('Evacuate via Main St'), 'longPress');
+    expect(queryByText('Pin')).toBeNull();
+
+    rerender(<MessageBubble {...props} message={{ ...message, id: 'temp-1' }} />);
+    fireEvent(getByText('Evacuate via Main St'), 'longPress');
+    expect(queryByText('Pin')).toBeNull();
+  });
+
+  test('highlights mentions, and mentions of the current user more', () => {
+    const { StyleSheet } = require('react-native');
+    const message = {
+      id: 10,
+      sender: { id: 'u2', name: 'Sam' },
+      content: 'Can @Alice and @Me bring blankets? cc @Bob',
+      mentions: [{ id: 'u3', name: 'Alice' }, { id: 'me', name: 'Me' }],
+      timestamp: Date.now(),
+    };
+    const { getByText, queryByText } = render(<MessageBubble senderId="me" theme={theme} message={message} />);
+
+    const alice = StyleSheet.flatten(getByText('@Alice').props.style);
+    const me = StyleSheet.flatten(getByText('@Me').props.style);
+    expect(alice).toEqual(expect.objectContaining({ color: theme.link }));
+    expect(alice.backgroundColor).toBeUndefined();
+    expect(me).toEqual(expect.objectContaining({ color: theme.link, backgroundColor: expect.any(String) }));
+    expect(queryByText('@Bob')).toBeNull();
+    expect(getByText('Can @Alice and @Me bring blankets? cc @Bob')).toBeTruthy();
+  });
+
+  test('voice notes show the player and their upload state', () => {
+    const onRetryVoice = jest.fn();
+    const onRetryImage = jest.fn();
+    const message = {
+      id: 'temp-2',
+      sender: { id: 'me' },
+      content: '🎤 Voice note',
+      message_type: 'voice',
+      voice: { url: 'file:///voice.m4a', duration_ms: 65000, waveform: [0.2, 0.7] },
+      status: 'uploading',
+      progress: 0.5,
+      timestamp: Date.now(),
+    };
+    const props = { senderId: 'me', theme, onRetryVoice, onRetryImage };
+    const { getByLabelText, getByText, queryByText, rerender } = render(<MessageBubble {...props} message={message} />);
+
+    expect(getByLabelText('Play voice note')).toBeTruthy();
+    expect(getByText('1:05')).toBeTruthy();
+    expect(getByText('Uploading… 50%')).toBeTruthy();
+    expect(queryByText('🎤 Voice note')).toBeNull();
+
+    const failed = { ...message, status: 'failed', progress: undefined };
+    rerender(<MessageBubble {...props} message={failed} />);
+    fireEvent.press(getByText('Upload failed · Tap to retry'));
+    expect(onRetryVoice).toHaveBeenCalledWith(failed);
+    expect(onRetryImage).not.toHaveBeenCalled();
   });
 });
@@ -0,0 +1,77 @@
+/**
+ * __tests__/unit/components/Chat/MessageSearchResults.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Rows
+ *    - Each hit shows its sender (and chat when `showChatName`), the time and a snippet with the
+ *      matching words highlighted; tapping a row passes the result to `onSelect`.
+ *
+ * 2. States
+ *    - A spinner while loading, "No messages found" for an empty search and an offline note for
+ *      results from the device.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import MessageSearchResults from 'src/components/Chat/MessageSearchResults';
+
+jest.mock('src/utils/utils', () => ({ formatTimeAgo: () => '2h ago' }));
+
+const theme = { surface: '#fff', text: '#222', link: '#6c5ce7', primary: '#6c5ce7', divider: '#eee' };
+
+const result = {
+  chat_id: 2,
+  chat_name: 'Flood Watch',
+  message: {
+    id: 7,
+    content: 'The generator is in the shed',
+    message_type: 'text',
+    timestamp: '2025-04-10T09:00:00.000Z',
+    sender: { id: 3, name: 'Alice' },
+  },
+};
+
+describe('MessageSearchResults', () => {
+  it('renders each hit with the match highlighted and selects it', () => {
+    const onSelect = jest.fn();
+    const { getByText, getByRole } = render(
+      <MessageSearchResults results={[result]} query='Generator' theme={theme} onSelect={onSelect} />
+    );
+
+    expect(getByText('Alice')).toBeTruthy();
+    expect(getByText('2h ago')).toBeTruthy();
+    expect(getByText('generator').props.style).toEqual(expect.objectContaining({ color: theme.link }));
+
+    fireEvent.press(getByRole('button'));
+    expect(onSelect).toHaveBeenCalledWith(result);
+  });
+
+  it('names the chat when searching every chat', () => {
+    const { getByText } = render(
+      <MessageSearchResults results={[result]} query='generator' showChatName theme={theme} />
+    );
+
+    expect(getByText('Flood Watch · Alice')).toBeTruthy();
+  });
+
+  it('shows a spinner while loading and a message for no hits', () => {
+    const { getByTestId, rerender, getByText } = render(
+      <MessageSearchResults results={[]} query='generator' loading theme={theme} />
+    );
+    expect(getByTestId('message-search-loading')).toBeTruthy();
+
+    rerender(<MessageSearchResults results={[]} query='generator' theme={theme} />);
+    expect(getByText('No messages found')).toBeTruthy();
+  });
+
+  it('notes when the results come from the device', () => {
+    const { getByText, queryByText, rerender } = render(
+      <MessageSearchResults results={[result]} query='generator' source='cache' theme={theme} />
+    );
+    expect(getByText('Offline: showing messages saved on this device.')).toBeTruthy();
+
+    rerender(<MessageSearchResults results={[result]} query='generator' source='server' theme={theme} />);
+    expect(queryByText('Offline: showing messages saved on this device.')).toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * __tests__/unit/components/Chat/PinnedBanner.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Collapsed
+ *    - Nothing renders without pins; otherwise the newest pin shows with "+N" for the rest.
+ *
+ * 2. Expanded
+ *    - The toggle lists every pin with its sender; jumping collapses the list again.
+ *
+ * 3. Unpin
+ *    - The unpin button only shows when `onUnpin` is given and passes the pin.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import PinnedBanner from 'src/components/Chat/PinnedBanner';
+
+jest.mock('@expo/vector-icons', () => {
+  const { Text } = require('react-native');
+  return { Feather: ({ name }) => <Text>{`feather:${name}`}</Text> };
+});
+
+const theme = { surface: '#fff', text: '#222', link: '#6c5ce7', divider: '#eee' };
+
+const pin = (id, content, sender) => ({
+  message_id: id,
+  pinned_at: '2025-04-10T09:00:00.000Z',
+  pinned_by: { id: 2, name: 'Admin' },
+  message: { id, content, message_type: 'text', sender: { id: 1, name: sender } },
+});
+
+const pins = [pin(12, 'Evacuation point: the school', 'Alice'), pin(10, 'Roster for Saturday', 'Bob')];
+
+describe('PinnedBanner', () => {
+  it('renders nothing without pins', () => {
+    const { queryByTestId } = render(<PinnedBanner pins={[]} theme={theme} />);
+    expect(queryByTestId('pinned-banner')).toBeNull();
+  });
+
+  it('shows the newest pin and how many more there are', () => {
+    const { getByText, queryByText } = render(<PinnedBanner pins={pins} theme={theme} />);
+
+    expect(getByText('Evacuation point: the school')).toBeTruthy();
+    expect(getByText('+1')).toBeTruthy();
+    expect(queryByText('Roster for Saturday')).toBeNull();
+  });
+
+  it('jumps to the collapsed pin', () => {
+    const onJump = jest.fn();
+    const { getByLabelText } = render(<PinnedBanner pins={pins} theme={theme} onJump={onJump} />);
+
+    fireEvent.press(getByLabelText('Go to pinned message: Evacuation point: the school'));
+    expect(onJump).toHaveBeenCalledWith(12);
+  });
+
+  it('expands to every pin and collapses after a jump', () => {
+    const onJump = jest.fn();
+    const { getByLabelText, getByText, queryByText } = render(
+      <PinnedBanner pins={pins} theme={theme} onJump={onJump} />
+    );
+
+    fireEvent.press(getByLabelText('Show all pinned messages'));
+    expect(getByText('Pinned messages (2)')).toBeTruthy();
+    expect(getByText('Bob')).toBeTruthy();
+
+    fireEvent.press(getByLabelText('Go to pinned message: Roster for Saturday'));
+    expect(onJump).toHaveBeenCalledWith(10);
+    expect(queryByText('Pinned messages (2)')).toBeNull();
+  });
+
+  it('offers unpinning only when onUnpin is given', () => {
+    const onUnpin = jest.fn();
+    const { queryByLabelText } = render(<PinnedBanner pins={[pins[0]]} theme={theme} />);
+    expect(queryByLabelText('Unpin')).toBeNull();
+
+    const { getByLabelText } = render(<PinnedBanner pins={[pins[0]]} theme={theme} onUnpin={onUnpin} />);
+    fireEvent.press(getByLabelText('Unpin'));
+    expect(onUnpin).toHaveBeenCalledWith(pins[0]);
+  });
+});
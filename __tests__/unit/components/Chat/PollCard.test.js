@@ -0,0 +1,129 @@
+/**
+ * __tests__/unit/components/Chat/PollCard.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Rendering
+ *    - Question, choice mode, closing time, per-option tallies and total votes.
+ *
+ * 2. Voting
+ *    - Single choice sends the tapped option, or [] when retracting.
+ *    - Multiple choice toggles the tapped option in the user's votes.
+ *    - Closed polls (flag or past closing time) disable the options.
+ *
+ * 3. Creator Controls
+ *    - "See votes" and "Close poll" are shown to the creator only; "Close poll" hides once closed.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import PollCard, { isPollClosed } from 'src/components/Chat/PollCard';
+
+const theme = { text: '#111', mutedText: '#aaa', accent: '#f39c12', link: '#6c5ce7' };
+
+const basePoll = {
+  id: 5,
+  question: 'Meet where?',
+  options: [
+    { id: 1, text: 'Library', votes: 3 },
+    { id: 2, text: 'Park', votes: 1 },
+  ],
+  allows_multiple: false,
+  closes_at: null,
+  closed: false,
+  created_by: 'me',
+  total_votes: 4,
+  my_votes: [1],
+};
+
+const setup = (poll = {}, props = {}) => {
+  const onVote = jest.fn();
+  const onClose = jest.fn();
+  const onShowVoters = jest.fn();
+  const utils = render(
+    <PollCard
+      poll={{ ...basePoll, ...poll }}
+      theme={theme}
+      onVote={onVote}
+      onClose={onClose}
+      onShowVoters={onShowVoters}
+      {...props}
+    />
+  );
+  return { ...utils, onVote, onClose, onShowVoters };
+};
+
+describe('PollCard', () => {
+  it('renders the question, tallies and total votes', () => {
+    const { getByText, getByTestId } = setup();
+
+    expect(getByText('Meet where?')).toBeTruthy();
+    expect(getByText('Select one')).toBeTruthy();
+    expect(getByText('3')).toBeTruthy();
+    expect(getByText('4 votes')).toBeTruthy();
+    expect(getByTestId('poll-option-1').props.accessibilityState).toMatchObject({ selected: true });
+  });
+
+  it('shows the time left before the poll closes', () => {
+    const closesAt = new Date(Date.now() + 3 * 3600000).toISOString();
+    const { getByText } = setup({ closes_at: closesAt, allows_multiple: true });
+
+    expect(getByText('Select one or more · Closes in 3 hr')).toBeTruthy();
+  });
+
+  it('single choice: picks the tapped option or retracts the current one', () => {
+    const { getByText, onVote } = setup();
+
+    fireEvent.press(getByText('Park'));
+    fireEvent.press(getByText('Library'));
+
+    expect(onVote).toHaveBeenNthCalledWith(1, [2]);
+    expect(onVote).toHaveBeenNthCalledWith(2, []);
+  });
+
+  it('multiple choice: toggles the tapped option', () => {
+    const { getByText, onVote } = setup({ allows_multiple: true });
+
+    fireEvent.press(getByText('Park'));
+    fireEvent.press(getByText('Library'));
+
+    expect(onVote).toHaveBeenNthCalledWith(1, [1, 2]);
+    expect(onVote).toHaveBeenNthCalledWith(2, []);
+  });
+
+  it('disables voting once closed', () => {
+    const { getByText, getByTestId, onVote } = setup({ closed: true });
+
+    fireEvent.press(getByText('Park'));
+
+    expect(onVote).not.toHaveBeenCalled();
+    expect(getByText('Select one · Poll closed')).toBeTruthy();
+    expect(getByTestId('poll-option-2').props.accessibilityState).toMatchObject({ disabled: true });
+  });
+
+  it('treats polls past their closing time as closed', () => {
+    expect(isPollClosed({ closes_at: '2000-01-01T00:00:00.000Z' })).toBe(true);
+    expect(isPollClosed({ closes_at: null })).toBe(false);
+    expect(isPollClosed({ closed: true })).toBe(true);
+  });
+
+  it('shows creator controls to the creator only', () => {
+    const { getByText, onShowVoters, onClose } = setup({}, { isCreator: true });
+
+    fireEvent.press(getByText('See votes'));
+    fireEvent.press(getByText('Close poll'));
+
+    expect(onShowVoters).toHaveBeenCalled();
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('hides "Close poll" once closed and all controls from other members', () => {
+    const closed = setup({ closed: true }, { isCreator: true });
+    expect(closed.getByText('See votes')).toBeTruthy();
+    expect(closed.queryByText('Close poll')).toBeNull();
+    closed.unmount();
+
+    const member = setup();
+    expect(member.queryByText('See votes')).toBeNull();
+  });
+});
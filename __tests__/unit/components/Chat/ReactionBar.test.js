@@ -0,0 +1,72 @@
+/**
+ * __tests__/unit/components/Chat/ReactionBar.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. groupReactions
+ *    - Folds one-per-member reactions into emoji groups in first-use order and marks the
+ *      current user's group.
+ *
+ * 2. Chips
+ *    - Shows "emoji count" chips, highlights the user's own, renders nothing without reactions.
+ *    - Tapping a chip calls onToggle with its emoji; long-pressing calls onShowReactors.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import ReactionBar, { groupReactions } from 'src/components/Chat/ReactionBar';
+
+const theme = { text: '#111', accent: '#f39c12', link: '#6c5ce7' };
+
+const reactions = [
+  { emoji: '❤️', user: { id: 2, name: 'Sam' } },
+  { emoji: '👍', user: { id: 1, name: 'Alex' } },
+  { emoji: '❤️', user: { id: 3, name: 'Ana' } },
+];
+
+describe('groupReactions', () => {
+  it('groups by emoji in first-use order and marks the user', () => {
+    expect(groupReactions(reactions, '1')).toEqual([
+      { emoji: '❤️', users: [{ id: 2, name: 'Sam' }, { id: 3, name: 'Ana' }], mine: false },
+      { emoji: '👍', users: [{ id: 1, name: 'Alex' }], mine: true },
+    ]);
+    expect(groupReactions(undefined, 1)).toEqual([]);
+  });
+});
+
+describe('ReactionBar', () => {
+  it('shows a chip per emoji and highlights the user’s own', () => {
+    const { getByLabelText } = render(
+      <ReactionBar reactions={reactions} userId={1} theme={theme} />
+    );
+
+    expect(getByLabelText('❤️ 2').props.accessibilityState).toEqual({ selected: false });
+    expect(getByLabelText('👍 1').props.accessibilityState).toEqual({ selected: true });
+  });
+
+  it('renders nothing without reactions', () => {
+    const { toJSON } = render(<ReactionBar reactions={[]} userId={1} theme={theme} />);
+
+    expect(toJSON()).toBeNull();
+  });
+
+  it('toggles on tap and shows reactors on long-press', () => {
+    const onToggle = jest.fn();
+    const onShowReactors = jest.fn();
+    const { getByText } = render(
+      <ReactionBar
+        reactions={reactions}
+        userId={1}
+        theme={theme}
+        onToggle={onToggle}
+        onShowReactors={onShowReactors}
+      />
+    );
+
+    fireEvent.press(getByText('❤️ 2'));
+    fireEvent(getByText('👍 1'), 'longPress');
+
+    expect(onToggle).toHaveBeenCalledWith('❤️');
+    expect(onShowReactors).toHaveBeenCalledTimes(1);
+  });
+});
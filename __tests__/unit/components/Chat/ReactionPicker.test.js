@@ -17,15 +17,11 @@
 import React from 'react';
 import { render, fireEvent } from '@testing-library/react-native';
 
-// --- IMPORTANT: Virtually mock the path that ReactionPicker imports ---
-// From src/components/Chat/ReactionPicker.js, "../assets/reactions.json"
-// resolves to: src/components/assets/reactions.json
+// --- IMPORTANT: Mock the reactions list that ReactionPicker imports ---
+// From src/components/Chat/ReactionPicker.js, "../../assets/reactions.json"
+// resolves to: src/assets/reactions.json
 const MOCK_REACTIONS = ['👍', '❤️', '😂', '👏', '🔥'];
-jest.doMock(
-  '../../../../src/components/assets/reactions.json',
-  () => MOCK_REACTIONS,
-  { virtual: true }
-);
+jest.doMock('../../../../src/assets/reactions.json', () => MOCK_REACTIONS);
 
 // Import AFTER the mock above so it takes effect:
 const ReactionPicker = require('../../../../src/components/Chat/ReactionPicker').default;
@@ -0,0 +1,63 @@
+/**
+ * __tests__/unit/components/Chat/ReceiptTicks.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. receiptStatus
+ *    - Local echoes are sending (failed ones show nothing); server messages are sent until every
+ *      member has received them, delivered until every member has read them, then read.
+ *
+ * 2. Ticks
+ *    - Shows the icon and label for the status; read ticks use the link color.
+ *    - Tapping calls onPress when given.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import ReceiptTicks, { receiptStatus } from 'src/components/Chat/ReceiptTicks';
+
+const theme = { link: '#6c5ce7', mutedText: '#aaaaaa' };
+const at = '2025-04-10T08:00:00.000Z';
+
+const withReceipts = (...receipts) => ({ id: 5, receipts });
+
+describe('receiptStatus', () => {
+  it('follows the slowest member', () => {
+    expect(receiptStatus({ id: 'temp-1', status: 'pending' })).toBe('sending');
+    expect(receiptStatus({ id: 'temp-1', status: 'uploading' })).toBe('sending');
+    expect(receiptStatus({ id: 'temp-1', status: 'failed' })).toBeNull();
+
+    expect(receiptStatus({ id: 5 })).toBe('sent');
+    expect(
+      receiptStatus(withReceipts({ delivered_at: at, read_at: null }, { delivered_at: null, read_at: null }))
+    ).toBe('sent');
+    expect(receiptStatus(withReceipts({ delivered_at: at, read_at: at }, { delivered_at: at, read_at: null }))).toBe(
+      'delivered'
+    );
+    expect(receiptStatus(withReceipts({ delivered_at: at, read_at: at }))).toBe('read');
+  });
+});
+
+describe('ReceiptTicks', () => {
+  it('shows the status icon and label', () => {
+    const sent = render(<ReceiptTicks message={{ id: 5 }} theme={theme} />);
+    expect(sent.getByLabelText('Sent')).toBeTruthy();
+    expect(sent.getByText('ion:checkmark')).toBeTruthy();
+    sent.unmount();
+
+    const read = render(<ReceiptTicks message={withReceipts({ delivered_at: at, read_at: at })} theme={theme} />);
+    expect(read.getByText('ion:checkmark-done').props.color).toBe('#6c5ce7');
+    read.unmount();
+
+    const failed = render(<ReceiptTicks message={{ id: 'temp-1', status: 'failed' }} theme={theme} />);
+    expect(failed.queryByTestId('receipt-ticks')).toBeNull();
+  });
+
+  it('calls onPress when tapped', () => {
+    const onPress = jest.fn();
+    const { getByTestId } = render(<ReceiptTicks message={{ id: 5 }} theme={theme} onPress={onPress} />);
+
+    fireEvent.press(getByTestId('receipt-ticks'));
+    expect(onPress).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * __tests__/unit/components/Chat/VoiceNotePlayer.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Play / Pause
+ *    - Loads the note's url and plays or pauses it; a finished note rewinds.
+ *
+ * 2. Scrubbing
+ *    - Dragging across the waveform seeks to that point on release.
+ *
+ * 3. Speed & time
+ *    - The speed chip cycles 1× → 1.5× → 2× → 1×.
+ *    - Shows the note's length when idle and the position while playing.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import { useAudioPlayer, useAudioPlayerStatus } from 'expo-audio';
+import VoiceNotePlayer from 'src/components/Chat/VoiceNotePlayer';
+
+const theme = { text: '#222', link: '#00f', mutedText: '#aaa' };
+const voice = { url: 'https://cdn/voice.m4a', duration_ms: 8000, waveform: [0.2, 0.8, 0.5] };
+const idle = { playing: false, currentTime: 0, duration: 0, didJustFinish: false };
+
+describe('VoiceNotePlayer', () => {
+  let player;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    player = useAudioPlayer();
+    useAudioPlayerStatus.mockReturnValue(idle);
+  });
+
+  it('plays and pauses the note', () => {
+    const { getByLabelText, rerender } = render(<VoiceNotePlayer voice={voice} theme={theme} />);
+
+    expect(useAudioPlayer).toHaveBeenCalledWith({ uri: 'https://cdn/voice.m4a' });
+    fireEvent.press(getByLabelText('Play voice note'));
+    expect(player.play).toHaveBeenCalled();
+
+    useAudioPlayerStatus.mockReturnValue({ ...idle, playing: true, currentTime: 2, duration: 8 });
+    rerender(<VoiceNotePlayer voice={voice} theme={theme} />);
+    fireEvent.press(getByLabelText('Pause voice note'));
+    expect(player.pause).toHaveBeenCalled();
+  });
+
+  it('rewinds a finished note', () => {
+    useAudioPlayerStatus.mockReturnValue({ ...idle, currentTime: 8, duration: 8, didJustFinish: true });
+    render(<VoiceNotePlayer voice={voice} theme={theme} />);
+
+    expect(player.pause).toHaveBeenCalled();
+    expect(player.seekTo).toHaveBeenCalledWith(0);
+  });
+
+  it('seeks to where the waveform is released', () => {
+    const { getByTestId } = render(<VoiceNotePlayer voice={voice} theme={theme} />);
+    const scrubber = getByTestId('voice-scrubber');
+
+    fireEvent(scrubber, 'layout', { nativeEvent: { layout: { width: 200 } } });
+    fireEvent(scrubber, 'responderGrant', { nativeEvent: { locationX: 20 } });
+    fireEvent(scrubber, 'responderMove', { nativeEvent: { locationX: 100 } });
+    fireEvent(scrubber, 'responderRelease', { nativeEvent: { locationX: 150 } });
+
+    expect(player.seekTo).toHaveBeenCalledWith(6);
+  });
+
+  it('cycles the playback speed', () => {
+    const { getByLabelText, getByText } = render(<VoiceNotePlayer voice={voice} theme={theme} />);
+
+    fireEvent.press(getByLabelText('Playback speed'));
+    expect(player.setPlaybackRate).toHaveBeenLastCalledWith(1.5);
+    expect(getByText('1.5×')).toBeTruthy();
+
+    fireEvent.press(getByLabelText('Playback speed'));
+    fireEvent.press(getByLabelText('Playback speed'));
+    expect(player.setPlaybackRate).toHaveBeenLastCalledWith(1);
+    expect(getByText('1×')).toBeTruthy();
+  });
+
+  it('shows the length when idle and the position while playing', () => {
+    const { getByText, rerender } = render(<VoiceNotePlayer voice={voice} theme={theme} />);
+    expect(getByText('0:08')).toBeTruthy();
+
+    useAudioPlayerStatus.mockReturnValue({ ...idle, playing: true, currentTime: 3, duration: 8 });
+    rerender(<VoiceNotePlayer voice={voice} theme={theme} />);
+    expect(getByText('0:03')).toBeTruthy();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * __tests__/unit/components/Chat/VoiceRecorder.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Hold to record
+ *    - Pressing the mic asks for permission and starts recording; the strip shows the time.
+ *    - Releasing it stops the recording and hands the prepared note to `onRecorded`.
+ *
+ * 2. Cancelling
+ *    - Sliding left past CANCEL_SWIPE_DISTANCE shows "Release to cancel" and drops the note.
+ *    - Taps shorter than a second are dropped.
+ *
+ * 3. Limits & errors
+ *    - Recording stops by itself at the maximum length and keeps the note, even when the
+ *      status tick lands past the limit.
+ *    - A denied permission is passed to `onError` without recording.
+ */
+
+import React from 'react';
+import { render, fireEvent, act } from '@testing-library/react-native';
+import { AudioModule, useAudioRecorder, useAudioRecorderState } from 'expo-audio';
+import VoiceRecorder, { CANCEL_SWIPE_DISTANCE } from 'src/components/Chat/VoiceRecorder';
+
+const theme = { link: '#00f', text: '#222', mutedText: '#aaa', surface: '#fff' };
+const limits = { maxDurationMs: 10000, maxSizeBytes: 1000 };
+const MIC = 'Hold to record a voice note';
+
+const setup = (props = {}) => {
+  const handlers = { onRecordingChange: jest.fn(), onRecorded: jest.fn(), onError: jest.fn() };
+  const ui = () => <VoiceRecorder theme={theme} limits={limits} {...handlers} {...props} />;
+  const utils = render(ui());
+  const rerender = () => utils.rerender(ui());
+  return { ...utils, ...handlers, rerender };
+};
+
+const press = async (utils, pageX = 300) => {
+  await act(async () => {
+    fireEvent(utils.getByLabelText(MIC), 'responderGrant', { nativeEvent: { pageX } });
+  });
+};
+
+const tick = (utils, durationMillis, metering = -30) => {
+  useAudioRecorderState.mockReturnValue({ isRecording: true, durationMillis, metering });
+  utils.rerender();
+};
+
+const release = async (utils, pageX = 300) => {
+  await act(async () => {
+    fireEvent(utils.getByLabelText(MIC), 'responderRelease', { nativeEvent: { pageX } });
+  });
+};
+
+describe('VoiceRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    recorder = useAudioRecorder();
+    useAudioRecorderState.mockReturnValue({ isRecording: false, durationMillis: 0, metering: -160 });
+  });
+
+  it('records while the mic is held and sends the note on release', async () => {
+    const utils = setup();
+    expect(utils.queryByTestId('voice-recording')).toBeNull();
+
+    await press(utils);
+    expect(AudioModule.requestRecordingPermissionsAsync).toHaveBeenCalled();
+    expect(recorder.record).toHaveBeenCalled();
+    expect(utils.onRecordingChange).toHaveBeenCalledWith(true);
+
+    tick(utils, 1500);
+    tick(utils, 3200, -10);
+    expect(utils.getByTestId('voice-recording')).toBeTruthy();
+    expect(utils.getByText('0:03')).toBeTruthy();
+    expect(utils.getByText('‹ Slide to cancel')).toBeTruthy();
+
+    await release(utils, 290);
+
+    expect(recorder.stop).toHaveBeenCalled();
+    expect(utils.onRecordingChange).toHaveBeenLastCalledWith(false);
+    expect(utils.onRecorded).toHaveBeenCalledWith(
+      expect.objectContaining({ uri: 'file:///mock/voice.m4a', duration_ms: 3200, mime_type: 'audio/mp4' })
+    );
+    expect(utils.queryByTestId('voice-recording')).toBeNull();
+  });
+
+  it('drops the note when the finger slides left', async () => {
+    const utils = setup();
+    await press(utils);
+    tick(utils, 4000);
+
+    fireEvent(utils.getByLabelText(MIC), 'responderMove', {
+      nativeEvent: { pageX: 300 - CANCEL_SWIPE_DISTANCE - 10 },
+    });
+    expect(utils.getByText('Release to cancel')).toBeTruthy();
+
+    await release(utils, 300 - CANCEL_SWIPE_DISTANCE - 10);
+
+    expect(recorder.stop).toHaveBeenCalled();
+    expect(utils.onRecorded).not.toHaveBeenCalled();
+    expect(utils.onError).not.toHaveBeenCalled();
+  });
+
+  it('drops taps shorter than a second', async () => {
+    const utils = setup();
+    await press(utils);
+    tick(utils, 300);
+    await release(utils);
+
+    expect(utils.onRecorded).not.toHaveBeenCalled();
+  });
+
+  it('stops by itself at the maximum length and keeps the note', async () => {
+    const utils = setup();
+    await press(utils);
+
+    await act(async () => {
+      tick(utils, limits.maxDurationMs + 60);
+    });
+
+    expect(recorder.stop).toHaveBeenCalled();
+    expect(utils.onRecorded).toHaveBeenCalledWith(expect.objectContaining({ duration_ms: limits.maxDurationMs }));
+    expect(utils.onError).not.toHaveBeenCalled();
+  });
+
+  it('reports a denied permission without recording', async () => {
+    AudioModule.requestRecordingPermissionsAsync.mockResolvedValueOnce({ granted: false });
+    const utils = setup();
+
+    await press(utils);
+    await release(utils);
+
+    expect(recorder.record).not.toHaveBeenCalled();
+    expect(utils.onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Microphone permission not granted' }));
+    expect(utils.onRecorded).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * __tests__/unit/components/Chat/Waveform.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Bars
+ *    - One bar per level, scaled to `height` with a 2px minimum.
+ *
+ * 2. Progress
+ *    - Bars before `progress` use `playedColor`, the rest `color`.
+ */
+
+import React from 'react';
+import { StyleSheet } from 'react-native';
+import { render } from '@testing-library/react-native';
+import Waveform from 'src/components/Chat/Waveform';
+
+const barStyles = (utils) => utils.getAllByTestId('waveform-bar').map((bar) => StyleSheet.flatten(bar.props.style));
+
+describe('Waveform', () => {
+  it('draws one bar per level', () => {
+    const utils = render(<Waveform levels={[0, 0.5, 1]} color='#aaa' height={20} />);
+    const bars = barStyles(utils);
+
+    expect(bars.map((b) => b.height)).toEqual([2, 10, 20]);
+  });
+
+  it('colours the played part', () => {
+    const utils = render(<Waveform levels={[0.2, 0.4, 0.6, 0.8]} progress={0.5} color='#aaa' playedColor='#00f' />);
+
+    expect(barStyles(utils).map((b) => b.backgroundColor)).toEqual(['#00f', '#00f', '#aaa', '#aaa']);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * PendingSyncIndicator.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Hidden When Idle
+ *    - Renders nothing with no pending changes, no conflicts and no sync running.
+ *
+ * 2. Counts
+ *    - Shows the pending and conflict counts with a descriptive accessibility label.
+ *
+ * 3. Syncing
+ *    - Shows a spinner while the outbox is replaying.
+ *
+ * 4. Interaction
+ *    - Calls `onPress` when tapped.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import PendingSyncIndicator from '../../../src/components/PendingSyncIndicator';
+
+const theme = { text: '#111', error: '#e00' };
+
+describe('PendingSyncIndicator', () => {
+  it('renders nothing when idle', () => {
+    const { toJSON } = render(<PendingSyncIndicator theme={theme} />);
+    expect(toJSON()).toBeNull();
+  });
+
+  it('shows pending and conflict counts', () => {
+    const { getByText, getByTestId } = render(
+      <PendingSyncIndicator pendingCount={3} conflictCount={1} theme={theme} />
+    );
+
+    expect(getByText('3')).toBeTruthy();
+    expect(getByText('1')).toBeTruthy();
+    expect(getByTestId('pending-sync-indicator').props.accessibilityLabel).toBe(
+      '3 changes waiting to sync, 1 change could not be synced'
+    );
+  });
+
+  it('shows a spinner while syncing', () => {
+    const { getByTestId } = render(
+      <PendingSyncIndicator pendingCount={1} isSyncing theme={theme} />
+    );
+
+    expect(getByTestId('pending-sync-spinner')).toBeTruthy();
+    expect(getByTestId('pending-sync-indicator').props.accessibilityLabel).toBe(
+      '1 change waiting to sync, Syncing'
+    );
+  });
+
+  it('calls onPress when tapped', () => {
+    const onPress = jest.fn();
+    const { getByTestId } = render(
+      <PendingSyncIndicator pendingCount={1} onPress={onPress} theme={theme} />
+    );
+
+    fireEvent.press(getByTestId('pending-sync-indicator'));
+    expect(onPress).toHaveBeenCalledTimes(1);
+  });
+});
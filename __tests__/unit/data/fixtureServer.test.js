@@ -0,0 +1,1052 @@
+/**
+ * __tests__/unit/data/fixtureServer.test.js
+ *
+ * What These Tests Cover:
+ * 1) Routing
+ *    - Unknown routes answer 404; query strings are merged into the request data.
+ *    - Each server owns its own copy of the seed; `reset()` restores it.
+ *
+ * 2) Route groups (one or two flows each)
+ *    - Users: register → request OTP → verify OTP → refresh token.
+ *    - Chat: list summaries, reuse a direct chat, send and page messages, membership checks.
+ *    - Threads: replies stay out of the timeline, count on the parent and page by `before`.
+ *    - Reactions: one per member and message; a new emoji replaces the old, DELETE removes it.
+ *    - Edits & deletions: sender only, within their time windows; edits keep the earlier text.
+ *    - Group admin: roles, settings, mutes, bans and announcement-only mode; only members who
+ *      outrank the target can manage them.
+ *    - Pins: admins in groups, either member in direct chats; at most five, newest first, and
+ *      deleting a message unpins it.
+ *    - Preferences: each member's own mute, archive and notification level, shown on their
+ *      summaries and respected when new messages record pushes.
+ *    - Mentions: stored for members only, named on messages, counted as unread on the mentioned
+ *      member's summary until read, and kept in step with edits and deletions.
+ *    - Search: hits across the user's chats newest first, or in one chat for its members; short
+ *      queries, deleted messages and thread replies are left out.
+ *    - Images: chunked uploads checked by offset, then posted as an image message.
+ *    - Voice notes: uploads posted as a voice message with length and waveform; audio only,
+ *      within the configured length and size.
+ *    - Polls: create → vote (tallies, own votes) → close; creator-only voters and closing.
+ *    - Events: group chats only; RSVP counts, capacity, and "Attend" tasks in the user's task list.
+ *    - Tasks: complete (XP once) → progress → uncomplete.
+ *    - Quizzes: questions are hidden in the list; submit grades by option text.
+ *    - Alerts: pagination by category, read state for system alerts, pending actions.
+ *    - Documents: upsert, mark read, delete.
+ */
+
+import { createFixtureServer } from '../../../src/data/fixtureServer';
+import { FIXTURE_OTP } from '../../../src/data/fixtureServer/routes/users';
+import * as voiceNotes from '../../../src/utils/voiceNotes';
+import {
+  mockTasks,
+  mockQuizzes,
+  mockAlerts,
+} from '../../../src/data/mockData';
+
+let server;
+
+beforeEach(() => {
+  server = createFixtureServer();
+});
+
+describe('fixture server routing', () => {
+  it('answers 404 for routes it does not know', async () => {
+    await expect(server.handle('GET', '/v0.0/news/1')).resolves.toEqual({
+      status: 404,
+      body: { message: 'No fixture for GET /v0.0/news/1' },
+    });
+  });
+
+  it('merges query string values into the request data', async () => {
+    const { status, body } = await server.handle(
+      'GET',
+      '/v0.0/users/suggestions?search=priya'
+    );
+
+    expect(status).toBe(200);
+    expect(body.data.map((u) => u.name)).toEqual(['Priya Shah']);
+  });
+
+  it('keeps writes per server and restores the seed on reset', async () => {
+    const other = createFixtureServer();
+    await server.handle('POST', '/v0.0/tasks/complete', { user_id: 1, task_id: 1 });
+
+    const own = await server.handle('GET', '/v0.0/tasks/progress/1');
+    const untouched = await other.handle('GET', '/v0.0/tasks/progress/1');
+    expect(own.body.completedTasks).toHaveLength(2);
+    expect(untouched.body.completedTasks).toHaveLength(1);
+
+    server.reset();
+    const restored = await server.handle('GET', '/v0.0/tasks/progress/1');
+    expect(restored.body.completedTasks).toHaveLength(1);
+  });
+
+  it('accepts a custom seed and never hands out table rows', async () => {
+    server = createFixtureServer({ seed: { tasks: [{ id: 9, title: 'Only', xp: 5 }] } });
+
+    const first = await server.handle('GET', '/v0.0/tasks/1');
+    first.body.tasks[0].title = 'Changed';
+    const second = await server.handle('GET', '/v0.0/tasks/1');
+
+    expect(second.body.tasks).toEqual([{ id: 9, title: 'Only', xp: 5 }]);
+  });
+});
+
+describe('fixture users routes', () => {
+  it('registers, logs in with the fixture OTP and refreshes the token', async () => {
+    const registered = await server.handle('POST', '/v0.0/users/register', {
+      name: 'Sam Lee',
+      phone_number: '5550199999',
+    });
+    expect(registered.body).toMatchObject({ user_id: 5, otp_code: FIXTURE_OTP });
+
+    const duplicate = await server.handle('POST', '/v0.0/users/register', {
+      phone_number: '5550199999',
+    });
+    expect(duplicate.status).toBe(409);
+
+    const otp = await server.handle('POST', '/v0.0/users/request-otp', {
+      phone_number: '5550199999',
+    });
+    expect(otp.body.user_id).toBe(5);
+
+    const wrong = await server.handle('POST', '/v0.0/users/verify-otp', {
+      user_id: 5,
+      otp_code: '000000',
+    });
+    expect(wrong).toEqual({ status: 401, body: { message: 'Invalid OTP' } });
+
+    const verified = await server.handle('POST', '/v0.0/users/verify-otp', {
+      user_id: 5,
+      otp_code: FIXTURE_OTP,
+    });
+    expect(verified.body.user).toMatchObject({ id: 5, name: 'Sam Lee' });
+    expect(verified.body.refresh_token).toBe('fixture-refresh-5');
+
+    const refreshed = await server.handle('POST', '/v0.0/users/refresh-token', {
+      refresh_token: verified.body.refresh_token,
+    });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.access_token).toMatch(/^fixture-access-5-/);
+  });
+
+  it('asks unknown numbers to register', async () => {
+    const { status } = await server.handle('POST', '/v0.0/users/request-otp', {
+      phone_number: '0000000000',
+    });
+    expect(status).toBe(404);
+  });
+});
+
+describe('fixture chat routes', () => {
+  it('lists chat summaries named after the other member of a direct chat', async () => {
+    const { body } = await server.handle('GET', '/v0.0/chat/list/1');
+
+    expect(body.data.map((c) => c.chat_id).sort()).toEqual([1, 2]);
+    const direct = body.data.find((c) => !c.is_group);
+    expect(direct.name).toBe('Priya Shah');
+    expect(direct.members.map((m) => m.id)).toEqual([1, 2]);
+  });
+
+  it('reuses an existing direct chat instead of creating another', async () => {
+    const { body } = await server.handle('POST', '/v0.0/chat/create', {
+      user_id: 2,
+      participant_ids: [1],
+    });
+
+    expect(body.message).toBe('Chat exists');
+    expect(body.chat.chat_id).toBe(1);
+  });
+
+  it('stores sent messages and returns them with the sender', async () => {
+    const sent = await server.handle('POST', '/v0.0/chat/2/messages', {
+      sender_id: 3,
+      message: 'Anyone need sandbags?',
+    });
+    expect(sent.status).toBe(200);
+
+    const { body } = await server.handle('GET', '/v0.0/chat/2/messages');
+    const last = body.data[body.data.length - 1];
+    expect(last).toMatchObject({
+      id: sent.body.message_id,
+      content: 'Anyone need sandbags?',
+      sender: { id: 3 },
+    });
+
+    const list = await server.handle('GET', '/v0.0/chat/list/3');
+    expect(list.body.data[0]).toMatchObject({
+      lastMessage: 'Anyone need sandbags?',
+      last_message_id: last.id,
+      last_message_sender_id: 3,
+    });
+  });
+
+  it('pages messages with limit and a before cursor', async () => {
+    for (const message of ['One', 'Two', 'Three']) {
+      await server.handle('POST', '/v0.0/chat/2/messages', { sender_id: 1, message });
+    }
+    const all = (await server.handle('GET', '/v0.0/chat/2/messages')).body;
+    expect(all.has_more).toBe(false);
+
+    const newest = (await server.handle('GET', '/v0.0/chat/2/messages?limit=2')).body;
+    expect(newest.data.map((m) => m.content)).toEqual(['Two', 'Three']);
+    expect(newest.has_more).toBe(true);
+
+    const older = (await server.handle('GET', `/v0.0/chat/2/messages?limit=2&before=${newest.data[0].id}`)).body;
+    expect(older.data.map((m) => m.id)).toEqual(all.data.slice(-4, -2).map((m) => m.id));
+    expect(older.has_more).toBe(all.data.length > 4);
+  });
+
+  it('lists receipts for the other members and stamps reads', async () => {
+    const sent = await server.handle('POST', '/v0.0/chat/2/messages', { sender_id: 1, message: 'Road closed' });
+    const reply = await server.handle('POST', '/v0.0/chat/2/messages', { sender_id: 2, message: 'Thanks' });
+
+    const find = async (id) =>
+      (await server.handle('GET', '/v0.0/chat/2/messages?user_id=1')).body.data.find((m) => m.id === id);
+
+    expect((await find(sent.body.message_id)).receipts).toEqual([
+      { user: { id: 2, name: expect.any(String) }, delivered_at: null, read_at: null },
+      { user: { id: 3, name: expect.any(String) }, delivered_at: null, read_at: null },
+    ]);
+
+    await server.handle('POST', '/v0.0/chat/read', { user_id: 2, message_id: reply.body.message_id });
+
+    const [sam, ana] = (await find(sent.body.message_id)).receipts;
+    expect(sam.read_at).toEqual(expect.any(String));
+    expect(sam.delivered_at).toBe(sam.read_at);
+    expect(ana.read_at).toBeNull();
+    expect((await find(reply.body.message_id)).receipts.map((r) => r.user.id)).toEqual([1, 3]);
+    expect((await find(reply.body.message_id)).receipts.every((r) => !r.read_at)).toBe(true);
+  });
+
+  it('rejects messages from non-members and unknown chats', async () => {
+    const outsider = await server.handle('POST', '/v0.0/chat/1/messages', {
+      sender_id: 3,
+      message: 'Hi',
+    });
+    const missing = await server.handle('GET', '/v0.0/chat/99/messages');
+
+    expect(outsider.status).toBe(403);
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe('fixture thread routes', () => {
+  const postMessage = async () =>
+    (await server.handle('POST', '/v0.0/chat/2/messages', { sender_id: 1, message: 'Road closed?' })).body.message_id;
+  const reply = (parentId, data) =>
+    server.handle('POST', `/v0.0/chat/2/messages/${parentId}/replies`, { sender_id: 2, ...data });
+  const replies = (parentId, query = '') =>
+    server.handle('GET', `/v0.0/chat/2/messages/${parentId}/replies${query}`);
+
+  it('stores replies under their parent and counts them', async () => {
+    const parentId = await postMessage();
+
+    const first = await reply(parentId, { message: 'Yes, on Main St' });
+    const second = await reply(parentId, { message: 'Detour via the bridge' });
+
+    expect(first.body.message).toMatchObject({ parent_message_id: parentId, content: 'Yes, on Main St' });
+    expect(second.body.reply_count).toBe(2);
+
+    const { body } = await server.handle('GET', '/v0.0/chat/2/messages');
+    const last = body.data[body.data.length - 1];
+    expect(last).toMatchObject({ id: parentId, reply_count: 2, parent_message_id: null });
+
+    const list = await server.handle('GET', '/v0.0/chat/list/1');
+    expect(list.body.data.find((c) => c.chat_id === 2).lastMessage).toBe('Road closed?');
+  });
+
+  it('pages replies oldest first with a before cursor', async () => {
+    const parentId = await postMessage();
+    const ids = [];
+    for (const text of ['one', 'two', 'three']) {
+      ids.push((await reply(parentId, { message: text })).body.message_id);
+    }
+
+    const newest = await replies(parentId, '?limit=2');
+    expect(newest.body.data.map((m) => m.content)).toEqual(['two', 'three']);
+    expect(newest.body.has_more).toBe(true);
+
+    const older = await replies(parentId, `?limit=2&before=${ids[1]}`);
+    expect(older.body.data.map((m) => m.content)).toEqual(['one']);
+    expect(older.body.has_more).toBe(false);
+  });
+
+  it('validates replies', async () => {
+    const parentId = await postMessage();
+    const { message_id: replyId } = (await reply(parentId, { message: 'ok' })).body;
+
+    expect((await reply(parentId, { message: '  ' })).status).toBe(400);
+    expect((await reply(parentId, { sender_id: 4, message: 'hi' })).status).toBe(403);
+    expect((await reply(replyId, { message: 'nested' })).status).toBe(400);
+    expect((await reply(999, { message: 'hi' })).status).toBe(404);
+    expect((await replies(999)).status).toBe(404);
+  });
+});
+
+describe('fixture reaction routes', () => {
+  const url = '/v0.0/chat/2/messages/3/reactions';
+  const react = (userId, emoji) => server.handle('POST', url, { user_id: userId, emoji });
+
+  it('keeps one reaction per member and shows them on the message', async () => {
+    await react(1, '❤️');
+    await react(2, '👍');
+    const replaced = await react(1, '🎉');
+
+    expect(replaced.body).toEqual({
+      message_id: 3,
+      reactions: [
+        { emoji: '👍', user: { id: 2, name: expect.any(String) } },
+        { emoji: '🎉', user: { id: 1, name: expect.any(String) } },
+      ],
+    });
+
+    const removed = await server.handle('DELETE', url, { user_id: 2 });
+    expect(removed.body.reactions.map((r) => r.emoji)).toEqual(['🎉']);
+
+    const { body } = await server.handle('GET', '/v0.0/chat/2/messages');
+    expect(body.data.find((m) => m.id === 3).reactions).toEqual(removed.body.reactions);
+  });
+
+  it('validates reactions', async () => {
+    expect((await react(1, ' ')).status).toBe(400);
+    expect((await react(4, '❤️')).status).toBe(403);
+    expect((await server.handle('POST', '/v0.0/chat/2/messages/1/reactions', { user_id: 1, emoji: '❤️' })).status).toBe(404);
+  });
+});
+
+describe('fixture edit and delete routes', () => {
+  const send = async (message = 'Shelter opens at 6') =>
+    (await server.handle('POST', '/v0.0/chat/2/messages', { sender_id: 1, message })).body.message_id;
+  const url = (id) => `/v0.0/chat/2/messages/${id}`;
+  const minutesLater = (minutes) =>
+    jest.spyOn(Date, 'now').mockReturnValue(new Date().getTime() + minutes * 60 * 1000);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('edits the sender’s text and keeps the earlier versions', async () => {
+    const id = await send();
+
+    const first = await server.handle('PATCH', url(id), { user_id: 1, content: ' Shelter opens at 7 ' });
+    const second = await server.handle('PATCH', url(id), { user_id: 1, content: 'Shelter opens at 8' });
+
+    expect(first.body.message).toMatchObject({ content: 'Shelter opens at 7', edited_at: expect.any(String) });
+    expect(second.body.message.edit_history.map((v) => v.content)).toEqual([
+      'Shelter opens at 6',
+      'Shelter opens at 7',
+    ]);
+    expect(second.body.message.edit_history[1].written_at).toBe(first.body.message.edited_at);
+
+    const { body } = await server.handle('GET', '/v0.0/chat/2/messages');
+    expect(body.data.find((m) => m.id === id)).toMatchObject(second.body.message);
+  });
+
+  it('deletes for everyone and shows it in the chat list', async () => {
+    const id = await send();
+    await server.handle('POST', `${url(id)}/reactions`, { user_id: 2, emoji: '👍' });
+
+    const deleted = await server.handle('DELETE', url(id), { user_id: 1 });
+    expect(deleted.body.message).toMatchObject({ content: null, deleted_at: expect.any(String), reactions: [] });
+
+    const list = await server.handle('GET', '/v0.0/chat/list/1');
+    expect(list.body.data.find((c) => c.chat_id === 2).lastMessage).toBe('This message was deleted');
+    expect((await server.handle('PATCH', url(id), { user_id: 1, content: 'Back' })).status).toBe(410);
+  });
+
+  it('limits changes to the sender within the time windows', async () => {
+    const id = await send();
+
+    expect((await server.handle('PATCH', url(id), { user_id: 2, content: 'Hijack' })).status).toBe(403);
+    expect((await server.handle('DELETE', url(id), { user_id: 2 })).status).toBe(403);
+    expect((await server.handle('PATCH', url(id), { user_id: 1, content: ' ' })).status).toBe(400);
+
+    minutesLater(20);
+    const late = await server.handle('PATCH', url(id), { user_id: 1, content: 'Too late' });
+    expect(late).toEqual({ status: 403, body: { message: 'The time to edit this message has passed' } });
+    expect((await server.handle('DELETE', url(id), { user_id: 1 })).status).toBe(200);
+
+    const other = await send('Bring water');
+    minutesLater(61);
+    expect((await server.handle('DELETE', url(other), { user_id: 1 })).status).toBe(403);
+  });
+});
+
+describe('fixture group admin routes', () => {
+  // Chat 2 is a group of users 1, 2 and 3 created by user 2, its owner
+  const member = (id, data) => server.handle('PATCH', `/v0.0/chat/2/members/${id}`, data);
+  const post = (senderId) =>
+    server.handle('POST', '/v0.0/chat/2/messages', { sender_id: senderId, message: 'Road closed' });
+  const roles = (chat) => Object.fromEntries(chat.members.map((m) => [m.id, m.role]));
+
+  it('shows roles on group members only', async () => {
+    const group = await server.handle('GET', '/v0.0/chat/2');
+    expect(roles(group.body.chat)).toEqual({ 1: 'member', 2: 'owner', 3: 'member' });
+
+    const direct = await server.handle('GET', '/v0.0/chat/1');
+    expect(direct.body.chat.members.every((m) => m.role === undefined)).toBe(true);
+  });
+
+  it('promotes and demotes admins', async () => {
+    const promoted = await member(1, { user_id: 2, role: 'admin' });
+    expect(roles(promoted.body.chat)).toMatchObject({ 1: 'admin' });
+
+    // the new admin manages members but not the owner
+    expect((await member(3, { user_id: 1, role: 'admin' })).status).toBe(200);
+    expect(await member(2, { user_id: 1, role: 'member' })).toEqual({
+      status: 403,
+      body: { message: 'You cannot manage this member' },
+    });
+
+    const demoted = await member(1, { user_id: 2, role: 'member' });
+    expect(roles(demoted.body.chat)).toMatchObject({ 1: 'member', 3: 'admin' });
+    expect((await member(1, { user_id: 2, role: 'owner' })).status).toBe(400);
+  });
+
+  it('lets admins edit the group settings', async () => {
+    const { status, body } = await server.handle('PATCH', '/v0.0/chat/2', {
+      user_id: 2,
+      name: ' Flood Watch ',
+      description: 'River levels',
+      avatar: 'data:image/jpeg;base64,QUJD',
+    });
+
+    expect(status).toBe(200);
+    expect(body.chat).toMatchObject({
+      name: 'Flood Watch',
+      description: 'River levels',
+      avatar: 'data:image/jpeg;base64,QUJD',
+    });
+    expect((await server.handle('PATCH', '/v0.0/chat/2', { user_id: 2, name: ' ' })).status).toBe(400);
+    expect(await server.handle('PATCH', '/v0.0/chat/2', { user_id: 1, name: 'Mine' })).toEqual({
+      status: 403,
+      body: { message: 'Only group admins can do this' },
+    });
+    expect((await server.handle('PATCH', '/v0.0/chat/1', { user_id: 1, name: 'DM' })).status).toBe(400);
+  });
+
+  it('keeps muted members from posting until the mute ends', async () => {
+    const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const muted = await member(3, { user_id: 2, muted_until: until });
+    expect(muted.body.chat.members.find((m) => m.id === 3).muted_until).toBe(until);
+
+    expect(await post(3)).toEqual({ status: 403, body: { message: 'You are muted in this group' } });
+    expect((await post(1)).status).toBe(200);
+
+    await member(3, { user_id: 2, muted_until: null });
+    expect((await post(3)).status).toBe(200);
+    expect((await member(3, { user_id: 2, muted_until: 'soon' })).status).toBe(400);
+  });
+
+  it('lets only admins post in announcement-only mode', async () => {
+    await server.handle('PATCH', '/v0.0/chat/2', { user_id: 2, announcement_only: true });
+
+    expect(await post(1)).toEqual({ status: 403, body: { message: 'Only admins can post in this group' } });
+    expect((await post(2)).status).toBe(200);
+    const reply = await server.handle('POST', '/v0.0/chat/2/messages/1/replies', { sender_id: 3, message: 'Ok' });
+    expect(reply.status).toBe(403);
+  });
+
+  it('bans members so they cannot be added back', async () => {
+    const banned = await server.handle('POST', '/v0.0/chat/2/members/3/ban', { user_id: 2 });
+    expect(banned.body.chat.members.map((m) => m.id)).toEqual([1, 2]);
+
+    const readd = await server.handle('POST', '/v0.0/chat/2/add-members', { user_ids: [3] });
+    expect(readd).toEqual({ status: 403, body: { message: 'User 3 is banned from this group' } });
+    expect((await server.handle('POST', '/v0.0/chat/2/members/1/ban', { user_id: 3 })).status).toBe(403);
+    expect((await server.handle('POST', '/v0.0/chat/2/members/3/ban', { user_id: 2 })).status).toBe(404);
+  });
+
+  it('lets admins remove members they outrank', async () => {
+    const remove = (userId, requestedBy) =>
+      server.handle('DELETE', '/v0.0/chat/2/remove-member', { user_id: userId, requested_by: requestedBy });
+
+    expect((await remove(2, 1)).status).toBe(403);
+    expect((await remove(3, 2)).status).toBe(200);
+    // leaving the group needs no admin
+    expect((await remove(1, 1)).status).toBe(200);
+  });
+});
+
+describe('fixture pin routes', () => {
+  // Chat 2 is a group of users 1, 2 and 3 owned by user 2; chat 1 is a direct chat of users 1 and 2
+  const send = async (chatId, message = 'Evacuation point: the school') =>
+    (await server.handle('POST', `/v0.0/chat/${chatId}/messages`, { sender_id: 1, message })).body.message_id;
+  const pin = (chatId, userId, messageId) =>
+    server.handle('POST', `/v0.0/chat/${chatId}/pins`, { user_id: userId, message_id: messageId });
+  const pinnedIds = (body) => body.pins.map((p) => p.message_id);
+
+  it('lets group admins pin, newest first, with the message and who pinned it', async () => {
+    const first = await send(2);
+    const second = await send(2, 'Roster for Saturday');
+
+    await pin(2, 2, first);
+    const { status, body } = await pin(2, 2, second);
+
+    expect(status).toBe(200);
+    expect(pinnedIds(body)).toEqual([second, first]);
+    expect(body.pins[0]).toMatchObject({
+      pinned_by: { id: 2 },
+      pinned_at: expect.any(String),
+      message: { id: second, content: 'Roster for Saturday' },
+    });
+    expect(pinnedIds((await server.handle('GET', '/v0.0/chat/2/pins', { user_id: 3 })).body)).toEqual([second, first]);
+
+    // pinning again changes nothing
+    expect(pinnedIds((await pin(2, 2, first)).body)).toEqual([second, first]);
+    expect(await pin(2, 1, first)).toEqual({ status: 403, body: { message: 'Only group admins can pin messages' } });
+  });
+
+  it('lets either member of a direct chat pin and unpin', async () => {
+    const id = await send(1);
+
+    expect(pinnedIds((await pin(1, 2, id)).body)).toEqual([id]);
+    const unpinned = await server.handle('DELETE', `/v0.0/chat/1/pins/${id}`, { user_id: 1 });
+    expect(unpinned).toEqual({ status: 200, body: { pins: [] } });
+
+    expect(await server.handle('DELETE', `/v0.0/chat/1/pins/${id}`, { user_id: 1 })).toEqual({
+      status: 404,
+      body: { message: 'Message is not pinned' },
+    });
+    expect((await pin(1, 3, id)).status).toBe(403);
+  });
+
+  it('caps the pins and refuses replies, deleted and unknown messages', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      await pin(2, 2, await send(2, `Notice ${i}`));
+    }
+    expect(await pin(2, 2, await send(2))).toEqual({
+      status: 409,
+      body: { message: 'A chat can have at most 5 pinned messages' },
+    });
+
+    const parent = await send(2);
+    const reply = await server.handle('POST', `/v0.0/chat/2/messages/${parent}/replies`, { sender_id: 1, message: 'Ok' });
+    await server.handle('DELETE', `/v0.0/chat/2/messages/${parent}`, { user_id: 1 });
+
+    expect((await pin(2, 2, reply.body.message.id)).status).toBe(404);
+    expect((await pin(2, 2, 9999)).status).toBe(404);
+  });
+
+  it('unpins a message when it is deleted', async () => {
+    const id = await send(2);
+    await pin(2, 2, id);
+
+    const deleted = await server.handle('DELETE', `/v0.0/chat/2/messages/${id}`, { user_id: 1 });
+    expect(deleted.status).toBe(200);
+
+    expect((await server.handle('GET', '/v0.0/chat/2/pins', { user_id: 2 })).body).toEqual({ pins: [] });
+    expect(await pin(2, 2, id)).toEqual({ status: 410, body: { message: 'This message was deleted' } });
+  });
+});
+
+describe('fixture mention routes', () => {
+  // Chat 2 is a group of users 1 (Alex Morgan), 2 (Priya Shah) and 3 (Sam Lee)
+  const send = async (data) =>
+    (await server.handle('POST', '/v0.0/chat/2/messages', { sender_id: 1, ...data })).body.message;
+  const mentionCount = async (userId) =>
+    (await server.handle('GET', `/v0.0/chat/list/${userId}`)).body.data.find((c) => c.chat_id === 2)
+      .unread_mention_count;
+
+  it('keeps mentions of members and counts them as unread until read', async () => {
+    const message = await send({ message: 'Thanks @Sam Lee', mentions: [3, 3, 99] });
+    expect(message.mentions).toEqual([{ id: 3, name: 'Sam Lee' }]);
+
+    const { data } = (await server.handle('GET', '/v0.0/chat/2/messages', { user_id: 3 })).body;
+    expect(data[data.length - 1].mentions).toEqual([{ id: 3, name: 'Sam Lee' }]);
+    expect(await mentionCount(3)).toBe(1);
+    expect(await mentionCount(2)).toBe(0);
+    expect(await mentionCount(1)).toBe(0);
+
+    await server.handle('POST', '/v0.0/chat/read', { user_id: 3, message_id: message.id });
+    expect(await mentionCount(3)).toBe(0);
+  });
+
+  it('drops mentions edited out of the text and those of deleted messages', async () => {
+    const message = await send({ message: '@Priya Shah and @Sam Lee, sandbags?', mentions: [2, 3] });
+
+    const edited = (
+      await server.handle('PATCH', `/v0.0/chat/2/messages/${message.id}`, { user_id: 1, content: '@Sam Lee, sandbags?' })
+    ).body.message;
+    expect(edited.mentions).toEqual([{ id: 3, name: 'Sam Lee' }]);
+    expect(await mentionCount(2)).toBe(0);
+
+    const deleted = (await server.handle('DELETE', `/v0.0/chat/2/messages/${message.id}`, { user_id: 1 })).body.message;
+    expect(deleted.mentions).toEqual([]);
+    expect(await mentionCount(3)).toBe(0);
+  });
+
+  it('pushes to members who only want mentions when they are mentioned', async () => {
+    await server.handle('PATCH', '/v0.0/chat/2/preferences', { user_id: 3, notification_level: 'mentions' });
+    const pushedFor = (message) =>
+      server
+        .getDb()
+        .pushNotifications.filter((p) => p.message_id === message.id)
+        .map((p) => p.user_id);
+
+    expect(pushedFor(await send({ message: 'Sandbags at 6' }))).toEqual([2]);
+    expect(pushedFor(await send({ message: '@Sam Lee sandbags at 6', mentions: [3] })).sort()).toEqual([2, 3]);
+  });
+});
+
+describe('fixture preference routes', () => {
+  // Chat 2 is a group of users 1, 2 and 3; chat 1 is a direct chat of users 1 and 2
+  const setPreferences = (chatId, userId, data) =>
+    server.handle('PATCH', `/v0.0/chat/${chatId}/preferences`, { user_id: userId, ...data });
+  const summary = async (userId, chatId) =>
+    (await server.handle('GET', `/v0.0/chat/list/${userId}`)).body.data.find((c) => c.chat_id === chatId);
+  const pushedTo = async (chatId, body) => {
+    const { message_id } = (await server.handle('POST', `/v0.0/chat/${chatId}/messages`, { sender_id: 1, message: body })).body;
+    return server
+      .getDb()
+      .pushNotifications.filter((p) => p.message_id === message_id)
+      .map((p) => p.user_id);
+  };
+
+  it("stores each member's own preferences on their summary", async () => {
+    const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { status, body } = await setPreferences(2, 3, { muted_until: until, archived: true });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      chat_id: 2,
+      preferences: { muted_until: until, archived: true, notification_level: 'all' },
+    });
+    expect((await summary(3, 2)).preferences).toEqual(body.preferences);
+    expect((await summary(2, 2)).preferences).toEqual({ muted_until: null, archived: false, notification_level: 'all' });
+
+    // later changes keep the other fields
+    expect((await setPreferences(2, 3, { muted_until: null })).body.preferences).toEqual({
+      muted_until: null,
+      archived: true,
+      notification_level: 'all',
+    });
+  });
+
+  it('refuses non-members and bad values', async () => {
+    expect(await setPreferences(1, 3, { archived: true })).toEqual({
+      status: 403,
+      body: { message: 'User is not a member of this chat' },
+    });
+    expect(await setPreferences(2, 3, { notification_level: 'some' })).toEqual({
+      status: 400,
+      body: { message: 'notification_level must be one of all, mentions, none' },
+    });
+    expect((await setPreferences(2, 3, { muted_until: 'soon' })).status).toBe(400);
+  });
+
+  it('only records pushes for members whose preferences allow them', async () => {
+    expect((await pushedTo(2, 'Sandbags at 6')).sort()).toEqual([2, 3]);
+
+    await setPreferences(2, 2, { muted_until: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    await setPreferences(2, 3, { notification_level: 'mentions' });
+    expect(await pushedTo(2, 'Sandbags at 7')).toEqual([]);
+
+    await setPreferences(2, 2, { muted_until: null, notification_level: 'none' });
+    expect(await pushedTo(2, 'Sandbags at 8')).toEqual([]);
+
+    // archiving alone does not silence a chat
+    await setPreferences(1, 2, { archived: true });
+    expect(await pushedTo(1, 'Are you safe?')).toEqual([2]);
+  });
+});
+
+describe('fixture search routes', () => {
+  // Chat 2 is a group of users 1, 2 and 3; chat 1 is a direct chat of users 1 and 2
+  const send = async (chatId, message, senderId = 1) =>
+    (await server.handle('POST', `/v0.0/chat/${chatId}/messages`, { sender_id: senderId, message })).body.message_id;
+  const search = (data) => server.handle('GET', '/v0.0/chat/search', data);
+  const hits = (body) => body.results.map((r) => [r.chat_id, r.message.id]);
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+  it("finds messages across the user's chats, newest first", async () => {
+    const direct = await send(1, 'The Generator is in the shed');
+    await tick();
+    const group = await send(2, 'Who has fuel for the generator?', 3);
+
+    const { status, body } = await search({ user_id: 1, q: 'generator' });
+
+    expect(status).toBe(200);
+    expect(hits(body)).toEqual([
+      [2, group],
+      [1, direct],
+    ]);
+    expect(body.results[0]).toMatchObject({ chat_name: expect.any(String), message: { sender: { id: 3 } } });
+
+    // user 3 is not in the direct chat
+    expect(hits((await search({ user_id: 3, q: 'generator' })).body)).toEqual([[2, group]]);
+  });
+
+  it('searches one chat for its members only', async () => {
+    await send(1, 'generator in the shed');
+    const group = await send(2, 'generator fuel');
+
+    expect(hits((await search({ user_id: 1, q: 'generator', chat_id: 2 })).body)).toEqual([[2, group]]);
+    expect(await search({ user_id: 3, q: 'generator', chat_id: 1 })).toEqual({
+      status: 403,
+      body: { message: 'Sender is not a member of this chat' },
+    });
+  });
+
+  it('leaves out short queries, deleted messages and thread replies', async () => {
+    expect(await search({ user_id: 1, q: ' g ' })).toEqual({
+      status: 400,
+      body: { message: 'Search for at least 2 characters' },
+    });
+
+    const parent = await send(2, 'generator roster');
+    await server.handle('POST', `/v0.0/chat/2/messages/${parent}/replies`, { sender_id: 1, message: 'generator ok' });
+    const deleted = await send(2, 'generator typo');
+    await server.handle('DELETE', `/v0.0/chat/2/messages/${deleted}`, { user_id: 1 });
+
+    expect(hits((await search({ user_id: 1, q: 'generator' })).body)).toEqual([[2, parent]]);
+  });
+});
+
+describe('fixture image routes', () => {
+  const upload = (data) => server.handle('POST', '/v0.0/chat/2/uploads', { sender_id: 1, ...data });
+
+  it('assembles chunks and posts them as an image message', async () => {
+    const first = await upload({ offset: 0, data: 'aW1h' });
+    expect(first.body).toEqual({ upload_id: expect.any(Number), received: 4 });
+
+    const second = await upload({ upload_id: first.body.upload_id, offset: 4, data: 'Z2U=' });
+    expect(second.body.received).toBe(8);
+
+    const { status, body } = await server.handle('POST', '/v0.0/chat/2/images', {
+      sender_id: 1,
+      upload_id: first.body.upload_id,
+      mime_type: 'image/jpeg',
+      width: 1600,
+      height: 1200,
+      location: null,
+    });
+
+    expect(status).toBe(200);
+    expect(body.message).toMatchObject({
+      content: '📷 Photo',
+      message_type: 'image',
+      image: { url: 'data:image/jpeg;base64,aW1hZ2U=', width: 1600, height: 1200, location: null },
+    });
+
+    const messages = await server.handle('GET', '/v0.0/chat/2/messages');
+    expect(messages.body.data.find((m) => m.id === body.message_id).image.url).toBe(body.message.image.url);
+
+    // the upload is consumed by the message
+    const again = await server.handle('POST', '/v0.0/chat/2/images', {
+      sender_id: 1,
+      upload_id: first.body.upload_id,
+      mime_type: 'image/jpeg',
+    });
+    expect(again.status).toBe(404);
+  });
+
+  it('validates uploads and images', async () => {
+    const { body } = await upload({ offset: 0, data: 'aW1h' });
+
+    expect((await upload({ offset: 0 })).status).toBe(400);
+    expect((await upload({ upload_id: body.upload_id, offset: 2, data: 'Z2U=' })).status).toBe(409);
+    expect((await upload({ upload_id: 999, offset: 0, data: 'Z2U=' })).status).toBe(404);
+    expect((await server.handle('POST', '/v0.0/chat/2/uploads', { sender_id: 4, offset: 0, data: 'a' })).status).toBe(403);
+    expect(
+      (await server.handle('POST', '/v0.0/chat/2/images', { sender_id: 1, upload_id: body.upload_id, mime_type: 'text/plain' }))
+        .status
+    ).toBe(400);
+  });
+});
+
+describe('fixture voice routes', () => {
+  const upload = (data) => server.handle('POST', '/v0.0/chat/2/uploads', { sender_id: 1, offset: 0, data });
+  const postVoice = (data) =>
+    server.handle('POST', '/v0.0/chat/2/voice', { sender_id: 1, mime_type: 'audio/mp4', duration_ms: 4200, ...data });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('posts an upload as a voice message', async () => {
+    const { body: chunk } = await upload('dm9pY2U=');
+    const { status, body } = await postVoice({ upload_id: chunk.upload_id, waveform: [0.2, 0.8] });
+
+    expect(status).toBe(200);
+    expect(body.message).toMatchObject({
+      content: '🎤 Voice note',
+      message_type: 'voice',
+      voice: {
+        url: 'data:audio/mp4;base64,dm9pY2U=',
+        duration_ms: 4200,
+        size: 5,
+        mime_type: 'audio/mp4',
+        waveform: [0.2, 0.8],
+      },
+    });
+
+    const messages = await server.handle('GET', '/v0.0/chat/2/messages');
+    expect(messages.body.data.find((m) => m.id === body.message_id).voice.duration_ms).toBe(4200);
+    expect(server.getDb().pushNotifications.filter((p) => p.message_id === body.message_id)).not.toHaveLength(0);
+
+    await server.handle('DELETE', `/v0.0/chat/2/messages/${body.message_id}`, { user_id: 1 });
+    const deleted = await server.handle('GET', '/v0.0/chat/2/messages');
+    expect(deleted.body.data.find((m) => m.id === body.message_id).voice).toBeUndefined();
+  });
+
+  it('accepts audio within the configured length and size only', async () => {
+    jest.spyOn(voiceNotes, 'voiceNoteLimits').mockReturnValue({ maxDurationMs: 5000, maxSizeBytes: 4 });
+    const { body: chunk } = await upload('dm9pY2U=');
+
+    expect((await postVoice({ upload_id: chunk.upload_id, mime_type: 'image/jpeg' })).status).toBe(400);
+    expect((await postVoice({ upload_id: chunk.upload_id, duration_ms: 6000 })).body.message).toBe('Voice note is too long');
+    expect((await postVoice({ upload_id: chunk.upload_id })).status).toBe(413);
+    expect((await postVoice({ upload_id: 999 })).status).toBe(404);
+  });
+});
+
+describe('fixture poll routes', () => {
+  const createPoll = (overrides = {}) =>
+    server.handle('POST', '/v0.0/chat/2/polls', {
+      sender_id: 1,
+      question: 'Meet where?',
+      options: ['Library', 'Park'],
+      ...overrides,
+    });
+
+  it('posts a poll message and tallies votes per viewer', async () => {
+    const created = await createPoll();
+    const { id: pollId } = created.body.message.poll;
+
+    expect(created.body.message).toMatchObject({
+      message_type: 'poll',
+      content: 'Meet where?',
+      poll: { options: [{ id: 1, text: 'Library', votes: 0 }, { id: 2, text: 'Park', votes: 0 }], closed: false },
+    });
+
+    await server.handle('POST', `/v0.0/chat/2/polls/${pollId}/vote`, { user_id: 2, option_ids: [1] });
+    await server.handle('POST', `/v0.0/chat/2/polls/${pollId}/vote`, { user_id: 3, option_ids: [2] });
+    const changed = await server.handle('POST', `/v0.0/chat/2/polls/${pollId}/vote`, {
+      user_id: 3,
+      option_ids: [1],
+    });
+
+    expect(changed.body.poll).toMatchObject({
+      total_votes: 2,
+      my_votes: [1],
+      options: [{ votes: 2 }, { votes: 0 }],
+    });
+
+    const { body } = await server.handle('GET', '/v0.0/chat/2/messages', { user_id: 2 });
+    expect(body.data[body.data.length - 1].poll).toMatchObject({ total_votes: 2, my_votes: [1] });
+  });
+
+  it('validates polls and votes', async () => {
+    expect((await createPoll({ options: ['Same', 'Same'] })).status).toBe(400);
+    expect((await createPoll({ closes_at: '2000-01-01T00:00:00.000Z' })).status).toBe(400);
+
+    const { id: pollId } = (await createPoll()).body.message.poll;
+    const vote = (data) => server.handle('POST', `/v0.0/chat/2/polls/${pollId}/vote`, data);
+
+    expect((await vote({ user_id: 2, option_ids: [1, 2] })).status).toBe(400);
+    expect((await vote({ user_id: 2, option_ids: [9] })).status).toBe(400);
+    expect((await vote({ user_id: 4, option_ids: [1] })).status).toBe(403);
+  });
+
+  it('lets only the creator close the poll and see who voted', async () => {
+    const { id: pollId } = (await createPoll({ allows_multiple: true })).body.message.poll;
+    await server.handle('POST', `/v0.0/chat/2/polls/${pollId}/vote`, { user_id: 2, option_ids: [1, 2] });
+
+    const voters = await server.handle('GET', `/v0.0/chat/2/polls/${pollId}/voters?user_id=1`);
+    expect(voters.body.voters.map((v) => v.users.map((u) => u.id))).toEqual([[2], [2]]);
+    expect((await server.handle('GET', `/v0.0/chat/2/polls/${pollId}/voters?user_id=2`)).status).toBe(403);
+
+    expect((await server.handle('POST', `/v0.0/chat/2/polls/${pollId}/close`, { user_id: 2 })).status).toBe(403);
+    const closed = await server.handle('POST', `/v0.0/chat/2/polls/${pollId}/close`, { user_id: 1 });
+    expect(closed.body.poll.closed).toBe(true);
+
+    const late = await server.handle('POST', `/v0.0/chat/2/polls/${pollId}/vote`, { user_id: 3, option_ids: [1] });
+    expect(late).toEqual({ status: 409, body: { message: 'Poll is closed' } });
+  });
+});
+
+describe('fixture event routes', () => {
+  const startsAt = new Date(Date.now() + 86400000).toISOString();
+  const createEvent = (overrides = {}, chatId = 2) =>
+    server.handle('POST', `/v0.0/chat/${chatId}/events`, {
+      sender_id: 1,
+      title: 'Sandbag drive',
+      starts_at: startsAt,
+      location: { latitude: 51.5, longitude: -0.12, label: 'Town hall' },
+      ...overrides,
+    });
+  const rsvp = (eventId, data) => server.handle('POST', `/v0.0/chat/2/events/${eventId}/rsvp`, data);
+
+  it('posts an event message and counts RSVPs per viewer', async () => {
+    const created = await createEvent({ capacity: 5 });
+    const { id: eventId } = created.body.message.event;
+
+    expect(created.body.message).toMatchObject({
+      message_type: 'event',
+      content: '🗓️ Sandbag drive',
+      event: { title: 'Sandbag drive', capacity: 5, counts: { going: 0, maybe: 0, not_going: 0 }, my_rsvp: null },
+    });
+
+    await rsvp(eventId, { user_id: 2, status: 'going' });
+    await rsvp(eventId, { user_id: 3, status: 'going' });
+    const changed = await rsvp(eventId, { user_id: 3, status: 'maybe' });
+
+    expect(changed.body.event).toMatchObject({ counts: { going: 1, maybe: 1, not_going: 0 }, my_rsvp: 'maybe' });
+
+    const { body } = await server.handle('GET', '/v0.0/chat/2/messages', { user_id: 2 });
+    expect(body.data[body.data.length - 1].event).toMatchObject({ counts: { going: 1 }, my_rsvp: 'going' });
+  });
+
+  it('validates events and RSVPs', async () => {
+    expect((await createEvent({}, 1)).status).toBe(400);
+    expect((await createEvent({ sender_id: 4 })).status).toBe(403);
+    expect((await createEvent({ title: ' ' })).status).toBe(400);
+    expect((await createEvent({ ends_at: startsAt })).status).toBe(400);
+    expect((await createEvent({ capacity: 0 })).status).toBe(400);
+
+    const { id: eventId } = (await createEvent()).body.message.event;
+    expect((await rsvp(eventId, { user_id: 2, status: 'yes' })).status).toBe(400);
+    expect((await rsvp(eventId, { user_id: 4, status: 'going' })).status).toBe(403);
+
+    const past = await createEvent({ starts_at: '2000-01-01T09:00:00.000Z' });
+    const late = await rsvp(past.body.message.event.id, { user_id: 2, status: 'going' });
+    expect(late).toEqual({ status: 409, body: { message: 'Event has ended' } });
+  });
+
+  it('turns away "going" RSVPs once the event is full', async () => {
+    const { id: eventId } = (await createEvent({ capacity: 1 })).body.message.event;
+    await rsvp(eventId, { user_id: 2, status: 'going' });
+
+    expect(await rsvp(eventId, { user_id: 3, status: 'going' })).toEqual({
+      status: 409,
+      body: { message: 'Event is full' },
+    });
+    expect((await rsvp(eventId, { user_id: 3, status: 'maybe' })).status).toBe(200);
+    expect((await rsvp(eventId, { user_id: 2, status: 'going' })).status).toBe(200);
+  });
+
+  it('adds an "Attend" task for the user only and removes it when they cannot go', async () => {
+    const { id: eventId } = (await createEvent()).body.message.event;
+
+    const going = await rsvp(eventId, { user_id: 2, status: 'going', add_to_tasks: true });
+    expect(going.body.event.my_task_id).toEqual(expect.any(Number));
+
+    const mine = (await server.handle('GET', '/v0.0/tasks/2')).body.tasks;
+    const others = (await server.handle('GET', '/v0.0/tasks/3')).body.tasks;
+    expect(mine.find((t) => t.id === going.body.event.my_task_id)).toMatchObject({
+      title: 'Attend: Sandbag drive',
+      description: 'Town hall',
+      due_date: startsAt,
+    });
+    expect(others.some((t) => t.title === 'Attend: Sandbag drive')).toBe(false);
+
+    const declined = await rsvp(eventId, { user_id: 2, status: 'not_going' });
+    expect(declined.body.event.my_task_id).toBeNull();
+    expect((await server.handle('GET', '/v0.0/tasks/2')).body.tasks).toHaveLength(others.length);
+  });
+});
+
+describe('fixture tasks routes', () => {
+  it('awards XP once and tracks progress', async () => {
+    const task = mockTasks[0];
+    const first = await server.handle('POST', '/v0.0/tasks/complete', {
+      user_id: 1,
+      task_id: task.id,
+    });
+    const again = await server.handle('POST', '/v0.0/tasks/complete', {
+      user_id: 1,
+      task_id: task.id,
+    });
+    expect(first.body.xp_earned).toBe(task.xp);
+    expect(again.body.xp_earned).toBe(0);
+
+    await server.handle('POST', '/v0.0/tasks/uncomplete', { user_id: 1, task_id: 2 });
+    const { body } = await server.handle('GET', '/v0.0/tasks/progress/1');
+    expect(body.completedTasks.map((t) => t.task_id)).toEqual([task.id]);
+  });
+
+  it('answers 404 for unknown tasks', async () => {
+    const { status } = await server.handle('POST', '/v0.0/tasks/complete', {
+      user_id: 1,
+      task_id: 999,
+    });
+    expect(status).toBe(404);
+  });
+});
+
+describe('fixture quizzes routes', () => {
+  it('lists quizzes without their questions', async () => {
+    const { body } = await server.handle('GET', '/v0.0/quizzes/user/1');
+
+    expect(body.quizzes).toHaveLength(mockQuizzes.length);
+    expect(body.quizzes[0]).not.toHaveProperty('questions');
+  });
+
+  it('grades submissions by option text and awards XP on the first attempt only', async () => {
+    const answers = [
+      { question_id: 11, selected_options: ['An interior room on the lowest floor'] },
+      { question_id: 12, selected_options: ['Drinking water'] },
+    ];
+
+    const first = await server.handle('POST', '/v0.0/quizzes/1/submit', { user_id: 1, answers });
+    const second = await server.handle('POST', '/v0.0/quizzes/1/submit', { user_id: 1, answers });
+
+    expect(first.body).toMatchObject({ score: 1, total_questions: 2, xp_earned: 20 });
+    expect(second.body.xp_earned).toBe(0);
+
+    const history = await server.handle('GET', '/v0.0/quizzes/history/1');
+    expect(history.body.history).toHaveLength(2);
+  });
+});
+
+describe('fixture alerts routes', () => {
+  it('paginates system alerts', async () => {
+    const { body } = await server.handle(
+      'GET',
+      '/v0.0/alerts?category=All&page=1&pageSize=1'
+    );
+
+    expect(body.alerts).toHaveLength(1);
+    expect(body.totalCount).toBe(mockAlerts.alerts.length);
+    expect(body.hasMore).toBe(mockAlerts.alerts.length > 1);
+  });
+
+  it('tracks read state of system alerts per user', async () => {
+    const alertId = mockAlerts.alerts[0].id;
+    await server.handle('PATCH', `/v0.0/alerts/${alertId}/read`, {
+      type: 'system',
+      userId: 1,
+    });
+
+    const mine = await server.handle('GET', '/v0.0/alerts/system?userId=1');
+    const theirs = await server.handle('GET', '/v0.0/alerts/system?userId=2');
+    const flag = (res) => res.body.systemAlerts.find((a) => a.id === alertId).is_read;
+    expect(flag(mine)).toBe(true);
+    expect(flag(theirs)).toBe(false);
+  });
+
+  it('serves the seeded pending actions', async () => {
+    const { body } = await server.handle('GET', '/v0.0/alerts/pending-actions');
+    expect(body.pendingActions).toEqual(mockAlerts.pendingActions);
+  });
+});
+
+describe('fixture documents routes', () => {
+  it('stores, marks read and deletes a document', async () => {
+    const doc = { user_id: 1, title: 'Lease.pdf', url: 'file:///lease.pdf' };
+    await server.handle('POST', '/v0.0/documents', doc);
+
+    let { body } = await server.handle('GET', '/v0.0/documents/1');
+    const stored = body.data.find((d) => d.url === doc.url);
+    expect(stored).toMatchObject({ title: 'Lease.pdf', read_at: null });
+
+    await server.handle('POST', '/v0.0/documents/read', { user_id: 1, document_id: stored.id });
+    ({ body } = await server.handle('GET', '/v0.0/documents/1'));
+    expect(body.data.find((d) => d.id === stored.id).read_at).toEqual(expect.any(String));
+
+    await server.handle('DELETE', '/v0.0/documents', { user_id: 1, url: doc.url });
+    ({ body } = await server.handle('GET', '/v0.0/documents/1'));
+    expect(body.data.some((d) => d.url === doc.url)).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * __tests__/unit/modals/EditHistoryModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Versions
+ *    - The current text comes first with its edit time, then earlier versions newest first.
+ *
+ * 2. Visibility & Close Button
+ *    - Renders nothing while hidden; tapping the close button triggers onClose.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import EditHistoryModal from 'src/modals/EditHistoryModal';
+
+jest.mock('src/utils/utils', () => jest.fn((date) => `time:${date}`));
+
+const baseTheme = { surface: '#fff', text: '#000' };
+
+const message = {
+  id: 5,
+  content: 'Shelter opens at 8',
+  edited_at: '2025-04-10T08:10:00.000Z',
+  edit_history: [
+    { content: 'Shelter opens at 6', written_at: '2025-04-10T08:00:00.000Z' },
+    { content: 'Shelter opens at 7', written_at: '2025-04-10T08:05:00.000Z' },
+  ],
+};
+
+describe('EditHistoryModal', () => {
+  it('lists the current text, then earlier versions newest first', () => {
+    const { getAllByText, getByText } = render(
+      <EditHistoryModal visible message={message} theme={baseTheme} onClose={jest.fn()} />
+    );
+
+    const versions = getAllByText(/^Shelter opens/).map((node) => node.props.children);
+    expect(versions).toEqual(['Shelter opens at 8', 'Shelter opens at 7', 'Shelter opens at 6']);
+    expect(getByText(/Current.*time:2025-04-10T08:10:00.000Z/)).toBeTruthy();
+    expect(getByText(/Earlier.*time:2025-04-10T08:05:00.000Z/)).toBeTruthy();
+  });
+
+  it('renders nothing while hidden', () => {
+    const { queryByText } = render(
+      <EditHistoryModal visible={false} message={message} theme={baseTheme} onClose={jest.fn()} />
+    );
+
+    expect(queryByText('Edit history')).toBeNull();
+  });
+
+  it('closes from the close button', () => {
+    const onClose = jest.fn();
+    const { getByText } = render(<EditHistoryModal visible message={message} theme={baseTheme} onClose={onClose} />);
+
+    fireEvent.press(getByText('feather:x'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * __tests__/unit/modals/EditMessageModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Editing
+ *    - The input starts with the message text and is refilled for another message.
+ *    - "Save" sends the trimmed text and is disabled while it is empty or unchanged.
+ *
+ * 2. Visibility & Close Button
+ *    - Renders nothing while hidden; tapping the close button triggers onClose.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import EditMessageModal from 'src/modals/EditMessageModal';
+
+const baseTheme = { surface: '#fff', text: '#000', link: '#06c' };
+const message = { id: 5, content: 'Shelter opens at 6' };
+
+describe('EditMessageModal', () => {
+  it('saves the trimmed new text', () => {
+    const onSave = jest.fn();
+    const { getByTestId, getByText } = render(
+      <EditMessageModal visible message={message} theme={baseTheme} onSave={onSave} onClose={jest.fn()} />
+    );
+
+    expect(getByTestId('edit-message-input').props.value).toBe('Shelter opens at 6');
+    fireEvent.changeText(getByTestId('edit-message-input'), '  Shelter opens at 7 ');
+    fireEvent.press(getByText('Save'));
+    expect(onSave).toHaveBeenCalledWith('Shelter opens at 7');
+  });
+
+  it('disables Save while the text is empty or unchanged', () => {
+    const onSave = jest.fn();
+    const { getByTestId, getByText } = render(
+      <EditMessageModal visible message={message} theme={baseTheme} onSave={onSave} onClose={jest.fn()} />
+    );
+
+    fireEvent.press(getByText('Save'));
+    fireEvent.changeText(getByTestId('edit-message-input'), 'Shelter opens at 6 ');
+    fireEvent.press(getByText('Save'));
+    fireEvent.changeText(getByTestId('edit-message-input'), '   ');
+    fireEvent.press(getByText('Save'));
+    expect(onSave).not.toHaveBeenCalled();
+  });
+
+  it('refills the input for another message', () => {
+    const props = { visible: true, theme: baseTheme, onSave: jest.fn(), onClose: jest.fn() };
+    const { getByTestId, rerender } = render(<EditMessageModal {...props} message={message} />);
+
+    fireEvent.changeText(getByTestId('edit-message-input'), 'draft');
+    rerender(<EditMessageModal {...props} message={{ id: 6, content: 'Bring water' }} />);
+    expect(getByTestId('edit-message-input').props.value).toBe('Bring water');
+  });
+
+  it('renders nothing while hidden', () => {
+    const { queryByText } = render(
+      <EditMessageModal visible={false} message={message} theme={baseTheme} onSave={jest.fn()} onClose={jest.fn()} />
+    );
+
+    expect(queryByText('Edit Message')).toBeNull();
+  });
+
+  it('closes from the close button', () => {
+    const onClose = jest.fn();
+    const { getByText } = render(
+      <EditMessageModal visible message={message} theme={baseTheme} onSave={jest.fn()} onClose={onClose} />
+    );
+
+    fireEvent.press(getByText('feather:x'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * __tests__/unit/modals/EventComposerModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Creating an Event
+ *    - Sends the trimmed title and a start/end window rounded to the quarter hour.
+ *    - Start, duration, location pin (with label) and capacity choices are passed through.
+ *
+ * 2. Location
+ *    - The pin toggle is disabled when no location is available.
+ *
+ * 3. Validation
+ *    - A missing title or a non-positive capacity shows an alert instead.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import { Alert } from 'react-native';
+import EventComposerModal from 'src/modals/EventComposerModal';
+
+const baseTheme = { surface: '#fff', text: '#000', input: '#f7f7f7', link: '#00f' };
+const here = { latitude: 51.5, longitude: -0.12 };
+
+const setup = (props = {}) => {
+  const onClose = jest.fn();
+  const onCreate = jest.fn();
+  const utils = render(
+    <EventComposerModal
+      visible
+      onClose={onClose}
+      onCreate={onCreate}
+      location={here}
+      theme={baseTheme}
+      {...props}
+    />
+  );
+  return { ...utils, onClose, onCreate };
+};
+
+describe('EventComposerModal', () => {
+  beforeEach(() => {
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-04-10T08:07:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates a one-hour event starting in an hour by default', () => {
+    const utils = setup();
+    fireEvent.changeText(utils.getByPlaceholderText('What is happening?'), '  Sandbag drive ');
+
+    fireEvent.press(utils.getByText('Post Event'));
+
+    expect(utils.onCreate).toHaveBeenCalledWith({
+      title: 'Sandbag drive',
+      startsAt: '2025-04-10T09:15:00.000Z',
+      endsAt: '2025-04-10T10:15:00.000Z',
+      location: null,
+      capacity: null,
+    });
+  });
+
+  it('sends the chosen window, pinned location and capacity', () => {
+    const utils = setup();
+    fireEvent.changeText(utils.getByPlaceholderText('What is happening?'), 'Cleanup');
+    fireEvent.press(utils.getByText('Tomorrow'));
+    fireEvent.press(utils.getByText('4 hr'));
+    fireEvent(utils.getByTestId('event-location-switch'), 'valueChange', true);
+    fireEvent.changeText(utils.getByPlaceholderText('Place name (optional)'), ' Town hall ');
+    fireEvent.changeText(utils.getByPlaceholderText('Capacity (optional)'), '12');
+
+    fireEvent.press(utils.getByText('Post Event'));
+
+    expect(utils.onCreate).toHaveBeenCalledWith({
+      title: 'Cleanup',
+      startsAt: '2025-04-11T08:15:00.000Z',
+      endsAt: '2025-04-11T12:15:00.000Z',
+      location: { ...here, label: 'Town hall' },
+      capacity: 12,
+    });
+  });
+
+  it('disables the pin without a location', () => {
+    const utils = setup({ location: null });
+
+    expect(utils.getByText('Location unavailable')).toBeTruthy();
+    expect(utils.getByTestId('event-location-switch').props.disabled).toBe(true);
+  });
+
+  it('alerts instead of creating an incomplete event', () => {
+    const utils = setup();
+
+    fireEvent.press(utils.getByText('Post Event'));
+    expect(Alert.alert).toHaveBeenLastCalledWith('Missing Title', 'Please give the event a title.');
+
+    fireEvent.changeText(utils.getByPlaceholderText('What is happening?'), 'Cleanup');
+    fireEvent.changeText(utils.getByPlaceholderText('Capacity (optional)'), '0');
+    fireEvent.press(utils.getByText('Post Event'));
+    expect(Alert.alert).toHaveBeenLastCalledWith(
+      'Invalid Capacity',
+      'Capacity must be a whole number above zero.'
+    );
+
+    expect(utils.onCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * __tests__/unit/modals/GroupSettingsModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Saving
+ *    - The form starts from the group; only changed fields are sent, names trimmed.
+ *    - "Save" is disabled while nothing changed or the name is empty.
+ *
+ * 2. Photo
+ *    - A picked photo is shrunk to the avatar size and sent; "Remove photo" sends null.
+ *    - Picker errors show an alert.
+ *
+ * 3. Close Button
+ *    - Tapping the close button triggers onClose.
+ */
+
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, act } from '@testing-library/react-native';
+import GroupSettingsModal from 'src/modals/GroupSettingsModal';
+
+const mockPick = jest.fn();
+const mockPrepare = jest.fn();
+jest.mock('src/utils/imageAttachments', () => ({
+  AVATAR_DIMENSION: 256,
+  pickChatImage: (...a) => mockPick(...a),
+  prepareChatImage: (...a) => mockPrepare(...a),
+}));
+
+const baseTheme = { surface: '#fff', text: '#000', link: '#00f', input: '#eee' };
+const chat = {
+  chat_id: 2,
+  name: 'Flood Watch',
+  description: 'River levels',
+  avatar: 'https://example.com/group.jpg',
+  announcement_only: false,
+};
+
+const setup = (props = {}) => {
+  const onClose = jest.fn();
+  const onSave = jest.fn();
+  const utils = render(
+    <GroupSettingsModal visible onClose={onClose} onSave={onSave} chat={chat} theme={baseTheme} {...props} />
+  );
+  return { ...utils, onClose, onSave };
+};
+
+describe('GroupSettingsModal', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('starts from the group and sends only what changed', () => {
+    const { getByTestId, getByText, onSave } = setup();
+
+    expect(getByTestId('group-name-input').props.value).toBe('Flood Watch');
+    expect(getByTestId('group-description-input').props.value).toBe('River levels');
+    expect(getByTestId('group-avatar-preview').props.source).toEqual({ uri: chat.avatar });
+
+    fireEvent.changeText(getByTestId('group-name-input'), '  Flood Watch North ');
+    fireEvent(getByTestId('announcement-only-switch'), 'valueChange', true);
+    fireEvent.press(getByText('Save'));
+
+    expect(onSave).toHaveBeenCalledWith({ name: 'Flood Watch North', announcementOnly: true });
+  });
+
+  it('disables Save while nothing changed or the name is empty', () => {
+    const { getByTestId, getByText, onSave } = setup();
+
+    fireEvent.press(getByText('Save'));
+    fireEvent.changeText(getByTestId('group-name-input'), '   ');
+    fireEvent.press(getByText('Save'));
+
+    expect(onSave).not.toHaveBeenCalled();
+  });
+
+  it('sends a picked photo shrunk to the avatar size', async () => {
+    const asset = { uri: 'file:///new.jpg', width: 800, height: 600 };
+    const prepared = { uri: 'file:///small.jpg', width: 256, height: 192, mime_type: 'image/jpeg' };
+    mockPick.mockResolvedValue(asset);
+    mockPrepare.mockResolvedValue(prepared);
+    const { getByTestId, getByText, onSave } = setup();
+
+    await act(async () => {
+      fireEvent.press(getByText('Change photo'));
+    });
+
+    expect(mockPick).toHaveBeenCalledWith('library');
+    expect(mockPrepare).toHaveBeenCalledWith(asset, { maxDimension: 256 });
+    expect(getByTestId('group-avatar-preview').props.source).toEqual({ uri: prepared.uri });
+
+    fireEvent.press(getByText('Save'));
+    expect(onSave).toHaveBeenCalledWith({ avatar: prepared });
+  });
+
+  it('removes the photo', () => {
+    const { getByText, queryByTestId, onSave } = setup();
+
+    fireEvent.press(getByText('Remove photo'));
+    expect(queryByTestId('group-avatar-preview')).toBeNull();
+
+    fireEvent.press(getByText('Save'));
+    expect(onSave).toHaveBeenCalledWith({ avatar: null });
+  });
+
+  it('shows picker errors', async () => {
+    const alert = jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    mockPick.mockRejectedValue(new Error('Photo library permission not granted'));
+    const { getByText } = setup();
+
+    await act(async () => {
+      fireEvent.press(getByText('Change photo'));
+    });
+
+    expect(alert).toHaveBeenCalledWith('Photo access needed', 'Photo library permission not granted');
+    alert.mockRestore();
+  });
+
+  it('closes from the close button', () => {
+    const { getByText, onClose } = setup();
+
+    fireEvent.press(getByText('feather:x'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * __tests__/unit/modals/ImageViewerModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Viewer
+ *    - Shows the full photo; renders nothing while hidden.
+ *
+ * 2. Location
+ *    - Photos shared with a location link to it; others show no link.
+ *
+ * 3. Close Button
+ *    - Tapping the close button triggers onClose.
+ */
+
+import React from 'react';
+import { Linking } from 'react-native';
+import { render, fireEvent } from '@testing-library/react-native';
+import ImageViewerModal from 'src/modals/ImageViewerModal';
+
+const image = { url: 'https://example.com/flood.jpg', width: 1600, height: 1200, location: null };
+
+describe('ImageViewerModal', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shows the full photo without a location link', () => {
+    const { getByTestId, queryByText } = render(<ImageViewerModal visible image={image} onClose={jest.fn()} />);
+
+    expect(getByTestId('image-viewer-photo').props.source).toEqual({ uri: image.url });
+    expect(queryByText('View photo location')).toBeNull();
+  });
+
+  it('renders nothing while hidden', () => {
+    const { queryByTestId } = render(<ImageViewerModal visible={false} image={image} onClose={jest.fn()} />);
+
+    expect(queryByTestId('image-viewer-photo')).toBeNull();
+  });
+
+  it('opens the shared location in maps', () => {
+    const openURL = jest.spyOn(Linking, 'openURL').mockResolvedValue(true);
+    const { getByText } = render(
+      <ImageViewerModal
+        visible
+        image={{ ...image, location: { latitude: 51.5, longitude: -0.12 } }}
+        onClose={jest.fn()}
+      />
+    );
+
+    fireEvent.press(getByText('View photo location'));
+    expect(openURL).toHaveBeenCalledWith('https://maps.google.com/?q=51.5,-0.12');
+  });
+
+  it('closes from the close button', () => {
+    const onClose = jest.fn();
+    const { getByText } = render(<ImageViewerModal visible image={image} onClose={onClose} />);
+
+    fireEvent.press(getByText('feather:x'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * __tests__/unit/modals/MessageSearchModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Searching
+ *    - Nothing is searched below the minimum length; a longer query searches the chat and lists
+ *      the hits, and picking one calls onSelect.
+ *    - A failed search shows its error.
+ *
+ * 2. Visibility & Close Button
+ *    - Renders nothing while hidden; tapping the close button triggers onClose.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import MessageSearchModal from 'src/modals/MessageSearchModal';
+
+const mockDispatch = jest.fn();
+jest.mock('react-redux', () => ({ useDispatch: () => mockDispatch }));
+
+jest.mock('src/store/actions/chatActions', () => ({
+  searchMessages: jest.fn((args) => ({ type: 'chat/searchMessages', args })),
+}));
+
+jest.mock('src/components/SearchBar', () => {
+  return ({ query, onChange }) => {
+    const React = require('react');
+    const { TextInput } = require('react-native');
+    return <TextInput testID='search-input' defaultValue={query} onChangeText={onChange} />;
+  };
+});
+
+jest.mock('src/utils/utils', () => ({ formatTimeAgo: () => 'now' }));
+
+const { searchMessages } = require('src/store/actions/chatActions');
+
+const baseTheme = { surface: '#fff', text: '#000', link: '#06c', primary: '#06c', divider: '#eee' };
+
+const hit = {
+  chat_id: 2,
+  chat_name: 'Flood Watch',
+  message: { id: 7, content: 'Generator in the shed', message_type: 'text', sender: { id: 3, name: 'Alice' } },
+};
+
+const resolveWith = (value) => {
+  mockDispatch.mockImplementation(() => ({
+    unwrap: () => Promise.resolve(value),
+    abort: jest.fn(),
+  }));
+};
+
+const rejectWith = (error) => {
+  mockDispatch.mockImplementation(() => ({
+    unwrap: () => Promise.reject(error),
+    abort: jest.fn(),
+  }));
+};
+
+describe('MessageSearchModal', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('waits for a long enough query before searching', () => {
+    resolveWith({ results: [], source: 'server' });
+    const { getByTestId, getByText } = render(
+      <MessageSearchModal visible chatId={2} theme={baseTheme} onClose={jest.fn()} onSelect={jest.fn()} />
+    );
+
+    fireEvent.changeText(getByTestId('search-input'), 'g');
+    expect(getByText('Type at least 2 characters.')).toBeTruthy();
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+
+  it('searches the chat and selects a hit', async () => {
+    resolveWith({ results: [hit], source: 'server' });
+    const onSelect = jest.fn();
+    const { getByTestId, findByText } = render(
+      <MessageSearchModal visible chatId={2} theme={baseTheme} onClose={jest.fn()} onSelect={onSelect} />
+    );
+
+    fireEvent.changeText(getByTestId('search-input'), 'generator');
+    expect(searchMessages).toHaveBeenCalledWith({ query: 'generator', chatId: 2 });
+    fireEvent.press(await findByText('Alice'));
+    expect(onSelect).toHaveBeenCalledWith(hit);
+  });
+
+  it('shows the error of a failed search', async () => {
+    rejectWith('Sender is not a member of this chat');
+    const { getByTestId, findByText } = render(
+      <MessageSearchModal visible chatId={2} theme={baseTheme} onClose={jest.fn()} onSelect={jest.fn()} />
+    );
+
+    fireEvent.changeText(getByTestId('search-input'), 'generator');
+    expect(await findByText('Sender is not a member of this chat')).toBeTruthy();
+  });
+
+  it('renders nothing while hidden', () => {
+    const { queryByText } = render(
+      <MessageSearchModal visible={false} chatId={2} theme={baseTheme} onClose={jest.fn()} onSelect={jest.fn()} />
+    );
+
+    expect(queryByText('Search in Chat')).toBeNull();
+  });
+
+  it('closes from the close button', () => {
+    const onClose = jest.fn();
+    const { getByText } = render(
+      <MessageSearchModal visible chatId={2} theme={baseTheme} onClose={onClose} onSelect={jest.fn()} />
+    );
+
+    fireEvent.press(getByText('feather:x'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * __tests__/unit/modals/PhotoPreviewModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Sending
+ *    - Shows the picked photo and sends without its location by default.
+ *    - Turning the location switch on sends `includeLocation: true`.
+ *
+ * 2. Location
+ *    - The switch is disabled for photos without GPS data.
+ *    - The choice is reset when a different photo is picked.
+ *
+ * 3. Close Button
+ *    - Tapping the close button triggers onClose.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import PhotoPreviewModal from 'src/modals/PhotoPreviewModal';
+
+const baseTheme = { surface: '#fff', text: '#000', link: '#00f' };
+const withGps = {
+  uri: 'file:///flood.jpg',
+  width: 4000,
+  height: 3000,
+  exif: { GPSLatitude: 51.5, GPSLatitudeRef: 'N', GPSLongitude: 0.12, GPSLongitudeRef: 'W' },
+};
+const withoutGps = { uri: 'file:///road.jpg', width: 800, height: 600, exif: {} };
+
+const setup = (props = {}) => {
+  const onClose = jest.fn();
+  const onSend = jest.fn();
+  const utils = render(
+    <PhotoPreviewModal visible onClose={onClose} onSend={onSend} asset={withGps} theme={baseTheme} {...props} />
+  );
+  return { ...utils, onClose, onSend };
+};
+
+describe('PhotoPreviewModal', () => {
+  it('shows the photo and sends without location by default', () => {
+    const utils = setup();
+
+    expect(utils.getByTestId('photo-preview').props.source).toEqual({ uri: 'file:///flood.jpg' });
+    expect(utils.getByTestId('photo-location-switch').props.value).toBe(false);
+
+    fireEvent.press(utils.getByText('Send Photo'));
+
+    expect(utils.onSend).toHaveBeenCalledWith({ includeLocation: false });
+  });
+
+  it('sends the location once the user opts in', () => {
+    const utils = setup();
+
+    fireEvent(utils.getByTestId('photo-location-switch'), 'valueChange', true);
+    fireEvent.press(utils.getByText('Send Photo'));
+
+    expect(utils.onSend).toHaveBeenCalledWith({ includeLocation: true });
+  });
+
+  it('disables the switch for photos without GPS data', () => {
+    const utils = setup({ asset: withoutGps });
+
+    expect(utils.getByText('No location in this photo')).toBeTruthy();
+    expect(utils.getByTestId('photo-location-switch').props.disabled).toBe(true);
+  });
+
+  it('resets the choice for a new photo', () => {
+    const utils = setup();
+    fireEvent(utils.getByTestId('photo-location-switch'), 'valueChange', true);
+
+    utils.rerender(
+      <PhotoPreviewModal
+        visible
+        onClose={utils.onClose}
+        onSend={utils.onSend}
+        asset={{ ...withGps, uri: 'file:///other.jpg' }}
+        theme={baseTheme}
+      />
+    );
+
+    expect(utils.getByTestId('photo-location-switch').props.value).toBe(false);
+  });
+
+  it('closes from the close button', () => {
+    const utils = setup();
+
+    fireEvent.press(utils.getByText('feather:x'));
+    expect(utils.onClose).toHaveBeenCalled();
+  });
+});
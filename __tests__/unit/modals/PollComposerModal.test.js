@@ -0,0 +1,102 @@
+/**
+ * __tests__/unit/modals/PollComposerModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Creating a Poll
+ *    - Sends the trimmed question and filled options, the choice mode and closing time.
+ *
+ * 2. Editing Options
+ *    - Options can be added and removed (never below two).
+ *
+ * 3. Validation
+ *    - A missing question or fewer than two different options shows an alert instead.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import { Alert } from 'react-native';
+import PollComposerModal from 'src/modals/PollComposerModal';
+
+const baseTheme = { surface: '#fff', text: '#000', input: '#f7f7f7', link: '#00f' };
+
+const setup = () => {
+  const onClose = jest.fn();
+  const onCreate = jest.fn();
+  const utils = render(
+    <PollComposerModal visible onClose={onClose} onCreate={onCreate} theme={baseTheme} />
+  );
+  return { ...utils, onClose, onCreate };
+};
+
+const fill = (utils, question, options) => {
+  fireEvent.changeText(utils.getByPlaceholderText('Ask a question'), question);
+  options.forEach((text, i) => {
+    fireEvent.changeText(utils.getByPlaceholderText(`Option ${i + 1}`), text);
+  });
+};
+
+describe('PollComposerModal', () => {
+  beforeEach(() => {
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-04-10T08:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates a single-choice poll without a time limit', () => {
+    const utils = setup();
+    fill(utils, '  Meet where? ', [' Library', 'Park ']);
+
+    fireEvent.press(utils.getByText('Post Poll'));
+
+    expect(utils.onCreate).toHaveBeenCalledWith({
+      question: 'Meet where?',
+      options: ['Library', 'Park'],
+      allowsMultiple: false,
+      closesAt: null,
+    });
+  });
+
+  it('sends multiple choice, extra options and the closing time', () => {
+    const utils = setup();
+    fireEvent.press(utils.getByText('+ Add option'));
+    fill(utils, 'Bring what?', ['Water', 'Torch', 'Radio']);
+    fireEvent(utils.getByTestId('poll-multiple-switch'), 'valueChange', true);
+    fireEvent.press(utils.getByText('1 day'));
+
+    fireEvent.press(utils.getByText('Post Poll'));
+
+    expect(utils.onCreate).toHaveBeenCalledWith({
+      question: 'Bring what?',
+      options: ['Water', 'Torch', 'Radio'],
+      allowsMultiple: true,
+      closesAt: '2025-04-11T08:00:00.000Z',
+    });
+  });
+
+  it('removes options but keeps at least two', () => {
+    const utils = setup();
+    expect(utils.queryByLabelText('Remove option 1')).toBeNull();
+
+    fireEvent.press(utils.getByText('+ Add option'));
+    fireEvent.press(utils.getByLabelText('Remove option 3'));
+
+    expect(utils.queryByPlaceholderText('Option 3')).toBeNull();
+  });
+
+  it('alerts instead of creating an incomplete poll', () => {
+    const utils = setup();
+
+    fireEvent.press(utils.getByText('Post Poll'));
+    expect(Alert.alert).toHaveBeenLastCalledWith('Missing Question', 'Please enter a question.');
+
+    fill(utils, 'Meet where?', ['Park', 'Park']);
+    fireEvent.press(utils.getByText('Post Poll'));
+    expect(Alert.alert).toHaveBeenLastCalledWith('More Options Needed', 'Add at least two different options.');
+
+    expect(utils.onCreate).not.toHaveBeenCalled();
+  });
+});
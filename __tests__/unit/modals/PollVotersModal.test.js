@@ -0,0 +1,66 @@
+/**
+ * __tests__/unit/modals/PollVotersModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Loading
+ *    - Shows a spinner while the voters are being fetched.
+ *
+ * 2. Voters
+ *    - Lists each option with its voter count and names, or "No votes yet".
+ *
+ * 3. Close Button
+ *    - Tapping the close button triggers onClose.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import PollVotersModal from 'src/modals/PollVotersModal';
+
+const baseTheme = { surface: '#fff', text: '#000', primary: '#00f' };
+
+const poll = {
+  id: 5,
+  question: 'Meet where?',
+  options: [
+    { id: 1, text: 'Library' },
+    { id: 2, text: 'Park' },
+  ],
+};
+
+describe('PollVotersModal', () => {
+  it('shows a spinner while loading', () => {
+    const { getByTestId } = render(
+      <PollVotersModal visible poll={poll} voters={null} theme={baseTheme} onClose={jest.fn()} />
+    );
+
+    expect(getByTestId('poll-voters-loading')).toBeTruthy();
+  });
+
+  it('lists the voters of each option', () => {
+    const voters = [
+      { option_id: 1, users: [{ id: 2, name: 'Sam Lee' }, { id: 3, email: 'ana@example.com' }] },
+      { option_id: 2, users: [] },
+    ];
+    const { getByText } = render(
+      <PollVotersModal visible poll={poll} voters={voters} theme={baseTheme} onClose={jest.fn()} />
+    );
+
+    expect(getByText('Library (2)')).toBeTruthy();
+    expect(getByText('Sam Lee')).toBeTruthy();
+    expect(getByText('ana@example.com')).toBeTruthy();
+    expect(getByText('Park (0)')).toBeTruthy();
+    expect(getByText('No votes yet')).toBeTruthy();
+  });
+
+  it('closes from the close button', () => {
+    const onClose = jest.fn();
+    const { getByText } = render(
+      <PollVotersModal visible poll={poll} voters={[]} theme={baseTheme} onClose={onClose} />
+    );
+
+    fireEvent.press(getByText('feather:x'));
+
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * __tests__/unit/modals/ReactionListModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Reactors
+ *    - Lists each emoji with its count and who used it ("You" for the current user,
+ *      "Unknown" without a name).
+ *
+ * 2. Visibility & Close Button
+ *    - Renders nothing while hidden; tapping the close button triggers onClose.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import ReactionListModal from 'src/modals/ReactionListModal';
+
+const baseTheme = { surface: '#fff', text: '#000' };
+
+const reactions = [
+  { emoji: '❤️', user: { id: 2, name: 'Sam Lee' } },
+  { emoji: '👍', user: { id: 1, name: 'Alex Kim' } },
+  { emoji: '❤️', user: { id: 3 } },
+];
+
+describe('ReactionListModal', () => {
+  it('lists who reacted with each emoji', () => {
+    const { getByText } = render(
+      <ReactionListModal visible reactions={reactions} currentUserId="1" theme={baseTheme} onClose={jest.fn()} />
+    );
+
+    expect(getByText('❤️ 2')).toBeTruthy();
+    expect(getByText('Sam Lee')).toBeTruthy();
+    expect(getByText('Unknown')).toBeTruthy();
+    expect(getByText('👍 1')).toBeTruthy();
+    expect(getByText('You')).toBeTruthy();
+  });
+
+  it('renders nothing while hidden', () => {
+    const { queryByText } = render(
+      <ReactionListModal visible={false} reactions={reactions} currentUserId={1} theme={baseTheme} onClose={jest.fn()} />
+    );
+
+    expect(queryByText('Reactions')).toBeNull();
+  });
+
+  it('closes from the close button', () => {
+    const onClose = jest.fn();
+    const { getByText } = render(
+      <ReactionListModal visible reactions={[]} currentUserId={1} theme={baseTheme} onClose={onClose} />
+    );
+
+    fireEvent.press(getByText('feather:x'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * __tests__/unit/modals/SeenByModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Sections
+ *    - Members are grouped into "Read by" / "Delivered to" (newest first, with times) and
+ *      "Not delivered yet"; empty sections are hidden.
+ *
+ * 2. Visibility & Close Button
+ *    - Renders nothing while hidden; tapping the close button triggers onClose.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import SeenByModal from 'src/modals/SeenByModal';
+
+jest.mock('src/utils/utils', () => jest.fn((date) => `time:${date}`));
+
+const baseTheme = { surface: '#fff', text: '#000' };
+
+const receipts = [
+  { user: { id: 2, name: 'Sam Lee' }, delivered_at: '2025-04-10T08:00:00.000Z', read_at: '2025-04-10T08:05:00.000Z' },
+  { user: { id: 3, name: 'Ana Ruiz' }, delivered_at: '2025-04-10T08:00:00.000Z', read_at: '2025-04-10T08:09:00.000Z' },
+  { user: { id: 4, name: 'Jo Park' }, delivered_at: '2025-04-10T08:02:00.000Z', read_at: null },
+  { user: { id: 5 }, delivered_at: null, read_at: null },
+];
+
+describe('SeenByModal', () => {
+  it('groups members by how far the message got', () => {
+    const { getByText, getAllByText } = render(
+      <SeenByModal visible receipts={receipts} theme={baseTheme} onClose={jest.fn()} />
+    );
+
+    expect(getByText('Read by 2')).toBeTruthy();
+    const names = getAllByText(/Sam Lee|Ana Ruiz/).map((node) => node.props.children);
+    expect(names).toEqual(['Ana Ruiz', 'Sam Lee']);
+    expect(getByText('time:2025-04-10T08:09:00.000Z')).toBeTruthy();
+
+    expect(getByText('Delivered to 1')).toBeTruthy();
+    expect(getByText('Jo Park')).toBeTruthy();
+    expect(getByText('time:2025-04-10T08:02:00.000Z')).toBeTruthy();
+
+    expect(getByText('Not delivered yet 1')).toBeTruthy();
+    expect(getByText('Unknown')).toBeTruthy();
+  });
+
+  it('hides empty sections', () => {
+    const { queryByText } = render(
+      <SeenByModal visible receipts={receipts.slice(0, 1)} theme={baseTheme} onClose={jest.fn()} />
+    );
+
+    expect(queryByText(/Delivered to/)).toBeNull();
+    expect(queryByText(/Not delivered yet/)).toBeNull();
+  });
+
+  it('renders nothing while hidden', () => {
+    const { queryByText } = render(
+      <SeenByModal visible={false} receipts={receipts} theme={baseTheme} onClose={jest.fn()} />
+    );
+
+    expect(queryByText('Seen by')).toBeNull();
+  });
+
+  it('closes from the close button', () => {
+    const onClose = jest.fn();
+    const { getByText } = render(<SeenByModal visible receipts={[]} theme={baseTheme} onClose={onClose} />);
+
+    fireEvent.press(getByText('feather:x'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
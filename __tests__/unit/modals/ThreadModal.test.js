@@ -6,23 +6,31 @@
  * What This Test File Covers:
  *
  * 1) Basic Rendering
- *    - Renders original message text, existing replies list, input, send and Close controls.
+ *    - Renders the original message, the stored replies (own replies as "You"), input, send
+ *      and Close controls; a spinner while loading and "No replies yet" for empty threads.
  *
- * 2) Add Reply Flow
- *    - Types a reply and sends it. Verifies ChatContext.addReply gets called with (chatId, message.id, text)
- *      and that the input is cleared afterwards.
+ * 2) Loading Replies
+ *    - Opening dispatches fetchThreadReplies({ chatId, messageId }); closing aborts it.
+ *    - "Load earlier replies" (when hasMore) fetches the page before the oldest reply.
  *
- * 3) Prevent Empty Reply
- *    - Attempts to send a blank/whitespace-only reply; ensures addReply is not called.
+ * 3) Add Reply Flow
+ *    - Types a reply and sends it. Verifies sendThreadReply gets called with
+ *      { chatId, messageId, senderId, content } and that the input is cleared afterwards.
+ *    - A failed send restores the text and shows an alert.
  *
- * 4) Close Action
+ * 4) Prevent Empty Reply
+ *    - Attempts to send a blank/whitespace-only reply; ensures nothing is dispatched.
+ *
+ * 5) Close Action
  *    - Pressing "Close" calls the provided onClose handler.
  */
 
 import React from 'react';
-import { render, fireEvent } from '@testing-library/react-native';
+import { render, fireEvent, act } from '@testing-library/react-native';
+import { Alert } from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
 import ThreadModal from 'src/modals/ThreadModal';
-import { ChatContext } from 'src/context/ChatContext';
+import { fetchThreadReplies, sendThreadReply } from 'src/store/actions/chatActions';
 
 // Stub predictable time formatting so assertions are stable
 jest.mock('src/utils/utils', () => ({
@@ -30,6 +38,11 @@ jest.mock('src/utils/utils', () => ({
   default: jest.fn(() => '10:00'),
 }));
 
+jest.mock('src/store/actions/chatActions', () => ({
+  fetchThreadReplies: jest.fn((arg) => ({ type: 'chat/fetchThreadReplies', arg })),
+  sendThreadReply: jest.fn((arg) => ({ type: 'chat/sendThreadReply', arg })),
+}));
+
 // Theme minimal set used by the component styles
 const theme = {
   background: '#fff',
@@ -45,48 +58,64 @@ const theme = {
 
 const baseMessage = {
   id: 'msg-1',
-  text: 'Original message text',
+  content: 'Original message text',
   timestamp: Date.now(),
-  replies: [
-    { id: 'r1', text: 'First reply', timestamp: Date.now() - 10000 },
-    { id: 'r2', text: 'Second reply', timestamp: Date.now() - 5000 },
-  ],
 };
 
-const renderWithContext = (ui, { addReply = jest.fn() } = {}) => {
-  return {
-    addReply,
-    ...render(
-      <ChatContext.Provider value={{ addReply }}>
-        {ui}
-      </ChatContext.Provider>
-    ),
-  };
-};
+const replies = [
+  { id: 'r1', content: 'First reply', sender: { id: 'u-2', name: 'Alex' }, timestamp: Date.now() - 10000 },
+  { id: 'r2', content: 'Second reply', sender: { id: 'u-1', name: 'Me' }, timestamp: Date.now() - 5000 },
+];
+
+let mockThread;
+let unwrap;
+let abort;
+let dispatch;
+
+const renderModal = (props = {}) =>
+  render(
+    <ThreadModal
+      visible
+      onClose={jest.fn()}
+      message={baseMessage}
+      chatId="chat-123"
+      theme={theme}
+      {...props}
+    />
+  );
 
 describe('ThreadModal', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockThread = { replies, hasMore: false, loading: false, error: null };
+    unwrap = jest.fn().mockResolvedValue({});
+    abort = jest.fn();
+    dispatch = jest.fn(() => ({ unwrap, abort }));
+    useDispatch.mockReturnValue(dispatch);
+    useSelector.mockImplementation((sel) =>
+      sel({
+        auth: { user: { id: 'u-1' } },
+        chat: { threadsByMessageId: { 'msg-1': mockThread } },
+      })
+    );
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Alert.alert.mockRestore();
   });
 
   it('renders original message, replies list, input, and Close control', () => {
-    const onClose = jest.fn();
-    const { getByText, getByPlaceholderText } = renderWithContext(
-      <ThreadModal
-        visible
-        onClose={onClose}
-        message={baseMessage}
-        chatId="chat-123"
-        theme={theme}
-      />
-    );
+    const { getByText, getByPlaceholderText } = renderModal();
 
     // Original message
     expect(getByText('Original message text')).toBeTruthy();
 
-    // Replies
+    // Replies, with the current user's own reply labelled "You"
     expect(getByText('First reply')).toBeTruthy();
+    expect(getByText('Alex')).toBeTruthy();
     expect(getByText('Second reply')).toBeTruthy();
+    expect(getByText('You')).toBeTruthy();
 
     // Input + Close
     expect(getByPlaceholderText('Write a reply...')).toBeTruthy();
@@ -96,82 +125,102 @@ describe('ThreadModal', () => {
     expect(getByText('feather:send')).toBeTruthy();
   });
 
-  it('sends a reply via ChatContext.addReply and clears input', () => {
-    const onClose = jest.fn();
-    const { addReply, getByPlaceholderText, getByText, queryByDisplayValue } =
-      renderWithContext(
-        <ThreadModal
-          visible
-          onClose={onClose}
-          message={baseMessage}
-          chatId="chat-123"
-          theme={theme}
-        />
-      );
+  it('shows a spinner while loading and a placeholder for empty threads', () => {
+    mockThread = { replies: [], hasMore: false, loading: true, error: null };
+    const loading = renderModal();
+    expect(loading.getByTestId('thread-loading')).toBeTruthy();
+    expect(loading.queryByText('No replies yet')).toBeNull();
+    loading.unmount();
+
+    mockThread = { replies: [], hasMore: false, loading: false, error: null };
+    expect(renderModal().getByText('No replies yet')).toBeTruthy();
+  });
+
+  it('loads the thread when opened and aborts the load when closed', () => {
+    const { rerender } = renderModal();
+
+    expect(fetchThreadReplies).toHaveBeenCalledWith({ chatId: 'chat-123', messageId: 'msg-1' });
+
+    rerender(
+      <ThreadModal visible={false} onClose={jest.fn()} message={baseMessage} chatId="chat-123" theme={theme} />
+    );
+    expect(abort).toHaveBeenCalled();
+  });
+
+  it('loads earlier replies before the oldest one', () => {
+    mockThread = { ...mockThread, hasMore: true };
+    const { getByText } = renderModal();
+
+    fireEvent.press(getByText('Load earlier replies'));
+
+    expect(fetchThreadReplies).toHaveBeenLastCalledWith({
+      chatId: 'chat-123',
+      messageId: 'msg-1',
+      before: 'r1',
+    });
+  });
+
+  it('sends a reply via sendThreadReply and clears input', async () => {
+    const { getByPlaceholderText, getByText, queryByDisplayValue } = renderModal();
 
     // Type a reply
     const input = getByPlaceholderText('Write a reply...');
-    fireEvent.changeText(input, 'Hello there');
+    fireEvent.changeText(input, ' Hello there ');
 
     // Press the send button (Touchable with Feather icon mocked as text)
-    fireEvent.press(getByText('feather:send'));
+    await act(async () => {
+      fireEvent.press(getByText('feather:send'));
+    });
 
     // Correct call shape
-    expect(addReply).toHaveBeenCalledWith('chat-123', 'msg-1', 'Hello there');
+    expect(sendThreadReply).toHaveBeenCalledWith({
+      chatId: 'chat-123',
+      messageId: 'msg-1',
+      senderId: 'u-1',
+      content: 'Hello there',
+    });
 
     // Input should be cleared
-    expect(queryByDisplayValue('Hello there')).toBeNull();
+    expect(queryByDisplayValue(' Hello there ')).toBeNull();
+  });
+
+  it('keeps the text and alerts when the reply fails', async () => {
+    unwrap.mockRejectedValueOnce('Sender is not a member of this chat');
+    const { getByPlaceholderText, getByText, getByDisplayValue } = renderModal();
+
+    fireEvent.changeText(getByPlaceholderText('Write a reply...'), 'Hello there');
+    await act(async () => {
+      fireEvent.press(getByText('feather:send'));
+    });
+
+    expect(getByDisplayValue('Hello there')).toBeTruthy();
+    expect(Alert.alert).toHaveBeenCalledWith('Reply not sent', 'Sender is not a member of this chat');
   });
 
   it('does not send when reply is blank or whitespace only', () => {
-    const onClose = jest.fn();
-    const { addReply, getByPlaceholderText, getByText } = renderWithContext(
-      <ThreadModal
-        visible
-        onClose={onClose}
-        message={baseMessage}
-        chatId="chat-123"
-        theme={theme}
-      />
-    );
+    const { getByPlaceholderText, getByText } = renderModal();
 
     const input = getByPlaceholderText('Write a reply...');
     fireEvent.changeText(input, '    ');
 
     fireEvent.press(getByText('feather:send'));
-    expect(addReply).not.toHaveBeenCalled();
+    expect(sendThreadReply).not.toHaveBeenCalled();
   });
 
   it('pressing Close calls onClose', () => {
     const onClose = jest.fn();
-    const { getByText } = renderWithContext(
-      <ThreadModal
-        visible
-        onClose={onClose}
-        message={baseMessage}
-        chatId="chat-123"
-        theme={theme}
-      />
-    );
+    const { getByText } = renderModal({ onClose });
 
     fireEvent.press(getByText('Close'));
     expect(onClose).toHaveBeenCalledTimes(1);
   });
 
   it('returns null when message is not provided', () => {
-    const onClose = jest.fn();
-    const { queryByText, queryByPlaceholderText } = renderWithContext(
-      <ThreadModal
-        visible
-        onClose={onClose}
-        message={null}
-        chatId="chat-123"
-        theme={theme}
-      />
-    );
+    const { queryByText, queryByPlaceholderText } = renderModal({ message: null });
 
-    // Nothing from the modal should be present
+    // Nothing from the modal should be present, and nothing is loaded
     expect(queryByText('Original message text')).toBeNull();
     expect(queryByPlaceholderText('Write a reply...')).toBeNull();
+    expect(fetchThreadReplies).not.toHaveBeenCalled();
   });
 });
@@ -0,0 +1,64 @@
+/**
+ * __tests__/unit/modals/VoiceNotePreviewModal.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Preview
+ *    - Plays the local recording and shows its length and size.
+ *
+ * 2. Buttons
+ *    - Send triggers onSend; Discard triggers onClose.
+ *    - Nothing is shown while hidden.
+ */
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import { useAudioPlayer } from 'expo-audio';
+import VoiceNotePreviewModal from 'src/modals/VoiceNotePreviewModal';
+
+const baseTheme = { surface: '#fff', text: '#000', link: '#00f', mutedText: '#aaa' };
+const note = {
+  uri: 'file:///voice.m4a',
+  duration_ms: 4200,
+  size: 18432,
+  mime_type: 'audio/mp4',
+  waveform: [0.1, 0.5, 0.9],
+};
+
+const setup = (props = {}) => {
+  const onClose = jest.fn();
+  const onSend = jest.fn();
+  const utils = render(
+    <VoiceNotePreviewModal visible onClose={onClose} onSend={onSend} note={note} theme={baseTheme} {...props} />
+  );
+  return { ...utils, onClose, onSend };
+};
+
+describe('VoiceNotePreviewModal', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('plays the recording and shows its length and size', () => {
+    const utils = setup();
+
+    expect(useAudioPlayer).toHaveBeenCalledWith({ uri: 'file:///voice.m4a' });
+    expect(utils.getByLabelText('Play voice note')).toBeTruthy();
+    expect(utils.getByText('0:04 · 18 KB')).toBeTruthy();
+  });
+
+  it('sends or discards the recording', () => {
+    const utils = setup();
+
+    fireEvent.press(utils.getByText('Send'));
+    expect(utils.onSend).toHaveBeenCalled();
+
+    fireEvent.press(utils.getByText('Discard'));
+    expect(utils.onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it('is hidden when not visible', () => {
+    const utils = setup({ visible: false });
+    expect(utils.queryByText('Send Voice Note')).toBeNull();
+  });
+});
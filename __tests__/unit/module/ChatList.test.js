@@ -18,6 +18,20 @@
  *
  * 4) Unread Indicator
  *    - Renders a blue unread dot for chats listed in unreadByChatId.
+ *
+ * 5) Message Search
+ *    - Queries of two or more characters dispatch searchMessages; hits show with their chat and
+ *      open ChatRoom at the message. Shorter queries show no message results.
+ *
+ * 6) Mute, Archive & Notification Level
+ *    - Archived chats only show in the "Archived" tab; the swipe action archives and unarchives.
+ *    - The notification sheet mutes for a chosen time, unmutes and sets the level, each through
+ *      updateChatPreferences.
+ *    - Muted chats show a bell-off icon and a grey unread dot.
+ *
+ * 7) Mentions
+ *    - The "Mentions" tab lists chats with unread mentions (archived ones too); their rows show an
+ *      "@" badge with the count.
  */
 
 import React from 'react';
@@ -49,11 +63,36 @@ jest.mock('react-redux', () => {
   };
 });
 
-// --- Mock deleteChat action (kept simple)
+// --- Mock deleteChat / searchMessages / updateChatPreferences actions (kept simple)
 jest.mock('../../../src/store/actions/chatActions', () => ({
   deleteChat: (id) => ({ type: 'DELETE_CHAT', payload: id }),
+  searchMessages: (arg) => ({ type: 'SEARCH_MESSAGES', payload: arg }),
+  updateChatPreferences: (arg) => ({ type: 'UPDATE_CHAT_PREFERENCES', payload: arg }),
 }));
 
+// ActionModal: one pressable per option while visible
+jest.mock('../../../src/modals/ActionModal', () => {
+  return ({ visible, options, onSelect, onClose }) => {
+    const React = require('react');
+    const { View, TouchableOpacity, Text } = require('react-native');
+    return visible ? (
+      <View testID="action-modal">
+        {options.map((o) => (
+          <TouchableOpacity
+            key={o.label}
+            onPress={() => {
+              onSelect(o.action);
+              onClose();
+            }}
+          >
+            <Text>{o.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    ) : null;
+  };
+});
+
 // --- Mock child components
 
 // SearchBar: simple controlled input
@@ -117,6 +156,7 @@ jest.mock('../../../src/components/SwipeableList', () => {
       onItemPress,
       renderItemContainer,
       renderItemText,
+      renderRightActions,
       hasMore,
       onLoadMore,
       disableLoadMore,
@@ -128,6 +168,7 @@ jest.mock('../../../src/components/SwipeableList', () => {
         {data.map((item, index) => (
           <View key={keyExtractor?.(item, index) ?? `k-${index}`}>
             {renderItemContainer?.(item, renderItemText?.(item), onItemPress)}
+            {renderRightActions?.(item, index)}
           </View>
         ))}
         {hasMore && !disableLoadMore && (
@@ -238,4 +279,131 @@ describe('ChatList', () => {
     expect(Array.isArray(views)).toBe(true);
     expect(views.length).toBeGreaterThan(0);
   });
+
+  it('searches messages and opens the chat at a hit', async () => {
+    const hit = {
+      chat_id: 2,
+      chat_name: 'Product Team',
+      message: { id: 40, content: 'The generator is in the shed', sender: { id: 7, name: 'Sam' }, timestamp: '2025-04-10T09:00:00.000Z' },
+    };
+    mockDispatch.mockImplementation((action) => ({
+      unwrap: () => Promise.resolve(action.type === 'SEARCH_MESSAGES' ? { results: [hit], source: 'server' } : {}),
+      abort: jest.fn(),
+    }));
+    const { getByTestId, getByText, queryByText } = setup();
+
+    fireEvent.changeText(getByTestId('search-input'), 'g');
+    expect(mockDispatch).not.toHaveBeenCalled();
+
+    fireEvent.changeText(getByTestId('search-input'), 'generator');
+    await act(async () => {});
+
+    expect(mockDispatch).toHaveBeenCalledWith({ type: 'SEARCH_MESSAGES', payload: { query: 'generator' } });
+    expect(getByText('Messages')).toBeTruthy();
+    expect(getByText('Product Team · Sam')).toBeTruthy();
+    expect(getByText('generator')).toBeTruthy();
+
+    fireEvent.press(getByText('Product Team · Sam'));
+    expect(mockNavigate).toHaveBeenCalledWith('ChatRoom', { chatId: 2, messageId: 40 });
+
+    fireEvent.changeText(getByTestId('search-input'), '');
+    expect(queryByText('Messages')).toBeNull();
+  });
+
+  it('keeps archived chats in their own tab and archives from the swipe action', () => {
+    const chats = [
+      ...baseProps().chats,
+      { id: 4, name: 'Old Drill', is_group: true, preferences: { archived: true }, updated_at: Date.now() },
+    ];
+    const { getByTestId, getByText, queryByText, getAllByLabelText, getByLabelText } = setup({ chats });
+
+    expect(queryByText('Old Drill')).toBeNull();
+    fireEvent.press(getAllByLabelText('Archive chat')[0]);
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: 'UPDATE_CHAT_PREFERENCES',
+      payload: { chatId: 1, archived: true },
+    });
+
+    fireEvent.press(getByTestId('tab-archived'));
+    expect(getByText('Old Drill')).toBeTruthy();
+    expect(queryByText('Alice')).toBeNull();
+
+    fireEvent.press(getByLabelText('Unarchive chat'));
+    expect(mockDispatch).toHaveBeenLastCalledWith({
+      type: 'UPDATE_CHAT_PREFERENCES',
+      payload: { chatId: 4, archived: false },
+    });
+  });
+
+  it('mutes, unmutes and sets the notification level from the notification sheet', () => {
+    const now = new Date('2025-04-10T09:00:00.000Z').getTime();
+    jest.setSystemTime(now);
+    const chats = [
+      { id: 1, name: 'Alice', is_group: false, updated_at: now },
+      {
+        id: 2,
+        name: 'Product Team',
+        is_group: true,
+        preferences: { muted_until: '2025-04-10T17:00:00.000Z', notification_level: 'mentions' },
+        updated_at: now,
+      },
+    ];
+    const { getAllByLabelText, getByText, queryByTestId } = setup({ chats });
+
+    fireEvent.press(getAllByLabelText('Notification settings')[0]);
+    fireEvent.press(getByText('Mute: 8 hours'));
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: 'UPDATE_CHAT_PREFERENCES',
+      payload: { chatId: 1, mutedUntil: '2025-04-10T17:00:00.000Z' },
+    });
+    expect(queryByTestId('action-modal')).toBeNull();
+
+    fireEvent.press(getAllByLabelText('Notification settings')[1]);
+    expect(getByText('✓ Mentions only')).toBeTruthy();
+    fireEvent.press(getByText('Unmute'));
+    expect(mockDispatch).toHaveBeenLastCalledWith({
+      type: 'UPDATE_CHAT_PREFERENCES',
+      payload: { chatId: 2, mutedUntil: null },
+    });
+
+    fireEvent.press(getAllByLabelText('Notification settings')[1]);
+    fireEvent.press(getByText('No notifications'));
+    expect(mockDispatch).toHaveBeenLastCalledWith({
+      type: 'UPDATE_CHAT_PREFERENCES',
+      payload: { chatId: 2, notificationLevel: 'none' },
+    });
+  });
+
+  it('shows muted chats with a bell-off icon and a grey unread dot', () => {
+    const now = new Date('2025-04-10T09:00:00.000Z').getTime();
+    jest.setSystemTime(now);
+    const chats = [
+      { id: 1, name: 'Alice', is_group: false, updated_at: now },
+      { id: 2, name: 'Product Team', is_group: true, preferences: { muted_until: '2025-04-10T10:00:00.000Z' }, updated_at: now },
+    ];
+    const { getByTestId, queryAllByLabelText } = setup({ chats, unreadByChatId: { 1: true, 2: true } });
+
+    const flat = (id) => Object.assign({}, ...[getByTestId(`unread-dot-${id}`).props.style].flat().filter(Boolean));
+    expect(flat(1).backgroundColor).toBe('dodgerblue');
+    expect(flat(2).backgroundColor).toBe('gray');
+    expect(queryAllByLabelText(/^Muted until/)).toHaveLength(1);
+  });
+
+  it('lists chats with unread mentions in the Mentions tab with a badge', () => {
+    const chats = [
+      ...baseProps().chats,
+      { id: 4, name: 'Old Drill', is_group: true, preferences: { archived: true }, unread_mention_count: 1, updated_at: Date.now() },
+    ];
+    chats[1] = { ...chats[1], unread_mention_count: 3 };
+    const { getByTestId, getByText, queryByText, queryByTestId } = setup({ chats });
+
+    expect(getByTestId('mention-badge-2').props.children).toBe('@3');
+    expect(queryByTestId('mention-badge-1')).toBeNull();
+
+    fireEvent.press(getByTestId('tab-mentions'));
+    expect(getByText('Product Team')).toBeTruthy();
+    expect(getByText('Old Drill')).toBeTruthy();
+    expect(queryByText('Alice')).toBeNull();
+    expect(queryByText('Bob')).toBeNull();
+  });
 });
@@ -8,8 +8,11 @@
  *    - Renders "Chat not found." when active chat for route chatId is absent.
  *
  * 2) Bootstrap Fetch & Socket Join
- *    - On mount, with empty messages: dispatches fetchMessages(chatId) and fetchChatById(chatId),
- *      and calls joinChat(chatId).
+ *    - On mount: dispatches fetchMessages(chatId) (also with cached messages) and
+ *      fetchChatById(chatId), and calls joinChat(chatId).
+ *    - Reaching the top of the list loads older messages while online and the history has more;
+ *      a spinner shows while they load.
+ *    - On unmount: removes only its own socket handlers (every one it added) and leaves the room.
  *
  * 3) Typing Emission
  *    - Typing starts emits 'chat:typing_start' and after 1500ms emits 'chat:typing_stop'.
@@ -18,8 +21,70 @@
  *    - Online: dispatches sendMessage with trimmed payload.
  *    - Offline: dispatches queuePendingMessage instead.
  *
- * 5) Read Receipt
- *    - When at bottom and messages exist, dispatches markChatAsReadThunk(chatId, latestId).
+ * 5) Read State & Receipts
+ *    - When at bottom, dispatches markChatAsReadThunk({ chatId, messageId }) for the newest server
+ *      message, once (local echoes and the already-read message are skipped).
+ *    - The screen leaves 'chat:delivered' to the store middleware (deliveryReceiptMiddleware).
+ *    - 'chat:receipt' for this chat dispatches applyReceipt; bubbles know whether the chat is a group.
+ *
+ * 6) Polls
+ *    - The "Poll" quick action opens the composer; creating dispatches createPoll (online only).
+ *    - Bubble votes dispatch votePoll; closing asks first; voters are fetched for the voters modal.
+ *    - 'chat:poll_updated' for this chat dispatches updatePoll.
+ *
+ * 7) Events
+ *    - The "Event" quick action opens the composer in group chats only; creating dispatches
+ *      createEvent with the composer's window, location and capacity.
+ *    - Bubble RSVPs dispatch rsvpEvent (with addToTasks); rejections show an alert.
+ *    - 'chat:event_updated' for this chat dispatches updateEvent.
+ *
+ * 8) Threads
+ *    - 'chat:thread_reply' for this chat dispatches appendThreadReply; replies broadcast as
+ *      'chat:new_message' stay out of the timeline.
+ *
+ * 9) Reactions
+ *    - A new emoji dispatches addReaction; the user's current emoji dispatches removeReaction;
+ *      rejections show an alert.
+ *    - 'chat:reaction' for this chat dispatches updateReactions.
+ *
+ * 10) Photos
+ *    - "Photo" / "Camera" pick an image and open the preview; sending prepares it (with the
+ *      location only when opted in) and dispatches sendImageMessage, or queues it offline.
+ *    - Failed uploads retry with the echo's id; picker errors show an alert.
+ *
+ * 11) Edits & Deletions
+ *    - A bubble's Edit opens the editor; saving dispatches editMessage, rejections show an alert.
+ *    - Delete asks first, then dispatches deleteMessage; both are refused while offline.
+ *    - 'chat:message_updated' / 'chat:message_deleted' for this chat dispatch updateMessage /
+ *      markMessageDeleted.
+ *
+ * 12) Group Moderation
+ *    - 'chat:group_updated' for this chat dispatches updateChat.
+ *    - Muted members and non-admins in announcement-only groups see a notice instead of the
+ *      composer; admins keep the composer.
+ *
+ * 13) Pinned Messages
+ *    - On mount: dispatches fetchPinnedMessages(chatId); 'chat:pins_updated' for this chat
+ *      dispatches setPinnedMessages.
+ *    - Users who may pin get Pin / Unpin on bubbles (pinMessage / unpinMessage, online only,
+ *      rejections alert) and unpin in the banner; group members who are not admins get neither.
+ *    - Jumping from the banner scrolls to a loaded message and highlights it for 2s, pages back
+ *      through older messages until it is found, and alerts when the history runs out.
+ *
+ * 14) Search
+ *    - The header's search button opens the in-chat search; picking a hit scrolls to it.
+ *    - A `messageId` route param scrolls to that message once the newest page has loaded.
+ *
+ * 15) Mentions
+ *    - Typing "@" plus part of a name in a group lists matching members (not the user, not in
+ *      direct chats); picking one completes "@Name " in the composer.
+ *    - Sending passes the picked members still named in the text as `mentions`.
+ *
+ * 16) Voice Notes
+ *    - The mic shows only while the input is empty; the input is hidden while recording.
+ *    - A finished recording opens the preview; sending dispatches sendVoiceMessage, or queues it
+ *      offline; discarding sends nothing.
+ *    - Failed uploads retry with the echo's id; recording errors show an alert.
  */
 
 import React from 'react';
@@ -34,9 +99,10 @@ afterAll(() => jest.useRealTimers());
 
 // Route / Navigation
 let mockChatId = 'chat-1';
+let mockRouteExtras = {};
 const mockReset = jest.fn();
 jest.mock('@react-navigation/native', () => ({
-  useRoute: () => ({ params: { chatId: mockChatId } }),
+  useRoute: () => ({ params: { chatId: mockChatId, ...mockRouteExtras } }),
   useNavigation: () => ({ reset: mockReset }),
 }));
 
@@ -70,9 +136,7 @@ const mockLeave = jest.fn();
 const mockEmit = jest.fn();
 const mockOnEvent = jest.fn();
 const mockOffEvent = jest.fn();
-const mockSocket = { connected: true, on: jest.fn(), off: jest.fn() };
 jest.mock('../../../../src/utils/socket', () => ({
-  getSocket: () => mockSocket,
   joinChat: (...a) => mockJoin(...a),
   leaveChat: (...a) => mockLeave(...a),
   emitEvent: (...a) => mockEmit(...a),
@@ -82,13 +146,42 @@ jest.mock('../../../../src/utils/socket', () => ({
 
 // Geo util (only used when action modal opens; not needed in baseline tests)
 jest.mock('../../../../src/utils/utils', () => ({
+  __esModule: true,
+  default: (date) => `time:${new Date(date).toISOString()}`,
   getUserLocation: async () => ({ lat: 1, lng: 2 }),
 }));
 
 // Components / Modals (shallow stubs)
+let mockBubbleProps = null;
 jest.mock('../../../../src/components/Chat/MessageBubble', () => {
   const { Text } = require('react-native');
-  return ({ message }) => <Text>{`msg:${message?.id}`}</Text>;
+  return (props) => {
+    mockBubbleProps = props;
+    return <Text>{`msg:${props.message?.id}`}</Text>;
+  };
+});
+let mockBannerProps = null;
+jest.mock('../../../../src/components/Chat/PinnedBanner', () => {
+  const { Text } = require('react-native');
+  return (props) => {
+    mockBannerProps = props;
+    return <Text>{`pins:${props.pins.length}`}</Text>;
+  };
+});
+jest.mock('../../../../src/components/Chat/MentionSuggestions', () => {
+  const { Text } = require('react-native');
+  return ({ members, onSelect }) =>
+    members.map((m) => (
+      <Text key={m.id} onPress={() => onSelect(m)}>{`mention:${m.name}`}</Text>
+    ));
+});
+let mockRecorderProps = null;
+jest.mock('../../../../src/components/Chat/VoiceRecorder', () => {
+  const { Text } = require('react-native');
+  return (props) => {
+    mockRecorderProps = props;
+    return <Text>voice-recorder</Text>;
+  };
 });
 jest.mock('../../../../src/components/Chat/TypingIndicator', () => {
   const { Text } = require('react-native');
@@ -103,8 +196,94 @@ jest.mock('../../../../src/modals/GroupInfoModal', () => {
   return () => <View testID="group-info-modal" />;
 });
 jest.mock('../../../../src/modals/ActionModal', () => {
-  const { View } = require('react-native');
-  return (props) => (props.visible ? <View testID="action-modal" /> : null);
+  const React = require('react');
+  const { View, Text } = require('react-native');
+  return (props) => {
+    // Like react-native-modal: onModalHide fires after the modal has been hidden
+    const wasVisible = React.useRef(false);
+    React.useEffect(() => {
+      if (wasVisible.current && !props.visible) props.onModalHide?.();
+      wasVisible.current = props.visible;
+    }, [props.visible]);
+
+    return props.visible ? (
+      <View testID="action-modal">
+        {props.options.map((o) => (
+          <Text key={o.label} onPress={() => props.onSelect(o.action)}>
+            {`option:${o.label}`}
+          </Text>
+        ))}
+      </View>
+    ) : null;
+  };
+});
+jest.mock('../../../../src/modals/PollComposerModal', () => {
+  const { Text } = require('react-native');
+  return (props) =>
+    props.visible ? (
+      <Text
+        onPress={() =>
+          props.onCreate({ question: 'Meet where?', options: ['Library', 'Park'], allowsMultiple: false, closesAt: null })
+        }
+      >
+        poll-composer
+      </Text>
+    ) : null;
+});
+jest.mock('../../../../src/modals/EventComposerModal', () => {
+  const { Text } = require('react-native');
+  return (props) =>
+    props.visible ? (
+      <Text
+        onPress={() =>
+          props.onCreate({
+            title: 'Cleanup',
+            startsAt: '2030-01-01T09:00:00.000Z',
+            endsAt: '2030-01-01T10:00:00.000Z',
+            location: props.location ? { ...props.location, label: null } : null,
+            capacity: 8,
+          })
+        }
+      >
+        event-composer
+      </Text>
+    ) : null;
+});
+jest.mock('../../../../src/modals/PollVotersModal', () => {
+  const { Text } = require('react-native');
+  return (props) => (props.visible ? <Text>{`voters:${props.voters ? props.voters.length : 'loading'}`}</Text> : null);
+});
+jest.mock('../../../../src/modals/PhotoPreviewModal', () => {
+  const { Text } = require('react-native');
+  return (props) =>
+    props.visible ? (
+      <Text onPress={() => props.onSend({ includeLocation: true })}>{`photo-preview:${props.asset?.uri}`}</Text>
+    ) : null;
+});
+jest.mock('../../../../src/modals/VoiceNotePreviewModal', () => {
+  const { Text } = require('react-native');
+  return (props) =>
+    props.visible ? (
+      <>
+        <Text onPress={props.onSend}>{`voice-preview:${props.note?.uri}`}</Text>
+        <Text onPress={props.onClose}>voice-discard</Text>
+      </>
+    ) : null;
+});
+jest.mock('../../../../src/modals/EditMessageModal', () => {
+  const { Text } = require('react-native');
+  return (props) =>
+    props.visible ? (
+      <Text onPress={() => props.onSave('Shelter opens at 7')}>{`edit-message:${props.message?.id}`}</Text>
+    ) : null;
+});
+let mockSearchModalProps = null;
+jest.mock('../../../../src/modals/MessageSearchModal', () => {
+  const { Text } = require('react-native');
+  return (props) => {
+    mockSearchModalProps = props;
+    return props.visible ? <Text>{`search-modal:${props.chatId}`}</Text> : null;
+  };
 });
 jest.mock('../../../../src/modals/QuizPromptModal', () => {
   const { View } = require('react-native');
@@ -113,12 +292,22 @@ jest.mock('../../../../src/modals/QuizPromptModal', () => {
 
 // Selectors
 let mockMessages = [];
+let mockHistory = { hasMore: false, loadingOlder: false, error: null };
 let mockTypingUsers = [];
+let mockPins = [];
 jest.mock('../../../../src/store/selectors/chatSelectors', () => ({
+  selectPinnedMessagesByChatId:
+    (id) =>
+    () =>
+      mockPins,
   selectMessagesByChatId:
     (id) =>
     () =>
       mockMessages,
+  selectMessageHistoryByChatId:
+    (id) =>
+    () =>
+      mockHistory,
   selectTypingUsersByChatId:
     (id) =>
     () =>
@@ -129,17 +318,57 @@ jest.mock('../../../../src/store/selectors/chatSelectors', () => ({
 const mockDispatch = jest.fn(() => ({ unwrap: () => Promise.resolve({}) }));
 
 const mockFetchMessages = jest.fn((id) => ({ type: 'FETCH_MESSAGES', id }));
-const mockMarkRead = jest.fn((id, mid) => ({ type: 'MARK_READ', id, mid }));
+const mockFetchOlder = jest.fn((id) => ({ type: 'FETCH_OLDER', id }));
+const mockMarkRead = jest.fn((p) => ({ type: 'MARK_READ', p }));
 const mockSendMessage = jest.fn((p) => ({ type: 'SEND', p }));
 const mockQueueMsg = jest.fn((p) => ({ type: 'QUEUE', p }));
 const mockFlushQueue = jest.fn((id) => ({ type: 'FLUSH', id }));
 const mockFetchChatById = jest.fn((id) => ({ type: 'FETCH_CHAT', id }));
+const mockCreatePoll = jest.fn((p) => ({ type: 'CREATE_POLL', p }));
+const mockVotePoll = jest.fn((p) => ({ type: 'VOTE_POLL', p }));
+const mockClosePoll = jest.fn((p) => ({ type: 'CLOSE_POLL', p }));
+const mockFetchPollVoters = jest.fn((p) => ({ type: 'FETCH_POLL_VOTERS', p }));
+const mockUpdatePoll = jest.fn((p) => ({ type: 'UPDATE_POLL', p }));
+const mockCreateEvent = jest.fn((p) => ({ type: 'CREATE_EVENT', p }));
+const mockRsvpEvent = jest.fn((p) => ({ type: 'RSVP_EVENT', p }));
+const mockUpdateEvent = jest.fn((p) => ({ type: 'UPDATE_EVENT', p }));
+const mockAppendThreadReply = jest.fn((p) => ({ type: 'APPEND_THREAD_REPLY', p }));
+const mockAppendMessage = jest.fn((p) => ({ type: 'APPEND', p }));
+const mockAddReaction = jest.fn((p) => ({ type: 'ADD_REACTION', p }));
+const mockRemoveReaction = jest.fn((p) => ({ type: 'REMOVE_REACTION', p }));
+const mockUpdateReactions = jest.fn((p) => ({ type: 'UPDATE_REACTIONS', p }));
+const mockApplyReceipt = jest.fn((p) => ({ type: 'APPLY_RECEIPT', p }));
+const mockSendImage = jest.fn((p) => ({ type: 'SEND_IMAGE', p }));
+const mockSendVoice = jest.fn((p) => ({ type: 'SEND_VOICE', p }));
+const mockEditMessage = jest.fn((p) => ({ type: 'EDIT_MESSAGE', p }));
+const mockDeleteMessage = jest.fn((p) => ({ type: 'DELETE_MESSAGE', p }));
+const mockUpdateMessage = jest.fn((p) => ({ type: 'UPDATE_MESSAGE', p }));
+const mockMarkMessageDeleted = jest.fn((p) => ({ type: 'MARK_MESSAGE_DELETED', p }));
+const mockUpdateChat = jest.fn((p) => ({ type: 'UPDATE_CHAT', p }));
+const mockFetchPins = jest.fn((id) => ({ type: 'FETCH_PINS', id }));
+const mockPinMessage = jest.fn((p) => ({ type: 'PIN_MESSAGE', p }));
+const mockUnpinMessage = jest.fn((p) => ({ type: 'UNPIN_MESSAGE', p }));
+const mockSetPins = jest.fn((p) => ({ type: 'SET_PINS', p }));
+const mockPickImage = jest.fn();
+const mockPrepareImage = jest.fn();
+let mockIsGroup = false;
+let mockLastRead = null;
+let mockChatExtras = {};
 
 // reducer helpers (not directly dispatched in these tests)
 jest.mock('../../../../src/store/reducers/chatReducer', () => ({
-  appendMessage: jest.fn(),
+  appendMessage: (...a) => mockAppendMessage(...a),
   setTypingUser: jest.fn(),
   removeTypingUser: jest.fn(),
+  updatePoll: (...a) => mockUpdatePoll(...a),
+  updateEvent: (...a) => mockUpdateEvent(...a),
+  appendThreadReply: (...a) => mockAppendThreadReply(...a),
+  updateReactions: (...a) => mockUpdateReactions(...a),
+  applyReceipt: (...a) => mockApplyReceipt(...a),
+  updateMessage: (...a) => mockUpdateMessage(...a),
+  markMessageDeleted: (...a) => mockMarkMessageDeleted(...a),
+  updateChat: (...a) => mockUpdateChat(...a),
+  setPinnedMessages: (...a) => mockSetPins(...a),
 }));
 
 jest.mock('react-redux', () => {
@@ -157,8 +386,8 @@ jest.mock('react-redux', () => {
         }},
         auth: { user: { id: 101 } },
         chat: {
-          activeChats: [{ id: 'chat-1', is_group: false, members: [{ id: 101, name: 'Me' }, { id: 202, name: 'Alice' }] }],
-          lastReadByChatId: { 'chat-1': null },
+          activeChats: [{ id: 'chat-1', is_group: mockIsGroup, members: [{ id: 101, name: 'Me' }, { id: 202, name: 'Alice' }], ...mockChatExtras }],
+          lastReadByChatId: { 'chat-1': mockLastRead },
           loading: false,
         },
       }),
@@ -168,10 +397,31 @@ jest.mock('react-redux', () => {
 jest.mock('../../../../src/store/actions/chatActions', () => ({
   sendMessage: (...a) => mockSendMessage(...a),
   fetchMessages: (...a) => mockFetchMessages(...a),
+  fetchOlderMessages: (...a) => mockFetchOlder(...a),
   markChatAsReadThunk: (...a) => mockMarkRead(...a),
   queuePendingMessage: (...a) => mockQueueMsg(...a),
   flushQueuedMessages: (...a) => mockFlushQueue(...a),
   fetchChatById: (...a) => mockFetchChatById(...a),
+  createPoll: (...a) => mockCreatePoll(...a),
+  votePoll: (...a) => mockVotePoll(...a),
+  closePoll: (...a) => mockClosePoll(...a),
+  fetchPollVoters: (...a) => mockFetchPollVoters(...a),
+  createEvent: (...a) => mockCreateEvent(...a),
+  rsvpEvent: (...a) => mockRsvpEvent(...a),
+  addReaction: (...a) => mockAddReaction(...a),
+  removeReaction: (...a) => mockRemoveReaction(...a),
+  sendImageMessage: (...a) => mockSendImage(...a),
+  sendVoiceMessage: (...a) => mockSendVoice(...a),
+  editMessage: (...a) => mockEditMessage(...a),
+  deleteMessage: (...a) => mockDeleteMessage(...a),
+  fetchPinnedMessages: (...a) => mockFetchPins(...a),
+  pinMessage: (...a) => mockPinMessage(...a),
+  unpinMessage: (...a) => mockUnpinMessage(...a),
+}));
+
+jest.mock('../../../../src/utils/imageAttachments', () => ({
+  pickChatImage: (...a) => mockPickImage(...a),
+  prepareChatImage: (...a) => mockPrepareImage(...a),
 }));
 
 // Quiz action (not exercised in baseline tests)
@@ -198,9 +448,17 @@ describe('ChatRoomScreen', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     mockChatId = 'chat-1';
+    mockRouteExtras = {};
     mockIsConnected = true;
+    mockIsGroup = false;
+    mockLastRead = null;
+    mockChatExtras = {};
     mockMessages = [];
+    mockHistory = { hasMore: false, loadingOlder: false, error: null };
     mockTypingUsers = [];
+    mockPins = [];
+    mockBannerProps = null;
+    mockRecorderProps = null;
     mockDispatch.mockImplementation(() => ({ unwrap: () => Promise.resolve({}) }));
   });
 
@@ -218,6 +476,68 @@ describe('ChatRoomScreen', () => {
     expect(mockJoin).toHaveBeenCalledWith('chat-1');
   });
 
+  it('refreshes the newest page even when cached messages are shown', () => {
+    mockMessages = [{ id: 1, content: 'cached' }];
+    render(<ChatRoomScreen />);
+    expect(mockFetchMessages).toHaveBeenCalledWith('chat-1');
+  });
+
+  it('loads older messages at the top of the list while online and more exist', () => {
+    const { FlatList } = require('react-native');
+    mockMessages = [{ id: 1, content: 'cached' }];
+    mockHistory = { hasMore: true, loadingOlder: false, error: null };
+    const utils = render(<ChatRoomScreen />);
+
+    act(() => {
+      utils.UNSAFE_getByType(FlatList).props.onEndReached();
+    });
+    expect(mockFetchOlder).toHaveBeenCalledWith('chat-1');
+  });
+
+  it('does not page while offline, loading or at the start of the history', () => {
+    const { FlatList } = require('react-native');
+    mockMessages = [{ id: 1, content: 'cached' }];
+
+    [
+      [false, { hasMore: true, loadingOlder: false }],
+      [true, { hasMore: true, loadingOlder: true }],
+      [true, { hasMore: false, loadingOlder: false }],
+    ].forEach(([connected, history]) => {
+      mockIsConnected = connected;
+      mockHistory = { ...history, error: null };
+      const utils = render(<ChatRoomScreen />);
+      act(() => {
+        utils.UNSAFE_getByType(FlatList).props.onEndReached();
+      });
+      utils.unmount();
+    });
+
+    expect(mockFetchOlder).not.toHaveBeenCalled();
+  });
+
+  it('shows a spinner above the messages while older ones load', () => {
+    mockMessages = [{ id: 1, content: 'cached' }];
+    mockHistory = { hasMore: true, loadingOlder: true, error: null };
+    const utils = render(<ChatRoomScreen />);
+    expect(utils.getByTestId('older-messages-loading')).toBeTruthy();
+  });
+
+  it('removes only its own socket handlers on unmount', () => {
+    const { unmount } = render(<ChatRoomScreen />);
+    const registered = Object.fromEntries(mockOnEvent.mock.calls);
+
+    unmount();
+
+    ['chat:new_message', 'chat:typing_start', 'chat:typing_stop', 'chat:poll_updated', 'chat:event_updated', 'chat:thread_reply', 'chat:reaction', 'chat:receipt', 'chat:message_updated', 'chat:message_deleted', 'chat:group_updated', 'chat:pins_updated'].forEach((event) => {
+      expect(mockOffEvent).toHaveBeenCalledWith(event, registered[event]);
+    });
+    // Every subscription is undone with the same handler
+    mockOnEvent.mock.calls.forEach(([event, handler]) => {
+      expect(mockOffEvent).toHaveBeenCalledWith(event, handler);
+    });
+    expect(mockLeave).toHaveBeenCalledWith('chat-1');
+  });
+
   it('emits typing start, then typing stop after 1500ms', () => {
     const utils = render(<ChatRoomScreen />);
     const input = getComposerInput(utils);
@@ -252,6 +572,7 @@ describe('ChatRoomScreen', () => {
       chatId: 'chat-1',
       senderId: 101,
       message: 'hello world',
+      mentions: [],
     });
     expect(mockQueueMsg).not.toHaveBeenCalled();
   });
@@ -271,19 +592,68 @@ describe('ChatRoomScreen', () => {
       chatId: 'chat-1',
       senderId: 101,
       message: 'offline msg',
+      mentions: [],
     });
     expect(mockSendMessage).not.toHaveBeenCalled();
   });
 
-  it('marks chat as read when at bottom and messages exist', () => {
-    // Provide messages; the component reads latest at index 0 of reversed array,
-    // but uses messages[0].id in effect when isAtBottom is true.
-    mockMessages = [{ id: 111, message: 'first' }, { id: 222, message: 'second' }];
+  it('marks chat as read up to the newest server message when at bottom', () => {
+    // Messages are stored oldest first; unsent echoes are skipped
+    mockMessages = [{ id: 111, message: 'first' }, { id: 222, message: 'second' }, { id: 'temp-1', status: 'pending' }];
 
     render(<ChatRoomScreen />);
 
-    // Expect mark as read with latest id (messages[0].id from selector)
-    expect(mockMarkRead).toHaveBeenCalledWith('chat-1', 111);
+    expect(mockMarkRead).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 222 });
+  });
+
+  it('does not mark read again once the newest message is read', () => {
+    mockMessages = [{ id: 111, message: 'first' }];
+    mockLastRead = 111;
+
+    render(<ChatRoomScreen />);
+
+    expect(mockMarkRead).not.toHaveBeenCalled();
+  });
+
+  describe('receipts', () => {
+    const handlerFor = (name) => mockOnEvent.mock.calls.find(([event]) => event === name)[1];
+
+    it('leaves delivery acknowledgements to the store', () => {
+      render(<ChatRoomScreen />);
+      const handler = handlerFor('chat:new_message');
+
+      handler({ id: 11, chat_id: 'chat-1', sender: { id: 202 }, content: 'theirs' });
+
+      expect(mockEmit).not.toHaveBeenCalledWith('chat:delivered', expect.anything());
+    });
+
+    it('applies receipts for this chat only', () => {
+      render(<ChatRoomScreen />);
+      const handler = handlerFor('chat:receipt');
+      const receipt = { message_id: 5, user: { id: 202, name: 'Alice' }, status: 'read', at: '2025-04-10T08:00:00.000Z' };
+
+      handler({ ...receipt, chat_id: 'other' });
+      handler({ ...receipt, chat_id: 'chat-1' });
+
+      expect(mockApplyReceipt).toHaveBeenCalledTimes(1);
+      expect(mockApplyReceipt).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        messageId: 5,
+        user: { id: 202, name: 'Alice' },
+        status: 'read',
+        at: '2025-04-10T08:00:00.000Z',
+      });
+    });
+
+    it('tells bubbles whether the chat is a group', () => {
+      mockMessages = [{ id: 1, content: 'hi' }];
+      render(<ChatRoomScreen />);
+      expect(mockBubbleProps.isGroup).toBe(false);
+
+      mockIsGroup = true;
+      render(<ChatRoomScreen />);
+      expect(mockBubbleProps.isGroup).toBe(true);
+    });
   });
 
   it('shows spinner when loading messages in state', () => {
@@ -305,4 +675,826 @@ describe('ChatRoomScreen', () => {
     expect(UNSAFE_getByType(ActivityIndicator)).toBeTruthy();
     rr.useSelector.mockImplementation(origUseSelector);
   });
+
+  describe('polls', () => {
+    const { Alert } = require('react-native');
+    const pollMessage = { id: 111, message_type: 'poll', poll: { id: 5, question: 'Q?', options: [] } };
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      Alert.alert.mockRestore();
+    });
+
+    const openComposer = async (utils) => {
+      await act(async () => {
+        fireEvent(utils.getByText('icon:send').parent, 'longPress');
+      });
+      await act(async () => {
+        fireEvent.press(utils.getByText('option:Poll'));
+      });
+    };
+
+    it('opens the composer from the quick actions and creates the poll', async () => {
+      const utils = render(<ChatRoomScreen />);
+      await openComposer(utils);
+
+      await act(async () => {
+        fireEvent.press(utils.getByText('poll-composer'));
+      });
+
+      expect(mockCreatePoll).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        senderId: 101,
+        question: 'Meet where?',
+        options: ['Library', 'Park'],
+        allowsMultiple: false,
+        closesAt: null,
+      });
+      expect(mockSendMessage).not.toHaveBeenCalled();
+    });
+
+    it('does not post polls while offline', async () => {
+      mockIsConnected = false;
+      const utils = render(<ChatRoomScreen />);
+      await openComposer(utils);
+
+      await act(async () => {
+        fireEvent.press(utils.getByText('poll-composer'));
+      });
+
+      expect(mockCreatePoll).not.toHaveBeenCalled();
+      expect(Alert.alert).toHaveBeenCalledWith('Offline', 'Polls can only be posted while online.');
+    });
+
+    it('votes, closes after confirmation and shows voters from the bubble', async () => {
+      mockMessages = [pollMessage];
+      mockDispatch.mockImplementation((action) => ({
+        unwrap: () => Promise.resolve(action.type === 'FETCH_POLL_VOTERS' ? { voters: [{ option_id: 1, users: [] }] } : {}),
+      }));
+      const utils = render(<ChatRoomScreen />);
+
+      await act(async () => {
+        await mockBubbleProps.onPollVote(pollMessage, [2]);
+      });
+      expect(mockVotePoll).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 111, pollId: 5, optionIds: [2] });
+
+      act(() => mockBubbleProps.onPollClose(pollMessage));
+      expect(mockClosePoll).not.toHaveBeenCalled();
+      await act(async () => {
+        Alert.alert.mock.calls.at(-1)[2].find((b) => b.text === 'Close poll').onPress();
+      });
+      expect(mockClosePoll).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 111, pollId: 5 });
+
+      await act(async () => {
+        await mockBubbleProps.onPollVoters(pollMessage);
+      });
+      expect(mockFetchPollVoters).toHaveBeenCalledWith({ chatId: 'chat-1', pollId: 5 });
+      expect(utils.getByText('voters:1')).toBeTruthy();
+    });
+
+    it('reports a rejected vote', async () => {
+      mockMessages = [pollMessage];
+      mockDispatch.mockImplementation(() => ({ unwrap: () => Promise.reject('Poll is closed') }));
+      render(<ChatRoomScreen />);
+
+      await act(async () => {
+        await mockBubbleProps.onPollVote(pollMessage, [1]);
+      });
+
+      expect(Alert.alert).toHaveBeenCalledWith('Vote not counted', 'Poll is closed');
+    });
+
+    it('merges live tallies for this chat only', () => {
+      render(<ChatRoomScreen />);
+      const handler = mockOnEvent.mock.calls.find(([event]) => event === 'chat:poll_updated')[1];
+
+      handler({ chat_id: 'other', message_id: 1, poll: {} });
+      handler({ chat_id: 'chat-1', message_id: 111, poll: { total_votes: 3 } });
+
+      expect(mockUpdatePoll).toHaveBeenCalledTimes(1);
+      expect(mockUpdatePoll).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 111, poll: { total_votes: 3 } });
+    });
+  });
+  describe('events', () => {
+    const { Alert } = require('react-native');
+    const eventMessage = { id: 222, message_type: 'event', event: { id: 4, title: 'Cleanup' } };
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      Alert.alert.mockRestore();
+    });
+
+    const pickEvent = async (utils) => {
+      await act(async () => {
+        fireEvent(utils.getByText('icon:send').parent, 'longPress');
+      });
+      await act(async () => {
+        fireEvent.press(utils.getByText('option:Event'));
+      });
+    };
+
+    it('opens the composer in group chats and creates the event', async () => {
+      mockIsGroup = true;
+      const utils = render(<ChatRoomScreen />);
+      await pickEvent(utils);
+
+      await act(async () => {
+        fireEvent.press(utils.getByText('event-composer'));
+      });
+
+      expect(mockCreateEvent).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        senderId: 101,
+        title: 'Cleanup',
+        startsAt: '2030-01-01T09:00:00.000Z',
+        endsAt: '2030-01-01T10:00:00.000Z',
+        location: { lat: 1, lng: 2, label: null },
+        capacity: 8,
+      });
+      expect(mockSendMessage).not.toHaveBeenCalled();
+    });
+
+    it('explains that events are for group chats only', async () => {
+      const utils = render(<ChatRoomScreen />);
+      await pickEvent(utils);
+
+      expect(utils.queryByText('event-composer')).toBeNull();
+      expect(Alert.alert).toHaveBeenCalledWith('Group chats only', 'Events can only be posted in group chats.');
+      expect(mockSendMessage).not.toHaveBeenCalled();
+    });
+
+    it('sends RSVPs from the bubble and reports rejections', async () => {
+      mockMessages = [eventMessage];
+      render(<ChatRoomScreen />);
+
+      await act(async () => {
+        await mockBubbleProps.onEventRsvp(eventMessage, 'going', { addToTasks: true });
+      });
+      expect(mockRsvpEvent).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        messageId: 222,
+        eventId: 4,
+        status: 'going',
+        addToTasks: true,
+      });
+
+      mockDispatch.mockImplementation(() => ({ unwrap: () => Promise.reject('Event is full') }));
+      await act(async () => {
+        await mockBubbleProps.onEventRsvp(eventMessage, 'going');
+      });
+      expect(Alert.alert).toHaveBeenCalledWith('RSVP not saved', 'Event is full');
+    });
+
+    it('merges live RSVP counts for this chat only', () => {
+      render(<ChatRoomScreen />);
+      const handler = mockOnEvent.mock.calls.find(([event]) => event === 'chat:event_updated')[1];
+
+      handler({ chat_id: 'other', message_id: 1, event: {} });
+      handler({ chat_id: 'chat-1', message_id: 222, event: { counts: { going: 2 } } });
+
+      expect(mockUpdateEvent).toHaveBeenCalledTimes(1);
+      expect(mockUpdateEvent).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        messageId: 222,
+        event: { counts: { going: 2 } },
+      });
+    });
+  });
+  describe('threads', () => {
+    const handlerFor = (name) => mockOnEvent.mock.calls.find(([event]) => event === name)[1];
+
+    it('adds live thread replies for this chat only', () => {
+      render(<ChatRoomScreen />);
+      const handler = handlerFor('chat:thread_reply');
+      const reply = { id: 9, content: 'On my way', parent_message_id: 111 };
+
+      handler({ chat_id: 'other', parent_message_id: 1, message: reply, reply_count: 1 });
+      handler({ chat_id: 'chat-1', parent_message_id: 111, message: reply, reply_count: 2 });
+
+      expect(mockAppendThreadReply).toHaveBeenCalledTimes(1);
+      expect(mockAppendThreadReply).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        messageId: 111,
+        message: reply,
+        replyCount: 2,
+      });
+    });
+
+    it('keeps thread replies out of the timeline', () => {
+      render(<ChatRoomScreen />);
+      const handler = handlerFor('chat:new_message');
+
+      handler({ id: 9, chat_id: 'chat-1', content: 'reply', parent_message_id: 111 });
+      expect(mockAppendMessage).not.toHaveBeenCalled();
+
+      handler({ id: 10, chat_id: 'chat-1', content: 'hello', parent_message_id: null });
+      expect(mockAppendMessage).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        message: { id: 10, chat_id: 'chat-1', content: 'hello', parent_message_id: null },
+      });
+    });
+  });
+  describe('reactions', () => {
+    const { Alert } = require('react-native');
+    const message = {
+      id: 333,
+      content: 'Power is back',
+      reactions: [
+        { emoji: '❤️', user: { id: 101, name: 'Me' } },
+        { emoji: '👍', user: { id: 202, name: 'Alice' } },
+      ],
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      Alert.alert.mockRestore();
+    });
+
+    it('adds a new emoji and removes the one already used', async () => {
+      mockMessages = [message];
+      render(<ChatRoomScreen />);
+
+      await act(async () => {
+        await mockBubbleProps.onReact(message, '👍');
+      });
+      expect(mockAddReaction).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 333, emoji: '👍' });
+
+      await act(async () => {
+        await mockBubbleProps.onReact(message, '❤️');
+      });
+      expect(mockRemoveReaction).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 333 });
+      expect(mockAddReaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports rejected reactions', async () => {
+      mockMessages = [message];
+      render(<ChatRoomScreen />);
+      mockDispatch.mockImplementation(() => ({ unwrap: () => Promise.reject('Message not found') }));
+
+      await act(async () => {
+        await mockBubbleProps.onReact(message, '🎉');
+      });
+      expect(Alert.alert).toHaveBeenCalledWith('Reaction not saved', 'Message not found');
+    });
+
+    it('replaces reactions live for this chat only', () => {
+      render(<ChatRoomScreen />);
+      const handler = mockOnEvent.mock.calls.find(([event]) => event === 'chat:reaction')[1];
+
+      handler({ chat_id: 'other', message_id: 1, reactions: [] });
+      handler({ chat_id: 'chat-1', message_id: 333, reactions: message.reactions });
+
+      expect(mockUpdateReactions).toHaveBeenCalledTimes(1);
+      expect(mockUpdateReactions).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        messageId: 333,
+        reactions: message.reactions,
+      });
+    });
+  });
+
+  describe('photos', () => {
+    const { Alert } = require('react-native');
+    const asset = { uri: 'file:///flood.jpg', width: 4000, height: 3000, exif: {} };
+    const image = { uri: 'file:///flood-prepared.jpg', width: 1600, height: 1200, mime_type: 'image/jpeg', location: null };
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+      mockPickImage.mockResolvedValue(asset);
+      mockPrepareImage.mockResolvedValue(image);
+    });
+
+    afterEach(() => {
+      Alert.alert.mockRestore();
+    });
+
+    const pickPhoto = async (utils, label = 'Photo') => {
+      await act(async () => {
+        fireEvent(utils.getByText('icon:send').parent, 'longPress');
+      });
+      await act(async () => {
+        fireEvent.press(utils.getByText(`option:${label}`));
+      });
+    };
+
+    it('picks a photo, prepares it and sends it', async () => {
+      const utils = render(<ChatRoomScreen />);
+      await pickPhoto(utils);
+
+      expect(mockPickImage).toHaveBeenCalledWith('library');
+      await act(async () => {
+        fireEvent.press(utils.getByText('photo-preview:file:///flood.jpg'));
+      });
+
+      expect(mockPrepareImage).toHaveBeenCalledWith(asset, { includeLocation: true });
+      expect(mockSendImage).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        senderId: 101,
+        image,
+        tempId: expect.stringMatching(/^temp-/),
+      });
+      expect(utils.queryByText(/photo-preview/)).toBeNull();
+    });
+
+    it('queues photos while offline', async () => {
+      mockIsConnected = false;
+      const utils = render(<ChatRoomScreen />);
+      await pickPhoto(utils, 'Camera');
+
+      expect(mockPickImage).toHaveBeenCalledWith('camera');
+      await act(async () => {
+        fireEvent.press(utils.getByText('photo-preview:file:///flood.jpg'));
+      });
+
+      expect(mockQueueMsg).toHaveBeenCalledWith({ chatId: 'chat-1', senderId: 101, image });
+      expect(mockSendImage).not.toHaveBeenCalled();
+    });
+
+    it('shows nothing when the picker is cancelled and alerts on picker errors', async () => {
+      mockPickImage.mockResolvedValueOnce(null);
+      const utils = render(<ChatRoomScreen />);
+      await pickPhoto(utils);
+      expect(utils.queryByText(/photo-preview/)).toBeNull();
+
+      mockPickImage.mockRejectedValueOnce(new Error('Photo library permission not granted'));
+      await pickPhoto(utils);
+      expect(Alert.alert).toHaveBeenCalledWith('Photo access needed', 'Photo library permission not granted');
+    });
+
+    it('retries failed uploads with the echo id', () => {
+      const failed = { id: 'temp-9', message_type: 'image', image: { ...image, url: image.uri }, status: 'failed' };
+      mockMessages = [failed];
+      render(<ChatRoomScreen />);
+
+      mockBubbleProps.onRetryImage(failed);
+
+      expect(mockSendImage).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        senderId: 101,
+        image: failed.image,
+        tempId: 'temp-9',
+      });
+    });
+  });
+
+  describe('edits and deletions', () => {
+    const { Alert } = require('react-native');
+    const message = { id: 444, sender: { id: 101 }, content: 'Shelter opens at 6' };
+    const handlerFor = (event) => mockOnEvent.mock.calls.find(([name]) => name === event)[1];
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      Alert.alert.mockRestore();
+    });
+
+    it('opens the editor and saves the new text', async () => {
+      mockMessages = [message];
+      const utils = render(<ChatRoomScreen />);
+
+      act(() => mockBubbleProps.onEdit(message));
+      await act(async () => {
+        fireEvent.press(utils.getByText('edit-message:444'));
+      });
+
+      expect(mockEditMessage).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 444, content: 'Shelter opens at 7' });
+      expect(utils.queryByText('edit-message:444')).toBeNull();
+    });
+
+    it('reports a rejected edit', async () => {
+      mockMessages = [message];
+      const utils = render(<ChatRoomScreen />);
+      mockDispatch.mockImplementation(() => ({ unwrap: () => Promise.reject('The time to edit this message has passed') }));
+
+      act(() => mockBubbleProps.onEdit(message));
+      await act(async () => {
+        fireEvent.press(utils.getByText('edit-message:444'));
+      });
+
+      expect(Alert.alert).toHaveBeenCalledWith('Edit not saved', 'The time to edit this message has passed');
+    });
+
+    it('deletes for everyone after confirmation', async () => {
+      mockMessages = [message];
+      render(<ChatRoomScreen />);
+
+      act(() => mockBubbleProps.onDelete(message));
+      expect(Alert.alert.mock.calls.at(-1)[0]).toBe('Delete for everyone?');
+      expect(mockDeleteMessage).not.toHaveBeenCalled();
+
+      await act(async () => {
+        Alert.alert.mock.calls.at(-1)[2].find((b) => b.text === 'Delete').onPress();
+      });
+      expect(mockDeleteMessage).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 444 });
+    });
+
+    it('refuses edits and deletions while offline', () => {
+      mockIsConnected = false;
+      mockMessages = [message];
+      const utils = render(<ChatRoomScreen />);
+
+      act(() => mockBubbleProps.onEdit(message));
+      act(() => mockBubbleProps.onDelete(message));
+
+      expect(utils.queryByText('edit-message:444')).toBeNull();
+      expect(Alert.alert).toHaveBeenCalledWith('Offline', 'Messages can only be edited while online.');
+      expect(Alert.alert).toHaveBeenCalledWith('Offline', 'Messages can only be deleted while online.');
+      expect(mockDeleteMessage).not.toHaveBeenCalled();
+    });
+
+    it('applies live edits and deletions for this chat only', () => {
+      render(<ChatRoomScreen />);
+      const edited = { ...message, content: 'Shelter opens at 7' };
+
+      handlerFor('chat:message_updated')({ chat_id: 'other', message: edited });
+      handlerFor('chat:message_updated')({ chat_id: 'chat-1', message: edited });
+      handlerFor('chat:message_deleted')({ chat_id: 'other', message_id: 1, deleted_at: 'x' });
+      handlerFor('chat:message_deleted')({ chat_id: 'chat-1', message_id: 444, deleted_at: '2025-04-10T09:00:00.000Z' });
+
+      expect(mockUpdateMessage).toHaveBeenCalledTimes(1);
+      expect(mockUpdateMessage).toHaveBeenCalledWith({ chatId: 'chat-1', message: edited });
+      expect(mockMarkMessageDeleted).toHaveBeenCalledTimes(1);
+      expect(mockMarkMessageDeleted).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        messageId: 444,
+        deletedAt: '2025-04-10T09:00:00.000Z',
+      });
+    });
+  });
+
+  describe('group moderation', () => {
+    const handlerFor = (event) => mockOnEvent.mock.calls.find(([name]) => name === event)[1];
+    const members = (me) => [{ id: 101, name: 'Me', ...me }, { id: 202, name: 'Alice', role: 'owner' }];
+
+    it('applies live group updates for this chat only', () => {
+      render(<ChatRoomScreen />);
+      const updated = { chat_id: 'chat-1', name: 'Flood Watch', is_group: true };
+
+      handlerFor('chat:group_updated')({ chat_id: 'other', chat: { chat_id: 'other' } });
+      handlerFor('chat:group_updated')({ chat_id: 'chat-1', chat: updated });
+
+      expect(mockUpdateChat).toHaveBeenCalledTimes(1);
+      expect(mockUpdateChat).toHaveBeenCalledWith(updated);
+    });
+
+    it('replaces the composer with a notice while the user is muted', () => {
+      jest.setSystemTime(new Date('2025-04-10T08:00:00.000Z'));
+      mockIsGroup = true;
+      mockChatExtras = { members: members({ role: 'member', muted_until: '2025-04-10T09:00:00.000Z' }) };
+      const utils = render(<ChatRoomScreen />);
+
+      expect(utils.UNSAFE_queryByType(TextInput)).toBeNull();
+      expect(utils.getByTestId('posting-restricted').props.children).toBe(
+        'You are muted in this group until time:2025-04-10T09:00:00.000Z.'
+      );
+    });
+
+    it('brings the composer back when the mute runs out', () => {
+      jest.setSystemTime(new Date('2025-04-10T08:00:00.000Z'));
+      mockIsGroup = true;
+      mockChatExtras = { members: members({ role: 'member', muted_until: '2025-04-10T08:30:00.000Z' }) };
+      const utils = render(<ChatRoomScreen />);
+
+      act(() => {
+        jest.advanceTimersByTime(30 * 60 * 1000);
+      });
+      expect(utils.queryByTestId('posting-restricted')).toBeNull();
+      expect(getComposerInput(utils)).toBeTruthy();
+    });
+
+    it('only lets admins post in announcement-only groups', () => {
+      mockIsGroup = true;
+      mockChatExtras = { announcement_only: true, members: members({ role: 'member' }) };
+      const member = render(<ChatRoomScreen />);
+      expect(member.getByText('Only admins can send messages in this group.')).toBeTruthy();
+      member.unmount();
+
+      mockChatExtras = { announcement_only: true, members: members({ role: 'admin' }) };
+      const admin = render(<ChatRoomScreen />);
+      expect(admin.queryByTestId('posting-restricted')).toBeNull();
+      expect(getComposerInput(admin)).toBeTruthy();
+    });
+  });
+
+  describe('pinned messages', () => {
+    const { Alert, FlatList } = require('react-native');
+    const handlerFor = (event) => mockOnEvent.mock.calls.find(([name]) => name === event)[1];
+    const pin = (id) => ({ message_id: id, pinned_at: '2025-04-10T09:00:00.000Z', message: { id, content: `msg ${id}` } });
+    let scrollToIndex;
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+      scrollToIndex = jest.spyOn(FlatList.prototype, 'scrollToIndex').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      scrollToIndex.mockRestore();
+    });
+
+    it('loads the pins on open and applies live updates for this chat only', () => {
+      render(<ChatRoomScreen />);
+      expect(mockFetchPins).toHaveBeenCalledWith('chat-1');
+
+      const pins = [pin(111)];
+      handlerFor('chat:pins_updated')({ chat_id: 'other', pins: [] });
+      handlerFor('chat:pins_updated')({ chat_id: 'chat-1', pins });
+
+      expect(mockSetPins).toHaveBeenCalledTimes(1);
+      expect(mockSetPins).toHaveBeenCalledWith({ chatId: 'chat-1', pins });
+    });
+
+    it('pins and unpins from a bubble in a direct chat', async () => {
+      mockMessages = [{ id: 111, content: 'Meet at the school' }];
+      const utils = render(<ChatRoomScreen />);
+      expect(mockBubbleProps.isPinned).toBe(false);
+
+      await act(async () => {
+        await mockBubbleProps.onTogglePin(mockMessages[0]);
+      });
+      expect(mockPinMessage).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 111 });
+
+      mockPins = [pin(111)];
+      utils.rerender(<ChatRoomScreen />);
+      expect(mockBubbleProps.isPinned).toBe(true);
+
+      await act(async () => {
+        await mockBubbleProps.onTogglePin(mockMessages[0]);
+      });
+      expect(mockUnpinMessage).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 111 });
+    });
+
+    it('unpins from the banner', async () => {
+      mockPins = [pin(111)];
+      render(<ChatRoomScreen />);
+
+      await act(async () => {
+        await mockBannerProps.onUnpin(mockPins[0]);
+      });
+      expect(mockUnpinMessage).toHaveBeenCalledWith({ chatId: 'chat-1', messageId: 111 });
+    });
+
+    it('alerts when a pin is rejected and refuses to pin offline', async () => {
+      mockMessages = [{ id: 111, content: 'Meet at the school' }];
+      mockDispatch.mockImplementation(() => ({ unwrap: () => Promise.reject('A chat can have at most 5 pinned messages') }));
+      render(<ChatRoomScreen />);
+
+      await act(async () => {
+        await mockBubbleProps.onTogglePin(mockMessages[0]);
+      });
+      expect(Alert.alert).toHaveBeenCalledWith('Pin not saved', 'A chat can have at most 5 pinned messages');
+
+      mockIsConnected = false;
+      mockPinMessage.mockClear();
+      const offline = render(<ChatRoomScreen />);
+      await act(async () => {
+        await mockBubbleProps.onTogglePin(mockMessages[0]);
+      });
+      expect(mockPinMessage).not.toHaveBeenCalled();
+      expect(Alert.alert).toHaveBeenCalledWith('Offline', 'Messages can only be pinned while online.');
+      offline.unmount();
+    });
+
+    it('only offers pinning to group admins', () => {
+      mockIsGroup = true;
+      mockMessages = [{ id: 111, content: 'Meet at the school' }];
+      mockPins = [pin(111)];
+      mockChatExtras = { members: [{ id: 101, name: 'Me', role: 'member' }, { id: 202, name: 'Alice', role: 'owner' }] };
+      const member = render(<ChatRoomScreen />);
+      expect(mockBubbleProps.onTogglePin).toBeUndefined();
+      expect(mockBannerProps.onUnpin).toBeUndefined();
+      member.unmount();
+
+      mockChatExtras = { members: [{ id: 101, name: 'Me', role: 'admin' }, { id: 202, name: 'Alice', role: 'owner' }] };
+      render(<ChatRoomScreen />);
+      expect(mockBubbleProps.onTogglePin).toEqual(expect.any(Function));
+      expect(mockBannerProps.onUnpin).toEqual(expect.any(Function));
+    });
+
+    it('scrolls to a loaded message and highlights it for two seconds', () => {
+      mockMessages = [{ id: 111, content: 'Meet at the school' }, { id: 112, content: 'Newest' }];
+      mockPins = [pin(111)];
+      render(<ChatRoomScreen />);
+
+      act(() => {
+        mockBannerProps.onJump(111);
+      });
+      // The list is inverted, so the older message sits at index 1
+      expect(scrollToIndex).toHaveBeenCalledWith(expect.objectContaining({ index: 1 }));
+      // mockBubbleProps holds the last rendered bubble: the oldest one
+      expect(mockBubbleProps.message.id).toBe(111);
+      expect(mockBubbleProps.highlighted).toBe(true);
+
+      act(() => {
+        jest.advanceTimersByTime(2000);
+      });
+      expect(mockBubbleProps.highlighted).toBe(false);
+    });
+
+    it('pages back through older messages until the pinned one is loaded', () => {
+      mockMessages = [{ id: 120, content: 'Newest' }];
+      mockHistory = { hasMore: true, loadingOlder: false, error: null };
+      mockPins = [pin(111)];
+      const utils = render(<ChatRoomScreen />);
+
+      act(() => {
+        mockBannerProps.onJump(111);
+      });
+      expect(mockFetchOlder).toHaveBeenCalledWith('chat-1');
+      expect(scrollToIndex).not.toHaveBeenCalled();
+
+      mockMessages = [{ id: 111, content: 'Meet at the school' }, ...mockMessages];
+      mockHistory = { hasMore: false, loadingOlder: false, error: null };
+      utils.rerender(<ChatRoomScreen />);
+      expect(scrollToIndex).toHaveBeenCalledWith(expect.objectContaining({ index: 1 }));
+    });
+
+    it('alerts when the pinned message is not in the history', () => {
+      mockMessages = [{ id: 120, content: 'Newest' }];
+      mockPins = [pin(111)];
+      render(<ChatRoomScreen />);
+
+      act(() => {
+        mockBannerProps.onJump(111);
+      });
+      expect(mockFetchOlder).not.toHaveBeenCalled();
+      expect(Alert.alert).toHaveBeenCalledWith('Message not found', 'The message could not be loaded.');
+    });
+  });
+
+  describe('search', () => {
+    const { FlatList } = require('react-native');
+    let scrollToIndex;
+
+    beforeEach(() => {
+      scrollToIndex = jest.spyOn(FlatList.prototype, 'scrollToIndex').mockImplementation(() => {});
+      mockMessages = [{ id: 111, content: 'The generator is in the shed' }, { id: 112, content: 'Newest' }];
+    });
+
+    afterEach(() => {
+      scrollToIndex.mockRestore();
+    });
+
+    it('opens the in-chat search and scrolls to the picked hit', () => {
+      const utils = render(<ChatRoomScreen />);
+      expect(utils.queryByText('search-modal:chat-1')).toBeNull();
+
+      fireEvent.press(utils.getByLabelText('Search in chat'));
+      expect(utils.getByText('search-modal:chat-1')).toBeTruthy();
+
+      act(() => {
+        mockSearchModalProps.onSelect({ chat_id: 'chat-1', message: mockMessages[0] });
+      });
+      expect(utils.queryByText('search-modal:chat-1')).toBeNull();
+      expect(scrollToIndex).toHaveBeenCalledWith(expect.objectContaining({ index: 1 }));
+      expect(mockBubbleProps.highlighted).toBe(true);
+    });
+
+    it('scrolls to the messageId param once the newest page is in', async () => {
+      mockRouteExtras = { messageId: 111 };
+      render(<ChatRoomScreen />);
+      expect(scrollToIndex).not.toHaveBeenCalled();
+
+      await act(async () => {});
+      expect(mockFetchMessages).toHaveBeenCalledWith('chat-1');
+      expect(scrollToIndex).toHaveBeenCalledWith(expect.objectContaining({ index: 1 }));
+    });
+  });
+
+  describe('mentions', () => {
+    const sendPressed = async (utils) => {
+      await act(async () => {
+        fireEvent.press(utils.getByText('icon:send').parent);
+      });
+    };
+
+    it('suggests group members while typing "@" and completes the picked name', async () => {
+      mockIsGroup = true;
+      const utils = render(<ChatRoomScreen />);
+      const input = getComposerInput(utils);
+
+      fireEvent.changeText(input, 'Thanks @al');
+      expect(utils.getByText('mention:Alice')).toBeTruthy();
+      expect(utils.queryByText('mention:Me')).toBeNull();
+
+      fireEvent.press(utils.getByText('mention:Alice'));
+      expect(getComposerInput(utils).props.value).toBe('Thanks @Alice ');
+      expect(utils.queryByText('mention:Alice')).toBeNull();
+
+      fireEvent.changeText(getComposerInput(utils), 'Thanks @Alice for the water');
+      await sendPressed(utils);
+      expect(mockSendMessage).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        senderId: 101,
+        message: 'Thanks @Alice for the water',
+        mentions: [{ id: 202, name: 'Alice' }],
+      });
+    });
+
+    it('drops a picked mention whose name was deleted before sending', async () => {
+      mockIsGroup = true;
+      mockIsConnected = false;
+      const utils = render(<ChatRoomScreen />);
+
+      fireEvent.changeText(getComposerInput(utils), '@A');
+      fireEvent.press(utils.getByText('mention:Alice'));
+      fireEvent.changeText(getComposerInput(utils), 'never mind');
+      await sendPressed(utils);
+
+      expect(mockQueueMsg).toHaveBeenCalledWith(expect.objectContaining({ message: 'never mind', mentions: [] }));
+    });
+
+    it('does not suggest members in direct chats', () => {
+      const utils = render(<ChatRoomScreen />);
+      fireEvent.changeText(getComposerInput(utils), '@al');
+      expect(utils.queryByText('mention:Alice')).toBeNull();
+    });
+  });
+
+  describe('voice notes', () => {
+    const { Alert } = require('react-native');
+    const note = { uri: 'file:///voice.m4a', duration_ms: 4200, size: 6, mime_type: 'audio/mp4', waveform: [0.4] };
+
+    beforeEach(() => {
+      jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      Alert.alert.mockRestore();
+    });
+
+    const record = (utils) => {
+      act(() => mockRecorderProps.onRecordingChange(true));
+      expect(utils.UNSAFE_queryByType(TextInput)).toBeNull();
+      act(() => {
+        mockRecorderProps.onRecordingChange(false);
+        mockRecorderProps.onRecorded(note);
+      });
+    };
+
+    it('shows the mic only while the input is empty', () => {
+      const utils = render(<ChatRoomScreen />);
+      expect(utils.getByText('voice-recorder')).toBeTruthy();
+
+      fireEvent.changeText(getComposerInput(utils), 'On my way');
+      expect(utils.queryByText('voice-recorder')).toBeNull();
+    });
+
+    it('previews a recording and sends it', () => {
+      const utils = render(<ChatRoomScreen />);
+      record(utils);
+      expect(getComposerInput(utils)).toBeTruthy();
+
+      fireEvent.press(utils.getByText('voice-preview:file:///voice.m4a'));
+
+      expect(mockSendVoice).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        senderId: 101,
+        voice: note,
+        tempId: expect.stringMatching(/^temp-/),
+      });
+      expect(utils.queryByText(/voice-preview/)).toBeNull();
+    });
+
+    it('queues voice notes while offline and sends nothing when discarded', () => {
+      mockIsConnected = false;
+      const utils = render(<ChatRoomScreen />);
+      record(utils);
+      fireEvent.press(utils.getByText('voice-preview:file:///voice.m4a'));
+      expect(mockQueueMsg).toHaveBeenCalledWith({ chatId: 'chat-1', senderId: 101, voice: note });
+
+      record(utils);
+      fireEvent.press(utils.getByText('voice-discard'));
+      expect(utils.queryByText(/voice-preview/)).toBeNull();
+      expect(mockQueueMsg).toHaveBeenCalledTimes(1);
+      expect(mockSendVoice).not.toHaveBeenCalled();
+    });
+
+    it('retries failed uploads with the echo id and alerts on recording errors', () => {
+      const failed = { id: 'temp-7', message_type: 'voice', voice: { ...note, url: note.uri }, status: 'failed' };
+      mockMessages = [failed];
+      render(<ChatRoomScreen />);
+
+      mockBubbleProps.onRetryVoice(failed);
+      expect(mockSendVoice).toHaveBeenCalledWith({
+        chatId: 'chat-1',
+        senderId: 101,
+        voice: failed.voice,
+        tempId: 'temp-7',
+      });
+
+      mockRecorderProps.onError(new Error('Microphone permission not granted'));
+      expect(Alert.alert).toHaveBeenCalledWith('Voice note', 'Microphone permission not granted');
+    });
+  });
 });
@@ -8,7 +8,8 @@
  *
  * 2) Bootstrap & Socket wiring
  *    - On focus/mount: dispatches fetchActiveChats() and initializes socket;
- *      registers onEvent('chat:list_update', ...).
+ *      registers onEvent('chat:list_update', ...) and onEvent('connect', ...) (refetch on reconnect);
+ *      unmount removes exactly those handlers.
  *
  * 3) Debounced socket list update
  *    - Fires update callback after 200ms → dispatches updateActiveChatsFromSocket(chats).
@@ -219,6 +220,21 @@ describe('ChatScreen', () => {
     expect(mockOnEvent).toHaveBeenCalledWith('chat:list_update', expect.any(Function));
   });
 
+  it('refetches chats on (re)connect and unsubscribes its handlers on unmount', () => {
+    const { unmount } = render(<ChatScreen />);
+    const handlers = { connect: registered.connect, list: registered['chat:list_update'] };
+    mockDispatch.mockClear();
+
+    act(() => {
+      handlers.connect();
+    });
+    expect(mockDispatch).toHaveBeenCalledWith(mockFetchActiveChats());
+
+    unmount();
+    expect(mockOffEvent).toHaveBeenCalledWith('connect', handlers.connect);
+    expect(mockOffEvent).toHaveBeenCalledWith('chat:list_update', handlers.list);
+  });
+
   it('debounces socket chat:list_update and dispatches updateActiveChatsFromSocket', () => {
     render(<ChatScreen />);
     const chats = [{ id: 's1' }, { id: 's2' }];
@@ -0,0 +1,133 @@
+/**
+ * __tests__/unit/screens/DeveloperScreen.test.js
+ *
+ * What These Tests Cover:
+ *
+ * 1) Rendering
+ *    - Lists every environment profile with its URL, marks the default and shows errors.
+ *
+ * 2) Switching
+ *    - Tapping a profile asks for confirmation; confirming switches the profile and
+ *      resets the session key and socket.
+ *    - Cancelling leaves everything untouched; invalid profiles cannot be selected.
+ *    - A rejected switch is reported in an alert.
+ *
+ * 3) Navigation
+ *    - The back button returns to the previous screen.
+ */
+
+import React from 'react';
+import { render, fireEvent, act } from '@testing-library/react-native';
+import { Alert } from 'react-native';
+import { useSelector } from 'react-redux';
+import DeveloperScreen from '../../../src/screens/DeveloperScreen';
+import {
+  getEnvironmentProfiles,
+  switchEnvironmentProfile,
+} from '../../../src/utils/config';
+import { resetSessionKey } from '../../../src/utils/keyExchange';
+import { disconnectSocket } from '../../../src/utils/socket';
+
+jest.mock('../../../src/utils/config', () => ({
+  getEnvironmentProfile: jest.fn(() => ({ name: 'local' })),
+  getEnvironmentProfiles: jest.fn(),
+  switchEnvironmentProfile: jest.fn(),
+}));
+const mockGoBack = jest.fn();
+jest.mock('@react-navigation/native', () => ({
+  ...jest.requireActual('@react-navigation/native'),
+  useNavigation: () => ({ goBack: mockGoBack }),
+}));
+jest.mock('../../../src/utils/keyExchange', () => ({ resetSessionKey: jest.fn() }));
+jest.mock('../../../src/utils/socket', () => ({ disconnectSocket: jest.fn() }));
+
+const profiles = [
+  { name: 'local', apiBaseUrl: 'http://10.0.0.2:3005', devMode: false, autoSetOTP: true, externalApis: true, isDefault: true, errors: [] },
+  { name: 'offline-fixture', apiBaseUrl: null, devMode: true, autoSetOTP: true, externalApis: false, isDefault: false, errors: [] },
+  { name: 'broken', apiBaseUrl: 'ftp://x', devMode: false, autoSetOTP: false, externalApis: false, isDefault: false, errors: ['broken.apiBaseUrl must be an http(s) URL'] },
+];
+
+// Presses the given button of the last Alert.alert call
+const pressAlertButton = async (text) => {
+  const buttons = Alert.alert.mock.calls.at(-1)[2];
+  await act(async () => {
+    await buttons.find((b) => b.text === text).onPress?.();
+  });
+};
+
+describe('DeveloperScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    useSelector.mockImplementation((sel) => sel({ theme: { themeColors: { background: '#fff', text: '#000' } } }));
+    getEnvironmentProfiles.mockReturnValue(profiles);
+    switchEnvironmentProfile.mockResolvedValue({});
+  });
+
+  it('lists the profiles with their URL, default marker and errors', () => {
+    const { getByText } = render(<DeveloperScreen />);
+
+    expect(getByText('local (build default)')).toBeTruthy();
+    expect(getByText('http://10.0.0.2:3005')).toBeTruthy();
+    expect(getByText('No backend')).toBeTruthy();
+    expect(getByText('fixture backend · auto OTP · no external APIs')).toBeTruthy();
+    expect(getByText('broken.apiBaseUrl must be an http(s) URL')).toBeTruthy();
+  });
+
+  it('switches after confirmation and resets the session key and socket', async () => {
+    const { getByTestId } = render(<DeveloperScreen />);
+
+    fireEvent.press(getByTestId('profile-offline-fixture'));
+    expect(Alert.alert).toHaveBeenCalledWith(
+      'Switch to offline-fixture?',
+      expect.stringContaining('the in-app fixture backend'),
+      expect.any(Array)
+    );
+    await pressAlertButton('Switch');
+
+    expect(switchEnvironmentProfile).toHaveBeenCalledWith('offline-fixture');
+    expect(resetSessionKey).toHaveBeenCalled();
+    expect(disconnectSocket).toHaveBeenCalled();
+    expect(getByTestId('profile-offline-fixture').props.accessibilityState).toMatchObject({ disabled: true });
+  });
+
+  it('does nothing when the switch is cancelled', async () => {
+    const { getByTestId } = render(<DeveloperScreen />);
+
+    fireEvent.press(getByTestId('profile-offline-fixture'));
+    await pressAlertButton('Cancel');
+
+    expect(switchEnvironmentProfile).not.toHaveBeenCalled();
+    expect(disconnectSocket).not.toHaveBeenCalled();
+  });
+
+  it('does not offer invalid or already active profiles', () => {
+    const { getByTestId } = render(<DeveloperScreen />);
+
+    fireEvent.press(getByTestId('profile-broken'));
+    fireEvent.press(getByTestId('profile-local'));
+
+    expect(Alert.alert).not.toHaveBeenCalled();
+  });
+
+  it('reports a rejected switch', async () => {
+    switchEnvironmentProfile.mockRejectedValueOnce(
+      Object.assign(new Error('Cannot switch'), { errors: ['bad flag'] })
+    );
+    const { getByTestId } = render(<DeveloperScreen />);
+
+    fireEvent.press(getByTestId('profile-offline-fixture'));
+    await pressAlertButton('Switch');
+
+    expect(Alert.alert).toHaveBeenLastCalledWith('Profile not applied', 'bad flag');
+    expect(disconnectSocket).not.toHaveBeenCalled();
+  });
+
+  it('goes back from the header button', () => {
+    const { getByLabelText } = render(<DeveloperScreen />);
+
+    fireEvent.press(getByLabelText('Back'));
+
+    expect(mockGoBack).toHaveBeenCalled();
+  });
+});
@@ -14,6 +14,10 @@
  *
  * 4. Country Picker
  *    - Opens mocked picker and updates selected country code after choosing a country.
+ *
+ * 5. Hidden Developer Screen
+ *    - Long-pressing the Register link opens the environment profile switcher, except in
+ *      release builds (`DEVELOPER_TOOLS` off).
  */
 // __tests__/unit/screens/LoginScreen.test.js
 jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -25,6 +29,7 @@ import { useNavigation } from '@react-navigation/native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { requestOtp } from '@/store/actions/loginActions';
 import LoginScreen from '@/screens/LoginScreen';
+import * as config from '@/utils/config';
 import { Animated, Keyboard } from 'react-native';
 
 // Patch Animated + Keyboard behaviors to run synchronously and safely
@@ -269,4 +274,21 @@ describe('LoginScreen', () => {
       expect(getByText('+91')).toBeTruthy();
     });
   });
+
+  it('opens the Developer screen on a long press of the Register link', async () => {
+    const { getByText } = await setup();
+
+    fireEvent(getByText(/Register$/), 'longPress');
+
+    expect(mockNavigate).toHaveBeenCalledWith('Developer');
+  });
+
+  it('has no way into the Developer screen in a release build', async () => {
+    jest.replaceProperty(config, 'DEVELOPER_TOOLS', false);
+    const { getByText } = await setup();
+
+    fireEvent(getByText(/Register$/), 'longPress');
+
+    expect(mockNavigate).not.toHaveBeenCalledWith('Developer');
+  });
 });
@@ -5,7 +5,9 @@
  * 1) fetchGlobalHazardAlerts
  *    - US feed normalization (Atom/CAP style)
  *    - GB feed normalization (RSS style)
- *    - Error surface via rejectWithValue
+ *    - Countries without a feed fall back to GDACS, keeping only the user's country
+ *    - A national feed that fails (error status, network, unparseable body) falls back to GDACS
+ *    - Error surface via rejectWithValue when the fallback fails too
  *
  * 2) fetchAlertsData
  *    - fullSystemFetch=true returns system alerts (with optional userId passthrough)
@@ -14,7 +16,7 @@
  * 3) CRUD-ish thunks
  *    - createSystemAlert, createEmergencyAlert, markAlertAsRead, deleteAlert
  *
- * 4) loadPendingActions (DEV_MODE=true path)
+ * 4) loadPendingActions (always asks the API; DEV_MODE is handled by the api transport)
  *
  * Notes:
  * - We dispatch thunks into a minimal RTK store; we assert on the returned action’s
@@ -29,18 +31,11 @@ jest.mock('../../../../src/utils/api', () => ({
   post: jest.fn(),
   patch: jest.fn(),
   del: jest.fn(),
+  getErrorMeta: (error) => ({ status: error?.status ?? null, code: error?.code ?? null }),
 }));
 jest.mock('../../../../src/utils/apiPaths', () => ({
   API_URL_ALERTS: 'https://api.example.com/alerts',
 }));
-jest.mock('../../../../src/utils/config', () => ({
-  DEV_MODE: false, // default; overridden in a specific test via isolateModules
-}));
-jest.mock('../../../../src/data/mockData', () => ({
-  mockAlerts: {
-    pendingActions: [{ id: 'mock-pa-1', type: 'Acknowledge' }],
-  },
-}));
 jest.mock('react-native-xml2js', () => ({
   parseString: jest.fn(), // we control parsed output per test
 }));
@@ -68,6 +63,8 @@ beforeEach(() => {
   jest.clearAllMocks();
   // global.fetch mock
   global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
     text: async () => '<xml>irrelevant-when-parseString-is-mocked</xml>',
   });
 });
@@ -171,15 +168,108 @@ describe('fetchGlobalHazardAlerts', () => {
     });
   });
 
-  it('surfaces errors via rejectWithValue when no feed exists', async () => {
+  it('falls back to the global GDACS feed when the country has none', async () => {
     getUserLocation.mockResolvedValue({ latitude: 1, longitude: 2 });
-    reverseGeocode.mockResolvedValue({ countryCode: 'FR' }); // no feed configured
+    // no national feed registered
+    reverseGeocode.mockResolvedValue({ countryCode: 'JP', country: 'Japan', 'ISO_3166-1_alpha-3': 'JPN' });
+
+    parseString.mockImplementation((xml, opts, cb) => {
+      cb(null, {
+        rss: {
+          channel: {
+            item: [
+              {
+                title: 'Orange tropical cyclone alert',
+                'gdacs:alertlevel': 'Orange',
+                'gdacs:eventtype': 'TC',
+                'gdacs:country': 'Philippines, Japan',
+                link: 'https://www.gdacs.org/report.aspx?eventtype=TC',
+              },
+              {
+                title: 'Green flood alert in Brazil',
+                'gdacs:alertlevel': 'Green',
+                'gdacs:eventtype': 'FL',
+                'gdacs:iso3': 'BRA',
+                'gdacs:country': 'Brazil',
+              },
+            ],
+          },
+        },
+      });
+    });
 
     const store = makeStore();
     const action = await store.dispatch(thunks.fetchGlobalHazardAlerts());
 
-    expect(action.type).toMatch(/alerts\/fetchGlobalHazardAlerts\/rejected$/);
-    expect(action.payload).toMatch(/No feed available for FR/);
+    expect(global.fetch).toHaveBeenCalledWith('https://www.gdacs.org/xml/rss.xml');
+    expect(action.type).toMatch(/alerts\/fetchGlobalHazardAlerts\/fulfilled$/);
+    expect(action.payload).toMatchObject({ country: 'JP', feed: 'GDACS', count: 1 });
+    expect(action.payload.alerts[0]).toMatchObject({
+      area: 'Philippines, Japan',
+      severity: 'Severe',
+      event: 'Tropical Cyclone',
+      source: 'global',
+    });
+  });
+
+  describe('when the national feed fails', () => {
+    const gdacs = {
+      rss: {
+        channel: {
+          item: [
+            { title: 'Red wildfire alert', 'gdacs:alertlevel': 'Red', 'gdacs:eventtype': 'WF', 'gdacs:iso3': 'USA' },
+            { title: 'Green flood alert', 'gdacs:alertlevel': 'Green', 'gdacs:eventtype': 'FL', 'gdacs:iso3': 'BRA' },
+          ],
+        },
+      },
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      getUserLocation.mockResolvedValue({ latitude: 1, longitude: 2 });
+      reverseGeocode.mockResolvedValue({ countryCode: 'US', country: 'United States', 'ISO_3166-1_alpha-3': 'USA' });
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('reads GDACS for the country when the feed answers with an error status', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 503, text: async () => 'Service Unavailable' });
+      parseString.mockImplementation((xml, opts, cb) => cb(null, gdacs));
+
+      const action = await makeStore().dispatch(thunks.fetchGlobalHazardAlerts());
+
+      expect(global.fetch).toHaveBeenLastCalledWith('https://www.gdacs.org/xml/rss.xml');
+      expect(action.type).toMatch(/alerts\/fetchGlobalHazardAlerts\/fulfilled$/);
+      expect(action.payload).toMatchObject({ country: 'US', feed: 'GDACS', count: 1 });
+      expect(action.payload.alerts[0]).toMatchObject({ event: 'Wildfire', country: 'US' });
+      expect(console.warn).toHaveBeenCalledWith(
+        'US National Weather Service unavailable, using GDACS:',
+        expect.objectContaining({ message: 'US National Weather Service responded with status 503' })
+      );
+    });
+
+    it('reads GDACS when the feed cannot be parsed', async () => {
+      parseString
+        .mockImplementationOnce((xml, opts, cb) => cb(new Error('Unexpected close tag')))
+        .mockImplementation((xml, opts, cb) => cb(null, gdacs));
+
+      const action = await makeStore().dispatch(thunks.fetchGlobalHazardAlerts());
+
+      expect(action.type).toMatch(/alerts\/fetchGlobalHazardAlerts\/fulfilled$/);
+      expect(action.payload).toMatchObject({ feed: 'GDACS', count: 1 });
+    });
+
+    it('surfaces feed errors via rejectWithValue when GDACS fails too', async () => {
+      global.fetch.mockRejectedValue(new Error('Network request failed'));
+
+      const action = await makeStore().dispatch(thunks.fetchGlobalHazardAlerts());
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(action.type).toMatch(/alerts\/fetchGlobalHazardAlerts\/rejected$/);
+      expect(action.payload).toBe('Network request failed');
+    });
   });
 });
 
@@ -205,7 +295,10 @@ describe('fetchAlertsData', () => {
     });
     // Ensure our API helper was called with userId passthrough
     expect(get).toHaveBeenCalledWith(
-      'https://api.example.com/alerts/system?userId=u-123'
+      'https://api.example.com/alerts/system?userId=u-123',
+      {},
+      {},
+      { signal: expect.any(AbortSignal) }
     );
   });
 
@@ -235,7 +328,10 @@ describe('fetchAlertsData', () => {
       page: 3,
     });
     expect(get).toHaveBeenCalledWith(
-      'https://api.example.com/alerts?category=Flood&page=3&pageSize=6'
+      'https://api.example.com/alerts?category=Flood&page=3&pageSize=6',
+      {},
+      {},
+      { signal: expect.any(AbortSignal) }
     );
   });
 });
@@ -334,31 +430,23 @@ describe('CRUD-ish thunks', () => {
 });
 
 describe('loadPendingActions', () => {
-  it('returns mock pending actions when DEV_MODE=true', async () => {
-    await jest.isolateModulesAsync(async () => {
-      // Make sure this isolated graph is clean
-      jest.resetModules();
-
-      // Mock BOTH modules that alertsActions reads at import time
-      jest.doMock('../../../../src/utils/config', () => ({ DEV_MODE: true }));
-      jest.doMock('../../../../src/data/mockData', () => ({
-        mockAlerts: { pendingActions: [{ id: 'mock-pa-1', type: 'Acknowledge' }] },
-      }));
-
-      // Now import AFTER mocks so the file sees them
-      const reloaded = require('../../../../src/store/actions/alertsActions');
-      const { mockAlerts } = require('../../../../src/data/mockData');
-
-      const store = configureStore({
-        reducer: (s = {}) => s,
-        middleware: (gdm) => gdm({ serializableCheck: false }),
-      });
+  it('returns pending actions from the API', async () => {
+    get.mockResolvedValueOnce({ pendingActions: [{ id: 'pa-1', type: 'Acknowledge' }] });
 
-      const action = await store.dispatch(reloaded.loadPendingActions());
+    const action = await makeStore().dispatch(thunks.loadPendingActions());
 
-      expect(action.type).toMatch(/alerts\/loadPendingActions\/fulfilled$/);
-      expect(action.payload).toEqual(mockAlerts.pendingActions);
-    });
+    expect(get).toHaveBeenCalledWith('https://api.example.com/alerts/pending-actions');
+    expect(action.type).toMatch(/alerts\/loadPendingActions\/fulfilled$/);
+    expect(action.payload).toEqual([{ id: 'pa-1', type: 'Acknowledge' }]);
+  });
+
+  it('rejects with the error message', async () => {
+    get.mockRejectedValueOnce(new Error('offline'));
+
+    const action = await makeStore().dispatch(thunks.loadPendingActions());
+
+    expect(action.type).toMatch(/alerts\/loadPendingActions\/rejected$/);
+    expect(action.payload).toBe('offline');
   });
 });
 
@@ -23,6 +23,7 @@ jest.mock('../../../../src/utils/api', () => ({
   get: jest.fn(),
   post: jest.fn(),
   del: jest.fn(),
+  getErrorMeta: (error) => ({ status: error?.status ?? null, code: error?.code ?? null }),
 }));
 jest.mock('../../../../src/utils/apiPaths', () => ({
   API_URL_NEWS: 'https://api.example.com/news',
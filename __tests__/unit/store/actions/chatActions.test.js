@@ -1,9 +1,10 @@
 /**
  * chatActions.test.js
  *
- * What These Tests Cover (5):
+ * What These Tests Cover (18):
  * 1) fetchActiveChats
  *    - returns current user's chats
+ *    - resolves the response schema fixture as-is; schema errors reject with their message
  * 2) fetchUserSuggestions
  *    - filters out current user from suggestions
  * 3) startDirectMessage
@@ -12,15 +13,61 @@
  *    - calls DELETE with params and returns numeric ids
  * 5) flushQueuedMessages
  *    - posts each queued message, dispatches appendMessage for each, then clearQueuedMessages
+ *    - queued photos are uploaded through sendImageMessage with their echo id
+ * 6) Polls
+ *    - createPoll posts the poll and returns the poll message
+ *    - votePoll / closePoll send the current user's id and return the updated poll
+ *    - fetchPollVoters returns the voters; server errors reject with their message
+ * 7) Events
+ *    - createEvent posts the event and returns the event message
+ *    - rsvpEvent sends the current user's id, status and task opt-in; errors reject with their message
+ * 8) Threads
+ *    - fetchThreadReplies requests a page (with the `before` cursor when given) and returns the replies
+ *    - sendThreadReply posts the reply and returns it with the parent's reply count
+ * 9) Reactions
+ *    - addReaction / removeReaction send the current user's id and return the server's reactions
+ * 10) Photos
+ *    - sendImageMessage uploads the file in chunks, reports progress and posts the image message
+ *    - upload errors reject with their message
+ * 11) History
+ *    - fetchMessages loads the newest page and restores cached messages into an empty chat first
+ *    - fetchOlderMessages pages back from the oldest server message; rejects when none is loaded
+ * 12) Edits & deletions
+ *    - editMessage / deleteMessage send the current user's id and return the server's message
+ *    - window and ownership errors reject with their message
+ * 13) Group admin
+ *    - updateGroupSettings sends only the given fields (a new photo as a data URI) and returns the chat
+ *    - updateGroupMember / banGroupMember send the current user's id and return the chat
+ *    - permission errors reject with their message
+ * 14) Pins
+ *    - fetchPinnedMessages / pinMessage / unpinMessage send the current user's id and return the
+ *      chat's pins; limit errors reject with their message
+ * 15) Search
+ *    - searchMessages asks the server (in one chat when `chatId` is given) and returns its results
+ *    - offline (including a key exchange that cannot reach the server), the messages in memory or
+ *      in the device cache are searched instead; other errors reject
+ * 16) Preferences
+ *    - updateChatPreferences sends only the given fields with the current user's id and returns
+ *      the server's preferences; errors reject with their message and error meta (status, code)
+ * 17) Mentions
+ *    - sendMessage and flushQueuedMessages send mentioned member ids and keep the entities on the
+ *      message; messages without mentions send none
+ * 18) Voice notes
+ *    - sendVoiceMessage uploads the recording in chunks, reports progress and posts the voice
+ *      message with its length and waveform; limit errors reject with their message
+ *    - flushQueuedMessages uploads queued voice notes with their echo id
  */
 
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { configureStore } from '@reduxjs/toolkit';
 
 // ---- Mock external modules used by the thunks ----
 jest.mock('../../../../src/utils/api', () => ({
   get: jest.fn(),
   post: jest.fn(),
+  patch: jest.fn(),
   del: jest.fn(),
+  getErrorMeta: (error) => ({ status: error?.status ?? null, code: error?.code ?? null }),
 }));
 
 jest.mock('../../../../src/utils/apiPaths', () => ({
@@ -34,18 +81,34 @@ jest.mock('../../../../src/store/reducers/chatReducer', () => {
     appendMessage: jest.fn((payload) => ({ type: 'chat/appendMessage', payload })),
     clearQueuedMessages: jest.fn((chatId) => ({ type: 'chat/clearQueuedMessages', payload: chatId })),
     markChatAsRead: jest.fn((payload) => ({ type: 'chat/markChatAsRead', payload })),
+    setImageUploadProgress: jest.fn((payload) => ({ type: 'chat/setImageUploadProgress', payload })),
+    restoreMessages: jest.fn((payload) => ({ type: 'chat/restoreMessages', payload })),
   };
 });
 
+jest.mock('../../../../src/utils/imageAttachments', () => ({
+  readImageBase64: jest.fn(),
+}));
+
+jest.mock('../../../../src/utils/voiceNotes', () => ({
+  readVoiceNoteBase64: jest.fn(),
+}));
+
 // Bring in the mocked APIs
-import { get, post, del } from '../../../../src/utils/api';
+import { get, post, patch, del } from '../../../../src/utils/api';
+import { responseFixture } from '../../../../src/utils/apiSchemas';
+import { ResponseSchemaError } from '../../../../src/utils/apiError';
 
 // Import the mocked reducer action creators so we can assert on them
 import {
   appendMessage as mockedAppendMessage,
   clearQueuedMessages as mockedClearQueuedMessages,
   markChatAsRead as mockedMarkChatAsRead,
+  setImageUploadProgress as mockedSetImageUploadProgress,
+  restoreMessages as mockedRestoreMessages,
 } from '../../../../src/store/reducers/chatReducer';
+import { readImageBase64 } from '../../../../src/utils/imageAttachments';
+import { readVoiceNoteBase64 } from '../../../../src/utils/voiceNotes';
 
 // Import thunks AFTER mocks so they see mocked modules
 import * as chat from '../../../../src/store/actions/chatActions';
@@ -75,6 +138,27 @@ describe('fetchActiveChats', () => {
     expect(get).toHaveBeenCalledWith('https://api.example.com/chat/list/u-1');
     expect(action.payload).toEqual([{ id: 10 }, { id: 11 }]);
   });
+
+  it('returns the chat list of the response schema fixture', async () => {
+    const response = responseFixture('GET', 'https://api.example.com/chat/list/u-1');
+    get.mockResolvedValueOnce(response);
+
+    const action = await makeStore({ auth: { user: { id: 'u-1' } } }).dispatch(chat.fetchActiveChats());
+
+    expect(action.payload).toEqual(response.data);
+    expect(action.payload[0]).toMatchObject({ chat_id: 1, name: 'Neighbourhood Watch' });
+  });
+
+  it('rejects with the schema error instead of resolving an empty list', async () => {
+    get.mockRejectedValueOnce(
+      new ResponseSchemaError('GET /v0.0/chat/list/:userId', [{ path: 'data', message: 'is missing' }])
+    );
+
+    const action = await makeStore({ auth: { user: { id: 'u-1' } } }).dispatch(chat.fetchActiveChats());
+
+    expect(action.type).toMatch(/chat\/fetchActiveChats\/rejected$/);
+    expect(action.payload).toBe('Unexpected response from GET /v0.0/chat/list/:userId: data is missing');
+  });
 });
 
 // 2) fetchUserSuggestions
@@ -219,6 +303,28 @@ describe('flushQueuedMessages', () => {
     expect(mockedClearQueuedMessages).toHaveBeenCalledWith('77');
   });
 
+  it('uploads queued photos with their echo id', async () => {
+    const image = { uri: 'file:///flood.jpg', width: 10, height: 10, mime_type: 'image/jpeg', location: null };
+    const initial = {
+      auth: { user: { id: 'me' } },
+      chat: {
+        queuedMessagesByChatId: {
+          '77': [{ id: 'temp-1', sender: { id: 'me' }, content: '📷 Photo', message_type: 'image', image }],
+        },
+      },
+    };
+    readImageBase64.mockResolvedValueOnce('abcd');
+    post
+      .mockResolvedValueOnce({ upload_id: 9, received: 4 })
+      .mockResolvedValueOnce({ message_id: 40, message: { id: 40, message_type: 'image' } });
+
+    await makeStore(initial).dispatch(chat.flushQueuedMessages('77'));
+
+    expect(post).toHaveBeenCalledWith('https://api.example.com/chat/77/images', expect.objectContaining({ upload_id: 9 }));
+    expect(mockedAppendMessage).not.toHaveBeenCalled();
+    expect(mockedClearQueuedMessages).toHaveBeenCalledWith('77');
+  });
+
   it('no-ops when no queued messages exist', async () => {
     const initial = {
       auth: { user: { id: 'me' } },
@@ -233,3 +339,774 @@ describe('flushQueuedMessages', () => {
     expect(mockedClearQueuedMessages).not.toHaveBeenCalled();
   });
 });
+
+// 6) Polls
+describe('poll thunks', () => {
+  const state = { auth: { user: { id: 'me' } } };
+  const poll = responseFixture('POST', 'https://api.example.com/chat/77/polls/5/vote').poll;
+
+  it('createPoll posts the poll and returns its message', async () => {
+    const response = responseFixture('POST', 'https://api.example.com/chat/77/polls');
+    post.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(
+      chat.createPoll({
+        chatId: '77',
+        senderId: 'me',
+        question: 'Meet where?',
+        options: ['Library', 'Park'],
+        closesAt: '2030-01-01T00:00:00.000Z',
+      })
+    );
+
+    expect(post).toHaveBeenCalledWith('https://api.example.com/chat/77/polls', {
+      sender_id: 'me',
+      question: 'Meet where?',
+      options: ['Library', 'Park'],
+      allows_multiple: false,
+      closes_at: '2030-01-01T00:00:00.000Z',
+    });
+    expect(action.payload).toEqual({
+      chatId: '77',
+      message: { ...response.message, chat_id: '77' },
+    });
+  });
+
+  it('votePoll and closePoll send the user id and return the poll', async () => {
+    post.mockResolvedValue({ poll });
+    const store = makeStore(state);
+
+    const voted = await store.dispatch(
+      chat.votePoll({ chatId: '77', messageId: 'm1', pollId: 5, optionIds: [2] })
+    );
+    const closed = await store.dispatch(chat.closePoll({ chatId: '77', messageId: 'm1', pollId: 5 }));
+
+    expect(post).toHaveBeenCalledWith('https://api.example.com/chat/77/polls/5/vote', {
+      user_id: 'me',
+      option_ids: [2],
+    });
+    expect(post).toHaveBeenCalledWith('https://api.example.com/chat/77/polls/5/close', { user_id: 'me' });
+    expect(voted.payload).toEqual({ chatId: '77', messageId: 'm1', poll });
+    expect(closed.payload).toEqual({ chatId: '77', messageId: 'm1', poll });
+  });
+
+  it('fetchPollVoters returns the voters and rejects with server errors', async () => {
+    get.mockResolvedValueOnce({ voters: [{ option_id: 1, users: [{ id: 'u2', name: 'Sam' }] }] });
+    const store = makeStore(state);
+
+    const ok = await store.dispatch(chat.fetchPollVoters({ chatId: '77', pollId: 5 }));
+    expect(get).toHaveBeenCalledWith('https://api.example.com/chat/77/polls/5/voters', { user_id: 'me' });
+    expect(ok.payload).toEqual({ pollId: 5, voters: [{ option_id: 1, users: [{ id: 'u2', name: 'Sam' }] }] });
+
+    get.mockRejectedValueOnce(new Error('Only the poll creator can see who voted'));
+    const denied = await store.dispatch(chat.fetchPollVoters({ chatId: '77', pollId: 5 }));
+    expect(denied.type).toMatch(/rejected$/);
+    expect(denied.payload).toBe('Only the poll creator can see who voted');
+  });
+});
+
+// 7) Events
+describe('event thunks', () => {
+  const state = { auth: { user: { id: 'me' } } };
+
+  it('createEvent posts the event and returns its message', async () => {
+    const response = responseFixture('POST', 'https://api.example.com/chat/77/events');
+    post.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(
+      chat.createEvent({
+        chatId: '77',
+        senderId: 'me',
+        title: 'Cleanup',
+        startsAt: '2030-01-01T09:00:00.000Z',
+        capacity: 8,
+      })
+    );
+
+    expect(post).toHaveBeenCalledWith('https://api.example.com/chat/77/events', {
+      sender_id: 'me',
+      title: 'Cleanup',
+      starts_at: '2030-01-01T09:00:00.000Z',
+      ends_at: null,
+      location: null,
+      capacity: 8,
+    });
+    expect(action.payload).toEqual({
+      chatId: '77',
+      message: { ...response.message, chat_id: '77' },
+    });
+  });
+
+  it('rsvpEvent sends the RSVP and returns the event', async () => {
+    const { event } = responseFixture('POST', 'https://api.example.com/chat/77/events/4/rsvp');
+    post.mockResolvedValueOnce({ event });
+
+    const action = await makeStore(state).dispatch(
+      chat.rsvpEvent({ chatId: '77', messageId: 'm1', eventId: 4, status: 'going', addToTasks: true })
+    );
+
+    expect(post).toHaveBeenCalledWith('https://api.example.com/chat/77/events/4/rsvp', {
+      user_id: 'me',
+      status: 'going',
+      add_to_tasks: true,
+    });
+    expect(action.payload).toEqual({ chatId: '77', messageId: 'm1', event });
+  });
+
+  it('rsvpEvent rejects with the server error', async () => {
+    post.mockRejectedValueOnce(new Error('Event is full'));
+
+    const action = await makeStore(state).dispatch(
+      chat.rsvpEvent({ chatId: '77', messageId: 'm1', eventId: 4, status: 'going' })
+    );
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('Event is full');
+    expect(post).toHaveBeenCalledWith('https://api.example.com/chat/77/events/4/rsvp', {
+      user_id: 'me',
+      status: 'going',
+      add_to_tasks: false,
+    });
+  });
+});
+
+// 8) Threads
+describe('thread thunks', () => {
+  const state = { auth: { user: { id: 'me' } } };
+  const url = 'https://api.example.com/chat/77/messages/5/replies';
+
+  it('fetchThreadReplies loads the newest page, or the page before a reply', async () => {
+    const page = responseFixture('GET', url);
+    get.mockResolvedValue(page);
+    const store = makeStore(state);
+
+    const newest = await store.dispatch(chat.fetchThreadReplies({ chatId: '77', messageId: 5 }));
+    const older = await store.dispatch(chat.fetchThreadReplies({ chatId: '77', messageId: 5, before: 12 }));
+
+    expect(get).toHaveBeenNthCalledWith(1, url, { user_id: 'me', limit: chat.THREAD_PAGE_SIZE }, {}, expect.any(Object));
+    expect(get).toHaveBeenNthCalledWith(
+      2,
+      url,
+      { user_id: 'me', limit: chat.THREAD_PAGE_SIZE, before: 12 },
+      {},
+      expect.any(Object)
+    );
+    expect(newest.payload).toEqual({
+      chatId: '77',
+      messageId: 5,
+      before: null,
+      replies: page.data,
+      hasMore: page.hasMore,
+    });
+    expect(older.payload.before).toBe(12);
+  });
+
+  it('sendThreadReply posts the reply and returns the reply count', async () => {
+    const response = responseFixture('POST', url, { reply_count: 3 });
+    post.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(
+      chat.sendThreadReply({ chatId: '77', messageId: 5, senderId: 'me', content: 'On my way' })
+    );
+
+    expect(post).toHaveBeenCalledWith(url, { sender_id: 'me', message: 'On my way' });
+    expect(action.payload).toEqual({
+      chatId: '77',
+      messageId: 5,
+      message: { ...response.message, chat_id: '77' },
+      replyCount: 3,
+    });
+  });
+
+  it('sendThreadReply rejects with the server error', async () => {
+    post.mockRejectedValueOnce(new Error('Replies cannot have replies'));
+
+    const action = await makeStore(state).dispatch(
+      chat.sendThreadReply({ chatId: '77', messageId: 5, senderId: 'me', content: 'Hi' })
+    );
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('Replies cannot have replies');
+  });
+});
+
+// 9) Reactions
+describe('reaction thunks', () => {
+  const state = { auth: { user: { id: 'me' } } };
+  const url = 'https://api.example.com/chat/77/messages/5/reactions';
+
+  it('addReaction posts the emoji and returns the reactions', async () => {
+    const response = responseFixture('POST', url);
+    post.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(chat.addReaction({ chatId: '77', messageId: 5, emoji: '🎉' }));
+
+    expect(post).toHaveBeenCalledWith(url, { user_id: 'me', emoji: '🎉' });
+    expect(action.payload).toEqual({ chatId: '77', messageId: 5, reactions: response.reactions });
+  });
+
+  it('removeReaction deletes the user’s reaction', async () => {
+    del.mockResolvedValueOnce({ message_id: 5, reactions: [] });
+
+    const action = await makeStore(state).dispatch(chat.removeReaction({ chatId: '77', messageId: 5 }));
+
+    expect(del).toHaveBeenCalledWith(url, { user_id: 'me' });
+    expect(action.payload).toEqual({ chatId: '77', messageId: 5, reactions: [] });
+  });
+
+  it('rejects with the server error', async () => {
+    post.mockRejectedValueOnce(new Error('User is not a member of this chat'));
+
+    const action = await makeStore(state).dispatch(chat.addReaction({ chatId: '77', messageId: 5, emoji: '🎉' }));
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('User is not a member of this chat');
+  });
+});
+
+// 10) Photos
+describe('sendImageMessage', () => {
+  const state = { auth: { user: { id: 'me' } } };
+  const image = {
+    uri: 'file:///flood-prepared.jpg',
+    width: 1600,
+    height: 1200,
+    mime_type: 'image/jpeg',
+    location: { latitude: 51.5, longitude: -0.12 },
+  };
+
+  it('uploads the file in chunks, reports progress and posts the image message', async () => {
+    const data = 'x'.repeat(chat.IMAGE_CHUNK_SIZE + 10);
+    readImageBase64.mockResolvedValueOnce(data);
+    const response = responseFixture('POST', 'https://api.example.com/chat/77/images');
+    post
+      .mockResolvedValueOnce({ upload_id: 9, received: chat.IMAGE_CHUNK_SIZE })
+      .mockResolvedValueOnce({ upload_id: 9, received: data.length })
+      .mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(
+      chat.sendImageMessage({ chatId: '77', senderId: 'me', image, tempId: 'temp-1' })
+    );
+
+    expect(readImageBase64).toHaveBeenCalledWith(image.uri);
+    expect(post).toHaveBeenNthCalledWith(1, 'https://api.example.com/chat/77/uploads', {
+      sender_id: 'me',
+      upload_id: null,
+      offset: 0,
+      data: data.slice(0, chat.IMAGE_CHUNK_SIZE),
+    });
+    expect(post).toHaveBeenNthCalledWith(2, 'https://api.example.com/chat/77/uploads', {
+      sender_id: 'me',
+      upload_id: 9,
+      offset: chat.IMAGE_CHUNK_SIZE,
+      data: 'x'.repeat(10),
+    });
+    expect(post).toHaveBeenNthCalledWith(3, 'https://api.example.com/chat/77/images', {
+      sender_id: 'me',
+      upload_id: 9,
+      mime_type: 'image/jpeg',
+      width: 1600,
+      height: 1200,
+      location: image.location,
+    });
+    expect(mockedSetImageUploadProgress.mock.calls.map(([p]) => p.progress)).toEqual([
+      chat.IMAGE_CHUNK_SIZE / data.length,
+      1,
+    ]);
+    expect(mockedSetImageUploadProgress).toHaveBeenCalledWith(
+      expect.objectContaining({ chatId: '77', messageId: 'temp-1' })
+    );
+    expect(action.payload).toEqual({
+      chatId: '77',
+      tempId: 'temp-1',
+      message: { ...response.message, chat_id: '77' },
+    });
+  });
+
+  it('rejects with the upload error', async () => {
+    readImageBase64.mockResolvedValueOnce('abcd');
+    post.mockRejectedValueOnce(new Error('Unexpected upload offset'));
+
+    const action = await makeStore(state).dispatch(
+      chat.sendImageMessage({ chatId: '77', senderId: 'me', image, tempId: 'temp-1' })
+    );
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('Unexpected upload offset');
+  });
+});
+
+// 11) History
+describe('history thunks', () => {
+  const url = 'https://api.example.com/chat/77/messages';
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  it('fetchMessages restores cached messages into an empty chat, then loads the newest page', async () => {
+    await AsyncStorage.setItem('resqzone.messages.77', JSON.stringify([{ id: 1, content: 'cached' }]));
+    get.mockResolvedValueOnce({ data: [{ id: 2 }], hasMore: true });
+
+    const action = await makeStore({ auth: { user: { id: 'me' } }, chat: { messagesByChatId: {} } }).dispatch(
+      chat.fetchMessages('77')
+    );
+
+    expect(mockedRestoreMessages).toHaveBeenCalledWith({ chatId: '77', messages: [{ id: 1, content: 'cached' }] });
+    expect(get).toHaveBeenCalledWith(url, { user_id: 'me', limit: chat.MESSAGE_PAGE_SIZE }, {}, expect.any(Object));
+    expect(action.payload).toEqual({ chatId: '77', messages: [{ id: 2 }], hasMore: true });
+  });
+
+  it('fetchMessages skips the cache when the chat is already loaded', async () => {
+    await AsyncStorage.setItem('resqzone.messages.77', JSON.stringify([{ id: 1 }]));
+    get.mockResolvedValueOnce({ data: [] });
+
+    const action = await makeStore({
+      auth: { user: { id: 'me' } },
+      chat: { messagesByChatId: { 77: [{ id: 1 }] } },
+    }).dispatch(chat.fetchMessages('77'));
+
+    expect(mockedRestoreMessages).not.toHaveBeenCalled();
+    expect(action.payload.hasMore).toBe(false);
+  });
+
+  it('fetchOlderMessages loads the page before the oldest server message', async () => {
+    const page = responseFixture('GET', `${url}?limit=1`);
+    get.mockResolvedValueOnce(page);
+
+    const action = await makeStore({
+      auth: { user: { id: 'me' } },
+      chat: { messagesByChatId: { 77: [{ id: 'temp-1' }, { id: 40 }, { id: 41 }] } },
+    }).dispatch(chat.fetchOlderMessages('77'));
+
+    expect(get).toHaveBeenCalledWith(
+      url,
+      { user_id: 'me', limit: chat.MESSAGE_PAGE_SIZE, before: 40 },
+      {},
+      expect.any(Object)
+    );
+    expect(action.payload).toEqual({ chatId: '77', before: 40, messages: page.data, hasMore: page.hasMore });
+  });
+
+  it('fetchOlderMessages rejects when no server message is loaded', async () => {
+    const action = await makeStore({
+      auth: { user: { id: 'me' } },
+      chat: { messagesByChatId: { 77: [{ id: 'temp-1' }] } },
+    }).dispatch(chat.fetchOlderMessages('77'));
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('No messages loaded yet');
+    expect(get).not.toHaveBeenCalled();
+  });
+});
+
+// 12) Edits & deletions
+describe('edit and delete thunks', () => {
+  const state = { auth: { user: { id: 'me' } } };
+  const url = 'https://api.example.com/chat/77/messages/5';
+
+  it('editMessage patches the text and returns the edited message', async () => {
+    const response = responseFixture('PATCH', url);
+    patch.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(
+      chat.editMessage({ chatId: '77', messageId: 5, content: 'Shelter opens at 7' })
+    );
+
+    expect(patch).toHaveBeenCalledWith(url, { user_id: 'me', content: 'Shelter opens at 7' });
+    expect(action.payload).toEqual({ chatId: '77', message: response.message });
+  });
+
+  it('deleteMessage deletes for everyone and returns the blanked message', async () => {
+    const response = responseFixture('DELETE', url);
+    del.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(chat.deleteMessage({ chatId: '77', messageId: 5 }));
+
+    expect(del).toHaveBeenCalledWith(url, { user_id: 'me' });
+    expect(action.payload).toEqual({ chatId: '77', message: response.message });
+  });
+
+  it('rejects with the server error', async () => {
+    patch.mockRejectedValueOnce(new Error('The time to edit this message has passed'));
+
+    const action = await makeStore(state).dispatch(chat.editMessage({ chatId: '77', messageId: 5, content: 'x' }));
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('The time to edit this message has passed');
+  });
+});
+
+// 13) Group admin
+describe('group admin thunks', () => {
+  const state = { auth: { user: { id: 'me' } } };
+
+  it('updateGroupSettings sends only the given fields and returns the chat', async () => {
+    const url = 'https://api.example.com/chat/77';
+    const response = responseFixture('PATCH', url);
+    patch.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(
+      chat.updateGroupSettings({ chatId: '77', name: 'Flood Watch', announcementOnly: true })
+    );
+
+    expect(patch).toHaveBeenCalledWith(url, { user_id: 'me', name: 'Flood Watch', announcement_only: true });
+    expect(action.payload).toEqual(response.chat);
+  });
+
+  it('updateGroupSettings sends a new photo as a data URI and null to remove it', async () => {
+    readImageBase64.mockResolvedValueOnce('QUJD');
+    patch.mockResolvedValue({ chat: { id: 77 } });
+    const store = makeStore(state);
+
+    await store.dispatch(
+      chat.updateGroupSettings({ chatId: 77, avatar: { uri: 'file:///small.jpg', mime_type: 'image/jpeg' } })
+    );
+    await store.dispatch(chat.updateGroupSettings({ chatId: 77, avatar: null }));
+
+    expect(readImageBase64).toHaveBeenCalledWith('file:///small.jpg');
+    expect(patch.mock.calls.map(([, body]) => body)).toEqual([
+      { user_id: 'me', avatar: 'data:image/jpeg;base64,QUJD' },
+      { user_id: 'me', avatar: null },
+    ]);
+    patch.mockReset();
+  });
+
+  it('updateGroupMember changes a role or mute for the current user', async () => {
+    const url = 'https://api.example.com/chat/77/members/5';
+    const response = responseFixture('PATCH', url);
+    patch.mockResolvedValue(response);
+    const store = makeStore(state);
+
+    const action = await store.dispatch(chat.updateGroupMember({ chatId: 77, userId: 5, role: 'admin' }));
+    await store.dispatch(chat.updateGroupMember({ chatId: 77, userId: 5, mutedUntil: null }));
+
+    expect(patch.mock.calls).toEqual([
+      [url, { user_id: 'me', role: 'admin' }],
+      [url, { user_id: 'me', muted_until: null }],
+    ]);
+    expect(action.payload).toEqual(response.chat);
+    patch.mockReset();
+  });
+
+  it('banGroupMember posts the ban and returns the chat', async () => {
+    const url = 'https://api.example.com/chat/77/members/5/ban';
+    const response = responseFixture('POST', url);
+    post.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(chat.banGroupMember({ chatId: 77, userId: 5 }));
+
+    expect(post).toHaveBeenCalledWith(url, { user_id: 'me' });
+    expect(action.payload).toEqual(response.chat);
+  });
+
+  it('rejects with the server error', async () => {
+    post.mockRejectedValueOnce(new Error('You cannot manage this member'));
+
+    const action = await makeStore(state).dispatch(chat.banGroupMember({ chatId: 77, userId: 1 }));
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('You cannot manage this member');
+  });
+});
+
+// 14) Pins
+describe('pin thunks', () => {
+  const state = { auth: { user: { id: 'me' } } };
+  const url = 'https://api.example.com/chat/77/pins';
+
+  it('fetchPinnedMessages loads the chat pins', async () => {
+    const response = responseFixture('GET', url);
+    get.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(chat.fetchPinnedMessages('77'));
+
+    expect(get).toHaveBeenCalledWith(url, { user_id: 'me' }, {}, expect.any(Object));
+    expect(action.payload).toEqual({ chatId: '77', pins: response.pins });
+  });
+
+  it('pinMessage posts the message id and returns the pins', async () => {
+    const response = responseFixture('POST', url);
+    post.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(chat.pinMessage({ chatId: '77', messageId: 5 }));
+
+    expect(post).toHaveBeenCalledWith(url, { user_id: 'me', message_id: 5 });
+    expect(action.payload).toEqual({ chatId: '77', pins: response.pins });
+  });
+
+  it('unpinMessage deletes the pin and returns the pins', async () => {
+    const response = responseFixture('DELETE', `${url}/5`);
+    del.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(chat.unpinMessage({ chatId: '77', messageId: 5 }));
+
+    expect(del).toHaveBeenCalledWith(`${url}/5`, { user_id: 'me' });
+    expect(action.payload).toEqual({ chatId: '77', pins: response.pins });
+  });
+
+  it('rejects with the server error', async () => {
+    post.mockRejectedValueOnce(new Error('A chat can have at most 5 pinned messages'));
+
+    const action = await makeStore(state).dispatch(chat.pinMessage({ chatId: '77', messageId: 6 }));
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('A chat can have at most 5 pinned messages');
+  });
+});
+
+// 15) Search
+describe('search thunks', () => {
+  const url = 'https://api.example.com/chat/search';
+  const offline = () => Object.assign(new Error('Network request failed'), { code: 'NETWORK' });
+  const text = (id, content, timestamp) => ({ id, content, message_type: 'text', timestamp });
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  it('searches every chat on the server', async () => {
+    const response = responseFixture('GET', url);
+    get.mockResolvedValueOnce(response);
+
+    const action = await makeStore({ auth: { user: { id: 'me' } } }).dispatch(
+      chat.searchMessages({ query: ' generator ' })
+    );
+
+    expect(get).toHaveBeenCalledWith(url, { user_id: 'me', q: 'generator', limit: 50 }, {}, expect.any(Object));
+    expect(action.payload).toEqual({ query: 'generator', chatId: null, results: response.results, source: 'server' });
+  });
+
+  it('searches one chat when chatId is given', async () => {
+    get.mockResolvedValueOnce({ results: [] });
+
+    await makeStore({ auth: { user: { id: 'me' } } }).dispatch(chat.searchMessages({ query: 'generator', chatId: 77 }));
+
+    expect(get).toHaveBeenCalledWith(url, expect.objectContaining({ chat_id: 77 }), {}, expect.any(Object));
+  });
+
+  it('searches loaded and cached messages when offline', async () => {
+    get.mockRejectedValueOnce(offline());
+    await AsyncStorage.setItem(
+      'resqzone.messages.78',
+      JSON.stringify([text(3, 'Cached generator note', '2025-04-08T09:00:00.000Z')])
+    );
+    const state = {
+      auth: { user: { id: 'me' } },
+      chat: {
+        activeChats: [
+          { chat_id: 77, name: 'Sam' },
+          { chat_id: 78, name: 'Flood Watch' },
+        ],
+        messagesByChatId: {
+          77: [text(1, 'Generator is in the shed', '2025-04-10T09:00:00.000Z'), text(2, 'Sandbags', '2025-04-10T10:00:00.000Z')],
+        },
+      },
+    };
+
+    const action = await makeStore(state).dispatch(chat.searchMessages({ query: 'generator' }));
+
+    expect(action.payload.source).toBe('cache');
+    expect(action.payload.results.map((r) => [r.chat_id, r.chat_name, r.message.id])).toEqual([
+      [77, 'Sam', 1],
+      [78, 'Flood Watch', 3],
+    ]);
+  });
+
+  it('searches the cached chat when offline even if it is not in the list', async () => {
+    get.mockRejectedValueOnce(offline());
+    await AsyncStorage.setItem('resqzone.messages.79', JSON.stringify([text(4, 'generator', '2025-04-08T09:00:00.000Z')]));
+
+    const action = await makeStore({ auth: { user: { id: 'me' } }, chat: { activeChats: [] } }).dispatch(
+      chat.searchMessages({ query: 'generator', chatId: 79 })
+    );
+
+    expect(action.payload.results.map((r) => r.message.id)).toEqual([4]);
+  });
+
+  it('falls back to the cache when the key exchange cannot reach the server', async () => {
+    get.mockRejectedValueOnce(Object.assign(new Error('Key exchange timed out'), { code: 'TIMEOUT' }));
+    await AsyncStorage.setItem('resqzone.messages.79', JSON.stringify([text(4, 'generator', '2025-04-08T09:00:00.000Z')]));
+
+    const action = await makeStore({ auth: { user: { id: 'me' } }, chat: { activeChats: [] } }).dispatch(
+      chat.searchMessages({ query: 'generator', chatId: 79 })
+    );
+
+    expect(action.payload.source).toBe('cache');
+  });
+
+  it('rejects when the key exchange fails for any other reason', async () => {
+    get.mockRejectedValueOnce(Object.assign(new Error('Key exchange failed (500)'), { code: 'KEY_EXCHANGE_FAILED' }));
+
+    const action = await makeStore({ auth: { user: { id: 'me' } }, chat: { activeChats: [] } }).dispatch(
+      chat.searchMessages({ query: 'generator', chatId: 79 })
+    );
+
+    expect(action.type).toMatch(/rejected$/);
+  });
+
+  it('rejects with other server errors', async () => {
+    get.mockRejectedValueOnce(new Error('Sender is not a member of this chat'));
+
+    const action = await makeStore({ auth: { user: { id: 'me' } } }).dispatch(
+      chat.searchMessages({ query: 'generator', chatId: 77 })
+    );
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('Sender is not a member of this chat');
+  });
+});
+
+// 16) Preferences
+describe('updateChatPreferences', () => {
+  const state = { auth: { user: { id: 'me' } } };
+  const url = 'https://api.example.com/chat/77/preferences';
+
+  it('patches only the given fields and returns the preferences', async () => {
+    const response = responseFixture('PATCH', url);
+    patch.mockResolvedValueOnce(response);
+
+    const action = await makeStore(state).dispatch(
+      chat.updateChatPreferences({ chatId: '77', mutedUntil: '2025-04-10T10:00:00.000Z', notificationLevel: 'mentions' })
+    );
+
+    expect(patch).toHaveBeenCalledWith(url, {
+      user_id: 'me',
+      muted_until: '2025-04-10T10:00:00.000Z',
+      notification_level: 'mentions',
+    });
+    expect(action.payload).toEqual({ chatId: '77', preferences: response.preferences });
+
+    patch.mockResolvedValueOnce(response);
+    await makeStore(state).dispatch(chat.updateChatPreferences({ chatId: '77', archived: true }));
+    expect(patch).toHaveBeenLastCalledWith(url, { user_id: 'me', archived: true });
+  });
+
+  it('rejects with the server error', async () => {
+    patch.mockRejectedValueOnce(new Error('User is not a member of this chat'));
+
+    const action = await makeStore(state).dispatch(chat.updateChatPreferences({ chatId: '77', archived: true }));
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('User is not a member of this chat');
+  });
+
+  it('rejects with the error status and code so the outbox can queue it', async () => {
+    patch.mockRejectedValueOnce(Object.assign(new Error('Request timed out'), { code: 'TIMEOUT' }));
+
+    const action = await makeStore(state).dispatch(chat.updateChatPreferences({ chatId: '77', archived: true }));
+
+    expect(action.meta).toMatchObject({ code: 'TIMEOUT', status: null });
+  });
+});
+
+// 17) Mentions
+describe('mentions', () => {
+  const url = 'https://api.example.com/chat/77/messages';
+  const mentions = [{ id: 2, name: 'Alice' }];
+
+  it('sendMessage sends mentioned ids and keeps the entities on the message', async () => {
+    post.mockResolvedValueOnce({ message_id: 50 });
+
+    const action = await makeStore({}).dispatch(
+      chat.sendMessage({ chatId: '77', senderId: 'me', message: 'Thanks @Alice', mentions })
+    );
+
+    expect(post).toHaveBeenCalledWith(url, { sender_id: 'me', message: 'Thanks @Alice', message_type: 'text', mentions: [2] });
+    expect(action.payload.message).toMatchObject({ id: 50, content: 'Thanks @Alice', mentions });
+
+    post.mockResolvedValueOnce({ message_id: 51 });
+    await makeStore({}).dispatch(chat.sendMessage({ chatId: '77', senderId: 'me', message: 'Hi all' }));
+    expect(post).toHaveBeenLastCalledWith(url, { sender_id: 'me', message: 'Hi all', message_type: 'text' });
+  });
+
+  it('flushQueuedMessages sends the mentions of queued messages', async () => {
+    const initial = {
+      chat: {
+        queuedMessagesByChatId: {
+          '77': [{ sender_id: 'me', content: 'Thanks @Alice', message_type: 'text', mentions }],
+        },
+      },
+    };
+    post.mockResolvedValueOnce({ message_id: 52 });
+
+    await makeStore(initial).dispatch(chat.flushQueuedMessages('77'));
+
+    expect(post).toHaveBeenCalledWith(url, expect.objectContaining({ mentions: [2] }));
+    expect(mockedAppendMessage.mock.calls[0][0].message).toMatchObject({ id: 52, mentions });
+  });
+});
+
+// 18) Voice notes
+describe('voice notes', () => {
+  const voice = {
+    uri: 'file:///voice.m4a',
+    duration_ms: 4200,
+    size: 6,
+    mime_type: 'audio/mp4',
+    waveform: [0.1, 0.5],
+  };
+
+  it('sendVoiceMessage uploads the recording and posts the voice message', async () => {
+    readVoiceNoteBase64.mockResolvedValueOnce('dm9pY2U=');
+    const response = responseFixture('POST', 'https://api.example.com/chat/77/voice');
+    post.mockResolvedValueOnce({ upload_id: 3, received: 8 }).mockResolvedValueOnce(response);
+
+    const action = await makeStore({}).dispatch(
+      chat.sendVoiceMessage({ chatId: '77', senderId: 'me', voice, tempId: 'temp-2' })
+    );
+
+    expect(readVoiceNoteBase64).toHaveBeenCalledWith('file:///voice.m4a');
+    expect(post).toHaveBeenNthCalledWith(1, 'https://api.example.com/chat/77/uploads', {
+      sender_id: 'me',
+      upload_id: null,
+      offset: 0,
+      data: 'dm9pY2U=',
+    });
+    expect(post).toHaveBeenNthCalledWith(2, 'https://api.example.com/chat/77/voice', {
+      sender_id: 'me',
+      upload_id: 3,
+      mime_type: 'audio/mp4',
+      duration_ms: 4200,
+      waveform: [0.1, 0.5],
+    });
+    expect(mockedSetImageUploadProgress).toHaveBeenCalledWith({ chatId: '77', messageId: 'temp-2', progress: 1 });
+    expect(action.payload).toEqual({
+      chatId: '77',
+      tempId: 'temp-2',
+      message: { ...response.message, chat_id: '77' },
+    });
+  });
+
+  it('sendVoiceMessage rejects with the server error', async () => {
+    readVoiceNoteBase64.mockResolvedValueOnce('dm9pY2U=');
+    post.mockResolvedValueOnce({ upload_id: 3, received: 8 }).mockRejectedValueOnce(new Error('Voice note is too long'));
+
+    const action = await makeStore({}).dispatch(
+      chat.sendVoiceMessage({ chatId: '77', senderId: 'me', voice, tempId: 'temp-2' })
+    );
+
+    expect(action.type).toMatch(/rejected$/);
+    expect(action.payload).toBe('Voice note is too long');
+  });
+
+  it('flushQueuedMessages uploads queued voice notes with their echo id', async () => {
+    const initial = {
+      chat: {
+        queuedMessagesByChatId: {
+          '77': [{ id: 'temp-3', sender: { id: 'me' }, content: '🎤 Voice note', message_type: 'voice', voice }],
+        },
+      },
+    };
+    readVoiceNoteBase64.mockResolvedValueOnce('dm9pY2U=');
+    post
+      .mockResolvedValueOnce({ upload_id: 4, received: 8 })
+      .mockResolvedValueOnce({ message_id: 60, message: { id: 60, message_type: 'voice' } });
+
+    await makeStore(initial).dispatch(chat.flushQueuedMessages('77'));
+
+    expect(post).toHaveBeenCalledWith('https://api.example.com/chat/77/voice', expect.objectContaining({ upload_id: 4 }));
+    expect(mockedAppendMessage).not.toHaveBeenCalled();
+    expect(mockedClearQueuedMessages).toHaveBeenCalledWith('77');
+  });
+});
@@ -16,6 +16,7 @@ jest.mock('../../../../src/utils/api', () => ({
   get: jest.fn(),
   post: jest.fn(),
   del: jest.fn(),
+  getErrorMeta: (error) => ({ status: error?.status ?? null, code: error?.code ?? null }),
 }));
 
 // Static mocks that are fine to keep at top-level
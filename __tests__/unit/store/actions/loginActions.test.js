@@ -15,6 +15,10 @@
  *
  * 4. logout
  *    - Returns true.
+ *    - Revokes the stored refresh token, wipes the session and the session key.
+ *
+ * 6. Session persistence
+ *    - verifyOtp stores the issued token pair; restoreSession reads it back.
  *
  * 5. updateUserLocation (success & failure)
  *    - Success: PATCH correct endpoint with coords, returns data.
@@ -32,16 +36,33 @@ jest.mock('@react-native-async-storage/async-storage', () =>
 jest.mock('../../../../src/utils/api', () => ({
   post: jest.fn(),
   patch: jest.fn(),
+  getErrorMeta: (error) => ({ status: error?.status ?? null, code: error?.code ?? null }),
 }));
 jest.mock('../../../../src/utils/apiPaths', () => ({
   API_URL_USERS: 'https://api.example.com/users',
 }));
 
+jest.mock('../../../../src/utils/socket', () => ({
+  disconnectSocket: jest.fn(),
+}));
+jest.mock('../../../../src/utils/keyExchange', () => ({
+  resetSessionKey: jest.fn(),
+}));
+
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { post, patch } from '../../../../src/utils/api';
+import { disconnectSocket } from '../../../../src/utils/socket';
+import { resetSessionKey } from '../../../../src/utils/keyExchange';
+import {
+  saveSession,
+  clearSession,
+  getAccessToken,
+  getRefreshToken,
+} from '../../../../src/utils/session';
 import {
   requestOtp,
   verifyOtp,
+  restoreSession,
   logout,
   updateUserLocation,
 } from '../../../../src/store/actions/loginActions';
@@ -54,8 +75,9 @@ const makeStore = (preloadedState) =>
     preloadedState,
   });
 
-beforeEach(() => {
+beforeEach(async () => {
   jest.clearAllMocks();
+  await clearSession();
 });
 
 // 1) requestOtp success
@@ -147,3 +169,66 @@ it('updateUserLocation rejects with error.message on failure', async () => {
   expect(action.type).toMatch(/auth\/updateUserLocation\/rejected$/);
   expect(action.payload).toBe('GPS error');
 });
+
+// 6) Session persistence
+it('verifyOtp persists the issued token pair and user', async () => {
+  post.mockResolvedValueOnce({
+    user: { id: 'u-1' },
+    access_token: 'access-1',
+    refresh_token: 'refresh-1',
+    expires_in: 900,
+  });
+  const store = makeStore({});
+
+  await store.dispatch(verifyOtp({ user_id: 'u-1', otp_code: '1234' }));
+
+  expect(getAccessToken()).toBe('access-1');
+  expect(getRefreshToken()).toBe('refresh-1');
+});
+
+it('restoreSession returns the stored user, or null without a session', async () => {
+  const store = makeStore({});
+
+  let action = await store.dispatch(restoreSession());
+  expect(action.payload).toEqual({ user: null });
+
+  await saveSession({
+    accessToken: 'a',
+    refreshToken: 'r',
+    user: { id: 'u-7' },
+  });
+  action = await store.dispatch(restoreSession());
+  expect(action.type).toMatch(/auth\/restoreSession\/fulfilled$/);
+  expect(action.payload).toEqual({ user: { id: 'u-7' } });
+});
+
+it('logout revokes the refresh token, clears the session and disconnects', async () => {
+  await saveSession({ accessToken: 'a', refreshToken: 'r-1', user: { id: 1 } });
+  post.mockResolvedValueOnce({});
+  const store = makeStore({});
+
+  const action = await store.dispatch(logout());
+
+  expect(post).toHaveBeenCalledWith(
+    'https://api.example.com/users/logout',
+    { refresh_token: 'r-1' },
+    {},
+    { skipAuthRefresh: true }
+  );
+  expect(getAccessToken()).toBeNull();
+  expect(getRefreshToken()).toBeNull();
+  expect(resetSessionKey).toHaveBeenCalled();
+  expect(disconnectSocket).toHaveBeenCalled();
+  expect(action.payload).toBe(true);
+});
+
+it('logout still clears the session when revocation fails', async () => {
+  await saveSession({ accessToken: 'a', refreshToken: 'r-2' });
+  post.mockRejectedValueOnce(new Error('offline'));
+  const store = makeStore({});
+
+  const action = await store.dispatch(logout());
+
+  expect(getRefreshToken()).toBeNull();
+  expect(action.type).toMatch(/auth\/logout\/fulfilled$/);
+});
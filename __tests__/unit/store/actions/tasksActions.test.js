@@ -17,6 +17,9 @@
  *
  * 5) uncompleteTask (success)
  *    - Posts `{ user_id, task_id }` to /uncomplete and returns `{ taskId, ...response }`.
+ *
+ * 6) fetchTasks (abort)
+ *    - Aborting the dispatched promise aborts the signal forwarded to `get`.
  */
 
 import { configureStore } from '@reduxjs/toolkit';
@@ -25,6 +28,7 @@ import { configureStore } from '@reduxjs/toolkit';
 jest.mock('../../../../src/utils/api', () => ({
   get: jest.fn(),
   post: jest.fn(),
+  getErrorMeta: (error) => ({ status: error?.status ?? null, code: error?.code ?? null }),
 }));
 jest.mock('../../../../src/utils/apiPaths', () => ({
   API_URL_TASKS: 'https://api.example.com/tasks',
@@ -58,7 +62,12 @@ it('fetchTasks returns response.tasks', async () => {
   const store = makeStore({});
   const action = await store.dispatch(fetchTasks('u-1'));
 
-  expect(get).toHaveBeenCalledWith('https://api.example.com/tasks/u-1');
+  expect(get).toHaveBeenCalledWith(
+    'https://api.example.com/tasks/u-1',
+    {},
+    {},
+    { signal: expect.any(AbortSignal) }
+  );
   expect(action.type).toMatch(/tasks\/fetchTasks\/fulfilled$/);
   expect(action.payload).toEqual(data.tasks);
 });
@@ -82,7 +91,12 @@ it('fetchTaskProgress returns completedTasks array', async () => {
   const store = makeStore({});
   const action = await store.dispatch(fetchTaskProgress('u-3'));
 
-  expect(get).toHaveBeenCalledWith('https://api.example.com/tasks/progress/u-3');
+  expect(get).toHaveBeenCalledWith(
+    'https://api.example.com/tasks/progress/u-3',
+    {},
+    {},
+    { signal: expect.any(AbortSignal) }
+  );
   expect(action.type).toMatch(/tasks\/fetchTaskProgress\/fulfilled$/);
   expect(action.payload).toEqual([10, 11, 12]);
 });
@@ -116,3 +130,20 @@ it('uncompleteTask posts payload and returns { taskId, ...response }', async ()
   expect(action.type).toMatch(/tasks\/uncompleteTask\/fulfilled$/);
   expect(action.payload).toEqual({ taskId: 77, success: true });
 });
+
+// 6) fetchTasks (abort)
+it('fetchTasks forwards an abortable signal to get', async () => {
+  let receivedSignal;
+  get.mockImplementationOnce((_url, _params, _headers, { signal }) => {
+    receivedSignal = signal;
+    return new Promise(() => {});
+  });
+
+  const store = makeStore({});
+  const promise = store.dispatch(fetchTasks('u-9'));
+  promise.abort();
+  const action = await promise;
+
+  expect(receivedSignal.aborted).toBe(true);
+  expect(action.type).toMatch(/tasks\/fetchTasks\/rejected$/);
+});
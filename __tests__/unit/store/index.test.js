@@ -70,6 +70,19 @@ jest.mock('../../../src/store/reducers/dashboardReducer', () =>
 jest.mock('../../../src/store/reducers/leaderboardReducer', () =>
   makeReducer('leaderboard', 'LEADERBOARD_PING')
 );
+jest.mock('../../../src/store/reducers/outboxReducer', () => ({
+  __esModule: true,
+  default: (state = { queue: [], conflicts: [], hydrated: false }) => state,
+  outboxHydrated: (payload) => ({ type: 'outbox/outboxHydrated', payload }),
+  mutationQueued: (payload) => ({ type: 'outbox/mutationQueued', payload }),
+  mutationSynced: (payload) => ({ type: 'outbox/mutationSynced', payload }),
+  mutationRetried: (payload) => ({ type: 'outbox/mutationRetried', payload }),
+  mutationConflicted: (payload) => ({ type: 'outbox/mutationConflicted', payload }),
+  setOutboxSyncing: (payload) => ({ type: 'outbox/setOutboxSyncing', payload }),
+  requestOutboxSync: Object.assign(() => ({ type: 'outbox/requestOutboxSync' }), {
+    type: 'outbox/requestOutboxSync',
+  }),
+}));
 
 // ===== Helper to obtain a fresh store instance each test =====
 const getFreshStore = () => {
@@ -110,6 +123,11 @@ describe('Redux Store (src/store/index.js)', () => {
         'emergency',
         'gamification',
 
+        // Sync
+        'outbox',
+        'persist',
+        'connection',
+
         // Games
         'quizzes',
         'tasks',
@@ -137,6 +155,25 @@ describe('Redux Store (src/store/index.js)', () => {
     expect(state.badges).toEqual({ marker: 'badges', v: 0 });
     expect(state.dashboard).toEqual({ marker: 'dashboard', v: 0 });
     expect(state.leaderboard).toEqual({ marker: 'leaderboard', v: 0 });
+
+    expect(state.connection.status).toBe('idle');
+  });
+
+  it('mirrors socket status updates into the connection slice', () => {
+    let handler;
+    jest.isolateModules(() => {
+      const socket = require('../../../src/utils/socket');
+      const spy = jest.spyOn(socket, 'setConnectionStatusHandler');
+      store = require('../../../src/store/index').default;
+      handler = spy.mock.calls[0][0];
+    });
+
+    handler({ status: 'connected', socketId: 'sock-1', at: '2025-01-01T00:00:00.000Z' });
+
+    expect(store.getState().connection).toMatchObject({
+      status: 'connected',
+      socketId: 'sock-1',
+    });
   });
 
   it('routes dispatch only to the intended slice (auth)', () => {
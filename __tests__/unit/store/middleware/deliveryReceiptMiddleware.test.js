@@ -0,0 +1,140 @@
+/**
+ * deliveryReceiptMiddleware.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Socket
+ *    - 'chat:new_message' from another member is acknowledged with 'chat:delivered' without any
+ *      screen open; the user's own messages are not.
+ *
+ * 2. Fetches
+ *    - fetchMessages.fulfilled acknowledges the newest message from another member, unless the
+ *      user's receipt on it is already delivered.
+ *    - fetchActiveChats.fulfilled acknowledges each chat's last_message_id, except the user's own.
+ *
+ * 3. Deduplication
+ *    - A message already acknowledged is not sent again; one dropped while disconnected is
+ *      sent on the next fetch; logout.fulfilled forgets what was acknowledged.
+ *    - Nothing is sent while no user is signed in.
+ */
+
+import { combineReducers, configureStore } from '@reduxjs/toolkit';
+
+jest.mock('../../../../src/store/actions/loginActions', () => ({
+  logout: { fulfilled: { type: 'auth/logout/fulfilled' } },
+}));
+jest.mock('../../../../src/store/actions/chatActions', () => ({
+  fetchMessages: { fulfilled: { type: 'chat/fetchMessages/fulfilled' } },
+  fetchActiveChats: { fulfilled: { type: 'chat/fetchActiveChats/fulfilled' } },
+}));
+jest.mock('../../../../src/utils/socket', () => ({
+  onEvent: jest.fn(),
+  emitEvent: jest.fn(),
+}));
+
+import { createDeliveryReceiptMiddleware } from '../../../../src/store/middleware/deliveryReceiptMiddleware';
+
+const auth = (state = { user: { id: 101 } }, action) =>
+  action.type === 'auth/signOut' ? { user: null } : state;
+
+const setup = ({ connected = true } = {}) => {
+  const handlers = {};
+  const subscribe = jest.fn((event, handler) => {
+    handlers[event] = handler;
+    return () => {};
+  });
+  const emit = jest.fn(() => connected);
+  const store = configureStore({
+    reducer: combineReducers({ auth }),
+    middleware: (gdm) => gdm().concat(createDeliveryReceiptMiddleware({ subscribe, emit })),
+  });
+  return { store, emit, handlers, setConnected: (value) => emit.mockImplementation(() => value) };
+};
+
+const message = (id, senderId, receipts = []) => ({ id, chat_id: 7, sender: { id: senderId }, receipts });
+const fetched = (messages) => ({ type: 'chat/fetchMessages/fulfilled', payload: { chatId: 7, messages } });
+const chats = (list) => ({ type: 'chat/fetchActiveChats/fulfilled', payload: list });
+
+describe('deliveryReceiptMiddleware', () => {
+  it('acknowledges new messages from other members as they arrive', () => {
+    const { emit, handlers } = setup();
+
+    handlers['chat:new_message'](message(1, 101));
+    expect(emit).not.toHaveBeenCalled();
+
+    handlers['chat:new_message']({ ...message(2, 202), parent_message_id: 1 });
+    expect(emit).toHaveBeenCalledWith('chat:delivered', { chatId: 7, messageId: 2, userId: 101 });
+  });
+
+  it('acknowledges the newest fetched message from another member', () => {
+    const { store, emit } = setup();
+
+    store.dispatch(fetched([message(1, 202), message(2, 303), message(3, 101)]));
+
+    expect(emit).toHaveBeenCalledTimes(1);
+    expect(emit).toHaveBeenCalledWith('chat:delivered', { chatId: 7, messageId: 2, userId: 101 });
+  });
+
+  it('skips fetched messages the device already acknowledged', () => {
+    const { store, emit } = setup();
+    const delivered = [{ user: { id: 101 }, delivered_at: '2025-04-10T09:00:00.000Z', read_at: null }];
+
+    store.dispatch(fetched([message(1, 202), message(2, 202, delivered)]));
+    store.dispatch(fetched([message(3, 101)]));
+
+    expect(emit).not.toHaveBeenCalled();
+  });
+
+  it("acknowledges each chat's last message from the chat list", () => {
+    const { store, emit } = setup();
+
+    store.dispatch(
+      chats([
+        { chat_id: 7, last_message_id: 40, last_message_sender_id: 202 },
+        { chat_id: 8, last_message_id: null, last_message_sender_id: null },
+        { chat_id: 9, last_message_id: 12, last_message_sender_id: 303 },
+        { chat_id: 10, last_message_id: 55, last_message_sender_id: 101 },
+        { chat_id: 11, last_message_id: 56, last_message_sender_id: '101' },
+      ])
+    );
+
+    // 10 and 11 end with the user's own message
+    expect(emit.mock.calls).toEqual([
+      ['chat:delivered', { chatId: 7, messageId: 40, userId: 101 }],
+      ['chat:delivered', { chatId: 9, messageId: 12, userId: 101 }],
+    ]);
+  });
+
+  it('sends each acknowledgement once until logout', () => {
+    const { store, emit, handlers } = setup();
+
+    handlers['chat:new_message'](message(40, 202));
+    store.dispatch(chats([{ chat_id: 7, last_message_id: 40 }]));
+    store.dispatch(fetched([message(40, 202)]));
+    expect(emit).toHaveBeenCalledTimes(1);
+
+    store.dispatch({ type: 'auth/logout/fulfilled' });
+    store.dispatch(chats([{ chat_id: 7, last_message_id: 40 }]));
+    expect(emit).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries an acknowledgement dropped while disconnected', () => {
+    const { store, emit, setConnected } = setup({ connected: false });
+
+    store.dispatch(chats([{ chat_id: 7, last_message_id: 40 }]));
+    setConnected(true);
+    store.dispatch(chats([{ chat_id: 7, last_message_id: 40 }]));
+
+    expect(emit).toHaveBeenCalledTimes(2);
+  });
+
+  it('sends nothing while signed out', () => {
+    const { store, emit, handlers } = setup();
+    store.dispatch({ type: 'auth/signOut' });
+
+    handlers['chat:new_message'](message(1, 202));
+    store.dispatch(chats([{ chat_id: 7, last_message_id: 40 }]));
+
+    expect(emit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * messageCacheMiddleware.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Writes
+ *    - Changed chats are written together after the throttle; unchanged chats are not rewritten.
+ *    - Other slices never trigger a write.
+ *    - Chats removed from the state have their entry deleted.
+ *
+ * 2. App state
+ *    - A pending write is flushed when the app goes to the background.
+ *
+ * 3. Logout
+ *    - logout.fulfilled drops the pending write and clears every cached chat.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { combineReducers, configureStore } from '@reduxjs/toolkit';
+
+jest.mock('../../../../src/store/actions/loginActions', () => ({
+  logout: { fulfilled: { type: 'auth/logout/fulfilled' } },
+}));
+
+import { createMessageCacheMiddleware } from '../../../../src/store/middleware/messageCacheMiddleware';
+import { MESSAGE_CACHE_PREFIX, readCachedMessages } from '../../../../src/utils/messageCache';
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const chat = (state = { messagesByChatId: {} }, action) => {
+  switch (action.type) {
+    case 'chat/add': {
+      const { chatId, message } = action.payload;
+      const list = state.messagesByChatId[chatId] || [];
+      return { ...state, messagesByChatId: { ...state.messagesByChatId, [chatId]: [...list, message] } };
+    }
+    case 'chat/remove': {
+      const { [action.payload]: _removed, ...rest } = state.messagesByChatId;
+      return { ...state, messagesByChatId: rest };
+    }
+    default:
+      return state;
+  }
+};
+const other = (state = { n: 0 }, action) => (action.type === 'other/inc' ? { n: state.n + 1 } : state);
+
+const createAppState = () => {
+  let listener = null;
+  return {
+    addEventListener: jest.fn((event, fn) => {
+      listener = fn;
+      return { remove: jest.fn() };
+    }),
+    emit: (status) => listener(status),
+  };
+};
+
+const makeStore = (appState = createAppState()) =>
+  configureStore({
+    reducer: combineReducers({ chat, other }),
+    middleware: (gdm) =>
+      gdm({ serializableCheck: false }).concat(
+        createMessageCacheMiddleware({ storage: AsyncStorage, appState, throttleMs: 500 })
+      ),
+  });
+
+const add = (chatId, id) => ({ type: 'chat/add', payload: { chatId, message: { id } } });
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('messageCacheMiddleware', () => {
+  it('throttles writes of changed chats', async () => {
+    const store = makeStore();
+    const setItem = jest.spyOn(AsyncStorage, 'setItem');
+    setItem.mockClear();
+
+    store.dispatch({ type: 'other/inc' });
+    jest.advanceTimersByTime(500);
+    expect(setItem).not.toHaveBeenCalled();
+
+    store.dispatch(add(1, 1));
+    store.dispatch(add(1, 2));
+    store.dispatch(add(2, 3));
+    expect(setItem).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    await flush();
+    expect(setItem).toHaveBeenCalledTimes(2);
+    expect(await readCachedMessages(1)).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(await readCachedMessages(2)).toEqual([{ id: 3 }]);
+
+    setItem.mockClear();
+    store.dispatch(add(2, 4));
+    jest.advanceTimersByTime(500);
+    await flush();
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(setItem).toHaveBeenCalledWith(`${MESSAGE_CACHE_PREFIX}2`, expect.any(String));
+  });
+
+  it('deletes the entry of a removed chat', async () => {
+    const store = makeStore();
+    store.dispatch(add(1, 1));
+    jest.advanceTimersByTime(500);
+    await flush();
+
+    store.dispatch({ type: 'chat/remove', payload: '1' });
+    jest.advanceTimersByTime(500);
+    await flush();
+
+    expect(await AsyncStorage.getItem(`${MESSAGE_CACHE_PREFIX}1`)).toBeNull();
+  });
+
+  it('flushes a pending write when the app goes to the background', async () => {
+    const appState = createAppState();
+    const store = makeStore(appState);
+
+    store.dispatch(add(1, 1));
+    appState.emit('background');
+    await flush();
+
+    expect(await readCachedMessages(1)).toEqual([{ id: 1 }]);
+  });
+
+  it('drops pending writes and clears the cache on logout', async () => {
+    const store = makeStore();
+    store.dispatch(add(1, 1));
+    jest.advanceTimersByTime(500);
+    await flush();
+
+    store.dispatch(add(2, 2));
+    store.dispatch({ type: 'auth/logout/fulfilled' });
+    await flush();
+    jest.advanceTimersByTime(500);
+    await flush();
+
+    expect(await readCachedMessages(1)).toEqual([]);
+    expect(await readCachedMessages(2)).toEqual([]);
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * outboxMiddleware.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Capture
+ *    - A registered thunk rejected with code NETWORK is queued and persisted to AsyncStorage.
+ *    - With `optimistic`, reducers receive a synthetic fulfilled action instead of the rejection.
+ *    - Server errors while online are not queued; any failure while offline is.
+ *    - `coalesce` keeps only the latest entry of a type.
+ *
+ * 2. Hydration
+ *    - A queue persisted by a previous run is restored and replayed on start-up.
+ *
+ * 3. Replay
+ *    - Going back online replays entries in order and empties the queue.
+ *    - A transient failure stops the replay and keeps the order.
+ *    - A 409 moves the entry to `conflicts` and dispatches its `resync` action.
+ *    - A session key handshake that cannot reach the server (cold start offline) is captured
+ *      while NetInfo still reports online, and retried on replay rather than conflicted.
+ *    - A chat preference change (the real `updateChatPreferences` thunk) that times out while
+ *      online is queued, kept through a replay that times out again, and sent on the next one.
+ *    - `requestOutboxSync()` triggers a replay.
+ *    - With a `persist` slice, replays wait for `stateRehydrated`.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { configureStore, createAsyncThunk, createSlice } from '@reduxjs/toolkit';
+
+// The real registry pulls in every action module; these tests use their own registry.
+jest.mock('../../../../src/store/middleware/outboxRegistry', () => ({
+  outboxRegistry: {},
+}));
+
+import {
+  createOutboxMiddleware,
+  OUTBOX_STORAGE_KEY,
+} from '../../../../src/store/middleware/outboxMiddleware';
+import outboxReducer, {
+  requestOutboxSync,
+} from '../../../../src/store/reducers/outboxReducer';
+import persistReducer, {
+  stateRehydrated,
+} from '../../../../src/store/reducers/persistReducer';
+import * as api from '../../../../src/utils/api';
+import { post, getErrorMeta, ApiError } from '../../../../src/utils/api';
+import { updateChatPreferences } from '../../../../src/store/actions/chatActions';
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Server double: each call consumes the next scripted outcome (default: success)
+let outcomes = [];
+const calls = [];
+const networkError = { message: 'Network request failed', meta: { code: 'NETWORK', status: null } };
+const httpError = (status) => ({ message: `HTTP ${status}`, meta: { code: 'HTTP_ERROR', status } });
+
+const makeThunk = (type) =>
+  createAsyncThunk(type, async (arg, { rejectWithValue }) => {
+    calls.push({ type, arg });
+    const outcome = outcomes.shift();
+    if (outcome) return rejectWithValue(outcome.message, outcome.meta);
+    return arg;
+  });
+
+const addItem = makeThunk('items/add');
+const setLocation = makeThunk('items/setLocation');
+const resyncItems = () => ({ type: 'items/resync' });
+
+// Goes through the real encrypted pipeline, so the session key handshake runs first
+const saveItem = createAsyncThunk('items/save', async (arg, { rejectWithValue }) => {
+  try {
+    return await post('/items', { arg });
+  } catch (error) {
+    return rejectWithValue(error.message, getErrorMeta(error));
+  }
+});
+
+const itemsSlice = createSlice({
+  name: 'items',
+  initialState: { list: [], error: null, resyncs: 0 },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(addItem.fulfilled, (state, action) => {
+        state.list = [action.payload, ...state.list.filter((i) => i !== action.payload)];
+      })
+      .addCase(addItem.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase('items/resync', (state) => {
+        state.resyncs += 1;
+      });
+  },
+});
+
+const registry = {
+  [addItem.typePrefix]: { thunk: addItem, optimistic: (arg) => arg, resync: resyncItems },
+  [setLocation.typePrefix]: { thunk: setLocation, coalesce: true },
+  [saveItem.typePrefix]: { thunk: saveItem, resync: resyncItems },
+  [updateChatPreferences.typePrefix]: { thunk: updateChatPreferences, resync: resyncItems },
+};
+
+const createNetInfo = (initial = true) => {
+  let listener = null;
+  return {
+    addEventListener: (fn) => {
+      listener = fn;
+      fn({ isConnected: initial, isInternetReachable: initial });
+      return () => {};
+    },
+    emit: (isConnected) => listener({ isConnected, isInternetReachable: isConnected }),
+  };
+};
+
+const makeStore = (netInfo, extraReducers = {}) =>
+  configureStore({
+    reducer: { items: itemsSlice.reducer, outbox: outboxReducer, ...extraReducers },
+    middleware: (gdm) =>
+      gdm({ serializableCheck: false }).concat(
+        createOutboxMiddleware({ registry, storage: AsyncStorage, netInfo })
+      ),
+  });
+
+const stored = async () => JSON.parse((await AsyncStorage.getItem(OUTBOX_STORAGE_KEY)) || '[]');
+
+beforeEach(async () => {
+  outcomes = [];
+  calls.length = 0;
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('outboxMiddleware', () => {
+  it('queues a mutation that failed with a network error and applies it optimistically', async () => {
+    const netInfo = createNetInfo(true);
+    const store = makeStore(netInfo);
+    await flush();
+
+    outcomes = [networkError];
+    const result = await store.dispatch(addItem('a'));
+    await flush();
+
+    expect(result.type).toBe('items/add/rejected');
+    const state = store.getState();
+    expect(state.items.list).toEqual(['a']);
+    expect(state.items.error).toBeNull();
+    expect(state.outbox.queue).toHaveLength(1);
+    expect(state.outbox.queue[0]).toMatchObject({ type: 'items/add', arg: 'a', attempts: 0 });
+    expect(await stored()).toHaveLength(1);
+  });
+
+  it('does not queue server errors while online', async () => {
+    const store = makeStore(createNetInfo(true));
+    await flush();
+
+    outcomes = [httpError(400)];
+    await store.dispatch(addItem('a'));
+
+    expect(store.getState().outbox.queue).toHaveLength(0);
+    expect(store.getState().items.error).toBe('HTTP 400');
+  });
+
+  it('queues any failure while NetInfo reports offline', async () => {
+    const store = makeStore(createNetInfo(false));
+    await flush();
+
+    outcomes = [httpError(503)];
+    await store.dispatch(addItem('a'));
+
+    expect(store.getState().outbox.queue).toHaveLength(1);
+  });
+
+  it('coalesces entries marked as such', async () => {
+    const store = makeStore(createNetInfo(false));
+    await flush();
+
+    outcomes = [networkError, networkError];
+    await store.dispatch(setLocation({ lat: 1 }));
+    await store.dispatch(setLocation({ lat: 2 }));
+
+    const { queue } = store.getState().outbox;
+    expect(queue).toHaveLength(1);
+    expect(queue[0].arg).toEqual({ lat: 2 });
+  });
+
+  it('hydrates a persisted queue and replays it on start-up', async () => {
+    await AsyncStorage.setItem(
+      OUTBOX_STORAGE_KEY,
+      JSON.stringify([{ id: 'old-1', type: 'items/add', arg: 'persisted', attempts: 0 }])
+    );
+
+    const store = makeStore(createNetInfo(true));
+    store.dispatch({ type: 'app/boot' });
+    await flush();
+    await flush();
+
+    expect(calls).toEqual([{ type: 'items/add', arg: 'persisted' }]);
+    expect(store.getState().outbox.queue).toHaveLength(0);
+    expect(store.getState().items.list).toEqual(['persisted']);
+    expect(await stored()).toEqual([]);
+  });
+
+  it('replays in order when connectivity returns', async () => {
+    const netInfo = createNetInfo(false);
+    const store = makeStore(netInfo);
+    await flush();
+
+    outcomes = [networkError, networkError];
+    await store.dispatch(addItem('first'));
+    await store.dispatch(addItem('second'));
+    calls.length = 0;
+
+    netInfo.emit(true);
+    await flush();
+    await flush();
+
+    expect(calls.map((c) => c.arg)).toEqual(['first', 'second']);
+    expect(store.getState().outbox.queue).toHaveLength(0);
+    expect(store.getState().outbox.isSyncing).toBe(false);
+    // Replayed adds do not duplicate the optimistic entries
+    expect(store.getState().items.list).toEqual(['second', 'first']);
+  });
+
+  it('stops on a transient failure and keeps the remaining order', async () => {
+    const netInfo = createNetInfo(false);
+    const store = makeStore(netInfo);
+    await flush();
+
+    outcomes = [networkError, networkError];
+    await store.dispatch(addItem('first'));
+    await store.dispatch(addItem('second'));
+    calls.length = 0;
+
+    outcomes = [httpError(503)];
+    netInfo.emit(true);
+    await flush();
+    await flush();
+
+    expect(calls.map((c) => c.arg)).toEqual(['first']);
+    const { queue } = store.getState().outbox;
+    expect(queue.map((e) => e.arg)).toEqual(['first', 'second']);
+    expect(queue[0].attempts).toBe(1);
+  });
+
+  it('records a conflict and resyncs when the server rejects a replay', async () => {
+    const netInfo = createNetInfo(false);
+    const store = makeStore(netInfo);
+    await flush();
+
+    outcomes = [networkError];
+    await store.dispatch(addItem('stale'));
+
+    outcomes = [httpError(409)];
+    netInfo.emit(true);
+    await flush();
+    await flush();
+
+    const { queue, conflicts } = store.getState().outbox;
+    expect(queue).toHaveLength(0);
+    expect(conflicts).toEqual([
+      expect.objectContaining({ type: 'items/add', arg: 'stale', status: 409, message: 'HTTP 409' }),
+    ]);
+    expect(store.getState().items.resyncs).toBe(1);
+  });
+
+  it('treats a handshake that cannot reach the server as offline when capturing and replaying', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Network request failed'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const store = makeStore(createNetInfo(true));
+    await flush();
+
+    const result = await store.dispatch(saveItem('draft'));
+    await flush();
+
+    expect(result.meta).toMatchObject({ code: 'NETWORK' });
+    expect(store.getState().outbox.queue).toEqual([expect.objectContaining({ type: 'items/save', arg: 'draft' })]);
+
+    store.dispatch(requestOutboxSync());
+    for (let i = 0; i < 5; i += 1) await flush();
+
+    const { queue, conflicts } = store.getState().outbox;
+    expect(queue).toEqual([expect.objectContaining({ type: 'items/save', attempts: 1 })]);
+    expect(conflicts).toEqual([]);
+    expect(store.getState().items.resyncs).toBe(0);
+
+    console.log.mockRestore();
+    global.fetch = originalFetch;
+  });
+
+  it('queues a chat preference change that timed out and replays it after another timeout', async () => {
+    const timeout = () => new ApiError('Request timed out', { code: 'TIMEOUT' });
+    const patch = jest.spyOn(api, 'patch').mockRejectedValueOnce(timeout());
+    const store = makeStore(createNetInfo(true), { auth: () => ({ user: { id: 'me' } }) });
+    await flush();
+
+    const result = await store.dispatch(updateChatPreferences({ chatId: 77, archived: true }));
+    await flush();
+
+    expect(result.meta).toMatchObject({ code: 'TIMEOUT' });
+    expect(store.getState().outbox.queue).toEqual([
+      expect.objectContaining({ type: 'chat/updateChatPreferences', arg: { chatId: 77, archived: true } }),
+    ]);
+
+    patch.mockRejectedValueOnce(timeout());
+    store.dispatch(requestOutboxSync());
+    for (let i = 0; i < 5; i += 1) await flush();
+
+    expect(store.getState().outbox.queue).toEqual([expect.objectContaining({ attempts: 1 })]);
+    expect(store.getState().outbox.conflicts).toEqual([]);
+
+    patch.mockResolvedValueOnce({ preferences: { archived: true } });
+    store.dispatch(requestOutboxSync());
+    for (let i = 0; i < 5; i += 1) await flush();
+
+    expect(patch).toHaveBeenLastCalledWith(expect.stringMatching(/\/chat\/77\/preferences$/), {
+      user_id: 'me',
+      archived: true,
+    });
+    expect(store.getState().outbox.queue).toEqual([]);
+    expect(store.getState().items.resyncs).toBe(0);
+    patch.mockRestore();
+  });
+
+  it('requestOutboxSync replays the queue on demand', async () => {
+    const store = makeStore(createNetInfo(true));
+    store.dispatch({ type: 'app/boot' });
+    await flush();
+
+    outcomes = [networkError];
+    await store.dispatch(addItem('later'));
+    await flush();
+    // Still online, so nothing replays the entry until asked to
+    expect(store.getState().outbox.queue).toHaveLength(1);
+
+    calls.length = 0;
+    store.dispatch(requestOutboxSync());
+    await flush();
+    await flush();
+
+    expect(calls).toEqual([{ type: 'items/add', arg: 'later' }]);
+    expect(store.getState().outbox.queue).toHaveLength(0);
+  });
+
+  it('waits for the persisted state to be restored before replaying', async () => {
+    await AsyncStorage.setItem(
+      OUTBOX_STORAGE_KEY,
+      JSON.stringify([{ id: 'old-1', type: 'items/add', arg: 'persisted', attempts: 0 }])
+    );
+
+    const store = makeStore(createNetInfo(true), { persist: persistReducer });
+    store.dispatch({ type: 'app/boot' });
+    await flush();
+    await flush();
+
+    expect(calls).toEqual([]);
+    expect(store.getState().outbox.queue).toHaveLength(1);
+
+    store.dispatch(stateRehydrated({ state: null, version: null }));
+    await flush();
+    await flush();
+
+    expect(calls).toEqual([{ type: 'items/add', arg: 'persisted' }]);
+    expect(store.getState().outbox.queue).toHaveLength(0);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * persistMiddleware.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Helpers
+ *    - pickPersistedState keeps only allowlisted (nested) paths.
+ *    - mergePersistedState writes allowlisted paths and ignores unknown ones.
+ *    - migratePersistedState runs migrations in order and rejects unusable snapshots.
+ *
+ * 2. Rehydration
+ *    - A stored snapshot is merged into the store and `persist.rehydrated` flips to true.
+ *    - Missing, corrupt or newer snapshots still open the gate with initial state.
+ *    - Older snapshots are migrated and written back at the current version.
+ *
+ * 3. Writes
+ *    - Changes to allowlisted slices are throttled into one write; other slices never write.
+ *    - A pending write is flushed when the app goes to the background.
+ *
+ * 4. Logout
+ *    - logout.fulfilled removes the snapshot and resets the persisted slices.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { combineReducers, configureStore } from '@reduxjs/toolkit';
+
+jest.mock('../../../../src/store/actions/loginActions', () => ({
+  logout: { fulfilled: { type: 'auth/logout/fulfilled' } },
+}));
+
+import {
+  createPersistMiddleware,
+  withRehydration,
+  pickPersistedState,
+  mergePersistedState,
+  migratePersistedState,
+} from '../../../../src/store/middleware/persistMiddleware';
+import persistReducer from '../../../../src/store/reducers/persistReducer';
+
+const KEY = 'test.state';
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const allowlist = {
+  counter: ['count'],
+  alerts: ['alerts.data'],
+};
+
+const counter = (state = { count: 0, loading: false }, action) => {
+  switch (action.type) {
+    case 'counter/inc':
+      return { ...state, count: state.count + 1 };
+    case 'counter/loading':
+      return { ...state, loading: true };
+    default:
+      return state;
+  }
+};
+const alerts = (state = { alerts: { data: [], loading: false } }) => state;
+const other = (state = { n: 0 }, action) =>
+  action.type === 'other/inc' ? { n: state.n + 1 } : state;
+
+const createAppState = () => {
+  let listener = null;
+  return {
+    addEventListener: jest.fn((event, fn) => {
+      listener = fn;
+      return { remove: jest.fn() };
+    }),
+    emit: (status) => listener(status),
+  };
+};
+
+const makeStore = ({ migrations = {}, version = 1, appState = createAppState() } = {}) =>
+  configureStore({
+    reducer: withRehydration(
+      combineReducers({ counter, alerts, other, persist: persistReducer }),
+      allowlist
+    ),
+    middleware: (gdm) =>
+      gdm({ serializableCheck: false }).concat(
+        createPersistMiddleware({
+          storage: AsyncStorage,
+          appState,
+          storageKey: KEY,
+          version,
+          allowlist,
+          migrations,
+          throttleMs: 500,
+        })
+      ),
+  });
+
+const boot = async (store) => {
+  store.dispatch({ type: 'app/boot' });
+  await flush();
+};
+
+const stored = async () => JSON.parse(await AsyncStorage.getItem(KEY));
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  console.warn.mockRestore();
+});
+
+describe('persistence helpers', () => {
+  it('pickPersistedState keeps only allowlisted paths', () => {
+    const state = {
+      counter: { count: 3, loading: true },
+      alerts: { alerts: { data: [1], loading: true }, pendingActions: {} },
+      other: { n: 1 },
+    };
+
+    expect(pickPersistedState(state, allowlist)).toEqual({
+      counter: { count: 3 },
+      alerts: { alerts: { data: [1] } },
+    });
+  });
+
+  it('mergePersistedState writes allowlisted paths without mutating state', () => {
+    const state = {
+      counter: { count: 0, loading: false },
+      alerts: { alerts: { data: [], loading: false } },
+    };
+    const merged = mergePersistedState(
+      state,
+      { counter: { count: 5, loading: true }, alerts: { alerts: { data: [9] } }, other: { n: 7 } },
+      allowlist
+    );
+
+    expect(merged).toEqual({
+      counter: { count: 5, loading: false },
+      alerts: { alerts: { data: [9], loading: false } },
+    });
+    expect(state.counter.count).toBe(0);
+    expect(mergePersistedState(state, null, allowlist)).toBe(state);
+  });
+
+  it('migratePersistedState runs each step and rejects unusable snapshots', () => {
+    const migrations = {
+      2: (s) => ({ ...s, counter: { count: s.counter.total } }),
+      3: (s) => ({ ...s, counter: { count: s.counter.count * 10 } }),
+    };
+
+    expect(migratePersistedState({ version: 1, state: { counter: { total: 2 } } }, migrations, 3)).toEqual({
+      counter: { count: 20 },
+    });
+    expect(migratePersistedState({ version: 3, state: { a: 1 } }, migrations, 3)).toEqual({ a: 1 });
+
+    expect(migratePersistedState({ version: 4, state: {} }, migrations, 3)).toBeNull();
+    expect(migratePersistedState({ version: 0, state: {} }, migrations, 3)).toBeNull();
+    expect(migratePersistedState({ state: {} }, migrations, 3)).toBeNull();
+    expect(migratePersistedState({ version: 3, state: [] }, migrations, 3)).toBeNull();
+    expect(migratePersistedState(null, migrations, 3)).toBeNull();
+  });
+});
+
+describe('persistMiddleware', () => {
+  it('rehydrates a stored snapshot and opens the gate', async () => {
+    await AsyncStorage.setItem(
+      KEY,
+      JSON.stringify({ version: 1, state: { counter: { count: 4 }, other: { n: 9 } } })
+    );
+    const store = makeStore();
+    expect(store.getState().persist.rehydrated).toBe(false);
+
+    await boot(store);
+
+    const state = store.getState();
+    expect(state.persist).toEqual({ rehydrated: true, version: 1 });
+    expect(state.counter).toEqual({ count: 4, loading: false });
+    expect(state.other).toEqual({ n: 0 });
+  });
+
+  it.each([
+    ['nothing stored', null],
+    ['corrupt JSON', '{not json'],
+    ['a newer version', JSON.stringify({ version: 2, state: { counter: { count: 4 } } })],
+  ])('opens the gate with initial state when %s', async (_, raw) => {
+    if (raw) await AsyncStorage.setItem(KEY, raw);
+    const store = makeStore();
+
+    await boot(store);
+
+    expect(store.getState().persist).toEqual({ rehydrated: true, version: null });
+    expect(store.getState().counter.count).toBe(0);
+  });
+
+  it('migrates an older snapshot and writes it back at the current version', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    await AsyncStorage.setItem(KEY, JSON.stringify({ version: 1, state: { counter: { total: 6 } } }));
+    const store = makeStore({
+      version: 2,
+      migrations: { 2: (s) => ({ counter: { count: s.counter.total } }) },
+    });
+
+    await boot(store);
+    expect(store.getState().counter.count).toBe(6);
+
+    jest.advanceTimersByTime(500);
+    await flush();
+    expect(await stored()).toEqual({ version: 2, state: { counter: { count: 6 }, alerts: { alerts: { data: [] } } } });
+  });
+
+  it('throttles writes of allowlisted slices', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    const store = makeStore();
+    await boot(store);
+    jest.advanceTimersByTime(500);
+    await flush();
+    const setItem = jest.spyOn(AsyncStorage, 'setItem');
+    setItem.mockClear();
+
+    store.dispatch({ type: 'other/inc' });
+    jest.advanceTimersByTime(500);
+    expect(setItem).not.toHaveBeenCalled();
+
+    store.dispatch({ type: 'counter/inc' });
+    store.dispatch({ type: 'counter/inc' });
+    store.dispatch({ type: 'counter/loading' });
+    expect(setItem).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    await flush();
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(await stored()).toEqual({ version: 1, state: { counter: { count: 2 }, alerts: { alerts: { data: [] } } } });
+  });
+
+  it('flushes a pending write when the app goes to the background', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    const appState = createAppState();
+    const store = makeStore({ appState });
+    await boot(store);
+    jest.advanceTimersByTime(500);
+    await flush();
+
+    store.dispatch({ type: 'counter/inc' });
+    appState.emit('background');
+    await flush();
+
+    expect((await stored()).state.counter).toEqual({ count: 1 });
+  });
+
+  it('removes the snapshot and resets persisted slices on logout', async () => {
+    await AsyncStorage.setItem(KEY, JSON.stringify({ version: 1, state: { counter: { count: 4 } } }));
+    const store = makeStore();
+    await boot(store);
+    store.dispatch({ type: 'other/inc' });
+
+    store.dispatch({ type: 'auth/logout/fulfilled' });
+    await flush();
+
+    const state = store.getState();
+    expect(state.counter.count).toBe(0);
+    expect(state.other.n).toBe(1);
+    expect(state.persist.rehydrated).toBe(true);
+    expect(await AsyncStorage.getItem(KEY)).toBeNull();
+  });
+});
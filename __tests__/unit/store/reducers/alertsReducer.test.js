@@ -81,6 +81,10 @@ describe('alertsReducer', () => {
     expect(state.alerts.data.map(a => a.id)).toEqual([10, 12, 13]);
     expect(state.alerts.totalCount).toBe(Math.max(beforeDeleteCount - 1, 0));
 
+    // replayed delete (offline outbox) does not decrement the count twice
+    state = reducer(state, { type: 'alerts/deleteAlert/fulfilled', payload: 11 });
+    expect(state.alerts.totalCount).toBe(Math.max(beforeDeleteCount - 1, 0));
+
     // rejected should set error and clear loading
     state = reducer(state, { type: 'alerts/fetchAlertsData/rejected', payload: 'boom' });
     expect(state.alerts.loading).toBe(false);
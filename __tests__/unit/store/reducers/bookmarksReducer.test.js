@@ -10,7 +10,7 @@
  *    - pending sets loading; fulfilled replaces list; rejected sets error; non-array → [].
  *
  * 3) addBookmark order & rejection
- *    - Unshifts items (newest first); rejected sets error only.
+ *    - Unshifts items (newest first); re-adding a url replaces it; rejected sets error only.
  *
  * 4) removeBookmark & clearBookmarksAndPersist
  *    - Removes by url; clear empties list; rejections set error.
@@ -77,6 +77,11 @@ describe('bookmarks reducer', () => {
     expect(state.error).toBe('nope');
     expect(state.loading).toBe(false);
     expect(state.bookmarks.map(b => b.url)).toEqual(['https://2', 'https://1']);
+
+    // replaying an add (offline outbox) replaces the existing entry instead of duplicating it
+    state = reducer(state, { type: addBookmark.fulfilled.type, payload: { url: 'https://1', title: 'One (synced)' } });
+    expect(state.bookmarks.map(b => b.url)).toEqual(['https://1', 'https://2']);
+    expect(state.bookmarks[0].title).toBe('One (synced)');
   });
 
   it('4) removeBookmark by url and clear all; handle rejections', () => {
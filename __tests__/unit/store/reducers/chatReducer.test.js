@@ -1,13 +1,37 @@
 /**
  * chatReducer.test.js
  *
- * What These Tests Cover (4):
+ * What These Tests Cover (17):
  *
  * 1) Initial State, socket update, typing users & markRead basics
  * 2) Queue pending messages → visible in both queues & timeline; clear queued
  * 3) Async flows: suggestions/activeChats loading, start DM / create group (dedupe + draft clear)
  * 4) Messages & chat maintenance: append/send (idempotent), fetchMessages (replace),
  *    deleteChat cleans state, markChatAsReadThunk, draft group ops, removeUserFromGroup, fetchChatById upsert
+ * 5) Polls: createPoll appends once; updatePoll / votePoll / closePoll merge into the poll message
+ * 6) Events: createEvent appends once; updateEvent / rsvpEvent merge into the event message
+ * 7) Threads: fetchThreadReplies loads/paginates per thread; sendThreadReply / appendThreadReply
+ *    append once and set the parent's reply_count; deleteChat drops the chat's threads
+ * 8) Reactions: addReaction / removeReaction / updateReactions replace the message's reactions
+ * 9) Photos: queued and uploading echoes, setImageUploadProgress, sendImageMessage swaps the echo
+ *    for the server message (or drops it if the socket delivered it first), failures mark it failed
+ * 10) Paging: restoreMessages fills empty chats from the cache; fetchMessages keeps older stored
+ *    messages only when the newest page overlaps them and keeps unsent echoes; fetchOlderMessages
+ *    prepends without duplicates and tracks loadingOlder / hasMore / error per chat
+ * 11) Receipts: applyReceipt stamps a member's delivery / read on every earlier server message
+ *    they did not send, adds missing entries and keeps earlier stamps
+ * 12) Edits & deletions: editMessage / updateMessage swap in the new text and history;
+ *    deleteMessage / markMessageDeleted blank the message and its loaded thread copy
+ * 13) Group admin: updateChat and the updateGroupSettings / updateGroupMember / banGroupMember
+ *    results replace the stored summary (matched by id or chat_id), new chats are added on top
+ * 14) Pins: fetch / pin / unpin results and setPinnedMessages replace the chat's pins; edits patch
+ *    the pinned copy, deletions drop the pin and deleteChat clears the chat's pins
+ * 15) Preferences: updateChatPreferences replaces the chat's preferences (by id or chat_id) and
+ *    ignores chats that are not loaded
+ * 16) Mentions: queued echoes keep their mentions, edits replace them, deletions clear them and
+ *    reading a chat clears its unread mention count
+ * 17) Voice notes: queued and uploading echoes play the local file, sendVoiceMessage swaps the
+ *    echo for the server message, failures mark it failed and deletions drop the voice note
  */
 
 import reducer, {
@@ -18,6 +42,17 @@ import reducer, {
   markChatAsRead,
   setTypingUser,
   removeTypingUser,
+  updatePoll,
+  updateEvent,
+  appendThreadReply,
+  updateReactions,
+  setImageUploadProgress,
+  restoreMessages,
+  applyReceipt,
+  updateMessage,
+  markMessageDeleted,
+  updateChat,
+  setPinnedMessages,
 } from '../../../../src/store/reducers/chatReducer';
 
 import {
@@ -26,6 +61,7 @@ import {
   startDirectMessage,
   createGroupChat,
   fetchMessages,
+  fetchOlderMessages,
   sendMessage,
   deleteChat,
   addUserToDraftGroup,
@@ -34,6 +70,26 @@ import {
   markChatAsReadThunk,
   removeUserFromGroup,
   fetchChatById,
+  createPoll,
+  votePoll,
+  closePoll,
+  createEvent,
+  rsvpEvent,
+  fetchThreadReplies,
+  sendThreadReply,
+  addReaction,
+  removeReaction,
+  sendImageMessage,
+  sendVoiceMessage,
+  editMessage,
+  deleteMessage,
+  updateGroupSettings,
+  updateGroupMember,
+  banGroupMember,
+  fetchPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  updateChatPreferences,
 } from '../../../../src/store/actions/chatActions';
 
 const initial = {
@@ -44,6 +100,9 @@ const initial = {
   lastReadByChatId: {},
   queuedMessagesByChatId: {},
   typingUsersByChatId: {},
+  historyByChatId: {},
+  threadsByMessageId: {},
+  pinsByChatId: {},
   loading: false,
   error: null,
 };
@@ -193,4 +252,451 @@ describe('chat reducer', () => {
     expect(s.activeChats.map(c => c.id || c.chat_id)).toEqual(['room']);
     expect(s.messagesByChatId.brandNew).toBeUndefined();
   });
+
+  test('5) polls: createPoll appends once; live and own updates merge into the poll', () => {
+    const chatId = 'c1';
+    const message = {
+      id: 'm1',
+      message_type: 'poll',
+      poll: { id: 5, question: 'Q?', options: [{ id: 1, text: 'A', votes: 0 }], total_votes: 0, my_votes: [] },
+    };
+    let s = reducer(undefined, { type: createPoll.fulfilled.type, payload: { chatId, message } });
+    s = reducer(s, { type: createPoll.fulfilled.type, payload: { chatId, message } });
+    expect(s.messagesByChatId[chatId]).toHaveLength(1);
+
+    // own vote
+    s = reducer(s, {
+      type: votePoll.fulfilled.type,
+      payload: { chatId, messageId: 'm1', poll: { options: [{ id: 1, text: 'A', votes: 1 }], total_votes: 1, my_votes: [1] } },
+    });
+    // socket broadcast without my_votes keeps the viewer's votes
+    s = reducer(s, updatePoll({ chatId, messageId: 'm1', poll: { options: [{ id: 1, text: 'A', votes: 2 }], total_votes: 2 } }));
+    expect(s.messagesByChatId[chatId][0].poll).toMatchObject({ id: 5, question: 'Q?', total_votes: 2, my_votes: [1] });
+
+    s = reducer(s, { type: closePoll.fulfilled.type, payload: { chatId, messageId: 'm1', poll: { closed: true } } });
+    expect(s.messagesByChatId[chatId][0].poll.closed).toBe(true);
+
+    // unknown messages are ignored
+    const before = s;
+    s = reducer(s, updatePoll({ chatId, messageId: 'nope', poll: { closed: false } }));
+    expect(s).toBe(before);
+  });
+
+  test('6) events: createEvent appends once; RSVPs and live counts merge into the event', () => {
+    const chatId = 'c1';
+    const message = {
+      id: 'm2',
+      message_type: 'event',
+      event: { id: 4, title: 'Cleanup', counts: { going: 0, maybe: 0, not_going: 0 }, my_rsvp: null, my_task_id: null },
+    };
+    let s = reducer(undefined, { type: createEvent.fulfilled.type, payload: { chatId, message } });
+    s = reducer(s, { type: createEvent.fulfilled.type, payload: { chatId, message } });
+    expect(s.messagesByChatId[chatId]).toHaveLength(1);
+
+    // own RSVP with a task
+    s = reducer(s, {
+      type: rsvpEvent.fulfilled.type,
+      payload: { chatId, messageId: 'm2', event: { counts: { going: 1, maybe: 0, not_going: 0 }, my_rsvp: 'going', my_task_id: 9 } },
+    });
+    // socket broadcast without viewer fields keeps the RSVP and task
+    s = reducer(s, updateEvent({ chatId, messageId: 'm2', event: { counts: { going: 2, maybe: 1, not_going: 0 } } }));
+    expect(s.messagesByChatId[chatId][0].event).toMatchObject({
+      id: 4,
+      title: 'Cleanup',
+      counts: { going: 2, maybe: 1 },
+      my_rsvp: 'going',
+      my_task_id: 9,
+    });
+
+    const before = s;
+    s = reducer(s, updateEvent({ chatId, messageId: 'nope', event: { counts: {} } }));
+    expect(s).toBe(before);
+  });
+
+  test('7) threads: load and paginate replies, append replies once, track reply counts', () => {
+    const chatId = 'c1';
+    const arg = { chatId, messageId: 'm1' };
+    const reply = (id) => ({ id, content: `r${id}`, parent_message_id: 'm1' });
+
+    let s = reducer(undefined, appendMessage({ chatId, message: { id: 'm1', content: 'Parent', reply_count: 3 } }));
+    s = reducer(s, { type: fetchThreadReplies.pending.type, meta: { arg } });
+    expect(s.threadsByMessageId.m1).toMatchObject({ chatId, loading: true, replies: [] });
+
+    s = reducer(s, {
+      type: fetchThreadReplies.fulfilled.type,
+      meta: { arg },
+      payload: { ...arg, before: null, replies: [reply(5), reply(6)], hasMore: true },
+    });
+    s = reducer(s, {
+      type: fetchThreadReplies.fulfilled.type,
+      meta: { arg: { ...arg, before: 5 } },
+      payload: { ...arg, before: 5, replies: [reply(4), reply(5)], hasMore: false },
+    });
+    expect(s.threadsByMessageId.m1.replies.map((r) => r.id)).toEqual([4, 5, 6]);
+    expect(s.threadsByMessageId.m1).toMatchObject({ hasMore: false, loading: false });
+
+    // own reply, then the socket echo of the same reply
+    s = reducer(s, {
+      type: sendThreadReply.fulfilled.type,
+      payload: { chatId, messageId: 'm1', message: reply(7), replyCount: 4 },
+    });
+    s = reducer(s, appendThreadReply({ chatId, messageId: 'm1', message: reply(7), replyCount: 4 }));
+    expect(s.threadsByMessageId.m1.replies).toHaveLength(4);
+    expect(s.messagesByChatId[chatId][0].reply_count).toBe(4);
+
+    // replies to threads that are not loaded only update the count
+    s = reducer(s, appendMessage({ chatId, message: { id: 'm2', content: 'Other' } }));
+    s = reducer(s, appendThreadReply({ chatId, messageId: 'm2', message: reply(8), replyCount: 1 }));
+    expect(s.threadsByMessageId.m2).toBeUndefined();
+    expect(s.messagesByChatId[chatId][1].reply_count).toBe(1);
+
+    // failed loads keep the replies; aborted loads record no error
+    s = reducer(s, { type: fetchThreadReplies.rejected.type, meta: { arg }, payload: 'Message not found' });
+    expect(s.threadsByMessageId.m1).toMatchObject({ loading: false, error: 'Message not found' });
+    s = reducer(s, { type: fetchThreadReplies.pending.type, meta: { arg } });
+    s = reducer(s, { type: fetchThreadReplies.rejected.type, meta: { arg, aborted: true } });
+    expect(s.threadsByMessageId.m1).toMatchObject({ loading: false, error: null });
+    expect(s.threadsByMessageId.m1.replies).toHaveLength(4);
+
+    s = reducer(s, { type: deleteChat.fulfilled.type, payload: chatId });
+    expect(s.threadsByMessageId).toEqual({});
+  });
+  test('8) reactions: own toggles and live updates replace the reactions', () => {
+    const chatId = 'c1';
+    const heart = { emoji: '❤️', user: { id: 1, name: 'Alex' } };
+    const party = { emoji: '🎉', user: { id: 2, name: 'Sam' } };
+
+    let s = reducer(undefined, appendMessage({ chatId, message: { id: 'm1', content: 'Hi' } }));
+    s = reducer(s, { type: addReaction.fulfilled.type, payload: { chatId, messageId: 'm1', reactions: [heart] } });
+    expect(s.messagesByChatId[chatId][0].reactions).toEqual([heart]);
+
+    s = reducer(s, updateReactions({ chatId, messageId: 'm1', reactions: [heart, party] }));
+    expect(s.messagesByChatId[chatId][0].reactions).toEqual([heart, party]);
+
+    s = reducer(s, { type: removeReaction.fulfilled.type, payload: { chatId, messageId: 'm1', reactions: [party] } });
+    expect(s.messagesByChatId[chatId][0].reactions).toEqual([party]);
+
+    const before = s;
+    s = reducer(s, updateReactions({ chatId, messageId: 'nope', reactions: [] }));
+    s = reducer(s, updateReactions({ chatId, messageId: 'm1' }));
+    expect(s).toBe(before);
+  });
+  test('9) photos: echoes track upload state until the server message replaces them', () => {
+    const chatId = 'c1';
+    const image = { uri: 'file:///flood.jpg', width: 1600, height: 1200, mime_type: 'image/jpeg', location: null };
+    const arg = { chatId, senderId: 'me', image, tempId: 'temp-1' };
+    const serverMessage = { id: 40, chat_id: chatId, message_type: 'image', image: { url: 'https://x/40.jpg' } };
+
+    // offline: queued echo shows the local file
+    let s = reducer(undefined, queuePendingMessage({ chatId, senderId: 'me', image }));
+    const queued = s.messagesByChatId[chatId][0];
+    expect(queued).toMatchObject({
+      message_type: 'image',
+      status: 'pending',
+      image: { ...image, url: image.uri },
+    });
+    expect(s.queuedMessagesByChatId[chatId]).toEqual([queued]);
+
+    // flushing re-sends the same echo: pending → uploading → progress
+    s = reducer(s, { type: sendImageMessage.pending.type, meta: { arg: { ...arg, tempId: queued.id } } });
+    expect(s.messagesByChatId[chatId]).toHaveLength(1);
+    expect(s.messagesByChatId[chatId][0]).toMatchObject({ status: 'uploading', progress: 0 });
+    s = reducer(s, setImageUploadProgress({ chatId, messageId: queued.id, progress: 0.5 }));
+    expect(s.messagesByChatId[chatId][0].progress).toBe(0.5);
+
+    // failure marks the echo for retry
+    s = reducer(s, { type: sendImageMessage.rejected.type, meta: { arg: { ...arg, tempId: queued.id } } });
+    expect(s.messagesByChatId[chatId][0].status).toBe('failed');
+    expect(s.messagesByChatId[chatId][0].progress).toBeUndefined();
+
+    // success swaps the echo for the server message in place
+    s = reducer(s, appendMessage({ chatId, message: { id: 'm-after', content: 'later' } }));
+    s = reducer(s, {
+      type: sendImageMessage.fulfilled.type,
+      payload: { chatId, tempId: queued.id, message: serverMessage },
+    });
+    expect(s.messagesByChatId[chatId].map((m) => m.id)).toEqual([40, 'm-after']);
+
+    // online send: new uploading echo; the socket copy wins if it arrives first
+    s = reducer(s, { type: sendImageMessage.pending.type, meta: { arg } });
+    expect(s.messagesByChatId[chatId][2]).toMatchObject({ id: 'temp-1', status: 'uploading', content: '📷 Photo' });
+    s = reducer(s, appendMessage({ chatId, message: { ...serverMessage, id: 41 } }));
+    s = reducer(s, {
+      type: sendImageMessage.fulfilled.type,
+      payload: { chatId, tempId: 'temp-1', message: { ...serverMessage, id: 41 } },
+    });
+    expect(s.messagesByChatId[chatId].map((m) => m.id)).toEqual([40, 'm-after', 41]);
+  });
+  test('10) paging: cache restore, newest-page reconciliation and older pages', () => {
+    const chatId = 'c1';
+    const msg = (id) => ({ id, content: `m${id}` });
+
+    // cached messages fill an empty chat only
+    let s = reducer(undefined, restoreMessages({ chatId, messages: [msg(1), msg(2), msg(3)] }));
+    expect(s.messagesByChatId[chatId].map((m) => m.id)).toEqual([1, 2, 3]);
+    expect(s.historyByChatId[chatId].hasMore).toBe(true);
+    const restored = s;
+    s = reducer(s, restoreMessages({ chatId, messages: [msg(9)] }));
+    expect(s).toBe(restored);
+
+    // an overlapping page keeps older cached messages and unsent echoes; server copies win
+    s = reducer(s, queuePendingMessage({ chatId, senderId: 'me', message: 'offline' }));
+    s = reducer(s, {
+      type: fetchMessages.fulfilled.type,
+      payload: { chatId, messages: [{ id: 2, content: 'edited' }, msg(4)], hasMore: true },
+    });
+    expect(s.messagesByChatId[chatId].map((m) => m.id)).toEqual([1, 2, 4, expect.stringMatching(/^temp-/)]);
+    expect(s.messagesByChatId[chatId][1].content).toBe('edited');
+
+    // a page with a gap replaces the stored messages
+    s = reducer(s, {
+      type: fetchMessages.fulfilled.type,
+      payload: { chatId, messages: [msg(40), msg(41)], hasMore: true },
+    });
+    expect(s.messagesByChatId[chatId].map((m) => m.id)).toEqual([40, 41, expect.stringMatching(/^temp-/)]);
+
+    // older pages prepend without duplicates
+    s = reducer(s, { type: fetchOlderMessages.pending.type, meta: { arg: chatId } });
+    expect(s.historyByChatId[chatId]).toEqual({ hasMore: true, loadingOlder: true, error: null });
+    s = reducer(s, {
+      type: fetchOlderMessages.fulfilled.type,
+      meta: { arg: chatId },
+      payload: { chatId, before: 40, messages: [msg(38), msg(39), msg(40)], hasMore: false },
+    });
+    expect(s.messagesByChatId[chatId].slice(0, 4).map((m) => m.id)).toEqual([38, 39, 40, 41]);
+    expect(s.historyByChatId[chatId]).toEqual({ hasMore: false, loadingOlder: false, error: null });
+
+    // failures are recorded; aborted requests are not
+    s = reducer(s, { type: fetchOlderMessages.pending.type, meta: { arg: chatId } });
+    s = reducer(s, { type: fetchOlderMessages.rejected.type, meta: { arg: chatId }, payload: 'Network error' });
+    expect(s.historyByChatId[chatId]).toMatchObject({ loadingOlder: false, error: 'Network error' });
+    s = reducer(s, { type: fetchOlderMessages.pending.type, meta: { arg: chatId } });
+    s = reducer(s, { type: fetchOlderMessages.rejected.type, meta: { arg: chatId, aborted: true } });
+    expect(s.historyByChatId[chatId]).toMatchObject({ loadingOlder: false, error: null });
+
+    s = reducer(s, { type: deleteChat.fulfilled.type, payload: chatId });
+    expect(s.historyByChatId[chatId]).toBeUndefined();
+  });
+
+  test('11) applyReceipt stamps deliveries and reads up to a message', () => {
+    const chatId = 'c1';
+    const sam = { id: 2, name: 'Sam' };
+    const early = '2025-04-10T08:00:00.000Z';
+    const late = '2025-04-10T09:00:00.000Z';
+    let s = reducer(undefined, restoreMessages({
+      chatId,
+      messages: [
+        { id: 1, sender: { id: 1 }, receipts: [{ user: sam, delivered_at: early, read_at: null }] },
+        { id: 2, sender: { id: 2 } },
+        { id: 3, sender: { id: 1 } },
+        { id: 4, sender: { id: 1 } },
+      ],
+    }));
+    s = reducer(s, queuePendingMessage({ chatId, senderId: 1, message: 'offline' }));
+
+    s = reducer(s, applyReceipt({ chatId, messageId: 3, user: sam, status: 'delivered', at: late }));
+    let [m1, m2, m3, m4, echo] = s.messagesByChatId[chatId];
+    expect(m1.receipts).toEqual([{ user: sam, delivered_at: early, read_at: null }]);
+    expect(m2.receipts).toBeUndefined();
+    expect(m3.receipts).toEqual([{ user: sam, delivered_at: late, read_at: null }]);
+    expect(m4.receipts).toBeUndefined();
+    expect(echo.receipts).toBeUndefined();
+
+    s = reducer(s, applyReceipt({ chatId, messageId: '4', user: sam, status: 'read', at: late }));
+    [m1, , m3, m4] = s.messagesByChatId[chatId];
+    expect(m1.receipts).toEqual([{ user: sam, delivered_at: early, read_at: late }]);
+    expect(m4.receipts).toEqual([{ user: sam, delivered_at: late, read_at: late }]);
+
+    const before = s;
+    s = reducer(s, applyReceipt({ chatId, messageId: 4, user: null, status: 'read', at: late }));
+    expect(s).toBe(before);
+  });
+
+  test('12) edits and deletions patch the stored message and its thread copy', () => {
+    const chatId = 'c1';
+    const arg = { chatId, messageId: 1 };
+    let s = reducer(undefined, restoreMessages({
+      chatId,
+      messages: [
+        { id: 1, content: 'Parent', reactions: [{ emoji: '👍', user: { id: 2 } }] },
+        { id: 2, content: 'Shelter opens at 6', sender: { id: 1 }, parent_message_id: 1 },
+      ],
+    }));
+    s = reducer(s, {
+      type: fetchThreadReplies.fulfilled.type,
+      meta: { arg },
+      payload: { ...arg, before: null, replies: [{ id: 2, content: 'Shelter opens at 6' }], hasMore: false },
+    });
+
+    const edited = {
+      id: 2,
+      content: 'Shelter opens at 7',
+      edited_at: '2025-04-10T08:05:00.000Z',
+      edit_history: [{ content: 'Shelter opens at 6', written_at: '2025-04-10T08:00:00.000Z' }],
+    };
+    s = reducer(s, { type: editMessage.fulfilled.type, payload: { chatId, message: edited } });
+    expect(s.messagesByChatId[chatId][1]).toMatchObject(edited);
+    expect(s.threadsByMessageId[1].replies[0]).toMatchObject(edited);
+
+    s = reducer(s, updateMessage({ chatId, message: { ...edited, id: 1, content: 'Parent!', edit_history: undefined } }));
+    expect(s.messagesByChatId[chatId][0]).toMatchObject({ content: 'Parent!', edit_history: [] });
+
+    s = reducer(s, markMessageDeleted({ chatId, messageId: 1, deletedAt: '2025-04-10T09:00:00.000Z' }));
+    expect(s.messagesByChatId[chatId][0]).toMatchObject({
+      content: null,
+      deleted_at: '2025-04-10T09:00:00.000Z',
+      edit_history: [],
+      reactions: [],
+    });
+
+    s = reducer(s, {
+      type: deleteMessage.fulfilled.type,
+      payload: { chatId, message: { id: 2, content: null, deleted_at: '2025-04-10T09:01:00.000Z' } },
+    });
+    expect(s.messagesByChatId[chatId][1]).toMatchObject({ content: null, deleted_at: '2025-04-10T09:01:00.000Z' });
+    expect(s.threadsByMessageId[1].replies[0]).toMatchObject({ content: null, deleted_at: '2025-04-10T09:01:00.000Z' });
+
+    const before = s;
+    s = reducer(s, updateMessage({ chatId: 'other', message: edited }));
+    expect(s).toBe(before);
+  });
+
+  test('13) group admin results and live updates replace the chat summary', () => {
+    const group = { id: 2, chat_id: 2, name: 'Flood Watch', is_group: true, members: [{ id: 1, role: 'owner' }] };
+    let s = reducer(undefined, updateActiveChatsFromSocket([{ id: 1, chat_id: 1, name: 'Sam' }, group]));
+
+    s = reducer(s, { type: updateGroupSettings.fulfilled.type, payload: { ...group, name: 'Flood Watch North' } });
+    expect(s.activeChats[1]).toMatchObject({ name: 'Flood Watch North' });
+
+    s = reducer(s, {
+      type: updateGroupMember.fulfilled.type,
+      payload: { ...group, members: [{ id: 1, role: 'owner' }, { id: 3, role: 'admin' }] },
+    });
+    expect(s.activeChats[1].members).toHaveLength(2);
+
+    s = reducer(s, { type: banGroupMember.fulfilled.type, payload: group });
+    expect(s.activeChats[1]).toEqual(group);
+
+    // live updates may only carry chat_id
+    s = reducer(s, updateChat({ chat_id: 2, name: 'Renamed', is_group: true, members: [] }));
+    expect(s.activeChats).toHaveLength(2);
+    expect(s.activeChats[1]).toMatchObject({ name: 'Renamed' });
+
+    s = reducer(s, updateChat({ chat_id: 9, name: 'New group', is_group: true, members: [] }));
+    expect(s.activeChats[0]).toMatchObject({ chat_id: 9 });
+
+    const before = s;
+    s = reducer(s, updateChat(null));
+    expect(s).toBe(before);
+  });
+
+  test('14) pins are replaced per chat and follow edits and deletions', () => {
+    const chatId = 'c1';
+    const pin = (id, content) => ({ message_id: id, pinned_at: '2025-04-10T09:00:00.000Z', message: { id, content } });
+
+    let s = reducer(undefined, {
+      type: fetchPinnedMessages.fulfilled.type,
+      payload: { chatId, pins: [pin(1, 'Evacuation point')] },
+    });
+    expect(s.pinsByChatId[chatId].map((p) => p.message_id)).toEqual([1]);
+
+    s = reducer(s, { type: pinMessage.fulfilled.type, payload: { chatId, pins: [pin(2, 'Roster'), pin(1, 'Evacuation point')] } });
+    expect(s.pinsByChatId[chatId].map((p) => p.message_id)).toEqual([2, 1]);
+
+    s = reducer(s, { type: unpinMessage.fulfilled.type, payload: { chatId, pins: [pin(2, 'Roster')] } });
+    s = reducer(s, setPinnedMessages({ chatId, pins: [pin(2, 'Roster'), pin(3, 'Meet at 6')] }));
+    expect(s.pinsByChatId[chatId].map((p) => p.message_id)).toEqual([2, 3]);
+
+    // payloads without a list leave the pins alone
+    const before = s;
+    s = reducer(s, setPinnedMessages({ chatId, pins: undefined }));
+    expect(s).toBe(before);
+
+    s = reducer(s, updateMessage({ chatId, message: { id: 3, content: 'Meet at 7', edited_at: '2025-04-10T09:05:00.000Z' } }));
+    expect(s.pinsByChatId[chatId][1].message).toMatchObject({ content: 'Meet at 7', edited_at: '2025-04-10T09:05:00.000Z' });
+
+    s = reducer(s, markMessageDeleted({ chatId, messageId: 2, deletedAt: '2025-04-10T09:10:00.000Z' }));
+    expect(s.pinsByChatId[chatId].map((p) => p.message_id)).toEqual([3]);
+
+    s = reducer(s, { type: deleteChat.fulfilled.type, payload: chatId });
+    expect(s.pinsByChatId[chatId]).toBeUndefined();
+  });
+
+  test('15) preference results replace the chat preferences', () => {
+    let s = reducer(undefined, updateActiveChatsFromSocket([{ id: 1, chat_id: 1, name: 'Sam' }, { chat_id: 2, name: 'Flood Watch' }]));
+    const muted = { muted_until: '2025-04-10T10:00:00.000Z', archived: false, notification_level: 'all' };
+
+    s = reducer(s, { type: updateChatPreferences.fulfilled.type, payload: { chatId: 1, preferences: muted } });
+    expect(s.activeChats[0].preferences).toEqual(muted);
+
+    const archived = { muted_until: null, archived: true, notification_level: 'none' };
+    s = reducer(s, { type: updateChatPreferences.fulfilled.type, payload: { chatId: 2, preferences: archived } });
+    s = reducer(s, { type: updateChatPreferences.fulfilled.type, payload: { chatId: 2, preferences: archived } });
+    expect(s.activeChats[1].preferences).toEqual(archived);
+
+    const before = s;
+    s = reducer(s, { type: updateChatPreferences.fulfilled.type, payload: { chatId: 9, preferences: archived } });
+    expect(s).toBe(before);
+  });
+
+  test('16) mentions follow echoes, edits and deletions; reading clears the count', () => {
+    const chatId = 'c1';
+    const mentions = [{ id: 2, name: 'Alice' }];
+    let s = reducer(undefined, updateActiveChatsFromSocket([
+      { id: chatId, chat_id: chatId, unread_mention_count: 2 },
+      { id: 'c2', chat_id: 'c2', unread_mention_count: 1 },
+    ]));
+
+    s = reducer(s, queuePendingMessage({ chatId, senderId: 'me', message: 'Thanks @Alice', mentions }));
+    expect(s.messagesByChatId[chatId][0].mentions).toEqual(mentions);
+    expect(s.queuedMessagesByChatId[chatId][0].mentions).toEqual(mentions);
+
+    s = reducer(s, restoreMessages({ chatId: 'c3', messages: [{ id: 5, content: '@Alice @Sam', mentions: [...mentions, { id: 3, name: 'Sam' }] }] }));
+    s = reducer(s, updateMessage({ chatId: 'c3', message: { id: 5, content: '@Alice', mentions, edit_history: [] } }));
+    expect(s.messagesByChatId.c3[0].mentions).toEqual(mentions);
+    s = reducer(s, markMessageDeleted({ chatId: 'c3', messageId: 5 }));
+    expect(s.messagesByChatId.c3[0].mentions).toEqual([]);
+
+    s = reducer(s, markChatAsRead({ chatId, messageId: 9 }));
+    expect(s.activeChats[0].unread_mention_count).toBe(0);
+    s = reducer(s, { type: markChatAsReadThunk.fulfilled.type, payload: { chatId: 'c2', messageId: 3 } });
+    expect(s.activeChats[1].unread_mention_count).toBe(0);
+  });
+
+  test('17) voice notes: echoes track upload state until the server message replaces them', () => {
+    const chatId = 'c1';
+    const voice = { uri: 'file:///voice.m4a', duration_ms: 4200, size: 6, mime_type: 'audio/mp4', waveform: [0.3] };
+    const arg = { chatId, senderId: 'me', voice, tempId: 'temp-1' };
+    const serverMessage = { id: 50, chat_id: chatId, message_type: 'voice', voice: { url: 'https://x/50.m4a', duration_ms: 4200 } };
+
+    let s = reducer(undefined, queuePendingMessage({ chatId, senderId: 'me', voice }));
+    const queued = s.messagesByChatId[chatId][0];
+    expect(queued).toMatchObject({
+      content: '🎤 Voice note',
+      message_type: 'voice',
+      status: 'pending',
+      voice: { ...voice, url: voice.uri },
+    });
+    expect(queued.image).toBeUndefined();
+    expect(s.queuedMessagesByChatId[chatId]).toEqual([queued]);
+
+    s = reducer(s, { type: sendVoiceMessage.pending.type, meta: { arg: { ...arg, tempId: queued.id } } });
+    expect(s.messagesByChatId[chatId]).toHaveLength(1);
+    expect(s.messagesByChatId[chatId][0]).toMatchObject({ status: 'uploading', progress: 0 });
+
+    s = reducer(s, { type: sendVoiceMessage.rejected.type, meta: { arg: { ...arg, tempId: queued.id } } });
+    expect(s.messagesByChatId[chatId][0].status).toBe('failed');
+
+    s = reducer(s, {
+      type: sendVoiceMessage.fulfilled.type,
+      payload: { chatId, tempId: queued.id, message: serverMessage },
+    });
+    expect(s.messagesByChatId[chatId]).toEqual([serverMessage]);
+
+    s = reducer(s, { type: sendVoiceMessage.pending.type, meta: { arg } });
+    expect(s.messagesByChatId[chatId][1]).toMatchObject({ id: 'temp-1', status: 'uploading', message_type: 'voice' });
+
+    s = reducer(s, markMessageDeleted({ chatId, messageId: 50 }));
+    expect(s.messagesByChatId[chatId][0].voice).toBeUndefined();
+  });
 });
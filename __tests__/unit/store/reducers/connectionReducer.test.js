@@ -0,0 +1,92 @@
+/**
+ * connectionReducer.test.js
+ *
+ * What These Tests Cover (4):
+ *
+ * 1) Initial State
+ *    - Idle, no socket.
+ *
+ * 2) Connect / disconnect
+ *    - connected records the socket id and time and clears errors; disconnected keeps the reason.
+ *
+ * 3) Reconnecting
+ *    - Tracks the attempt; errors are recorded without changing the status.
+ *
+ * 4) idle resets everything; selectors follow the status.
+ */
+
+import reducer, { connectionStatusChanged } from '../../../../src/store/reducers/connectionReducer';
+import {
+  selectConnectionStatus,
+  selectIsSocketConnected,
+  selectIsReconnecting,
+} from '../../../../src/store/selectors/connectionSelectors';
+
+const initial = {
+  status: 'idle',
+  socketId: null,
+  attempt: 0,
+  lastError: null,
+  disconnectReason: null,
+  lastConnectedAt: null,
+};
+
+const apply = (...updates) =>
+  updates.reduce((state, update) => reducer(state, connectionStatusChanged(update)), undefined);
+
+describe('connection reducer', () => {
+  it('1) returns the initial state', () => {
+    const state = reducer(undefined, { type: '@@INIT' });
+    expect(state).toEqual(initial);
+    expect(selectConnectionStatus({ connection: state })).toBe('idle');
+    expect(selectConnectionStatus({})).toBe('idle');
+  });
+
+  it('2) records connects and disconnects', () => {
+    let state = apply(
+      { status: 'connecting' },
+      { error: 'refused' },
+      { status: 'connected', socketId: 's1', at: '2025-01-01T00:00:00.000Z' }
+    );
+    expect(state).toEqual({
+      ...initial,
+      status: 'connected',
+      socketId: 's1',
+      lastConnectedAt: '2025-01-01T00:00:00.000Z',
+    });
+    expect(selectIsSocketConnected({ connection: state })).toBe(true);
+
+    state = reducer(state, connectionStatusChanged({ status: 'disconnected', reason: 'transport close' }));
+    expect(state).toMatchObject({
+      status: 'disconnected',
+      socketId: null,
+      disconnectReason: 'transport close',
+      lastConnectedAt: '2025-01-01T00:00:00.000Z',
+    });
+    expect(selectIsSocketConnected({ connection: state })).toBe(false);
+  });
+
+  it('3) tracks reconnect attempts and errors', () => {
+    let state = apply(
+      { status: 'connected', socketId: 's1', at: 't' },
+      { status: 'disconnected', reason: 'ping timeout' },
+      { status: 'reconnecting', attempt: 1 },
+      { error: 'timeout' },
+      { status: 'reconnecting' }
+    );
+    expect(state).toMatchObject({ status: 'reconnecting', attempt: 2, lastError: 'timeout' });
+    expect(selectIsReconnecting({ connection: state })).toBe(true);
+
+    state = reducer(state, connectionStatusChanged({ status: 'connected', socketId: 's2', at: 't2' }));
+    expect(state).toMatchObject({ status: 'connected', attempt: 0, lastError: null, socketId: 's2' });
+  });
+
+  it('4) idle resets the slice', () => {
+    const state = apply(
+      { status: 'connected', socketId: 's1', at: 't' },
+      { status: 'failed' },
+      { status: 'idle' }
+    );
+    expect(state).toEqual(initial);
+  });
+});
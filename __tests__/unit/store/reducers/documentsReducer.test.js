@@ -93,6 +93,11 @@ describe('documents reducer', () => {
     state = reducer(state, { type: clearAllDocuments.fulfilled.type });
     expect(state.documents).toEqual([]);
 
+    // replayed add (offline outbox) replaces the document with the same url
+    state = reducer(state, { type: addDocument.fulfilled.type, payload: { url: 'https://3', title: 'Three' } });
+    state = reducer(state, { type: addDocument.fulfilled.type, payload: { id: '3', url: 'https://3', title: 'Three' } });
+    expect(state.documents.map(d => d.id)).toEqual(['3']);
+
     // clear rejected
     state = reducer(state, { type: clearAllDocuments.rejected.type, payload: 'clear-fail' });
     expect(state.error).toBe('clear-fail');
@@ -120,6 +120,17 @@ describe('emergency reducer', () => {
     // delete by id
     state = reducer(state, { type: deleteEmergencyContact.fulfilled.type, payload: 'b' });
     expect(state.contacts.map(c => c.id)).toEqual(['c', 'a']);
+
+    // replayed add (offline outbox) replaces the optimistic contact with the same phone number
+    state = reducer(state, {
+      type: addEmergencyContact.fulfilled.type,
+      payload: { name: 'D', phone_number: '444' },
+    });
+    state = reducer(state, {
+      type: addEmergencyContact.fulfilled.type,
+      payload: { id: 'd', name: 'D', phone_number: '444' },
+    });
+    expect(state.contacts.map(c => c.id)).toEqual(['d', 'c', 'a']);
   });
 
   it('4) manual contacts edits & loading/error helpers', () => {
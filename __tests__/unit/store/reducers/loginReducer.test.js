@@ -14,10 +14,18 @@
  *
  * 4) logout.fulfilled
  *    - Always resets state to initial.
+ *
+ * 5) restoreSession.fulfilled
+ *    - Restores the persisted user and marks the session verified.
  */
 
 import reducer, { resetAuthState } from '../../../../src/store/reducers/loginReducer';
-import { verifyOtp, logout, updateUserLocation } from '../../../../src/store/actions/loginActions';
+import {
+  verifyOtp,
+  restoreSession,
+  logout,
+  updateUserLocation,
+} from '../../../../src/store/actions/loginActions';
 
 const initial = {
   loading: false,
@@ -101,4 +109,19 @@ describe('login reducer', () => {
     const reset = reducer(dirty, { type: logout.fulfilled.type });
     expect(reset).toEqual(initial);
   });
+
+  it('5) restoreSession.fulfilled restores the stored user', () => {
+    let state = reducer(undefined, {
+      type: restoreSession.fulfilled.type,
+      payload: { user: { id: 'u9', first_name: 'Rae' } },
+    });
+    expect(state.user).toEqual({ id: 'u9', first_name: 'Rae' });
+    expect(state.isVerified).toBe(true);
+
+    state = reducer(undefined, {
+      type: restoreSession.fulfilled.type,
+      payload: { user: null },
+    });
+    expect(state).toEqual(initial);
+  });
 });
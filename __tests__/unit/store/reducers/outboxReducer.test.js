@@ -0,0 +1,123 @@
+/**
+ * outboxReducer.test.js
+ *
+ * What These Tests Cover (5):
+ *
+ * 1) Initial State
+ *    - Empty queue and conflicts, not syncing, not hydrated.
+ *
+ * 2) Queueing & coalescing
+ *    - Entries are appended in order; `coalesce` drops older entries of the same type.
+ *
+ * 3) Hydration
+ *    - Persisted entries go first; entries queued before hydration are kept once.
+ *
+ * 4) Replay outcomes
+ *    - synced removes, retried bumps attempts, conflicted moves to `conflicts`.
+ *
+ * 5) Conflicts UI & logout
+ *    - dismiss / clear conflicts; logout.fulfilled clears everything.
+ */
+
+import reducer, {
+  outboxHydrated,
+  mutationQueued,
+  mutationSynced,
+  mutationRetried,
+  mutationConflicted,
+  dismissConflict,
+  clearConflicts,
+  setOutboxSyncing,
+} from '../../../../src/store/reducers/outboxReducer';
+
+jest.mock('../../../../src/store/actions/loginActions', () => ({
+  logout: { fulfilled: { type: 'auth/logout/fulfilled' } },
+}));
+
+const entry = (id, type = 'tasks/completeTask', extra = {}) => ({
+  id,
+  type,
+  arg: { taskId: id },
+  queuedAt: '2025-01-01T00:00:00.000Z',
+  attempts: 0,
+  ...extra,
+});
+
+describe('outbox reducer', () => {
+  it('1) returns the initial state', () => {
+    expect(reducer(undefined, { type: '@@INIT' })).toEqual({
+      queue: [],
+      conflicts: [],
+      isSyncing: false,
+      hydrated: false,
+    });
+  });
+
+  it('2) queues in order and coalesces by type', () => {
+    let state = reducer(undefined, mutationQueued(entry('a')));
+    state = reducer(state, mutationQueued(entry('loc-1', 'auth/updateUserLocation', { coalesce: true })));
+    state = reducer(state, mutationQueued(entry('b')));
+    state = reducer(state, mutationQueued(entry('loc-2', 'auth/updateUserLocation', { coalesce: true })));
+
+    expect(state.queue.map((e) => e.id)).toEqual(['a', 'b', 'loc-2']);
+  });
+
+  it('3) hydration puts persisted entries first without duplicates', () => {
+    let state = reducer(undefined, mutationQueued(entry('new')));
+    state = reducer(state, outboxHydrated([entry('old'), entry('new')]));
+
+    expect(state.hydrated).toBe(true);
+    expect(state.queue.map((e) => e.id)).toEqual(['old', 'new']);
+
+    // Non-array payloads (corrupt storage) still mark the outbox hydrated
+    const empty = reducer(undefined, outboxHydrated('garbage'));
+    expect(empty).toMatchObject({ queue: [], hydrated: true });
+  });
+
+  it('4) synced, retried and conflicted update the queue', () => {
+    let state = reducer(undefined, mutationQueued(entry('a')));
+    state = reducer(state, mutationQueued(entry('b')));
+    state = reducer(state, mutationQueued(entry('c')));
+
+    state = reducer(state, mutationSynced('a'));
+    state = reducer(state, mutationRetried('b'));
+    state = reducer(state, mutationRetried('b'));
+    expect(state.queue.map((e) => [e.id, e.attempts])).toEqual([['b', 2], ['c', 0]]);
+
+    state = reducer(state, mutationConflicted({ id: 'c', message: 'Gone', status: 404 }));
+    expect(state.queue.map((e) => e.id)).toEqual(['b']);
+    expect(state.conflicts).toEqual([
+      {
+        id: 'c',
+        type: 'tasks/completeTask',
+        arg: { taskId: 'c' },
+        message: 'Gone',
+        status: 404,
+        failedAt: expect.any(String),
+      },
+    ]);
+
+    // Unknown ids are ignored
+    const same = reducer(state, mutationConflicted({ id: 'zzz' }));
+    expect(same).toBe(state);
+  });
+
+  it('5) dismisses conflicts and clears everything on logout', () => {
+    let state = reducer(undefined, mutationQueued(entry('a')));
+    state = reducer(state, mutationQueued(entry('b')));
+    state = reducer(state, mutationQueued(entry('c')));
+    state = reducer(state, mutationConflicted({ id: 'a' }));
+    state = reducer(state, mutationConflicted({ id: 'b' }));
+
+    state = reducer(state, dismissConflict('a'));
+    expect(state.conflicts.map((c) => c.id)).toEqual(['b']);
+    state = reducer(state, clearConflicts());
+    expect(state.conflicts).toEqual([]);
+
+    state = reducer(state, mutationConflicted({ id: 'c' }));
+    state = reducer(state, mutationQueued(entry('d')));
+    state = reducer(state, setOutboxSyncing(true));
+    state = reducer(state, { type: 'auth/logout/fulfilled' });
+    expect(state).toMatchObject({ queue: [], conflicts: [], isSyncing: false });
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * persistReducer.test.js
+ *
+ * What These Tests Cover (2):
+ *
+ * 1) Initial State
+ *    - Not rehydrated, no version.
+ *
+ * 2) stateRehydrated
+ *    - Marks the store rehydrated and records the restored version (null when nothing was restored).
+ */
+
+import reducer, { stateRehydrated } from '../../../../src/store/reducers/persistReducer';
+import { selectIsRehydrated } from '../../../../src/store/selectors/persistSelectors';
+
+describe('persist reducer', () => {
+  it('1) returns the initial state', () => {
+    const state = reducer(undefined, { type: '@@INIT' });
+    expect(state).toEqual({ rehydrated: false, version: null });
+    expect(selectIsRehydrated({ persist: state })).toBe(false);
+  });
+
+  it('2) stateRehydrated marks the store rehydrated', () => {
+    let state = reducer(undefined, stateRehydrated({ state: { tasks: {} }, version: 3 }));
+    expect(state).toEqual({ rehydrated: true, version: 3 });
+    expect(selectIsRehydrated({ persist: state })).toBe(true);
+
+    state = reducer(undefined, stateRehydrated({ state: null, version: null }));
+    expect(state).toEqual({ rehydrated: true, version: null });
+  });
+});
@@ -10,13 +10,28 @@
  *    - Returns messages for a given chatId
  *    - Falls back to [] if no entry exists
  *
- * 3) Memoization
+ * 3) Message History Selector
+ *    - Returns the paging state for a given chatId
+ *    - Falls back to an idle history without more pages (same reference every time)
+ *
+ * 4) Thread Selector
+ *    - Returns the stored thread for a given messageId
+ *    - Falls back to an empty, idle thread (same reference every time)
+ *
+ * 5) Pinned Messages Selector
+ *    - Returns the pins for a given chatId
+ *    - Falls back to [] (same reference every time)
+ *
+ * 6) Memoization
  *    - Selectors return the same reference when input state does not change
  */
 
 import {
   selectTypingUsersByChatId,
   selectMessagesByChatId,
+  selectMessageHistoryByChatId,
+  selectThreadByMessageId,
+  selectPinnedMessagesByChatId,
 } from '../../../../src/store/selectors/chatSelectors';
 
 describe('chatSelectors', () => {
@@ -28,6 +43,15 @@ describe('chatSelectors', () => {
       messagesByChatId: {
         'chat1': [{ id: 1, text: 'Hello' }, { id: 2, text: 'World' }],
       },
+      historyByChatId: {
+        chat1: { hasMore: true, loadingOlder: false, error: null },
+      },
+      threadsByMessageId: {
+        1: { chatId: 'chat1', replies: [{ id: 9, content: 'Reply' }], hasMore: true, loading: false, error: null },
+      },
+      pinsByChatId: {
+        chat1: [{ message_id: 2, message: { id: 2, text: 'World' } }],
+      },
     },
   };
 
@@ -58,6 +82,49 @@ describe('chatSelectors', () => {
     });
   });
 
+  describe('selectMessageHistoryByChatId', () => {
+    it('returns the paging state for a given chatId', () => {
+      expect(selectMessageHistoryByChatId('chat1')(baseState)).toEqual({
+        hasMore: true,
+        loadingOlder: false,
+        error: null,
+      });
+    });
+
+    it('returns the same idle history when chatId not present', () => {
+      const empty = selectMessageHistoryByChatId('chatX')(baseState);
+      expect(empty).toEqual({ hasMore: false, loadingOlder: false, error: null });
+      expect(selectMessageHistoryByChatId('chatY')(baseState)).toBe(empty);
+    });
+  });
+
+  describe('selectThreadByMessageId', () => {
+    it('returns the thread for a given messageId', () => {
+      const selector = selectThreadByMessageId(1);
+      expect(selector(baseState)).toMatchObject({ replies: [{ id: 9, content: 'Reply' }], hasMore: true });
+    });
+
+    it('returns the same empty thread when messageId not present', () => {
+      const empty = selectThreadByMessageId(2)(baseState);
+      expect(empty).toEqual({ replies: [], hasMore: false, loading: false, error: null });
+      expect(selectThreadByMessageId(3)(baseState)).toBe(empty);
+    });
+  });
+
+  describe('selectPinnedMessagesByChatId', () => {
+    it('returns the pins for a given chatId', () => {
+      expect(selectPinnedMessagesByChatId('chat1')(baseState)).toEqual([
+        { message_id: 2, message: { id: 2, text: 'World' } },
+      ]);
+    });
+
+    it('returns the same empty list when chatId not present', () => {
+      const empty = selectPinnedMessagesByChatId('chatX')(baseState);
+      expect(empty).toEqual([]);
+      expect(selectPinnedMessagesByChatId('chatY')(baseState)).toBe(empty);
+    });
+  });
+
   describe('memoization behavior', () => {
     it('returns same reference when state does not change', () => {
       const selector = selectTypingUsersByChatId('chat1');
@@ -0,0 +1,55 @@
+/**
+ * outboxSelectors.test.js
+ *
+ * What These Tests Cover:
+ * 1) Counts
+ *    - Pending count and conflicts, with fallbacks when the slice is missing
+ *
+ * 2) Memoization
+ *    - selectOutboxStatus returns the same reference while the inputs are unchanged
+ */
+
+import {
+  selectPendingMutationCount,
+  selectOutboxConflicts,
+  selectOutboxStatus,
+} from '../../../../src/store/selectors/outboxSelectors';
+
+describe('outboxSelectors', () => {
+  const state = {
+    outbox: {
+      queue: [{ id: 'a' }, { id: 'b' }],
+      conflicts: [{ id: 'c' }],
+      isSyncing: true,
+    },
+  };
+
+  it('returns counts and conflicts', () => {
+    expect(selectPendingMutationCount(state)).toBe(2);
+    expect(selectOutboxConflicts(state)).toBe(state.outbox.conflicts);
+    expect(selectOutboxStatus(state)).toEqual({
+      pendingCount: 2,
+      conflictCount: 1,
+      isSyncing: true,
+    });
+  });
+
+  it('falls back when the outbox slice is missing', () => {
+    expect(selectPendingMutationCount({})).toBe(0);
+    expect(selectOutboxConflicts({})).toEqual([]);
+    expect(selectOutboxConflicts({})).toBe(selectOutboxConflicts({}));
+    expect(selectOutboxStatus({})).toEqual({
+      pendingCount: 0,
+      conflictCount: 0,
+      isSyncing: false,
+    });
+  });
+
+  it('memoizes the status object', () => {
+    const first = selectOutboxStatus(state);
+    expect(selectOutboxStatus({ ...state })).toBe(first);
+
+    const next = { outbox: { ...state.outbox, isSyncing: false } };
+    expect(selectOutboxStatus(next)).not.toBe(first);
+  });
+});
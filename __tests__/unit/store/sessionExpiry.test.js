@@ -0,0 +1,67 @@
+/**
+ * __tests__/unit/store/sessionExpiry.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Expired session
+ *    - When the server rejects the refresh token, the store signs the user out the same way
+ *      `logout` does: `auth` is reset, the outbox queue is emptied and the persisted slices
+ *      (and their snapshot in AsyncStorage) are dropped, so the next user starts clean.
+ *
+ * Notes:
+ * - Runs against the real store from src/store/index.js; only the session handler is captured.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const loadStore = () => {
+  let store;
+  let expire;
+  jest.isolateModules(() => {
+    const session = require('../../../src/utils/session');
+    const spy = jest.spyOn(session, 'setSessionExpiredHandler');
+    store = require('../../../src/store/index').default;
+    expire = spy.mock.calls[0][0];
+    spy.mockRestore();
+  });
+  return { store, expire };
+};
+
+describe('store session expiry', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("clears the previous user's outbox and persisted slices", async () => {
+    const { store, expire } = loadStore();
+    const { mutationQueued } = require('../../../src/store/reducers/outboxReducer');
+
+    store.dispatch({ type: 'auth/verifyOtp/fulfilled', payload: { user: { id: 'u-1', name: 'Sam' } } });
+    store.dispatch(
+      mutationQueued({ id: 'm-1', type: 'chat/updateChatPreferences', arg: { chatId: 7, archived: true } })
+    );
+    store.dispatch({
+      type: 'chat/fetchActiveChats/fulfilled',
+      payload: [{ id: 7, chat_id: 7, name: 'Flood Watch', members: [] }],
+    });
+    await AsyncStorage.setItem('resqzone.state', JSON.stringify({ version: 1, state: {} }));
+    expect(store.getState().outbox.queue).toHaveLength(1);
+    expect(store.getState().chat.activeChats).toHaveLength(1);
+
+    expire();
+    for (let i = 0; i < 5; i += 1) await flush();
+
+    const state = store.getState();
+    expect(state.auth.user).toBeNull();
+    expect(state.outbox.queue).toEqual([]);
+    expect(state.chat.activeChats).toEqual([]);
+    expect(await AsyncStorage.getItem('resqzone.state')).toBeNull();
+  });
+});
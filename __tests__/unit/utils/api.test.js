@@ -15,11 +15,40 @@
  * 4) Error Handling
  *    - Non-OK response throws with server message.
  *    - If decryptBody throws, error "Invalid encrypted response" is raised.
+ *    - Tampered, expired, replayed and malformed payloads get distinct error codes.
+ *
+ * 5) Timeouts, Retries & Cancellation
+ *    - A stalled fetch is aborted after `timeout` and raises code TIMEOUT.
+ *    - GET retries retryable statuses; POST does not unless `idempotent` is set.
+ *    - Each retry is encrypted again (fresh timestamp and nonce).
+ *    - A caller AbortSignal cancels the request with code ABORTED and no retry.
+ *
+ * 6) Bearer tokens
+ *    - Authorization header is injected from the session.
+ *    - A 401 triggers one refresh and the request is replayed with the new token.
+ *    - A rejected refresh clears the session and notifies the expiry handler.
+ *    - Tokens in request bodies and decrypted responses are masked in the logs.
+ *
+ * 7) Session key
+ *    - The handshake runs before the request and the key id is sent as X-Session-Key-Id.
+ *    - A SESSION_KEY_EXPIRED response rotates the key and replays the re-encrypted request.
+ *    - A failed handshake rejects with code KEY_EXCHANGE_FAILED without calling fetch, or keeps
+ *      NETWORK when the server could not be reached.
+ *
+ * 8) Transport
+ *    - setTransport routes every helper through the given transport; setTransport() restores HTTP.
+ *    - Without a pinned transport, DEV_MODE (offline-fixture profile) selects the fixture backend.
+ *    - ApiError is the class from apiError.js, so transports can throw it.
+ *
+ * 9) Response schemas
+ *    - Decrypted bodies of registered routes are validated and normalised (apiSchemas.js).
+ *    - A mismatch rejects with a ResponseSchemaError (code INVALID_RESPONSE) and is not retried.
  */
 
 
 jest.spyOn(console, 'error').mockImplementation(() => {});
 import * as api from '../../../src/utils/api'; // namespace import works with any export style
+import * as session from '../../../src/utils/session';
 
 // --- Mocks ---
 global.fetch = jest.fn();
@@ -29,9 +58,15 @@ jest.mock('src/utils/config', () => ({
   BASE_URL: 'https://mock.api',
 }));
 
+jest.mock('src/utils/apiPaths', () => ({
+  ...jest.requireActual('src/utils/apiPaths'), // the fixture backend registers every path
+  API_URL_USERS: '/users',
+}));
+
 // Keep refs to assert calls/args
 const mockEncrypt = jest.fn((body) => ({ payload: { ...body } }));
 const mockDecrypt = jest.fn((payload) => payload);
+const mockKeyId = jest.fn(() => null);
 
 // Mark as virtual so it applies even if the actual file isn’t present
 jest.mock(
@@ -39,12 +74,22 @@ jest.mock(
   () => ({
     encryptBody: (body) => mockEncrypt(body),
     decryptBody: (payload) => mockDecrypt(payload),
+    getSessionKeyId: () => mockKeyId(),
   }),
   { virtual: true }
 );
 
+const mockEnsureKey = jest.fn(async () => {});
+const mockRotateKey = jest.fn(async () => {});
+
+jest.mock('src/utils/keyExchange', () => ({
+  ensureSessionKey: () => mockEnsureKey(),
+  rotateSessionKey: () => mockRotateKey(),
+}));
+
 beforeEach(() => {
   jest.clearAllMocks();
+  fetch.mockReset();
   fetch.mockResolvedValue({
     ok: true,
     json: async () => ({}),
@@ -134,4 +179,406 @@ describe('utils/api (encrypted wrapper)', () => {
 
     await expect(api.post('/bad', {})).rejects.toThrow('Invalid encrypted response');
   });
+
+  it.each([
+    ['PAYLOAD_TAMPERED', 'Response failed integrity check'],
+    ['PAYLOAD_EXPIRED', 'Response expired'],
+    ['PAYLOAD_REPLAYED', 'Response replayed'],
+    ['INVALID_PAYLOAD', 'Malformed encrypted response'],
+  ])('reports a %s payload as its own error code', async (code, message) => {
+    mockDecrypt.mockImplementationOnce(() => {
+      throw Object.assign(new Error('rejected'), { code });
+    });
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({ payload: 'sealed' }),
+    });
+
+    await expect(api.get('/sealed')).rejects.toMatchObject({
+      name: 'ApiError',
+      code,
+      message,
+      status: 200,
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('utils/api timeouts, retries and cancellation', () => {
+  // Resolves only when the request's signal aborts, like a stalled server
+  const hangUntilAborted = (_url, { signal }) =>
+    new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+
+  const serverError = () => ({
+    ok: false,
+    status: 503,
+    json: async () => ({ message: 'Service Unavailable' }),
+  });
+
+  afterEach(() => {
+    api.setRequestDefaults({ timeout: 15000, retries: 2, retryDelay: 500 });
+  });
+
+  it('aborts a stalled request after the per-call timeout', async () => {
+    fetch.mockImplementation(hangUntilAborted);
+
+    await expect(
+      api.post('/slow', {}, {}, { timeout: 10 })
+    ).rejects.toMatchObject({ name: 'ApiError', code: 'TIMEOUT' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('uses the global timeout from setRequestDefaults', async () => {
+    api.setRequestDefaults({ timeout: 10, retries: 0 });
+    fetch.mockImplementation(hangUntilAborted);
+
+    await expect(api.get('/slow')).rejects.toMatchObject({ code: 'TIMEOUT' });
+  });
+
+  it('retries idempotent GET on retryable statuses, then succeeds', async () => {
+    fetch
+      .mockResolvedValueOnce(serverError())
+      .mockResolvedValueOnce(serverError())
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ ok: 1 }) });
+
+    const res = await api.get('/flaky', {}, {}, { retryDelay: 1 });
+
+    expect(res).toEqual({ ok: 1 });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('encrypts every retry afresh', async () => {
+    let seq = 0;
+    mockEncrypt.mockImplementation((body) => ({ payload: { ...body, seq: (seq += 1) } }));
+    fetch
+      .mockResolvedValueOnce(serverError())
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ ok: 1 }) });
+
+    await api.put('/flaky', { a: 1 }, {}, { retryDelay: 1 });
+
+    const bodies = fetch.mock.calls.map(([, init]) => JSON.parse(init.body).payload);
+    expect(bodies).toEqual([{ a: 1, seq: 1 }, { a: 1, seq: 2 }]);
+    mockEncrypt.mockImplementation((body) => ({ payload: { ...body } }));
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    fetch.mockResolvedValue(serverError());
+
+    await expect(
+      api.del('/flaky', {}, {}, { retries: 1, retryDelay: 1 })
+    ).rejects.toMatchObject({ status: 503, message: 'Service Unavailable' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry POST unless marked idempotent', async () => {
+    fetch.mockResolvedValue(serverError());
+
+    await expect(api.post('/once', {})).rejects.toThrow('Service Unavailable');
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    fetch.mockClear();
+    await expect(
+      api.post('/twice', {}, {}, { idempotent: true, retries: 1, retryDelay: 1 })
+    ).rejects.toThrow('Service Unavailable');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry client errors such as 400', async () => {
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 400,
+      json: async () => ({ message: 'Bad Request' }),
+    });
+
+    await expect(api.get('/bad', {}, {}, { retryDelay: 1 })).rejects.toThrow(
+      'Bad Request'
+    );
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels via AbortSignal with code ABORTED and no retry', async () => {
+    fetch.mockImplementation(hangUntilAborted);
+    const controller = new AbortController();
+
+    const pending = api.get('/cancel', {}, {}, { signal: controller.signal });
+    // Abort once the request is in flight (after the session key check)
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(fetch).toHaveBeenCalledTimes(1);
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ code: 'ABORTED' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects immediately when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      api.get('/cancel', {}, {}, { signal: controller.signal })
+    ).rejects.toMatchObject({ code: 'ABORTED' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('utils/api bearer tokens', () => {
+  const unauthorized = () => ({
+    ok: false,
+    status: 401,
+    json: async () => ({ message: 'Unauthorized' }),
+  });
+
+  afterEach(async () => {
+    await session.clearSession();
+    session.setSessionExpiredHandler(null);
+  });
+
+  it('injects the Authorization header from the session', async () => {
+    await session.saveSession({ accessToken: 'acc-1', refreshToken: 'ref-1' });
+
+    await api.get('/me');
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://mock.api/me',
+      expect.objectContaining({
+        headers: expect.objectContaining({ Authorization: 'Bearer acc-1' }),
+      })
+    );
+  });
+
+  it('refreshes on 401 and replays the request with the new token', async () => {
+    await session.saveSession({ accessToken: 'stale', refreshToken: 'ref-1' });
+    fetch
+      .mockResolvedValueOnce(unauthorized())
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ access_token: 'fresh', refresh_token: 'ref-2' }),
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ done: true }) });
+
+    const res = await api.post('/secure', { a: 1 });
+
+    expect(res).toEqual({ done: true });
+    expect(fetch).toHaveBeenNthCalledWith(
+      2,
+      'https://mock.api/users/refresh-token',
+      expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ payload: { refresh_token: 'ref-1' } }),
+      })
+    );
+    expect(fetch).toHaveBeenNthCalledWith(
+      3,
+      'https://mock.api/secure',
+      expect.objectContaining({
+        headers: expect.objectContaining({ Authorization: 'Bearer fresh' }),
+      })
+    );
+    expect(session.getRefreshToken()).toBe('ref-2');
+  });
+
+  it('clears the session and notifies when the refresh is rejected', async () => {
+    const onExpired = jest.fn();
+    session.setSessionExpiredHandler(onExpired);
+    await session.saveSession({ accessToken: 'stale', refreshToken: 'revoked' });
+    fetch.mockResolvedValue(unauthorized());
+
+    await expect(api.get('/secure')).rejects.toMatchObject({ status: 401 });
+
+    expect(onExpired).toHaveBeenCalledTimes(1);
+    expect(session.getAccessToken()).toBeNull();
+  });
+
+  it('masks tokens in logged requests and responses', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ payload: { access_token: 'acc-9', refresh_token: 'ref-9', user: { id: 1 } } }),
+    });
+
+    await api.post('/users/logout', { refresh_token: 'ref-1' }, { Authorization: 'Bearer acc-1' });
+
+    expect(log).toHaveBeenCalledWith('Request POST body:', { refresh_token: '[redacted]' });
+    expect(log).toHaveBeenCalledWith('Request POST headers:', { Authorization: '[redacted]' });
+    expect(log).toHaveBeenCalledWith('Responce decryptedContent: ', {
+      access_token: '[redacted]',
+      refresh_token: '[redacted]',
+      user: { id: 1 },
+    });
+    expect(JSON.stringify(log.mock.calls)).not.toMatch(/acc-|ref-/);
+    log.mockRestore();
+  });
+
+  it('redactForLog masks nested token, password and otp fields', () => {
+    expect(
+      api.redactForLog({ email: 'a@b.c', otp: '123456', items: [{ token: 't' }], password: 'p', n: 1 })
+    ).toEqual({ email: 'a@b.c', otp: '[redacted]', items: [{ token: '[redacted]' }], password: '[redacted]', n: 1 });
+    expect(api.redactForLog(null)).toBeNull();
+  });
+
+  it('does not refresh without a refresh token', async () => {
+    fetch.mockResolvedValueOnce(unauthorized());
+
+    await expect(api.get('/secure')).rejects.toThrow('Unauthorized');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('utils/api session key', () => {
+  it('negotiates the key first and sends its id with the request', async () => {
+    mockKeyId.mockReturnValue('key-1');
+
+    await api.get('/items');
+
+    expect(mockEnsureKey).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith(
+      'https://mock.api/items',
+      expect.objectContaining({
+        headers: expect.objectContaining({ 'X-Session-Key-Id': 'key-1' }),
+      })
+    );
+    mockKeyId.mockReturnValue(null);
+  });
+
+  it('rotates the key and replays the re-encrypted request when the server reports it expired', async () => {
+    fetch
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        json: async () => ({ code: 'SESSION_KEY_EXPIRED', message: 'Key expired' }),
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ saved: true }) });
+
+    const res = await api.post('/notes', { text: 'hi' });
+
+    expect(res).toEqual({ saved: true });
+    expect(mockRotateKey).toHaveBeenCalledTimes(1);
+    expect(mockEncrypt).toHaveBeenCalledTimes(2);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects with KEY_EXCHANGE_FAILED when the handshake fails', async () => {
+    mockEnsureKey.mockRejectedValueOnce(
+      Object.assign(new Error('Handshake refused'), { status: 503 })
+    );
+
+    await expect(api.post('/notes', { text: 'hi' })).rejects.toMatchObject({
+      code: 'KEY_EXCHANGE_FAILED',
+      status: 503,
+      message: 'Handshake refused',
+    });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('keeps NETWORK when the handshake could not reach the server', async () => {
+    mockEnsureKey.mockRejectedValueOnce(
+      Object.assign(new Error('Network request failed'), { code: 'NETWORK' })
+    );
+
+    await expect(api.post('/notes', { text: 'hi' })).rejects.toMatchObject({
+      code: 'NETWORK',
+      status: null,
+    });
+  });
+});
+
+describe('utils/api transport', () => {
+  afterEach(() => {
+    api.setTransport();
+  });
+
+  it('routes every helper through the installed transport', async () => {
+    const transport = { request: jest.fn(async () => ({ ok: 1 })) };
+    expect(api.setTransport(transport)).toBe(transport);
+    expect(api.getTransport()).toBe(transport);
+
+    const options = { timeout: 100 };
+    await expect(api.get('/items', { q: 'a' }, { 'X-A': '1' }, options)).resolves.toEqual({ ok: 1 });
+    await api.post('/items', { name: 'b' });
+    await api.put('/items/1', { name: 'c' });
+    await api.patch('/items/1', { name: 'd' });
+    await api.del('/items/1', { force: true });
+
+    expect(transport.request.mock.calls).toEqual([
+      ['GET', '/items', { q: 'a' }, { 'X-A': '1' }, options],
+      ['POST', '/items', { name: 'b' }, {}, {}],
+      ['PUT', '/items/1', { name: 'c' }, {}, {}],
+      ['PATCH', '/items/1', { name: 'd' }, {}, {}],
+      ['DELETE', '/items/1', { force: true }, {}, {}],
+    ]);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(mockEncrypt).not.toHaveBeenCalled();
+  });
+
+  it('restores the HTTP transport when called without one', async () => {
+    api.setTransport({ request: jest.fn() });
+
+    expect(api.setTransport()).toBe(api.httpTransport);
+    await api.get('/items');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('follows DEV_MODE when no transport is pinned', async () => {
+    const config = require('src/utils/config');
+    api.setTransport();
+    config.DEV_MODE = true;
+    try {
+      const fixtures = api.getTransport();
+      expect(fixtures).not.toBe(api.httpTransport);
+      expect(api.getTransport()).toBe(fixtures); // created once
+      expect(fixtures.server).toBeDefined();
+      await expect(api.get('/no-such-route')).rejects.toMatchObject({ status: 404 });
+      expect(fetch).not.toHaveBeenCalled();
+    } finally {
+      config.DEV_MODE = false;
+    }
+    expect(api.getTransport()).toBe(api.httpTransport);
+  });
+
+  it('re-exports ApiError from apiError.js', () => {
+    const { ApiError } = require('../../../src/utils/apiError');
+    const error = new api.ApiError('Nope', { status: 418 });
+
+    expect(api.ApiError).toBe(ApiError);
+    expect(error).toMatchObject({ name: 'ApiError', code: 'HTTP_ERROR', status: 418 });
+  });
+});
+
+describe('utils/api response schemas', () => {
+  const { API_URL_ALERTS, API_URL_TASKS } = jest.requireActual('src/utils/apiPaths');
+
+  it('validates and normalises the decrypted body of a registered route', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({ payload: { alerts: [{ id: 1, title: 'Flood' }], has_more: false, total_count: 1 } }),
+    });
+
+    const res = await api.get(`${API_URL_ALERTS}?category=All`);
+
+    expect(res).toMatchObject({ hasMore: false, totalCount: 1 });
+  });
+
+  it('rejects a mismatching body with INVALID_RESPONSE and does not retry', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({ payload: { tasks: 'none' } }),
+    });
+
+    const error = await api.get(`${API_URL_TASKS}/7`).catch((e) => e);
+
+    expect(error).toMatchObject({
+      name: 'ResponseSchemaError',
+      code: 'INVALID_RESPONSE',
+      status: 200,
+      route: `GET ${API_URL_TASKS}/:userId`,
+      issues: [{ path: 'tasks', message: 'should be array, got string' }],
+    });
+    expect(api.getErrorMeta(error)).toEqual({ status: 200, code: 'INVALID_RESPONSE' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
 });
@@ -16,6 +16,7 @@ import {
   API_URL_DASHBOARD,
   API_URL_BADGES,
   API_URL_ALERTS,
+  API_URL_HANDSHAKE,
 } from 'src/utils/apiPaths';
 
 describe('utils/apiPaths', () => {
@@ -54,4 +55,8 @@ describe('utils/apiPaths', () => {
   it('should export correct API_URL_ALERTS', () => {
     expect(API_URL_ALERTS).toBe('/v0.0/alerts');
   });
+
+  it('should export correct API_URL_HANDSHAKE', () => {
+    expect(API_URL_HANDSHAKE).toBe('/v0.0/handshake');
+  });
 });
@@ -0,0 +1,355 @@
+/**
+ * __tests__/unit/utils/apiSchemas.test.js
+ *
+ * What this test file covers:
+ *
+ * 1) Registry
+ *    - Every route is keyed under an API_URL_* path and its fixture passes its own schema.
+ *
+ * 2) findResponseSchema
+ *    - Concrete endpoints (params, query strings, trailing slashes) resolve to their route;
+ *      literal routes win over catch-alls; unknown endpoints resolve to null.
+ *
+ * 3) validateResponse
+ *    - Returns the normalised body (aliases, fallbacks) and passes unknown endpoints through.
+ *    - Chats, members and users without a name pass, so the screens' fallbacks apply.
+ *    - verify-otp must carry the session tokens.
+ *    - Throws a ResponseSchemaError with route, issues, status and code INVALID_RESPONSE.
+ *
+ * 4) responseFixture
+ *    - Builds samples for a concrete endpoint and merges overrides.
+ *
+ * 5) Fixture server contract
+ *    - The in-process fixture server answers every seeded read with a valid body.
+ *    - Poll writes (create, vote, close, voters) answer with valid bodies.
+ *    - Event writes (create, RSVP) answer with valid bodies.
+ *    - Thread replies (post, page) answer with valid bodies.
+ *    - Reactions (add, remove) answer with valid bodies.
+ *    - Photo uploads and image messages answer with valid bodies.
+ */
+
+import * as paths from 'src/utils/apiPaths';
+import {
+  apiSchemas,
+  findResponseSchema,
+  validateResponse,
+  responseFixture,
+} from 'src/utils/apiSchemas';
+import { ApiError, ResponseSchemaError } from 'src/utils/apiError';
+import { validate } from 'src/utils/schema';
+import { createFixtureServer } from 'src/data/fixtureServer';
+
+const {
+  API_URL_CHAT,
+  API_URL_TASKS,
+  API_URL_ALERTS,
+  API_URL_DOCUMENTS,
+  API_URL_QUIZZES,
+  API_URL_USERS,
+  API_URL_HANDSHAKE,
+} = paths;
+
+const routes = Object.entries(apiSchemas).flatMap(([base, entries]) =>
+  Object.keys(entries).map((key) => [base, key])
+);
+
+describe('utils/apiSchemas registry', () => {
+  it('is keyed by the API_URL_* paths (except the handshake)', () => {
+    const keys = Object.keys(apiSchemas).sort();
+    const expected = Object.entries(paths)
+      .filter(([name]) => name.startsWith('API_URL_'))
+      .map(([, path]) => path)
+      .filter((path) => path !== API_URL_HANDSHAKE)
+      .sort();
+
+    expect(keys).toEqual(expected);
+  });
+
+  it.each(routes)('%s %s has a fixture that passes its schema', (base, key) => {
+    const schema = apiSchemas[base][key];
+    const [method, sub] = key.split(' ');
+    const endpoint = (sub === '/' ? base : base + sub).replace(/:[^/]+/g, '42');
+
+    expect(findResponseSchema(method, endpoint).schema).toBe(schema);
+    expect(validate(schema, responseFixture(method, endpoint)).issues).toEqual([]);
+  });
+});
+
+describe('utils/apiSchemas findResponseSchema', () => {
+  it('resolves concrete endpoints to their route', () => {
+    expect(findResponseSchema('GET', `${API_URL_TASKS}/7`).route).toBe(`GET ${API_URL_TASKS}/:userId`);
+    expect(findResponseSchema('get', `${API_URL_ALERTS}?category=All&page=1`).route).toBe(`GET ${API_URL_ALERTS}`);
+    expect(findResponseSchema('POST', `${API_URL_DOCUMENTS}/`).route).toBe(`POST ${API_URL_DOCUMENTS}`);
+    expect(findResponseSchema('GET', `${API_URL_USERS}/suggestions?search=al`).route).toBe(
+      `GET ${API_URL_USERS}/suggestions`
+    );
+  });
+
+  it('prefers literal routes over catch-alls', () => {
+    expect(findResponseSchema('GET', `${API_URL_TASKS}/progress/7`).route).toBe(`GET ${API_URL_TASKS}/progress/:userId`);
+    expect(findResponseSchema('GET', `${API_URL_QUIZZES}/history/7`).route).toBe(`GET ${API_URL_QUIZZES}/history/:userId`);
+    expect(findResponseSchema('GET', `${API_URL_QUIZZES}/3/stats`).route).toBe(`GET ${API_URL_QUIZZES}/:quizId/stats`);
+  });
+
+  it('returns null for unknown endpoints and methods', () => {
+    expect(findResponseSchema('GET', '/v9/unknown')).toBeNull();
+    expect(findResponseSchema('PUT', `${API_URL_TASKS}/7`)).toBeNull();
+  });
+});
+
+describe('utils/apiSchemas validateResponse', () => {
+  it('returns the normalised body', () => {
+    const body = validateResponse('GET', `${API_URL_ALERTS}?page=2`, {
+      alerts: [{ id: 1, title: 'Flood' }],
+      has_more: true,
+      total_count: 9,
+    });
+
+    expect(body).toMatchObject({ hasMore: true, totalCount: 9 });
+  });
+
+  it('fills chat ids and fallbacks on chat summaries', () => {
+    const { data } = validateResponse('GET', `${API_URL_CHAT}/list/1`, {
+      data: [{ chat_id: 3, name: 'Block party', members: [] }],
+    });
+
+    expect(data[0]).toEqual({
+      id: 3,
+      chat_id: 3,
+      name: 'Block party',
+      members: [],
+      is_group: false,
+      description: null,
+      avatar: null,
+      announcement_only: false,
+      preferences: { muted_until: null, archived: false, notification_level: 'all' },
+      unread_mention_count: 0,
+      lastMessage: null,
+      last_message_id: null,
+      last_message_sender_id: null,
+    });
+  });
+
+  it('requires the session tokens on verify-otp', () => {
+    expect(() => validateResponse('POST', `${API_URL_USERS}/verify-otp`, { user: { id: 4 } })).toThrow(
+      ResponseSchemaError
+    );
+    expect(validateResponse('POST', `${API_URL_USERS}/verify-otp`, { user: { id: 4 }, token: 'jwt' })).toMatchObject({
+      access_token: 'jwt',
+    });
+  });
+
+  it('accepts chats and members without a name', () => {
+    const { data } = validateResponse('GET', `${API_URL_CHAT}/list/1`, {
+      data: [
+        {
+          chat_id: 3,
+          name: null,
+          members: [
+            { id: 1, name: null, first_name: 'Sam' },
+            { id: 2, first_name: 'Priya' },
+          ],
+        },
+      ],
+    });
+
+    expect(data[0]).toMatchObject({
+      chat_id: 3,
+      name: null,
+      members: [{ id: 1, name: null, first_name: 'Sam' }, { id: 2, first_name: 'Priya' }],
+    });
+  });
+
+  it('accepts users without a name', () => {
+    const { data } = validateResponse('GET', `${API_URL_USERS}/suggestions`, {
+      data: [{ id: 4, name: null, first_name: 'Jo', last_name: 'Lee' }],
+    });
+
+    expect(data).toEqual([{ id: 4, name: null, first_name: 'Jo', last_name: 'Lee' }]);
+  });
+
+  it('reads roles and mutes on chat members', () => {
+    const { chat } = validateResponse('GET', `${API_URL_CHAT}/3`, {
+      chat: {
+        chat_id: 3,
+        name: 'Block party',
+        is_group: true,
+        members: [
+          { id: 1, name: 'Sam', role: 'owner' },
+          { id: 2, name: 'Priya', role: 'member', muted_until: '2025-04-10T09:00:00.000Z' },
+        ],
+      },
+    });
+
+    expect(chat.members).toEqual([
+      { id: 1, name: 'Sam', role: 'owner', muted_until: null },
+      { id: 2, name: 'Priya', role: 'member', muted_until: '2025-04-10T09:00:00.000Z' },
+    ]);
+    expect(() =>
+      validateResponse('GET', `${API_URL_CHAT}/3`, {
+        chat: { chat_id: 3, name: 'Block party', members: [{ id: 1, name: 'Sam', role: 'moderator' }] },
+      })
+    ).toThrow();
+  });
+
+  it('passes unknown endpoints through untouched', () => {
+    const body = { anything: true };
+
+    expect(validateResponse('GET', '/v9/unknown', body)).toBe(body);
+  });
+
+  it('throws a typed error listing the mismatches', () => {
+    let error;
+    try {
+      validateResponse('GET', `${API_URL_TASKS}/7`, { task: [] }, { status: 200 });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ResponseSchemaError);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({
+      name: 'ResponseSchemaError',
+      code: 'INVALID_RESPONSE',
+      status: 200,
+      route: `GET ${API_URL_TASKS}/:userId`,
+      issues: [{ path: 'tasks', message: 'is missing' }],
+      message: `Unexpected response from GET ${API_URL_TASKS}/:userId: tasks is missing`,
+    });
+  });
+});
+
+describe('utils/apiSchemas responseFixture', () => {
+  it('builds a sample for a concrete endpoint and merges overrides', () => {
+    const sample = responseFixture('GET', `${API_URL_TASKS}/1`, { extra: 1 });
+
+    expect(sample.tasks[0]).toMatchObject({ id: 1, title: 'Build an emergency kit', xp: 50 });
+    expect(sample.extra).toBe(1);
+  });
+
+  it('throws for endpoints without a schema', () => {
+    expect(() => responseFixture('GET', '/v9/unknown')).toThrow('No response schema for GET /v9/unknown');
+  });
+});
+
+describe('utils/apiSchemas fixture server contract', () => {
+  const reads = [
+    `${API_URL_CHAT}/list/1`,
+    `${API_URL_CHAT}/1`,
+    `${API_URL_CHAT}/1/messages`,
+    `${API_URL_CHAT}/1/messages?limit=1&before=2`,
+    `${API_URL_CHAT}/1/messages/1/replies?limit=20`,
+    `${API_URL_USERS}/suggestions?search=a`,
+    `${API_URL_USERS}/emergency-contacts/1`,
+    `${API_URL_DOCUMENTS}/1`,
+    `${API_URL_TASKS}/1`,
+    `${API_URL_TASKS}/progress/1`,
+    `${API_URL_QUIZZES}/user/1`,
+    `${API_URL_QUIZZES}/history/1`,
+    `${API_URL_QUIZZES}/1`,
+    `${API_URL_QUIZZES}/1/stats`,
+    `${API_URL_ALERTS}?category=All`,
+    `${API_URL_ALERTS}/system?userId=1`,
+    `${API_URL_ALERTS}/pending-actions`,
+    `${API_URL_ALERTS}/user/1`,
+  ];
+
+  it.each(reads)('GET %s matches its schema', async (endpoint) => {
+    const { status, body } = await createFixtureServer().handle('GET', endpoint);
+
+    expect(status).toBe(200);
+    expect(() => validateResponse('GET', endpoint, body)).not.toThrow();
+  });
+
+  it('answers poll writes with valid bodies', async () => {
+    const server = createFixtureServer();
+    const call = async (method, endpoint, data) => {
+      const { status, body } = await server.handle(method, endpoint, data);
+      expect(status).toBe(200);
+      return validateResponse(method, endpoint, body);
+    };
+
+    const { message } = await call('POST', `${API_URL_CHAT}/2/polls`, {
+      sender_id: 1,
+      question: 'Meet where?',
+      options: ['Library', 'Park'],
+    });
+    const base = `${API_URL_CHAT}/2/polls/${message.poll.id}`;
+    await call('POST', `${base}/vote`, { user_id: 2, option_ids: [1] });
+    await call('POST', `${base}/close`, { user_id: 1 });
+    await call('GET', `${base}/voters?user_id=1`);
+  });
+  it('answers event writes with valid bodies', async () => {
+    const server = createFixtureServer();
+    const call = async (method, endpoint, data) => {
+      const { status, body } = await server.handle(method, endpoint, data);
+      expect(status).toBe(200);
+      return validateResponse(method, endpoint, body);
+    };
+
+    const { message } = await call('POST', `${API_URL_CHAT}/2/events`, {
+      sender_id: 1,
+      title: 'Cleanup',
+      starts_at: new Date(Date.now() + 3600000).toISOString(),
+      capacity: 4,
+    });
+    await call('POST', `${API_URL_CHAT}/2/events/${message.event.id}/rsvp`, {
+      user_id: 2,
+      status: 'going',
+      add_to_tasks: true,
+    });
+    await call('GET', `${API_URL_TASKS}/2`);
+  });
+  it('answers thread replies with valid bodies', async () => {
+    const server = createFixtureServer();
+    const call = async (method, endpoint, data) => {
+      const { status, body } = await server.handle(method, endpoint, data);
+      expect(status).toBe(200);
+      return validateResponse(method, endpoint, body);
+    };
+
+    const posted = await call('POST', `${API_URL_CHAT}/2/messages/3/replies`, {
+      sender_id: 1,
+      message: 'On my way',
+    });
+    const page = await call('GET', `${API_URL_CHAT}/2/messages/3/replies?limit=1`);
+
+    expect(posted.reply_count).toBe(1);
+    expect(page).toMatchObject({ hasMore: false, data: [{ parent_message_id: 3 }] });
+  });
+  it('answers reaction writes with valid bodies', async () => {
+    const server = createFixtureServer();
+    const endpoint = `${API_URL_CHAT}/2/messages/3/reactions`;
+    const call = async (method, data) => {
+      const { status, body } = await server.handle(method, endpoint, data);
+      expect(status).toBe(200);
+      return validateResponse(method, endpoint, body);
+    };
+
+    const added = await call('POST', { user_id: 1, emoji: '❤️' });
+    const removed = await call('DELETE', { user_id: 1 });
+
+    expect(added.reactions).toEqual([{ emoji: '❤️', user: { id: 1, name: expect.any(String) } }]);
+    expect(removed.reactions).toEqual([]);
+  });
+  it('answers photo uploads with valid bodies', async () => {
+    const server = createFixtureServer();
+    const call = async (endpoint, data) => {
+      const { status, body } = await server.handle('POST', endpoint, data);
+      expect(status).toBe(200);
+      return validateResponse('POST', endpoint, body);
+    };
+
+    const { upload_id } = await call(`${API_URL_CHAT}/2/uploads`, { sender_id: 1, offset: 0, data: 'aW1hZ2U=' });
+    const { message } = await call(`${API_URL_CHAT}/2/images`, {
+      sender_id: 1,
+      upload_id,
+      mime_type: 'image/jpeg',
+      width: 10,
+      height: 10,
+      location: { latitude: 51.5, longitude: -0.12 },
+    });
+
+    expect(message.image.location).toEqual({ latitude: 51.5, longitude: -0.12 });
+  });
+});
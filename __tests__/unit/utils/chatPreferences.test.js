@@ -0,0 +1,90 @@
+/**
+ * chatPreferences.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Defaults & mutes
+ *    - preferencesOf fills in the defaults; muteUntil turns a mute option into an end date and
+ *      isChatMuted / muteLabel read it back.
+ *
+ * 2. Changes
+ *    - toPreferenceFields maps only the given changes to API fields; applyPreferenceChanges merges them.
+ *
+ * 3. Badges & pushes
+ *    - showsUnreadBadge is quiet for muted chats and levels other than "all".
+ *    - shouldNotify skips the sender, muted chats and "none", and limits "mentions" to mentions.
+ */
+
+import {
+  MUTED_FOREVER,
+  DEFAULT_PREFERENCES,
+  preferencesOf,
+  muteUntil,
+  isChatMuted,
+  muteLabel,
+  toPreferenceFields,
+  applyPreferenceChanges,
+  showsUnreadBadge,
+  shouldNotify,
+} from '../../../src/utils/chatPreferences';
+
+const now = new Date('2025-04-10T09:00:00.000Z').getTime();
+
+describe('chatPreferences', () => {
+  test('preferencesOf fills in the defaults', () => {
+    expect(preferencesOf({ id: 1 })).toEqual(DEFAULT_PREFERENCES);
+    expect(preferencesOf({ preferences: { archived: true } })).toEqual({ ...DEFAULT_PREFERENCES, archived: true });
+    expect(preferencesOf(null)).toEqual(DEFAULT_PREFERENCES);
+  });
+
+  test('muteUntil turns an option into an end date that isChatMuted reads', () => {
+    expect(muteUntil('1h', now)).toBe('2025-04-10T10:00:00.000Z');
+    expect(muteUntil('8h', now)).toBe('2025-04-10T17:00:00.000Z');
+    expect(muteUntil('forever', now)).toBe(MUTED_FOREVER);
+    expect(muteUntil('2d', now)).toBeNull();
+
+    expect(isChatMuted({ muted_until: muteUntil('1h', now) }, now)).toBe(true);
+    expect(isChatMuted({ muted_until: '2025-04-10T08:59:00.000Z' }, now)).toBe(false);
+    expect(isChatMuted({ muted_until: null }, now)).toBe(false);
+  });
+
+  test('muteLabel describes a running mute', () => {
+    expect(muteLabel({ muted_until: MUTED_FOREVER }, now)).toBe('Muted');
+    expect(muteLabel({ muted_until: muteUntil('1h', now) }, now)).toMatch(/^Muted until \d\d:\d\d$/);
+    expect(muteLabel({ muted_until: null }, now)).toBeNull();
+  });
+
+  test('toPreferenceFields maps only the given changes', () => {
+    expect(toPreferenceFields({ mutedUntil: null })).toEqual({ muted_until: null });
+    expect(toPreferenceFields({ archived: 1, notificationLevel: 'none' })).toEqual({
+      archived: true,
+      notification_level: 'none',
+    });
+    expect(toPreferenceFields()).toEqual({});
+    expect(applyPreferenceChanges({ archived: true }, { notificationLevel: 'mentions' })).toEqual({
+      muted_until: null,
+      archived: true,
+      notification_level: 'mentions',
+    });
+  });
+
+  test('showsUnreadBadge is quiet for muted chats and other levels', () => {
+    expect(showsUnreadBadge(DEFAULT_PREFERENCES, now)).toBe(true);
+    expect(showsUnreadBadge({ muted_until: MUTED_FOREVER }, now)).toBe(false);
+    expect(showsUnreadBadge({ notification_level: 'mentions' }, now)).toBe(false);
+    expect(showsUnreadBadge({ archived: true }, now)).toBe(true);
+  });
+
+  test('shouldNotify follows the member preferences', () => {
+    const message = { id: 5, sender_id: 1, content: 'Hi' };
+    const mention = { ...message, mentions: [{ id: 2, name: 'Priya' }] };
+
+    expect(shouldNotify(DEFAULT_PREFERENCES, message, 2, now)).toBe(true);
+    expect(shouldNotify(DEFAULT_PREFERENCES, message, 1, now)).toBe(false);
+    expect(shouldNotify({ muted_until: MUTED_FOREVER }, mention, 2, now)).toBe(false);
+    expect(shouldNotify({ notification_level: 'none' }, mention, 2, now)).toBe(false);
+    expect(shouldNotify({ notification_level: 'mentions' }, message, 2, now)).toBe(false);
+    expect(shouldNotify({ notification_level: 'mentions' }, mention, 2, now)).toBe(true);
+    expect(shouldNotify(DEFAULT_PREFERENCES, { id: 6, sender: { id: 2 } }, 2, now)).toBe(false);
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * __tests__/unit/utils/config.test.js
+ *
+ * What this test file covers:
+ *
+ * 1) Startup
+ *    - The build's profile from app.json (`expo.extra.envProfile`) is applied on load.
+ *    - A misconfigured build profile throws a ConfigError when the module loads.
+ *
+ * 2) validateProfile
+ *    - Unknown profiles, non-boolean flags, bad or localhost URLs, missing API keys
+ *      a pinned server key on every profile but `local` that talks to a server, and
+ *      release-profile rules.
+ *
+ * 3) switchEnvironmentProfile
+ *    - Updates the live bindings and persists the choice; the default profile clears it.
+ *    - Refuses invalid profiles with a ConfigError.
+ *
+ * 4) restoreEnvironmentProfile
+ *    - Re-applies a valid stored profile and drops an invalid one.
+ *    - Release builds (DEVELOPER_TOOLS off) ignore the stored profile.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const appExtra = require('../../../app.json').expo.extra;
+
+// Fresh copy of config.js, optionally against a different `expo.extra`
+const loadConfig = (extra = appExtra) => {
+  let config;
+  jest.isolateModules(() => {
+    jest.doMock('expo-constants', () => ({
+      __esModule: true,
+      default: { expoConfig: { extra } },
+    }));
+    config = require('src/utils/config');
+  });
+  return config;
+};
+
+const KEYS = { openWeather: 'w', news: 'n', openCage: 'c' };
+const PIN = 'LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=';
+
+// app.json with the staging and production server keys pinned
+const pinnedExtra = {
+  ...appExtra,
+  envProfiles: {
+    ...appExtra.envProfiles,
+    staging: { ...appExtra.envProfiles.staging, serverPublicKeySha256: PIN },
+    production: { ...appExtra.envProfiles.production, serverPublicKeySha256: PIN },
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  AsyncStorage.getItem.mockResolvedValue(null);
+});
+
+describe('utils/config startup', () => {
+  it('applies the build profile from app.json', () => {
+    const config = loadConfig();
+    const local = appExtra.envProfiles[appExtra.envProfile];
+
+    expect(config.DEFAULT_PROFILE).toBe(appExtra.envProfile);
+    expect(config.ENV_PROFILE).toBe(appExtra.envProfile);
+    expect(config.BASE_URL).toBe(local.apiBaseUrl);
+    expect(config.DEV_MODE).toBe(local.devMode);
+    expect(config.autoSetOTP).toBe(local.autoSetOTP);
+    expect(config.OPENWEATHER_API_KEY).toBe(appExtra.apiKeys.openWeather);
+  });
+
+  it('declares a valid profile for every environment', () => {
+    const config = loadConfig();
+    const profiles = config.getEnvironmentProfiles();
+
+    expect(profiles.map((p) => p.name)).toEqual([
+      'local',
+      'staging',
+      'production',
+      'offline-fixture',
+    ]);
+    // staging and production stay unusable until their server key fingerprints are filled in
+    const deployed = ['staging', 'production'];
+    profiles
+      .filter((p) => !deployed.includes(p.name) || p.serverPublicKeySha256)
+      .forEach((p) => expect(p.errors).toEqual([]));
+    profiles
+      .filter((p) => deployed.includes(p.name) && !p.serverPublicKeySha256)
+      .forEach((p) =>
+        expect(p.errors).toEqual([`${p.name} talks to a server; pin serverPublicKey or serverPublicKeySha256`])
+      );
+    expect(profiles.filter((p) => p.isDefault)).toHaveLength(1);
+  });
+
+  it('throws a ConfigError when the build profile is invalid', () => {
+    const extra = {
+      envProfile: 'broken',
+      envProfiles: { broken: { apiBaseUrl: 'http://localhost:3005', devMode: 'no' } },
+      apiKeys: KEYS,
+    };
+
+    expect(() => loadConfig(extra)).toThrow(/Invalid environment profile "broken"/);
+  });
+});
+
+describe('utils/config validateProfile', () => {
+  const { validateProfile } = loadConfig();
+  const valid = {
+    apiBaseUrl: 'https://api.example.com',
+    devMode: false,
+    autoSetOTP: false,
+    externalApis: true,
+    serverPublicKeySha256: PIN,
+  };
+
+  it('accepts a complete profile', () => {
+    expect(validateProfile('x', valid, KEYS)).toEqual([]);
+  });
+
+  it('rejects unknown profiles', () => {
+    expect(validateProfile('nope')).toEqual(['Unknown environment profile "nope"']);
+  });
+
+  it('requires boolean flags', () => {
+    expect(validateProfile('x', { ...valid, devMode: 'false', autoSetOTP: undefined }, KEYS)).toEqual([
+      'x.devMode must be true or false',
+      'x.autoSetOTP must be true or false',
+    ]);
+  });
+
+  it('requires an http(s) URL unless devMode is on, and rejects localhost', () => {
+    expect(validateProfile('x', { ...valid, apiBaseUrl: null }, KEYS)).toEqual([
+      'x.apiBaseUrl must be an http(s) URL',
+    ]);
+    expect(validateProfile('x', { ...valid, apiBaseUrl: 'ftp://host' }, KEYS)).toHaveLength(1);
+    expect(validateProfile('x', { ...valid, apiBaseUrl: 'http://localhost:3005' }, KEYS)[0]).toMatch(
+      /must not be localhost/
+    );
+    expect(validateProfile('x', { ...valid, apiBaseUrl: null, devMode: true }, KEYS)).toEqual([]);
+  });
+
+  it('requires API keys while externalApis is on', () => {
+    expect(validateProfile('x', valid, { news: 'n' })).toEqual([
+      'apiKeys.openWeather is required while x.externalApis is on',
+      'apiKeys.openCage is required while x.externalApis is on',
+    ]);
+    expect(validateProfile('x', { ...valid, externalApis: false }, {})).toEqual([]);
+  });
+
+  it('enforces release rules', () => {
+    const errors = validateProfile(
+      'prod',
+      { ...valid, apiBaseUrl: 'http://api.example.com', devMode: true, autoSetOTP: true, release: true },
+      KEYS
+    );
+
+    expect(errors).toEqual([
+      'prod is a release profile; devMode must be off',
+      'prod is a release profile; autoSetOTP must be off',
+      'prod is a release profile; apiBaseUrl must use https',
+    ]);
+    expect(validateProfile('prod', { ...valid, release: true }, KEYS)).toEqual([]);
+  });
+
+  it('requires a pinned server key on every profile but local that talks to a server', () => {
+    const unpinned = { ...valid, serverPublicKeySha256: null };
+
+    // like staging in app.json: not a release profile, but the key exchange still needs a pin
+    expect(validateProfile('staging', unpinned, KEYS)).toEqual([
+      'staging talks to a server; pin serverPublicKey or serverPublicKeySha256',
+    ]);
+    expect(validateProfile('prod', { ...unpinned, release: true }, KEYS)).toEqual([
+      'prod talks to a server; pin serverPublicKey or serverPublicKeySha256',
+    ]);
+    expect(validateProfile('staging', { ...unpinned, serverPublicKey: 'PEM' }, KEYS)).toEqual([]);
+    expect(validateProfile('local', { ...unpinned, apiBaseUrl: 'http://192.168.1.2:3005' }, KEYS)).toEqual([]);
+    expect(validateProfile('fixture', { ...unpinned, apiBaseUrl: null, devMode: true }, KEYS)).toEqual([]);
+  });
+
+  it('requires a base64 SHA-256 key fingerprint', () => {
+    expect(validateProfile('x', { ...valid, serverPublicKeySha256: 'abc' }, KEYS)).toEqual([
+      'x.serverPublicKeySha256 must be a base64 SHA-256 digest',
+    ]);
+    expect(validateProfile('x', { ...valid, serverPublicKeySha256: PIN }, KEYS)).toEqual([]);
+  });
+});
+
+describe('utils/config switchEnvironmentProfile', () => {
+  it('updates the live bindings and persists the choice', async () => {
+    const config = loadConfig();
+
+    const active = await config.switchEnvironmentProfile('offline-fixture');
+
+    expect(active).toEqual({
+      name: 'offline-fixture',
+      apiBaseUrl: null,
+      devMode: true,
+      autoSetOTP: true,
+      externalApis: false,
+      release: false,
+    });
+    expect(config.BASE_URL).toBeNull();
+    expect(config.DEV_MODE).toBe(true);
+    expect(config.isLocalServer).toBe(false);
+    expect(config.OPENWEATHER_API_KEY).toBe(false);
+    expect(AsyncStorage.setItem).toHaveBeenCalledWith(config.PROFILE_STORAGE_KEY, 'offline-fixture');
+  });
+
+  it('clears the stored choice when switching back to the default', async () => {
+    const config = loadConfig(pinnedExtra);
+    await config.switchEnvironmentProfile('staging');
+
+    await config.switchEnvironmentProfile(config.DEFAULT_PROFILE);
+
+    expect(config.ENV_PROFILE).toBe(config.DEFAULT_PROFILE);
+    expect(AsyncStorage.removeItem).toHaveBeenCalledWith(config.PROFILE_STORAGE_KEY);
+  });
+
+  it('refuses an invalid profile and keeps the current one', async () => {
+    const config = loadConfig();
+
+    await expect(config.switchEnvironmentProfile('nope')).rejects.toMatchObject({
+      name: 'ConfigError',
+      errors: ['Unknown environment profile "nope"'],
+    });
+    expect(config.ENV_PROFILE).toBe(config.DEFAULT_PROFILE);
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+  });
+});
+
+describe('utils/config restoreEnvironmentProfile', () => {
+  it('re-applies a valid stored profile', async () => {
+    const config = loadConfig(pinnedExtra);
+    AsyncStorage.getItem.mockResolvedValueOnce('production');
+
+    const active = await config.restoreEnvironmentProfile();
+
+    expect(active.name).toBe('production');
+    expect(active.release).toBe(true);
+    expect(config.BASE_URL).toBe(appExtra.envProfiles.production.apiBaseUrl);
+    expect(config.autoSetOTP).toBe(false);
+    expect(config.SERVER_PUBLIC_KEY_SHA256).toBe(PIN);
+  });
+
+  it('never re-applies a stored profile in a release build', async () => {
+    const config = loadConfig({ ...pinnedExtra, envProfile: 'production' });
+    AsyncStorage.getItem.mockResolvedValue('offline-fixture');
+
+    const active = await config.restoreEnvironmentProfile();
+
+    expect(config.DEVELOPER_TOOLS).toBe(false);
+    expect(active.name).toBe('production');
+    expect(config.DEV_MODE).toBe(false);
+    expect(AsyncStorage.getItem).not.toHaveBeenCalled();
+    expect(loadConfig().DEVELOPER_TOOLS).toBe(true);
+  });
+
+  it('drops a stored profile that is no longer valid', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const config = loadConfig();
+    AsyncStorage.getItem.mockResolvedValueOnce('removed-profile');
+
+    const active = await config.restoreEnvironmentProfile();
+
+    expect(active.name).toBe(config.DEFAULT_PROFILE);
+    expect(AsyncStorage.removeItem).toHaveBeenCalledWith(config.PROFILE_STORAGE_KEY);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
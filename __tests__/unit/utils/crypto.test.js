@@ -4,16 +4,24 @@
  * What this test file covers:
  *
  * 1) encryptBody → shape & round-trip
- *    - Produces "ivHex:encryptedHex" payload and decrypts back to original object.
+ *    - Produces "timestamp:nonceHex:ivHex:encryptedHex:tagHex" and decrypts back to the
+ *      original object.
  *
- * 2) IV length and hex format
+ * 2) IV / nonce length and hex format
  *    - Ensures IV hex matches expected length from IV_LENGTH (16 bytes → 32 hex chars).
  *
  * 3) decryptBody invalid format
- *    - Throws when payload does not contain ":" separator.
+ *    - Throws INVALID_PAYLOAD when the envelope does not have five fields.
  *
- * 4) decryptBody failure on tampered ciphertext
- *    - Throws "Failed to decrypt payload" for malformed ciphertext.
+ * 4) Authentication
+ *    - Modified ciphertext, IV, timestamp or tag → PAYLOAD_TAMPERED.
+ *    - Timestamps outside PAYLOAD_MAX_AGE_MS → PAYLOAD_EXPIRED.
+ *    - A second delivery of the same envelope → PAYLOAD_REPLAYED.
+ *    - With a server clock offset, timestamps are written and checked in server time.
+ *
+ * 5) Session key lifecycle
+ *    - encryptBody refuses to run without a key or with an expired key.
+ *    - After a rotation, payloads encrypted with the previous key still decrypt.
  */
 
 // Satisfy the RN polyfill import used by the implementation
@@ -21,24 +29,60 @@ jest.mock('react-native-get-random-values', () => ({}), { virtual: true });
 
 // Ensure the module under test receives stable config values
 jest.mock('src/utils/config', () => ({
-  ENCRYPTION_KEY: '12345678901234567890123456789012', // 32 chars for AES-256
   IV_LENGTH: 16, // 16-byte IV for AES-CBC
 }));
 
 import CryptoJS from 'crypto-js';
-import { encryptBody, decryptBody } from 'src/utils/crypto';
+import {
+  encryptBody,
+  decryptBody,
+  setSessionKey,
+  clearSessionKey,
+  getSessionKeyId,
+  hasValidSessionKey,
+  generateSessionKey,
+  SessionKeyError,
+  PayloadError,
+  PAYLOAD_MAX_AGE_MS,
+  setServerClockOffset,
+  getServerClockOffset,
+} from 'src/utils/crypto';
+
+const KEY_A = 'a'.repeat(64); // 32 bytes as hex
+const KEY_B = 'b'.repeat(64);
+
+const errorFrom = (fn) => {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  return null;
+};
+
+// Flip the first hex digit of one envelope field
+const tamper = (payload, index) => {
+  const parts = payload.split(':');
+  const [first, ...rest] = parts[index];
+  parts[index] = (first === '0' ? '1' : '0') + rest.join('');
+  return parts.join(':');
+};
 
 describe('utils/crypto encryption helpers', () => {
   const originalCrypto = global.crypto;
 
   beforeEach(() => {
-    // Deterministic getRandomValues so tests are stable
+    // Deterministic getRandomValues so tests are stable; the counter keeps nonces unique
+    let calls = 0;
     global.crypto = {
       getRandomValues: (arr) => {
-        for (let i = 0; i < arr.length; i += 1) arr[i] = i % 256;
+        calls += 1;
+        for (let i = 0; i < arr.length; i += 1) arr[i] = (i + calls) % 256;
         return arr;
       },
     };
+    clearSessionKey();
+    setSessionKey({ keyHex: KEY_A, keyId: 'k-a' });
   });
 
   afterEach(() => {
@@ -46,13 +90,14 @@ describe('utils/crypto encryption helpers', () => {
     jest.clearAllMocks();
   });
 
-  it('encryptBody returns payload "ivHex:encryptedHex" and decryptBody round-trips', () => {
+  it('encryptBody returns an authenticated envelope and decryptBody round-trips', () => {
     const obj = { user: 'alice', role: 'doctor', n: 42 };
 
     const { payload } = encryptBody(obj);
 
     expect(typeof payload).toBe('string');
-    expect(payload).toMatch(/^[0-9a-f]+:[0-9a-f]+$/i); // ivHex:cipherHex
+    // timestamp:nonceHex:ivHex:cipherHex:tagHex
+    expect(payload).toMatch(/^\d+:[0-9a-f]{32}:[0-9a-f]{32}:[0-9a-f]+:[0-9a-f]{64}$/);
 
     const decoded = decryptBody(payload);
     expect(decoded).toEqual(obj);
@@ -60,23 +105,134 @@ describe('utils/crypto encryption helpers', () => {
 
   it('payload contains IV with correct hex length and format', () => {
     const { payload } = encryptBody({ test: true });
-    const [ivHex] = payload.split(':');
+    const [, nonceHex, ivHex] = payload.split(':');
 
     // 16-byte IV → 32 hex characters
     expect(ivHex).toMatch(/^[0-9a-f]+$/i);
     expect(ivHex.length).toBe(32);
+    expect(nonceHex).not.toBe(ivHex);
   });
 
-  it('decryptBody throws on invalid payload format (no colon)', () => {
+  it('decryptBody throws on invalid payload format', () => {
     expect(() => decryptBody('not-a-valid-payload')).toThrow('Invalid payload format');
+
+    // Legacy "ivHex:encryptedHex" payloads carry no tag and are rejected
+    const error = errorFrom(() => decryptBody('00ff:deadbeef'));
+    expect(error).toBeInstanceOf(PayloadError);
+    expect(error.code).toBe('INVALID_PAYLOAD');
+  });
+
+  describe('authentication', () => {
+    it.each([
+      ['timestamp', 0],
+      ['nonce', 1],
+      ['iv', 2],
+      ['ciphertext', 3],
+      ['tag', 4],
+    ])('rejects a modified %s as PAYLOAD_TAMPERED', (_field, index) => {
+      const { payload } = encryptBody({ ok: true });
+
+      const error = errorFrom(() => decryptBody(tamper(payload, index)));
+      expect(error).toBeInstanceOf(PayloadError);
+      expect(error.code).toBe('PAYLOAD_TAMPERED');
+    });
+
+    it('rejects payloads sealed with an unknown key', () => {
+      const { payload } = encryptBody({ ok: true });
+      clearSessionKey();
+      setSessionKey({ keyHex: KEY_B, keyId: 'k-b' });
+      setSessionKey({ keyHex: 'c'.repeat(64), keyId: 'k-c' });
+
+      expect(errorFrom(() => decryptBody(payload)).code).toBe('PAYLOAD_TAMPERED');
+    });
+
+    it('rejects payloads outside the accepted age window as PAYLOAD_EXPIRED', () => {
+      const { payload } = encryptBody({ ok: true });
+      const sentAt = Number(payload.split(':')[0]);
+
+      expect(errorFrom(() => decryptBody(payload, sentAt + PAYLOAD_MAX_AGE_MS + 1)).code).toBe(
+        'PAYLOAD_EXPIRED'
+      );
+      expect(errorFrom(() => decryptBody(payload, sentAt - PAYLOAD_MAX_AGE_MS - 1)).code).toBe(
+        'PAYLOAD_EXPIRED'
+      );
+    });
+
+    it('accepts an envelope once and rejects the replay as PAYLOAD_REPLAYED', () => {
+      const { payload } = encryptBody({ ok: true });
+
+      expect(decryptBody(payload)).toEqual({ ok: true });
+      expect(errorFrom(() => decryptBody(payload)).code).toBe('PAYLOAD_REPLAYED');
+    });
+
+    it('writes and checks timestamps in server time when the device clock is off', () => {
+      const skew = 2 * PAYLOAD_MAX_AGE_MS; // server clock 10 minutes ahead of the device
+      setServerClockOffset(skew);
+      const before = Date.now();
+
+      const { payload } = encryptBody({ ok: true });
+      const sentAt = Number(payload.split(':')[0]);
+
+      expect(sentAt).toBeGreaterThanOrEqual(before + skew);
+      expect(decryptBody(payload)).toEqual({ ok: true });
+
+      clearSessionKey();
+      expect(getServerClockOffset()).toBe(0);
+    });
+
+    it('does not record nonces of forged payloads', () => {
+      const { payload } = encryptBody({ ok: true });
+
+      expect(errorFrom(() => decryptBody(tamper(payload, 4))).code).toBe('PAYLOAD_TAMPERED');
+      expect(decryptBody(payload)).toEqual({ ok: true });
+    });
   });
 
-  it('decryptBody throws on tampered ciphertext', () => {
-    const { payload } = encryptBody({ ok: true });
-    const [ivHex] = payload.split(':');
+  describe('session key lifecycle', () => {
+    it('generateSessionKey returns 32 bytes of hex', () => {
+      expect(generateSessionKey()).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('encryptBody throws NO_SESSION_KEY before a key is installed', () => {
+      clearSessionKey();
+      expect(getSessionKeyId()).toBeNull();
+
+      let error;
+      try {
+        encryptBody({ a: 1 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(SessionKeyError);
+      expect(error.code).toBe('NO_SESSION_KEY');
+    });
+
+    it('encryptBody throws KEY_EXPIRED once the key has expired', () => {
+      setSessionKey({ keyHex: KEY_B, keyId: 'k-old', expiresAt: Date.now() - 1 });
+
+      expect(hasValidSessionKey()).toBe(false);
+      expect(() => encryptBody({ a: 1 })).toThrow(
+        expect.objectContaining({ code: 'KEY_EXPIRED' })
+      );
+    });
+
+    it('hasValidSessionKey honours the rotation skew', () => {
+      setSessionKey({ keyHex: KEY_B, keyId: 'k-b', expiresAt: Date.now() + 10000 });
+
+      expect(hasValidSessionKey()).toBe(true);
+      expect(hasValidSessionKey(30000)).toBe(false);
+    });
+
+    it('decryptBody falls back to the previous key after a rotation', () => {
+      const { payload } = encryptBody({ inflight: true });
+
+      setSessionKey({ keyHex: KEY_B, keyId: 'k-b' });
+      expect(getSessionKeyId()).toBe('k-b');
+      expect(decryptBody(payload)).toEqual({ inflight: true });
 
-    // Replace ciphertext with invalid short hex to force failure
-    const badPayload = `${ivHex}:deadbeef`;
-    expect(() => decryptBody(badPayload)).toThrow('Failed to decrypt payload');
+      // A second rotation drops key A entirely (checked before the replay cache)
+      setSessionKey({ keyHex: 'c'.repeat(64), keyId: 'k-c' });
+      expect(() => decryptBody(payload)).toThrow('Payload authentication failed');
+    });
   });
 });
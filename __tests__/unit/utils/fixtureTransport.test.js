@@ -0,0 +1,148 @@
+/**
+ * __tests__/unit/utils/fixtureTransport.test.js
+ *
+ * What These Tests Cover:
+ * 1) Transport contract
+ *    - Resolves the fixture server's response body.
+ *    - Non-2xx answers reject with ApiError (HTTP_ERROR + status + server message).
+ *    - An aborted signal rejects with code ABORTED, before or during the simulated latency.
+ *    - Answers are validated against apiSchemas.js; a drifting fixture rejects with INVALID_RESPONSE.
+ *
+ * 2) End to end through utils/api
+ *    - With `setTransport(createFixtureTransport())`, the real thunks and reducers run
+ *      against the fixture backend with no fetch and no crypto.
+ */
+
+import { configureStore } from '@reduxjs/toolkit';
+import { createFixtureTransport } from '../../../src/utils/fixtureTransport';
+import { createFixtureServer } from '../../../src/data/fixtureServer';
+import { ApiError } from '../../../src/utils/apiError';
+import { setTransport } from '../../../src/utils/api';
+import tasksReducer from '../../../src/store/reducers/tasksReducer';
+import {
+  fetchTaskProgress,
+  completeTask,
+} from '../../../src/store/actions/tasksActions';
+import { fetchActiveChats, sendMessage } from '../../../src/store/actions/chatActions';
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+});
+
+describe('createFixtureTransport', () => {
+  it('resolves the response body of the fixture server', async () => {
+    const transport = createFixtureTransport();
+
+    const body = await transport.request('GET', '/v0.0/tasks/progress/1');
+
+    expect(body.completedTasks).toEqual([{ task_id: 2, completed_at: expect.any(String) }]);
+  });
+
+  it('rejects error answers with an ApiError carrying the status', async () => {
+    const transport = createFixtureTransport();
+
+    const error = await transport
+      .request('POST', '/v0.0/tasks/complete', { user_id: 1, task_id: 999 })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ code: 'HTTP_ERROR', status: 404, message: 'Task not found' });
+  });
+
+  it('uses the server it is given', async () => {
+    const server = createFixtureServer({ seed: { tasks: [] } });
+    const transport = createFixtureTransport({ server });
+
+    expect(transport.server).toBe(server);
+    await expect(transport.request('GET', '/v0.0/tasks/1')).resolves.toEqual({ tasks: [] });
+  });
+
+  it('rejects fixtures that drift from the response schema', async () => {
+    const server = createFixtureServer({ seed: { tasks: [{ id: 1, xp: 10 }] } });
+
+    const error = await createFixtureTransport({ server })
+      .request('GET', '/v0.0/tasks/1')
+      .catch((e) => e);
+
+    expect(error).toMatchObject({
+      name: 'ResponseSchemaError',
+      code: 'INVALID_RESPONSE',
+      status: 200,
+      issues: [{ path: 'tasks[0].title', message: 'is missing' }],
+    });
+  });
+
+  it('rejects with ABORTED when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      createFixtureTransport().request('GET', '/v0.0/tasks/1', {}, {}, { signal: controller.signal })
+    ).rejects.toMatchObject({ code: 'ABORTED' });
+  });
+
+  it('delays answers by the latency and can be aborted meanwhile', async () => {
+    jest.useFakeTimers();
+    try {
+      const transport = createFixtureTransport({ latency: 500 });
+      const controller = new AbortController();
+
+      const slow = transport.request('GET', '/v0.0/tasks/1');
+      const cancelled = transport.request('GET', '/v0.0/tasks/1', {}, {}, { signal: controller.signal });
+      controller.abort();
+      await expect(cancelled).rejects.toMatchObject({ code: 'ABORTED' });
+
+      jest.advanceTimersByTime(500);
+      await expect(slow).resolves.toHaveProperty('tasks');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('fixture transport behind utils/api', () => {
+  const makeStore = () =>
+    configureStore({
+      reducer: {
+        auth: (state = { user: { id: 1 } }) => state,
+        tasks: tasksReducer,
+      },
+    });
+
+  beforeEach(() => {
+    setTransport(createFixtureTransport());
+  });
+
+  afterEach(() => {
+    setTransport();
+  });
+
+  it('runs task thunks against the fixture backend', async () => {
+    const store = makeStore();
+
+    await store.dispatch(fetchTaskProgress(1));
+    const completed = await store.dispatch(completeTask({ userId: 1, taskId: 1 }));
+
+    expect(completed.payload).toMatchObject({ taskId: 1, xp_earned: 50 });
+    expect(store.getState().tasks.completedTaskIds).toEqual([2, 1]);
+
+    await store.dispatch(fetchTaskProgress(1));
+    expect(store.getState().tasks.completedTaskIds).toEqual([2, 1]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('runs chat thunks against the fixture backend', async () => {
+    const store = makeStore();
+
+    const chats = await store.dispatch(fetchActiveChats());
+    expect(chats.type).toBe('chat/fetchActiveChats/fulfilled');
+    expect(chats.payload.map((c) => c.chat_id).sort()).toEqual([1, 2]);
+
+    const sent = await store.dispatch(
+      sendMessage({ chatId: 2, senderId: 1, message: 'Checking in' })
+    );
+    expect(sent.type).toBe('chat/sendMessage/fulfilled');
+  });
+});
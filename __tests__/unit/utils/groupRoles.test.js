@@ -0,0 +1,82 @@
+/**
+ * groupRoles.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. memberRole / isGroupAdmin
+ *    - Roles are read from the chat's members (unknown roles count as member); only the owner
+ *      and admins of group chats are admins.
+ *
+ * 2. canManageMember
+ *    - Admins manage members, the owner also manages admins; nobody manages the owner or
+ *      themselves.
+ *
+ * 3. mutedUntil / postingRestriction
+ *    - Mutes only count until they end; announcement-only groups restrict non-admins; direct
+ *      chats are never restricted.
+ */
+
+import {
+  memberRole,
+  isGroupAdmin,
+  canManageMember,
+  mutedUntil,
+  postingRestriction,
+} from '../../../src/utils/groupRoles';
+
+const now = Date.parse('2025-04-10T09:00:00.000Z');
+
+const group = (overrides = {}) => ({
+  chat_id: 2,
+  is_group: true,
+  announcement_only: false,
+  members: [
+    { id: 1, name: 'Owner', role: 'owner' },
+    { id: 2, name: 'Admin', role: 'admin' },
+    { id: 3, name: 'Member', role: 'member', muted_until: '2025-04-10T10:00:00.000Z' },
+    { id: 4, name: 'Legacy' },
+  ],
+  ...overrides,
+});
+
+describe('groupRoles', () => {
+  test('memberRole reads roles from the members list', () => {
+    expect(memberRole(group(), 1)).toBe('owner');
+    expect(memberRole(group(), '2')).toBe('admin');
+    expect(memberRole(group(), 4)).toBe('member');
+    expect(memberRole(group(), 99)).toBeNull();
+    expect(memberRole(null, 1)).toBeNull();
+  });
+
+  test('isGroupAdmin is true for the owner and admins of groups only', () => {
+    expect(isGroupAdmin(group(), 1)).toBe(true);
+    expect(isGroupAdmin(group(), 2)).toBe(true);
+    expect(isGroupAdmin(group(), 3)).toBe(false);
+    expect(isGroupAdmin(group({ is_group: false }), 1)).toBe(false);
+  });
+
+  test('canManageMember requires outranking the target', () => {
+    expect(canManageMember(group(), 1, 2)).toBe(true);
+    expect(canManageMember(group(), 1, 3)).toBe(true);
+    expect(canManageMember(group(), 2, 3)).toBe(true);
+
+    expect(canManageMember(group(), 2, 1)).toBe(false);
+    expect(canManageMember(group(), 2, 2)).toBe(false);
+    expect(canManageMember(group(), 3, 4)).toBe(false);
+    expect(canManageMember(group(), 1, 99)).toBe(false);
+  });
+
+  test('mutedUntil returns the end of an active mute', () => {
+    expect(mutedUntil(group(), 3, now)).toEqual(new Date('2025-04-10T10:00:00.000Z'));
+    expect(mutedUntil(group(), 3, Date.parse('2025-04-10T10:00:00.000Z'))).toBeNull();
+    expect(mutedUntil(group(), 2, now)).toBeNull();
+  });
+
+  test('postingRestriction explains why a user cannot post', () => {
+    expect(postingRestriction(group(), 3, now)).toBe('muted');
+    expect(postingRestriction(group(), 4, now)).toBeNull();
+    expect(postingRestriction(group({ announcement_only: true }), 4, now)).toBe('announcement_only');
+    expect(postingRestriction(group({ announcement_only: true }), 2, now)).toBeNull();
+    expect(postingRestriction(group({ is_group: false, announcement_only: true }), 3, now)).toBeNull();
+  });
+});
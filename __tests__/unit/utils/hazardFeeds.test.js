@@ -0,0 +1,210 @@
+/**
+ * __tests__/unit/utils/hazardFeeds.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Registry
+ *    - Shipped feeds are found by country code; unknown or missing codes fall back to GDACS.
+ *    - registerHazardFeed adds or replaces a feed and rejects unknown formats.
+ *
+ * 2. Recorded feeds (`__tests__/fixtures/hazardFeeds`)
+ *    - NWS Atom/CAP, Met Office RSS, Meteoalarm Atom, GDACS RSS, NWS GeoJSON and a CAP 1.2
+ *      document are read into the common alert shape with the real XML parser.
+ *
+ * 3. GDACS
+ *    - Only entries whose `gdacs:iso3` or `gdacs:country` names the user's country are kept;
+ *      nothing is kept when the country is unknown.
+ *
+ * 4. Bad entries
+ *    - An entry the normaliser throws on is dropped; the rest are kept.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  FEED_FORMATS,
+  GLOBAL_FEED,
+  hazardFeedFor,
+  registerHazardFeed,
+  readHazardFeed,
+} from 'src/utils/hazardFeeds';
+
+const recorded = (name) =>
+  fs.readFileSync(path.join(__dirname, '../../fixtures/hazardFeeds', name), 'utf8');
+
+describe('utils/hazardFeeds', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('registry', () => {
+    test('finds shipped feeds by country and falls back to GDACS', () => {
+      expect(hazardFeedFor('US')).toMatchObject({ format: FEED_FORMATS.ATOM, name: 'US National Weather Service' });
+      expect(hazardFeedFor('gb')).toMatchObject({ code: 'GB', format: FEED_FORMATS.RSS });
+      expect(hazardFeedFor('FR').url).toBe('https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-france');
+      expect(hazardFeedFor('PR')).toMatchObject({
+        format: FEED_FORMATS.GEOJSON,
+        url: 'https://api.weather.gov/alerts/active?area=PR',
+      });
+
+      expect(hazardFeedFor('JP')).toMatchObject({ code: GLOBAL_FEED, name: 'GDACS' });
+      expect(hazardFeedFor(undefined).code).toBe(GLOBAL_FEED);
+    });
+
+    test('registers a feed with the format normaliser by default', () => {
+      registerHazardFeed('zz', { name: 'Test Service', url: 'https://zz.example/cap.xml', format: FEED_FORMATS.CAP });
+
+      expect(hazardFeedFor('ZZ')).toMatchObject({ code: 'ZZ', name: 'Test Service', format: 'cap' });
+      expect(typeof hazardFeedFor('ZZ').normalize).toBe('function');
+    });
+
+    test('rejects incomplete feeds', () => {
+      expect(() => registerHazardFeed('ZZ', { url: 'https://zz.example', format: 'kml' })).toThrow(
+        'Unknown hazard feed format: kml'
+      );
+      expect(() => registerHazardFeed('ZZ', { format: FEED_FORMATS.RSS })).toThrow('Hazard feed for ZZ needs a url');
+      expect(() => registerHazardFeed('', { url: 'x', format: FEED_FORMATS.RSS })).toThrow(
+        'Hazard feed needs a country code'
+      );
+    });
+  });
+
+  describe('recorded feeds', () => {
+    test('NWS Atom with CAP fields', async () => {
+      const alerts = await readHazardFeed(hazardFeedFor('US'), recorded('nws-atom.xml'), 'US');
+
+      expect(alerts).toHaveLength(2);
+      expect(alerts[0]).toEqual({
+        title: 'Tornado Warning issued March 14 at 9:05PM CDT until March 14 at 9:45PM CDT by NWS Norman OK',
+        summary: expect.stringContaining('capable of producing a tornado'),
+        area: 'Pontotoc; Seminole',
+        severity: 'Extreme',
+        event: 'Tornado Warning',
+        effective: '2024-03-15T02:05:00.000Z',
+        expires: '2024-03-15T02:45:00.000Z',
+        link: 'https://alerts.weather.gov/cap/wwacapget.php?x=OK1250F8C3A1B0.TornadoWarning',
+        country: 'US',
+      });
+    });
+
+    test('Met Office RSS without CAP dates', async () => {
+      const [alert] = await readHazardFeed(hazardFeedFor('GB'), recorded('metoffice-rss.xml'), 'GB');
+
+      expect(alert).toMatchObject({
+        title: 'Yellow warning of wind affecting London & South East England',
+        area: '51.5 -0.12',
+        severity: 'Unknown',
+        event: 'Wind',
+        effective: null,
+        expires: null,
+        link: 'https://www.metoffice.gov.uk/weather/warnings-and-advice/uk-warnings#?date=2024-01-21',
+      });
+    });
+
+    test('Meteoalarm Atom picks the alternate link', async () => {
+      const [alert] = await readHazardFeed(hazardFeedFor('FR'), recorded('meteoalarm-atom.xml'), 'FR');
+
+      expect(alert).toMatchObject({
+        title: 'Orange Thunderstorm Warning issued for France - Gironde',
+        area: 'Gironde',
+        severity: 'Severe',
+        event: 'Orange Thunderstorm Warning',
+        effective: '2024-02-09T06:00:00.000Z',
+        expires: '2024-02-10T06:00:00.000Z',
+        link: 'https://feeds.meteoalarm.org/api/v1/warnings/feeds-france/7f5c1b6e',
+        country: 'FR',
+      });
+    });
+
+    test('GDACS RSS maps alert levels and event types', async () => {
+      const gdacs = hazardFeedFor(GLOBAL_FEED);
+
+      const [quake] = await readHazardFeed(gdacs, recorded('gdacs-rss.xml'), 'JP', { iso3: 'JPN', name: 'Japan' });
+      const [flood] = await readHazardFeed(gdacs, recorded('gdacs-rss.xml'), 'BR', { iso3: 'BRA', name: 'Brazil' });
+
+      expect(quake).toMatchObject({
+        area: 'Japan',
+        severity: 'Extreme',
+        event: 'Earthquake',
+        effective: '2024-01-01T07:10:09.000Z',
+        link: 'https://www.gdacs.org/report.aspx?eventtype=EQ&eventid=1416017',
+        country: 'JP',
+      });
+      expect(flood).toMatchObject({
+        area: 'Brazil',
+        severity: 'Minor',
+        event: 'Flood',
+        expires: '2024-05-05T00:00:00.000Z',
+        country: 'BR',
+      });
+    });
+
+    test('NWS GeoJSON features', async () => {
+      const [alert] = await readHazardFeed(hazardFeedFor('PR'), recorded('nws-geojson.json'), 'PR');
+
+      expect(alert).toEqual({
+        title: 'Hurricane Warning issued August 14 at 8:00AM AST by NWS San Juan PR',
+        summary: 'Hurricane conditions are expected within the warning area.',
+        area: 'San Juan and Vicinity; Northeast',
+        severity: 'Extreme',
+        event: 'Hurricane Warning',
+        effective: '2024-08-14T12:00:00.000Z',
+        expires: '2024-08-15T00:00:00.000Z',
+        link: 'https://api.weather.gov/alerts/urn:oid:2.49.0.1.840.0.5e1f7c0b',
+        country: 'PR',
+      });
+    });
+
+    test('CAP 1.2 document uses the English info block', async () => {
+      const feed = { name: 'CAP', format: FEED_FORMATS.CAP, url: 'x' };
+      registerHazardFeed('ZC', feed);
+      const [alert] = await readHazardFeed(hazardFeedFor('ZC'), recorded('cap-alert.xml'), 'CA');
+
+      expect(alert).toEqual({
+        title: 'heat warning in effect',
+        summary: 'A prolonged period of high temperatures is expected.',
+        area: 'City of Toronto; York - Richmond Hill - Markham',
+        severity: 'Moderate',
+        event: 'heat',
+        effective: '2024-07-10T18:30:00.000Z',
+        expires: '2024-07-11T18:30:00.000Z',
+        link: 'https://weather.gc.ca/warnings/index_e.html',
+        country: 'CA',
+      });
+    });
+  });
+
+  describe('GDACS', () => {
+    const gdacs = () => hazardFeedFor(GLOBAL_FEED);
+
+    test("keeps only the user's country, by ISO code or by name", async () => {
+      const byCode = await readHazardFeed(gdacs(), recorded('gdacs-rss.xml'), 'JP', { iso3: 'jpn' });
+      const byName = await readHazardFeed(gdacs(), recorded('gdacs-rss.xml'), 'BR', { name: 'brazil' });
+
+      expect(byCode.map((a) => a.event)).toEqual(['Earthquake']);
+      expect(byName.map((a) => a.event)).toEqual(['Flood']);
+    });
+
+    test('keeps nothing for a country GDACS does not list or an unknown one', async () => {
+      expect(await readHazardFeed(gdacs(), recorded('gdacs-rss.xml'), 'IN', { iso3: 'IND', name: 'India' })).toEqual([]);
+      expect(await readHazardFeed(gdacs(), recorded('gdacs-rss.xml'), 'IN')).toEqual([]);
+    });
+  });
+
+  test('drops entries the normaliser cannot read', async () => {
+    const normalize = jest.fn((entry, country) => {
+      if (entry.title.startsWith('Green')) throw new Error('bad entry');
+      return { title: entry.title, country };
+    });
+    const feed = { name: 'Strict', format: FEED_FORMATS.RSS, normalize };
+
+    const alerts = await readHazardFeed(feed, recorded('gdacs-rss.xml'), 'JP');
+
+    expect(alerts).toEqual([{ title: expect.stringMatching(/^Red earthquake/), country: 'JP' }]);
+    expect(console.warn).toHaveBeenCalledWith('Strict entry could not be read:', expect.any(Error));
+  });
+});
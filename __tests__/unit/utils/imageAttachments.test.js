@@ -0,0 +1,155 @@
+/**
+ * __tests__/unit/utils/imageAttachments.test.js
+ *
+ * What this test file covers:
+ *
+ * 1. pickChatImage
+ *    - Picks from the library (default) or camera with EXIF; returns null when cancelled.
+ *    - Throws when the permission is denied.
+ *
+ * 2. locationFromExif
+ *    - Reads Android decimal / rational keys and the iOS {GPS} block, honouring S/W refs.
+ *    - Returns null without GPS data.
+ *
+ * 3. prepareChatImage
+ *    - Scales the longest side down to MAX_IMAGE_DIMENSION and re-encodes as JPEG.
+ *    - Leaves small photos at their size; only attaches the location when opted in.
+ *    - Group avatars are scaled to AVATAR_DIMENSION instead.
+ *
+ * 4. readImageBase64
+ *    - Reads the prepared file as base64.
+ */
+
+import * as ImagePicker from 'expo-image-picker';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { File } from 'expo-file-system';
+import {
+  MAX_IMAGE_DIMENSION,
+  AVATAR_DIMENSION,
+  IMAGE_QUALITY,
+  pickChatImage,
+  locationFromExif,
+  prepareChatImage,
+  readImageBase64,
+} from 'src/utils/imageAttachments';
+
+const gps = { GPSLatitude: 51.5, GPSLatitudeRef: 'N', GPSLongitude: 0.12, GPSLongitudeRef: 'W' };
+
+describe('utils/imageAttachments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('pickChatImage', () => {
+    it('picks from the library with EXIF by default', async () => {
+      const asset = await pickChatImage();
+
+      expect(ImagePicker.requestMediaLibraryPermissionsAsync).toHaveBeenCalled();
+      expect(ImagePicker.launchImageLibraryAsync).toHaveBeenCalledWith({
+        mediaTypes: ['images'],
+        quality: 1,
+        exif: true,
+      });
+      expect(asset.uri).toBe('file:///mock/image.jpg');
+    });
+
+    it('uses the camera when asked', async () => {
+      const asset = await pickChatImage('camera');
+
+      expect(ImagePicker.requestCameraPermissionsAsync).toHaveBeenCalled();
+      expect(asset.uri).toBe('file:///mock/camera.jpg');
+    });
+
+    it('returns null when the user cancels', async () => {
+      ImagePicker.launchImageLibraryAsync.mockResolvedValueOnce({ canceled: true, assets: null });
+
+      await expect(pickChatImage()).resolves.toBeNull();
+    });
+
+    it('throws when permission is denied', async () => {
+      ImagePicker.requestCameraPermissionsAsync.mockResolvedValueOnce({ granted: false });
+
+      await expect(pickChatImage('camera')).rejects.toThrow('Camera permission not granted');
+      expect(ImagePicker.launchCameraAsync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('locationFromExif', () => {
+    it('reads Android decimal keys with hemisphere refs', () => {
+      expect(locationFromExif(gps)).toEqual({ latitude: 51.5, longitude: -0.12 });
+    });
+
+    it('reads rational degree/minute/second strings', () => {
+      const location = locationFromExif({
+        GPSLatitude: '33/1,52/1,0/1',
+        GPSLatitudeRef: 'S',
+        GPSLongitude: '151/1,12/1,36/1',
+        GPSLongitudeRef: 'E',
+      });
+
+      expect(location.latitude).toBeCloseTo(-33.8667, 4);
+      expect(location.longitude).toBeCloseTo(151.21, 4);
+    });
+
+    it('reads the iOS {GPS} block', () => {
+      expect(
+        locationFromExif({ '{GPS}': { Latitude: 40.7, LatitudeRef: 'N', Longitude: 74, LongitudeRef: 'W' } })
+      ).toEqual({ latitude: 40.7, longitude: -74 });
+    });
+
+    it('returns null without GPS data', () => {
+      expect(locationFromExif(undefined)).toBeNull();
+      expect(locationFromExif({ Make: 'Phone' })).toBeNull();
+    });
+  });
+
+  describe('prepareChatImage', () => {
+    it('scales large photos down and drops the location by default', async () => {
+      const image = await prepareChatImage({ uri: 'file:///big.heic', width: 4000, height: 3000, exif: gps });
+      const context = ImageManipulator.manipulate.mock.results[0].value;
+      const rendered = await context.renderAsync.mock.results[0].value;
+
+      expect(context.resize).toHaveBeenCalledWith({ width: MAX_IMAGE_DIMENSION });
+      expect(rendered.saveAsync).toHaveBeenCalledWith({ compress: IMAGE_QUALITY, format: SaveFormat.JPEG });
+      expect(image).toEqual({
+        uri: 'file:///big-prepared.jpg',
+        width: MAX_IMAGE_DIMENSION,
+        height: 100,
+        mime_type: 'image/jpeg',
+        location: null,
+      });
+    });
+
+    it('scales portrait photos by height', async () => {
+      await prepareChatImage({ uri: 'file:///tall.jpg', width: 1000, height: 2000 });
+      const context = ImageManipulator.manipulate.mock.results[0].value;
+
+      expect(context.resize).toHaveBeenCalledWith({ height: MAX_IMAGE_DIMENSION });
+    });
+
+    it('keeps small photos at their size and attaches the location when opted in', async () => {
+      const image = await prepareChatImage(
+        { uri: 'file:///small.jpg', width: 800, height: 600, exif: gps },
+        { includeLocation: true }
+      );
+      const context = ImageManipulator.manipulate.mock.results[0].value;
+
+      expect(context.resize).not.toHaveBeenCalled();
+      expect(image.location).toEqual({ latitude: 51.5, longitude: -0.12 });
+    });
+
+    it('scales to a smaller size when asked (group avatars)', async () => {
+      await prepareChatImage({ uri: 'file:///small.jpg', width: 800, height: 600 }, { maxDimension: AVATAR_DIMENSION });
+      const context = ImageManipulator.manipulate.mock.results[0].value;
+
+      expect(context.resize).toHaveBeenCalledWith({ width: AVATAR_DIMENSION });
+    });
+  });
+
+  describe('readImageBase64', () => {
+    it('reads the file as base64', async () => {
+      await expect(readImageBase64('file:///a.jpg')).resolves.toBe('aW1hZ2U=');
+      expect(File).toHaveBeenCalledWith('file:///a.jpg');
+    });
+  });
+});
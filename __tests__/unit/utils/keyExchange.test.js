@@ -0,0 +1,220 @@
+/**
+ * __tests__/unit/utils/keyExchange.test.js
+ *
+ * What this test file covers:
+ *
+ * 1) performKeyExchange
+ *    - Fetches the server public key, wraps a fresh AES key with RSA and installs it
+ *      under the server-issued key id with the advertised expiry.
+ *    - Records the server clock offset (`server_time` or the `Date` header).
+ *
+ * 2) ensureSessionKey
+ *    - Reuses a valid key without another handshake.
+ *    - Concurrent callers share one in-flight handshake.
+ *
+ * 3) Failures
+ *    - A rejected handshake throws KeyExchangeError (code KEY_EXCHANGE_FAILED) with status.
+ *    - A response without key_id is rejected.
+ *    - An unreachable server is reported with code NETWORK.
+ *
+ * 4) Key pinning
+ *    - A pinned PEM is used without fetching.
+ *    - Outside `local`, an unpinned key is refused before any request; a fetched key must
+ *      match SERVER_PUBLIC_KEY_SHA256.
+ *
+ * 5) resetSessionKey
+ *    - Forgets the key so the next call negotiates again.
+ */
+
+jest.mock('react-native-get-random-values', () => ({}), { virtual: true });
+
+jest.mock('src/utils/config', () => ({
+  BASE_URL: 'https://mock.api',
+  SERVER_PUBLIC_KEY: null,
+  SERVER_PUBLIC_KEY_SHA256: null,
+  isLocalServer: true,
+  IV_LENGTH: 16,
+}));
+
+jest.mock('src/utils/apiPaths', () => ({
+  API_URL_HANDSHAKE: '/v0.0/handshake',
+}));
+
+import { RSA } from 'react-native-rsa-native';
+import {
+  performKeyExchange,
+  ensureSessionKey,
+  resetSessionKey,
+  KeyExchangeError,
+  publicKeyFingerprint,
+} from 'src/utils/keyExchange';
+import { getSessionKeyId, hasValidSessionKey, encryptBody, getServerClockOffset } from 'src/utils/crypto';
+
+global.fetch = jest.fn();
+
+// Mutable so a test can pin the key or leave the local profile
+const mockConfig = jest.requireMock('src/utils/config');
+
+const jsonResponse = (data, { ok = true, status = 200 } = {}) => ({
+  ok,
+  status,
+  json: async () => data,
+});
+
+const mockHandshake = (keyId = 'key-1', expiresIn = 3600) => {
+  fetch
+    .mockResolvedValueOnce(jsonResponse({ public_key: 'PEM' }))
+    .mockResolvedValueOnce(jsonResponse({ key_id: keyId, expires_in: expiresIn }));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fetch.mockReset();
+  resetSessionKey();
+  Object.assign(mockConfig, { SERVER_PUBLIC_KEY: null, SERVER_PUBLIC_KEY_SHA256: null, isLocalServer: true });
+});
+
+describe('utils/keyExchange', () => {
+  it('wraps a fresh key with the server public key and installs it', async () => {
+    mockHandshake('key-1', 60);
+    const before = Date.now();
+
+    await expect(performKeyExchange()).resolves.toBe('key-1');
+
+    expect(fetch).toHaveBeenNthCalledWith(
+      1,
+      'https://mock.api/v0.0/handshake/public-key',
+      expect.objectContaining({ method: 'GET' })
+    );
+    expect(RSA.encrypt).toHaveBeenCalledWith(expect.stringMatching(/^[0-9a-f]{64}$/), 'PEM');
+
+    const [, init] = fetch.mock.calls[1];
+    expect(init.method).toBe('POST');
+    const { encrypted_key } = JSON.parse(init.body);
+    expect(encrypted_key).toMatch(/^rsa\(PEM\):[0-9a-f]{64}$/);
+
+    expect(getSessionKeyId()).toBe('key-1');
+    expect(hasValidSessionKey(0, before + 59000)).toBe(true);
+    expect(hasValidSessionKey(0, before + 61000)).toBe(false);
+    expect(() => encryptBody({ a: 1 })).not.toThrow();
+  });
+
+  it('records the server clock offset from server_time or the Date header', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ public_key: 'PEM' }))
+      .mockResolvedValueOnce(jsonResponse({ key_id: 'key-1', server_time: Date.now() + 600000 }));
+    await performKeyExchange();
+    expect(getServerClockOffset()).toBeGreaterThan(599000);
+    expect(getServerClockOffset()).toBeLessThanOrEqual(600000);
+
+    const date = new Date(Date.now() - 3600000).toUTCString();
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ public_key: 'PEM' }))
+      .mockResolvedValueOnce({ ...jsonResponse({ key_id: 'key-2' }), headers: { get: () => date } });
+    await performKeyExchange();
+    expect(Math.round(getServerClockOffset() / 60000)).toBe(-60);
+  });
+
+  it('ensureSessionKey reuses a valid key', async () => {
+    mockHandshake();
+
+    await ensureSessionKey();
+    await ensureSessionKey();
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares one handshake between concurrent callers', async () => {
+    mockHandshake();
+
+    await Promise.all([ensureSessionKey(), ensureSessionKey(), ensureSessionKey()]);
+
+    expect(RSA.encrypt).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('throws KeyExchangeError with status when the server rejects the key', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ public_key: 'PEM' }))
+      .mockResolvedValueOnce(jsonResponse({ message: 'Bad key' }, { ok: false, status: 400 }));
+
+    const error = await performKeyExchange().catch((e) => e);
+
+    expect(error).toBeInstanceOf(KeyExchangeError);
+    expect(error).toMatchObject({ code: 'KEY_EXCHANGE_FAILED', status: 400, message: 'Bad key' });
+    expect(getSessionKeyId()).toBeNull();
+  });
+
+  it('reports an unreachable server as NETWORK rather than KEY_EXCHANGE_FAILED', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Network request failed'));
+
+    const error = await performKeyExchange().catch((e) => e);
+
+    expect(error).toBeInstanceOf(KeyExchangeError);
+    expect(error).toMatchObject({ code: 'NETWORK', status: null });
+  });
+
+  it('rejects a handshake response without key_id', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ public_key: 'PEM' }))
+      .mockResolvedValueOnce(jsonResponse({}));
+
+    await expect(performKeyExchange()).rejects.toThrow(
+      'Server did not acknowledge the session key'
+    );
+  });
+
+  it('resetSessionKey forces a new handshake', async () => {
+    mockHandshake('key-1');
+    await ensureSessionKey();
+
+    resetSessionKey();
+    expect(getSessionKeyId()).toBeNull();
+
+    mockHandshake('key-2');
+    await ensureSessionKey();
+    expect(getSessionKeyId()).toBe('key-2');
+  });
+
+  describe('key pinning', () => {
+    // Fingerprint of the DER bytes "hello" (base64 aGVsbG8=)
+    const PEM = '-----BEGIN PUBLIC KEY-----\naGVs\nbG8=\n-----END PUBLIC KEY-----';
+    const PIN = 'LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=';
+
+    it('fingerprints the DER bytes of a PEM key', () => {
+      expect(publicKeyFingerprint(PEM)).toBe(PIN);
+    });
+
+    it('uses a pinned PEM without fetching it', async () => {
+      Object.assign(mockConfig, { SERVER_PUBLIC_KEY: PEM, isLocalServer: false });
+      fetch.mockResolvedValueOnce(jsonResponse({ key_id: 'key-1', expires_in: 60 }));
+
+      await expect(performKeyExchange()).resolves.toBe('key-1');
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(RSA.encrypt).toHaveBeenCalledWith(expect.any(String), PEM);
+    });
+
+    it('refuses an unpinned key outside the local profile', async () => {
+      mockConfig.isLocalServer = false;
+
+      await expect(performKeyExchange()).rejects.toMatchObject({
+        code: 'KEY_EXCHANGE_FAILED',
+        message: 'No pinned server public key for this environment',
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('accepts a fetched key only when it matches the fingerprint', async () => {
+      Object.assign(mockConfig, { SERVER_PUBLIC_KEY_SHA256: PIN, isLocalServer: false });
+
+      fetch.mockResolvedValueOnce(jsonResponse({ public_key: 'ATTACKER' }));
+      await expect(performKeyExchange()).rejects.toThrow('Server public key does not match the pinned fingerprint');
+      expect(RSA.encrypt).not.toHaveBeenCalled();
+
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ public_key: PEM }))
+        .mockResolvedValueOnce(jsonResponse({ key_id: 'key-2', expires_in: 60 }));
+      await expect(performKeyExchange()).resolves.toBe('key-2');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * mentions.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Typing
+ *    - activeMentionQuery finds the "@name" being typed at the cursor, and nothing inside words
+ *      or after a space.
+ *    - mentionCandidates matches the start of a name or any word of it, leaving out the user.
+ *
+ * 2. Picking & sending
+ *    - insertMention replaces the query with "@Name " and moves the cursor after it.
+ *    - mentionsInText keeps picked members still named in the text, once each.
+ *
+ * 3. Rendering
+ *    - mentionParts splits text into plain and mention parts, longest names first.
+ */
+
+import {
+  activeMentionQuery,
+  mentionCandidates,
+  insertMention,
+  mentionsInText,
+  mentionParts,
+} from '../../../src/utils/mentions';
+
+const members = [
+  { id: 1, name: 'Me' },
+  { id: 2, name: 'Alice' },
+  { id: 3, name: 'Sam' },
+  { id: 4, name: 'Sam Lee' },
+  { id: 5, name: 'Ben Albright' },
+];
+
+describe('mentions', () => {
+  test('activeMentionQuery reads the "@name" ending at the cursor', () => {
+    expect(activeMentionQuery('Hi @Al')).toEqual({ start: 3, end: 6, query: 'Al' });
+    expect(activeMentionQuery('@')).toEqual({ start: 0, end: 1, query: '' });
+    expect(activeMentionQuery('Hi @Al there', 6)).toEqual({ start: 3, end: 6, query: 'Al' });
+    expect(activeMentionQuery('mail@example')).toBeNull();
+    expect(activeMentionQuery('Hi @Al ')).toBeNull();
+    expect(activeMentionQuery('')).toBeNull();
+  });
+
+  test('mentionCandidates matches names and their words, without the user', () => {
+    expect(mentionCandidates(members, 'al', 1).map((m) => m.id)).toEqual([2, 5]);
+    expect(mentionCandidates(members, 'lee', 1).map((m) => m.id)).toEqual([4]);
+    expect(mentionCandidates(members, '', 1).map((m) => m.id)).toEqual([2, 3, 4, 5]);
+    expect(mentionCandidates(members, 'm', 1, 1).map((m) => m.id)).toEqual([]);
+    expect(mentionCandidates(members, 's', 1, 1).map((m) => m.id)).toEqual([3]);
+    expect(mentionCandidates(undefined, 'a')).toEqual([]);
+  });
+
+  test('insertMention completes the name and places the cursor after it', () => {
+    expect(insertMention('Hi @Al there', { start: 3, end: 6 }, members[1])).toEqual({
+      text: 'Hi @Alice  there',
+      cursor: 10,
+    });
+    expect(insertMention('@', { start: 0, end: 1 }, members[3])).toEqual({ text: '@Sam Lee ', cursor: 9 });
+  });
+
+  test('mentionsInText keeps picked members still named, once each', () => {
+    const picked = [members[1], members[2], { ...members[1], email: 'a@x.org' }];
+    expect(mentionsInText('Thanks @Alice', picked)).toEqual([{ id: 2, name: 'Alice' }]);
+    expect(mentionsInText('no names here', picked)).toEqual([]);
+  });
+
+  test('mentionParts splits out mentions, preferring the longest name', () => {
+    const mentions = [{ id: 3, name: 'Sam' }, { id: 4, name: 'Sam Lee' }];
+    expect(mentionParts('Ask @Sam Lee and @Sam.', mentions)).toEqual([
+      { text: 'Ask ', mention: null },
+      { text: '@Sam Lee', mention: mentions[1] },
+      { text: ' and ', mention: null },
+      { text: '@Sam', mention: mentions[0] },
+      { text: '.', mention: null },
+    ]);
+    expect(mentionParts('@Bob is here', mentions)).toEqual([{ text: '@Bob is here', mention: null }]);
+    expect(mentionParts('plain')).toEqual([{ text: 'plain', mention: null }]);
+    expect(mentionParts('')).toEqual([]);
+  });
+});
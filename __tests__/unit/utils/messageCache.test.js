@@ -0,0 +1,111 @@
+/**
+ * messageCache.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Reads
+ *    - Stored messages come back per chat; missing, corrupt or non-array entries read as [].
+ *
+ * 2. Writes
+ *    - Only the newest MESSAGE_CACHE_LIMIT messages are kept.
+ *    - Photos still uploading are stored as failed without their progress.
+ *    - An empty list removes the entry; storage errors are logged, not thrown.
+ *
+ * 3. Clearing
+ *    - clearCachedMessages removes every chat entry and leaves other keys alone.
+ *
+ * 4. isLocalMessage
+ *    - Only `temp-…` ids count as local echoes.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  MESSAGE_CACHE_PREFIX,
+  MESSAGE_CACHE_LIMIT,
+  readCachedMessages,
+  writeCachedMessages,
+  clearCachedMessages,
+  isLocalMessage,
+} from '../../../src/utils/messageCache';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('messageCache', () => {
+  it('reads back what was written for each chat', async () => {
+    await writeCachedMessages(1, [{ id: 1, content: 'a' }]);
+    await writeCachedMessages(2, [{ id: 2, content: 'b' }]);
+
+    expect(await readCachedMessages(1)).toEqual([{ id: 1, content: 'a' }]);
+    expect(await readCachedMessages(2)).toEqual([{ id: 2, content: 'b' }]);
+    expect(await AsyncStorage.getItem(`${MESSAGE_CACHE_PREFIX}1`)).not.toBeNull();
+  });
+
+  it.each([
+    ['nothing stored', null],
+    ['corrupt JSON', '{not json'],
+    ['a non-array value', JSON.stringify({ id: 1 })],
+  ])('reads [] when %s', async (_, raw) => {
+    if (raw) await AsyncStorage.setItem(`${MESSAGE_CACHE_PREFIX}5`, raw);
+    expect(await readCachedMessages(5)).toEqual([]);
+  });
+
+  it('keeps only the newest messages', async () => {
+    const messages = Array.from({ length: MESSAGE_CACHE_LIMIT + 5 }, (_, i) => ({ id: i + 1 }));
+    await writeCachedMessages(1, messages);
+
+    const cached = await readCachedMessages(1);
+    expect(cached).toHaveLength(MESSAGE_CACHE_LIMIT);
+    expect(cached[0].id).toBe(6);
+    expect(cached[cached.length - 1].id).toBe(MESSAGE_CACHE_LIMIT + 5);
+  });
+
+  it('stores interrupted photo uploads as failed', async () => {
+    await writeCachedMessages(1, [
+      { id: 'temp-1', message_type: 'image', status: 'uploading', progress: 0.4 },
+      { id: 'temp-2', status: 'pending' },
+    ]);
+
+    expect(await readCachedMessages(1)).toEqual([
+      { id: 'temp-1', message_type: 'image', status: 'failed' },
+      { id: 'temp-2', status: 'pending' },
+    ]);
+  });
+
+  it('removes the entry for an empty list', async () => {
+    await writeCachedMessages(1, [{ id: 1 }]);
+    await writeCachedMessages(1, []);
+    expect(await AsyncStorage.getItem(`${MESSAGE_CACHE_PREFIX}1`)).toBeNull();
+  });
+
+  it('logs storage errors instead of throwing', async () => {
+    const storage = { setItem: jest.fn().mockRejectedValue(new Error('disk full')) };
+
+    await expect(writeCachedMessages(1, [{ id: 1 }], storage)).resolves.toBeUndefined();
+    expect(console.warn).toHaveBeenCalledWith('Failed to cache messages:', expect.any(Error));
+  });
+
+  it('clears every chat entry and nothing else', async () => {
+    await writeCachedMessages(1, [{ id: 1 }]);
+    await writeCachedMessages(2, [{ id: 2 }]);
+    await AsyncStorage.setItem('resqzone.state', '{}');
+
+    await clearCachedMessages();
+
+    expect(await readCachedMessages(1)).toEqual([]);
+    expect(await readCachedMessages(2)).toEqual([]);
+    expect(await AsyncStorage.getItem('resqzone.state')).toBe('{}');
+  });
+
+  it('treats only temp ids as local', () => {
+    expect(isLocalMessage({ id: 'temp-123' })).toBe(true);
+    expect(isLocalMessage({ id: 12 })).toBe(false);
+    expect(isLocalMessage(null)).toBe(false);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * messageEdits.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. canEditMessage
+ *    - Own text messages stored by the server, within MESSAGE_EDIT_WINDOW_MS and not deleted.
+ *
+ * 2. canDeleteMessage
+ *    - Own messages of any type within MESSAGE_DELETE_WINDOW_MS; never local echoes or
+ *      messages that are already deleted.
+ */
+
+import {
+  MESSAGE_EDIT_WINDOW_MS,
+  MESSAGE_DELETE_WINDOW_MS,
+  canEditMessage,
+  canDeleteMessage,
+} from '../../../src/utils/messageEdits';
+
+const now = Date.parse('2025-04-10T09:00:00.000Z');
+const sentAgo = (ms) => new Date(now - ms).toISOString();
+const message = (overrides = {}) => ({
+  id: 5,
+  sender: { id: 1 },
+  content: 'Road closed',
+  message_type: 'text',
+  timestamp: sentAgo(60 * 1000),
+  ...overrides,
+});
+
+describe('messageEdits', () => {
+  test('canEditMessage allows own recent text messages only', () => {
+    expect(canEditMessage(message(), 1, now)).toBe(true);
+    expect(canEditMessage(message(), '1', now)).toBe(true);
+    expect(canEditMessage(message({ message_type: undefined }), 1, now)).toBe(true);
+
+    expect(canEditMessage(message(), 2, now)).toBe(false);
+    expect(canEditMessage(message({ message_type: 'poll' }), 1, now)).toBe(false);
+    expect(canEditMessage(message({ id: 'temp-1' }), 1, now)).toBe(false);
+    expect(canEditMessage(message({ deleted_at: sentAgo(0) }), 1, now)).toBe(false);
+    expect(canEditMessage(null, 1, now)).toBe(false);
+
+    expect(canEditMessage(message({ timestamp: sentAgo(MESSAGE_EDIT_WINDOW_MS) }), 1, now)).toBe(true);
+    expect(canEditMessage(message({ timestamp: sentAgo(MESSAGE_EDIT_WINDOW_MS + 1) }), 1, now)).toBe(false);
+  });
+
+  test('canDeleteMessage allows own messages of any type within the longer window', () => {
+    expect(canDeleteMessage(message({ message_type: 'image' }), 1, now)).toBe(true);
+    expect(canDeleteMessage(message({ timestamp: sentAgo(MESSAGE_EDIT_WINDOW_MS + 1) }), 1, now)).toBe(true);
+    expect(canDeleteMessage(message({ timestamp: sentAgo(MESSAGE_DELETE_WINDOW_MS + 1) }), 1, now)).toBe(false);
+
+    expect(canDeleteMessage(message(), 2, now)).toBe(false);
+    expect(canDeleteMessage(message({ id: 'temp-1' }), 1, now)).toBe(false);
+    expect(canDeleteMessage(message({ deleted_at: sentAgo(0) }), 1, now)).toBe(false);
+  });
+});
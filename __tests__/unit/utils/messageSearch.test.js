@@ -0,0 +1,77 @@
+/**
+ * messageSearch.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. searchableText / messageMatches
+ *    - Text, poll questions, event titles and quiz prompts are searchable; photos, locations,
+ *      deleted messages, thread replies, local echoes and too-short queries never match.
+ *
+ * 2. findMatches
+ *    - Hits from every chat come back newest first, with their chat, up to the limit.
+ *
+ * 3. snippetParts
+ *    - The text is cut around the first hit with ellipses and every hit in the window is marked.
+ */
+
+import {
+  searchableText,
+  messageMatches,
+  findMatches,
+  snippetParts,
+} from '../../../src/utils/messageSearch';
+
+const text = (id, content, timestamp = '2025-04-10T09:00:00.000Z') => ({ id, content, message_type: 'text', timestamp });
+
+describe('messageSearch', () => {
+  test('searchableText reads each message type', () => {
+    expect(searchableText(text(1, 'Generator fuel'))).toBe('Generator fuel');
+    expect(searchableText({ message_type: 'poll', poll: { question: 'Need a generator?' } })).toBe('Need a generator?');
+    expect(searchableText({ message_type: 'event', event: { title: 'Sandbagging' } })).toBe('Sandbagging');
+    expect(searchableText({ message_type: 'quiz', content: 'Flood quiz [quizId:3]' })).toBe('Flood quiz');
+    expect(searchableText({ message_type: 'image' })).toBe('');
+    expect(searchableText({ message_type: 'location', content: '{"lat":1}' })).toBe('');
+    expect(searchableText({ ...text(1, 'gone'), deleted_at: '2025-04-10T09:00:00.000Z' })).toBe('');
+  });
+
+  test('messageMatches ignores case and spacing but skips replies, echoes and short queries', () => {
+    expect(messageMatches(text(1, 'The Generator is in the shed'), '  generator  ')).toBe(true);
+    expect(messageMatches(text(1, 'in the shed'), 'IN   THE')).toBe(true);
+    expect(messageMatches(text(1, 'The generator'), 'g')).toBe(false);
+    expect(messageMatches({ ...text(2, 'generator'), parent_message_id: 1 }, 'generator')).toBe(false);
+    expect(messageMatches(text('temp-1', 'generator'), 'generator')).toBe(false);
+    expect(messageMatches(text(1, 'Sandbags'), 'generator')).toBe(false);
+  });
+
+  test('findMatches returns hits from every chat, newest first, up to the limit', () => {
+    const chats = [
+      { chat_id: 1, chat_name: 'Sam', messages: [text(1, 'generator one', '2025-04-08T09:00:00.000Z'), text(2, 'other')] },
+      { chat_id: 2, chat_name: 'Flood Watch', messages: [text(3, 'generator two', '2025-04-10T09:00:00.000Z')] },
+    ];
+
+    const hits = findMatches(chats, 'generator');
+    expect(hits.map((hit) => [hit.chat_id, hit.chat_name, hit.message.id])).toEqual([
+      [2, 'Flood Watch', 3],
+      [1, 'Sam', 1],
+    ]);
+    expect(findMatches(chats, 'generator', 1)).toHaveLength(1);
+    expect(findMatches(undefined, 'generator')).toEqual([]);
+  });
+
+  test('snippetParts cuts around the first hit and marks every hit in the window', () => {
+    const long = `${'a'.repeat(50)} generator and Generator ${'b'.repeat(50)}`;
+    const parts = snippetParts(long, 'generator', 20);
+
+    expect(parts[0]).toEqual({ text: '…', match: false });
+    expect(parts[parts.length - 1]).toEqual({ text: '…', match: false });
+    expect(parts.filter((p) => p.match).map((p) => p.text)).toEqual(['generator', 'Generator']);
+    expect(parts.map((p) => p.text).join('')).toBe(`…${'a'.repeat(19)} generator and Generator ${'b'.repeat(5)}…`);
+
+    expect(snippetParts('Generator fuel', 'generator')).toEqual([
+      { text: 'Generator', match: true },
+      { text: ' fuel', match: false },
+    ]);
+    expect(snippetParts('No hit here', 'generator')).toEqual([{ text: 'No hit here', match: false }]);
+    expect(snippetParts('', 'generator')).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * pinnedMessages.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. canPinMessages
+ *    - Group admins pin in groups; either member pins in direct chats; outsiders never do.
+ *
+ * 2. canPinMessage
+ *    - Only top-level server messages that have not been deleted can be pinned.
+ *
+ * 3. pinPreview
+ *    - One-line labels for text, photos, polls, events, locations, quizzes and deleted messages.
+ */
+
+import {
+  canPinMessages,
+  canPinMessage,
+  pinPreview,
+} from '../../../src/utils/pinnedMessages';
+
+const group = {
+  chat_id: 2,
+  is_group: true,
+  members: [
+    { id: 1, role: 'owner' },
+    { id: 2, role: 'admin' },
+    { id: 3, role: 'member' },
+  ],
+};
+const direct = { chat_id: 1, is_group: false, members: [{ id: 1 }, { id: 2 }] };
+
+describe('pinnedMessages', () => {
+  test('canPinMessages lets group admins and direct chat members pin', () => {
+    expect(canPinMessages(group, 1)).toBe(true);
+    expect(canPinMessages(group, '2')).toBe(true);
+    expect(canPinMessages(group, 3)).toBe(false);
+    expect(canPinMessages(direct, 2)).toBe(true);
+    expect(canPinMessages(direct, 3)).toBe(false);
+    expect(canPinMessages(null, 1)).toBe(false);
+  });
+
+  test('canPinMessage skips deleted messages, thread replies and local echoes', () => {
+    expect(canPinMessage({ id: 10, content: 'Hi' })).toBe(true);
+    expect(canPinMessage({ id: 10, deleted_at: '2025-04-10T09:00:00.000Z' })).toBe(false);
+    expect(canPinMessage({ id: 11, parent_message_id: 10 })).toBe(false);
+    expect(canPinMessage({ id: 'temp-1', content: 'Sending' })).toBe(false);
+    expect(canPinMessage(null)).toBe(false);
+  });
+
+  test('pinPreview labels each message type', () => {
+    expect(pinPreview({ message_type: 'text', content: 'Meet at the school' })).toBe('Meet at the school');
+    expect(pinPreview({ message_type: 'image' })).toBe('📷 Photo');
+    expect(pinPreview({ message_type: 'poll', poll: { question: 'Leave now?' } })).toBe('📊 Leave now?');
+    expect(pinPreview({ message_type: 'event', event: { title: 'Sandbagging' } })).toBe('📅 Sandbagging');
+    expect(pinPreview({ message_type: 'location', content: '{"lat":1}' })).toBe('📍 Location');
+    expect(pinPreview({ message_type: 'quiz', content: 'Flood safety quiz [quizId:4]' })).toBe('Flood safety quiz');
+    expect(pinPreview({ message_type: 'text', content: '', deleted_at: '2025-04-10T09:00:00.000Z' })).toBe(
+      'This message was deleted'
+    );
+    expect(pinPreview(undefined)).toBe('');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * __tests__/unit/utils/schema.test.js
+ *
+ * What this test file covers:
+ *
+ * 1) validate
+ *    - Primitives, ids, arrays and nested objects; every mismatch is reported with its path.
+ *    - optional / nullable / fallbacks; unknown keys are kept.
+ *    - Aliases copy a differently named field under the declared name.
+ *
+ * 2) exampleOf
+ *    - Generated and explicit samples, which always pass validation.
+ */
+
+import { types as t, validate, exampleOf } from 'src/utils/schema';
+
+describe('utils/schema validate', () => {
+  it('accepts matching primitives', () => {
+    expect(validate(t.string(), 'a').issues).toEqual([]);
+    expect(validate(t.number(), 1.5).issues).toEqual([]);
+    expect(validate(t.boolean(), false).issues).toEqual([]);
+    expect(validate(t.id(), 7).issues).toEqual([]);
+    expect(validate(t.id(), 'abc').issues).toEqual([]);
+    expect(validate(t.oneOf('a', 'b'), 'b').issues).toEqual([]);
+    expect(validate(t.any(), null).issues).toEqual([]);
+  });
+
+  it('reports mismatched primitives', () => {
+    expect(validate(t.string(), 1).issues).toEqual([{ path: '', message: 'should be string, got number' }]);
+    expect(validate(t.number(), NaN).issues).toHaveLength(1);
+    expect(validate(t.id(), 1.5).issues).toHaveLength(1);
+    expect(validate(t.id(), '').issues).toHaveLength(1);
+    expect(validate(t.oneOf('a', 'b'), 'c').issues[0].message).toBe('should be one of a, b, got string');
+  });
+
+  it('reports every issue in nested objects and arrays with its path', () => {
+    const schema = t.object({
+      data: t.array(t.object({ id: t.id(), members: t.array(t.object({ name: t.string() })) })),
+    });
+
+    const { issues } = validate(schema, {
+      data: [{ id: 1, members: [{ name: 'A' }, {}] }, { members: 'none' }],
+    });
+
+    expect(issues).toEqual([
+      { path: 'data[0].members[1].name', message: 'is missing' },
+      { path: 'data[1].id', message: 'is missing' },
+      { path: 'data[1].members', message: 'should be array, got string' },
+    ]);
+  });
+
+  it('rejects null unless nullable and missing values unless optional', () => {
+    const schema = t.object({
+      a: t.string().nullable(),
+      b: t.string().optional(),
+      c: t.string(),
+    });
+
+    expect(validate(schema, { a: null, c: 'x' }).issues).toEqual([]);
+    expect(validate(schema, { a: 'x', c: null }).issues).toEqual([
+      { path: 'c', message: 'should be string, got null' },
+    ]);
+    expect(validate(schema, null).issues).toEqual([{ path: '', message: 'should be object, got null' }]);
+  });
+
+  it('fills fallbacks and keeps unknown keys', () => {
+    const schema = t.object({ tasks: t.array(t.id()).optional([]), xp: t.number().optional(0) });
+
+    const { value, issues } = validate(schema, { extra: true });
+
+    expect(issues).toEqual([]);
+    expect(value).toEqual({ tasks: [], xp: 0, extra: true });
+  });
+
+  it('copies aliased fields under the declared name without touching the input', () => {
+    const schema = t.object({
+      hasMore: t.boolean().from('has_more'),
+      chat_id: t.id().from('id'),
+    });
+    const body = { has_more: true, id: 5 };
+
+    const { value, issues } = validate(schema, body);
+
+    expect(issues).toEqual([]);
+    expect(value).toEqual({ has_more: true, hasMore: true, id: 5, chat_id: 5 });
+    expect(body).toEqual({ has_more: true, id: 5 });
+  });
+
+  it('prefers the declared name over its aliases', () => {
+    const schema = t.object({ hasMore: t.boolean().from('has_more') });
+
+    expect(validate(schema, { hasMore: false, has_more: true }).value.hasMore).toBe(false);
+  });
+
+  it('returns new schemas from modifiers', () => {
+    const base = t.string();
+    base.optional();
+
+    expect(validate(t.object({ a: base }), {}).issues).toHaveLength(1);
+  });
+});
+
+describe('utils/schema exampleOf', () => {
+  it('generates a sample that passes validation', () => {
+    const schema = t.object({
+      id: t.id(),
+      name: t.string(),
+      tags: t.array(t.string()),
+      meta: t.object({ count: t.number(), flag: t.boolean(), kind: t.oneOf('a', 'b') }),
+    });
+
+    const sample = exampleOf(schema);
+
+    expect(sample).toEqual({
+      id: 1,
+      name: 'text',
+      tags: ['text'],
+      meta: { count: 0, flag: false, kind: 'a' },
+    });
+    expect(validate(schema, sample).issues).toEqual([]);
+  });
+
+  it('uses explicit examples and returns copies', () => {
+    const schema = t.object({ items: t.array(t.id()).example([3, 4]) });
+
+    const first = exampleOf(schema);
+    first.items.push(5);
+
+    expect(exampleOf(schema)).toEqual({ items: [3, 4] });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * __tests__/unit/utils/session.test.js
+ *
+ * What this test file covers:
+ *
+ * 1) saveSession / loadSession
+ *    - Tokens go to SecureStore, metadata to AsyncStorage, and both round-trip.
+ *
+ * 2) clearSession
+ *    - Wipes both stores and the in-memory cache.
+ *
+ * 3) updateTokens
+ *    - Replaces the token pair while keeping the stored user.
+ *
+ * 4) parseTokenResponse
+ *    - Normalises snake_case / camelCase token fields and computes expiresAt.
+ *
+ * 5) Session-expired handler
+ *    - notifySessionExpired invokes the registered handler.
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  saveSession,
+  loadSession,
+  clearSession,
+  updateTokens,
+  getAccessToken,
+  getRefreshToken,
+  parseTokenResponse,
+  isAccessTokenExpired,
+  setSessionExpiredHandler,
+  notifySessionExpired,
+} from 'src/utils/session';
+
+beforeEach(async () => {
+  await clearSession();
+  jest.clearAllMocks();
+});
+
+describe('utils/session', () => {
+  it('saveSession stores tokens securely and loadSession restores them', async () => {
+    await saveSession({
+      accessToken: 'acc',
+      refreshToken: 'ref',
+      expiresAt: 123,
+      user: { id: 'u1' },
+    });
+
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith('resqzone.accessToken', 'acc');
+    expect(SecureStore.setItemAsync).toHaveBeenCalledWith('resqzone.refreshToken', 'ref');
+    const meta = JSON.parse(await AsyncStorage.getItem('resqzone.session'));
+    expect(meta).toEqual({ user: { id: 'u1' }, expiresAt: 123 });
+    expect(JSON.stringify(meta)).not.toContain('acc');
+
+    const session = await loadSession();
+    expect(session).toEqual({
+      accessToken: 'acc',
+      refreshToken: 'ref',
+      expiresAt: 123,
+      user: { id: 'u1' },
+    });
+    expect(getAccessToken()).toBe('acc');
+    expect(getRefreshToken()).toBe('ref');
+  });
+
+  it('loadSession returns null when nothing is stored', async () => {
+    await expect(loadSession()).resolves.toBeNull();
+    expect(getAccessToken()).toBeNull();
+  });
+
+  it('clearSession wipes tokens and metadata', async () => {
+    await saveSession({ accessToken: 'a', refreshToken: 'r', user: { id: 1 } });
+    await clearSession();
+
+    expect(getAccessToken()).toBeNull();
+    expect(await SecureStore.getItemAsync('resqzone.accessToken')).toBeNull();
+    expect(await AsyncStorage.getItem('resqzone.session')).toBeNull();
+    await expect(loadSession()).resolves.toBeNull();
+  });
+
+  it('updateTokens keeps the stored user', async () => {
+    await saveSession({ accessToken: 'old', refreshToken: 'r1', user: { id: 'u2' } });
+    await updateTokens({ accessToken: 'new', refreshToken: 'r2' });
+
+    const session = await loadSession();
+    expect(session.accessToken).toBe('new');
+    expect(session.refreshToken).toBe('r2');
+    expect(session.user).toEqual({ id: 'u2' });
+  });
+
+  it('parseTokenResponse normalises token fields', () => {
+    const now = Date.now();
+    const parsed = parseTokenResponse({
+      access_token: 'a',
+      refresh_token: 'r',
+      expires_in: 60,
+    });
+    expect(parsed.accessToken).toBe('a');
+    expect(parsed.refreshToken).toBe('r');
+    expect(parsed.expiresAt).toBeGreaterThanOrEqual(now + 60000);
+
+    expect(parseTokenResponse({ accessToken: 'b' })).toEqual({
+      accessToken: 'b',
+      refreshToken: null,
+      expiresAt: null,
+    });
+  });
+
+  it('isAccessTokenExpired compares expiresAt with now', async () => {
+    await saveSession({ accessToken: 'a', expiresAt: 1000 });
+    expect(isAccessTokenExpired(999)).toBe(false);
+    expect(isAccessTokenExpired(1000)).toBe(true);
+  });
+
+  it('notifySessionExpired calls the registered handler', () => {
+    const handler = jest.fn();
+    setSessionExpiredHandler(handler);
+    notifySessionExpired();
+    expect(handler).toHaveBeenCalledTimes(1);
+    setSessionExpiredHandler(null);
+  });
+});
@@ -5,6 +5,8 @@
  *
  * 1. initSocket
  *    - Creates socket with expected params and, on connect, emits join_user_room.
+ *    - The token goes in the handshake `auth`, not the query string, and is read again on
+ *      every handshake so reconnects use the refreshed token.
  *
  * 2. emitEvent, joinChat, leaveChat, typing indicators
  *    - Do nothing before connection; emit when connected.
@@ -12,8 +14,17 @@
  * 3. disconnectSocket
  *    - Calls disconnect() and clears internal socket reference.
  *
- * 4. onEvent/offEvent
- *    - Delegates to socket.on / socket.off.
+ * 4. onEvent/offEvent (event bus)
+ *    - One socket listener per event fans out to every subscriber.
+ *    - offEvent(event, handler) removes only that handler; the socket listener goes with the last one.
+ *    - Subscriptions made before initSocket are attached when the socket is created.
+ *
+ * 5. Reconnects
+ *    - join_user_room and every joined chat room are re-emitted on each connect; left rooms are not.
+ *    - Backoff options reach socket.io (defaults, setReconnectDefaults, per-call overrides).
+ *
+ * 6. Connection status
+ *    - The registered handler receives connecting/connected/disconnected/reconnecting/failed/idle updates.
  */
 
 jest.mock('socket.io-client', () => ({
@@ -25,7 +36,12 @@ jest.mock('src/utils/config', () => ({
   BASE_URL: 'http://test.local',
 }));
 
+jest.mock('src/utils/session', () => ({
+  getAccessToken: jest.fn(() => 't0k'),
+}));
+
 import { io } from 'socket.io-client';
+import { getAccessToken } from 'src/utils/session';
 import {
   initSocket,
   getSocket,
@@ -37,21 +53,41 @@ import {
   leaveChat,
   sendTypingStart,
   sendTypingStop,
+  getJoinedChats,
+  setReconnectDefaults,
+  setConnectionStatusHandler,
 } from 'src/utils/socket';
 
 describe('utils/socket', () => {
   let mockSocket;
 
-  const makeMockSocket = () => ({
-    on: jest.fn(function (event, cb) {
-      this._listeners[event] = cb;
-    }),
-    off: jest.fn(),
-    emit: jest.fn(),
-    disconnect: jest.fn(),
-    _listeners: {},
-    id: 'sock-123',
-  });
+  const makeMockSocket = () => {
+    const managerListeners = {};
+    return {
+      on: jest.fn(function (event, cb) {
+        this._listeners[event] = cb;
+        this._all.push([event, cb]);
+      }),
+      off: jest.fn(function (event, cb) {
+        this._all = this._all.filter(([e, c]) => !(e === event && c === cb));
+      }),
+      emit: jest.fn(),
+      disconnect: jest.fn(),
+      _listeners: {},
+      _all: [],
+      // Fire every listener registered for `event`
+      fire(event, ...args) {
+        this._all.filter(([e]) => e === event).forEach(([, cb]) => cb(...args));
+      },
+      io: {
+        on: jest.fn((event, cb) => {
+          managerListeners[event] = cb;
+        }),
+        _listeners: managerListeners,
+      },
+      id: 'sock-123',
+    };
+  };
 
   beforeEach(() => {
     jest.clearAllMocks();
@@ -72,14 +108,14 @@ describe('utils/socket', () => {
   });
 
   it('initSocket creates a socket and handles connect event', () => {
-    const socket = initSocket({ userId: 'u1', token: 't0k' });
+    const socket = initSocket({ userId: 'u1' });
 
     expect(io).toHaveBeenCalledWith(
       'http://test.local',
       expect.objectContaining({
         transports: ['websocket'],
         forceNew: true,
-        query: expect.objectContaining({ userId: 'u1', token: 't0k' }),
+        query: { userId: 'u1' },
       })
     );
 
@@ -91,17 +127,31 @@ describe('utils/socket', () => {
     expect(getSocket()).toBe(socket);
   });
 
+  it('reads the current access token on every handshake', () => {
+    initSocket({ userId: 'u1' });
+    const { auth } = io.mock.calls[0][1];
+    const cb = jest.fn();
+
+    auth(cb);
+    expect(cb).toHaveBeenLastCalledWith({ token: 't0k' });
+
+    // refreshSession replaced the token; the reconnect presents the new one
+    getAccessToken.mockReturnValueOnce('fresh');
+    auth(cb);
+    expect(cb).toHaveBeenLastCalledWith({ token: 'fresh' });
+  });
+
   it('emitEvent, joinChat, leaveChat, typing events emit only when connected', () => {
-    initSocket({ userId: 'u2', token: 'tok' });
+    initSocket({ userId: 'u2' });
 
     // Before connect → no emit for generic event
-    emitEvent('custom_event', { x: 1 });
+    expect(emitEvent('custom_event', { x: 1 })).toBe(false);
     expect(mockSocket.emit).not.toHaveBeenCalledWith('custom_event', { x: 1 });
 
     // Simulate connect
     mockSocket._listeners.connect();
 
-    emitEvent('custom_event', { x: 1 });
+    expect(emitEvent('custom_event', { x: 1 })).toBe(true);
     expect(mockSocket.emit).toHaveBeenCalledWith('custom_event', { x: 1 });
 
     joinChat('chat123');
@@ -124,7 +174,7 @@ describe('utils/socket', () => {
   });
 
   it('disconnectSocket calls disconnect and clears state', () => {
-    initSocket({ userId: 'u3', token: 'tok' });
+    initSocket({ userId: 'u3' });
 
     // Ensure connect handler exists (not strictly required to call it)
     expect(typeof mockSocket._listeners.connect).toBe('function');
@@ -135,14 +185,165 @@ describe('utils/socket', () => {
     expect(getSocket()).toBe(null);
   });
 
-  it('onEvent and offEvent delegate to socket', () => {
-    initSocket({ userId: 'u4', token: 'tok' });
+  it('onEvent fans out to every subscriber and offEvent removes only the given handler', () => {
+    initSocket({ userId: 'u4' });
+    const list = jest.fn();
+    const room = jest.fn();
+
+    onEvent('chat:new_message', list);
+    onEvent('chat:new_message', room);
+    expect(mockSocket.on.mock.calls.filter(([e]) => e === 'chat:new_message')).toHaveLength(1);
+
+    mockSocket.fire('chat:new_message', { id: 1 });
+    expect(list).toHaveBeenCalledWith({ id: 1 });
+    expect(room).toHaveBeenCalledWith({ id: 1 });
+
+    offEvent('chat:new_message', room);
+    mockSocket.fire('chat:new_message', { id: 2 });
+    expect(list).toHaveBeenCalledWith({ id: 2 });
+    expect(room).toHaveBeenCalledTimes(1);
+    expect(mockSocket.off).not.toHaveBeenCalled();
+
+    // The returned unsubscribe removes the last handler and the socket listener
+    const unsubscribe = onEvent('chat:new_message', room);
+    unsubscribe();
+    offEvent('chat:new_message', list);
+    expect(mockSocket.off).toHaveBeenCalledWith('chat:new_message', expect.any(Function));
+  });
+
+  it('offEvent without a handler removes nothing', () => {
+    initSocket({ userId: 'u4' });
     const handler = jest.fn();
+    const unsubscribe = onEvent('chat:list_update', handler);
+
+    offEvent('chat:list_update');
+    mockSocket.fire('chat:list_update', []);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    unsubscribe();
+  });
+
+  it('keeps other subscribers running when a handler throws', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    initSocket({ userId: 'u4' });
+    const broken = jest.fn(() => {
+      throw new Error('boom');
+    });
+    const healthy = jest.fn();
+    const offBroken = onEvent('evt', broken);
+    const offHealthy = onEvent('evt', healthy);
+
+    mockSocket.fire('evt', 1);
 
-    onEvent('new_msg', handler);
-    expect(mockSocket.on).toHaveBeenCalledWith('new_msg', handler);
+    expect(healthy).toHaveBeenCalledWith(1);
+    offBroken();
+    offHealthy();
+    console.error.mockRestore();
+  });
+
+  it('attaches subscriptions made before initSocket', () => {
+    const handler = jest.fn();
+    const unsubscribe = onEvent('chat:list_update', handler);
+
+    initSocket({ userId: 'u5' });
+    mockSocket.fire('chat:list_update', ['c1']);
+
+    expect(handler).toHaveBeenCalledWith(['c1']);
+    unsubscribe();
+  });
+
+  it('rejoins the user room and joined chats on every connect', () => {
+    initSocket({ userId: 'u6' });
+
+    // Joined while still offline: remembered, sent on connect
+    joinChat('chat-a');
+    expect(mockSocket.emit).not.toHaveBeenCalled();
+
+    mockSocket._listeners.connect();
+    joinChat('chat-b');
+    expect(getJoinedChats()).toEqual(['chat-a', 'chat-b']);
+    expect(mockSocket.emit.mock.calls).toEqual([
+      ['join_user_room', 'u6'],
+      ['join_chat', 'chat-a'],
+      ['join_chat', 'chat-b'],
+    ]);
+
+    leaveChat('chat-a');
+    mockSocket._listeners.disconnect('transport close');
+    mockSocket.emit.mockClear();
+    mockSocket._listeners.connect();
+
+    expect(mockSocket.emit.mock.calls).toEqual([
+      ['join_user_room', 'u6'],
+      ['join_chat', 'chat-b'],
+    ]);
+  });
+
+  it('forgets joined chats on disconnectSocket', () => {
+    initSocket({ userId: 'u7' });
+    joinChat('chat-a');
+
+    disconnectSocket();
+
+    expect(getJoinedChats()).toEqual([]);
+  });
+
+  it('passes the reconnect backoff to socket.io', () => {
+    initSocket({ userId: 'u8' });
+    expect(io).toHaveBeenLastCalledWith(
+      'http://test.local',
+      expect.objectContaining({
+        reconnection: true,
+        reconnectionAttempts: Infinity,
+        reconnectionDelay: 1000,
+        reconnectionDelayMax: 30000,
+        randomizationFactor: 0.5,
+      })
+    );
+    disconnectSocket();
+
+    expect(setReconnectDefaults({ retryDelay: 500 })).toMatchObject({ retryDelay: 500, maxRetryDelay: 30000 });
+    try {
+      initSocket({ userId: 'u8', reconnect: { retries: 0 } });
+      expect(io).toHaveBeenLastCalledWith(
+        'http://test.local',
+        expect.objectContaining({
+          reconnection: false,
+          reconnectionAttempts: 0,
+          reconnectionDelay: 500,
+        })
+      );
+    } finally {
+      setReconnectDefaults({ retryDelay: 1000 });
+    }
+  });
+
+  it('reports the connection lifecycle to the status handler', () => {
+    const updates = [];
+    setConnectionStatusHandler((update) => updates.push(update));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      initSocket({ userId: 'u9' });
+      mockSocket._listeners.connect();
+      mockSocket._listeners.disconnect('transport close');
+      mockSocket.io._listeners.reconnect_attempt(2);
+      mockSocket._listeners.connect_error(new Error('refused'));
+      mockSocket.io._listeners.reconnect_failed();
+      disconnectSocket();
 
-    offEvent('new_msg');
-    expect(mockSocket.off).toHaveBeenCalledWith('new_msg');
+      expect(updates).toEqual([
+        { status: 'connecting' },
+        { status: 'connected', socketId: 'sock-123', at: expect.any(String) },
+        { status: 'disconnected', reason: 'transport close' },
+        { status: 'reconnecting', attempt: 2 },
+        { error: 'refused' },
+        { status: 'failed' },
+        { status: 'idle' },
+      ]);
+    } finally {
+      setConnectionStatusHandler(null);
+      console.error.mockRestore();
+    }
   });
 });
@@ -0,0 +1,121 @@
+/**
+ * __tests__/unit/utils/voiceNotes.test.js
+ *
+ * What this test file covers:
+ *
+ * 1. voiceNoteLimits
+ *    - Reads `expo.extra.voiceNotes` from app.json; missing or invalid values use the defaults.
+ *
+ * 2. Permission
+ *    - requestRecordingPermission resolves when granted and throws when denied.
+ *
+ * 3. Waveform
+ *    - meteringToLevel maps dBFS to 0–1; downsampleWaveform averages levels into bars.
+ *
+ * 4. prepareVoiceNote
+ *    - Drops taps shorter than MIN_VOICE_NOTE_MS; rejects notes over the duration or size limit.
+ *    - Returns the note with its size, MIME type and waveform.
+ *
+ * 5. Formatting & speed
+ *    - formatDuration renders "m:ss"; nextPlaybackRate cycles through PLAYBACK_RATES.
+ */
+
+import { AudioModule } from 'expo-audio';
+import { File } from 'expo-file-system';
+import {
+  VOICE_NOTE_DEFAULTS,
+  VOICE_NOTE_MIME_TYPE,
+  WAVEFORM_BARS,
+  voiceNoteLimits,
+  requestRecordingPermission,
+  meteringToLevel,
+  downsampleWaveform,
+  prepareVoiceNote,
+  readVoiceNoteBase64,
+  formatDuration,
+  nextPlaybackRate,
+} from 'src/utils/voiceNotes';
+
+const limits = { maxDurationMs: 60000, maxSizeBytes: 1000 };
+
+describe('utils/voiceNotes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('voiceNoteLimits reads app.json and falls back to the defaults', () => {
+    expect(voiceNoteLimits()).toEqual({ maxDurationMs: 120000, maxSizeBytes: 1048576 });
+    expect(voiceNoteLimits({ voiceNotes: { maxDurationSeconds: 30, maxSizeBytes: 5000 } })).toEqual({
+      maxDurationMs: 30000,
+      maxSizeBytes: 5000,
+    });
+    expect(voiceNoteLimits({ voiceNotes: { maxDurationSeconds: -1, maxSizeBytes: 'big' } })).toEqual({
+      maxDurationMs: VOICE_NOTE_DEFAULTS.maxDurationSeconds * 1000,
+      maxSizeBytes: VOICE_NOTE_DEFAULTS.maxSizeBytes,
+    });
+    expect(voiceNoteLimits(undefined).maxSizeBytes).toBe(1048576);
+    expect(voiceNoteLimits(null)).toEqual({
+      maxDurationMs: VOICE_NOTE_DEFAULTS.maxDurationSeconds * 1000,
+      maxSizeBytes: VOICE_NOTE_DEFAULTS.maxSizeBytes,
+    });
+  });
+
+  test('requestRecordingPermission throws when the microphone is denied', async () => {
+    await expect(requestRecordingPermission()).resolves.toBeUndefined();
+
+    AudioModule.requestRecordingPermissionsAsync.mockResolvedValueOnce({ granted: false });
+    await expect(requestRecordingPermission()).rejects.toThrow('Microphone permission not granted');
+  });
+
+  test('meteringToLevel maps dBFS to 0–1', () => {
+    expect(meteringToLevel(0)).toBe(1);
+    expect(meteringToLevel(-30)).toBe(0.5);
+    expect(meteringToLevel(-160)).toBe(0);
+    expect(meteringToLevel(5)).toBe(1);
+    expect(meteringToLevel(undefined)).toBe(0);
+  });
+
+  test('downsampleWaveform averages levels into bars', () => {
+    expect(downsampleWaveform([0, 1, 0.5, 0.5], 2)).toEqual([0.5, 0.5]);
+    expect(downsampleWaveform([0.2], 3)).toEqual([0.2, 0.2, 0.2]);
+    expect(downsampleWaveform([])).toHaveLength(WAVEFORM_BARS);
+    expect(downsampleWaveform([]).every((l) => l === 0)).toBe(true);
+  });
+
+  test('prepareVoiceNote drops taps and enforces the limits', async () => {
+    await expect(prepareVoiceNote({ uri: 'file:///v.m4a', durationMs: 400 }, limits)).resolves.toBeNull();
+    await expect(prepareVoiceNote({ uri: null, durationMs: 4000 }, limits)).resolves.toBeNull();
+    await expect(prepareVoiceNote({ uri: 'file:///v.m4a', durationMs: 61000 }, limits)).rejects.toThrow(
+      'Voice notes can be at most 1:00 long'
+    );
+
+    File.mockImplementationOnce((uri) => ({ uri, size: 2000 }));
+    await expect(prepareVoiceNote({ uri: 'file:///v.m4a', durationMs: 4000 }, limits)).rejects.toThrow(
+      'Voice note is too large to send'
+    );
+  });
+
+  test('prepareVoiceNote returns the note ready to send', async () => {
+    const note = await prepareVoiceNote({ uri: 'file:///v.m4a', durationMs: 4200.4, levels: [0.1, 0.9] }, limits);
+
+    expect(File).toHaveBeenCalledWith('file:///v.m4a');
+    expect(note).toEqual({
+      uri: 'file:///v.m4a',
+      duration_ms: 4200,
+      size: 6,
+      mime_type: VOICE_NOTE_MIME_TYPE,
+      waveform: expect.any(Array),
+    });
+    expect(note.waveform).toHaveLength(WAVEFORM_BARS);
+    await expect(readVoiceNoteBase64('file:///v.m4a')).resolves.toBe('aW1hZ2U=');
+  });
+
+  test('formatDuration and nextPlaybackRate', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(4600)).toBe('0:05');
+    expect(formatDuration(125000)).toBe('2:05');
+    expect(nextPlaybackRate(1)).toBe(1.5);
+    expect(nextPlaybackRate(1.5)).toBe(2);
+    expect(nextPlaybackRate(2)).toBe(1);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * EventCard.js
+ *
+ * Body of a `message_type: 'event'` chat bubble: title, time window, location pin, capacity,
+ * RSVP counts and the Going / Maybe / Can't buttons.
+ *
+ * Key functionalities:
+ * - **RSVP**: Tapping a button calls `onRsvp(status)` with `'going' | 'maybe' | 'not_going'`.
+ *   Buttons are disabled once the event has ended (`ends_at`, or `starts_at` without an end);
+ *   "Going" is also disabled while the event is full, unless the user is already going.
+ * - **Tasks**: After a Going/Maybe RSVP, "Add to my tasks" calls
+ *   `onRsvp(status, { addToTasks: true })`; once the server has added the task
+ *   (`my_task_id`) the card shows "In your tasks".
+ * - **Location**: The pin (its `label`, or "Pinned location") calls `onOpenLocation(location)`.
+ *
+ * Props:
+ * - `event` (object): `{ id, title, starts_at, ends_at, location, capacity, created_by,
+ *   counts: { going, maybe, not_going }, my_rsvp, my_task_id }` (see `utils/apiSchemas.js`).
+ * - `theme` (object): { text, mutedText, accent, link, divider }
+ * - `onRsvp`, `onOpenLocation` (functions)
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import formatTime from '../../utils/utils';
+
+export const RSVP_OPTIONS = [
+    { status: 'going', label: 'Going' },
+    { status: 'maybe', label: 'Maybe' },
+    { status: 'not_going', label: "Can't" },
+];
+
+export const hasEventEnded = (event, now = Date.now()) =>
+    new Date(event.ends_at || event.starts_at).getTime() <= now;
+
+// "Sat Apr 12, 9:00 AM – 11:00 AM"
+export const formatEventWindow = (startsAt, endsAt) => {
+    const day = new Date(startsAt).toDateString().slice(0, 10);
+    const start = `${day}, ${formatTime(startsAt)}`;
+    return endsAt ? `${start} – ${formatTime(endsAt)}` : start;
+};
+
+const EventCard = ({ event, theme, onRsvp, onOpenLocation }) => {
+    const styles = createStyles(theme);
+    const counts = event.counts || {};
+    const going = counts.going || 0;
+    const ended = hasEventEnded(event);
+    const full = !!event.capacity && going >= event.capacity;
+    const attending = ['going', 'maybe'].includes(event.my_rsvp);
+
+    const capacityText = event.capacity
+        ? full
+            ? ' · Full'
+            : ` · ${event.capacity - going} spots left`
+        : '';
+
+    return (
+        <View>
+            <Text style={styles.title}>🗓️ {event.title}</Text>
+            <Text style={styles.meta}>
+                {formatEventWindow(event.starts_at, event.ends_at)}
+            </Text>
+
+            {event.location && (
+                <TouchableOpacity
+                    style={styles.locationRow}
+                    onPress={() => onOpenLocation?.(event.location)}
+                >
+                    <Feather name='map-pin' size={14} color={theme.link} />
+                    <Text style={styles.locationText}>
+                        {event.location.label || 'Pinned location'}
+                    </Text>
+                </TouchableOpacity>
+            )}
+
+            <Text style={styles.meta}>
+                {going} going · {counts.maybe || 0} maybe
+                {capacityText}
+            </Text>
+
+            {ended ? (
+                <Text style={styles.meta}>Event ended</Text>
+            ) : (
+                <View style={styles.rsvpRow}>
+                    {RSVP_OPTIONS.map(({ status, label }) => {
+                        const selected = event.my_rsvp === status;
+                        const disabled =
+                            status === 'going' && full && !selected;
+                        return (
+                            <TouchableOpacity
+                                key={status}
+                                testID={`event-rsvp-${status}`}
+                                disabled={disabled}
+                                accessibilityState={{ selected, disabled }}
+                                onPress={() => onRsvp?.(status)}
+                                style={[
+                                    styles.rsvpButton,
+                                    selected && styles.rsvpButtonSelected,
+                                    disabled && styles.rsvpButtonDisabled,
+                                ]}
+                            >
+                                <Text
+                                    style={[
+                                        styles.rsvpText,
+                                        selected && styles.rsvpTextSelected,
+                                    ]}
+                                >
+                                    {label}
+                                </Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </View>
+            )}
+
+            {attending &&
+                (event.my_task_id ? (
+                    <Text style={styles.meta}>✓ In your tasks</Text>
+                ) : (
+                    !ended && (
+                        <TouchableOpacity
+                            onPress={() =>
+                                onRsvp?.(event.my_rsvp, { addToTasks: true })
+                            }
+                        >
+                            <Text style={styles.taskText}>Add to my tasks</Text>
+                        </TouchableOpacity>
+                    )
+                ))}
+        </View>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        title: {
+            fontSize: 15,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+        },
+        meta: {
+            fontSize: 12,
+            fontFamily: 'Poppins',
+            color: theme.mutedText || '#aaa',
+            marginTop: 4,
+        },
+        locationRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: 6,
+            marginTop: 6,
+        },
+        locationText: {
+            fontSize: 13,
+            fontFamily: 'Poppins',
+            color: theme.link,
+        },
+        rsvpRow: {
+            flexDirection: 'row',
+            gap: 6,
+            marginTop: 8,
+        },
+        rsvpButton: {
+            flex: 1,
+            paddingVertical: 6,
+            borderRadius: 8,
+            borderWidth: 1,
+            borderColor: theme.divider || theme.accent,
+            alignItems: 'center',
+        },
+        rsvpButtonSelected: {
+            backgroundColor: theme.link,
+            borderColor: theme.link,
+        },
+        rsvpButtonDisabled: {
+            opacity: 0.4,
+        },
+        rsvpText: {
+            fontSize: 13,
+            fontFamily: 'Poppins',
+            color: theme.text,
+        },
+        rsvpTextSelected: {
+            color: '#fff',
+            fontFamily: 'PoppinsBold',
+        },
+        taskText: {
+            fontSize: 13,
+            fontFamily: 'PoppinsBold',
+            color: theme.link,
+            marginTop: 8,
+        },
+    });
+
+export default EventCard;
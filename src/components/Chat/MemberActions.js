@@ -0,0 +1,113 @@
+/**
+ * MemberActions.js
+ *
+ * Moderation actions for one group member, shown under their row in `GroupInfoModal` when the
+ * current user outranks them (`canManageMember` in `utils/groupRoles.js`).
+ *
+ * Key functionalities:
+ * - **Role**: "Make admin" for members, "Dismiss as admin" for admins → `onSetRole(role)`.
+ * - **Mute**: one chip per `MUTE_DURATIONS` entry → `onMute(until)` with the end as an ISO
+ *   string; muted members get "Unmute" instead → `onMute(null)`.
+ * - **Remove / Ban**: `onRemove()` / `onBan()`; the caller asks for confirmation.
+ *
+ * Props:
+ * - `member` (object): `{ id, name, role, muted_until }`
+ * - `theme` (object): { link }
+ * - `now` (number, optional): current time in ms, for tests.
+ * - `onSetRole` / `onMute` / `onRemove` / `onBan` (functions)
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+
+export const MUTE_DURATIONS = [
+    { label: '1 hour', ms: 60 * 60 * 1000 },
+    { label: '8 hours', ms: 8 * 60 * 60 * 1000 },
+    { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+];
+
+const MemberActions = ({
+    member,
+    theme,
+    now = Date.now(),
+    onSetRole,
+    onMute,
+    onRemove,
+    onBan,
+}) => {
+    const styles = createStyles(theme);
+    const isAdmin = member.role === 'admin';
+    const isMuted =
+        !!member.muted_until && new Date(member.muted_until).getTime() > now;
+
+    const Chip = ({ label, onPress, danger }) => (
+        <Pressable
+            style={[styles.chip, danger && styles.dangerChip]}
+            onPress={onPress}
+            accessibilityRole='button'
+        >
+            <Text style={[styles.chipText, danger && styles.dangerText]}>
+                {label}
+            </Text>
+        </Pressable>
+    );
+
+    return (
+        <View style={styles.container}>
+            <Chip
+                label={isAdmin ? 'Dismiss as admin' : 'Make admin'}
+                onPress={() => onSetRole?.(isAdmin ? 'member' : 'admin')}
+            />
+            {isMuted ? (
+                <Chip label='Unmute' onPress={() => onMute?.(null)} />
+            ) : (
+                MUTE_DURATIONS.map(({ label, ms }) => (
+                    <Chip
+                        key={label}
+                        label={`Mute ${label}`}
+                        onPress={() =>
+                            onMute?.(new Date(now + ms).toISOString())
+                        }
+                    />
+                ))
+            )}
+            <Chip label='Remove' danger onPress={() => onRemove?.()} />
+            <Chip label='Ban' danger onPress={() => onBan?.()} />
+        </View>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        container: {
+            flexDirection: 'row',
+            flexWrap: 'wrap',
+            gap: 8,
+            marginTop: -4,
+            marginBottom: 10,
+            paddingHorizontal: 4,
+        },
+        chip: {
+            paddingHorizontal: 10,
+            paddingVertical: 6,
+            borderRadius: 14,
+            borderWidth: 1,
+            borderColor: theme.link,
+        },
+        chipText: {
+            fontFamily: 'Poppins',
+            fontSize: 12,
+            color: theme.link,
+        },
+        dangerChip: {
+            borderColor: 'red',
+            backgroundColor: 'rgba(255,0,0,0.1)',
+        },
+        dangerText: {
+            color: 'red',
+        },
+    });
+
+export default MemberActions;
@@ -0,0 +1,86 @@
+/**
+ * MentionSuggestions.js
+ *
+ * Strip of chat members shown above the composer while the user types "@name", so the mention
+ * can be picked instead of typed out (`mentionCandidates`).
+ *
+ * Key functionalities:
+ * - **Rows**: each member's avatar initial and name; tapping one calls `onSelect(member)`.
+ * - Renders nothing when there are no members to suggest.
+ *
+ * Props:
+ * - `members` (array): `[{ id, name }]` matching what has been typed so far.
+ * - `theme` (object): { surface, text, primary, divider }
+ * - `onSelect` (function)
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+const MentionSuggestions = ({ members = [], theme, onSelect }) => {
+    const styles = createStyles(theme);
+    if (!members.length) return null;
+
+    return (
+        <View testID='mention-suggestions' style={styles.container}>
+            {members.map((member) => (
+                <TouchableOpacity
+                    key={member.id}
+                    style={styles.row}
+                    accessibilityRole='button'
+                    accessibilityLabel={`Mention ${member.name}`}
+                    onPress={() => onSelect?.(member)}
+                >
+                    <View style={styles.avatar}>
+                        <Text style={styles.initial}>
+                            {member.name.charAt(0).toUpperCase()}
+                        </Text>
+                    </View>
+                    <Text style={styles.name} numberOfLines={1}>
+                        {member.name}
+                    </Text>
+                </TouchableOpacity>
+            ))}
+        </View>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        container: {
+            backgroundColor: theme.surface,
+            borderTopWidth: 1,
+            borderTopColor: theme.divider,
+            paddingHorizontal: 12,
+            paddingVertical: 4,
+        },
+        row: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            paddingVertical: 6,
+        },
+        avatar: {
+            width: 28,
+            height: 28,
+            borderRadius: 14,
+            backgroundColor: theme.primary,
+            alignItems: 'center',
+            justifyContent: 'center',
+            marginRight: 10,
+        },
+        initial: {
+            fontFamily: 'PoppinsBold',
+            fontSize: 13,
+            color: '#fff',
+        },
+        name: {
+            flex: 1,
+            fontFamily: 'Poppins',
+            fontSize: 14,
+            color: theme.text,
+        },
+    });
+
+export default MentionSuggestions;
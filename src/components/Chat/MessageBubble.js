@@ -1,9 +1,9 @@
 /**
  * MessageBubble.js
  *
- * A chat bubble component that renders text, location previews, polls, and quiz prompts
- * with reactions and timestamp. It supports a long-press action sheet (Reply / Copy / React / Delete)
- * with light haptic feedback and platform-aware link handling.
+ * A chat bubble component that renders text, photos, location previews, polls, and quiz prompts
+ * with reactions, timestamp and delivery ticks. It supports a long-press action sheet
+ * (Reply / Copy / React / Seen by / Pin / Edit / Delete) with light haptic feedback and platform-aware link handling.
  *
  * Key functionalities:
  * - **Sender Awareness**:
@@ -15,33 +15,78 @@
  *     and opens Apple Maps (iOS) or geo URI (Android) on press.
  *   - `"quiz"`: Extracts `[quizId:ID]` from `message.content` and shows a "Take Quiz" button that navigates to
  *     `Quiz` screen with `{ quizId }`.
- *   - Polls: When `message.type === 'poll' && message.poll`, renders question + tappable options; tapping fires a UI-only alert.
- *   - Default: Renders `message.content` or `[No content]`.
+ *   - `"poll"`: Renders `message.poll` with `PollCard` (live tallies, voting, creator controls); votes and
+ *     creator actions are forwarded to `onPollVote(message, optionIds)`, `onPollClose(message)` and
+ *     `onPollVoters(message)`.
+ *   - `"event"`: Renders `message.event` with `EventCard` (time window, location pin, RSVP counts); RSVPs are
+ *     forwarded to `onEventRsvp(message, status, { addToTasks })` and the pin opens the maps app like locations.
+ *     Event messages without an `event` (older plain-text announcements) fall back to the text.
+ *   - `"image"`: Shows `message.image` as a thumbnail sized from its `width`/`height`; tapping it opens
+ *     `ImageViewerModal`. Photos still on the device show their upload state: a progress bar while
+ *     `status === 'uploading'`, "Waiting for connection…" while queued (`pending`) and a retry link when
+ *     `failed`, which calls `onRetryImage(message)`.
+ *   - `"voice"`: Plays `message.voice` with `VoiceNotePlayer` (play/pause, scrubbing on the waveform,
+ *     1× / 1.5× / 2× speed). Unsent voice notes show the same upload states as photos; the retry
+ *     link calls `onRetryVoice(message)`.
+ *   - Default: Renders `message.content` or `[No content]`. "@Name" mentions (`message.mentions`) are
+ *     bold in `theme.link`; mentions of the current user are also shaded (`mentionParts`).
+ *   - Deleted messages (`deleted_at`) only show "This message was deleted" and the time; they have no
+ *     reactions, ticks or long-press actions.
  *
- * - **Reactions & Time**:
- *   - Renders a row of emoji reactions from `message.reactions`.
+ * - **Reactions, Replies & Time**:
+ *   - `ReactionBar` groups `message.reactions` into "❤️ 2" chips; tapping a chip calls `onReact(message, emoji)`
+ *     and long-pressing one lists who reacted with what (`ReactionListModal`).
+ *   - Messages with thread replies show "N replies", which opens the thread (`openThread(message)`).
  *   - Timestamp uses `formatTime(message.timestamp)`.
+ *   - The user's own messages show `ReceiptTicks` next to the time (sending / sent / delivered / read).
+ *     In group chats (`isGroup`), tapping the ticks or the "Seen by" action lists who has read or
+ *     received the message (`SeenByModal`).
+ *   - Edited messages show "edited" next to the time; tapping it lists earlier versions (`EditHistoryModal`).
+ *   - Pinned messages (`isPinned`) show 📌 next to the time; `highlighted` outlines the bubble after
+ *     the pinned banner or a search hit jumps to it.
  *
  * - **Long-Press Actions**:
  *   - Haptics: `Haptics.impactAsync(Medium)`.
- *   - Modal actions: Reply, Copy (via `Clipboard.setString`), React (UI-only), and Delete (only when sent by `isMe`).
+ *   - Modal actions: Reply (opens the thread), Copy (via `Clipboard.setString`), React (opens `ReactionPicker`;
+ *     the picked emoji goes to `onReact(message, emoji)`), Seen by (own group messages, see above),
+ *     Pin / Unpin (when `onTogglePin` is given and `canPinMessage` allows it, calls `onTogglePin(message)`),
+ *     Edit (own text messages within `MESSAGE_EDIT_WINDOW_MS`, calls `onEdit(message)`) and Delete
+ *     (own messages within `MESSAGE_DELETE_WINDOW_MS`, calls `onDelete(message)`).
  *
  * Props:
  * - `senderId` (string | number): Current user’s id to compute `isMe`.
  * - `message` (object):
  *     - `sender?: { id, name }`
  *     - `content?: string`
+ *     - `mentions?: Array<{ id, name }>`
  *     - `timestamp?: number|string|Date`
- *     - `message_type?: 'location' | 'quiz' | ...`
- *     - `type?: 'poll' | ...`
- *     - `poll?: { question: string, options: string[] }`
- *     - `reactions?: Array<{ emoji: string }>`
+ *     - `message_type?: 'location' | 'quiz' | 'poll' | 'event' | 'image' | 'voice' | ...`
+ *     - `image?: { url, width, height, location }`, plus `status` / `progress` on local echoes
+ *     - `voice?: { url, duration_ms, waveform }`, with the same `status` / `progress` on local echoes
+ *     - `poll?: { id, question, options: [{ id, text, votes }], allows_multiple, closes_at, closed,
+ *       created_by, total_votes, my_votes }`
+ *     - `event?: { id, title, starts_at, ends_at, location, capacity, counts, my_rsvp, my_task_id }`
+ *     - `reactions?: Array<{ emoji: string, user: { id, name } }>` (one per member)
+ *     - `reply_count?: number`
+ *     - `receipts?: Array<{ user: { id, name }, delivered_at, read_at }>` (one per other member)
+ *     - `edited_at?`, `edit_history?: Array<{ content, written_at }>`, `deleted_at?`
  * - `theme` (object): { primary, surface, text, mutedText, accent, link }
- * - `openThread` (function): (not used currently)
+ * - `isGroup` (bool): Enables the "Seen by" list on the user's own messages.
+ * - `openThread` (function): Opens the message's thread; called with the message.
+ * - `onPollVote` / `onPollClose` / `onPollVoters` (functions): poll handlers (see above).
+ * - `onEventRsvp` (function): event RSVP handler (see above).
+ * - `onReact` (function): reaction handler; whether the emoji adds, replaces or removes the user's
+ *   reaction is up to the caller.
+ * - `onRetryImage` / `onRetryVoice` (functions): Re-send a photo or voice note whose upload
+ *   failed; called with the message.
+ * - `onEdit` / `onDelete` (functions): Called with the message; the screen opens the editor or
+ *   asks for confirmation.
+ * - `isPinned` (bool) / `onTogglePin` (function): Pin state and handler; leave `onTogglePin` out for
+ *   users who may not pin.
+ * - `highlighted` (bool): Briefly marks the message the user jumped to (pin or search hit).
  *
  * Notes:
  * - Location content parsing tolerates unquoted keys and converts to JSON.
- * - Delete/React/Reply are UI-only alerts in this component.
  *
  * Author: Sunidhi Abhange
  */
@@ -54,7 +99,6 @@ import {
     StyleSheet,
     Modal,
     Pressable,
-    Alert,
     Clipboard,
     Image,
     Linking,
@@ -64,14 +108,57 @@ import { useNavigation } from '@react-navigation/native';
 import formatTime from '../../utils/utils';
 import { Feather } from '@expo/vector-icons';
 import * as Haptics from 'expo-haptics';
+import PollCard from './PollCard';
+import EventCard from './EventCard';
+import ReactionBar from './ReactionBar';
+import ReactionPicker from './ReactionPicker';
+import ReceiptTicks from './ReceiptTicks';
+import ReactionListModal from '../../modals/ReactionListModal';
+import ImageViewerModal from '../../modals/ImageViewerModal';
+import SeenByModal from '../../modals/SeenByModal';
+import EditHistoryModal from '../../modals/EditHistoryModal';
+import { isLocalMessage } from '../../utils/messageCache';
+import { canEditMessage, canDeleteMessage } from '../../utils/messageEdits';
+import { canPinMessage } from '../../utils/pinnedMessages';
+import { mentionParts } from '../../utils/mentions';
+import VoiceNotePlayer from './VoiceNotePlayer';
 
-const MessageBubble = ({ senderId, message, theme, openThread }) => {
+const MessageBubble = ({
+    senderId,
+    message,
+    theme,
+    isGroup,
+    openThread,
+    onPollVote,
+    onPollClose,
+    onPollVoters,
+    onEventRsvp,
+    onReact,
+    onRetryImage,
+    onRetryVoice,
+    onEdit,
+    onDelete,
+    isPinned,
+    onTogglePin,
+    highlighted,
+}) => {
     const navigation = useNavigation();
     const isMe = message.sender?.id === senderId;
     const styles = createStyles(theme, isMe);
     const [actionVisible, setActionVisible] = useState(false);
+    const [pickerVisible, setPickerVisible] = useState(false);
+    const [reactorsVisible, setReactorsVisible] = useState(false);
+    const [viewerVisible, setViewerVisible] = useState(false);
+    const [seenByVisible, setSeenByVisible] = useState(false);
+    const [historyVisible, setHistoryVisible] = useState(false);
+    const isDeleted = !!message.deleted_at;
+    const canShowSeenBy = isMe && isGroup && !isLocalMessage(message);
+    const canEdit = canEditMessage(message, senderId);
+    const canDelete = canDeleteMessage(message, senderId);
+    const canPin = !!onTogglePin && canPinMessage(message);
 
     const handleLongPress = () => {
+        if (isDeleted) return;
         Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
         setActionVisible(true);
     };
@@ -82,19 +169,38 @@ const MessageBubble = ({ senderId, message, theme, openThread }) => {
     };
 
     const handleReact = () => {
-        Alert.alert('React', '❤️ reaction added (UI only)');
         setActionVisible(false);
+        setPickerVisible(true);
+    };
+
+    const handleSelectReaction = (emoji) => {
+        setPickerVisible(false);
+        onReact?.(message, emoji);
+    };
+
+    const handleEdit = () => {
+        setActionVisible(false);
+        onEdit?.(message);
     };
 
     const handleDelete = () => {
-        Alert.alert('Delete', 'This would remove the message (UI only).');
         setActionVisible(false);
+        onDelete?.(message);
+    };
+
+    const handleTogglePin = () => {
+        setActionVisible(false);
+        onTogglePin?.(message);
+    };
+
+    const handleSeenBy = () => {
+        setActionVisible(false);
+        setSeenByVisible(true);
     };
 
     const handleReply = () => {
-        Alert.alert('Reply', 'This would reply to the message (UI only).');
-        //openThread(message); //! Not Working
         setActionVisible(false);
+        openThread?.(message);
     };
 
     // Handle map location link
@@ -106,12 +212,6 @@ const MessageBubble = ({ senderId, message, theme, openThread }) => {
         Linking.openURL(url);
     };
 
-    // Handle Poll Voting
-    const handlePollVote = (pollOption) => {
-        Alert.alert('Poll Vote', `You voted for: ${pollOption}`);
-        setActionVisible(false);
-    };
-
     const extractQuizId = (text) => {
         const match = text.match(/\[quizId:(\d+)\]/);
         return match ? match[1] : null;
@@ -121,7 +221,53 @@ const MessageBubble = ({ senderId, message, theme, openThread }) => {
         navigation.navigate('Quiz', { quizId: parseInt(quizId, 10) });
     };
 
+    // Upload progress, queue and retry for photos and voice notes still on the device
+    const renderUploadState = () => {
+        const percent = Math.round((message.progress || 0) * 100);
+        const retry =
+            message.message_type === 'voice' ? onRetryVoice : onRetryImage;
+        return (
+            <>
+                {message.status === 'uploading' && (
+                    <View style={styles.uploadRow}>
+                        <View style={styles.uploadTrack}>
+                            <View
+                                style={[
+                                    styles.uploadFill,
+                                    { width: `${percent}%` },
+                                ]}
+                            />
+                        </View>
+                        <Text style={styles.uploadText}>
+                            Uploading… {percent}%
+                        </Text>
+                    </View>
+                )}
+                {message.status === 'pending' && (
+                    <Text style={styles.uploadText}>
+                        Waiting for connection…
+                    </Text>
+                )}
+                {message.status === 'failed' && (
+                    <TouchableOpacity onPress={() => retry?.(message)}>
+                        <Text style={styles.uploadFailed}>
+                            Upload failed · Tap to retry
+                        </Text>
+                    </TouchableOpacity>
+                )}
+            </>
+        );
+    };
+
     const renderMessageContent = () => {
+        if (isDeleted) {
+            return (
+                <Text style={[styles.messageText, styles.deletedText]}>
+                    This message was deleted
+                </Text>
+            );
+        }
+
         if (message.message_type === 'location') {
             let getLocation = JSON.parse(
                 message.content.replace(/([a-zA-Z0-9_]+):/g, '"$1":')
@@ -163,28 +309,90 @@ const MessageBubble = ({ senderId, message, theme, openThread }) => {
             );
         }
 
-        if (message.type === 'poll' && message.poll) {
+        if (message.message_type === 'image' && message.image) {
+            const { url, width, height } = message.image;
             return (
                 <View>
-                    <Text style={styles.messageText}>
-                        {message.poll.question}
-                    </Text>
-                    {message.poll.options.map((option, index) => (
-                        <TouchableOpacity
-                            key={index}
-                            onPress={() => handlePollVote(option)}
-                            style={styles.pollOption}
-                        >
-                            <Text style={styles.pollOptionText}>{option}</Text>
-                        </TouchableOpacity>
-                    ))}
+                    <TouchableOpacity
+                        testID='image-thumbnail'
+                        onPress={() => setViewerVisible(true)}
+                        onLongPress={handleLongPress}
+                    >
+                        <Image
+                            source={{ uri: url }}
+                            style={[
+                                styles.imageThumbnail,
+                                width && height
+                                    ? { aspectRatio: width / height }
+                                    : null,
+                            ]}
+                        />
+                    </TouchableOpacity>
+                    {renderUploadState()}
+                </View>
+            );
+        }
+
+        if (message.message_type === 'voice' && message.voice) {
+            return (
+                <View>
+                    <VoiceNotePlayer voice={message.voice} theme={theme} />
+                    {renderUploadState()}
                 </View>
             );
         }
 
+        if (message.message_type === 'poll' && message.poll) {
+            return (
+                <PollCard
+                    poll={message.poll}
+                    theme={theme}
+                    isCreator={
+                        String(message.poll.created_by) === String(senderId)
+                    }
+                    onVote={(optionIds) => onPollVote?.(message, optionIds)}
+                    onClose={() => onPollClose?.(message)}
+                    onShowVoters={() => onPollVoters?.(message)}
+                />
+            );
+        }
+
+        if (message.message_type === 'event' && message.event) {
+            return (
+                <EventCard
+                    event={message.event}
+                    theme={theme}
+                    onRsvp={(status, options = {}) =>
+                        onEventRsvp?.(message, status, options)
+                    }
+                    onOpenLocation={handleOpenLocation}
+                />
+            );
+        }
+
+        if (!message.content) {
+            return <Text style={styles.messageText}>[No content]</Text>;
+        }
+
         return (
             <Text style={styles.messageText}>
-                {message.content || '[No content]'}
+                {mentionParts(message.content, message.mentions).map(
+                    (part, i) =>
+                        part.mention ? (
+                            <Text
+                                key={i}
+                                style={[
+                                    styles.mention,
+                                    String(part.mention.id) ===
+                                        String(senderId) && styles.mentionMe,
+                                ]}
+                            >
+                                {part.text}
+                            </Text>
+                        ) : (
+                            part.text
+                        )
+                )}
             </Text>
         );
     };
@@ -201,23 +409,66 @@ const MessageBubble = ({ senderId, message, theme, openThread }) => {
                             {message.sender?.name}
                         </Text>
                     )}
-                    <View style={styles.bubble}>
+                    <View
+                        style={[
+                            styles.bubble,
+                            highlighted && styles.highlighted,
+                        ]}
+                    >
                         {renderMessageContent()}
-                        {message.reactions?.length > 0 && (
-                            <View style={styles.reactionRow}>
-                                {message.reactions.map((reaction, index) => (
-                                    <Text
-                                        key={index}
-                                        style={styles.reactionEmoji}
-                                    >
-                                        {reaction.emoji}
-                                    </Text>
-                                ))}
-                            </View>
+                        {!isDeleted && (
+                            <ReactionBar
+                                reactions={message.reactions}
+                                userId={senderId}
+                                theme={theme}
+                                onToggle={(emoji) => onReact?.(message, emoji)}
+                                onShowReactors={() => setReactorsVisible(true)}
+                            />
                         )}
-                        <Text style={styles.timestamp}>
-                            {formatTime(message.timestamp)}
-                        </Text>
+                        {message.reply_count > 0 && (
+                            <TouchableOpacity
+                                onPress={() => openThread?.(message)}
+                            >
+                                <Text style={styles.replyCount}>
+                                    {message.reply_count}{' '}
+                                    {message.reply_count === 1
+                                        ? 'reply'
+                                        : 'replies'}
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+                        <View style={styles.meta}>
+                            {isPinned && !isDeleted && (
+                                <Text
+                                    style={styles.timestamp}
+                                    accessibilityLabel='Pinned'
+                                >
+                                    📌
+                                </Text>
+                            )}
+                            {message.edited_at && !isDeleted && (
+                                <TouchableOpacity
+                                    accessibilityLabel='Edited, show edit history'
+                                    onPress={() => setHistoryVisible(true)}
+                                >
+                                    <Text style={styles.timestamp}>edited</Text>
+                                </TouchableOpacity>
+                            )}
+                            <Text style={styles.timestamp}>
+                                {formatTime(message.timestamp)}
+                            </Text>
+                            {isMe && !isDeleted && (
+                                <ReceiptTicks
+                                    message={message}
+                                    theme={theme}
+                                    onPress={
+                                        canShowSeenBy
+                                            ? () => setSeenByVisible(true)
+                                            : undefined
+                                    }
+                                />
+                            )}
+                        </View>
                     </View>
                 </View>
             </TouchableOpacity>
@@ -260,7 +511,48 @@ const MessageBubble = ({ senderId, message, theme, openThread }) => {
                             </Text>
                             <Text style={styles.modalText}>React</Text>
                         </Pressable>
-                        {isMe && (
+                        {canShowSeenBy && (
+                            <Pressable
+                                style={styles.modalItem}
+                                onPress={handleSeenBy}
+                            >
+                                <Feather
+                                    name='eye'
+                                    size={18}
+                                    color={theme.text}
+                                />
+                                <Text style={styles.modalText}>Seen by</Text>
+                            </Pressable>
+                        )}
+                        {canPin && (
+                            <Pressable
+                                style={styles.modalItem}
+                                onPress={handleTogglePin}
+                            >
+                                <Text
+                                    style={[styles.modalText, { fontSize: 18 }]}
+                                >
+                                    📌
+                                </Text>
+                                <Text style={styles.modalText}>
+                                    {isPinned ? 'Unpin' : 'Pin'}
+                                </Text>
+                            </Pressable>
+                        )}
+                        {canEdit && (
+                            <Pressable
+                                style={styles.modalItem}
+                                onPress={handleEdit}
+                            >
+                                <Feather
+                                    name='edit-2'
+                                    size={18}
+                                    color={theme.text}
+                                />
+                                <Text style={styles.modalText}>Edit</Text>
+                            </Pressable>
+                        )}
+                        {canDelete && (
                             <Pressable
                                 style={styles.modalItem}
                                 onPress={handleDelete}
@@ -276,6 +568,47 @@ const MessageBubble = ({ senderId, message, theme, openThread }) => {
                     </View>
                 </Pressable>
             </Modal>
+
+            <ReactionPicker
+                visible={pickerVisible}
+                onSelect={handleSelectReaction}
+                onClose={() => setPickerVisible(false)}
+                theme={theme}
+            />
+
+            <ReactionListModal
+                visible={reactorsVisible}
+                onClose={() => setReactorsVisible(false)}
+                reactions={message.reactions}
+                currentUserId={senderId}
+                theme={theme}
+            />
+
+            {canShowSeenBy && (
+                <SeenByModal
+                    visible={seenByVisible}
+                    onClose={() => setSeenByVisible(false)}
+                    receipts={message.receipts}
+                    theme={theme}
+                />
+            )}
+
+            {message.edited_at && !isDeleted && (
+                <EditHistoryModal
+                    visible={historyVisible}
+                    onClose={() => setHistoryVisible(false)}
+                    message={message}
+                    theme={theme}
+                />
+            )}
+
+            {message.message_type === 'image' && (
+                <ImageViewerModal
+                    visible={viewerVisible}
+                    onClose={() => setViewerVisible(false)}
+                    image={message.image}
+                />
+            )}
         </>
     );
 };
@@ -308,15 +641,41 @@ const createStyles = (theme, isMe) =>
             shadowRadius: 2,
             elevation: 2,
         },
+        highlighted: {
+            borderWidth: 2,
+            borderColor: theme.link,
+        },
         messageText: {
             fontSize: 15,
             fontFamily: 'Poppins',
             color: theme.text,
         },
-        timestamp: {
-            fontSize: 10,
+        mention: {
+            fontFamily: 'PoppinsBold',
+            color: theme.link,
+        },
+        mentionMe: {
+            backgroundColor: 'rgba(255, 193, 7, 0.35)',
+        },
+        deletedText: {
+            fontStyle: 'italic',
+            color: theme.mutedText || '#aaa',
+        },
+        replyCount: {
+            fontSize: 12,
             marginTop: 6,
+            fontFamily: 'PoppinsBold',
+            color: theme.link,
+        },
+        meta: {
+            flexDirection: 'row',
+            alignItems: 'center',
             alignSelf: 'flex-end',
+            gap: 4,
+            marginTop: 6,
+        },
+        timestamp: {
+            fontSize: 10,
             fontFamily: 'Poppins',
             color: theme.mutedText || '#aaa',
         },
@@ -325,24 +684,36 @@ const createStyles = (theme, isMe) =>
             height: 200,
             borderRadius: 8,
         },
-        reactionRow: {
-            flexDirection: 'row',
+        imageThumbnail: {
+            width: 220,
+            maxWidth: '100%',
+            aspectRatio: 4 / 3,
+            borderRadius: 8,
+        },
+        uploadRow: {
             marginTop: 6,
         },
-        reactionEmoji: {
-            fontSize: 16,
-            marginRight: 6,
+        uploadTrack: {
+            height: 4,
+            borderRadius: 2,
+            overflow: 'hidden',
+            backgroundColor: theme.divider || theme.accent,
         },
-        pollOption: {
-            padding: 10,
-            backgroundColor: theme.accent,
-            borderRadius: 8,
-            marginTop: 6,
+        uploadFill: {
+            height: '100%',
+            backgroundColor: theme.link,
         },
-        pollOptionText: {
-            color: theme.text,
-            fontSize: 16,
+        uploadText: {
+            fontSize: 12,
+            marginTop: 4,
             fontFamily: 'Poppins',
+            color: theme.mutedText || '#aaa',
+        },
+        uploadFailed: {
+            fontSize: 12,
+            marginTop: 4,
+            fontFamily: 'PoppinsBold',
+            color: 'red',
         },
         quizButton: {
             marginTop: 10,
@@ -0,0 +1,163 @@
+/**
+ * MessageSearchResults.js
+ *
+ * List of messages found by `searchMessages`, each with a snippet around the hit and the
+ * matching words highlighted (`snippetParts`).
+ *
+ * Key functionalities:
+ * - **Rows**: the chat name (when `showChatName`), the sender, how long ago it was sent and the
+ *   snippet; tapping a row calls `onSelect(result)`.
+ * - **States**: a spinner while `loading`, "No messages found" when the search came back empty,
+ *   and an "Offline" note when the results come from the device (`source: 'cache'`).
+ *
+ * Props:
+ * - `results` (array): `[{ chat_id, chat_name, message }]` (see `utils/apiSchemas.js`).
+ * - `query` (string): What was searched for, to highlight.
+ * - `loading` (bool), `source` (`'server' | 'cache'`), `showChatName` (bool)
+ * - `theme` (object): { surface, text, title, link, primary, divider }
+ * - `onSelect` (function)
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    ActivityIndicator,
+    StyleSheet,
+} from 'react-native';
+import { formatTimeAgo } from '../../utils/utils';
+import { searchableText, snippetParts } from '../../utils/messageSearch';
+
+const MessageSearchResults = ({
+    results = [],
+    query,
+    loading = false,
+    source,
+    showChatName = false,
+    theme,
+    onSelect,
+}) => {
+    const styles = createStyles(theme);
+
+    if (loading && !results.length) {
+        return (
+            <ActivityIndicator
+                testID='message-search-loading'
+                color={theme.primary}
+                style={styles.spinner}
+            />
+        );
+    }
+
+    return (
+        <View testID='message-search-results'>
+            {source === 'cache' && (
+                <Text style={styles.note}>
+                    Offline: showing messages saved on this device.
+                </Text>
+            )}
+            {!results.length ? (
+                <Text style={styles.empty}>No messages found</Text>
+            ) : (
+                results.map((result) => {
+                    const { message } = result;
+                    return (
+                        <TouchableOpacity
+                            key={`${result.chat_id}-${message.id}`}
+                            style={styles.row}
+                            accessibilityRole='button'
+                            onPress={() => onSelect?.(result)}
+                        >
+                            <View style={styles.header}>
+                                <Text style={styles.title} numberOfLines={1}>
+                                    {showChatName
+                                        ? `${result.chat_name || 'Chat'} · ${
+                                              message.sender?.name || 'Unknown'
+                                          }`
+                                        : message.sender?.name || 'Unknown'}
+                                </Text>
+                                <Text style={styles.time}>
+                                    {formatTimeAgo(message.timestamp)}
+                                </Text>
+                            </View>
+                            <Text style={styles.snippet} numberOfLines={2}>
+                                {snippetParts(
+                                    searchableText(message),
+                                    query
+                                ).map((part, i) =>
+                                    part.match ? (
+                                        <Text key={i} style={styles.match}>
+                                            {part.text}
+                                        </Text>
+                                    ) : (
+                                        part.text
+                                    )
+                                )}
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })
+            )}
+        </View>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        spinner: {
+            marginVertical: 16,
+        },
+        note: {
+            fontFamily: 'Poppins',
+            fontSize: 12,
+            color: theme.text,
+            opacity: 0.7,
+            marginBottom: 6,
+        },
+        empty: {
+            fontFamily: 'Poppins',
+            fontSize: 13,
+            color: theme.text,
+            opacity: 0.6,
+            textAlign: 'center',
+            marginVertical: 12,
+        },
+        row: {
+            paddingVertical: 10,
+            borderBottomWidth: 1,
+            borderBottomColor: theme.divider,
+        },
+        header: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+        },
+        title: {
+            flex: 1,
+            fontFamily: 'PoppinsBold',
+            fontSize: 13,
+            color: theme.title || theme.text,
+        },
+        time: {
+            fontFamily: 'Poppins',
+            fontSize: 11,
+            color: theme.text,
+            opacity: 0.5,
+            marginLeft: 8,
+        },
+        snippet: {
+            fontFamily: 'Poppins',
+            fontSize: 13,
+            color: theme.text,
+            marginTop: 2,
+        },
+        match: {
+            fontFamily: 'PoppinsBold',
+            color: theme.link,
+        },
+    });
+
+export default MessageSearchResults;
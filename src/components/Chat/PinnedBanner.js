@@ -0,0 +1,175 @@
+/**
+ * PinnedBanner.js
+ *
+ * Collapsible banner at the top of a chat showing its pinned messages (evacuation points,
+ * rosters and other details that should not get buried).
+ *
+ * Key functionalities:
+ * - **Collapsed**: the newest pin's one-line preview (`pinPreview`) and, when there are more,
+ *   "+N" with a chevron that expands the banner.
+ * - **Expanded**: every pin, newest first, with who sent the message.
+ * - **Jump**: tapping a pin calls `onJump(messageId)` so the screen can scroll to the original;
+ *   the expanded list collapses again.
+ * - **Unpin**: when `onUnpin` is given (the user may pin), each pin gets an "x" that calls
+ *   `onUnpin(pin)`.
+ *
+ * Props:
+ * - `pins` (array): `[{ message_id, pinned_at, pinned_by, message }]` (see `utils/apiSchemas.js`).
+ * - `theme` (object): { surface, text, link, divider }
+ * - `onJump`, `onUnpin` (functions)
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { pinPreview } from '../../utils/pinnedMessages';
+
+const PinnedBanner = ({ pins = [], theme, onJump, onUnpin }) => {
+    const [expanded, setExpanded] = useState(false);
+    const styles = createStyles(theme);
+
+    if (!pins.length) return null;
+
+    const handleJump = (pin) => {
+        setExpanded(false);
+        onJump?.(pin.message_id);
+    };
+
+    const renderPin = (pin, { showSender }) => (
+        <View key={pin.message_id} style={styles.pinRow}>
+            <TouchableOpacity
+                style={styles.pinBody}
+                accessibilityRole='button'
+                accessibilityLabel={`Go to pinned message: ${pinPreview(
+                    pin.message
+                )}`}
+                onPress={() => handleJump(pin)}
+            >
+                {showSender && (
+                    <Text style={styles.sender}>
+                        {pin.message?.sender?.name || 'Pinned message'}
+                    </Text>
+                )}
+                <Text style={styles.preview} numberOfLines={1}>
+                    {pinPreview(pin.message)}
+                </Text>
+            </TouchableOpacity>
+            {onUnpin && (
+                <TouchableOpacity
+                    accessibilityLabel='Unpin'
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                    onPress={() => onUnpin(pin)}
+                >
+                    <Feather name='x' size={16} color={theme.text} />
+                </TouchableOpacity>
+            )}
+        </View>
+    );
+
+    return (
+        <View style={styles.container} testID='pinned-banner'>
+            <View style={styles.header}>
+                <Text style={styles.icon}>📌</Text>
+                {expanded ? (
+                    <Text style={[styles.title, styles.headerFill]}>
+                        Pinned messages ({pins.length})
+                    </Text>
+                ) : (
+                    <View style={styles.headerFill}>
+                        {renderPin(pins[0], { showSender: false })}
+                    </View>
+                )}
+                {pins.length > 1 && (
+                    <TouchableOpacity
+                        style={styles.toggle}
+                        accessibilityLabel={
+                            expanded
+                                ? 'Hide pinned messages'
+                                : 'Show all pinned messages'
+                        }
+                        onPress={() => setExpanded((open) => !open)}
+                    >
+                        {!expanded && (
+                            <Text style={styles.more}>+{pins.length - 1}</Text>
+                        )}
+                        <Feather
+                            name={expanded ? 'chevron-up' : 'chevron-down'}
+                            size={18}
+                            color={theme.link}
+                        />
+                    </TouchableOpacity>
+                )}
+            </View>
+
+            {expanded && (
+                <View style={styles.list}>
+                    {pins.map((pin) => renderPin(pin, { showSender: true }))}
+                </View>
+            )}
+        </View>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        container: {
+            backgroundColor: theme.surface,
+            borderBottomWidth: 1,
+            borderBottomColor: theme.divider,
+            paddingHorizontal: 12,
+            paddingVertical: 8,
+        },
+        header: {
+            flexDirection: 'row',
+            alignItems: 'center',
+        },
+        headerFill: {
+            flex: 1,
+        },
+        icon: {
+            fontSize: 14,
+            marginRight: 8,
+        },
+        title: {
+            fontFamily: 'PoppinsBold',
+            fontSize: 13,
+            color: theme.text,
+        },
+        toggle: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            marginLeft: 8,
+        },
+        more: {
+            fontFamily: 'Poppins',
+            fontSize: 12,
+            color: theme.link,
+            marginRight: 2,
+        },
+        list: {
+            marginTop: 6,
+            gap: 6,
+        },
+        pinRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: 8,
+        },
+        pinBody: {
+            flex: 1,
+        },
+        sender: {
+            fontFamily: 'PoppinsBold',
+            fontSize: 12,
+            color: theme.link,
+        },
+        preview: {
+            fontFamily: 'Poppins',
+            fontSize: 13,
+            color: theme.text,
+        },
+    });
+
+export default PinnedBanner;
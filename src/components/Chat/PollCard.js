@@ -0,0 +1,217 @@
+/**
+ * PollCard.js
+ *
+ * Body of a `message_type: 'poll'` chat bubble: the question, one row per option with its
+ * live tally, and the creator's controls.
+ *
+ * Key functionalities:
+ * - **Voting**: Tapping an option calls `onVote(optionIds)` with the user's full new choice:
+ *   - Single choice: `[optionId]`, or `[]` when tapping the option already picked (retract).
+ *   - Multiple choice: the current `my_votes` with the tapped option toggled.
+ *   Options are disabled once the poll is closed (`closed` or past `closes_at`).
+ * - **Tallies**: Each option shows its vote count and a bar sized by its share of
+ *   `total_votes` (the number of voters, so multi-choice shares can add up past 100%).
+ * - **Creator Controls** (`isCreator`): "See votes" (`onShowVoters`) and, while open,
+ *   "Close poll" (`onClose`).
+ *
+ * Props:
+ * - `poll` (object): `{ id, question, options: [{ id, text, votes }], allows_multiple,
+ *   closes_at, closed, created_by, total_votes, my_votes }` (see `utils/apiSchemas.js`).
+ * - `theme` (object): { text, mutedText, accent, link, divider }
+ * - `isCreator` (boolean), `onVote`, `onClose`, `onShowVoters` (functions)
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+
+export const isPollClosed = (poll, now = Date.now()) =>
+    !!poll.closed ||
+    (!!poll.closes_at && new Date(poll.closes_at).getTime() <= now);
+
+// "Closes in 45 min" / "Closes in 3 hr" / "Closes in 2 days"
+const describeClosing = (closesAt, now = Date.now()) => {
+    const minutes = Math.max(
+        1,
+        Math.ceil((new Date(closesAt).getTime() - now) / 60000)
+    );
+    if (minutes < 60) return `Closes in ${minutes} min`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `Closes in ${hours} hr`;
+    const days = Math.round(hours / 24);
+    return `Closes in ${days} day${days !== 1 ? 's' : ''}`;
+};
+
+const PollCard = ({
+    poll,
+    theme,
+    isCreator = false,
+    onVote,
+    onClose,
+    onShowVoters,
+}) => {
+    const styles = createStyles(theme);
+    const closed = isPollClosed(poll);
+    const myVotes = poll.my_votes || [];
+    const totalVotes = poll.total_votes || 0;
+
+    const handleSelect = (optionId) => {
+        const chosen = myVotes.includes(optionId);
+        const next = poll.allows_multiple
+            ? chosen
+                ? myVotes.filter((id) => id !== optionId)
+                : [...myVotes, optionId]
+            : chosen
+            ? []
+            : [optionId];
+        onVote?.(next);
+    };
+
+    const status = closed
+        ? 'Poll closed'
+        : poll.closes_at
+        ? describeClosing(poll.closes_at)
+        : null;
+
+    return (
+        <View>
+            <Text style={styles.question}>{poll.question}</Text>
+            <Text style={styles.meta}>
+                {poll.allows_multiple ? 'Select one or more' : 'Select one'}
+                {status ? ` · ${status}` : ''}
+            </Text>
+
+            {poll.options.map((option) => {
+                const selected = myVotes.includes(option.id);
+                const votes = option.votes || 0;
+                const share = totalVotes ? votes / totalVotes : 0;
+
+                return (
+                    <TouchableOpacity
+                        key={option.id}
+                        testID={`poll-option-${option.id}`}
+                        disabled={closed}
+                        accessibilityState={{ selected, disabled: closed }}
+                        onPress={() => handleSelect(option.id)}
+                        style={[
+                            styles.option,
+                            selected && styles.optionSelected,
+                        ]}
+                    >
+                        <View
+                            style={[
+                                styles.optionBar,
+                                { width: `${Math.round(share * 100)}%` },
+                            ]}
+                        />
+                        <View style={styles.optionRow}>
+                            <Feather
+                                name={
+                                    selected
+                                        ? 'check-circle'
+                                        : poll.allows_multiple
+                                        ? 'square'
+                                        : 'circle'
+                                }
+                                size={16}
+                                color={theme.text}
+                            />
+                            <Text style={styles.optionText}>{option.text}</Text>
+                            <Text style={styles.optionVotes}>{votes}</Text>
+                        </View>
+                    </TouchableOpacity>
+                );
+            })}
+
+            <View style={styles.footer}>
+                <Text style={styles.meta}>
+                    {totalVotes} vote{totalVotes !== 1 ? 's' : ''}
+                </Text>
+                {isCreator && (
+                    <View style={styles.actions}>
+                        <TouchableOpacity onPress={onShowVoters}>
+                            <Text style={styles.actionText}>See votes</Text>
+                        </TouchableOpacity>
+                        {!closed && (
+                            <TouchableOpacity onPress={onClose}>
+                                <Text style={styles.actionText}>
+                                    Close poll
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+            </View>
+        </View>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        question: {
+            fontSize: 15,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+        },
+        meta: {
+            fontSize: 12,
+            fontFamily: 'Poppins',
+            color: theme.mutedText || '#aaa',
+            marginTop: 2,
+        },
+        option: {
+            marginTop: 8,
+            borderRadius: 8,
+            borderWidth: 1,
+            borderColor: theme.divider || theme.accent,
+            overflow: 'hidden',
+        },
+        optionSelected: {
+            borderColor: theme.link,
+        },
+        optionBar: {
+            position: 'absolute',
+            top: 0,
+            bottom: 0,
+            left: 0,
+            backgroundColor: theme.accent,
+            opacity: 0.35,
+        },
+        optionRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            paddingVertical: 8,
+            paddingHorizontal: 10,
+            gap: 8,
+        },
+        optionText: {
+            flex: 1,
+            fontSize: 14,
+            fontFamily: 'Poppins',
+            color: theme.text,
+        },
+        optionVotes: {
+            fontSize: 13,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+        },
+        footer: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginTop: 8,
+        },
+        actions: {
+            flexDirection: 'row',
+            gap: 14,
+        },
+        actionText: {
+            fontSize: 13,
+            fontFamily: 'PoppinsBold',
+            color: theme.link,
+        },
+    });
+
+export default PollCard;
@@ -0,0 +1,96 @@
+/**
+ * ReactionBar.js
+ *
+ * Row of grouped emoji reactions under a chat bubble ("❤️ 2", "👍 1").
+ *
+ * Key functionalities:
+ * - **Grouping**: `groupReactions(reactions, userId)` folds the server's one-per-member list
+ *   into `{ emoji, users, mine }` groups, in the order each emoji was first used.
+ * - **Toggle**: Tapping a chip calls `onToggle(emoji)`; the chip the user reacted with is
+ *   highlighted, so tapping it again removes the reaction.
+ * - **Who reacted**: Long-pressing any chip calls `onShowReactors()`.
+ *
+ * Props:
+ * - `reactions` (array): `[{ emoji, user: { id, name } }]` (see `utils/apiSchemas.js`).
+ * - `userId` (string | number): Current user's id, to mark their own reaction.
+ * - `theme` (object): { text, link, divider, accent }
+ * - `onToggle`, `onShowReactors` (functions)
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+export const groupReactions = (reactions = [], userId) =>
+    reactions.reduce((groups, { emoji, user }) => {
+        let group = groups.find((g) => g.emoji === emoji);
+        if (!group) {
+            group = { emoji, users: [], mine: false };
+            groups.push(group);
+        }
+        group.users.push(user);
+        if (String(user?.id) === String(userId)) group.mine = true;
+        return groups;
+    }, []);
+
+const ReactionBar = ({
+    reactions,
+    userId,
+    theme,
+    onToggle,
+    onShowReactors,
+}) => {
+    const styles = createStyles(theme);
+    const groups = groupReactions(reactions, userId);
+
+    if (!groups.length) return null;
+
+    return (
+        <View style={styles.row}>
+            {groups.map(({ emoji, users, mine }) => (
+                <TouchableOpacity
+                    key={emoji}
+                    accessibilityLabel={`${emoji} ${users.length}`}
+                    accessibilityState={{ selected: mine }}
+                    onPress={() => onToggle?.(emoji)}
+                    onLongPress={() => onShowReactors?.()}
+                    style={[styles.chip, mine && styles.chipMine]}
+                >
+                    <Text style={styles.chipText}>
+                        {emoji} {users.length}
+                    </Text>
+                </TouchableOpacity>
+            ))}
+        </View>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        row: {
+            flexDirection: 'row',
+            flexWrap: 'wrap',
+            gap: 6,
+            marginTop: 6,
+        },
+        chip: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            paddingVertical: 2,
+            paddingHorizontal: 8,
+            borderRadius: 12,
+            borderWidth: 1,
+            borderColor: theme.divider || theme.accent,
+        },
+        chipMine: {
+            borderColor: theme.link,
+        },
+        chipText: {
+            fontSize: 13,
+            fontFamily: 'Poppins',
+            color: theme.text,
+        },
+    });
+
+export default ReactionBar;
@@ -23,7 +23,7 @@
 
 import React from 'react';
 import { Modal, View, Text, TouchableOpacity, StyleSheet } from 'react-native';
-import reactions from '../assets/reactions.json';
+import reactions from '../../assets/reactions.json';
 
 const ReactionPicker = ({ visible, onSelect, onClose, theme }) => {
     const styles = createStyles(theme);
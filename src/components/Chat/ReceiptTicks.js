@@ -0,0 +1,86 @@
+/**
+ * ReceiptTicks.js
+ *
+ * Delivery state of the user's own message, shown next to its time.
+ *
+ * Key functionalities:
+ * - **Status**: `receiptStatus(message)` reads the message's per-member `receipts`:
+ *   - `'sending'`: a local echo (`temp-…` id) that is queued or uploading.
+ *   - `'sent'`: stored by the server, but not on every member's device yet.
+ *   - `'delivered'`: every member's device acknowledged it.
+ *   - `'read'`: every member has read it.
+ *   - `null` for echoes that failed (the bubble shows a retry instead).
+ * - **Ticks**: a clock, one tick, two ticks, or two ticks in `theme.link` for read.
+ * - **Seen by**: when `onPress` is given (group chats), tapping the ticks calls it.
+ *
+ * Props:
+ * - `message` (object): `{ id, status, receipts: [{ user, delivered_at, read_at }] }`.
+ * - `theme` (object): { link, mutedText }
+ * - `onPress` (function, optional)
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React from 'react';
+import { TouchableOpacity, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { isLocalMessage } from '../../utils/messageCache';
+
+export const receiptStatus = (message) => {
+    if (isLocalMessage(message)) {
+        return message.status === 'failed' ? null : 'sending';
+    }
+    const receipts = message?.receipts || [];
+    if (!receipts.length) return 'sent';
+    if (receipts.every((r) => r.read_at)) return 'read';
+    if (receipts.every((r) => r.delivered_at)) return 'delivered';
+    return 'sent';
+};
+
+const ICONS = {
+    sending: 'time-outline',
+    sent: 'checkmark',
+    delivered: 'checkmark-done',
+    read: 'checkmark-done',
+};
+
+const LABELS = {
+    sending: 'Sending',
+    sent: 'Sent',
+    delivered: 'Delivered',
+    read: 'Read',
+};
+
+const ReceiptTicks = ({ message, theme, onPress }) => {
+    const status = receiptStatus(message);
+    if (!status) return null;
+
+    const icon = (
+        <Ionicons
+            name={ICONS[status]}
+            size={14}
+            color={status === 'read' ? theme.link : theme.mutedText || '#aaa'}
+        />
+    );
+
+    if (!onPress) {
+        return (
+            <View testID='receipt-ticks' accessibilityLabel={LABELS[status]}>
+                {icon}
+            </View>
+        );
+    }
+
+    return (
+        <TouchableOpacity
+            testID='receipt-ticks'
+            accessibilityLabel={`${LABELS[status]}, show who has seen it`}
+            onPress={onPress}
+            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+        >
+            {icon}
+        </TouchableOpacity>
+    );
+};
+
+export default ReceiptTicks;
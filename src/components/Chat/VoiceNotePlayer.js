@@ -0,0 +1,184 @@
+/**
+ * VoiceNotePlayer.js
+ *
+ * Playback control for a voice note, used in chat bubbles and the preview before sending.
+ *
+ * Key functionalities:
+ * - **Play / Pause**: plays `voice.url` with `expo-audio`; a finished note rewinds to the start.
+ * - **Scrubbing**: dragging across the waveform moves the played part with the finger and seeks
+ *   there on release.
+ * - **Speed**: the speed chip steps through `PLAYBACK_RATES` (1× → 1.5× → 2×).
+ * - **Time**: shows the position while playing or scrubbing, otherwise the note's length.
+ *
+ * Props:
+ * - `voice` (object): `{ url, duration_ms, waveform }`.
+ * - `theme` (object): { text, link, mutedText, accent }
+ *
+ * Notes:
+ * - `expo-audio` reports times in seconds; the message stores `duration_ms`, which is used until
+ *   the player knows the length itself.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React, { useEffect, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAudioPlayer, useAudioPlayerStatus } from 'expo-audio';
+import Waveform from './Waveform';
+import {
+    PLAYBACK_RATES,
+    formatDuration,
+    nextPlaybackRate,
+} from '../../utils/voiceNotes';
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const VoiceNotePlayer = ({ voice, theme }) => {
+    const styles = createStyles(theme);
+    const player = useAudioPlayer(voice?.url ? { uri: voice.url } : null);
+    const status = useAudioPlayerStatus(player);
+    const [rate, setRate] = useState(PLAYBACK_RATES[0]);
+    const [scrub, setScrub] = useState(null);
+    const [width, setWidth] = useState(0);
+
+    const durationSeconds = status.duration || (voice?.duration_ms || 0) / 1000;
+    const progress =
+        scrub ??
+        (durationSeconds ? clamp(status.currentTime / durationSeconds) : 0);
+
+    useEffect(() => {
+        if (status.didJustFinish) {
+            player.pause();
+            player.seekTo(0);
+        }
+    }, [status.didJustFinish, player]);
+
+    const togglePlay = () => {
+        if (status.playing) player.pause();
+        else player.play();
+    };
+
+    const changeRate = () => {
+        const next = nextPlaybackRate(rate);
+        setRate(next);
+        player.setPlaybackRate(next);
+    };
+
+    const scrubTo = (event) => {
+        if (!width) return null;
+        const ratio = clamp(event.nativeEvent.locationX / width);
+        setScrub(ratio);
+        return ratio;
+    };
+
+    const finishScrub = (event) => {
+        const ratio = scrubTo(event);
+        setScrub(null);
+        if (ratio !== null) player.seekTo(ratio * durationSeconds);
+    };
+
+    const showsPosition = status.playing || scrub !== null;
+
+    return (
+        <View style={styles.container}>
+            <TouchableOpacity
+                style={styles.playButton}
+                accessibilityRole='button'
+                accessibilityLabel={
+                    status.playing ? 'Pause voice note' : 'Play voice note'
+                }
+                onPress={togglePlay}
+            >
+                <Ionicons
+                    name={status.playing ? 'pause' : 'play'}
+                    size={18}
+                    color='#fff'
+                />
+            </TouchableOpacity>
+
+            <View style={styles.body}>
+                <View
+                    testID='voice-scrubber'
+                    style={styles.scrubber}
+                    onLayout={(e) => setWidth(e.nativeEvent.layout.width)}
+                    onStartShouldSetResponder={() => true}
+                    onMoveShouldSetResponder={() => true}
+                    onResponderGrant={scrubTo}
+                    onResponderMove={scrubTo}
+                    onResponderRelease={finishScrub}
+                    onResponderTerminate={() => setScrub(null)}
+                >
+                    <Waveform
+                        levels={voice?.waveform || []}
+                        progress={progress}
+                        color={theme.mutedText || '#aaa'}
+                        playedColor={theme.link}
+                    />
+                </View>
+                <Text style={styles.time}>
+                    {formatDuration(
+                        (showsPosition
+                            ? progress * durationSeconds
+                            : durationSeconds) * 1000
+                    )}
+                </Text>
+            </View>
+
+            <TouchableOpacity
+                style={styles.rateChip}
+                accessibilityRole='button'
+                accessibilityLabel='Playback speed'
+                onPress={changeRate}
+            >
+                <Text style={styles.rateText}>{`${rate}×`}</Text>
+            </TouchableOpacity>
+        </View>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        container: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            width: 240,
+            maxWidth: '100%',
+        },
+        playButton: {
+            width: 34,
+            height: 34,
+            borderRadius: 17,
+            backgroundColor: theme.link,
+            alignItems: 'center',
+            justifyContent: 'center',
+        },
+        body: {
+            flex: 1,
+            marginHorizontal: 8,
+        },
+        scrubber: {
+            height: 28,
+            flexDirection: 'row',
+        },
+        time: {
+            fontSize: 11,
+            marginTop: 2,
+            fontFamily: 'Poppins',
+            color: theme.mutedText || '#aaa',
+        },
+        rateChip: {
+            paddingHorizontal: 8,
+            paddingVertical: 3,
+            borderRadius: 10,
+            borderWidth: 1,
+            borderColor: theme.link,
+        },
+        rateText: {
+            fontSize: 12,
+            fontFamily: 'PoppinsBold',
+            color: theme.link,
+        },
+    });
+
+export default VoiceNotePlayer;
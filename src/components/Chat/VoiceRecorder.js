@@ -0,0 +1,250 @@
+/**
+ * VoiceRecorder.js
+ *
+ * Hold-to-record mic button for the chat composer.
+ *
+ * Key functionalities:
+ * - **Hold**: pressing the mic asks for microphone permission (`requestRecordingPermission`) and
+ *   starts recording with `VOICE_RECORDING_OPTIONS`; releasing it stops the recording.
+ * - **Recording strip**: while recording, shows the elapsed time, a live waveform from the
+ *   recorder's metering and a "Slide to cancel" hint that turns into "Release to cancel" once the
+ *   finger has moved `CANCEL_SWIPE_DISTANCE` to the left.
+ * - **Limits**: recording stops by itself at `limits.maxDurationMs` and the note is kept at that
+ *   length.
+ * - **Result**: a kept recording goes through `prepareVoiceNote` and is handed to `onRecorded(note)`.
+ *   Cancelled recordings and taps shorter than `MIN_VOICE_NOTE_MS` are dropped.
+ *
+ * Props:
+ * - `theme` (object): { link, text, mutedText, surface }
+ * - `limits` (object, optional): `{ maxDurationMs, maxSizeBytes }`, `voiceNoteLimits()` by default.
+ * - `onRecordingChange` (function): called with `true` / `false` so the screen can hide the input.
+ * - `onRecorded` (function): called with the prepared note.
+ * - `onError` (function): called with permission, recording and limit errors.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+    useAudioRecorder,
+    useAudioRecorderState,
+    setAudioModeAsync,
+} from 'expo-audio';
+import Waveform from './Waveform';
+import {
+    VOICE_RECORDING_OPTIONS,
+    WAVEFORM_BARS,
+    formatDuration,
+    meteringToLevel,
+    prepareVoiceNote,
+    requestRecordingPermission,
+    voiceNoteLimits,
+} from '../../utils/voiceNotes';
+
+export const CANCEL_SWIPE_DISTANCE = 80;
+const METERING_INTERVAL_MS = 100;
+
+const VoiceRecorder = ({
+    theme,
+    limits = voiceNoteLimits(),
+    onRecordingChange,
+    onRecorded,
+    onError,
+}) => {
+    const styles = createStyles(theme);
+    const recorder = useAudioRecorder(VOICE_RECORDING_OPTIONS);
+    const recorderState = useAudioRecorderState(recorder, METERING_INTERVAL_MS);
+    const [recording, setRecording] = useState(false);
+    const [cancelling, setCancelling] = useState(false);
+    const [levels, setLevels] = useState([]);
+
+    const startX = useRef(0);
+    const starting = useRef(null);
+    const active = useRef(false);
+    const levelsRef = useRef([]);
+    const durationRef = useRef(0);
+
+    const duration = recording ? recorderState.durationMillis || 0 : 0;
+
+    useEffect(() => {
+        if (!recording) return;
+        // The status tick that crosses the limit usually lands a little past it; the note is
+        // cut there, so it is kept at the limit rather than rejected by `prepareVoiceNote`.
+        durationRef.current = Math.min(
+            recorderState.durationMillis || 0,
+            limits.maxDurationMs
+        );
+        levelsRef.current = [
+            ...levelsRef.current,
+            meteringToLevel(recorderState.metering),
+        ];
+        setLevels(levelsRef.current.slice(-WAVEFORM_BARS));
+        if (durationRef.current >= limits.maxDurationMs) finish(false);
+    }, [recorderState.durationMillis]);
+
+    const start = async () => {
+        await requestRecordingPermission();
+        await setAudioModeAsync({
+            allowsRecording: true,
+            playsInSilentMode: true,
+        });
+        await recorder.prepareToRecordAsync();
+        recorder.record();
+        levelsRef.current = [];
+        durationRef.current = 0;
+        setLevels([]);
+        setRecording(true);
+        onRecordingChange?.(true);
+    };
+
+    const finish = async (cancel) => {
+        if (!active.current) return;
+        active.current = false;
+        try {
+            await starting.current;
+        } catch {
+            return;
+        }
+
+        setRecording(false);
+        setCancelling(false);
+        onRecordingChange?.(false);
+
+        try {
+            await recorder.stop();
+            await setAudioModeAsync({ allowsRecording: false });
+            if (cancel) return;
+            const note = await prepareVoiceNote(
+                {
+                    uri: recorder.uri,
+                    durationMs: durationRef.current,
+                    levels: levelsRef.current,
+                },
+                limits
+            );
+            if (note) onRecorded?.(note);
+        } catch (error) {
+            onError?.(error);
+        }
+    };
+
+    const handleGrant = (event) => {
+        if (active.current) return;
+        active.current = true;
+        startX.current = event.nativeEvent.pageX;
+        starting.current = start();
+        starting.current.catch((error) => {
+            active.current = false;
+            onError?.(error);
+        });
+    };
+
+    const handleMove = (event) => {
+        setCancelling(
+            startX.current - event.nativeEvent.pageX > CANCEL_SWIPE_DISTANCE
+        );
+    };
+
+    const handleRelease = (event) => {
+        finish(
+            startX.current - event.nativeEvent.pageX > CANCEL_SWIPE_DISTANCE
+        );
+    };
+
+    return (
+        <View style={[styles.container, recording && styles.recording]}>
+            {recording && (
+                <View testID='voice-recording' style={styles.strip}>
+                    <View style={styles.dot} />
+                    <Text style={styles.time}>{formatDuration(duration)}</Text>
+                    <Waveform
+                        levels={levels}
+                        color={cancelling ? 'red' : theme.link}
+                        height={22}
+                    />
+                    <Text
+                        style={[styles.hint, cancelling && styles.cancelHint]}
+                    >
+                        {cancelling ? 'Release to cancel' : '‹ Slide to cancel'}
+                    </Text>
+                </View>
+            )}
+            <View
+                style={[styles.micButton, recording && styles.micActive]}
+                accessible
+                accessibilityRole='button'
+                accessibilityLabel='Hold to record a voice note'
+                onStartShouldSetResponder={() => true}
+                onResponderTerminationRequest={() => false}
+                onResponderGrant={handleGrant}
+                onResponderMove={handleMove}
+                onResponderRelease={handleRelease}
+                onResponderTerminate={() => finish(true)}
+            >
+                <Ionicons
+                    name='mic'
+                    size={recording ? 24 : 20}
+                    color={recording ? '#fff' : theme.link}
+                />
+            </View>
+        </View>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        container: {
+            flexDirection: 'row',
+            alignItems: 'center',
+        },
+        recording: {
+            flex: 1,
+        },
+        strip: {
+            flex: 1,
+            flexDirection: 'row',
+            alignItems: 'center',
+            paddingHorizontal: 12,
+            paddingVertical: 8,
+            marginRight: 8,
+            borderRadius: 20,
+            backgroundColor: theme.surface,
+        },
+        dot: {
+            width: 8,
+            height: 8,
+            borderRadius: 4,
+            backgroundColor: 'red',
+            marginRight: 6,
+        },
+        time: {
+            fontSize: 13,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginRight: 8,
+        },
+        hint: {
+            fontSize: 12,
+            marginLeft: 8,
+            fontFamily: 'Poppins',
+            color: theme.mutedText || '#aaa',
+        },
+        cancelHint: {
+            color: 'red',
+        },
+        micButton: {
+            width: 40,
+            height: 40,
+            borderRadius: 20,
+            alignItems: 'center',
+            justifyContent: 'center',
+        },
+        micActive: {
+            backgroundColor: theme.link,
+            transform: [{ scale: 1.2 }],
+        },
+    });
+
+export default VoiceRecorder;
@@ -0,0 +1,70 @@
+/**
+ * Waveform.js
+ *
+ * Row of bars drawn from a voice note's levels, used while recording and in the player.
+ *
+ * Key functionalities:
+ * - **Bars**: one bar per level (0–1), at least 2px tall so silence still shows as a line.
+ * - **Progress**: bars before `progress` (0–1) use `playedColor`, the rest `color`.
+ *
+ * Props:
+ * - `levels` (number[]): bar heights from 0 to 1.
+ * - `progress` (number, optional): how much has been played.
+ * - `color` / `playedColor` (string)
+ * - `height` (number, optional): tallest bar, 28 by default.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+
+const MIN_BAR_HEIGHT = 2;
+
+const Waveform = ({
+    levels = [],
+    progress = 0,
+    color,
+    playedColor = color,
+    height = 28,
+}) => {
+    const playedBars = Math.round(progress * levels.length);
+
+    return (
+        <View
+            testID='waveform'
+            pointerEvents='none'
+            style={[styles.container, { height }]}
+        >
+            {levels.map((level, i) => (
+                <View
+                    key={i}
+                    testID='waveform-bar'
+                    style={[
+                        styles.bar,
+                        {
+                            height: Math.max(MIN_BAR_HEIGHT, level * height),
+                            backgroundColor:
+                                i < playedBars ? playedColor : color,
+                        },
+                    ]}
+                />
+            ))}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    bar: {
+        flex: 1,
+        marginHorizontal: 1,
+        borderRadius: 1,
+    },
+});
+
+export default Waveform;
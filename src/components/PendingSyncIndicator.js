@@ -0,0 +1,133 @@
+/**
+ * PendingSyncIndicator.js
+ *
+ * Small header badge showing changes made offline that have not reached the server yet
+ * (the offline outbox), and replays the server rejected.
+ *
+ * Key Features:
+ * - **Hidden when idle**: Renders nothing when there is nothing pending, no conflict and no sync running.
+ * - **Pending Count**: Cloud icon with the number of queued changes; a spinner replaces it while syncing.
+ * - **Conflicts**: Alert icon in the theme's `error` color with the number of rejected changes.
+ * - **Tap Action**: Calls `onPress` (e.g. to retry the sync or review conflicts).
+ *
+ * Props:
+ * - `pendingCount` *(number)*: queued mutations.
+ * - `conflictCount` *(number)*: mutations rejected on replay.
+ * - `isSyncing` *(boolean)*: replay in progress.
+ * - `onPress` *(function, optional)*: tap handler.
+ * - `theme` *(object)*: `text`, `error` colors.
+ *
+ * Accessibility:
+ * - Exposed as a button with a label describing the pending and conflicting changes.
+ *
+ * Usage:
+ * ```jsx
+ * <PendingSyncIndicator pendingCount={2} conflictCount={0} isSyncing={false} theme={themeColors} />
+ * ```
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React from 'react';
+import {
+    TouchableOpacity,
+    View,
+    Text,
+    ActivityIndicator,
+    StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const PendingSyncIndicator = ({
+    pendingCount = 0,
+    conflictCount = 0,
+    isSyncing = false,
+    onPress,
+    theme = {},
+}) => {
+    if (!pendingCount && !conflictCount && !isSyncing) return null;
+
+    const { text = '#000', error = 'red' } = theme;
+
+    const labelParts = [];
+    if (pendingCount) {
+        labelParts.push(
+            `${pendingCount} change${
+                pendingCount === 1 ? '' : 's'
+            } waiting to sync`
+        );
+    }
+    if (conflictCount) {
+        labelParts.push(
+            `${conflictCount} change${
+                conflictCount === 1 ? '' : 's'
+            } could not be synced`
+        );
+    }
+    if (isSyncing) labelParts.push('Syncing');
+
+    return (
+        <TouchableOpacity
+            testID='pending-sync-indicator'
+            onPress={onPress}
+            style={styles.container}
+            accessibilityRole='button'
+            accessibilityLabel={labelParts.join(', ')}
+        >
+            {pendingCount > 0 || isSyncing ? (
+                <View style={styles.item}>
+                    {isSyncing ? (
+                        <ActivityIndicator
+                            testID='pending-sync-spinner'
+                            size='small'
+                            color={text}
+                        />
+                    ) : (
+                        <Ionicons
+                            name='cloud-upload-outline'
+                            size={20}
+                            color={text}
+                        />
+                    )}
+                    {pendingCount > 0 && (
+                        <Text style={[styles.count, { color: text }]}>
+                            {pendingCount}
+                        </Text>
+                    )}
+                </View>
+            ) : null}
+            {conflictCount > 0 && (
+                <View style={styles.item}>
+                    <Ionicons
+                        name='alert-circle-outline'
+                        size={20}
+                        color={error}
+                    />
+                    <Text style={[styles.count, { color: error }]}>
+                        {conflictCount}
+                    </Text>
+                </View>
+            )}
+        </TouchableOpacity>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginRight: 15,
+    },
+    item: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginLeft: 8,
+    },
+    count: {
+        marginLeft: 4,
+        fontSize: 13,
+        fontFamily: 'Poppins',
+    },
+});
+
+export default PendingSyncIndicator;
@@ -0,0 +1,81 @@
+// src/data/fixtureServer/db.js
+/**
+ * db.js
+ *
+ * In-memory tables for the fixture server, seeded from `mockData.js`.
+ *
+ * - Every table is a deep copy of its seed, so mutations never leak into `mockData.js`
+ *   or between servers.
+ * - `nextId(table)` hands out ids above the highest seeded id.
+ * - `findUser(id)` / `toMember(user)` resolve the public user shape used in chats.
+ * - Routes may reassign tables (`db.documents = db.documents.filter(...)`).
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import {
+    mockUsers,
+    mockEmergencyContacts,
+    mockChats,
+    mockChatMessages,
+    mockTasks,
+    mockTaskProgress,
+    mockQuizzes,
+    mockQuizHistory,
+    mockAlerts,
+    mockUserAlerts,
+    mockDocuments,
+} from '../mockData';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+export const defaultSeed = {
+    users: mockUsers,
+    emergencyContacts: mockEmergencyContacts,
+    chats: mockChats,
+    messages: mockChatMessages,
+    tasks: mockTasks,
+    taskProgress: mockTaskProgress,
+    quizzes: mockQuizzes,
+    quizHistory: mockQuizHistory,
+    systemAlerts: mockAlerts.alerts,
+    pendingActions: mockAlerts.pendingActions,
+    userAlerts: mockUserAlerts,
+    documents: mockDocuments,
+    // Alert ids a user has read: { [userId]: alertId[] }
+    systemAlertReads: {},
+    // Last read message per chat and user: { [`${chatId}:${userId}`]: messageId }
+    chatReads: {},
+    // Polls posted in chats and one row per { poll_id, option_id, user_id } vote
+    polls: [],
+    pollVotes: [],
+    // Events posted in chats and one { event_id, user_id, status } RSVP per user
+    events: [],
+    eventRsvps: [],
+    // One { message_id, user_id, emoji } reaction per user and message
+    messageReactions: [],
+    // One { message_id, user_id, delivered_at, read_at } receipt per recipient and message
+    messageReceipts: [],
+    // Pushes the server would have sent: { user_id, chat_id, message_id }
+    pushNotifications: [],
+    // Image uploads in progress: { id, chat_id, sender_id, data } (base64 received so far)
+    uploads: [],
+};
+
+export const createFixtureDb = (seed = {}) => {
+    const tables = clone({ ...defaultSeed, ...seed });
+
+    const nextId = (table) =>
+        (tables[table] || []).reduce(
+            (max, row) => (Number(row.id) > max ? Number(row.id) : max),
+            0
+        ) + 1;
+
+    const findUser = (id) =>
+        tables.users.find((user) => String(user.id) === String(id)) || null;
+
+    const toMember = (user) =>
+        user ? { id: user.id, name: user.name, email: user.email } : null;
+
+    return Object.assign(tables, { nextId, findUser, toMember });
+};
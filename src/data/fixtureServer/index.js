@@ -0,0 +1,112 @@
+// src/data/fixtureServer/index.js
+/**
+ * index.js (Fixture Server)
+ *
+ * In-process stand-in for the ResQZone backend. It answers every route the app calls under
+ * `API_URL_CHAT`, `API_URL_TASKS`, `API_URL_QUIZZES`, `API_URL_ALERTS`, `API_URL_DOCUMENTS`
+ * and `API_URL_USERS`, from in-memory tables seeded with `mockData.js`.
+ *
+ * Key functionalities:
+ * - **handle(method, endpoint, data)**: Resolves `{ status, body }` like an HTTP response.
+ *   `endpoint` may carry a query string (`/users/suggestions?search=al`); its values are
+ *   merged with `data` (the GET/DELETE params or the request body).
+ * - **State**: Writes are kept in memory for the lifetime of the server, so a created chat
+ *   shows up in the next `GET /chat/list/:userId`. `reset()` restores the seed.
+ * - **Errors**: Validation failures answer 4xx with `{ message }`; unknown routes answer 404.
+ *
+ * Usage:
+ * ```js
+ * const server = createFixtureServer({ seed: { tasks: [] } });
+ * const { status, body } = await server.handle('GET', '/v0.0/tasks/1');
+ * ```
+ *
+ * Notes:
+ * - Request and response bodies go through a JSON round trip, so callers never share
+ *   objects with the tables (Redux freezes what it stores).
+ * - Used by `utils/fixtureTransport.js`; nothing here encrypts or authenticates.
+ * - Answers must match the response schemas in `utils/apiSchemas.js`; the transport
+ *   rejects any that do not.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { createRouter, FixtureHttpError } from './router';
+import { createFixtureDb } from './db';
+import { registerUserRoutes } from './routes/users';
+import { registerChatRoutes } from './routes/chat';
+import { registerTaskRoutes } from './routes/tasks';
+import { registerQuizRoutes } from './routes/quizzes';
+import { registerAlertRoutes } from './routes/alerts';
+import { registerDocumentRoutes } from './routes/documents';
+
+const toJson = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const parseQuery = (query = '') =>
+    query
+        .split('&')
+        .filter(Boolean)
+        .reduce((params, pair) => {
+            const [key, value = ''] = pair.split('=');
+            params[decodeURIComponent(key)] = decodeURIComponent(
+                value.replace(/\+/g, ' ')
+            );
+            return params;
+        }, {});
+
+export const createFixtureServer = ({ seed } = {}) => {
+    let db;
+    let router;
+
+    const reset = () => {
+        db = createFixtureDb(seed);
+        router = createRouter();
+        registerUserRoutes(router, db);
+        registerChatRoutes(router, db);
+        registerTaskRoutes(router, db);
+        registerQuizRoutes(router, db);
+        registerAlertRoutes(router, db);
+        registerDocumentRoutes(router, db);
+    };
+
+    const handle = async (method, endpoint, data = {}) => {
+        const [path, query] = endpoint.split('?');
+        const route = router.match(method, path);
+        if (!route) {
+            return {
+                status: 404,
+                body: { message: `No fixture for ${method} ${path}` },
+            };
+        }
+
+        try {
+            const body = await route.handler({
+                params: route.params,
+                data: { ...parseQuery(query), ...toJson(data) },
+                db,
+            });
+            return { status: 200, body: toJson(body) ?? {} };
+        } catch (error) {
+            if (error instanceof FixtureHttpError) {
+                return {
+                    status: error.status,
+                    body: { message: error.message },
+                };
+            }
+            return {
+                status: 500,
+                body: { message: error?.message || 'Fixture server error' },
+            };
+        }
+    };
+
+    reset();
+
+    return {
+        handle,
+        reset,
+        getDb: () => db,
+    };
+};
+
+export default createFixtureServer;
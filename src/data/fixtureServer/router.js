@@ -0,0 +1,72 @@
+// src/data/fixtureServer/router.js
+/**
+ * router.js
+ *
+ * Minimal method + path router for the fixture server.
+ *
+ * - Patterns use `:name` segments (e.g. `/v0.0/chat/:chatId/messages`); matched values are
+ *   passed to the handler as strings in `params`.
+ * - Routes are tried in registration order, so literal paths (`/tasks/progress/:userId`)
+ *   must be added before catch-alls (`/tasks/:userId`).
+ * - Handlers throw `httpError(status, message)` to answer with an error status.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+export class FixtureHttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'FixtureHttpError';
+        this.status = status;
+    }
+}
+
+export const httpError = (status, message) =>
+    new FixtureHttpError(status, message);
+
+const compile = (pattern) => {
+    const names = [];
+    const source = pattern
+        .split('/')
+        .map((segment) => {
+            if (!segment.startsWith(':')) {
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+            names.push(segment.slice(1));
+            return '([^/]+)';
+        })
+        .join('/');
+    return { regex: new RegExp(`^${source}$`), names };
+};
+
+export const createRouter = () => {
+    const routes = [];
+
+    const add = (method, pattern, handler) => {
+        routes.push({ method, handler, ...compile(pattern) });
+    };
+
+    const match = (method, path) => {
+        for (const route of routes) {
+            if (route.method !== method) continue;
+            const found = route.regex.exec(path);
+            if (!found) continue;
+
+            const params = {};
+            route.names.forEach((name, i) => {
+                params[name] = decodeURIComponent(found[i + 1]);
+            });
+            return { handler: route.handler, params };
+        }
+        return null;
+    };
+
+    return {
+        get: (pattern, handler) => add('GET', pattern, handler),
+        post: (pattern, handler) => add('POST', pattern, handler),
+        put: (pattern, handler) => add('PUT', pattern, handler),
+        patch: (pattern, handler) => add('PATCH', pattern, handler),
+        del: (pattern, handler) => add('DELETE', pattern, handler),
+        match,
+    };
+};
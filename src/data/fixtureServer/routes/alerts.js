@@ -0,0 +1,147 @@
+// src/data/fixtureServer/routes/alerts.js
+/**
+ * alerts.js
+ *
+ * Fixture routes under `API_URL_ALERTS`.
+ *
+ * - `GET /` `?category&page&pageSize` → `{ alerts, hasMore, totalCount }` of system alerts,
+ *   newest first; `category=All` (or none) matches everything
+ * - `GET /system` `?userId` → `{ systemAlerts }` with `is_read` for that user
+ * - `POST /system`, `POST /emergency` → create an alert, answer `{ alert }`
+ * - `GET /pending-actions` → `{ pendingActions }`
+ * - `GET /user/:userId` → `{ alerts }` addressed to the user
+ * - `PATCH /:alertId/read` `{ type: 'user' | 'system', userId }` → marks it read
+ * - `DELETE /:alertId` → deletes a user alert (or a system alert)
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { API_URL_ALERTS } from '../../../utils/apiPaths';
+import { httpError } from '../router';
+
+const byNewest = (a, b) =>
+    new Date(b.created_at || b.timestamp) -
+    new Date(a.created_at || a.timestamp);
+
+export const registerAlertRoutes = (router, db) => {
+    const readsFor = (userId) => db.systemAlertReads[userId] || [];
+
+    const withReadFlag = (userId) => (alert) => ({
+        ...alert,
+        is_read: readsFor(userId).includes(alert.id),
+    });
+
+    const createAlert = (data, extra) => {
+        const alert = {
+            id: db.nextId('systemAlerts'),
+            title: data.title,
+            message: data.message,
+            description: data.message,
+            urgency: data.urgency || 'medium',
+            latitude: data.latitude ?? null,
+            longitude: data.longitude ?? null,
+            radius_km: data.radius_km ?? null,
+            created_at: new Date().toISOString(),
+            ...extra,
+        };
+        db.systemAlerts.push(alert);
+        return alert;
+    };
+
+    router.get(API_URL_ALERTS, ({ data }) => {
+        const category = data.category || 'All';
+        const page = Math.max(1, Number(data.page) || 1);
+        const pageSize = Math.max(1, Number(data.pageSize) || 6);
+
+        const matching = db.systemAlerts
+            .filter(
+                (alert) =>
+                    category === 'All' ||
+                    (alert.category || '').toLowerCase() ===
+                        category.toLowerCase()
+            )
+            .sort(byNewest);
+        const start = (page - 1) * pageSize;
+
+        return {
+            alerts: matching.slice(start, start + pageSize),
+            hasMore: start + pageSize < matching.length,
+            totalCount: matching.length,
+        };
+    });
+
+    router.get(`${API_URL_ALERTS}/system`, ({ data }) => ({
+        systemAlerts: [...db.systemAlerts]
+            .sort(byNewest)
+            .map(withReadFlag(data.userId)),
+    }));
+
+    router.post(`${API_URL_ALERTS}/system`, ({ data }) => {
+        if (!data.title || !data.message) {
+            throw httpError(400, 'title and message are required');
+        }
+        return {
+            message: 'System alert created',
+            alert: createAlert(data, {
+                category: 'System',
+                source: data.source || 'system',
+            }),
+        };
+    });
+
+    router.post(`${API_URL_ALERTS}/emergency`, ({ data }) => {
+        if (!data.title || !data.message) {
+            throw httpError(400, 'title and message are required');
+        }
+        return {
+            message: 'Emergency alert created',
+            alert: createAlert(data, {
+                category: 'Emergency',
+                type: 'emergency',
+                created_by: data.created_by ?? null,
+            }),
+        };
+    });
+
+    router.get(`${API_URL_ALERTS}/pending-actions`, () => ({
+        pendingActions: db.pendingActions,
+    }));
+
+    router.get(`${API_URL_ALERTS}/user/:userId`, ({ params }) => ({
+        alerts: db.userAlerts
+            .filter((alert) => String(alert.user_id) === params.userId)
+            .sort(byNewest),
+    }));
+
+    router.patch(`${API_URL_ALERTS}/:alertId/read`, ({ params, data }) => {
+        const id = Number(params.alertId);
+
+        if (data.type === 'system') {
+            if (!db.systemAlerts.some((a) => a.id === id)) {
+                throw httpError(404, 'Alert not found');
+            }
+            if (!data.userId) throw httpError(400, 'userId is required');
+            db.systemAlertReads[data.userId] = [
+                ...new Set([...readsFor(data.userId), id]),
+            ];
+            return { message: 'Alert marked as read' };
+        }
+
+        const alert = db.userAlerts.find((a) => a.id === id);
+        if (!alert) throw httpError(404, 'Alert not found');
+        alert.is_read = true;
+        return { message: 'Alert marked as read' };
+    });
+
+    router.del(`${API_URL_ALERTS}/:alertId`, ({ params }) => {
+        const id = Number(params.alertId);
+        const table = db.userAlerts.some((a) => a.id === id)
+            ? 'userAlerts'
+            : 'systemAlerts';
+        if (!db[table].some((a) => a.id === id)) {
+            throw httpError(404, 'Alert not found');
+        }
+        db[table] = db[table].filter((a) => a.id !== id);
+        return { message: 'Alert deleted' };
+    });
+};
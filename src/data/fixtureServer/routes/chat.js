@@ -0,0 +1,1350 @@
+// src/data/fixtureServer/routes/chat.js
+/**
+ * chat.js
+ *
+ * Fixture routes under `API_URL_CHAT`.
+ *
+ * - `GET /list/:userId` → `{ data: chats }` the user belongs to, newest activity first; each summary
+ *   carries the newest message's text (`lastMessage`), id (`last_message_id`) and sender
+ *   (`last_message_sender_id`)
+ * - `POST /create` → reuses an existing direct chat or creates a chat, answers `{ chat }`
+ * - `POST /local-groups/join` → joins (or creates) the group for the user's city,
+ *   answers `{ chat_id, name }`
+ * - `POST /read` → records the last read message for the user and stamps `read_at` (and
+ *   `delivered_at`) on that message and the earlier ones other members sent in the chat
+ * - `GET /search` `?user_id&q&chat_id&limit` → `{ results: [{ chat_id, chat_name, message }] }`:
+ *   the user's top-level messages matching `q` (see `utils/messageSearch`), newest first, in all
+ *   of their chats or only `chat_id`; queries shorter than `MIN_SEARCH_LENGTH` answer 400
+ * - `GET /:chatId`, `DELETE /:chatId`
+ * - `PATCH /:chatId` → group admins only: changes `name`, `description`, `avatar` (a `data:` URI)
+ *   and `announcement_only`; answers `{ chat }`
+ * - `POST /:chatId/add-members` (banned users answer 403), `DELETE /:chatId/remove-member`
+ *   (`user_id` leaves, or is removed by `requested_by`, who must outrank them)
+ * - `PATCH /:chatId/members/:memberId` → sets the member's `role` (`'admin'` / `'member'`) and/or
+ *   `muted_until` (a date, `null` unmutes); answers `{ chat }`
+ * - `POST /:chatId/members/:memberId/ban` → removes the member and keeps them from being added
+ *   back or rejoining; answers `{ chat }`
+ * - `PATCH /:chatId/preferences` → the member's own `muted_until` (a date, `null` unmutes),
+ *   `archived` and `notification_level` (`'all' | 'mentions' | 'none'`); answers
+ *   `{ chat_id, preferences }`
+ * - `GET /:chatId/pins` → `{ pins: [{ message_id, pinned_at, pinned_by, message }] }`, newest pin
+ *   first
+ * - `POST /:chatId/pins` → pins `message_id` (admins in groups, either member in direct chats, at
+ *   most `MAX_PINNED_MESSAGES`); pinning a pinned message is a no-op. Answers `{ pins }`
+ * - `DELETE /:chatId/pins/:messageId` → unpins the message (same rule), answers `{ pins }`
+ * - `GET /:chatId/messages` `?before&limit` → `{ data, has_more }` oldest first, thread replies left
+ *   out: the newest `limit` messages (all without `limit`), older than message `before` when given
+ * - `POST /:chatId/messages` → `{ message_id }`; `mentions` (member ids) are kept, ids of users
+ *   outside the chat are dropped
+ * - `PATCH /:chatId/messages/:messageId` → sender only: replaces the text of a text message
+ *   within `MESSAGE_EDIT_WINDOW_MS` (`content`), keeping the earlier version in `edit_history`
+ *   and dropping mentions whose "@Name" is gone; answers `{ message }`. Outside the window
+ *   answers 403
+ * - `DELETE /:chatId/messages/:messageId` → sender only, within `MESSAGE_DELETE_WINDOW_MS`:
+ *   deletes the message for everyone, leaving a tombstone (`deleted_at`, no content, mentions,
+ *   photo, voice note, poll, event or reactions) so replies keep their parent, and unpins it; answers
+ *   `{ message }`
+ * - `GET /:chatId/messages/:messageId/replies` `?before&limit` → `{ data, has_more }`: the newest
+ *   `limit` (default 20) replies older than the `before` reply id, oldest first
+ * - `POST /:chatId/messages/:messageId/replies` → stores a reply with `parent_message_id`
+ *   (and `mentions`, as for messages), answers `{ message_id, message, reply_count }`; replies cannot be replied to
+ * - `POST /:chatId/messages/:messageId/reactions` → sets the user's reaction (`emoji`),
+ *   replacing any earlier one, answers `{ message_id, reactions }`
+ * - `DELETE /:chatId/messages/:messageId/reactions` → removes the user's reaction,
+ *   answers `{ message_id, reactions }`
+ * - `POST /:chatId/uploads` → receives a base64 chunk (`data`) at `offset`; without `upload_id`
+ *   starts a new upload. Answers `{ upload_id, received }`; a wrong `offset` answers 409
+ * - `POST /:chatId/images` → posts a `message_type: 'image'` message from a finished upload
+ *   (`upload_id`, `mime_type`, `width`, `height`, optional `location`), answers `{ message_id, message }`
+ * - `POST /:chatId/voice` → posts a `message_type: 'voice'` message from a finished upload
+ *   (`upload_id`, an `audio/` `mime_type`, `duration_ms`, `waveform`), answers `{ message_id, message }`.
+ *   Notes longer than `voiceNoteLimits().maxDurationMs` answer 400, larger than `maxSizeBytes` 413
+ * - `POST /:chatId/polls` → posts a `message_type: 'poll'` message, answers `{ message_id, message }`
+ * - `POST /:chatId/polls/:pollId/vote` → replaces the user's votes (`option_ids`, `[]` retracts),
+ *   answers `{ poll }`
+ * - `POST /:chatId/polls/:pollId/close` → creator only, answers `{ poll }`
+ * - `GET /:chatId/polls/:pollId/voters` → creator only, `{ voters: [{ option_id, users }] }`
+ * - `POST /:chatId/events` → group chats only; posts a `message_type: 'event'` message,
+ *   answers `{ message_id, message }`
+ * - `POST /:chatId/events/:eventId/rsvp` → `status: 'going' | 'maybe' | 'not_going'`, answers
+ *   `{ event }`; with `add_to_tasks` a Going/Maybe RSVP also adds an "Attend" task for the user
+ *   (served by `GET /tasks/:userId`), and Can't removes it
+ *
+ * Chat summaries carry `chat_id` and `id`, `members: [{ id, name, email, role, muted_until }]`,
+ * `description`, `avatar`, `announcement_only`, the viewer's `preferences` (see
+ * `utils/chatPreferences`), `unread_mention_count` (messages after the viewer's last read one that
+ * mention them), `lastMessage` and `updated_at`. The creator is
+ * the group's `owner`; moderation follows `utils/groupRoles` (the acting `user_id` must outrank
+ * the member). Muted members, and everyone but admins in announcement-only groups, cannot post
+ * messages, replies, photos, voice notes, polls or events. Messages carry `sender: { id, name }`, `content`, `message_type`,
+ * `mentions: [{ id, name }]`,
+ * `parent_message_id` (replies only), `reply_count`, `edited_at` and
+ * `edit_history: [{ content, written_at }]` (earlier versions, oldest first), `deleted_at`,
+ * `reactions: [{ emoji, user: { id, name } }]`
+ * (one per member, oldest first) and `receipts: [{ user: { id, name }, delivered_at, read_at }]`
+ * (one per member other than the sender; timestamps stay `null` until acknowledged).
+ * Image messages carry `image: { url, width, height, location }`; the fixture serves `url` as a
+ * `data:` URI so photos display without a file server. Voice messages likewise carry
+ * `voice: { url, duration_ms, size, mime_type, waveform }`.
+ * Poll messages also carry `poll` with per-option tallies and the viewer's own `my_votes`;
+ * event messages carry `event` with RSVP `counts` and the viewer's `my_rsvp` / `my_task_id`
+ * (the viewer is the `user_id` param of `GET /:chatId/messages`).
+ *
+ * New messages, replies, photos, voice notes, polls and events record a push in `db.pushNotifications`
+ * (`{ user_id, chat_id, message_id }`) for every member whose preferences allow it
+ * (`shouldNotify`): never the sender, nobody who muted the chat or chose "none", and with
+ * "mentions" only the members the message mentions.
+ *
+ * Polls past their `closes_at` count as closed; events take RSVPs until they end and
+ * refuse new "going" RSVPs once `capacity` is reached. There is no socket here, so the
+ * `chat:poll_updated` / `chat:event_updated` / `chat:thread_reply` broadcasts a real server
+ * sends (and `chat:reaction` / `chat:receipt` / `chat:message_updated` /
+ * `chat:message_deleted` / `chat:group_updated` / `chat:pins_updated`) are not emulated, nor are `chat:delivered`
+ * acknowledgements: messages only move from sent to read here.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { API_URL_CHAT } from '../../../utils/apiPaths';
+import { httpError } from '../router';
+import {
+    MESSAGE_EDIT_WINDOW_MS,
+    MESSAGE_DELETE_WINDOW_MS,
+} from '../../../utils/messageEdits';
+import {
+    isGroupAdmin,
+    canManageMember,
+    postingRestriction,
+} from '../../../utils/groupRoles';
+import {
+    MAX_PINNED_MESSAGES,
+    canPinMessages,
+} from '../../../utils/pinnedMessages';
+import {
+    MIN_SEARCH_LENGTH,
+    SEARCH_RESULT_LIMIT,
+    normalizeQuery,
+    findMatches,
+} from '../../../utils/messageSearch';
+import {
+    NOTIFICATION_LEVELS,
+    DEFAULT_PREFERENCES,
+    shouldNotify,
+} from '../../../utils/chatPreferences';
+import { voiceNoteLimits } from '../../../utils/voiceNotes';
+
+export const registerChatRoutes = (router, db) => {
+    const findChat = (chatId) => {
+        const chat = db.chats.find((c) => String(c.id) === String(chatId));
+        if (!chat) throw httpError(404, 'Chat not found');
+        return chat;
+    };
+
+    // Top-level messages only; thread replies live under their parent
+    const chatMessages = (chatId) =>
+        db.messages.filter(
+            (m) => String(m.chat_id) === String(chatId) && !m.parent_message_id
+        );
+
+    const threadReplies = (parentId) =>
+        db.messages.filter((m) => m.parent_message_id === parentId);
+
+    const findParent = (chatId, messageId) => {
+        const message = chatMessages(chatId).find(
+            (m) => String(m.id) === String(messageId)
+        );
+        if (!message) throw httpError(404, 'Message not found');
+        return message;
+    };
+
+    const findChatMessage = (chatId, messageId) => {
+        const message = db.messages.find(
+            (m) =>
+                String(m.chat_id) === String(chatId) &&
+                String(m.id) === String(messageId)
+        );
+        if (!message) throw httpError(404, 'Message not found');
+        return message;
+    };
+
+    const toReactions = (messageId) =>
+        db.messageReactions
+            .filter((r) => r.message_id === messageId)
+            .map(({ emoji, user_id }) => {
+                const user = db.findUser(user_id);
+                return { emoji, user: { id: user_id, name: user?.name } };
+            });
+
+    const toReceipts = (message) => {
+        const chat = db.chats.find(
+            (c) => String(c.id) === String(message.chat_id)
+        );
+        return (chat?.member_ids || [])
+            .filter((id) => String(id) !== String(message.sender_id))
+            .map((userId) => {
+                const user = db.findUser(userId);
+                const receipt = db.messageReceipts.find(
+                    (r) => r.message_id === message.id && r.user_id === userId
+                );
+                return {
+                    user: { id: userId, name: user?.name },
+                    delivered_at: receipt?.delivered_at || null,
+                    read_at: receipt?.read_at || null,
+                };
+            });
+    };
+
+    const isClosed = (poll) =>
+        poll.closed ||
+        (!!poll.closes_at && new Date(poll.closes_at) <= new Date());
+
+    const toPoll = (poll, viewerId) => {
+        const votes = db.pollVotes.filter((v) => v.poll_id === poll.id);
+        return {
+            id: poll.id,
+            question: poll.question,
+            options: poll.options.map((option) => ({
+                ...option,
+                votes: votes.filter((v) => v.option_id === option.id).length,
+            })),
+            allows_multiple: poll.allows_multiple,
+            closes_at: poll.closes_at,
+            closed: isClosed(poll),
+            created_by: poll.created_by,
+            total_votes: new Set(votes.map((v) => v.user_id)).size,
+            my_votes: votes
+                .filter((v) => String(v.user_id) === String(viewerId))
+                .map((v) => v.option_id),
+        };
+    };
+
+    const findPoll = (chatId, pollId) => {
+        const poll = db.polls.find(
+            (p) =>
+                String(p.id) === String(pollId) &&
+                String(p.chat_id) === String(chatId)
+        );
+        if (!poll) throw httpError(404, 'Poll not found');
+        return poll;
+    };
+
+    const RSVP_STATUSES = ['going', 'maybe', 'not_going'];
+
+    const hasEnded = (event) =>
+        new Date(event.ends_at || event.starts_at) <= new Date();
+
+    const toEvent = (event, viewerId) => {
+        const rsvps = db.eventRsvps.filter((r) => r.event_id === event.id);
+        const mine = rsvps.find((r) => String(r.user_id) === String(viewerId));
+        const task = db.tasks.find(
+            (t) =>
+                t.event_id === event.id &&
+                String(t.user_id) === String(viewerId)
+        );
+        return {
+            id: event.id,
+            title: event.title,
+            starts_at: event.starts_at,
+            ends_at: event.ends_at,
+            location: event.location,
+            capacity: event.capacity,
+            created_by: event.created_by,
+            counts: Object.fromEntries(
+                RSVP_STATUSES.map((status) => [
+                    status,
+                    rsvps.filter((r) => r.status === status).length,
+                ])
+            ),
+            my_rsvp: mine?.status || null,
+            my_task_id: task?.id || null,
+        };
+    };
+
+    const findEvent = (chatId, eventId) => {
+        const event = db.events.find(
+            (e) =>
+                String(e.id) === String(eventId) &&
+                String(e.chat_id) === String(chatId)
+        );
+        if (!event) throw httpError(404, 'Event not found');
+        return event;
+    };
+
+    const toMessage = (message, viewerId) => ({
+        id: message.id,
+        chat_id: message.chat_id,
+        sender: db.toMember(db.findUser(message.sender_id)) || {
+            id: message.sender_id,
+        },
+        content: message.content,
+        message_type: message.message_type,
+        mentions: (message.mentions || [])
+            .map((id) => db.findUser(id))
+            .filter(Boolean)
+            .map((user) => ({ id: user.id, name: user.name })),
+        timestamp: message.timestamp,
+        parent_message_id: message.parent_message_id || null,
+        reply_count: threadReplies(message.id).length,
+        edited_at: message.edited_at || null,
+        edit_history: message.edit_history || [],
+        deleted_at: message.deleted_at || null,
+        reactions: toReactions(message.id),
+        receipts: toReceipts(message),
+        ...(message.image ? { image: message.image } : {}),
+        ...(message.voice ? { voice: message.voice } : {}),
+        ...(message.poll_id
+            ? {
+                  poll: toPoll(
+                      db.polls.find((p) => p.id === message.poll_id),
+                      viewerId
+                  ),
+              }
+            : {}),
+        ...(message.event_id
+            ? {
+                  event: toEvent(
+                      db.events.find((e) => e.id === message.event_id),
+                      viewerId
+                  ),
+              }
+            : {}),
+    });
+
+    const roleIn = (chat, userId) => {
+        if (userId === chat.created_by) return 'owner';
+        return (chat.admin_ids || []).includes(userId) ? 'admin' : 'member';
+    };
+
+    const activeMute = (chat, userId) => {
+        const until = chat.muted_until?.[userId];
+        return until && new Date(until) > new Date() ? until : null;
+    };
+
+    // The viewer's own mute / archive / notification settings for the chat
+    const preferencesFor = (chat, userId) => ({
+        ...DEFAULT_PREFERENCES,
+        ...chat.preferences?.[userId],
+    });
+
+    // Mentioned member ids, once each; anyone outside the chat is dropped
+    const mentionIds = (chat, mentions) => [
+        ...new Set(
+            (Array.isArray(mentions) ? mentions : [])
+                .map((mention) => Number(mention?.id ?? mention))
+                .filter((id) => chat.member_ids.includes(id))
+        ),
+    ];
+
+    const unreadMentionCount = (chat, viewerId) => {
+        const lastRead = db.chatReads[`${chat.id}:${viewerId}`] || 0;
+        return chatMessages(chat.id).filter(
+            (m) =>
+                m.id > lastRead &&
+                !m.deleted_at &&
+                m.sender_id !== viewerId &&
+                (m.mentions || []).includes(viewerId)
+        ).length;
+    };
+
+    // Stands in for the push service: one row per member a new message should notify
+    const notifyMembers = (chat, message) => {
+        chat.member_ids
+            .filter((id) => shouldNotify(preferencesFor(chat, id), message, id))
+            .forEach((id) =>
+                db.pushNotifications.push({
+                    user_id: id,
+                    chat_id: chat.id,
+                    message_id: message.id,
+                })
+            );
+    };
+
+    const toSummary = (chat, viewerId) => {
+        const members = chat.member_ids
+            .map((id) => {
+                const member = db.toMember(db.findUser(id));
+                if (!member || !chat.is_group) return member;
+                return {
+                    ...member,
+                    role: roleIn(chat, id),
+                    muted_until: activeMute(chat, id),
+                };
+            })
+            .filter(Boolean);
+        const messages = chatMessages(chat.id);
+        const last = messages[messages.length - 1];
+        const other = members.find((m) => String(m.id) !== String(viewerId));
+
+        return {
+            id: chat.id,
+            chat_id: chat.id,
+            name: chat.is_group ? chat.name : other?.name || chat.name,
+            is_group: chat.is_group,
+            members,
+            description: chat.description || null,
+            avatar: chat.avatar || null,
+            announcement_only: !!chat.announcement_only,
+            preferences: preferencesFor(chat, Number(viewerId)),
+            unread_mention_count: unreadMentionCount(chat, Number(viewerId)),
+            created_by: chat.created_by,
+            created_at: chat.created_at,
+            updated_at: last?.timestamp || chat.created_at,
+            lastMessage: last?.deleted_at
+                ? 'This message was deleted'
+                : last?.content || null,
+            last_message_id: last?.id ?? null,
+            last_message_sender_id: last?.sender_id ?? null,
+        };
+    };
+
+    const createChat = ({ name, isGroup, memberIds, createdBy }) => {
+        const chat = {
+            id: db.nextId('chats'),
+            name,
+            is_group: isGroup,
+            member_ids: [...new Set(memberIds.map(Number))],
+            created_by: Number(createdBy),
+            created_at: new Date().toISOString(),
+        };
+        db.chats.push(chat);
+        return chat;
+    };
+
+    // Members only; muted members and, in announcement-only groups, non-admins cannot post
+    const assertCanPost = (chat, senderId) => {
+        if (!chat.member_ids.includes(Number(senderId))) {
+            throw httpError(403, 'Sender is not a member of this chat');
+        }
+        const restriction = postingRestriction(toSummary(chat), senderId);
+        if (restriction === 'muted') {
+            throw httpError(403, 'You are muted in this group');
+        }
+        if (restriction === 'announcement_only') {
+            throw httpError(403, 'Only admins can post in this group');
+        }
+    };
+
+    const adminChat = (chatId, userId) => {
+        const chat = findChat(chatId);
+        if (!chat.is_group) throw httpError(400, 'Direct chats have no admins');
+        if (!isGroupAdmin(toSummary(chat), userId)) {
+            throw httpError(403, 'Only group admins can do this');
+        }
+        return chat;
+    };
+
+    const pinningChat = (chatId, userId) => {
+        const chat = findChat(chatId);
+        if (!canPinMessages(toSummary(chat), userId)) {
+            throw httpError(
+                403,
+                chat.is_group
+                    ? 'Only group admins can pin messages'
+                    : 'Sender is not a member of this chat'
+            );
+        }
+        return chat;
+    };
+
+    const toPins = (chat, viewerId) =>
+        (chat.pins || []).map((pin) => ({
+            message_id: pin.message_id,
+            pinned_at: pin.pinned_at,
+            pinned_by: db.toMember(db.findUser(pin.pinned_by)) || {
+                id: pin.pinned_by,
+            },
+            message: toMessage(
+                db.messages.find((m) => m.id === pin.message_id),
+                viewerId
+            ),
+        }));
+
+    const managedMember = (chat, actorId, memberId) => {
+        const id = Number(memberId);
+        if (!chat.member_ids.includes(id)) {
+            throw httpError(404, 'User is not a member of this chat');
+        }
+        if (!canManageMember(toSummary(chat), actorId, id)) {
+            throw httpError(403, 'You cannot manage this member');
+        }
+        return id;
+    };
+
+    router.get(`${API_URL_CHAT}/list/:userId`, ({ params }) => ({
+        data: db.chats
+            .filter((chat) =>
+                chat.member_ids.map(String).includes(params.userId)
+            )
+            .map((chat) => toSummary(chat, params.userId))
+            .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at)),
+    }));
+
+    // Registered before `/:chatId` so "search" is not taken for a chat id
+    router.get(`${API_URL_CHAT}/search`, ({ data }) => {
+        if (normalizeQuery(data.q).length < MIN_SEARCH_LENGTH) {
+            throw httpError(
+                400,
+                `Search for at least ${MIN_SEARCH_LENGTH} characters`
+            );
+        }
+        const userId = Number(data.user_id);
+        let chats = db.chats.filter((chat) => chat.member_ids.includes(userId));
+        if (data.chat_id != null) {
+            const chat = findChat(data.chat_id);
+            if (!chats.includes(chat)) {
+                throw httpError(403, 'Sender is not a member of this chat');
+            }
+            chats = [chat];
+        }
+
+        return {
+            results: findMatches(
+                chats.map((chat) => ({
+                    chat_id: chat.id,
+                    chat_name: toSummary(chat, userId).name,
+                    messages: chatMessages(chat.id).map((m) =>
+                        toMessage(m, userId)
+                    ),
+                })),
+                data.q,
+                Number(data.limit) || SEARCH_RESULT_LIMIT
+            ),
+        };
+    });
+
+    router.post(`${API_URL_CHAT}/create`, ({ data }) => {
+        const { user_id, participant_ids = [], is_group, group_name } = data;
+        if (!user_id || !participant_ids.length) {
+            throw httpError(400, 'user_id and participant_ids are required');
+        }
+        const memberIds = [user_id, ...participant_ids].map(Number);
+
+        if (!is_group) {
+            const existing = db.chats.find(
+                (chat) =>
+                    !chat.is_group &&
+                    chat.member_ids.length === 2 &&
+                    memberIds.every((id) => chat.member_ids.includes(id))
+            );
+            if (existing) {
+                return {
+                    message: 'Chat exists',
+                    chat: toSummary(existing, user_id),
+                };
+            }
+        }
+
+        const chat = createChat({
+            name: is_group ? group_name : 'Direct Chat',
+            isGroup: !!is_group,
+            memberIds,
+            createdBy: user_id,
+        });
+        return { message: 'Chat created', chat: toSummary(chat, user_id) };
+    });
+
+    router.post(`${API_URL_CHAT}/local-groups/join`, ({ data }) => {
+        const user = db.findUser(data.userId);
+        if (!user) throw httpError(404, 'User not found');
+
+        const area =
+            data.hasAddress && data.address
+                ? data.address
+                : user.city || 'Local Area';
+        const name = `${area} Community`;
+        let chat = db.chats.find(
+            (c) => c.is_group && c.is_local && c.name === name
+        );
+        if ((chat?.banned_ids || []).includes(user.id)) {
+            throw httpError(403, 'You are banned from this group');
+        }
+        if (!chat) {
+            chat = createChat({
+                name,
+                isGroup: true,
+                memberIds: [user.id],
+                createdBy: user.id,
+            });
+            chat.is_local = true;
+        } else if (!chat.member_ids.includes(user.id)) {
+            chat.member_ids.push(user.id);
+        }
+        return {
+            message: 'Joined local group',
+            chat_id: chat.id,
+            name: chat.name,
+        };
+    });
+
+    router.post(`${API_URL_CHAT}/read`, ({ data }) => {
+        const message = db.messages.find(
+            (m) => String(m.id) === String(data.message_id)
+        );
+        if (!message) throw httpError(404, 'Message not found');
+        db.chatReads[`${message.chat_id}:${data.user_id}`] = message.id;
+
+        const userId = Number(data.user_id);
+        const readAt = new Date().toISOString();
+        chatMessages(message.chat_id)
+            .filter((m) => m.id <= message.id && m.sender_id !== userId)
+            .forEach((m) => {
+                let receipt = db.messageReceipts.find(
+                    (r) => r.message_id === m.id && r.user_id === userId
+                );
+                if (!receipt) {
+                    receipt = {
+                        message_id: m.id,
+                        user_id: userId,
+                        delivered_at: readAt,
+                        read_at: null,
+                    };
+                    db.messageReceipts.push(receipt);
+                }
+                receipt.read_at = receipt.read_at || readAt;
+            });
+        return { success: true };
+    });
+
+    router.get(`${API_URL_CHAT}/:chatId`, ({ params }) => ({
+        chat: toSummary(findChat(params.chatId)),
+    }));
+
+    router.del(`${API_URL_CHAT}/:chatId`, ({ params }) => {
+        findChat(params.chatId);
+        db.chats = db.chats.filter((c) => String(c.id) !== params.chatId);
+        db.messages = db.messages.filter(
+            (m) => String(m.chat_id) !== params.chatId
+        );
+        return { message: 'Chat deleted' };
+    });
+
+    router.post(`${API_URL_CHAT}/:chatId/add-members`, ({ params, data }) => {
+        const chat = findChat(params.chatId);
+        if (!chat.is_group)
+            throw httpError(400, 'Cannot add members to a direct chat');
+        (data.user_ids || []).map(Number).forEach((id) => {
+            if (!db.findUser(id)) throw httpError(404, `User ${id} not found`);
+            if ((chat.banned_ids || []).includes(id)) {
+                throw httpError(403, `User ${id} is banned from this group`);
+            }
+            if (!chat.member_ids.includes(id)) chat.member_ids.push(id);
+        });
+        return {
+            message: 'Members added',
+            chat: toSummary(chat, data.user_id),
+        };
+    });
+
+    router.del(`${API_URL_CHAT}/:chatId/remove-member`, ({ params, data }) => {
+        const chat = findChat(params.chatId);
+        const userId = Number(data.user_id);
+        if (!chat.member_ids.includes(userId)) {
+            throw httpError(404, 'User is not a member of this chat');
+        }
+        const actorId = data.requested_by ?? userId;
+        if (String(actorId) !== String(userId)) {
+            managedMember(chat, actorId, userId);
+        }
+        chat.member_ids = chat.member_ids.filter((id) => id !== userId);
+        chat.admin_ids = (chat.admin_ids || []).filter((id) => id !== userId);
+        return { message: 'Member removed' };
+    });
+
+    router.patch(`${API_URL_CHAT}/:chatId`, ({ params, data }) => {
+        const chat = adminChat(params.chatId, data.user_id);
+        if (data.name !== undefined) {
+            const name = String(data.name || '').trim();
+            if (!name) throw httpError(400, 'Group name is required');
+            chat.name = name;
+        }
+        if (data.description !== undefined) {
+            chat.description = String(data.description || '').trim() || null;
+        }
+        if (data.avatar !== undefined) chat.avatar = data.avatar || null;
+        if (data.announcement_only !== undefined) {
+            chat.announcement_only = !!data.announcement_only;
+        }
+        return { chat: toSummary(chat, data.user_id) };
+    });
+
+    router.patch(
+        `${API_URL_CHAT}/:chatId/members/:memberId`,
+        ({ params, data }) => {
+            const chat = adminChat(params.chatId, data.user_id);
+            const memberId = managedMember(chat, data.user_id, params.memberId);
+
+            if (data.role !== undefined) {
+                if (!['admin', 'member'].includes(data.role)) {
+                    throw httpError(400, 'Role must be admin or member');
+                }
+                const admins = (chat.admin_ids || []).filter(
+                    (id) => id !== memberId
+                );
+                chat.admin_ids =
+                    data.role === 'admin' ? [...admins, memberId] : admins;
+            }
+            if (data.muted_until !== undefined) {
+                const until = data.muted_until && new Date(data.muted_until);
+                if (until && Number.isNaN(until.getTime())) {
+                    throw httpError(400, 'muted_until must be a date');
+                }
+                chat.muted_until = { ...chat.muted_until };
+                if (until) chat.muted_until[memberId] = until.toISOString();
+                else delete chat.muted_until[memberId];
+            }
+            return { chat: toSummary(chat, data.user_id) };
+        }
+    );
+
+    router.patch(`${API_URL_CHAT}/:chatId/preferences`, ({ params, data }) => {
+        const chat = findChat(params.chatId);
+        const userId = Number(data.user_id);
+        if (!chat.member_ids.includes(userId)) {
+            throw httpError(403, 'User is not a member of this chat');
+        }
+        const preferences = preferencesFor(chat, userId);
+
+        if (data.muted_until !== undefined) {
+            const until = data.muted_until && new Date(data.muted_until);
+            if (until && Number.isNaN(until.getTime())) {
+                throw httpError(400, 'muted_until must be a date');
+            }
+            preferences.muted_until = until ? until.toISOString() : null;
+        }
+        if (data.archived !== undefined) preferences.archived = !!data.archived;
+        if (data.notification_level !== undefined) {
+            if (!NOTIFICATION_LEVELS.includes(data.notification_level)) {
+                throw httpError(
+                    400,
+                    `notification_level must be one of ${NOTIFICATION_LEVELS.join(
+                        ', '
+                    )}`
+                );
+            }
+            preferences.notification_level = data.notification_level;
+        }
+
+        chat.preferences = { ...chat.preferences, [userId]: preferences };
+        return { chat_id: chat.id, preferences };
+    });
+
+    router.post(
+        `${API_URL_CHAT}/:chatId/members/:memberId/ban`,
+        ({ params, data }) => {
+            const chat = adminChat(params.chatId, data.user_id);
+            const memberId = managedMember(chat, data.user_id, params.memberId);
+            chat.member_ids = chat.member_ids.filter((id) => id !== memberId);
+            chat.admin_ids = (chat.admin_ids || []).filter(
+                (id) => id !== memberId
+            );
+            chat.banned_ids = [...(chat.banned_ids || []), memberId];
+            return { chat: toSummary(chat, data.user_id) };
+        }
+    );
+
+    router.get(`${API_URL_CHAT}/:chatId/pins`, ({ params, data }) => ({
+        pins: toPins(findChat(params.chatId), data.user_id),
+    }));
+
+    router.post(`${API_URL_CHAT}/:chatId/pins`, ({ params, data }) => {
+        const chat = pinningChat(params.chatId, data.user_id);
+        const message = findParent(chat.id, data.message_id);
+        if (message.deleted_at) {
+            throw httpError(410, 'This message was deleted');
+        }
+
+        const pins = chat.pins || [];
+        if (!pins.some((pin) => pin.message_id === message.id)) {
+            if (pins.length >= MAX_PINNED_MESSAGES) {
+                throw httpError(
+                    409,
+                    `A chat can have at most ${MAX_PINNED_MESSAGES} pinned messages`
+                );
+            }
+            chat.pins = [
+                {
+                    message_id: message.id,
+                    pinned_by: Number(data.user_id),
+                    pinned_at: new Date().toISOString(),
+                },
+                ...pins,
+            ];
+        }
+        return { pins: toPins(chat, data.user_id) };
+    });
+
+    router.del(
+        `${API_URL_CHAT}/:chatId/pins/:messageId`,
+        ({ params, data }) => {
+            const chat = pinningChat(params.chatId, data.user_id);
+            const pins = chat.pins || [];
+            const kept = pins.filter(
+                (pin) => String(pin.message_id) !== params.messageId
+            );
+            if (kept.length === pins.length) {
+                throw httpError(404, 'Message is not pinned');
+            }
+            chat.pins = kept;
+            return { pins: toPins(chat, data.user_id) };
+        }
+    );
+
+    router.get(`${API_URL_CHAT}/:chatId/messages`, ({ params, data }) => {
+        findChat(params.chatId);
+        const older = chatMessages(params.chatId).filter(
+            (m) => !data.before || Number(m.id) < Number(data.before)
+        );
+        const limit = Math.max(1, Number(data.limit) || older.length);
+        return {
+            data: older
+                .slice(-limit)
+                .map((message) => toMessage(message, data.user_id)),
+            has_more: older.length > limit,
+        };
+    });
+
+    router.post(`${API_URL_CHAT}/:chatId/messages`, ({ params, data }) => {
+        const chat = findChat(params.chatId);
+        assertCanPost(chat, data.sender_id);
+        if (!data.message) throw httpError(400, 'Message is required');
+
+        const message = {
+            id: db.nextId('messages'),
+            chat_id: chat.id,
+            sender_id: Number(data.sender_id),
+            content: data.message,
+            message_type: data.message_type || 'text',
+            mentions: mentionIds(chat, data.mentions),
+            timestamp: new Date().toISOString(),
+        };
+        db.messages.push(message);
+        notifyMembers(chat, message);
+        return { message_id: message.id, message: toMessage(message) };
+    });
+
+    router.get(
+        `${API_URL_CHAT}/:chatId/messages/:messageId/replies`,
+        ({ params, data }) => {
+            findChat(params.chatId);
+            const parent = findParent(params.chatId, params.messageId);
+            const limit = Math.max(1, Number(data.limit) || 20);
+            const older = threadReplies(parent.id).filter(
+                (m) => !data.before || Number(m.id) < Number(data.before)
+            );
+            return {
+                data: older
+                    .slice(-limit)
+                    .map((message) => toMessage(message, data.user_id)),
+                has_more: older.length > limit,
+            };
+        }
+    );
+
+    router.post(
+        `${API_URL_CHAT}/:chatId/messages/:messageId/replies`,
+        ({ params, data }) => {
+            const chat = findChat(params.chatId);
+            assertCanPost(chat, data.sender_id);
+            const reply = db.messages.find(
+                (m) => String(m.id) === String(params.messageId)
+            );
+            if (reply?.parent_message_id) {
+                throw httpError(400, 'Replies cannot have replies');
+            }
+            const parent = findParent(params.chatId, params.messageId);
+            if (!(data.message || '').trim()) {
+                throw httpError(400, 'Message is required');
+            }
+
+            const message = {
+                id: db.nextId('messages'),
+                chat_id: chat.id,
+                sender_id: Number(data.sender_id),
+                content: data.message,
+                message_type: 'text',
+                mentions: mentionIds(chat, data.mentions),
+                parent_message_id: parent.id,
+                timestamp: new Date().toISOString(),
+            };
+            db.messages.push(message);
+            notifyMembers(chat, message);
+            return {
+                message_id: message.id,
+                message: toMessage(message),
+                reply_count: threadReplies(parent.id).length,
+            };
+        }
+    );
+
+    const reactionTarget = (params, data) => {
+        const chat = findChat(params.chatId);
+        const userId = Number(data.user_id);
+        if (!chat.member_ids.includes(userId)) {
+            throw httpError(403, 'User is not a member of this chat');
+        }
+        const message = findChatMessage(params.chatId, params.messageId);
+        db.messageReactions = db.messageReactions.filter(
+            (r) => !(r.message_id === message.id && r.user_id === userId)
+        );
+        return { message, userId };
+    };
+
+    router.post(
+        `${API_URL_CHAT}/:chatId/messages/:messageId/reactions`,
+        ({ params, data }) => {
+            const emoji = (data.emoji || '').trim();
+            if (!emoji) throw httpError(400, 'Emoji is required');
+
+            const { message, userId } = reactionTarget(params, data);
+            db.messageReactions.push({
+                message_id: message.id,
+                user_id: userId,
+                emoji,
+            });
+            return {
+                message_id: message.id,
+                reactions: toReactions(message.id),
+            };
+        }
+    );
+
+    router.del(
+        `${API_URL_CHAT}/:chatId/messages/:messageId/reactions`,
+        ({ params, data }) => {
+            const { message } = reactionTarget(params, data);
+            return {
+                message_id: message.id,
+                reactions: toReactions(message.id),
+            };
+        }
+    );
+
+    // Own, not yet deleted, and sent less than `windowMs` ago
+    const ownMessage = (params, data, windowMs, action) => {
+        const message = findChatMessage(params.chatId, params.messageId);
+        if (message.deleted_at) throw httpError(410, 'Message was deleted');
+        if (String(message.sender_id) !== String(data.user_id)) {
+            throw httpError(403, `Only the sender can ${action} this message`);
+        }
+        if (Date.now() - new Date(message.timestamp).getTime() > windowMs) {
+            throw httpError(
+                403,
+                `The time to ${action} this message has passed`
+            );
+        }
+        return message;
+    };
+
+    router.patch(
+        `${API_URL_CHAT}/:chatId/messages/:messageId`,
+        ({ params, data }) => {
+            const message = ownMessage(
+                params,
+                data,
+                MESSAGE_EDIT_WINDOW_MS,
+                'edit'
+            );
+            if ((message.message_type || 'text') !== 'text') {
+                throw httpError(400, 'Only text messages can be edited');
+            }
+            const content = (data.content || '').trim();
+            if (!content) throw httpError(400, 'Message is required');
+
+            if (content !== message.content) {
+                message.edit_history = [
+                    ...(message.edit_history || []),
+                    {
+                        content: message.content,
+                        written_at: message.edited_at || message.timestamp,
+                    },
+                ];
+                message.content = content;
+                message.edited_at = new Date().toISOString();
+                message.mentions = (message.mentions || []).filter((id) =>
+                    content.includes(`@${db.findUser(id)?.name}`)
+                );
+            }
+            return { message: toMessage(message, data.user_id) };
+        }
+    );
+
+    router.del(
+        `${API_URL_CHAT}/:chatId/messages/:messageId`,
+        ({ params, data }) => {
+            const message = ownMessage(
+                params,
+                data,
+                MESSAGE_DELETE_WINDOW_MS,
+                'delete'
+            );
+            message.content = null;
+            message.deleted_at = new Date().toISOString();
+            delete message.edit_history;
+            delete message.mentions;
+            delete message.image;
+            delete message.voice;
+            delete message.poll_id;
+            delete message.event_id;
+            db.messageReactions = db.messageReactions.filter(
+                (r) => r.message_id !== message.id
+            );
+            const chat = findChat(params.chatId);
+            chat.pins = (chat.pins || []).filter(
+                (pin) => pin.message_id !== message.id
+            );
+            return { message: toMessage(message, data.user_id) };
+        }
+    );
+
+    const findUpload = (chat, senderId, uploadId) => {
+        const upload = db.uploads.find(
+            (u) =>
+                String(u.id) === String(uploadId) &&
+                u.chat_id === chat.id &&
+                u.sender_id === senderId
+        );
+        if (!upload) throw httpError(404, 'Upload not found');
+        return upload;
+    };
+
+    router.post(`${API_URL_CHAT}/:chatId/uploads`, ({ params, data }) => {
+        const chat = findChat(params.chatId);
+        const senderId = Number(data.sender_id);
+        assertCanPost(chat, senderId);
+        if (!data.data) throw httpError(400, 'Upload data is required');
+
+        let upload = db.uploads.find(
+            (u) =>
+                data.upload_id &&
+                String(u.id) === String(data.upload_id) &&
+                u.chat_id === chat.id &&
+                u.sender_id === senderId
+        );
+        if (data.upload_id && !upload) throw httpError(404, 'Upload not found');
+        if (!upload) {
+            upload = {
+                id: db.nextId('uploads'),
+                chat_id: chat.id,
+                sender_id: senderId,
+                data: '',
+            };
+            db.uploads.push(upload);
+        }
+        if (Number(data.offset || 0) !== upload.data.length) {
+            throw httpError(409, 'Unexpected upload offset');
+        }
+
+        upload.data += data.data;
+        return { upload_id: upload.id, received: upload.data.length };
+    });
+
+    router.post(`${API_URL_CHAT}/:chatId/images`, ({ params, data }) => {
+        const chat = findChat(params.chatId);
+        const senderId = Number(data.sender_id);
+        assertCanPost(chat, senderId);
+        const upload = findUpload(chat, senderId, data.upload_id);
+        if (!String(data.mime_type || '').startsWith('image/')) {
+            throw httpError(400, 'Only images can be attached');
+        }
+
+        const message = {
+            id: db.nextId('messages'),
+            chat_id: chat.id,
+            sender_id: senderId,
+            content: '📷 Photo',
+            message_type: 'image',
+            image: {
+                url: `data:${data.mime_type};base64,${upload.data}`,
+                width: Number(data.width) || 0,
+                height: Number(data.height) || 0,
+                location: data.location || null,
+            },
+            timestamp: new Date().toISOString(),
+        };
+        db.uploads = db.uploads.filter((u) => u !== upload);
+        db.messages.push(message);
+        notifyMembers(chat, message);
+        return {
+            message_id: message.id,
+            message: toMessage(message, senderId),
+        };
+    });
+
+    router.post(`${API_URL_CHAT}/:chatId/voice`, ({ params, data }) => {
+        const chat = findChat(params.chatId);
+        const senderId = Number(data.sender_id);
+        assertCanPost(chat, senderId);
+        const upload = findUpload(chat, senderId, data.upload_id);
+        if (!String(data.mime_type || '').startsWith('audio/')) {
+            throw httpError(400, 'Only audio can be sent as a voice note');
+        }
+        const limits = voiceNoteLimits();
+        const durationMs = Number(data.duration_ms) || 0;
+        if (durationMs <= 0 || durationMs > limits.maxDurationMs) {
+            throw httpError(400, 'Voice note is too long');
+        }
+        const size = Math.floor(
+            (upload.data.replace(/=+$/, '').length * 3) / 4
+        );
+        if (size > limits.maxSizeBytes) {
+            throw httpError(413, 'Voice note is too large');
+        }
+
+        const message = {
+            id: db.nextId('messages'),
+            chat_id: chat.id,
+            sender_id: senderId,
+            content: '🎤 Voice note',
+            message_type: 'voice',
+            voice: {
+                url: `data:${data.mime_type};base64,${upload.data}`,
+                duration_ms: durationMs,
+                size,
+                mime_type: data.mime_type,
+                waveform: Array.isArray(data.waveform) ? data.waveform : [],
+            },
+            timestamp: new Date().toISOString(),
+        };
+        db.uploads = db.uploads.filter((u) => u !== upload);
+        db.messages.push(message);
+        notifyMembers(chat, message);
+        return {
+            message_id: message.id,
+            message: toMessage(message, senderId),
+        };
+    });
+
+    router.post(`${API_URL_CHAT}/:chatId/polls`, ({ params, data }) => {
+        const chat = findChat(params.chatId);
+        const senderId = Number(data.sender_id);
+        assertCanPost(chat, senderId);
+        const question = (data.question || '').trim();
+        const texts = (data.options || []).map((text) => String(text).trim());
+        if (!question) throw httpError(400, 'Question is required');
+        if (
+            texts.length < 2 ||
+            texts.some((text) => !text) ||
+            new Set(texts).size !== texts.length
+        ) {
+            throw httpError(400, 'A poll needs at least two different options');
+        }
+        if (data.closes_at && new Date(data.closes_at) <= new Date()) {
+            throw httpError(400, 'Closing time must be in the future');
+        }
+
+        const poll = {
+            id: db.nextId('polls'),
+            chat_id: chat.id,
+            question,
+            options: texts.map((text, i) => ({ id: i + 1, text })),
+            allows_multiple: !!data.allows_multiple,
+            closes_at: data.closes_at || null,
+            closed: false,
+            created_by: senderId,
+        };
+        const message = {
+            id: db.nextId('messages'),
+            chat_id: chat.id,
+            sender_id: senderId,
+            content: question,
+            message_type: 'poll',
+            poll_id: poll.id,
+            timestamp: new Date().toISOString(),
+        };
+        db.polls.push(poll);
+        db.messages.push(message);
+        notifyMembers(chat, message);
+        return {
+            message_id: message.id,
+            message: toMessage(message, senderId),
+        };
+    });
+
+    router.post(
+        `${API_URL_CHAT}/:chatId/polls/:pollId/vote`,
+        ({ params, data }) => {
+            const chat = findChat(params.chatId);
+            const poll = findPoll(params.chatId, params.pollId);
+            const userId = Number(data.user_id);
+            if (!chat.member_ids.includes(userId)) {
+                throw httpError(403, 'User is not a member of this chat');
+            }
+            if (isClosed(poll)) throw httpError(409, 'Poll is closed');
+
+            const optionIds = (data.option_ids || []).map(Number);
+            if (!poll.allows_multiple && optionIds.length > 1) {
+                throw httpError(400, 'This poll allows a single choice');
+            }
+            if (
+                optionIds.some((id) => !poll.options.some((o) => o.id === id))
+            ) {
+                throw httpError(400, 'Unknown poll option');
+            }
+
+            db.pollVotes = db.pollVotes
+                .filter((v) => !(v.poll_id === poll.id && v.user_id === userId))
+                .concat(
+                    [...new Set(optionIds)].map((optionId) => ({
+                        poll_id: poll.id,
+                        option_id: optionId,
+                        user_id: userId,
+                    }))
+                );
+            return { poll: toPoll(poll, userId) };
+        }
+    );
+
+    router.post(
+        `${API_URL_CHAT}/:chatId/polls/:pollId/close`,
+        ({ params, data }) => {
+            const poll = findPoll(params.chatId, params.pollId);
+            if (String(poll.created_by) !== String(data.user_id)) {
+                throw httpError(403, 'Only the poll creator can close it');
+            }
+            poll.closed = true;
+            return { poll: toPoll(poll, data.user_id) };
+        }
+    );
+
+    router.get(
+        `${API_URL_CHAT}/:chatId/polls/:pollId/voters`,
+        ({ params, data }) => {
+            const poll = findPoll(params.chatId, params.pollId);
+            if (String(poll.created_by) !== String(data.user_id)) {
+                throw httpError(403, 'Only the poll creator can see who voted');
+            }
+            const votes = db.pollVotes.filter((v) => v.poll_id === poll.id);
+            return {
+                voters: poll.options.map((option) => ({
+                    option_id: option.id,
+                    users: votes
+                        .filter((v) => v.option_id === option.id)
+                        .map((v) => db.toMember(db.findUser(v.user_id)))
+                        .filter(Boolean),
+                })),
+            };
+        }
+    );
+
+    router.post(`${API_URL_CHAT}/:chatId/events`, ({ params, data }) => {
+        const chat = findChat(params.chatId);
+        const senderId = Number(data.sender_id);
+        if (!chat.is_group) {
+            throw httpError(400, 'Events can only be posted in group chats');
+        }
+        assertCanPost(chat, senderId);
+
+        const title = (data.title || '').trim();
+        const startsAt = new Date(data.starts_at);
+        const endsAt = data.ends_at ? new Date(data.ends_at) : null;
+        const { capacity = null, location = null } = data;
+        if (!title) throw httpError(400, 'Title is required');
+        if (Number.isNaN(startsAt.getTime())) {
+            throw httpError(400, 'A valid start time is required');
+        }
+        if (endsAt && !(endsAt > startsAt)) {
+            throw httpError(400, 'The event must end after it starts');
+        }
+        if (
+            capacity !== null &&
+            !(Number.isInteger(capacity) && capacity > 0)
+        ) {
+            throw httpError(400, 'Capacity must be a positive whole number');
+        }
+        if (
+            location &&
+            !(
+                Number.isFinite(location.latitude) &&
+                Number.isFinite(location.longitude)
+            )
+        ) {
+            throw httpError(400, 'Location needs a latitude and longitude');
+        }
+
+        const event = {
+            id: db.nextId('events'),
+            chat_id: chat.id,
+            title,
+            starts_at: startsAt.toISOString(),
+            ends_at: endsAt ? endsAt.toISOString() : null,
+            location: location
+                ? {
+                      latitude: location.latitude,
+                      longitude: location.longitude,
+                      label: location.label || null,
+                  }
+                : null,
+            capacity,
+            created_by: senderId,
+        };
+        const message = {
+            id: db.nextId('messages'),
+            chat_id: chat.id,
+            sender_id: senderId,
+            content: `🗓️ ${title}`,
+            message_type: 'event',
+            event_id: event.id,
+            timestamp: new Date().toISOString(),
+        };
+        db.events.push(event);
+        db.messages.push(message);
+        notifyMembers(chat, message);
+        return {
+            message_id: message.id,
+            message: toMessage(message, senderId),
+        };
+    });
+
+    router.post(
+        `${API_URL_CHAT}/:chatId/events/:eventId/rsvp`,
+        ({ params, data }) => {
+            const chat = findChat(params.chatId);
+            const event = findEvent(params.chatId, params.eventId);
+            const userId = Number(data.user_id);
+            if (!chat.member_ids.includes(userId)) {
+                throw httpError(403, 'User is not a member of this chat');
+            }
+            if (!RSVP_STATUSES.includes(data.status)) {
+                throw httpError(400, 'Unknown RSVP status');
+            }
+            if (hasEnded(event)) throw httpError(409, 'Event has ended');
+
+            const others = db.eventRsvps.filter(
+                (r) => !(r.event_id === event.id && r.user_id === userId)
+            );
+            const going = others.filter(
+                (r) => r.event_id === event.id && r.status === 'going'
+            ).length;
+            if (
+                data.status === 'going' &&
+                event.capacity &&
+                going >= event.capacity
+            ) {
+                throw httpError(409, 'Event is full');
+            }
+            db.eventRsvps = [
+                ...others,
+                { event_id: event.id, user_id: userId, status: data.status },
+            ];
+
+            const isOwnTask = (t) =>
+                t.event_id === event.id && t.user_id === userId;
+            if (data.status === 'not_going') {
+                db.tasks = db.tasks.filter((t) => !isOwnTask(t));
+            } else if (data.add_to_tasks && !db.tasks.some(isOwnTask)) {
+                db.tasks.push({
+                    id: db.nextId('tasks'),
+                    user_id: userId,
+                    event_id: event.id,
+                    chat_id: chat.id,
+                    title: `Attend: ${event.title}`,
+                    description: event.location?.label || chat.name,
+                    xp: 0,
+                    due_date: event.starts_at,
+                    created_at: new Date().toISOString(),
+                });
+            }
+            return { event: toEvent(event, userId) };
+        }
+    );
+};
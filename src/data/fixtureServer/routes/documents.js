@@ -0,0 +1,83 @@
+// src/data/fixtureServer/routes/documents.js
+/**
+ * documents.js
+ *
+ * Fixture routes under `API_URL_DOCUMENTS`.
+ *
+ * - `POST /` → stores a document for `user_id` (replacing one with the same `url`)
+ * - `DELETE /` `{ user_id, url }` → removes one document
+ * - `DELETE /all` `{ user_id }` → removes all of the user's documents
+ * - `POST /read` / `DELETE /read` `{ user_id, document_id }` → set / clear `read_at`
+ * - `GET /:userId` → `{ data: documents }` with a server-relative `file_url` and `read_at`
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { API_URL_DOCUMENTS } from '../../../utils/apiPaths';
+import { httpError } from '../router';
+
+export const registerDocumentRoutes = (router, db) => {
+    const isOwner = (doc, userId) => String(doc.user_id) === String(userId);
+
+    const findOwnDocument = ({ user_id, document_id }) => {
+        const doc = db.documents.find(
+            (d) => String(d.id) === String(document_id) && isOwner(d, user_id)
+        );
+        if (!doc) throw httpError(404, 'Document not found');
+        return doc;
+    };
+
+    router.post(API_URL_DOCUMENTS, ({ data }) => {
+        if (!data.user_id || !data.url || !data.title) {
+            throw httpError(400, 'user_id, url and title are required');
+        }
+
+        const previous = db.documents.find(
+            (d) => d.url === data.url && isOwner(d, data.user_id)
+        );
+        const doc = {
+            id: previous?.id ?? db.nextId('documents'),
+            user_id: data.user_id,
+            title: data.title,
+            url: data.url,
+            file_url:
+                data.file_url || `/uploads/${encodeURIComponent(data.title)}`,
+            category: data.category || null,
+            uploaded_at: data.uploadedAt || new Date().toISOString(),
+            read_at: previous?.read_at ?? null,
+        };
+        db.documents = [...db.documents.filter((d) => d !== previous), doc];
+        return { message: 'Document saved', document: doc };
+    });
+
+    router.del(API_URL_DOCUMENTS, ({ data }) => {
+        const exists = db.documents.some(
+            (d) => d.url === data.url && isOwner(d, data.user_id)
+        );
+        if (!exists) throw httpError(404, 'Document not found');
+        db.documents = db.documents.filter(
+            (d) => !(d.url === data.url && isOwner(d, data.user_id))
+        );
+        return { message: 'Document removed' };
+    });
+
+    router.del(`${API_URL_DOCUMENTS}/all`, ({ data }) => {
+        if (!data.user_id) throw httpError(400, 'user_id is required');
+        db.documents = db.documents.filter((d) => !isOwner(d, data.user_id));
+        return { message: 'Documents cleared' };
+    });
+
+    router.post(`${API_URL_DOCUMENTS}/read`, ({ data }) => {
+        findOwnDocument(data).read_at = new Date().toISOString();
+        return { message: 'Document marked as read' };
+    });
+
+    router.del(`${API_URL_DOCUMENTS}/read`, ({ data }) => {
+        findOwnDocument(data).read_at = null;
+        return { message: 'Document marked as unread' };
+    });
+
+    router.get(`${API_URL_DOCUMENTS}/:userId`, ({ params }) => ({
+        data: db.documents.filter((d) => isOwner(d, params.userId)),
+    }));
+};
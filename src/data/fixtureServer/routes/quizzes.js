@@ -0,0 +1,141 @@
+// src/data/fixtureServer/routes/quizzes.js
+/**
+ * quizzes.js
+ *
+ * Fixture routes under `API_URL_QUIZZES`.
+ *
+ * - `GET /user/:userId` → `{ quizzes }` (without questions)
+ * - `GET /history/:userId` → `{ history: [{ quiz_id, score, total_questions, xp_earned, submitted_at }] }`
+ * - `POST /ai-generate` → `{ quiz }`, a small generated quiz about `topic`
+ * - `GET /:quizId` → `{ quiz }` with `questions[].options[]`
+ * - `GET /:quizId/stats` → `{ stats: { attempts, average_score, best_score } }`
+ * - `POST /:quizId/submit` → grades `answers[].selected_options` (option texts) against the
+ *   correct options and answers `{ score, total_questions, xp_earned }`; XP is only awarded
+ *   on the first submission
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { API_URL_QUIZZES } from '../../../utils/apiPaths';
+import { httpError } from '../router';
+
+const optionText = (option) =>
+    typeof option === 'string' ? option : option?.option_text;
+
+export const registerQuizRoutes = (router, db) => {
+    const findQuiz = (quizId) => {
+        const quiz = db.quizzes.find((q) => String(q.id) === String(quizId));
+        if (!quiz) throw httpError(404, 'Quiz not found');
+        return quiz;
+    };
+
+    const isCorrect = (question, answer) => {
+        const expected = question.options
+            .filter((o) => o.is_correct)
+            .map((o) => o.option_text)
+            .sort();
+        const given = (answer?.selected_options || []).map(optionText).sort();
+        return (
+            expected.length === given.length &&
+            expected.every((text, i) => text === given[i])
+        );
+    };
+
+    router.get(`${API_URL_QUIZZES}/user/:userId`, () => ({
+        quizzes: db.quizzes.map(({ questions, ...quiz }) => quiz),
+    }));
+
+    router.get(`${API_URL_QUIZZES}/history/:userId`, ({ params }) => ({
+        history: db.quizHistory.filter(
+            (h) => String(h.user_id) === params.userId
+        ),
+    }));
+
+    router.post(`${API_URL_QUIZZES}/ai-generate`, ({ data }) => {
+        if (!data.topic) throw httpError(400, 'Topic is required');
+
+        const id = db.nextId('quizzes');
+        const quiz = {
+            id,
+            title: `${data.topic} Quiz`,
+            description: `Generated ${data.difficulty || 'easy'} quiz about ${
+                data.topic
+            }.`,
+            xp: 20,
+            created_by: data.createdBy ?? null,
+            chat_id: data.chatId ?? null,
+            created_at: new Date().toISOString(),
+            questions: [
+                {
+                    id: id * 100 + 1,
+                    question: `Which is the first step when preparing for ${data.topic}?`,
+                    options: [
+                        {
+                            id: id * 1000 + 1,
+                            option_text: 'Make a plan',
+                            is_correct: true,
+                        },
+                        {
+                            id: id * 1000 + 2,
+                            option_text: 'Wait and see',
+                            is_correct: false,
+                        },
+                    ],
+                },
+            ],
+        };
+        db.quizzes.push(quiz);
+        return { quiz };
+    });
+
+    router.get(`${API_URL_QUIZZES}/:quizId`, ({ params }) => ({
+        quiz: findQuiz(params.quizId),
+    }));
+
+    router.get(`${API_URL_QUIZZES}/:quizId/stats`, ({ params }) => {
+        const quiz = findQuiz(params.quizId);
+        const attempts = db.quizHistory.filter((h) => h.quiz_id === quiz.id);
+        const scores = attempts.map((h) => h.score);
+        return {
+            stats: {
+                attempts: attempts.length,
+                average_score: scores.length
+                    ? scores.reduce((sum, s) => sum + s, 0) / scores.length
+                    : 0,
+                best_score: scores.length ? Math.max(...scores) : 0,
+            },
+        };
+    });
+
+    router.post(`${API_URL_QUIZZES}/:quizId/submit`, ({ params, data }) => {
+        const quiz = findQuiz(params.quizId);
+        if (!data.user_id) throw httpError(400, 'user_id is required');
+
+        const answers = Array.isArray(data.answers) ? data.answers : [];
+        const score = quiz.questions.filter((question) =>
+            isCorrect(
+                question,
+                answers.find(
+                    (a) => String(a.question_id) === String(question.id)
+                )
+            )
+        ).length;
+
+        const firstAttempt = !db.quizHistory.some(
+            (h) =>
+                h.quiz_id === quiz.id &&
+                String(h.user_id) === String(data.user_id)
+        );
+        const result = {
+            quiz_id: quiz.id,
+            user_id: data.user_id,
+            score,
+            total_questions: quiz.questions.length,
+            xp_earned: firstAttempt ? quiz.xp || 0 : 0,
+            submitted_at: new Date().toISOString(),
+        };
+        db.quizHistory.push(result);
+
+        return { message: 'Quiz submitted', ...result };
+    });
+};
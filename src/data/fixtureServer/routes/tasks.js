@@ -0,0 +1,64 @@
+// src/data/fixtureServer/routes/tasks.js
+/**
+ * tasks.js
+ *
+ * Fixture routes under `API_URL_TASKS`.
+ *
+ * - `GET /progress/:userId` → `{ completedTasks: [{ task_id, completed_at }] }`
+ * - `GET /:userId` → `{ tasks }`: the shared checklist plus the user's own tasks (rows with a
+ *   `user_id`, e.g. "Attend" tasks added from an event RSVP in chat)
+ * - `POST /complete` → records a completion, answers `{ message, xp_earned }`
+ *   (`xp_earned` is 0 when the task was already completed)
+ * - `POST /uncomplete` → removes a completion
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { API_URL_TASKS } from '../../../utils/apiPaths';
+import { httpError } from '../router';
+
+export const registerTaskRoutes = (router, db) => {
+    const findTask = (taskId) => {
+        const task = db.tasks.find((t) => String(t.id) === String(taskId));
+        if (!task) throw httpError(404, 'Task not found');
+        return task;
+    };
+
+    const isOwn = (entry, userId, taskId) =>
+        String(entry.user_id) === String(userId) &&
+        String(entry.task_id) === String(taskId);
+
+    router.get(`${API_URL_TASKS}/progress/:userId`, ({ params }) => ({
+        completedTasks: db.taskProgress
+            .filter((entry) => String(entry.user_id) === params.userId)
+            .map(({ task_id, completed_at }) => ({ task_id, completed_at })),
+    }));
+
+    router.get(`${API_URL_TASKS}/:userId`, ({ params }) => ({
+        tasks: db.tasks.filter(
+            (task) => !task.user_id || String(task.user_id) === params.userId
+        ),
+    }));
+
+    router.post(`${API_URL_TASKS}/complete`, ({ data }) => {
+        const task = findTask(data.task_id);
+        if (db.taskProgress.some((e) => isOwn(e, data.user_id, task.id))) {
+            return { message: 'Task already completed', xp_earned: 0 };
+        }
+
+        db.taskProgress.push({
+            user_id: data.user_id,
+            task_id: task.id,
+            completed_at: new Date().toISOString(),
+        });
+        return { message: 'Task completed', xp_earned: task.xp || 0 };
+    });
+
+    router.post(`${API_URL_TASKS}/uncomplete`, ({ data }) => {
+        const task = findTask(data.task_id);
+        db.taskProgress = db.taskProgress.filter(
+            (e) => !isOwn(e, data.user_id, task.id)
+        );
+        return { message: 'Task marked as not completed' };
+    });
+};
@@ -0,0 +1,144 @@
+// src/data/fixtureServer/routes/users.js
+/**
+ * users.js
+ *
+ * Fixture routes under `API_URL_USERS`.
+ *
+ * - `POST /register` → creates a user, answers `{ user_id, otp_code }`
+ * - `POST /request-otp` → `{ user_id, otp_code }` for a registered phone number (404 otherwise)
+ * - `POST /verify-otp` → `{ user, access_token, refresh_token, expires_in }`; the code is
+ *   always `FIXTURE_OTP`
+ * - `POST /refresh-token`, `POST /logout`
+ * - `GET /suggestions?search=` → `{ data: users }` matching name, email, phone or city
+ * - `PATCH /:userId/location` → stores `latitude` / `longitude`
+ * - `GET /emergency-contacts/:userId`, `POST /emergency-contacts`,
+ *   `DELETE /emergency-contacts/:contactId`
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { API_URL_USERS } from '../../../utils/apiPaths';
+import { httpError } from '../router';
+
+export const FIXTURE_OTP = '123456';
+const TOKEN_TTL_SECONDS = 3600;
+
+const issueTokens = (userId) => ({
+    access_token: `fixture-access-${userId}-${Date.now()}`,
+    refresh_token: `fixture-refresh-${userId}`,
+    expires_in: TOKEN_TTL_SECONDS,
+});
+
+export const registerUserRoutes = (router, db) => {
+    router.post(`${API_URL_USERS}/register`, ({ data }) => {
+        if (!data.phone_number)
+            throw httpError(400, 'Phone number is required');
+        if (db.users.some((u) => u.phone_number === data.phone_number)) {
+            throw httpError(409, 'Phone number already registered');
+        }
+
+        const user = {
+            id: db.nextId('users'),
+            name:
+                data.name ||
+                [data.first_name, data.last_name].filter(Boolean).join(' '),
+            email: data.email || null,
+            phone_number: data.phone_number,
+            country_code: data.country_code || null,
+            city: data.city || null,
+            postal_code: data.postal_code || null,
+            latitude: data.latitude ?? null,
+            longitude: data.longitude ?? null,
+        };
+        db.users.push(user);
+
+        return {
+            message: 'User registered',
+            user_id: user.id,
+            otp_code: FIXTURE_OTP,
+        };
+    });
+
+    router.post(`${API_URL_USERS}/request-otp`, ({ data }) => {
+        const user = db.users.find((u) => u.phone_number === data.phone_number);
+        if (!user) throw httpError(404, 'User not found. Please register.');
+        return { message: 'OTP sent', user_id: user.id, otp_code: FIXTURE_OTP };
+    });
+
+    router.post(`${API_URL_USERS}/verify-otp`, ({ data }) => {
+        const user = db.findUser(data.user_id);
+        if (!user) throw httpError(404, 'User not found');
+        if (String(data.otp_code) !== FIXTURE_OTP) {
+            throw httpError(401, 'Invalid OTP');
+        }
+        return { message: 'OTP verified', user, ...issueTokens(user.id) };
+    });
+
+    router.post(`${API_URL_USERS}/refresh-token`, ({ data }) => {
+        const userId = /^fixture-refresh-(\d+)$/.exec(
+            data.refresh_token || ''
+        )?.[1];
+        if (!userId || !db.findUser(userId)) {
+            throw httpError(401, 'Invalid refresh token');
+        }
+        return issueTokens(userId);
+    });
+
+    router.post(`${API_URL_USERS}/logout`, () => ({ message: 'Logged out' }));
+
+    router.get(`${API_URL_USERS}/suggestions`, ({ data }) => {
+        const search = String(data.search || '').toLowerCase();
+        const matches = db.users.filter((user) =>
+            [
+                user.name,
+                user.email,
+                user.phone_number,
+                user.city,
+                user.postal_code,
+            ].some((field) => (field || '').toLowerCase().includes(search))
+        );
+        return { data: matches };
+    });
+
+    router.patch(`${API_URL_USERS}/:userId/location`, ({ params, data }) => {
+        const user = db.findUser(params.userId);
+        if (!user) throw httpError(404, 'User not found');
+        user.latitude = data.latitude;
+        user.longitude = data.longitude;
+        return { message: 'Location updated', user };
+    });
+
+    router.get(`${API_URL_USERS}/emergency-contacts/:userId`, ({ params }) => ({
+        data: db.emergencyContacts.filter(
+            (c) => String(c.user_id) === params.userId
+        ),
+    }));
+
+    router.post(`${API_URL_USERS}/emergency-contacts`, ({ data }) => {
+        if (!data.user_id || !data.name || !data.phone_number) {
+            throw httpError(400, 'user_id, name and phone_number are required');
+        }
+        const contact = {
+            id: db.nextId('emergencyContacts'),
+            user_id: data.user_id,
+            name: data.name,
+            phone_number: data.phone_number,
+        };
+        db.emergencyContacts.push(contact);
+        return { message: 'Contact added', contact };
+    });
+
+    router.del(
+        `${API_URL_USERS}/emergency-contacts/:contactId`,
+        ({ params }) => {
+            const exists = db.emergencyContacts.some(
+                (c) => String(c.id) === params.contactId
+            );
+            if (!exists) throw httpError(404, 'Contact not found');
+            db.emergencyContacts = db.emergencyContacts.filter(
+                (c) => String(c.id) !== params.contactId
+            );
+            return { message: 'Contact deleted' };
+        }
+    );
+};
@@ -12,6 +12,9 @@
  *    - Represents hourly forecast data over several hours.
  *    - Contains detailed information on temperature, wind speed, weather description, etc., for each hour.
  *    - This mock is useful for testing how the app displays forecasted weather information.
+ *
+ * 3. **Backend Fixtures (`mockUsers`, `mockChats`, `mockTasks`, `mockQuizzes`, `mockDocuments`, ...)**:
+ *    - Seed the in-process fixture server (`src/data/fixtureServer`) used when `DEV_MODE` is on and in tests.
  * 
  * Example usage:
  * - `mockWeatherData` would be used when testing the current weather display.
@@ -1521,3 +1524,227 @@ export const mockOPENCAGE = {
     },
     total_results: 1,
 };
+
+/**
+ * Backend fixtures
+ *
+ * Seed data for the in-process fixture server (`src/data/fixtureServer`), shaped like the
+ * responses of the real API. Timestamps are ISO strings so the data survives JSON round trips.
+ */
+
+export const mockUsers = [
+    {
+        id: 1,
+        name: 'Alex Morgan',
+        email: 'alex@example.com',
+        phone_number: '5550100001',
+        country_code: '+1',
+        city: 'Springfield',
+        postal_code: '62701',
+        latitude: 39.7817,
+        longitude: -89.6501,
+    },
+    {
+        id: 2,
+        name: 'Priya Shah',
+        email: 'priya@example.com',
+        phone_number: '5550100002',
+        country_code: '+1',
+        city: 'Springfield',
+        postal_code: '62702',
+        latitude: 39.8017,
+        longitude: -89.6436,
+    },
+    {
+        id: 3,
+        name: 'Sam Lee',
+        email: 'sam@example.com',
+        phone_number: '5550100003',
+        country_code: '+1',
+        city: 'Chatham',
+        postal_code: '62629',
+        latitude: 39.6762,
+        longitude: -89.7043,
+    },
+    {
+        id: 4,
+        name: 'Maria Garcia',
+        email: 'maria@example.com',
+        phone_number: '5550100004',
+        country_code: '+1',
+        city: 'Rochester',
+        postal_code: '62563',
+        latitude: 39.7495,
+        longitude: -89.5317,
+    },
+];
+
+export const mockEmergencyContacts = [
+    { id: 1, user_id: 1, name: 'Jordan Morgan', phone_number: '+15550109001' },
+    { id: 2, user_id: 1, name: 'Dr. Chen', phone_number: '+15550109002' },
+];
+
+export const mockChats = [
+    {
+        id: 1,
+        name: 'Priya Shah',
+        is_group: false,
+        member_ids: [1, 2],
+        created_by: 1,
+        created_at: '2025-04-10T09:00:00.000Z',
+    },
+    {
+        id: 2,
+        name: 'Neighbourhood Watch',
+        is_group: true,
+        member_ids: [1, 2, 3],
+        created_by: 2,
+        created_at: '2025-04-11T18:30:00.000Z',
+    },
+];
+
+export const mockChatMessages = [
+    {
+        id: 1,
+        chat_id: 1,
+        sender_id: 2,
+        content: 'Did you see the storm warning?',
+        message_type: 'text',
+        timestamp: '2025-04-14T12:40:00.000Z',
+    },
+    {
+        id: 2,
+        chat_id: 1,
+        sender_id: 1,
+        content: 'Yes, charging the power banks now.',
+        message_type: 'text',
+        timestamp: '2025-04-14T12:42:00.000Z',
+    },
+    {
+        id: 3,
+        chat_id: 2,
+        sender_id: 3,
+        content: 'Shelter at the community centre is open tonight.',
+        message_type: 'text',
+        timestamp: '2025-04-14T17:05:00.000Z',
+    },
+];
+
+export const mockTasks = [
+    {
+        id: 1,
+        title: 'Build an emergency kit',
+        description: 'Water, food and first aid for at least 72 hours.',
+        xp: 50,
+        due_date: '2025-05-01T00:00:00.000Z',
+        created_at: '2025-04-01T00:00:00.000Z',
+    },
+    {
+        id: 2,
+        title: 'Plan an evacuation route',
+        description: 'Agree on two ways out of your neighbourhood.',
+        xp: 30,
+        due_date: '2025-05-15T00:00:00.000Z',
+        created_at: '2025-04-02T00:00:00.000Z',
+    },
+    {
+        id: 3,
+        title: 'Go-bag checklist',
+        xp: 40,
+        created_at: '2025-04-03T00:00:00.000Z',
+        items: [
+            'Flashlight and spare batteries',
+            { title: 'Copies of documents', description: 'ID, insurance, prescriptions' },
+            'Phone charger',
+        ],
+    },
+];
+
+export const mockTaskProgress = [
+    { user_id: 1, task_id: 2, completed_at: '2025-04-12T10:00:00.000Z' },
+];
+
+export const mockQuizzes = [
+    {
+        id: 1,
+        title: 'Storm Safety Basics',
+        description: 'What to do before and during a severe storm.',
+        xp: 20,
+        created_at: '2025-04-05T00:00:00.000Z',
+        questions: [
+            {
+                id: 11,
+                question: 'Where is the safest place during a tornado?',
+                options: [
+                    { id: 111, option_text: 'An interior room on the lowest floor', is_correct: true },
+                    { id: 112, option_text: 'Next to a large window', is_correct: false },
+                    { id: 113, option_text: 'Inside a parked car', is_correct: false },
+                ],
+            },
+            {
+                id: 12,
+                question: 'Which items belong in an emergency kit?',
+                options: [
+                    { id: 121, option_text: 'Drinking water', is_correct: true },
+                    { id: 122, option_text: 'First aid supplies', is_correct: true },
+                    { id: 123, option_text: 'Scented candles', is_correct: false },
+                ],
+            },
+        ],
+    },
+    {
+        id: 2,
+        title: 'Flood Awareness',
+        description: 'Recognise flood risks and respond safely.',
+        xp: 20,
+        created_at: '2025-04-06T00:00:00.000Z',
+        questions: [
+            {
+                id: 21,
+                question: 'How much moving water can knock an adult off their feet?',
+                options: [
+                    { id: 211, option_text: '15 cm (6 in)', is_correct: true },
+                    { id: 212, option_text: '1 m (3 ft)', is_correct: false },
+                ],
+            },
+        ],
+    },
+];
+
+export const mockQuizHistory = [];
+
+export const mockUserAlerts = [
+    {
+        id: 101,
+        user_id: 1,
+        related_id: 3,
+        type: 'emergency',
+        title: 'Sam Lee shared an emergency alert',
+        message: 'Fallen power lines on Oak Street.',
+        is_read: false,
+        created_at: '2025-04-14T16:20:00.000Z',
+    },
+];
+
+export const mockDocuments = [
+    {
+        id: 1,
+        user_id: 1,
+        title: 'Family Emergency Plan',
+        url: 'https://example.com/docs/family-plan.pdf',
+        file_url: '/uploads/family-plan.pdf',
+        category: 'Plans',
+        uploaded_at: '2025-04-08T08:00:00.000Z',
+        read_at: null,
+    },
+    {
+        id: 2,
+        user_id: 1,
+        title: 'Home Insurance Policy',
+        url: 'https://example.com/docs/insurance.pdf',
+        file_url: '/uploads/insurance.pdf',
+        category: 'Insurance',
+        uploaded_at: '2025-04-09T08:00:00.000Z',
+        read_at: '2025-04-10T08:00:00.000Z',
+    },
+];
@@ -0,0 +1,109 @@
+/**
+ * EditHistoryModal Component
+ *
+ * Bottom sheet listing every version of an edited message, newest first, with when each
+ * version was written.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `message` (object): The message (`content`, `edited_at`, `edit_history: [{ content, written_at }]`).
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ */
+import React from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    ScrollView,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+import formatTime from '../utils/utils';
+
+const EditHistoryModal = ({ visible, onClose, message, theme }) => {
+    const styles = createStyles(theme);
+    const versions = [
+        {
+            content: message?.content,
+            written_at: message?.edited_at,
+            current: true,
+        },
+        ...[...(message?.edit_history || [])].reverse(),
+    ];
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Edit history</Text>
+
+                <ScrollView>
+                    {versions.map((version, index) => (
+                        <View key={index} style={styles.version}>
+                            <Text style={styles.label}>
+                                {version.current ? 'Current' : 'Earlier'} ·{' '}
+                                {formatTime(version.written_at)}
+                            </Text>
+                            <Text style={styles.content}>
+                                {version.content}
+                            </Text>
+                        </View>
+                    ))}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+            maxHeight: '70%',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 16,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+        },
+        version: {
+            marginBottom: 14,
+        },
+        label: {
+            fontSize: 12,
+            fontFamily: 'PoppinsBold',
+            color: theme.mutedText || '#aaa',
+            marginBottom: 2,
+        },
+        content: {
+            fontSize: 14,
+            fontFamily: 'Poppins',
+            color: theme.text,
+        },
+    });
+
+export default EditHistoryModal;
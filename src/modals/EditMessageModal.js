@@ -0,0 +1,128 @@
+/**
+ * EditMessageModal Component
+ *
+ * Bottom sheet for correcting the text of a message the user sent.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `onSave` (function): Called with the trimmed new text.
+ * - `message` (object | null): The message being edited; its `content` fills the input.
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ *
+ * Notes:
+ * - "Save" is disabled while the text is empty or unchanged.
+ * - The input is refilled whenever a different message is opened.
+ */
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    TextInput,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+
+const EditMessageModal = ({ visible, onClose, onSave, message, theme }) => {
+    const [text, setText] = useState(message?.content || '');
+    const styles = createStyles(theme);
+
+    useEffect(() => {
+        setText(message?.content || '');
+    }, [message?.id, message?.content]);
+
+    const trimmed = text.trim();
+    const canSave = !!trimmed && trimmed !== message?.content;
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            avoidKeyboard={true}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Edit Message</Text>
+
+                <TextInput
+                    testID='edit-message-input'
+                    value={text}
+                    onChangeText={setText}
+                    placeholder='Message'
+                    placeholderTextColor={theme.placeholder}
+                    style={styles.input}
+                    multiline
+                    autoFocus
+                />
+
+                <TouchableOpacity
+                    style={[styles.saveButton, !canSave && styles.disabled]}
+                    disabled={!canSave}
+                    accessibilityState={{ disabled: !canSave }}
+                    onPress={() => onSave(trimmed)}
+                >
+                    <Text style={styles.saveText}>Save</Text>
+                </TouchableOpacity>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 18,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+            textAlign: 'center',
+        },
+        input: {
+            backgroundColor: theme.input,
+            color: theme.inputText,
+            fontFamily: 'Poppins',
+            borderRadius: 10,
+            padding: 12,
+            marginBottom: 12,
+            maxHeight: 160,
+        },
+        saveButton: {
+            backgroundColor: theme.link,
+            paddingVertical: 12,
+            borderRadius: 10,
+            alignItems: 'center',
+        },
+        disabled: {
+            opacity: 0.5,
+        },
+        saveText: {
+            color: '#fff',
+            fontFamily: 'PoppinsBold',
+            fontSize: 15,
+        },
+    });
+
+export default EditMessageModal;
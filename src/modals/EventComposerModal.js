@@ -0,0 +1,305 @@
+/**
+ * EventComposerModal Component
+ *
+ * Bottom sheet for posting an event to a group chat: a title, when it starts and how long it
+ * runs, an optional pin at the user's current location and an optional capacity.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `onCreate` (function): Called with `{ title, startsAt, endsAt, location, capacity }`;
+ *   `startsAt`/`endsAt` are ISO strings, `location` is `{ latitude, longitude, label }` or `null`
+ *   and `capacity` is a positive integer or `null` (no limit).
+ * - `location` (object | null): The user's current `{ latitude, longitude }`; the pin toggle
+ *   is disabled without it.
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ *
+ * Notes:
+ * - Start times are rounded up to the next quarter hour.
+ * - Inputs are reset after an event is created.
+ */
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    TextInput,
+    Switch,
+    Alert,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+
+const QUARTER_HOUR = 15 * 60000;
+
+export const START_CHOICES = [
+    { label: 'In 1 hour', hours: 1 },
+    { label: 'In 3 hours', hours: 3 },
+    { label: 'Tomorrow', hours: 24 },
+];
+
+export const DURATION_CHOICES = [
+    { label: '1 hr', hours: 1 },
+    { label: '2 hr', hours: 2 },
+    { label: '4 hr', hours: 4 },
+];
+
+const ChoiceRow = ({ choices, selected, onSelect, styles }) => (
+    <View style={styles.choiceRow}>
+        {choices.map(({ label, hours }) => (
+            <TouchableOpacity
+                key={label}
+                style={[
+                    styles.choiceButton,
+                    selected === hours && styles.choiceButtonSelected,
+                ]}
+                onPress={() => onSelect(hours)}
+            >
+                <Text
+                    style={[
+                        styles.choiceText,
+                        selected === hours && styles.choiceTextSelected,
+                    ]}
+                >
+                    {label}
+                </Text>
+            </TouchableOpacity>
+        ))}
+    </View>
+);
+
+const EventComposerModal = ({
+    visible,
+    onClose,
+    onCreate,
+    location,
+    theme,
+}) => {
+    const [title, setTitle] = useState('');
+    const [startHours, setStartHours] = useState(START_CHOICES[0].hours);
+    const [durationHours, setDurationHours] = useState(
+        DURATION_CHOICES[0].hours
+    );
+    const [pinLocation, setPinLocation] = useState(false);
+    const [placeLabel, setPlaceLabel] = useState('');
+    const [capacity, setCapacity] = useState('');
+
+    const styles = createStyles(theme);
+
+    const reset = () => {
+        setTitle('');
+        setStartHours(START_CHOICES[0].hours);
+        setDurationHours(DURATION_CHOICES[0].hours);
+        setPinLocation(false);
+        setPlaceLabel('');
+        setCapacity('');
+    };
+
+    const handleSubmit = () => {
+        const trimmedTitle = title.trim();
+        if (!trimmedTitle) {
+            Alert.alert('Missing Title', 'Please give the event a title.');
+            return;
+        }
+
+        const trimmedCapacity = capacity.trim();
+        if (trimmedCapacity && !/^[1-9]\d*$/.test(trimmedCapacity)) {
+            Alert.alert(
+                'Invalid Capacity',
+                'Capacity must be a whole number above zero.'
+            );
+            return;
+        }
+
+        const start =
+            Math.ceil((Date.now() + startHours * 3600000) / QUARTER_HOUR) *
+            QUARTER_HOUR;
+
+        onCreate({
+            title: trimmedTitle,
+            startsAt: new Date(start).toISOString(),
+            endsAt: new Date(start + durationHours * 3600000).toISOString(),
+            location:
+                pinLocation && location
+                    ? {
+                          latitude: location.latitude,
+                          longitude: location.longitude,
+                          label: placeLabel.trim() || null,
+                      }
+                    : null,
+            capacity: trimmedCapacity ? Number(trimmedCapacity) : null,
+        });
+        reset();
+    };
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            avoidKeyboard={true}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Create an Event</Text>
+
+                <TextInput
+                    value={title}
+                    onChangeText={setTitle}
+                    placeholder='What is happening?'
+                    placeholderTextColor={theme.placeholder}
+                    style={styles.input}
+                />
+
+                <Text style={styles.label}>Starts</Text>
+                <ChoiceRow
+                    choices={START_CHOICES}
+                    selected={startHours}
+                    onSelect={setStartHours}
+                    styles={styles}
+                />
+
+                <Text style={styles.label}>Lasts</Text>
+                <ChoiceRow
+                    choices={DURATION_CHOICES}
+                    selected={durationHours}
+                    onSelect={setDurationHours}
+                    styles={styles}
+                />
+
+                <View style={styles.switchRow}>
+                    <Text style={styles.label}>
+                        {location
+                            ? 'Pin my current location'
+                            : 'Location unavailable'}
+                    </Text>
+                    <Switch
+                        testID='event-location-switch'
+                        value={pinLocation && !!location}
+                        onValueChange={setPinLocation}
+                        disabled={!location}
+                    />
+                </View>
+
+                {pinLocation && location && (
+                    <TextInput
+                        value={placeLabel}
+                        onChangeText={setPlaceLabel}
+                        placeholder='Place name (optional)'
+                        placeholderTextColor={theme.placeholder}
+                        style={styles.input}
+                    />
+                )}
+
+                <TextInput
+                    value={capacity}
+                    onChangeText={setCapacity}
+                    placeholder='Capacity (optional)'
+                    placeholderTextColor={theme.placeholder}
+                    keyboardType='number-pad'
+                    style={styles.input}
+                />
+
+                <TouchableOpacity
+                    style={styles.createButton}
+                    onPress={handleSubmit}
+                >
+                    <Text style={styles.createText}>Post Event</Text>
+                </TouchableOpacity>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 18,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+            textAlign: 'center',
+        },
+        input: {
+            backgroundColor: theme.input,
+            color: theme.inputText,
+            fontFamily: 'Poppins',
+            borderRadius: 10,
+            padding: 12,
+            marginBottom: 12,
+        },
+        label: {
+            fontSize: 14,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 8,
+        },
+        switchRow: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: 12,
+        },
+        choiceRow: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            marginBottom: 16,
+        },
+        choiceButton: {
+            flex: 1,
+            paddingVertical: 10,
+            marginHorizontal: 4,
+            borderRadius: 8,
+            borderWidth: 1,
+            borderColor: theme.border,
+            alignItems: 'center',
+            backgroundColor: theme.input,
+        },
+        choiceButtonSelected: {
+            backgroundColor: theme.buttonPrimaryBackground,
+            borderColor: theme.buttonPrimaryBackground,
+        },
+        choiceText: {
+            color: theme.text,
+            fontFamily: 'Poppins',
+            fontSize: 13,
+        },
+        choiceTextSelected: {
+            color: theme.buttonPrimaryText || '#ffffff',
+            fontFamily: 'PoppinsBold',
+        },
+        createButton: {
+            backgroundColor: theme.link,
+            paddingVertical: 12,
+            borderRadius: 10,
+            alignItems: 'center',
+        },
+        createText: {
+            color: '#fff',
+            fontFamily: 'PoppinsBold',
+            fontSize: 15,
+        },
+    });
+
+export default EventComposerModal;
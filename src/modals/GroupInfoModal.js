@@ -10,14 +10,23 @@ import {
     Dimensions,
     Platform,
     Pressable,
+    Alert,
 } from 'react-native';
 import Modal from 'react-native-modal';
 import { Feather } from '@expo/vector-icons';
 import { useSelector, useDispatch } from 'react-redux';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useNavigation } from '@react-navigation/native';
-import { removeUserFromGroup } from '../store/actions/chatActions';
+import {
+    removeUserFromGroup,
+    updateGroupSettings,
+    updateGroupMember,
+    banGroupMember,
+} from '../store/actions/chatActions';
 import ConfirmationModal from '../components/ConfirmationModal';
+import MemberActions from '../components/Chat/MemberActions';
+import GroupSettingsModal from './GroupSettingsModal';
+import { isGroupAdmin, canManageMember, mutedUntil } from '../utils/groupRoles';
 
 const GroupInfoModal = ({ visible, onClose, chat, theme }) => {
     const insets = useSafeAreaInsets();
@@ -28,10 +37,15 @@ const GroupInfoModal = ({ visible, onClose, chat, theme }) => {
     const [showConfirm, setShowConfirm] = React.useState(false);
     const [selectedUser, setSelectedUser] = React.useState(null);
     const [deferConfirm, setDeferConfirm] = React.useState(false); // open confirm AFTER modal is closed
+    const [pendingAction, setPendingAction] = React.useState('remove'); // 'remove' | 'ban'
+    const [managingId, setManagingId] = React.useState(null);
+    const [showSettings, setShowSettings] = React.useState(false);
+    const [deferSettings, setDeferSettings] = React.useState(false);
 
     if (!chat) return null;
 
     const isGroup = !!chat.is_group;
+    const chatId = chat.chat_id ?? chat.id;
     const creatorId = chat.created_by || null;
     const styles = createStyles(theme, insets);
 
@@ -46,10 +60,11 @@ const GroupInfoModal = ({ visible, onClose, chat, theme }) => {
         location: m.location || m.city || m.country || m.postal_code || null,
         avatar: m.avatar,
         role: m.role || 'member',
+        muted_until: m.muted_until || null,
     }));
 
-    const isOwner =
-        participants.find((m) => m.id === currentUserId)?.role === 'owner';
+    // Owner and admins can edit the group and add people
+    const canAdminister = isGroupAdmin(chat, currentUserId);
 
     const sortedParticipants = [...participants].sort((a, b) =>
         (a.name || '').localeCompare(b.name || '')
@@ -108,41 +123,80 @@ const GroupInfoModal = ({ visible, onClose, chat, theme }) => {
         );
     };
 
+    const askToConfirm = (user, action) => {
+        setSelectedUser(user);
+        setPendingAction(action);
+        setDeferConfirm(true);
+        onClose?.();
+    };
+
+    const updateMember = (userId, changes) =>
+        dispatch(updateGroupMember({ chatId, userId, ...changes }))
+            .unwrap()
+            .catch((err) =>
+                Alert.alert('Error', err || 'Failed to update member.')
+            );
+
     const renderUser = ({ item }) => {
         const isSelf = item.id === currentUserId;
         const isCreator = item.id === creatorId;
         const isAdmin = item.role === 'admin';
+        const isMuted = !!mutedUntil(chat, item.id);
+        const canManage =
+            isGroup && canManageMember(chat, currentUserId, item.id);
+        const isManaging = canManage && managingId === item.id;
 
         return (
-            <View style={styles.memberItem}>
-                {renderAvatar(item, 40)}
-                <View style={{ flex: 1, marginLeft: 12 }}>
-                    <View style={styles.nameRow}>
-                        <Text style={styles.memberName}>
-                            {item.name || item.email || 'Unnamed'}
-                        </Text>
-                        {isSelf && <Text style={styles.badge}>You</Text>}
-                        {isCreator && <Text style={styles.badge}>Creator</Text>}
-                        {isAdmin && <Text style={styles.badge}>👑 Admin</Text>}
+            <View>
+                <View style={styles.memberItem}>
+                    {renderAvatar(item, 40)}
+                    <View style={{ flex: 1, marginLeft: 12 }}>
+                        <View style={styles.nameRow}>
+                            <Text style={styles.memberName}>
+                                {item.name || item.email || 'Unnamed'}
+                            </Text>
+                            {isSelf && <Text style={styles.badge}>You</Text>}
+                            {isCreator && (
+                                <Text style={styles.badge}>Creator</Text>
+                            )}
+                            {isAdmin && (
+                                <Text style={styles.badge}>👑 Admin</Text>
+                            )}
+                            {isMuted && (
+                                <Text style={styles.badge}>🔇 Muted</Text>
+                            )}
+                        </View>
+                        {item.email ? (
+                            <Text style={styles.memberEmail}>{item.email}</Text>
+                        ) : null}
                     </View>
-                    {item.email ? (
-                        <Text style={styles.memberEmail}>{item.email}</Text>
-                    ) : null}
-                </View>
 
-                {/* Owner can remove non-admins, not self */}
-                {isGroup && !isSelf && !isAdmin && isOwner && (
-                    <Pressable
-                        style={styles.removeButton}
-                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
-                        onPress={() => {
-                            setSelectedUser(item);
-                            setDeferConfirm(true);
-                            onClose?.();
-                        }}
-                    >
-                        <Text style={styles.removeText}>Remove</Text>
-                    </Pressable>
+                    {/* Admins manage members they outrank, never themselves */}
+                    {canManage && (
+                        <Pressable
+                            style={styles.manageButton}
+                            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                            onPress={() =>
+                                setManagingId(isManaging ? null : item.id)
+                            }
+                        >
+                            <Text style={styles.manageText}>
+                                {isManaging ? 'Done' : 'Manage'}
+                            </Text>
+                        </Pressable>
+                    )}
+                </View>
+                {isManaging && (
+                    <MemberActions
+                        member={item}
+                        theme={theme}
+                        onSetRole={(role) => updateMember(item.id, { role })}
+                        onMute={(until) =>
+                            updateMember(item.id, { mutedUntil: until })
+                        }
+                        onRemove={() => askToConfirm(item, 'remove')}
+                        onBan={() => askToConfirm(item, 'ban')}
+                    />
                 )}
             </View>
         );
@@ -170,6 +224,10 @@ const GroupInfoModal = ({ visible, onClose, chat, theme }) => {
                         setDeferConfirm(false);
                         setShowConfirm(true);
                     }
+                    if (deferSettings) {
+                        setDeferSettings(false);
+                        setShowSettings(true);
+                    }
                 }}
                 style={styles.modal}
                 useNativeDriver
@@ -201,6 +259,38 @@ const GroupInfoModal = ({ visible, onClose, chat, theme }) => {
 
                     {isGroup ? (
                         <>
+                            <View style={styles.groupHeader}>
+                                {renderAvatar(
+                                    { name: chat.name, avatar: chat.avatar },
+                                    56
+                                )}
+                                <Text style={styles.profileName}>
+                                    {chat.name}
+                                </Text>
+                                {chat.description ? (
+                                    <Text style={styles.groupDescription}>
+                                        {chat.description}
+                                    </Text>
+                                ) : null}
+                                {chat.announcement_only ? (
+                                    <Text style={styles.profileRole}>
+                                        Only admins can send messages
+                                    </Text>
+                                ) : null}
+                                {canAdminister && (
+                                    <TouchableOpacity
+                                        onPress={() => {
+                                            setDeferSettings(true);
+                                            onClose?.();
+                                        }}
+                                    >
+                                        <Text style={styles.editGroupText}>
+                                            Edit group
+                                        </Text>
+                                    </TouchableOpacity>
+                                )}
+                            </View>
+
                             <Text style={styles.subheader}>
                                 {sortedParticipants.length} member
                                 {sortedParticipants.length !== 1 ? 's' : ''}
@@ -219,7 +309,7 @@ const GroupInfoModal = ({ visible, onClose, chat, theme }) => {
 
                             {/* Bottom bar (don't blanket the list) */}
                             <View pointerEvents='box-none'>
-                                {isGroup && isOwner && (
+                                {isGroup && canAdminister && (
                                     <TouchableOpacity
                                         style={styles.addButton}
                                         onPress={() => {
@@ -228,8 +318,7 @@ const GroupInfoModal = ({ visible, onClose, chat, theme }) => {
                                                 'AddPeopleScreen',
                                                 {
                                                     mode: 'addToGroup',
-                                                    chatId:
-                                                        chat.chat_id ?? chat.id,
+                                                    chatId,
                                                     existingMembers:
                                                         participants.map(
                                                             (p) => p.id
@@ -297,23 +386,51 @@ const GroupInfoModal = ({ visible, onClose, chat, theme }) => {
                 }}
                 onConfirm={async () => {
                     if (selectedUser) {
+                        const action =
+                            pendingAction === 'ban'
+                                ? banGroupMember
+                                : removeUserFromGroup;
                         await dispatch(
-                            removeUserFromGroup({
-                                chatId: chat.chat_id ?? chat.id,
-                                userId: selectedUser.id,
-                            })
+                            action({ chatId, userId: selectedUser.id })
                         );
                         setShowConfirm(false);
                         setSelectedUser(null);
+                        setManagingId(null);
                     }
                 }}
-                title={`Remove ${selectedUser?.name || 'this user'}?`}
-                description='They will no longer have access to this group chat.'
-                confirmLabel='Remove'
+                title={`${pendingAction === 'ban' ? 'Ban' : 'Remove'} ${
+                    selectedUser?.name || 'this user'
+                }?`}
+                description={
+                    pendingAction === 'ban'
+                        ? 'They will be removed and cannot be added back or rejoin.'
+                        : 'They will no longer have access to this group chat.'
+                }
+                confirmLabel={pendingAction === 'ban' ? 'Ban' : 'Remove'}
                 cancelLabel='Cancel'
                 theme={theme}
                 icon='person-remove-outline'
             />
+
+            <GroupSettingsModal
+                visible={showSettings}
+                onClose={() => setShowSettings(false)}
+                onSave={async (changes) => {
+                    setShowSettings(false);
+                    try {
+                        await dispatch(
+                            updateGroupSettings({ chatId, ...changes })
+                        ).unwrap();
+                    } catch (err) {
+                        Alert.alert(
+                            'Error',
+                            err || 'Failed to update group settings.'
+                        );
+                    }
+                }}
+                chat={chat}
+                theme={theme}
+            />
         </>
     );
 };
@@ -437,16 +554,34 @@ const createStyles = (theme, insets) => {
             fontSize: 15,
             fontFamily: 'PoppinsBold',
         },
-        removeButton: {
+        manageButton: {
             paddingHorizontal: 10,
             paddingVertical: 4,
             borderRadius: 6,
-            backgroundColor: 'rgba(255,0,0,0.1)',
+            borderWidth: 1,
+            borderColor: theme.link,
         },
-        removeText: {
+        manageText: {
             fontFamily: 'Poppins',
             fontSize: 12,
-            color: 'red',
+            color: theme.link,
+        },
+        groupHeader: {
+            alignItems: 'center',
+            marginBottom: 12,
+            gap: 4,
+        },
+        groupDescription: {
+            fontFamily: 'Poppins',
+            fontSize: 13,
+            color: theme.text,
+            textAlign: 'center',
+        },
+        editGroupText: {
+            fontFamily: 'Poppins',
+            fontSize: 14,
+            color: theme.link,
+            paddingVertical: 4,
         },
 
         /* === 1:1 user info styles === */
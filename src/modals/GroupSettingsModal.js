@@ -0,0 +1,273 @@
+/**
+ * GroupSettingsModal Component
+ *
+ * Bottom sheet where group admins edit the group's name, description and photo, and turn
+ * announcement-only mode on or off.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `onSave` (function): Called with only the changed fields out of
+ *   `{ name, description, avatar, announcementOnly }`.
+ * - `chat` (object | null): The group summary the form starts from.
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ *
+ * Notes:
+ * - A new photo is picked from the library and shrunk to `AVATAR_DIMENSION` before it is
+ *   handed to `onSave`; "Remove photo" sends `avatar: null`.
+ * - "Save" is disabled while the name is empty or nothing has changed.
+ * - The form is reset every time the modal opens.
+ */
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    TextInput,
+    Image,
+    Switch,
+    Alert,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+import {
+    AVATAR_DIMENSION,
+    pickChatImage,
+    prepareChatImage,
+} from '../utils/imageAttachments';
+
+const GroupSettingsModal = ({ visible, onClose, onSave, chat, theme }) => {
+    const [name, setName] = useState('');
+    const [description, setDescription] = useState('');
+    const [announcementOnly, setAnnouncementOnly] = useState(false);
+    // undefined: unchanged, null: removed, object: newly picked photo
+    const [avatar, setAvatar] = useState(undefined);
+    const styles = createStyles(theme);
+
+    useEffect(() => {
+        if (!visible) return;
+        setName(chat?.name || '');
+        setDescription(chat?.description || '');
+        setAnnouncementOnly(!!chat?.announcement_only);
+        setAvatar(undefined);
+    }, [visible, chat?.chat_id]);
+
+    const handlePickAvatar = async () => {
+        try {
+            const asset = await pickChatImage('library');
+            if (!asset) return;
+            setAvatar(
+                await prepareChatImage(asset, {
+                    maxDimension: AVATAR_DIMENSION,
+                })
+            );
+        } catch (err) {
+            Alert.alert('Photo access needed', err.message);
+        }
+    };
+
+    const changes = {};
+    const trimmedName = name.trim();
+    const trimmedDescription = description.trim();
+    if (trimmedName !== (chat?.name || '')) changes.name = trimmedName;
+    if (trimmedDescription !== (chat?.description || '')) {
+        changes.description = trimmedDescription;
+    }
+    if (avatar !== undefined) changes.avatar = avatar;
+    if (announcementOnly !== !!chat?.announcement_only) {
+        changes.announcementOnly = announcementOnly;
+    }
+    const canSave = !!trimmedName && Object.keys(changes).length > 0;
+
+    const previewUri = avatar === undefined ? chat?.avatar : avatar?.uri;
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            avoidKeyboard={true}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Edit Group</Text>
+
+                <View style={styles.avatarRow}>
+                    {previewUri ? (
+                        <Image
+                            testID='group-avatar-preview'
+                            source={{ uri: previewUri }}
+                            style={styles.avatar}
+                        />
+                    ) : (
+                        <View style={[styles.avatar, styles.avatarEmpty]}>
+                            <Feather
+                                name='users'
+                                size={24}
+                                color={theme.text}
+                            />
+                        </View>
+                    )}
+                    <View>
+                        <TouchableOpacity onPress={handlePickAvatar}>
+                            <Text style={styles.link}>Change photo</Text>
+                        </TouchableOpacity>
+                        {!!previewUri && (
+                            <TouchableOpacity onPress={() => setAvatar(null)}>
+                                <Text style={[styles.link, styles.danger]}>
+                                    Remove photo
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                </View>
+
+                <TextInput
+                    testID='group-name-input'
+                    value={name}
+                    onChangeText={setName}
+                    placeholder='Group name'
+                    placeholderTextColor={theme.placeholder}
+                    style={styles.input}
+                />
+                <TextInput
+                    testID='group-description-input'
+                    value={description}
+                    onChangeText={setDescription}
+                    placeholder='Description (optional)'
+                    placeholderTextColor={theme.placeholder}
+                    style={[styles.input, styles.description]}
+                    multiline
+                />
+
+                <View style={styles.switchRow}>
+                    <View style={styles.switchLabel}>
+                        <Text style={styles.label}>Only admins can send</Text>
+                        <Text style={styles.hint}>
+                            Members can still read and react.
+                        </Text>
+                    </View>
+                    <Switch
+                        testID='announcement-only-switch'
+                        value={announcementOnly}
+                        onValueChange={setAnnouncementOnly}
+                    />
+                </View>
+
+                <TouchableOpacity
+                    style={[styles.saveButton, !canSave && styles.disabled]}
+                    disabled={!canSave}
+                    accessibilityState={{ disabled: !canSave }}
+                    onPress={() => onSave(changes)}
+                >
+                    <Text style={styles.saveText}>Save</Text>
+                </TouchableOpacity>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 18,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+            textAlign: 'center',
+        },
+        avatarRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: 16,
+            marginBottom: 16,
+        },
+        avatar: {
+            width: 64,
+            height: 64,
+            borderRadius: 32,
+        },
+        avatarEmpty: {
+            backgroundColor: theme.input,
+            alignItems: 'center',
+            justifyContent: 'center',
+        },
+        link: {
+            color: theme.link,
+            fontFamily: 'Poppins',
+            fontSize: 14,
+            paddingVertical: 4,
+        },
+        danger: {
+            color: 'red',
+        },
+        input: {
+            backgroundColor: theme.input,
+            color: theme.inputText,
+            fontFamily: 'Poppins',
+            borderRadius: 10,
+            padding: 12,
+            marginBottom: 12,
+        },
+        description: {
+            maxHeight: 120,
+        },
+        switchRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            marginBottom: 16,
+        },
+        switchLabel: {
+            flex: 1,
+            paddingRight: 12,
+        },
+        label: {
+            fontFamily: 'Poppins',
+            fontSize: 14,
+            color: theme.text,
+        },
+        hint: {
+            fontFamily: 'Poppins',
+            fontSize: 12,
+            color: theme.text,
+            opacity: 0.6,
+        },
+        saveButton: {
+            backgroundColor: theme.link,
+            paddingVertical: 12,
+            borderRadius: 10,
+            alignItems: 'center',
+        },
+        disabled: {
+            opacity: 0.5,
+        },
+        saveText: {
+            color: '#fff',
+            fontFamily: 'PoppinsBold',
+            fontSize: 15,
+        },
+    });
+
+export default GroupSettingsModal;
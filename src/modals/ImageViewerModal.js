@@ -0,0 +1,107 @@
+/**
+ * ImageViewerModal Component
+ *
+ * Full-screen viewer for a chat photo, with a link to the shared location when the sender
+ * included one.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `image` (object | null): The message's `{ url, width, height, location }`.
+ */
+import React from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    Image,
+    Linking,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+
+const ImageViewerModal = ({ visible, onClose, image }) => {
+    const location = image?.location;
+
+    const openMap = () =>
+        Linking.openURL(
+            `https://maps.google.com/?q=${location.latitude},${location.longitude}`
+        );
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            onBackButtonPress={onClose}
+            style={styles.modal}
+        >
+            <View style={styles.container}>
+                <TouchableOpacity
+                    accessibilityLabel='Close photo'
+                    style={styles.closeButton}
+                    onPress={onClose}
+                >
+                    <Feather name='x' size={26} color='#fff' />
+                </TouchableOpacity>
+
+                {image?.url && (
+                    <Image
+                        testID='image-viewer-photo'
+                        source={{ uri: image.url }}
+                        style={styles.image}
+                        resizeMode='contain'
+                    />
+                )}
+
+                {location && (
+                    <TouchableOpacity
+                        style={styles.locationButton}
+                        onPress={openMap}
+                    >
+                        <Feather name='map-pin' size={16} color='#fff' />
+                        <Text style={styles.locationText}>
+                            View photo location
+                        </Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    modal: {
+        margin: 0,
+    },
+    container: {
+        flex: 1,
+        backgroundColor: '#000',
+        justifyContent: 'center',
+    },
+    closeButton: {
+        position: 'absolute',
+        top: 48,
+        right: 20,
+        zIndex: 1,
+    },
+    image: {
+        width: '100%',
+        height: '80%',
+    },
+    locationButton: {
+        position: 'absolute',
+        bottom: 40,
+        alignSelf: 'center',
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    locationText: {
+        color: '#fff',
+        fontFamily: 'Poppins',
+        fontSize: 14,
+    },
+});
+
+export default ImageViewerModal;
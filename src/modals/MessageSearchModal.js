@@ -0,0 +1,166 @@
+/**
+ * MessageSearchModal Component
+ *
+ * Bottom sheet for searching one chat's history. Hits are listed with the matching words
+ * highlighted; picking one closes the sheet so the chat can scroll to the message.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `onSelect` (function): Called with the picked result (`{ chat_id, chat_name, message }`).
+ * - `chatId` (string | number): The chat to search.
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ *
+ * Notes:
+ * - Searches with `searchMessages({ query, chatId })` once the query is `MIN_SEARCH_LENGTH`
+ *   long; a new query or closing the sheet aborts the pending search. Offline, the messages on
+ *   the device are searched instead.
+ * - The query and results are cleared every time the modal opens.
+ */
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    ScrollView,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+import { useDispatch } from 'react-redux';
+import SearchBar from '../components/SearchBar';
+import MessageSearchResults from '../components/Chat/MessageSearchResults';
+import { searchMessages } from '../store/actions/chatActions';
+import { MIN_SEARCH_LENGTH, normalizeQuery } from '../utils/messageSearch';
+
+const MessageSearchModal = ({ visible, onClose, onSelect, chatId, theme }) => {
+    const dispatch = useDispatch();
+    const [query, setQuery] = useState('');
+    const [search, setSearch] = useState(null); // { results, source } or { error }
+    const [loading, setLoading] = useState(false);
+    const styles = createStyles(theme);
+
+    useEffect(() => {
+        if (!visible) return;
+        setQuery('');
+        setSearch(null);
+    }, [visible]);
+
+    useEffect(() => {
+        if (!visible || normalizeQuery(query).length < MIN_SEARCH_LENGTH) {
+            setSearch(null);
+            setLoading(false);
+            return;
+        }
+
+        let active = true;
+        setLoading(true);
+        const request = dispatch(searchMessages({ query, chatId }));
+        request
+            .unwrap()
+            .then(({ results, source }) => {
+                if (active) setSearch({ results, source });
+            })
+            .catch((err) => {
+                if (active) setSearch({ error: err || 'Search failed' });
+            })
+            .finally(() => {
+                if (active) setLoading(false);
+            });
+        return () => {
+            active = false;
+            request.abort?.();
+        };
+    }, [visible, query, chatId, dispatch]);
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            avoidKeyboard={true}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Search in Chat</Text>
+
+                {visible && (
+                    <SearchBar
+                        query=''
+                        onChange={setQuery}
+                        theme={theme}
+                        placeholder='Search messages...'
+                    />
+                )}
+
+                <ScrollView keyboardShouldPersistTaps='handled'>
+                    {search?.error ? (
+                        <Text style={styles.error}>{search.error}</Text>
+                    ) : search || loading ? (
+                        <MessageSearchResults
+                            results={search?.results}
+                            source={search?.source}
+                            loading={loading}
+                            query={query}
+                            theme={theme}
+                            onSelect={onSelect}
+                        />
+                    ) : (
+                        <Text style={styles.hint}>
+                            Type at least {MIN_SEARCH_LENGTH} characters.
+                        </Text>
+                    )}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+            maxHeight: '80%',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 18,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+            textAlign: 'center',
+        },
+        hint: {
+            fontFamily: 'Poppins',
+            fontSize: 13,
+            color: theme.text,
+            opacity: 0.6,
+            textAlign: 'center',
+            marginVertical: 12,
+        },
+        error: {
+            fontFamily: 'Poppins',
+            fontSize: 13,
+            color: theme.error || 'red',
+            textAlign: 'center',
+            marginVertical: 12,
+        },
+    });
+
+export default MessageSearchModal;
@@ -0,0 +1,152 @@
+/**
+ * PhotoPreviewModal Component
+ *
+ * Bottom sheet shown after a photo is picked: a preview of the image and a choice to share the
+ * photo's location before it is sent.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `onSend` (function): Called with `{ includeLocation }`.
+ * - `asset` (object | null): The picked image (`{ uri, width, height, exif }`).
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ *
+ * Notes:
+ * - Location is off by default; the toggle is disabled when the photo has no GPS data.
+ * - The toggle is reset for every new photo.
+ */
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    Image,
+    Switch,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+import { locationFromExif } from '../utils/imageAttachments';
+
+const PhotoPreviewModal = ({ visible, onClose, onSend, asset, theme }) => {
+    const [includeLocation, setIncludeLocation] = useState(false);
+    const styles = createStyles(theme);
+    const hasLocation = !!locationFromExif(asset?.exif);
+
+    useEffect(() => {
+        setIncludeLocation(false);
+    }, [asset?.uri]);
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Share a Photo</Text>
+
+                {asset && (
+                    <Image
+                        testID='photo-preview'
+                        source={{ uri: asset.uri }}
+                        style={[
+                            styles.preview,
+                            asset.width && asset.height
+                                ? { aspectRatio: asset.width / asset.height }
+                                : null,
+                        ]}
+                        resizeMode='contain'
+                    />
+                )}
+
+                <View style={styles.switchRow}>
+                    <Text style={styles.label}>
+                        {hasLocation
+                            ? 'Include photo location'
+                            : 'No location in this photo'}
+                    </Text>
+                    <Switch
+                        testID='photo-location-switch'
+                        value={includeLocation && hasLocation}
+                        onValueChange={setIncludeLocation}
+                        disabled={!hasLocation}
+                    />
+                </View>
+
+                <TouchableOpacity
+                    style={styles.sendButton}
+                    onPress={() =>
+                        onSend({
+                            includeLocation: includeLocation && hasLocation,
+                        })
+                    }
+                >
+                    <Text style={styles.sendText}>Send Photo</Text>
+                </TouchableOpacity>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 18,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+            textAlign: 'center',
+        },
+        preview: {
+            width: '100%',
+            maxHeight: 320,
+            borderRadius: 10,
+            marginBottom: 16,
+        },
+        switchRow: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: 12,
+        },
+        label: {
+            fontSize: 14,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+        },
+        sendButton: {
+            backgroundColor: theme.link,
+            paddingVertical: 12,
+            borderRadius: 10,
+            alignItems: 'center',
+        },
+        sendText: {
+            color: '#fff',
+            fontFamily: 'PoppinsBold',
+            fontSize: 15,
+        },
+    });
+
+export default PhotoPreviewModal;
@@ -0,0 +1,291 @@
+/**
+ * PollComposerModal Component
+ *
+ * Bottom sheet for composing a chat poll: a question, 2–10 options, single or multiple choice
+ * and an optional closing time.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `onCreate` (function): Called with `{ question, options, allowsMultiple, closesAt }`; `options`
+ *   are trimmed, non-empty strings and `closesAt` is an ISO string or `null` (no limit).
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ *
+ * Notes:
+ * - Blank option rows are dropped; fewer than two different options shows an alert instead
+ *   of calling `onCreate`.
+ * - Inputs are reset after a poll is created.
+ */
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    TextInput,
+    Switch,
+    Alert,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+
+export const MAX_POLL_OPTIONS = 10;
+
+export const CLOSING_CHOICES = [
+    { label: 'No limit', hours: null },
+    { label: '1 hour', hours: 1 },
+    { label: '1 day', hours: 24 },
+    { label: '1 week', hours: 24 * 7 },
+];
+
+const PollComposerModal = ({ visible, onClose, onCreate, theme }) => {
+    const [question, setQuestion] = useState('');
+    const [options, setOptions] = useState(['', '']);
+    const [allowsMultiple, setAllowsMultiple] = useState(false);
+    const [closingHours, setClosingHours] = useState(null);
+
+    const styles = createStyles(theme);
+
+    const updateOption = (index, text) =>
+        setOptions((prev) => prev.map((o, i) => (i === index ? text : o)));
+
+    const removeOption = (index) =>
+        setOptions((prev) => prev.filter((_, i) => i !== index));
+
+    const reset = () => {
+        setQuestion('');
+        setOptions(['', '']);
+        setAllowsMultiple(false);
+        setClosingHours(null);
+    };
+
+    const handleSubmit = () => {
+        const trimmedQuestion = question.trim();
+        if (!trimmedQuestion) {
+            Alert.alert('Missing Question', 'Please enter a question.');
+            return;
+        }
+
+        const filled = options.map((o) => o.trim()).filter(Boolean);
+        if (filled.length < 2 || new Set(filled).size !== filled.length) {
+            Alert.alert(
+                'More Options Needed',
+                'Add at least two different options.'
+            );
+            return;
+        }
+
+        onCreate({
+            question: trimmedQuestion,
+            options: filled,
+            allowsMultiple,
+            closesAt: closingHours
+                ? new Date(Date.now() + closingHours * 3600000).toISOString()
+                : null,
+        });
+        reset();
+    };
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            avoidKeyboard={true}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Create a Poll</Text>
+
+                <TextInput
+                    value={question}
+                    onChangeText={setQuestion}
+                    placeholder='Ask a question'
+                    placeholderTextColor={theme.placeholder}
+                    style={styles.input}
+                />
+
+                {options.map((option, index) => (
+                    <View key={index} style={styles.optionRow}>
+                        <TextInput
+                            value={option}
+                            onChangeText={(text) => updateOption(index, text)}
+                            placeholder={`Option ${index + 1}`}
+                            placeholderTextColor={theme.placeholder}
+                            style={[styles.input, styles.optionInput]}
+                        />
+                        {options.length > 2 && (
+                            <TouchableOpacity
+                                accessibilityLabel={`Remove option ${
+                                    index + 1
+                                }`}
+                                onPress={() => removeOption(index)}
+                            >
+                                <Feather
+                                    name='minus-circle'
+                                    size={20}
+                                    color={theme.text}
+                                />
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                ))}
+
+                {options.length < MAX_POLL_OPTIONS && (
+                    <TouchableOpacity
+                        onPress={() => setOptions((prev) => [...prev, ''])}
+                    >
+                        <Text style={styles.addText}>+ Add option</Text>
+                    </TouchableOpacity>
+                )}
+
+                <View style={styles.switchRow}>
+                    <Text style={styles.label}>Allow multiple answers</Text>
+                    <Switch
+                        testID='poll-multiple-switch'
+                        value={allowsMultiple}
+                        onValueChange={setAllowsMultiple}
+                    />
+                </View>
+
+                <Text style={styles.label}>Closes</Text>
+                <View style={styles.closingRow}>
+                    {CLOSING_CHOICES.map(({ label, hours }) => (
+                        <TouchableOpacity
+                            key={label}
+                            style={[
+                                styles.closingButton,
+                                closingHours === hours &&
+                                    styles.closingButtonSelected,
+                            ]}
+                            onPress={() => setClosingHours(hours)}
+                        >
+                            <Text
+                                style={[
+                                    styles.closingText,
+                                    closingHours === hours &&
+                                        styles.closingTextSelected,
+                                ]}
+                            >
+                                {label}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                <TouchableOpacity
+                    style={styles.createButton}
+                    onPress={handleSubmit}
+                >
+                    <Text style={styles.createText}>Post Poll</Text>
+                </TouchableOpacity>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 18,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+            textAlign: 'center',
+        },
+        input: {
+            backgroundColor: theme.input,
+            color: theme.inputText,
+            fontFamily: 'Poppins',
+            borderRadius: 10,
+            padding: 12,
+            marginBottom: 12,
+        },
+        optionRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: 8,
+        },
+        optionInput: {
+            flex: 1,
+        },
+        addText: {
+            color: theme.link,
+            fontFamily: 'PoppinsBold',
+            fontSize: 14,
+            marginBottom: 12,
+        },
+        switchRow: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: 12,
+        },
+        label: {
+            fontSize: 14,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 8,
+        },
+        closingRow: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            marginBottom: 20,
+        },
+        closingButton: {
+            flex: 1,
+            paddingVertical: 10,
+            marginHorizontal: 4,
+            borderRadius: 8,
+            borderWidth: 1,
+            borderColor: theme.border,
+            alignItems: 'center',
+            backgroundColor: theme.input,
+        },
+        closingButtonSelected: {
+            backgroundColor: theme.buttonPrimaryBackground,
+            borderColor: theme.buttonPrimaryBackground,
+        },
+        closingText: {
+            color: theme.text,
+            fontFamily: 'Poppins',
+            fontSize: 13,
+        },
+        closingTextSelected: {
+            color: theme.buttonPrimaryText || '#ffffff',
+            fontFamily: 'PoppinsBold',
+        },
+        createButton: {
+            backgroundColor: theme.link,
+            paddingVertical: 12,
+            borderRadius: 10,
+            alignItems: 'center',
+        },
+        createText: {
+            color: '#fff',
+            fontFamily: 'PoppinsBold',
+            fontSize: 15,
+        },
+    });
+
+export default PollComposerModal;
@@ -0,0 +1,138 @@
+/**
+ * PollVotersModal Component
+ *
+ * Bottom sheet shown to a poll's creator listing who picked each option.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `poll` (object): The poll (`question`, `options: [{ id, text }]`).
+ * - `voters` (array | null): `[{ option_id, users: [{ id, name, email }] }]` from
+ *   `fetchPollVoters`; `null` while loading.
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ */
+import React from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    ScrollView,
+    ActivityIndicator,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+
+const PollVotersModal = ({ visible, onClose, poll, voters, theme }) => {
+    const styles = createStyles(theme);
+
+    if (!poll) return null;
+
+    const usersFor = (optionId) =>
+        voters?.find((v) => String(v.option_id) === String(optionId))?.users ||
+        [];
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>{poll.question}</Text>
+
+                {!voters ? (
+                    <ActivityIndicator
+                        testID='poll-voters-loading'
+                        color={theme.primary}
+                    />
+                ) : (
+                    <ScrollView>
+                        {poll.options.map((option) => {
+                            const users = usersFor(option.id);
+                            return (
+                                <View key={option.id} style={styles.section}>
+                                    <Text style={styles.optionText}>
+                                        {option.text} ({users.length})
+                                    </Text>
+                                    {users.length ? (
+                                        users.map((user) => (
+                                            <Text
+                                                key={user.id}
+                                                style={styles.voterText}
+                                            >
+                                                {user.name ||
+                                                    user.email ||
+                                                    'Unknown'}
+                                            </Text>
+                                        ))
+                                    ) : (
+                                        <Text style={styles.emptyText}>
+                                            No votes yet
+                                        </Text>
+                                    )}
+                                </View>
+                            );
+                        })}
+                    </ScrollView>
+                )}
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+            maxHeight: '70%',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 16,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+            marginRight: 24,
+        },
+        section: {
+            marginBottom: 14,
+        },
+        optionText: {
+            fontSize: 14,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 4,
+        },
+        voterText: {
+            fontSize: 14,
+            fontFamily: 'Poppins',
+            color: theme.text,
+            marginLeft: 8,
+        },
+        emptyText: {
+            fontSize: 13,
+            fontFamily: 'Poppins',
+            color: theme.mutedText || '#aaa',
+            marginLeft: 8,
+        },
+    });
+
+export default PollVotersModal;
@@ -0,0 +1,112 @@
+/**
+ * ReactionListModal Component
+ *
+ * Bottom sheet listing who reacted to a message, grouped by emoji.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `reactions` (array): The message's `[{ emoji, user: { id, name } }]`.
+ * - `currentUserId` (string | number): Shown as "You" in the list.
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ */
+import React from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    ScrollView,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+import { groupReactions } from '../components/Chat/ReactionBar';
+
+const ReactionListModal = ({
+    visible,
+    onClose,
+    reactions,
+    currentUserId,
+    theme,
+}) => {
+    const styles = createStyles(theme);
+    const groups = groupReactions(reactions, currentUserId);
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Reactions</Text>
+
+                <ScrollView>
+                    {groups.map(({ emoji, users }) => (
+                        <View key={emoji} style={styles.section}>
+                            <Text style={styles.emojiText}>
+                                {emoji} {users.length}
+                            </Text>
+                            {users.map((user) => (
+                                <Text key={user.id} style={styles.userText}>
+                                    {String(user.id) === String(currentUserId)
+                                        ? 'You'
+                                        : user.name || 'Unknown'}
+                                </Text>
+                            ))}
+                        </View>
+                    ))}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+            maxHeight: '70%',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 16,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+        },
+        section: {
+            marginBottom: 14,
+        },
+        emojiText: {
+            fontSize: 16,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 4,
+        },
+        userText: {
+            fontSize: 14,
+            fontFamily: 'Poppins',
+            color: theme.text,
+            marginLeft: 8,
+        },
+    });
+
+export default ReactionListModal;
@@ -0,0 +1,145 @@
+/**
+ * SeenByModal Component
+ *
+ * Bottom sheet listing who has read, received, or not yet received a group message, with
+ * the time of each read / delivery.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `receipts` (array): The message's `[{ user: { id, name }, delivered_at, read_at }]`.
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ *
+ * Notes:
+ * - Members are listed newest first within "Read by" and "Delivered to".
+ */
+import React from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    StyleSheet,
+    ScrollView,
+} from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+import formatTime from '../utils/utils';
+
+const newestFirst = (key) => (a, b) => new Date(b[key]) - new Date(a[key]);
+
+const SeenByModal = ({ visible, onClose, receipts = [], theme }) => {
+    const styles = createStyles(theme);
+    const sections = [
+        {
+            title: 'Read by',
+            rows: receipts
+                .filter((r) => r.read_at)
+                .sort(newestFirst('read_at')),
+            time: 'read_at',
+        },
+        {
+            title: 'Delivered to',
+            rows: receipts
+                .filter((r) => r.delivered_at && !r.read_at)
+                .sort(newestFirst('delivered_at')),
+            time: 'delivered_at',
+        },
+        {
+            title: 'Not delivered yet',
+            rows: receipts.filter((r) => !r.delivered_at),
+        },
+    ].filter((section) => section.rows.length);
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Seen by</Text>
+
+                <ScrollView>
+                    {sections.map(({ title, rows, time }) => (
+                        <View key={title} style={styles.section}>
+                            <Text style={styles.sectionTitle}>
+                                {title} {rows.length}
+                            </Text>
+                            {rows.map((receipt) => (
+                                <View key={receipt.user?.id} style={styles.row}>
+                                    <Text style={styles.userText}>
+                                        {receipt.user?.name || 'Unknown'}
+                                    </Text>
+                                    {time && (
+                                        <Text style={styles.timeText}>
+                                            {formatTime(receipt[time])}
+                                        </Text>
+                                    )}
+                                </View>
+                            ))}
+                        </View>
+                    ))}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+            maxHeight: '70%',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 16,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+        },
+        section: {
+            marginBottom: 14,
+        },
+        sectionTitle: {
+            fontSize: 14,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 4,
+        },
+        row: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            marginLeft: 8,
+            paddingVertical: 2,
+        },
+        userText: {
+            fontSize: 14,
+            fontFamily: 'Poppins',
+            color: theme.text,
+        },
+        timeText: {
+            fontSize: 12,
+            fontFamily: 'Poppins',
+            color: theme.mutedText || '#aaa',
+        },
+    });
+
+export default SeenByModal;
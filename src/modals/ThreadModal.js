@@ -1,4 +1,24 @@
-import React, { useState, useContext } from 'react';
+/**
+ * ThreadModal Component
+ *
+ * Full-screen thread for a chat message: the original message, its replies (oldest first) and
+ * a reply box. Replies are stored on the server with a `parent_message_id`.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Callback function to close the modal.
+ * - `message` (object): The parent message (`id`, `content`, `timestamp`).
+ * - `chatId` (string | number): The chat the message belongs to.
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ *
+ * Notes:
+ * - Opening the thread loads the newest page of replies (`fetchThreadReplies`); "Load earlier
+ *   replies" fetches the page before the oldest loaded reply. Closing aborts a pending load.
+ * - Replies are sent with `sendThreadReply`; the input is restored and an alert shown if the
+ *   send fails. Replies from others arrive over the socket (`chat:thread_reply`, handled by
+ *   `ChatRoomScreen`).
+ */
+import React, { useState, useEffect } from 'react';
 import {
     Modal,
     View,
@@ -7,21 +27,55 @@ import {
     TouchableOpacity,
     Text,
     StyleSheet,
+    ActivityIndicator,
+    Alert,
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
-import { ChatContext } from '../context/ChatContext';
+import { useSelector, useDispatch } from 'react-redux';
+import {
+    fetchThreadReplies,
+    sendThreadReply,
+} from '../store/actions/chatActions';
+import { selectThreadByMessageId } from '../store/selectors/chatSelectors';
 import formatTime from '../utils/utils';
 
 const ThreadModal = ({ visible, onClose, message, chatId, theme }) => {
-    const { addReply } = useContext(ChatContext);
+    const dispatch = useDispatch();
+    const senderId = useSelector((state) => state.auth.user?.id);
+    const { replies, hasMore, loading } = useSelector(
+        selectThreadByMessageId(message?.id)
+    );
     const [replyText, setReplyText] = useState('');
 
     const styles = createStyles(theme);
+    const messageId = message?.id;
+
+    useEffect(() => {
+        if (!visible || !messageId) return;
+        const request = dispatch(fetchThreadReplies({ chatId, messageId }));
+        return () => request?.abort?.();
+    }, [visible, chatId, messageId, dispatch]);
+
+    const handleLoadEarlier = () => {
+        if (loading || !replies.length) return;
+        dispatch(
+            fetchThreadReplies({ chatId, messageId, before: replies[0].id })
+        );
+    };
 
-    const handleReply = () => {
-        if (!replyText.trim()) return;
-        addReply(chatId, message.id, replyText);
+    const handleReply = async () => {
+        const content = replyText.trim();
+        if (!content) return;
         setReplyText('');
+
+        try {
+            await dispatch(
+                sendThreadReply({ chatId, messageId, senderId, content })
+            ).unwrap();
+        } catch (err) {
+            setReplyText(content);
+            Alert.alert('Reply not sent', err || 'Please try again.');
+        }
     };
 
     if (!message) return null;
@@ -31,7 +85,9 @@ const ThreadModal = ({ visible, onClose, message, chatId, theme }) => {
             <View style={styles.container}>
                 {/* Original Message */}
                 <View style={styles.originalMessage}>
-                    <Text style={styles.originalText}>{message.text}</Text>
+                    <Text style={styles.originalText}>
+                        {message.content ?? message.text}
+                    </Text>
                     <Text style={styles.timestamp}>
                         {formatTime(message.timestamp)}
                     </Text>
@@ -39,11 +95,35 @@ const ThreadModal = ({ visible, onClose, message, chatId, theme }) => {
 
                 {/* Replies */}
                 <FlatList
-                    data={message.replies}
-                    keyExtractor={(item) => item.id}
+                    data={replies}
+                    keyExtractor={(item) => String(item.id)}
+                    ListHeaderComponent={
+                        loading ? (
+                            <ActivityIndicator
+                                testID='thread-loading'
+                                color={theme.primary}
+                            />
+                        ) : hasMore ? (
+                            <TouchableOpacity onPress={handleLoadEarlier}>
+                                <Text style={styles.loadEarlier}>
+                                    Load earlier replies
+                                </Text>
+                            </TouchableOpacity>
+                        ) : null
+                    }
+                    ListEmptyComponent={
+                        loading ? null : (
+                            <Text style={styles.emptyText}>No replies yet</Text>
+                        )
+                    }
                     renderItem={({ item }) => (
                         <View style={styles.replyItem}>
-                            <Text style={styles.replyText}>{item.text}</Text>
+                            <Text style={styles.replySender}>
+                                {item.sender?.id === senderId
+                                    ? 'You'
+                                    : item.sender?.name || 'Unknown'}
+                            </Text>
+                            <Text style={styles.replyText}>{item.content}</Text>
                             <Text style={styles.timestamp}>
                                 {formatTime(item.timestamp)}
                             </Text>
@@ -114,10 +194,29 @@ const createStyles = (theme) =>
             marginBottom: 10,
             borderRadius: 10,
         },
+        replySender: {
+            fontFamily: 'PoppinsBold',
+            fontSize: 12,
+            color: theme.text,
+            marginBottom: 2,
+        },
         replyText: {
             fontFamily: 'Poppins',
             color: theme.text,
         },
+        loadEarlier: {
+            fontFamily: 'PoppinsBold',
+            fontSize: 13,
+            color: theme.link,
+            textAlign: 'center',
+            marginBottom: 10,
+        },
+        emptyText: {
+            fontFamily: 'Poppins',
+            fontSize: 13,
+            color: theme.mutedText,
+            textAlign: 'center',
+        },
         inputContainer: {
             flexDirection: 'row',
             alignItems: 'center',
@@ -0,0 +1,140 @@
+/**
+ * VoiceNotePreviewModal Component
+ *
+ * Bottom sheet shown after a voice note is recorded: the note can be played back (with scrubbing
+ * and speed) and then sent or discarded.
+ *
+ * Props:
+ * - `visible` (bool): Controls the visibility of the modal.
+ * - `onClose` (function): Discards the recording and closes the modal.
+ * - `onSend` (function): Sends the recording.
+ * - `note` (object | null): The prepared note (`{ uri, duration_ms, size, waveform }`).
+ * - `theme` (object): Contains theme colors used in styling the modal.
+ *
+ * Notes:
+ * - The player gets the local `uri` as its `url`, the same way the chat echo does.
+ */
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Modal from 'react-native-modal';
+import { Feather } from '@expo/vector-icons';
+import VoiceNotePlayer from '../components/Chat/VoiceNotePlayer';
+import { formatDuration } from '../utils/voiceNotes';
+
+const VoiceNotePreviewModal = ({ visible, onClose, onSend, note, theme }) => {
+    const styles = createStyles(theme);
+
+    return (
+        <Modal
+            isVisible={visible}
+            onBackdropPress={onClose}
+            style={styles.modal}
+        >
+            <View style={styles.modalContent}>
+                <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                    <Feather name='x' size={20} color={theme.text} />
+                </TouchableOpacity>
+
+                <Text style={styles.title}>Send Voice Note</Text>
+
+                {note && (
+                    <>
+                        <View style={styles.player}>
+                            <VoiceNotePlayer
+                                voice={{ ...note, url: note.uri }}
+                                theme={theme}
+                            />
+                        </View>
+                        <Text style={styles.details}>
+                            {formatDuration(note.duration_ms)} ·{' '}
+                            {Math.max(1, Math.round(note.size / 1024))} KB
+                        </Text>
+                    </>
+                )}
+
+                <View style={styles.buttonRow}>
+                    <TouchableOpacity
+                        style={[styles.button, styles.discardButton]}
+                        onPress={onClose}
+                    >
+                        <Text style={styles.discardText}>Discard</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.button, styles.sendButton]}
+                        onPress={onSend}
+                    >
+                        <Text style={styles.sendText}>Send</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const createStyles = (theme) =>
+    StyleSheet.create({
+        modal: {
+            justifyContent: 'flex-end',
+            margin: 0,
+        },
+        modalContent: {
+            backgroundColor: theme.surface,
+            padding: 20,
+            borderTopLeftRadius: 12,
+            borderTopRightRadius: 12,
+            position: 'relative',
+        },
+        closeButton: {
+            position: 'absolute',
+            top: 16,
+            right: 16,
+            zIndex: 1,
+        },
+        title: {
+            fontSize: 18,
+            fontFamily: 'PoppinsBold',
+            color: theme.text,
+            marginBottom: 16,
+            textAlign: 'center',
+        },
+        player: {
+            alignItems: 'center',
+            marginBottom: 8,
+        },
+        details: {
+            fontSize: 13,
+            fontFamily: 'Poppins',
+            color: theme.mutedText || '#aaa',
+            textAlign: 'center',
+            marginBottom: 16,
+        },
+        buttonRow: {
+            flexDirection: 'row',
+            gap: 12,
+        },
+        button: {
+            flex: 1,
+            paddingVertical: 12,
+            borderRadius: 10,
+            alignItems: 'center',
+        },
+        discardButton: {
+            borderWidth: 1,
+            borderColor: theme.link,
+        },
+        discardText: {
+            color: theme.link,
+            fontFamily: 'PoppinsBold',
+            fontSize: 15,
+        },
+        sendButton: {
+            backgroundColor: theme.link,
+        },
+        sendText: {
+            color: '#fff',
+            fontFamily: 'PoppinsBold',
+            fontSize: 15,
+        },
+    });
+
+export default VoiceNotePreviewModal;
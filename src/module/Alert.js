@@ -38,6 +38,8 @@
  *    - Fetch next page for the current category; append to existing list.
  * 4. On swipe action:
  *    - Dispatch `markAlertAsRead({ alertId, alertType, userId })`.
+ * 5. On unmount:
+ *    - Abort any in-flight alert fetches so their loading flags are cleared.
  *
  * Notes:
  * - Haversine distance is used for geofence checks (Earth radius: 6371km).
@@ -103,6 +105,21 @@ const Alert = ({ theme }) => {
 
     const swipeableRefs = useRef({});
     const currentlyOpenSwipeable = useRef(null);
+    const pendingRequests = useRef([]);
+
+    // Keep a handle on in-flight thunks so they can be aborted on unmount
+    const track = (request) => {
+        pendingRequests.current.push(request);
+        return request;
+    };
+
+    useEffect(
+        () => () => {
+            pendingRequests.current.forEach((request) => request?.abort?.());
+            pendingRequests.current = [];
+        },
+        []
+    );
 
     useEffect(() => {
         dispatch(fetchGlobalHazardAlerts());
@@ -121,13 +138,15 @@ const Alert = ({ theme }) => {
     }, [selectedCategory]);
 
     const fetchAlerts = async (pageNumber = 1) => {
-        if (user) await dispatch(fetchUserAlerts(user.id));
-        await dispatch(
-            fetchAlertsData({
-                category: selectedCategory,
-                page: pageNumber,
-                userId: user?.id,
-            })
+        if (user) await track(dispatch(fetchUserAlerts(user.id)));
+        await track(
+            dispatch(
+                fetchAlertsData({
+                    category: selectedCategory,
+                    page: pageNumber,
+                    userId: user?.id,
+                })
+            )
         );
         setPage(pageNumber);
     };
@@ -136,12 +155,14 @@ const Alert = ({ theme }) => {
         if (loading || !hasMore) return;
         const nextPage = page + 1;
         setPage(nextPage);
-        dispatch(
-            fetchAlertsData({
-                category: selectedCategory,
-                page: nextPage,
-                userId: user?.id,
-            })
+        track(
+            dispatch(
+                fetchAlertsData({
+                    category: selectedCategory,
+                    page: nextPage,
+                    userId: user?.id,
+                })
+            )
         );
     };
 
@@ -6,27 +6,40 @@
  *
  * Key functionalities:
  * - Tabs & Search:
- *   - Tabs: "All", "Groups", "Private".
+ *   - Tabs: "All", "Groups", "Private", "Mentions" and "Archived"; archived chats only show in the
+ *     last. "Mentions" lists the chats with unread messages that mention the user
+ *     (`unread_mention_count`), archived or not.
  *   - Local search by chat name (case-insensitive).
+ *   - Message search: once the query is `MIN_SEARCH_LENGTH` long, `searchMessages` looks through
+ *     the user's messages in every chat (the device cache when offline). Hits show above the
+ *     chats (`MessageSearchResults`); a new query aborts the previous search.
  *
  * - Pagination:
  *   - Client-side paging with PAGE_SIZE (20). "Load more" appends the next page
  *     after a short delay to mimic async behavior and avoid rapid state churn.
  *
  * - Swipe Actions:
- *   - Right-side action to delete a chat; opens a confirmation modal before dispatching
- *     `deleteChat(chatId)`.
+ *   - Notifications: opens an `ActionModal` to mute the chat for 1 hour, 8 hours or until
+ *     unmuted (or unmute it) and to pick its notification level (all, mentions only, none).
+ *   - Archive / Unarchive: moves the chat to or from the "Archived" tab.
+ *   - Delete: opens a confirmation modal before dispatching `deleteChat(chatId)`.
+ *   - Preference changes dispatch `updateChatPreferences`, which the offline outbox queues
+ *     when there is no connection.
  *   - Keeps only a single swipeable row open at a time.
  *
  * - Navigation:
  *   - Tapping a row navigates to `ChatRoom`, passing `{ chatId }`.
+ *   - Tapping a message hit passes `{ chatId, messageId }`, and the room scrolls to the message.
  *
  * - Unread Indicator:
- *   - Shows a small blue dot for chat IDs present in `unreadByChatId`.
+ *   - Shows a small blue dot for chat IDs present in `unreadByChatId`; muted chats and chats
+ *     that only notify for mentions (or not at all) get a grey dot instead (`showsUnreadBadge`).
+ *   - Muted chats show a bell-off icon by their time.
+ *   - Chats with unread mentions show an "@" badge with the count.
  *
  * Component flow:
  * 1. Filter:
- *    - Filter by tab selection (All/Groups/Private).
+ *    - Filter by tab selection (All/Groups/Private/Mentions/Archived).
  *    - Filter by `searchQuery` in `chat.name`.
  * 2. Paginate:
  *    - Slice the filtered array to `page * PAGE_SIZE`.
@@ -51,6 +64,7 @@ import {
     StyleSheet,
     Pressable,
     TouchableOpacity,
+    ScrollView,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
@@ -61,7 +75,28 @@ import SwipeableList from '../components/SwipeableList';
 import Tabs from '../components/Tabs';
 import SearchBar from '../components/SearchBar';
 import ConfirmationModal from '../components/ConfirmationModal';
-import { deleteChat } from '../store/actions/chatActions';
+import MessageSearchResults from '../components/Chat/MessageSearchResults';
+import ActionModal from '../modals/ActionModal';
+import {
+    deleteChat,
+    searchMessages,
+    updateChatPreferences,
+} from '../store/actions/chatActions';
+import { MIN_SEARCH_LENGTH, normalizeQuery } from '../utils/messageSearch';
+import {
+    MUTE_OPTIONS,
+    preferencesOf,
+    isChatMuted,
+    muteLabel,
+    muteUntil,
+    showsUnreadBadge,
+} from '../utils/chatPreferences';
+
+const NOTIFICATION_LEVEL_OPTIONS = [
+    { level: 'all', emoji: '🔔', label: 'All messages' },
+    { level: 'mentions', emoji: '@', label: 'Mentions only' },
+    { level: 'none', emoji: '🚫', label: 'No notifications' },
+];
 
 const ChatList = forwardRef(
     (
@@ -82,6 +117,9 @@ const ChatList = forwardRef(
         const [modalProps, setModalProps] = useState(null);
         const [page, setPage] = useState(1);
         const [loadingMore, setLoadingMore] = useState(false);
+        const [messageSearch, setMessageSearch] = useState(null); // { results, source }
+        const [searchingMessages, setSearchingMessages] = useState(false);
+        const [notificationChat, setNotificationChat] = useState(null);
 
         const PAGE_SIZE = 20;
         const swipeableRefs = useRef({});
@@ -93,10 +131,18 @@ const ChatList = forwardRef(
             { key: 'all', label: '💬 All' },
             { key: 'groups', label: '👥 Groups' },
             { key: 'private', label: '👤 Private' },
+            { key: 'mentions', label: '@ Mentions' },
+            { key: 'archived', label: '📦 Archived' },
         ];
 
         const filteredChats = useMemo(() => {
             const byType = chats.filter((chat) => {
+                const { archived } = preferencesOf(chat);
+                if (selectedTab === 'mentions') {
+                    return chat.unread_mention_count > 0;
+                }
+                if (selectedTab === 'archived') return archived;
+                if (archived) return false;
                 if (selectedTab === 'groups') return chat.is_group;
                 if (selectedTab === 'private') return !chat.is_group;
                 return true;
@@ -117,6 +163,33 @@ const ChatList = forwardRef(
             setPage(1);
         }, [searchQuery, selectedTab]);
 
+        useEffect(() => {
+            if (normalizeQuery(searchQuery).length < MIN_SEARCH_LENGTH) {
+                setMessageSearch(null);
+                setSearchingMessages(false);
+                return;
+            }
+
+            let active = true;
+            setSearchingMessages(true);
+            const request = dispatch(searchMessages({ query: searchQuery }));
+            request
+                .unwrap()
+                .then(({ results, source }) => {
+                    if (active) setMessageSearch({ results, source });
+                })
+                .catch(() => {
+                    if (active) setMessageSearch(null);
+                })
+                .finally(() => {
+                    if (active) setSearchingMessages(false);
+                });
+            return () => {
+                active = false;
+                request.abort?.();
+            };
+        }, [searchQuery, dispatch]);
+
         const handleSwipeStart = (index) => {
             if (
                 currentlyOpenSwipeable.current &&
@@ -145,6 +218,48 @@ const ChatList = forwardRef(
             });
         };
 
+        const setPreferences = (chat, changes) => {
+            currentlyOpenSwipeable.current?.close?.();
+            dispatch(updateChatPreferences({ chatId: chat.id, ...changes }));
+        };
+
+        const notificationOptions = (chat) => {
+            const preferences = preferencesOf(chat);
+            const muteOptions = isChatMuted(preferences)
+                ? [{ emoji: '🔔', label: 'Unmute', action: 'unmute' }]
+                : MUTE_OPTIONS.map(({ key, label }) => ({
+                      emoji: '🔕',
+                      label: `Mute: ${label}`,
+                      action: `mute:${key}`,
+                  }));
+            return [
+                ...muteOptions,
+                ...NOTIFICATION_LEVEL_OPTIONS.map(
+                    ({ level, emoji, label }) => ({
+                        emoji,
+                        label:
+                            preferences.notification_level === level
+                                ? `✓ ${label}`
+                                : label,
+                        action: `level:${level}`,
+                    })
+                ),
+            ];
+        };
+
+        const handleNotificationOption = (action) => {
+            const chat = notificationChat;
+            if (!chat) return;
+            const [kind, value] = action.split(':');
+            if (kind === 'unmute') setPreferences(chat, { mutedUntil: null });
+            if (kind === 'mute') {
+                setPreferences(chat, { mutedUntil: muteUntil(value) });
+            }
+            if (kind === 'level') {
+                setPreferences(chat, { notificationLevel: value });
+            }
+        };
+
         const handleLoadMore = () => {
             if (loadingMore || paginatedChats.length >= filteredChats.length)
                 return;
@@ -241,6 +356,28 @@ const ChatList = forwardRef(
                     theme={theme}
                 />
 
+                {(searchingMessages || messageSearch) && (
+                    <View style={styles.messageSearch}>
+                        <Text style={styles.sectionTitle}>Messages</Text>
+                        <ScrollView keyboardShouldPersistTaps='handled'>
+                            <MessageSearchResults
+                                results={messageSearch?.results}
+                                source={messageSearch?.source}
+                                loading={searchingMessages}
+                                query={searchQuery}
+                                theme={theme}
+                                showChatName
+                                onSelect={(result) =>
+                                    navigation.navigate('ChatRoom', {
+                                        chatId: result.chat_id,
+                                        messageId: result.message.id,
+                                    })
+                                }
+                            />
+                        </ScrollView>
+                    </View>
+                )}
+
                 <SwipeableList
                     ref={outerRef}
                     data={paginatedChats}
@@ -264,7 +401,55 @@ const ChatList = forwardRef(
                     renderRightActions={(chat) => (
                         <View style={styles.swipeActionsWrapper}>
                             <TouchableOpacity
-                                style={styles.swipeActionDelete}
+                                style={[
+                                    styles.swipeAction,
+                                    { backgroundColor: theme.link },
+                                ]}
+                                accessibilityLabel='Notification settings'
+                                onPress={() => setNotificationChat(chat)}
+                            >
+                                <Ionicons
+                                    name={
+                                        isChatMuted(preferencesOf(chat))
+                                            ? 'notifications-off-outline'
+                                            : 'notifications-outline'
+                                    }
+                                    size={24}
+                                    color='#fff'
+                                />
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[
+                                    styles.swipeAction,
+                                    { backgroundColor: 'gray' },
+                                ]}
+                                accessibilityLabel={
+                                    preferencesOf(chat).archived
+                                        ? 'Unarchive chat'
+                                        : 'Archive chat'
+                                }
+                                onPress={() =>
+                                    setPreferences(chat, {
+                                        archived: !preferencesOf(chat).archived,
+                                    })
+                                }
+                            >
+                                <Ionicons
+                                    name={
+                                        preferencesOf(chat).archived
+                                            ? 'arrow-undo-outline'
+                                            : 'archive-outline'
+                                    }
+                                    size={24}
+                                    color='#fff'
+                                />
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[
+                                    styles.swipeAction,
+                                    styles.swipeActionDelete,
+                                ]}
+                                accessibilityLabel='Delete chat'
                                 onPress={() => confirmDeleteChat(chat.id)}
                             >
                                 <Ionicons
@@ -278,6 +463,8 @@ const ChatList = forwardRef(
                     renderItemContainer={(chat, _text, onItemPress) => {
                         const chatId = chat.id;
                         const hasUnread = unreadByChatId[chatId];
+                        const preferences = preferencesOf(chat);
+                        const muted = muteLabel(preferences);
                         return (
                             <Pressable
                                 onPress={() => onItemPress(chat)}
@@ -324,6 +511,15 @@ const ChatList = forwardRef(
                                     </View>
 
                                     <View style={styles.metaRight}>
+                                        {muted && (
+                                            <Ionicons
+                                                name='notifications-off'
+                                                size={14}
+                                                color={theme.text}
+                                                style={{ opacity: 0.5 }}
+                                                accessibilityLabel={muted}
+                                            />
+                                        )}
                                         <Text
                                             style={[
                                                 styles.timeAgo,
@@ -338,8 +534,24 @@ const ChatList = forwardRef(
                                                     chat.created_at
                                             )}
                                         </Text>
+                                        {chat.unread_mention_count > 0 && (
+                                            <Text
+                                                testID={`mention-badge-${chatId}`}
+                                                style={styles.mentionBadge}
+                                            >
+                                                {`@${chat.unread_mention_count}`}
+                                            </Text>
+                                        )}
                                         {hasUnread && (
-                                            <View style={styles.unreadDot} />
+                                            <View
+                                                testID={`unread-dot-${chatId}`}
+                                                style={[
+                                                    styles.unreadDot,
+                                                    !showsUnreadBadge(
+                                                        preferences
+                                                    ) && styles.unreadDotQuiet,
+                                                ]}
+                                            />
                                         )}
                                     </View>
                                 </View>
@@ -348,6 +560,18 @@ const ChatList = forwardRef(
                     }}
                 />
 
+                <ActionModal
+                    visible={!!notificationChat}
+                    onClose={() => setNotificationChat(null)}
+                    onSelect={handleNotificationOption}
+                    theme={theme}
+                    options={
+                        notificationChat
+                            ? notificationOptions(notificationChat)
+                            : []
+                    }
+                />
+
                 {modalProps && (
                     <ConfirmationModal
                         {...modalProps}
@@ -363,6 +587,13 @@ const ChatList = forwardRef(
 const createStyles = (theme) =>
     StyleSheet.create({
         container: { flex: 1, backgroundColor: theme.background },
+        messageSearch: { maxHeight: '45%', marginBottom: 8 },
+        sectionTitle: {
+            fontFamily: 'PoppinsBold',
+            fontSize: 13,
+            color: theme.title,
+            marginBottom: 4,
+        },
         row: { flexDirection: 'row', alignItems: 'center' },
         chatItem: {
             flexDirection: 'row',
@@ -399,6 +630,19 @@ const createStyles = (theme) =>
             backgroundColor: 'dodgerblue',
             marginTop: 6,
         },
+        unreadDotQuiet: {
+            backgroundColor: 'gray',
+        },
+        mentionBadge: {
+            fontFamily: 'PoppinsBold',
+            fontSize: 11,
+            color: '#fff',
+            backgroundColor: 'dodgerblue',
+            borderRadius: 8,
+            overflow: 'hidden',
+            paddingHorizontal: 6,
+            marginTop: 4,
+        },
         swipeActionsWrapper: {
             height: '100%',
             justifyContent: 'center',
@@ -406,14 +650,17 @@ const createStyles = (theme) =>
             flexDirection: 'row',
             paddingRight: 4,
         },
-        swipeActionDelete: {
-            backgroundColor: 'red',
+        swipeAction: {
             justifyContent: 'center',
             alignItems: 'center',
             width: 70,
             height: '90%',
             borderRadius: 12,
             marginVertical: 4,
+            marginLeft: 6,
+        },
+        swipeActionDelete: {
+            backgroundColor: 'red',
         },
     });
 
@@ -8,11 +8,34 @@
  *
  * Key Responsibilities:
  * - **Bootstrap & Fetch**
- *   - Joins the chat room via socket (`joinChat`) and listens for:
- *     - `chat:new_message` → append to list, scroll to bottom.
+ *   - Joins the chat room via socket (`joinChat`; rejoined automatically after a
+ *     reconnect) and listens for:
+ *     - `chat:new_message` → append to list, scroll to bottom (thread replies are skipped). Delivery
+ *       is acknowledged app-wide by `store/middleware/deliveryReceiptMiddleware.js`, not here.
  *     - `chat:typing_start`/`chat:typing_stop` → update typing users strip.
- *   - Fetches messages (`fetchMessages(chatId)`) when empty.
- *   - Fetches chat meta (`fetchChatById(chatId)`).
+ *     - `chat:poll_updated` (`{ chat_id, message_id, poll }`) → merge live tallies via `updatePoll`.
+ *     - `chat:event_updated` (`{ chat_id, message_id, event }`) → merge RSVP counts via `updateEvent`.
+ *     - `chat:thread_reply` (`{ chat_id, parent_message_id, message, reply_count }`) → add the reply
+ *       to its thread and update the parent's reply count via `appendThreadReply`.
+ *     - `chat:reaction` (`{ chat_id, message_id, reactions }`) → replace the message's reactions
+ *       via `updateReactions`.
+ *     - `chat:receipt` (`{ chat_id, message_id, user, status, at }`) → a member received or read
+ *       everything up to `message_id`; stamped on the user's messages via `applyReceipt`.
+ *     - `chat:message_updated` (`{ chat_id, message }`) → swap in the edited text and history
+ *       via `updateMessage`.
+ *     - `chat:message_deleted` (`{ chat_id, message_id, deleted_at }`) → blank the message
+ *       everywhere it is shown via `markMessageDeleted`.
+ *     - `chat:group_updated` (`{ chat_id, chat }`) → an admin renamed the group, changed a
+ *       member's role or mute, or banned someone; the summary is replaced via `updateChat`.
+ *     - `chat:pins_updated` (`{ chat_id, pins }`) → someone pinned or unpinned a message; the
+ *       list is replaced via `setPinnedMessages`.
+ *   - Fetches the newest page of messages (`fetchMessages(chatId)`) on open; cached messages
+ *     show first and are reconciled with the page.
+ *   - Scrolling up to the oldest message loads the page before it (`fetchOlderMessages`) while
+ *     online and the history has more; a spinner shows at the top while it loads.
+ *   - Fetches chat meta (`fetchChatById(chatId)`) and pinned messages (`fetchPinnedMessages`).
+ *   - Aborts the fetches on unmount so a stalled server cannot leave the
+ *     spinner running.
  * - **Connectivity & Queueing**
  *   - Subscribes to NetInfo; when connection returns, flushes queued messages.
  *   - If offline, composer enqueues messages via `queuePendingMessage`.
@@ -21,13 +44,69 @@
  *     1.5s after the last keystroke (debounced).
  * - **Send**
  *   - Sends trimmed text message via `sendMessage`, with haptic feedback.
- * - **Read State**
- *   - When the list is scrolled to bottom, marks the most recent message as
- *     read via `markChatAsReadThunk(chatId, latestId)`.
- * - **Quick Actions & Quiz**
- *   - Long-press send opens `ActionModal`; picks prebuilt payloads (event/poll/
- *     location) or triggers a quiz prompt and posts a quiz message after
+ * - **Threads**
+ *   - A bubble's "Reply" action or reply count opens `ThreadModal` for that message; the modal
+ *     loads and sends replies itself.
+ * - **Reactions**
+ *   - Picking an emoji sets the user's reaction (`addReaction`, replacing any other);
+ *     picking the one they already used removes it (`removeReaction`). Failures are shown in
+ *     an alert.
+ * - **Read State & Receipts**
+ *   - When the list is scrolled to bottom, marks the newest server message as read via
+ *     `markChatAsReadThunk({ chatId, messageId })` (once per message); the server then sends
+ *     the other members a `read` receipt.
+ *   - The user's own bubbles show sent / delivered / read ticks; in group chats they open a
+ *     "Seen by" list (`MessageBubble` with `isGroup`).
+ * - **Edit & Delete**
+ *   - A bubble's "Edit" action opens `EditMessageModal`; the new text is saved with
+ *     `editMessage`. "Delete" asks for confirmation, then deletes the message for everyone
+ *     (`deleteMessage`). Both are online only; the time windows live in `utils/messageEdits`.
+ * - **Group Moderation**
+ *   - Admin tools live in `GroupInfoModal`. When the user is muted, or the group is
+ *     announcement-only and they are not an admin (`postingRestriction`), the composer is
+ *     replaced by a notice saying why.
+ * - **Pinned Messages**
+ *   - `PinnedBanner` sits under the header. Tapping a pin scrolls to the original message and
+ *     highlights it for `HIGHLIGHT_MS`; older pages are loaded (`fetchOlderMessages`) until the
+ *     message turns up or the history runs out.
+ *   - Users who may pin (`canPinMessages`: group admins, either member of a direct chat) get
+ *     "Pin" / "Unpin" on bubbles and an unpin button in the banner (`pinMessage` /
+ *     `unpinMessage`, online only).
+ * - **Search**
+ *   - The header's search button opens `MessageSearchModal` for this chat; picking a hit scrolls
+ *     to the message the same way as a pin.
+ *   - Opened with a `messageId` param (a hit from the chat list's message search), the room
+ *     scrolls to that message once the newest page has loaded.
+ * - **Mentions**
+ *   - In group chats, typing "@" followed by part of a name lists matching members above the
+ *     composer (`MentionSuggestions`); picking one inserts "@Name". Members still named in the
+ *     text when it is sent go with the message as `mentions` (`mentionsInText`), and
+ *     `MessageBubble` highlights them.
+ * - **Quick Actions, Quiz, Polls & Events**
+ *   - Long-press send opens `ActionModal`; picks prebuilt payloads (location)
+ *     or triggers a quiz prompt and posts a quiz message after
  *     `generateQuizAI`.
+ *   - "Poll" opens `PollComposerModal`; the poll is posted with `createPoll` (online only).
+ *   - Poll bubbles vote through `votePoll`; the creator can close the poll (`closePoll`, after
+ *     a confirmation) and see who voted (`fetchPollVoters` → `PollVotersModal`). Failures are
+ *     shown in an alert.
+ *   - "Event" (group chats only) opens `EventComposerModal` with the location fetched for the
+ *     action sheet; the event is posted with `createEvent` (online only).
+ *   - Event bubbles RSVP through `rsvpEvent`; "Add to my tasks" re-sends the RSVP with
+ *     `addToTasks`, and the server adds the event to the user's task list.
+ * - **Photos**
+ *   - "Photo" / "Camera" pick an image (`pickChatImage`) and open `PhotoPreviewModal`, where
+ *     the user can opt in to sharing the photo's location (off by default).
+ *   - The photo is shrunk and re-encoded without EXIF (`prepareChatImage`), then sent with
+ *     `sendImageMessage` (online) or queued with `queuePendingMessage` (offline) and sent when
+ *     the connection returns. Failed uploads are retried from the bubble with the same echo id.
+ * - **Voice notes**
+ *   - While the input is empty, holding the mic (`VoiceRecorder`) records a voice note; the input
+ *     is hidden while recording and sliding left cancels. Recording stops at the configured
+ *     length (`voiceNoteLimits`).
+ *   - The recording opens `VoiceNotePreviewModal` to be played back, then sent like a photo:
+ *     `sendVoiceMessage` online, `queuePendingMessage` offline, retried from the bubble.
+ *   - Permission, recording and limit errors are shown in an alert.
  *
  * Rendering:
  * - Shows "Chat not found." if chat is missing.
@@ -36,14 +115,21 @@
  *
  * Store Contracts:
  * - Reads `theme.themeColors`, `chat.activeChats`, `chat.loading`,
- *   selectors `selectMessagesByChatId(chatId)`, `selectTypingUsersByChatId(chatId)`.
- * - Dispatches: `fetchMessages`, `fetchChatById`, `sendMessage`,
+ *   selectors `selectMessagesByChatId(chatId)`, `selectMessageHistoryByChatId(chatId)`,
+ *   `selectTypingUsersByChatId(chatId)`, `selectPinnedMessagesByChatId(chatId)`.
+ * - Dispatches: `fetchMessages`, `fetchOlderMessages`, `fetchChatById`, `sendMessage`,
  *   `queuePendingMessage`, `flushQueuedMessages`, `markChatAsReadThunk`,
- *   reducer helpers `appendMessage`, `setTypingUser`, `removeTypingUser`.
+ *   `createPoll`, `votePoll`, `closePoll`, `fetchPollVoters`, `createEvent`, `rsvpEvent`,
+ *   `addReaction`, `removeReaction`, `sendImageMessage`, `sendVoiceMessage`, `editMessage`, `deleteMessage`,
+ *   `fetchPinnedMessages`, `pinMessage`, `unpinMessage`, reducer helpers `appendMessage`, `setTypingUser`, `removeTypingUser`, `updatePoll`,
+ *   `updateEvent`, `appendThreadReply`, `updateReactions`, `applyReceipt`, `updateMessage`,
+ *   `markMessageDeleted`, `updateChat`, `setPinnedMessages`.
  *
  * Notes:
  * - Effects may double-fire in React 18 Strict Mode; tests assert "was called"
  *   not exact counts.
+ * - Socket listeners are removed per handler (`offEvent(event, handler)`), so leaving the
+ *   room never drops listeners registered by other screens.
  *
  * Author: Sunidhi Abhange
  */
@@ -80,38 +166,87 @@ import * as Haptics from 'expo-haptics';
 import {
     selectTypingUsersByChatId,
     selectMessagesByChatId,
+    selectMessageHistoryByChatId,
+    selectPinnedMessagesByChatId,
 } from '../../store/selectors/chatSelectors';
 
 import MessageBubble from '../../components/Chat/MessageBubble';
 import TypingIndicator from '../../components/Chat/TypingIndicator';
+import PinnedBanner from '../../components/Chat/PinnedBanner';
+import MentionSuggestions from '../../components/Chat/MentionSuggestions';
+import VoiceRecorder from '../../components/Chat/VoiceRecorder';
 import ThreadModal from '../../modals/ThreadModal';
 import GroupInfoModal from '../../modals/GroupInfoModal';
 import ActionModal from '../../modals/ActionModal';
 import QuizPromptModal from '../../modals/QuizPromptModal';
+import PollComposerModal from '../../modals/PollComposerModal';
+import PollVotersModal from '../../modals/PollVotersModal';
+import EventComposerModal from '../../modals/EventComposerModal';
+import PhotoPreviewModal from '../../modals/PhotoPreviewModal';
+import VoiceNotePreviewModal from '../../modals/VoiceNotePreviewModal';
+import EditMessageModal from '../../modals/EditMessageModal';
+import MessageSearchModal from '../../modals/MessageSearchModal';
 
 import { generateQuizAI } from '../../store/actions/quizActions';
 import {
     sendMessage,
     fetchMessages,
+    fetchOlderMessages,
     markChatAsReadThunk,
     queuePendingMessage,
     flushQueuedMessages,
     fetchChatById,
+    createPoll,
+    votePoll,
+    closePoll,
+    fetchPollVoters,
+    createEvent,
+    rsvpEvent,
+    addReaction,
+    removeReaction,
+    sendImageMessage,
+    sendVoiceMessage,
+    editMessage,
+    deleteMessage,
+    fetchPinnedMessages,
+    pinMessage,
+    unpinMessage,
 } from '../../store/actions/chatActions';
 import {
     appendMessage,
     setTypingUser,
     removeTypingUser,
+    updatePoll,
+    updateEvent,
+    appendThreadReply,
+    updateReactions,
+    applyReceipt,
+    updateMessage,
+    markMessageDeleted,
+    updateChat,
+    setPinnedMessages,
 } from '../../store/reducers/chatReducer';
 import {
-    getSocket,
     onEvent,
     offEvent,
     joinChat,
     leaveChat,
     emitEvent,
 } from '../../utils/socket';
-import { getUserLocation } from '../../utils/utils';
+import formatTime, { getUserLocation } from '../../utils/utils';
+import { pickChatImage, prepareChatImage } from '../../utils/imageAttachments';
+import { isLocalMessage } from '../../utils/messageCache';
+import { postingRestriction, mutedUntil } from '../../utils/groupRoles';
+import { canPinMessages } from '../../utils/pinnedMessages';
+import {
+    activeMentionQuery,
+    mentionCandidates,
+    insertMention,
+    mentionsInText,
+} from '../../utils/mentions';
+
+// How long a message stays highlighted after jumping to it from the pinned banner
+const HIGHLIGHT_MS = 2000;
 
 const ChatRoomScreen = () => {
     const insets = useSafeAreaInsets();
@@ -120,7 +255,7 @@ const ChatRoomScreen = () => {
     const { themeColors } = useSelector((state) => state.theme);
     const { params } = useRoute();
     const navigation = useNavigation();
-    const { chatId } = params;
+    const { chatId, messageId: openAtMessageId } = params;
 
     const dispatch = useDispatch();
     const inputRef = useRef(null);
@@ -136,7 +271,23 @@ const ChatRoomScreen = () => {
     const [actionModalVisible, setActionModalVisible] = useState(false);
     const [quizPromptVisible, setQuizPromptVisible] = useState(false);
     const [pendingQuizModal, setPendingQuizModal] = useState(false);
+    const [pollComposerVisible, setPollComposerVisible] = useState(false);
+    const [pendingPollModal, setPendingPollModal] = useState(false);
+    const [pollVoters, setPollVoters] = useState(null); // { poll, voters }
+    const [eventComposerVisible, setEventComposerVisible] = useState(false);
+    const [pendingEventModal, setPendingEventModal] = useState(false);
     const [location, setLocation] = useState(null);
+    const [pendingPhotoSource, setPendingPhotoSource] = useState(null);
+    const [photoAsset, setPhotoAsset] = useState(null);
+    const [recordingVoice, setRecordingVoice] = useState(false);
+    const [voiceNote, setVoiceNote] = useState(null);
+    const [editingMessage, setEditingMessage] = useState(null);
+    const [, setMuteExpiredAt] = useState(null);
+    const [jumpTargetId, setJumpTargetId] = useState(null);
+    const [highlightedId, setHighlightedId] = useState(null);
+    const [searchVisible, setSearchVisible] = useState(false);
+    const [selection, setSelection] = useState(null);
+    const [pickedMentions, setPickedMentions] = useState([]);
 
     const chat = useSelector((state) =>
         state.chat.activeChats.find(
@@ -145,12 +296,14 @@ const ChatRoomScreen = () => {
     );
 
     const messages = useSelector(selectMessagesByChatId(chatId));
+    const history = useSelector(selectMessageHistoryByChatId(chatId));
     const lastReadMessageId = useSelector(
         (state) => state.chat.lastReadByChatId[chatId]
     );
     const senderId = useSelector((state) => state.auth.user?.id);
     const typingUsers = useSelector(selectTypingUsersByChatId(chatId));
     const loadingMessages = useSelector((state) => state.chat.loading);
+    const pins = useSelector(selectPinnedMessagesByChatId(chatId));
 
     const styles = useMemo(
         () => createStyles(themeColors, insets),
@@ -166,6 +319,7 @@ const ChatRoomScreen = () => {
                 subtitle: `${members.length} member${
                     members.length !== 1 ? 's' : ''
                 }`,
+                avatarUri: chat.avatar || null,
             };
         } else {
             const otherUser = chat.members?.find((u) => u.id !== senderId);
@@ -195,35 +349,45 @@ const ChatRoomScreen = () => {
     }, [chatId, dispatch]);
 
     useEffect(() => {
-        if (!messages.length) {
-            dispatch(fetchMessages(chatId));
+        const request = dispatch(fetchMessages(chatId));
+        let active = true;
+        // A search hit opens the room on its message once the newest page is in
+        if (openAtMessageId != null) {
+            Promise.resolve(request).then(() => {
+                if (active) setJumpTargetId(openAtMessageId);
+            });
         }
 
         inputRef.current?.focus();
         const showSub = Keyboard.addListener('keyboardDidShow', scrollToBottom);
-        return () => showSub.remove?.();
-    }, [chatId, dispatch]);
+        return () => {
+            active = false;
+            showSub.remove?.();
+            request?.abort?.();
+        };
+    }, [chatId, openAtMessageId, dispatch]);
 
     useEffect(() => {
-        if (chatId) {
-            dispatch(fetchChatById(chatId));
-        }
+        if (!chatId) return;
+        const request = dispatch(fetchChatById(chatId));
+        return () => request?.abort?.();
     }, [chatId, groupInfoVisible, dispatch]);
 
     useEffect(() => {
         if (!chatId) return;
+        const request = dispatch(fetchPinnedMessages(chatId));
+        return () => request?.abort?.();
+    }, [chatId, dispatch]);
 
-        const socket = getSocket();
-        const onConnect = () => joinChat(chatId);
+    useEffect(() => {
+        if (!chatId) return;
 
-        if (socket?.connected) {
-            joinChat(chatId);
-        } else {
-            socket?.on('connect', onConnect);
-        }
+        // Remembered by the socket manager and rejoined after reconnects
+        joinChat(chatId);
 
         const handleNewMessage = (newMessage) => {
             if (newMessage.chat_id !== chatId) return;
+            if (newMessage.parent_message_id) return;
             dispatch(appendMessage({ chatId, message: newMessage }));
             scrollToBottom();
         };
@@ -241,15 +405,98 @@ const ChatRoomScreen = () => {
             dispatch(removeTypingUser({ chatId, userId }));
         };
 
-        onEvent('chat:new_message', handleNewMessage);
-        onEvent('chat:typing_start', handleTypingStart);
-        onEvent('chat:typing_stop', handleTypingStop);
+        const handlePollUpdated = ({ chat_id, message_id, poll }) => {
+            if (chat_id !== chatId) return;
+            dispatch(updatePoll({ chatId, messageId: message_id, poll }));
+        };
+
+        const handleEventUpdated = ({ chat_id, message_id, event }) => {
+            if (chat_id !== chatId) return;
+            dispatch(updateEvent({ chatId, messageId: message_id, event }));
+        };
+
+        const handleThreadReply = ({
+            chat_id,
+            parent_message_id,
+            message,
+            reply_count,
+        }) => {
+            if (chat_id !== chatId) return;
+            dispatch(
+                appendThreadReply({
+                    chatId,
+                    messageId: parent_message_id,
+                    message,
+                    replyCount: reply_count,
+                })
+            );
+        };
+
+        const handleReaction = ({ chat_id, message_id, reactions }) => {
+            if (chat_id !== chatId) return;
+            dispatch(
+                updateReactions({ chatId, messageId: message_id, reactions })
+            );
+        };
+
+        const handleReceipt = ({ chat_id, message_id, user, status, at }) => {
+            if (chat_id !== chatId) return;
+            dispatch(
+                applyReceipt({
+                    chatId,
+                    messageId: message_id,
+                    user,
+                    status,
+                    at,
+                })
+            );
+        };
+
+        const handleMessageUpdated = ({ chat_id, message }) => {
+            if (chat_id !== chatId) return;
+            dispatch(updateMessage({ chatId, message }));
+        };
+
+        const handleMessageDeleted = ({ chat_id, message_id, deleted_at }) => {
+            if (chat_id !== chatId) return;
+            dispatch(
+                markMessageDeleted({
+                    chatId,
+                    messageId: message_id,
+                    deletedAt: deleted_at,
+                })
+            );
+        };
+
+        const handleGroupUpdated = ({ chat_id, chat: updated }) => {
+            if (chat_id !== chatId || !updated) return;
+            dispatch(updateChat(updated));
+        };
+
+        const handlePinsUpdated = ({ chat_id, pins: updated }) => {
+            if (chat_id !== chatId || !updated) return;
+            dispatch(setPinnedMessages({ chatId, pins: updated }));
+        };
+
+        // One table for subscribing and unsubscribing, so the two cannot drift apart
+        const listeners = [
+            ['chat:new_message', handleNewMessage],
+            ['chat:typing_start', handleTypingStart],
+            ['chat:typing_stop', handleTypingStop],
+            ['chat:poll_updated', handlePollUpdated],
+            ['chat:event_updated', handleEventUpdated],
+            ['chat:thread_reply', handleThreadReply],
+            ['chat:reaction', handleReaction],
+            ['chat:receipt', handleReceipt],
+            ['chat:message_updated', handleMessageUpdated],
+            ['chat:message_deleted', handleMessageDeleted],
+            ['chat:group_updated', handleGroupUpdated],
+            ['chat:pins_updated', handlePinsUpdated],
+        ];
+        listeners.forEach(([event, handler]) => onEvent(event, handler));
 
         return () => {
-            offEvent('chat:new_message');
-            offEvent('chat:typing_start');
-            offEvent('chat:typing_stop');
-            socket?.off?.('connect', onConnect);
+            listeners.forEach(([event, handler]) => offEvent(event, handler));
             leaveChat(chatId);
         };
     }, [chatId, senderId, chat, dispatch]);
@@ -288,6 +535,35 @@ const ChatRoomScreen = () => {
         }, 1500);
     };
 
+    // The "@name" being typed at the cursor, if any (group chats only)
+    const mentionQuery = useMemo(() => {
+        if (!chat?.is_group) return null;
+        return activeMentionQuery(
+            inputMessage,
+            selection?.end ?? inputMessage.length
+        );
+    }, [chat?.is_group, inputMessage, selection]);
+
+    const mentionSuggestions = useMemo(
+        () =>
+            mentionQuery
+                ? mentionCandidates(chat?.members, mentionQuery.query, senderId)
+                : [],
+        [mentionQuery, chat?.members, senderId]
+    );
+
+    const handlePickMention = (member) => {
+        const { text, cursor } = insertMention(
+            inputMessage,
+            mentionQuery,
+            member
+        );
+        setInputMessage(text);
+        setSelection({ start: cursor, end: cursor });
+        setPickedMentions((prev) => [...prev, member]);
+        inputRef.current?.focus?.();
+    };
+
     const handleSend = useCallback(() => {
         const trimmed = inputMessage.trim();
         if (!trimmed || !senderId) return;
@@ -296,19 +572,33 @@ const ChatRoomScreen = () => {
         emitEvent('chat:typing_stop', { chatId, userId: senderId });
         setIsTyping(false);
 
+        const mentions = mentionsInText(trimmed, pickedMentions);
         if (isConnected) {
-            dispatch(sendMessage({ chatId, senderId, message: trimmed }));
+            dispatch(
+                sendMessage({ chatId, senderId, message: trimmed, mentions })
+            );
         } else {
             dispatch(
-                queuePendingMessage({ chatId, senderId, message: trimmed })
+                queuePendingMessage({
+                    chatId,
+                    senderId,
+                    message: trimmed,
+                    mentions,
+                })
             );
         }
 
         setInputMessage('');
+        setSelection(null);
+        setPickedMentions([]);
         scrollToBottom();
-    }, [chatId, senderId, inputMessage, isConnected, dispatch]);
+    }, [chatId, senderId, inputMessage, pickedMentions, isConnected, dispatch]);
 
-    const handlePreparedMessage = async ({ messageText, messageType }) => {
+    const handlePreparedMessage = async ({
+        messageText,
+        messageType,
+        source,
+    }) => {
         setActionModalVisible(false);
 
         if (!senderId || !chatId) return;
@@ -318,6 +608,28 @@ const ChatRoomScreen = () => {
             return;
         }
 
+        if (messageType === 'poll') {
+            setPendingPollModal(true);
+            return;
+        }
+
+        if (messageType === 'image') {
+            setPendingPhotoSource(source || 'library');
+            return;
+        }
+
+        if (messageType === 'event') {
+            if (chat?.is_group) {
+                setPendingEventModal(true);
+            } else {
+                Alert.alert(
+                    'Group chats only',
+                    'Events can only be posted in group chats.'
+                );
+            }
+            return;
+        }
+
         Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
 
         emitEvent('chat:typing_stop', { chatId, userId: senderId });
@@ -361,16 +673,402 @@ const ChatRoomScreen = () => {
         }
     };
 
+    const handleCreatePoll = async ({
+        question,
+        options,
+        allowsMultiple,
+        closesAt,
+    }) => {
+        setPollComposerVisible(false);
+        if (!chatId || !senderId) return;
+
+        if (!isConnected) {
+            Alert.alert('Offline', 'Polls can only be posted while online.');
+            return;
+        }
+
+        try {
+            await dispatch(
+                createPoll({
+                    chatId,
+                    senderId,
+                    question,
+                    options,
+                    allowsMultiple,
+                    closesAt,
+                })
+            ).unwrap();
+            Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+            scrollToBottom();
+        } catch (err) {
+            Alert.alert('Error', 'Failed to create poll.');
+        }
+    };
+
+    const handlePollVote = async (message, optionIds) => {
+        try {
+            await dispatch(
+                votePoll({
+                    chatId,
+                    messageId: message.id,
+                    pollId: message.poll.id,
+                    optionIds,
+                })
+            ).unwrap();
+        } catch (err) {
+            Alert.alert('Vote not counted', err || 'Please try again.');
+        }
+    };
+
+    const handlePollClose = (message) => {
+        Alert.alert('Close poll?', 'No one will be able to vote after this.', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Close poll',
+                style: 'destructive',
+                onPress: () =>
+                    dispatch(
+                        closePoll({
+                            chatId,
+                            messageId: message.id,
+                            pollId: message.poll.id,
+                        })
+                    )
+                        .unwrap()
+                        .catch((err) =>
+                            Alert.alert('Error', err || 'Failed to close poll.')
+                        ),
+            },
+        ]);
+    };
+
+    const handlePollVoters = async (message) => {
+        setPollVoters({ poll: message.poll, voters: null });
+        try {
+            const { voters } = await dispatch(
+                fetchPollVoters({ chatId, pollId: message.poll.id })
+            ).unwrap();
+            setPollVoters({ poll: message.poll, voters });
+        } catch (err) {
+            setPollVoters(null);
+            Alert.alert('Error', err || 'Failed to load votes.');
+        }
+    };
+
+    const handleCreateEvent = async ({
+        title,
+        startsAt,
+        endsAt,
+        location: pin,
+        capacity,
+    }) => {
+        setEventComposerVisible(false);
+        if (!chatId || !senderId) return;
+
+        if (!isConnected) {
+            Alert.alert('Offline', 'Events can only be posted while online.');
+            return;
+        }
+
+        try {
+            await dispatch(
+                createEvent({
+                    chatId,
+                    senderId,
+                    title,
+                    startsAt,
+                    endsAt,
+                    location: pin,
+                    capacity,
+                })
+            ).unwrap();
+            Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+            scrollToBottom();
+        } catch (err) {
+            Alert.alert('Error', err || 'Failed to create event.');
+        }
+    };
+
+    const handlePickPhoto = async (source) => {
+        try {
+            const asset = await pickChatImage(source);
+            if (asset) setPhotoAsset(asset);
+        } catch (err) {
+            Alert.alert('Photo access needed', err.message);
+        }
+    };
+
+    const handleSendPhoto = async ({ includeLocation }) => {
+        const asset = photoAsset;
+        setPhotoAsset(null);
+        if (!asset || !chatId || !senderId) return;
+
+        try {
+            const image = await prepareChatImage(asset, { includeLocation });
+            if (isConnected) {
+                dispatch(
+                    sendImageMessage({
+                        chatId,
+                        senderId,
+                        image,
+                        tempId: `temp-${Date.now()}`,
+                    })
+                );
+            } else {
+                dispatch(queuePendingMessage({ chatId, senderId, image }));
+            }
+            scrollToBottom();
+        } catch (err) {
+            Alert.alert('Error', err.message || 'Failed to prepare photo.');
+        }
+    };
+
+    const handleRetryImage = (message) => {
+        dispatch(
+            sendImageMessage({
+                chatId,
+                senderId,
+                image: message.image,
+                tempId: message.id,
+            })
+        );
+    };
+
+    const handleVoiceError = (err) => {
+        Alert.alert('Voice note', err.message || 'Failed to record.');
+    };
+
+    const handleSendVoice = () => {
+        const voice = voiceNote;
+        setVoiceNote(null);
+        if (!voice || !chatId || !senderId) return;
+
+        if (isConnected) {
+            dispatch(
+                sendVoiceMessage({
+                    chatId,
+                    senderId,
+                    voice,
+                    tempId: `temp-${Date.now()}`,
+                })
+            );
+        } else {
+            dispatch(queuePendingMessage({ chatId, senderId, voice }));
+        }
+        scrollToBottom();
+    };
+
+    const handleRetryVoice = (message) => {
+        dispatch(
+            sendVoiceMessage({
+                chatId,
+                senderId,
+                voice: message.voice,
+                tempId: message.id,
+            })
+        );
+    };
+
+    const handleEventRsvp = async (message, status, { addToTasks } = {}) => {
+        try {
+            await dispatch(
+                rsvpEvent({
+                    chatId,
+                    messageId: message.id,
+                    eventId: message.event.id,
+                    status,
+                    addToTasks,
+                })
+            ).unwrap();
+        } catch (err) {
+            Alert.alert('RSVP not saved', err || 'Please try again.');
+        }
+    };
+
+    const handleReact = async (message, emoji) => {
+        const mine = (message.reactions || []).find(
+            (r) => String(r.user?.id) === String(senderId)
+        );
+        try {
+            await dispatch(
+                mine?.emoji === emoji
+                    ? removeReaction({ chatId, messageId: message.id })
+                    : addReaction({ chatId, messageId: message.id, emoji })
+            ).unwrap();
+        } catch (err) {
+            Alert.alert('Reaction not saved', err || 'Please try again.');
+        }
+    };
+
+    const handleEdit = (message) => {
+        if (!isConnected) {
+            Alert.alert('Offline', 'Messages can only be edited while online.');
+            return;
+        }
+        setEditingMessage(message);
+    };
+
+    const handleSaveEdit = async (content) => {
+        const message = editingMessage;
+        setEditingMessage(null);
+        if (!message) return;
+
+        try {
+            await dispatch(
+                editMessage({ chatId, messageId: message.id, content })
+            ).unwrap();
+        } catch (err) {
+            Alert.alert('Edit not saved', err || 'Please try again.');
+        }
+    };
+
+    const handleDelete = (message) => {
+        if (!isConnected) {
+            Alert.alert(
+                'Offline',
+                'Messages can only be deleted while online.'
+            );
+            return;
+        }
+        Alert.alert(
+            'Delete for everyone?',
+            'The message will be removed for all members of this chat.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: () =>
+                        dispatch(
+                            deleteMessage({ chatId, messageId: message.id })
+                        )
+                            .unwrap()
+                            .catch((err) =>
+                                Alert.alert(
+                                    'Error',
+                                    err || 'Failed to delete message.'
+                                )
+                            ),
+                },
+            ]
+        );
+    };
+
+    const handleTogglePin = async (message) => {
+        if (!isConnected) {
+            Alert.alert('Offline', 'Messages can only be pinned while online.');
+            return;
+        }
+        const isPinned = pins.some(
+            (p) => String(p.message_id) === String(message.id)
+        );
+        try {
+            await dispatch(
+                isPinned
+                    ? unpinMessage({ chatId, messageId: message.id })
+                    : pinMessage({ chatId, messageId: message.id })
+            ).unwrap();
+        } catch (err) {
+            Alert.alert('Pin not saved', err || 'Please try again.');
+        }
+    };
+
+    const handleUnpin = (pin) => handleTogglePin({ id: pin.message_id });
+
+    const listData = useMemo(() => [...messages].reverse(), [messages]);
+
+    // Scroll to the jump target once it is loaded, paging back through older messages until then
+    useEffect(() => {
+        if (jumpTargetId == null) return;
+        const index = listData.findIndex(
+            (m) => String(m.id) === String(jumpTargetId)
+        );
+        if (index !== -1) {
+            flatListRef.current?.scrollToIndex({
+                index,
+                animated: true,
+                viewPosition: 0.5,
+            });
+            setHighlightedId(jumpTargetId);
+            setJumpTargetId(null);
+            return;
+        }
+        if (history.loadingOlder) return;
+        if (isConnected && history.hasMore) {
+            dispatch(fetchOlderMessages(chatId))
+                .unwrap()
+                .catch(() => setJumpTargetId(null));
+            return;
+        }
+        setJumpTargetId(null);
+        Alert.alert('Message not found', 'The message could not be loaded.');
+    }, [
+        jumpTargetId,
+        listData,
+        history.hasMore,
+        history.loadingOlder,
+        isConnected,
+        chatId,
+        dispatch,
+    ]);
+
+    useEffect(() => {
+        if (highlightedId == null) return;
+        const timer = setTimeout(() => setHighlightedId(null), HIGHLIGHT_MS);
+        return () => clearTimeout(timer);
+    }, [highlightedId]);
+
+    // Rows far from the viewport have no measured layout yet; jump near them and retry
+    const handleScrollToIndexFailed = ({ index, averageItemLength }) => {
+        flatListRef.current?.scrollToOffset({
+            offset: averageItemLength * index,
+            animated: false,
+        });
+        setTimeout(
+            () =>
+                flatListRef.current?.scrollToIndex({
+                    index,
+                    animated: true,
+                    viewPosition: 0.5,
+                }),
+            100
+        );
+    };
+
+    const handleSelectSearchResult = (result) => {
+        setSearchVisible(false);
+        setJumpTargetId(result.message.id);
+    };
+
+    const handleLoadOlder = () => {
+        if (!isConnected || !history.hasMore || history.loadingOlder) return;
+        dispatch(fetchOlderMessages(chatId));
+    };
+
     const handleScroll = (event) => {
         const atBottom = event.nativeEvent.contentOffset.y <= 10;
         setIsAtBottom(atBottom);
     };
 
+    const latestMessageId = useMemo(
+        () => [...messages].reverse().find((m) => !isLocalMessage(m))?.id,
+        [messages]
+    );
+
     useEffect(() => {
-        if (isAtBottom && messages.length > 0) {
-            dispatch(markChatAsReadThunk(chatId, messages[0].id));
+        if (
+            isAtBottom &&
+            latestMessageId != null &&
+            latestMessageId !== lastReadMessageId
+        ) {
+            dispatch(
+                markChatAsReadThunk({ chatId, messageId: latestMessageId })
+            );
         }
-    }, [isAtBottom, messages, chatId, dispatch]);
+    }, [isAtBottom, latestMessageId, lastReadMessageId, chatId, dispatch]);
+
+    const canPin = canPinMessages(chat, senderId);
+    const pinnedIds = new Set(pins.map((p) => String(p.message_id)));
 
     const renderItem = ({ item }) => {
         const showUnreadSeparator =
@@ -387,13 +1085,41 @@ const ChatRoomScreen = () => {
                     message={item}
                     theme={themeColors}
                     senderId={senderId}
+                    isGroup={!!chat?.is_group}
                     openThread={() => setThreadMessage(item)}
+                    onPollVote={handlePollVote}
+                    onPollClose={handlePollClose}
+                    onPollVoters={handlePollVoters}
+                    onEventRsvp={handleEventRsvp}
+                    onReact={handleReact}
+                    onRetryImage={handleRetryImage}
+                    onRetryVoice={handleRetryVoice}
+                    onEdit={handleEdit}
+                    onDelete={handleDelete}
+                    isPinned={pinnedIds.has(String(item.id))}
+                    onTogglePin={canPin ? handleTogglePin : undefined}
+                    highlighted={
+                        highlightedId != null &&
+                        String(item.id) === String(highlightedId)
+                    }
                 />
             </>
         );
     };
 
     const typingNames = typingUsers.map((u) => u.name || u.email || 'Someone');
+    const restriction = postingRestriction(chat, senderId);
+    const muteEnd = mutedUntil(chat, senderId)?.getTime();
+
+    // Re-render when the user's mute runs out so the composer comes back
+    useEffect(() => {
+        if (!muteEnd) return;
+        const timer = setTimeout(
+            () => setMuteExpiredAt(muteEnd),
+            muteEnd - Date.now()
+        );
+        return () => clearTimeout(timer);
+    }, [muteEnd]);
 
     if (!chat) {
         return (
@@ -470,6 +1196,18 @@ const ChatRoomScreen = () => {
                                 )}
                             </View>
 
+                            <TouchableOpacity
+                                style={styles.headerAction}
+                                accessibilityLabel='Search in chat'
+                                onPress={() => setSearchVisible(true)}
+                            >
+                                <Ionicons
+                                    name='search-outline'
+                                    size={22}
+                                    color={themeColors.link}
+                                />
+                            </TouchableOpacity>
+
                             <TouchableOpacity
                                 onPress={() => setGroupInfoVisible(true)}
                             >
@@ -481,6 +1219,13 @@ const ChatRoomScreen = () => {
                             </TouchableOpacity>
                         </View>
 
+                        <PinnedBanner
+                            pins={pins}
+                            theme={themeColors}
+                            onJump={setJumpTargetId}
+                            onUnpin={canPin ? handleUnpin : undefined}
+                        />
+
                         {/* Body */}
                         {loadingMessages ? (
                             <ActivityIndicator
@@ -502,11 +1247,25 @@ const ChatRoomScreen = () => {
                         ) : (
                             <FlatList
                                 ref={flatListRef}
-                                data={[...messages].reverse()}
+                                data={listData}
                                 keyExtractor={(item) => item.id?.toString()}
                                 renderItem={renderItem}
                                 inverted
                                 onScroll={handleScroll}
+                                onScrollToIndexFailed={
+                                    handleScrollToIndexFailed
+                                }
+                                onEndReached={handleLoadOlder}
+                                onEndReachedThreshold={0.3}
+                                ListFooterComponent={
+                                    history.loadingOlder ? (
+                                        <ActivityIndicator
+                                            testID='older-messages-loading'
+                                            color={themeColors.primary}
+                                            style={{ marginVertical: 12 }}
+                                        />
+                                    ) : null
+                                }
                                 contentContainerStyle={{ padding: 16 }}
                                 keyboardShouldPersistTaps='handled'
                             />
@@ -519,30 +1278,85 @@ const ChatRoomScreen = () => {
                             />
                         )}
 
-                        <View style={styles.inputContainer}>
-                            <TextInput
-                                ref={inputRef}
-                                value={inputMessage}
-                                onChangeText={handleTyping}
-                                placeholder='Type a message...'
-                                placeholderTextColor={themeColors.placeholder}
-                                style={styles.input}
-                                onSubmitEditing={handleSend}
-                                multiline
-                            />
-                            <TouchableOpacity
-                                style={[
-                                    styles.sendButton,
-                                    { opacity: inputMessage.trim() ? 1 : 0.5 },
-                                ]}
-                                onPress={
-                                    inputMessage.trim() ? handleSend : null
-                                }
-                                onLongPress={() => setActionModalVisible(true)}
-                            >
-                                <Feather name='send' size={20} color='#fff' />
-                            </TouchableOpacity>
-                        </View>
+                        {restriction ? (
+                            <View style={styles.inputContainer}>
+                                <Text
+                                    testID='posting-restricted'
+                                    style={styles.restrictedText}
+                                >
+                                    {restriction === 'muted'
+                                        ? `You are muted in this group until ${formatTime(
+                                              muteEnd
+                                          )}.`
+                                        : 'Only admins can send messages in this group.'}
+                                </Text>
+                            </View>
+                        ) : (
+                            <>
+                                <MentionSuggestions
+                                    members={mentionSuggestions}
+                                    theme={themeColors}
+                                    onSelect={handlePickMention}
+                                />
+                                <View style={styles.inputContainer}>
+                                    {!recordingVoice && (
+                                        <TextInput
+                                            ref={inputRef}
+                                            value={inputMessage}
+                                            onChangeText={handleTyping}
+                                            onSelectionChange={(e) =>
+                                                setSelection(
+                                                    e.nativeEvent.selection
+                                                )
+                                            }
+                                            placeholder='Type a message...'
+                                            placeholderTextColor={
+                                                themeColors.placeholder
+                                            }
+                                            style={styles.input}
+                                            onSubmitEditing={handleSend}
+                                            multiline
+                                        />
+                                    )}
+                                    {!inputMessage.trim() && (
+                                        <VoiceRecorder
+                                            theme={themeColors}
+                                            onRecordingChange={
+                                                setRecordingVoice
+                                            }
+                                            onRecorded={setVoiceNote}
+                                            onError={handleVoiceError}
+                                        />
+                                    )}
+                                    {!recordingVoice && (
+                                        <TouchableOpacity
+                                            style={[
+                                                styles.sendButton,
+                                                {
+                                                    opacity: inputMessage.trim()
+                                                        ? 1
+                                                        : 0.5,
+                                                },
+                                            ]}
+                                            onPress={
+                                                inputMessage.trim()
+                                                    ? handleSend
+                                                    : null
+                                            }
+                                            onLongPress={() =>
+                                                setActionModalVisible(true)
+                                            }
+                                        >
+                                            <Feather
+                                                name='send'
+                                                size={20}
+                                                color='#fff'
+                                            />
+                                        </TouchableOpacity>
+                                    )}
+                                </View>
+                            </>
+                        )}
 
                         {/* Modal */}
                         <ThreadModal
@@ -568,6 +1382,18 @@ const ChatRoomScreen = () => {
                                     setPendingQuizModal(false);
                                     setQuizPromptVisible(true);
                                 }
+                                if (pendingPollModal) {
+                                    setPendingPollModal(false);
+                                    setPollComposerVisible(true);
+                                }
+                                if (pendingEventModal) {
+                                    setPendingEventModal(false);
+                                    setEventComposerVisible(true);
+                                }
+                                if (pendingPhotoSource) {
+                                    setPendingPhotoSource(null);
+                                    handlePickPhoto(pendingPhotoSource);
+                                }
                             }}
                             onSelect={handlePreparedMessage}
                             theme={themeColors}
@@ -575,10 +1401,7 @@ const ChatRoomScreen = () => {
                                 {
                                     emoji: '🗓️',
                                     label: 'Event',
-                                    action: {
-                                        messageText: '🗓️ Event issued.',
-                                        messageType: 'event',
-                                    },
+                                    action: { messageType: 'event' },
                                 },
                                 {
                                     emoji: '🧠',
@@ -600,10 +1423,22 @@ const ChatRoomScreen = () => {
                                 {
                                     emoji: '📊',
                                     label: 'Poll',
+                                    action: { messageType: 'poll' },
+                                },
+                                {
+                                    emoji: '🖼️',
+                                    label: 'Photo',
                                     action: {
-                                        messageText:
-                                            '📊 Please participate in this poll.',
-                                        messageType: 'poll',
+                                        messageType: 'image',
+                                        source: 'library',
+                                    },
+                                },
+                                {
+                                    emoji: '📷',
+                                    label: 'Camera',
+                                    action: {
+                                        messageType: 'image',
+                                        source: 'camera',
                                     },
                                 },
                             ]}
@@ -614,6 +1449,55 @@ const ChatRoomScreen = () => {
                             onCreate={handleCreateQuiz}
                             theme={themeColors}
                         />
+                        <PollComposerModal
+                            visible={pollComposerVisible}
+                            onClose={() => setPollComposerVisible(false)}
+                            onCreate={handleCreatePoll}
+                            theme={themeColors}
+                        />
+                        <EventComposerModal
+                            visible={eventComposerVisible}
+                            onClose={() => setEventComposerVisible(false)}
+                            onCreate={handleCreateEvent}
+                            location={location}
+                            theme={themeColors}
+                        />
+                        <PhotoPreviewModal
+                            visible={!!photoAsset}
+                            onClose={() => setPhotoAsset(null)}
+                            onSend={handleSendPhoto}
+                            asset={photoAsset}
+                            theme={themeColors}
+                        />
+                        <VoiceNotePreviewModal
+                            visible={!!voiceNote}
+                            onClose={() => setVoiceNote(null)}
+                            onSend={handleSendVoice}
+                            note={voiceNote}
+                            theme={themeColors}
+                        />
+                        <PollVotersModal
+                            visible={!!pollVoters}
+                            onClose={() => setPollVoters(null)}
+                            poll={pollVoters?.poll}
+                            voters={pollVoters?.voters}
+                            theme={themeColors}
+                        />
+                        <EditMessageModal
+                            visible={!!editingMessage}
+                            onClose={() => setEditingMessage(null)}
+                            onSave={handleSaveEdit}
+                            message={editingMessage}
+                            theme={themeColors}
+                        />
+
+                        <MessageSearchModal
+                            visible={searchVisible}
+                            onClose={() => setSearchVisible(false)}
+                            onSelect={handleSelectSearchResult}
+                            chatId={chatId}
+                            theme={themeColors}
+                        />
                     </View>
                 </TouchableWithoutFeedback>
             </KeyboardAvoidingView>
@@ -653,6 +1537,7 @@ const createStyles = (theme, insets) =>
             fontFamily: 'Poppins',
         },
         headerTitleWrapper: { flex: 1, marginLeft: 10 },
+        headerAction: { marginRight: 12 },
         headerTitle: {
             fontFamily: 'Poppins',
             fontSize: 18,
@@ -683,6 +1568,15 @@ const createStyles = (theme, insets) =>
             color: theme.inputText,
             maxHeight: 120,
         },
+        restrictedText: {
+            flex: 1,
+            textAlign: 'center',
+            fontFamily: 'Poppins',
+            fontSize: 13,
+            color: theme.text,
+            opacity: 0.7,
+            paddingVertical: 10,
+        },
         sendButton: {
             marginLeft: 10,
             backgroundColor: theme.link,
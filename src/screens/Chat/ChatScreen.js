@@ -16,6 +16,8 @@
  *   - Initializes socket via `initSocket({ userId })`.
  *   - Subscribes `onEvent('chat:list_update', ...)` and debounces 200ms, then
  *     dispatches `updateActiveChatsFromSocket(chats)`.
+ *   - Subscribes `onEvent('connect', ...)` (fires on reconnects too) to refetch the list.
+ *   - Unsubscribes only its own handlers on unmount.
  * - **Location**:
  *   - On mount, requests location permission; if granted, caches current coords.
  *   - FAB → "Join Local Group" asks permission, reverse geocodes (Expo first,
@@ -122,25 +124,26 @@ const ChatScreen = () => {
     useEffect(() => {
         if (!currentUserId) return;
 
-        const socket = initSocket({ userId: currentUserId });
+        initSocket({ userId: currentUserId });
 
-        socket?.on('connect', () => {
+        // `connect` also fires after every reconnect
+        const handleConnect = () => {
             dispatch(fetchActiveChats());
-        });
-
-        socket?.on('reconnect', () => {
-            dispatch(fetchActiveChats());
-        });
+        };
 
-        onEvent('chat:list_update', (chats) => {
+        const handleListUpdate = (chats) => {
             clearTimeout(debounceRef.current);
             debounceRef.current = setTimeout(() => {
                 dispatch(updateActiveChatsFromSocket(chats));
             }, 200);
-        });
+        };
+
+        onEvent('connect', handleConnect);
+        onEvent('chat:list_update', handleListUpdate);
 
         return () => {
-            offEvent('chat:list_update');
+            offEvent('connect', handleConnect);
+            offEvent('chat:list_update', handleListUpdate);
         };
     }, [currentUserId, dispatch]);
 
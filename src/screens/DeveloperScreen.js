@@ -0,0 +1,219 @@
+// src/screens/DeveloperScreen.js
+/**
+ * DeveloperScreen.js
+ *
+ * Purpose:
+ * Hidden screen for switching the environment profile (local, staging, production,
+ * offline-fixture) at runtime. Opened by long-pressing the "Register" link on the login
+ * screen, so it is only reachable while signed out.
+ *
+ * Key Responsibilities:
+ * - Lists the profiles declared in `app.json` (`expo.extra.envProfiles`) with their API URL
+ *   and flags, marks the active and the build's default profile, and shows validation errors.
+ * - Tapping a valid profile asks for confirmation, then:
+ *   - `switchEnvironmentProfile(name)` applies it and persists the choice for next launches,
+ *   - `resetSessionKey()` drops the AES key negotiated with the previous server,
+ *   - `disconnectSocket()` closes the socket so the next one uses the new URL.
+ * - Invalid profiles are shown but cannot be selected.
+ *
+ * Notes:
+ * - Reads `theme.themeColors` from Redux for styling.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TouchableOpacity,
+    ScrollView,
+    StyleSheet,
+    Alert,
+} from 'react-native';
+import { useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import {
+    getEnvironmentProfile,
+    getEnvironmentProfiles,
+    switchEnvironmentProfile,
+} from '../utils/config';
+import { resetSessionKey } from '../utils/keyExchange';
+import { disconnectSocket } from '../utils/socket';
+
+const describeFlags = (profile) =>
+    [
+        profile.devMode ? 'fixture backend' : null,
+        profile.autoSetOTP ? 'auto OTP' : null,
+        profile.externalApis ? 'external APIs' : 'no external APIs',
+        profile.release ? 'release' : null,
+    ]
+        .filter(Boolean)
+        .join(' · ');
+
+const DeveloperScreen = () => {
+    const { themeColors } = useSelector((state) => state.theme);
+    const navigation = useNavigation();
+    const insets = useSafeAreaInsets();
+    const [active, setActive] = useState(getEnvironmentProfile().name);
+    const profiles = getEnvironmentProfiles();
+    const styles = createStyles(themeColors, insets);
+
+    const applyProfile = async (name) => {
+        try {
+            await switchEnvironmentProfile(name);
+            resetSessionKey();
+            disconnectSocket();
+            setActive(name);
+        } catch (error) {
+            Alert.alert(
+                'Profile not applied',
+                error.errors?.join('\n') || error.message
+            );
+        }
+    };
+
+    const selectProfile = (profile) => {
+        if (profile.name === active || profile.errors.length) return;
+        Alert.alert(
+            `Switch to ${profile.name}?`,
+            `Requests will go to ${
+                profile.apiBaseUrl || 'the in-app fixture backend'
+            }. The choice is kept after restarts.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Switch', onPress: () => applyProfile(profile.name) },
+            ]
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <View style={styles.header}>
+                <TouchableOpacity
+                    onPress={() => navigation.goBack()}
+                    accessibilityLabel='Back'
+                >
+                    <Ionicons
+                        name='arrow-back'
+                        size={24}
+                        color={themeColors.text}
+                    />
+                </TouchableOpacity>
+                <Text style={styles.title}>Environment</Text>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.list}>
+                {profiles.map((profile) => {
+                    const isActive = profile.name === active;
+                    const isInvalid = profile.errors.length > 0;
+                    return (
+                        <TouchableOpacity
+                            key={profile.name}
+                            testID={`profile-${profile.name}`}
+                            onPress={() => selectProfile(profile)}
+                            disabled={isActive || isInvalid}
+                            style={[
+                                styles.card,
+                                isActive && styles.activeCard,
+                                isInvalid && styles.invalidCard,
+                            ]}
+                        >
+                            <View style={styles.cardHeader}>
+                                <Text style={styles.profileName}>
+                                    {profile.name}
+                                    {profile.isDefault
+                                        ? ' (build default)'
+                                        : ''}
+                                </Text>
+                                {isActive && (
+                                    <Ionicons
+                                        name='checkmark-circle'
+                                        size={20}
+                                        color={themeColors.success || 'green'}
+                                    />
+                                )}
+                            </View>
+                            <Text style={styles.detail}>
+                                {profile.apiBaseUrl || 'No backend'}
+                            </Text>
+                            <Text style={styles.detail}>
+                                {describeFlags(profile)}
+                            </Text>
+                            {profile.errors.map((error) => (
+                                <Text key={error} style={styles.error}>
+                                    {error}
+                                </Text>
+                            ))}
+                        </TouchableOpacity>
+                    );
+                })}
+            </ScrollView>
+        </View>
+    );
+};
+
+const createStyles = (themeColors, insets) =>
+    StyleSheet.create({
+        container: {
+            flex: 1,
+            backgroundColor: themeColors.background,
+            paddingTop: insets.top + 12,
+        },
+        header: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            paddingHorizontal: 16,
+            marginBottom: 12,
+        },
+        title: {
+            marginLeft: 12,
+            fontFamily: 'PoppinsBold',
+            fontSize: 20,
+            color: themeColors.title || themeColors.text,
+        },
+        list: {
+            paddingHorizontal: 16,
+            paddingBottom: insets.bottom + 24,
+        },
+        card: {
+            padding: 14,
+            marginBottom: 12,
+            borderRadius: 12,
+            borderWidth: 1,
+            borderColor: themeColors.divider || '#ddd',
+            backgroundColor: themeColors.surface,
+        },
+        activeCard: {
+            borderColor: themeColors.success || 'green',
+        },
+        invalidCard: {
+            opacity: 0.6,
+        },
+        cardHeader: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+        },
+        profileName: {
+            fontFamily: 'PoppinsBold',
+            fontSize: 16,
+            color: themeColors.text,
+        },
+        detail: {
+            marginTop: 4,
+            fontFamily: 'Poppins',
+            fontSize: 13,
+            color: themeColors.text,
+        },
+        error: {
+            marginTop: 4,
+            fontFamily: 'Poppins',
+            fontSize: 12,
+            color: themeColors.error || 'red',
+        },
+    });
+
+export default DeveloperScreen;
@@ -32,7 +32,8 @@
  *   - `LevelUpToast` + `ConfettiCannon`: celebratory effects.
  *
  * Notes:
- * - Uses `useFocusEffect` to re-fetch whenever screen regains focus.
+ * - Uses `useFocusEffect` to re-fetch whenever screen regains focus, aborting the
+ *   in-flight requests when it loses focus.
  * - Relies heavily on Redux selectors with `shallowEqual` to minimize re-renders.
  * - Applies theme-based styles for full theming support.
  *
@@ -121,18 +122,22 @@ const TasksScreen = () => {
     const styles = createStyles(theme, insets);
 
     const loadData = useCallback(() => {
-        if (!userId) return;
-        dispatch(fetchTasks(userId));
-        dispatch(fetchTaskProgress(userId));
-        dispatch(fetchQuizzes(userId));
-        dispatch(fetchQuizHistory(userId));
-        dispatch(fetchDashboard(userId));
-        dispatch(fetchUserBadges(userId));
+        if (!userId) return [];
+        return [
+            dispatch(fetchTasks(userId)),
+            dispatch(fetchTaskProgress(userId)),
+            dispatch(fetchQuizzes(userId)),
+            dispatch(fetchQuizHistory(userId)),
+            dispatch(fetchDashboard(userId)),
+            dispatch(fetchUserBadges(userId)),
+        ];
     }, [dispatch, userId]);
 
     useFocusEffect(
         useCallback(() => {
-            loadData();
+            const requests = loadData();
+            // Cancel in-flight fetches when the screen loses focus
+            return () => requests.forEach((request) => request?.abort?.());
         }, [loadData])
     );
 
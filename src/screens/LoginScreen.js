@@ -29,6 +29,9 @@
  * Actions/Navigation:
  * - Dispatches `requestOtp({ phone_number, country_code })` then navigates to
  *   `OTPVerification` with: { phoneNumber, countryCode, userId, otpCode, autoFillOtp }.
+ *   `autoFillOtp` comes from the active environment profile (`autoSetOTP`).
+ * - Long-pressing the "Register" link for 2s opens the hidden `Developer` screen, except in
+ *   release builds (`DEVELOPER_TOOLS` in `config.js`).
  *
  * Dependencies:
  * - Redux: `useSelector`, `useDispatch`
@@ -62,7 +65,7 @@ import { useNavigation } from '@react-navigation/native';
 import { CountryPicker } from 'react-native-country-codes-picker';
 import { BlurView } from 'expo-blur';
 import { requestOtp } from '../store/actions/loginActions';
-import { autoSetOTP } from '../utils/config';
+import { autoSetOTP, DEVELOPER_TOOLS } from '../utils/config';
 
 const { height: SCREEN_HEIGHT } = Dimensions.get('window');
 
@@ -305,6 +308,16 @@ const LoginScreen = () => {
                                         onPress={() =>
                                             navigation.navigate('Registration')
                                         }
+                                        // Hidden: environment profile switcher (not in release builds)
+                                        onLongPress={
+                                            DEVELOPER_TOOLS
+                                                ? () =>
+                                                      navigation.navigate(
+                                                          'Developer'
+                                                      )
+                                                : undefined
+                                        }
+                                        delayLongPress={2000}
                                     >
                                         <Text
                                             style={{
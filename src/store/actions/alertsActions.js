@@ -3,21 +3,24 @@
  * alertsThunks.js
  *
  * Async thunks for fetching and managing alert data from multiple sources:
- * - Global hazard feeds (US NWS CAP, UK Met Office RSS)
+ * - Global hazard feeds (national weather services, with GDACS as the fallback)
  * - App backend system + user alerts
  * - CRUD-like actions (create, mark-as-read, delete)
- * - Pending actions (mock or live)
+ * - Pending actions
  *
  * Main thunks:
  * - **fetchGlobalHazardAlerts**: Detects user country via geolocation + reverse-geocode,
- *   fetches the appropriate regional XML feed, parses to JSON, normalizes entries,
- *   and returns a structured payload `{ alerts, country, count, timestamp }`.
+ *   fetches the feed registered for it in `utils/hazardFeeds.js` (or the global fallback),
+ *   normalizes its entries and returns `{ alerts, country, feed, count, timestamp }`.
+ *   When the national feed fails (an error status, a network error or a body that cannot
+ *   be parsed) the global feed is read instead, filtered to the user's country.
  *
  * - **fetchUserAlerts(userId)**: Loads user-specific alerts from the backend.
  *
  * - **fetchAlertsData({ category, page, pageSize, fullSystemFetch, userId })**:
  *   When `fullSystemFetch` is true, fetches *all* system alerts (optionally with `userId`
  *   so the API can include read-state). Otherwise, fetches a paginated/category-filtered set.
+ *   Both responses are validated by `utils/apiSchemas.js`, so the fields are read as-is.
  *
  * - **createSystemAlert(payload)**, **createEmergencyAlert(payload)**:
  *   Create alerts in the backend and return the API response.
@@ -27,114 +30,80 @@
  *
  * - **deleteAlert(alertId)**: Deletes the alert on the server and returns the `alertId`.
  *
- * - **loadPendingActions()**: Returns mock pending actions in DEV mode; otherwise queries the API.
- *
- * Helpers:
- * - **normalizeAlertEntry(entry, country)**: Converts feed-specific items into a consistent alert object.
- * - **parseXml(xml)**: Promise wrapper over `react-native-xml2js` `parseString`.
+ * - **loadPendingActions()**: Loads the user's pending actions from the backend.
  *
  * Notes:
- * - Network calls are performed via `utils/api` helpers (`get`, `post`, `patch`, `del`) and `fetch` (for XML feeds).
- * - The GB feed lacks consistent CAP date fields; `effective` and `expires` are set to `null` for GB.
+ * - `fetchUserAlerts` and `fetchAlertsData` forward the thunk `signal` so the screen can
+ *   abort in-flight requests when it unmounts.
+ * - Network calls are performed via `utils/api` helpers (`get`, `post`, `patch`, `del`) and `fetch` (for hazard feeds).
+ *   In `DEV_MODE` the `utils/api` helpers are answered by the in-process fixture backend.
+ * - Hazard feed formats and normalisers live in `utils/hazardFeeds.js`; register a feed there
+ *   to cover another country.
  * - All thunks return `rejectWithValue(message)` on error for predictable reducer handling.
  *
  * Author: Sunidhi Abhange
  */
 
 import { createAsyncThunk } from '@reduxjs/toolkit';
-import { get, post, patch, del } from '../../utils/api';
+import { get, post, patch, del, getErrorMeta } from '../../utils/api';
 import { API_URL_ALERTS } from '../../utils/apiPaths';
-import { DEV_MODE } from '../../utils/config';
-import { mockAlerts } from '../../data/mockData';
-import { parseString } from 'react-native-xml2js';
 import { getUserLocation, reverseGeocode } from '../../utils/utils';
+import {
+    GLOBAL_FEED,
+    hazardFeedFor,
+    readHazardFeed,
+} from '../../utils/hazardFeeds';
 
-const REGION_FEEDS = {
-    US: 'https://alerts.weather.gov/cap/us.php?x=0',
-    GB: 'https://www.metoffice.gov.uk/public/data/PWSCache/WarningsRSS/Region/UK.xml',
-};
-
-const normalizeAlertEntry = (entry, country) => {
-    try {
-        if (country === 'US') {
-            return {
-                title: entry.title?._ || entry.title || 'Untitled Alert',
-                summary: entry.summary?._ || entry.summary || '',
-                area: entry['cap:areaDesc'] || '',
-                severity: entry['cap:severity'] || 'Unknown',
-                event: entry['cap:event'] || 'Weather Alert',
-                effective: new Date(
-                    entry['cap:effective'] || entry.updated || null
-                )?.toISOString(),
-                expires: new Date(
-                    entry['cap:expires'] || entry['cap:expires'] || null
-                )?.toISOString(),
-                link: entry.link?.href || entry.id || '',
-                country,
-            };
-        }
-
-        if (country === 'GB') {
-            return {
-                title: entry.title || 'Untitled Alert',
-                summary: entry.description || '',
-                area: entry['georss:point'] || '',
-                severity: entry['cap:severity'] || 'Unknown',
-                event: entry.category?._ || entry.category || 'Weather Warning',
-                effective: null, // GB feed lacks standard date fields
-                expires: null,
-                link: entry.link || '',
-                country,
-            };
-        }
-    } catch (err) {
-        console.warn('normalizeAlertEntry failed:', err);
-        return null;
+const loadHazardFeed = async (feed, countryCode, place) => {
+    const res = await fetch(feed.url);
+    if (!res.ok) {
+        throw new Error(`${feed.name} responded with status ${res.status}`);
     }
-
-    return null;
+    const body = await res.text();
+    return readHazardFeed(feed, body, countryCode, place);
 };
 
-const parseXml = (xml) =>
-    new Promise((resolve, reject) => {
-        parseString(xml, { explicitArray: false }, (err, result) => {
-            if (err) reject(err);
-            else resolve(result);
-        });
-    });
-
 export const fetchGlobalHazardAlerts = createAsyncThunk(
     'alerts/fetchGlobalHazardAlerts',
     async (_, { rejectWithValue }) => {
         try {
             const { latitude, longitude } = await getUserLocation();
-            const { countryCode } = await reverseGeocode(latitude, longitude);
+            const location = await reverseGeocode(latitude, longitude);
+            const { countryCode } = location;
+            // OpenCage components, used to pick the user's country out of GDACS
+            const place = {
+                iso3: location['ISO_3166-1_alpha-3'],
+                name: location.country,
+            };
 
-            const feedUrl = REGION_FEEDS[countryCode];
+            let feed = hazardFeedFor(countryCode);
+            const globalFeed = hazardFeedFor(GLOBAL_FEED);
 
-            console.log('feedUrl: ', feedUrl, countryCode);
-            if (!feedUrl) {
-                throw new Error(`No feed available for ${countryCode}`);
+            console.log('hazard feed: ', feed.name, countryCode);
+            let entries;
+            try {
+                entries = await loadHazardFeed(feed, countryCode, place);
+            } catch (error) {
+                if (feed === globalFeed) throw error;
+                console.warn(
+                    `${feed.name} unavailable, using ${globalFeed.name}:`,
+                    error
+                );
+                feed = globalFeed;
+                entries = await loadHazardFeed(feed, countryCode, place);
             }
 
-            const res = await fetch(feedUrl);
-            const xml = await res.text();
-            const parsed = await parseXml(xml);
-
-            const entries =
-                parsed?.feed?.entry || parsed?.rss?.channel?.item || [];
-            const entriesArray = Array.isArray(entries) ? entries : [entries];
-
-            const alerts = entriesArray
-                .map((entry) => normalizeAlertEntry(entry, countryCode))
-                .filter(Boolean)
-                .map((alert) => ({ ...alert, source: 'global' }));
+            const alerts = entries.map((alert) => ({
+                ...alert,
+                source: 'global',
+            }));
 
             console.log(`Fetched ${alerts.length} global alerts`);
 
             return {
                 alerts,
                 country: countryCode,
+                feed: feed.name,
                 count: alerts.length,
                 timestamp: new Date().toISOString(),
             };
@@ -149,9 +118,14 @@ export const fetchGlobalHazardAlerts = createAsyncThunk(
 
 export const fetchUserAlerts = createAsyncThunk(
     'alerts/fetchUserAlerts',
-    async (userId, { rejectWithValue }) => {
+    async (userId, { rejectWithValue, signal }) => {
         try {
-            const response = await get(`${API_URL_ALERTS}/user/${userId}`);
+            const response = await get(
+                `${API_URL_ALERTS}/user/${userId}`,
+                {},
+                {},
+                { signal }
+            );
             return response?.alerts || [];
         } catch (error) {
             return rejectWithValue(
@@ -172,51 +146,38 @@ export const fetchAlertsData = createAsyncThunk(
             fullSystemFetch = true,
             userId = null,
         },
-        { rejectWithValue }
+        { rejectWithValue, signal }
     ) => {
         try {
-            // if (DEV_MODE) {
-            //     const filtered =
-            //         category === 'All'
-            //             ? mockAlerts.alerts
-            //             : mockAlerts.alerts.filter((a) =>
-            //                   `${a.title} ${a.description || ''}`
-            //                       .toLowerCase()
-            //                       .includes(category.toLowerCase())
-            //               );
-            //     const paginated = filtered.slice(0, page * pageSize);
-            //     return {
-            //         alerts: paginated,
-            //         hasMore: filtered.length > page * pageSize,
-            //         totalCount: filtered.length,
-            //         fromUserFetch: false,
-            //         page,
-            //     };
-            // }
-
             let response;
             if (fullSystemFetch) {
                 // Pass userId to get 'is_read' field for system alerts
                 response = await get(
                     `${API_URL_ALERTS}/system${
                         userId ? `?userId=${userId}` : ''
-                    }`
+                    }`,
+                    {},
+                    {},
+                    { signal }
                 );
                 return {
-                    alerts: response?.systemAlerts || [],
+                    alerts: response.systemAlerts,
                     hasMore: false,
-                    totalCount: response?.systemAlerts?.length || 0,
+                    totalCount: response.systemAlerts.length,
                     fromUserFetch: false,
                     page: 1,
                 };
             } else {
                 response = await get(
-                    `${API_URL_ALERTS}?category=${category}&page=${page}&pageSize=${pageSize}`
+                    `${API_URL_ALERTS}?category=${category}&page=${page}&pageSize=${pageSize}`,
+                    {},
+                    {},
+                    { signal }
                 );
                 return {
-                    alerts: response?.alerts || [],
-                    hasMore: response?.hasMore || false,
-                    totalCount: response?.totalCount || 0,
+                    alerts: response.alerts,
+                    hasMore: response.hasMore,
+                    totalCount: response.totalCount,
                     fromUserFetch: false,
                     page,
                 };
@@ -303,7 +264,8 @@ export const markAlertAsRead = createAsyncThunk(
             return { alertId, response, alertType };
         } catch (error) {
             return rejectWithValue(
-                error.message || 'Failed to mark alert as read'
+                error.message || 'Failed to mark alert as read',
+                getErrorMeta(error)
             );
         }
     }
@@ -317,17 +279,19 @@ export const deleteAlert = createAsyncThunk(
             await del(`${API_URL_ALERTS}/${alertId}`);
             return alertId;
         } catch (error) {
-            return rejectWithValue(error.message || 'Failed to delete alert');
+            return rejectWithValue(
+                error.message || 'Failed to delete alert',
+                getErrorMeta(error)
+            );
         }
     }
 );
 
-// Load Pending Actions (mock or real)
+// Load Pending Actions
 export const loadPendingActions = createAsyncThunk(
     'alerts/loadPendingActions',
     async (_, { rejectWithValue }) => {
         try {
-            if (DEV_MODE) return mockAlerts.pendingActions || [];
             const response = await get(`${API_URL_ALERTS}/pending-actions`);
             return response?.pendingActions || [];
         } catch (error) {
@@ -9,10 +9,10 @@
  *
  * Thunks:
  * - **fetchAllBadges()**
- *   GET `${API_URL_BADGES}` → returns `response.badges` or `[]`.
+ *   GET `${API_URL_BADGES}` → returns `response.badges`.
  *
  * - **fetchUserBadges(userId)**
- *   GET `${API_URL_BADGES}/user/${userId}` → returns `response.earned` or `[]`.
+ *   GET `${API_URL_BADGES}/user/${userId}` → returns `response.earned`.
  *
  * - **awardBadgeToUser({ userId, badgeId })**
  *   POST `${API_URL_BADGES}/award` with `{ user_id, badge_id }` → returns API response as-is.
@@ -24,6 +24,7 @@
  * Notes:
  * - Network helpers come from `utils/api` (`get`, `post`).
  * - URL base constant comes from `utils/apiPaths` (`API_URL_BADGES`).
+ * - `badges` / `earned` are guaranteed by the response schemas in `utils/apiSchemas.js`.
  *
  * Author: Sunidhi Abhange
  */
@@ -38,7 +39,7 @@ export const fetchAllBadges = createAsyncThunk(
     async (_, { rejectWithValue }) => {
         try {
             const response = await get(`${API_URL_BADGES}`);
-            return response?.badges || [];
+            return response.badges;
         } catch (error) {
             return rejectWithValue(error.message || 'Failed to fetch badges');
         }
@@ -51,7 +52,7 @@ export const fetchUserBadges = createAsyncThunk(
     async (userId, { rejectWithValue }) => {
         try {
             const response = await get(`${API_URL_BADGES}/user/${userId}`);
-            return response?.earned || [];
+            return response.earned;
         } catch (error) {
             return rejectWithValue(
                 error.message || 'Failed to fetch user badges'
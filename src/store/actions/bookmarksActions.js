@@ -36,7 +36,7 @@
  */
 
 import { createAsyncThunk } from '@reduxjs/toolkit';
-import { get, post, del } from '../../utils/api';
+import { get, post, del, getErrorMeta } from '../../utils/api';
 import { API_URL_NEWS } from '../../utils/apiPaths';
 
 // Load all bookmarks from the server
@@ -78,7 +78,10 @@ export const addBookmark = createAsyncThunk(
 
             return enrichedArticle;
         } catch (error) {
-            return rejectWithValue(error.message || 'Failed to add bookmark');
+            return rejectWithValue(
+                error.message || 'Failed to add bookmark',
+                getErrorMeta(error)
+            );
         }
     }
 );
@@ -99,7 +102,8 @@ export const removeBookmark = createAsyncThunk(
             return article.url;
         } catch (error) {
             return rejectWithValue(
-                error.message || 'Failed to remove bookmark'
+                error.message || 'Failed to remove bookmark',
+                getErrorMeta(error)
             );
         }
     }
@@ -118,7 +122,8 @@ export const clearBookmarksAndPersist = createAsyncThunk(
             return true;
         } catch (error) {
             return rejectWithValue(
-                error.message || 'Failed to clear bookmarks'
+                error.message || 'Failed to clear bookmarks',
+                getErrorMeta(error)
             );
         }
     }
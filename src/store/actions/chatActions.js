@@ -5,45 +5,136 @@
  * Redux Toolkit async thunks for chat features:
  * - Fetch active chats, user suggestions, and specific chat/message data
  * - Create direct/group chats, add/remove members, join local groups, delete chats
+ * - Group admin tools: settings, member roles, mutes and bans
  * - Send messages and flush queued messages on reconnect
  * - Mark chats as read
  * - Local-only draft group helpers (add/remove/clear)
  *
  * Key Thunks:
- * - **fetchActiveChats()**: Gets current user's chat list (`GET /chat/list/:userId`).
+ * - **fetchActiveChats()**: Gets current user's chat list (`GET /chat/list/:userId`); the list
+ *   is validated (and `chat_id`/`id` filled in) by the response schema in `utils/apiSchemas.js`.
  * - **fetchUserSuggestions(search)**: Suggests users excluding the current user (`GET /users/suggestions?search=...`).
  * - **startDirectMessage(otherUserId)**: Creates/returns a DM (`POST /chat/create`).
  * - **createGroupChat({ name, userIds })**: Creates a group (`POST /chat/create`).
  * - **addUserToExistingGroup({ chatId, userIds })**: Adds members (`POST /chat/:id/add-members`).
  * - **removeUserFromGroup({ chatId, userId })**: Removes a member (`DELETE /chat/:id/remove-member`).
+ * - **updateGroupSettings({ chatId, name, description, avatar, announcementOnly })**: Admins only
+ *   (`PATCH /chat/:id`); only the fields given are sent. `avatar` is an image prepared by
+ *   `prepareChatImage` (sent as a `data:` URI) or `null` to remove it.
+ * - **updateGroupMember({ chatId, userId, role, mutedUntil })**: Promotes / demotes (`'admin'` /
+ *   `'member'`) and mutes (`mutedUntil` date, `null` unmutes) a member (`PATCH /chat/:id/members/:userId`).
+ * - **banGroupMember({ chatId, userId })**: Removes a member for good (`POST /chat/:id/members/:userId/ban`).
+ *   The three group thunks return the server's updated chat; who may do what follows
+ *   `utils/groupRoles.js`, and the server's message is the rejection value.
+ * - **updateChatPreferences({ chatId, mutedUntil, archived, notificationLevel })**: The user's own
+ *   settings for a chat (`PATCH /chat/:id/preferences`); only the fields given are sent.
+ *   `mutedUntil` is a date (`muteUntil` in `utils/chatPreferences.js`) or `null` to unmute,
+ *   `notificationLevel` is `'all' | 'mentions' | 'none'`. Returns `{ chatId, preferences }`.
+ *   Queued by the offline outbox when there is no connection.
  * - **joinLocalGroup({ latitude, longitude, address, hasAddress })**: Joins/creates a local group (`POST /chat/local-groups/join`) and refreshes active chats.
  * - **deleteChat(chatId)**: Deletes a chat (`DELETE /chat/:id`).
  * - **fetchChatById(chatId)**: Gets a single chat (`GET /chat/:id`).
- * - **fetchMessages(chatId)**: Loads messages (`GET /chat/:id/messages`).
- * - **sendMessage({ chatId, senderId, message, message_type })**: Sends a message (`POST /chat/:id/messages`).
- * - **flushQueuedMessages(chatId)**: Retries queued messages (dispatches `appendMessage` for each, then `clearQueuedMessages`).
- * - **markChatAsReadThunk({ chatId, messageId })**: Marks as read (`POST /chat/read`).
+ * - **fetchMessages(chatId)**: Loads the newest `MESSAGE_PAGE_SIZE` messages (`GET /chat/:id/messages`);
+ *   sends the current user's id so poll messages come back with that user's own votes (`poll.my_votes`).
+ *   When the chat has nothing in memory, its cached messages (`utils/messageCache.js`) are restored
+ *   first with `restoreMessages`, so the history shows while the request is in flight (or offline).
+ * - **fetchOlderMessages(chatId)**: Loads the page before the oldest stored message (`before` cursor,
+ *   local echoes skipped) as the user scrolls back through the history.
+ * - **sendMessage({ chatId, senderId, message, message_type, mentions })**: Sends a message (`POST /chat/:id/messages`).
+ *   `mentions` (`[{ id, name }]`, from `mentionsInText`) are sent as member ids and kept on the echo.
+ * - **sendImageMessage({ chatId, senderId, image, tempId })**: Sends a photo prepared by
+ *   `prepareChatImage` (`utils/imageAttachments.js`). The file is read as base64 and uploaded in
+ *   `IMAGE_CHUNK_SIZE` pieces (`POST /chat/:id/uploads`), reporting progress with
+ *   `setImageUploadProgress` after each piece, then posted as a `message_type: 'image'` message
+ *   (`POST /chat/:id/images`). The local echo `tempId` is replaced by the server's message.
+ * - **sendVoiceMessage({ chatId, senderId, voice, tempId })**: Sends a voice note prepared by
+ *   `prepareVoiceNote` (`utils/voiceNotes.js`) the same way: chunked upload with progress, then a
+ *   `message_type: 'voice'` message with its `duration_ms` and `waveform` (`POST /chat/:id/voice`).
+ * - **fetchThreadReplies({ chatId, messageId, before })**: Loads a page of thread replies
+ *   (`GET /chat/:id/messages/:messageId/replies`), oldest first. Without `before` it loads the
+ *   newest page; with `before` (the oldest loaded reply id) it loads the page before it.
+ * - **sendThreadReply({ chatId, messageId, senderId, content })**: Replies in a message's thread
+ *   (`POST /chat/:id/messages/:messageId/replies`) and returns the reply with the parent's new
+ *   `replyCount`.
+ * - **editMessage({ chatId, messageId, content })**: Replaces the text of the user's own text
+ *   message (`PATCH /chat/:id/messages/:messageId`) and returns the server's message, with
+ *   `edited_at` and the earlier versions in `edit_history`.
+ * - **deleteMessage({ chatId, messageId })**: Deletes the user's own message for everyone
+ *   (`DELETE /chat/:id/messages/:messageId`) and returns the tombstone (`deleted_at`, no content).
+ *   Both are refused by the server outside their time window (`utils/messageEdits.js`); the
+ *   server's message is the rejection value.
+ * - **fetchPinnedMessages(chatId)**: Loads the chat's pinned messages (`GET /chat/:id/pins`),
+ *   newest pin first.
+ * - **pinMessage({ chatId, messageId })** / **unpinMessage({ chatId, messageId })**: Pins or unpins
+ *   a message (`POST /chat/:id/pins`, `DELETE /chat/:id/pins/:messageId`). Who may pin follows
+ *   `utils/pinnedMessages.js`. All three return `{ chatId, pins }` as stored by the server.
+ * - **searchMessages({ query, chatId })**: Searches the user's messages (`GET /chat/search`), in
+ *   every chat or only `chatId`, newest first. When the request fails for lack of a connection
+ *   (`NETWORK` / `TIMEOUT`), the messages in memory or in the device cache are searched instead
+ *   with the same rules (`utils/messageSearch.js`). Returns `{ query, chatId, results, source }`
+ *   (`source: 'server' | 'cache'`); not stored, the caller shows the results.
+ * - **addReaction({ chatId, messageId, emoji })**: Sets the user's reaction on a message
+ *   (`POST /chat/:id/messages/:messageId/reactions`), replacing any earlier one.
+ * - **removeReaction({ chatId, messageId })**: Removes the user's reaction
+ *   (`DELETE /chat/:id/messages/:messageId/reactions`). Both return the message's `reactions`
+ *   as stored by the server.
+ * - **createPoll({ chatId, senderId, question, options, allowsMultiple, closesAt })**: Posts a
+ *   `message_type: 'poll'` message (`POST /chat/:id/polls`) and returns it with its `poll`.
+ * - **votePoll({ chatId, messageId, pollId, optionIds })**: Replaces the user's votes
+ *   (`POST /chat/:id/polls/:pollId/vote`; `[]` retracts) and returns the updated `poll`.
+ * - **closePoll({ chatId, messageId, pollId })**: Creator only (`POST /chat/:id/polls/:pollId/close`).
+ * - **fetchPollVoters({ chatId, pollId })**: Creator only; who picked each option
+ *   (`GET /chat/:id/polls/:pollId/voters`). Not stored; the caller shows the result.
+ * - **createEvent({ chatId, senderId, title, startsAt, endsAt, location, capacity })**: Posts a
+ *   `message_type: 'event'` message in a group chat (`POST /chat/:id/events`).
+ * - **rsvpEvent({ chatId, messageId, eventId, status, addToTasks })**: Going / Maybe / Can't
+ *   (`'going' | 'maybe' | 'not_going'`, `POST /chat/:id/events/:eventId/rsvp`) and returns the
+ *   event with the server's counts. With `addToTasks` the server also adds an "Attend" task to
+ *   the user's task list (the Tasks screen reloads it on focus).
+ * - **flushQueuedMessages(chatId)**: Retries queued messages (dispatches `appendMessage` for each, then `clearQueuedMessages`);
+ *   queued photos and voice notes are re-sent through `sendImageMessage` / `sendVoiceMessage` with
+ *   their echo id.
+ * - **markChatAsReadThunk({ chatId, messageId })**: Marks the chat read up to `messageId`
+ *   (`POST /chat/read`); the server stamps `read_at` on the earlier messages' `receipts` and sends
+ *   their senders a `chat:receipt`.
  * - **addUserToDraftGroup(user)** / **removeUserFromDraftGroup(userId)** / **clearDraftGroupUsers()**: Local-only helpers.
  *
+ * Cancellation:
+ * - `fetchChatById`, `fetchMessages`, `fetchOlderMessages`, `fetchThreadReplies`,
+ *   `fetchPinnedMessages` and `searchMessages` forward the thunk `signal` to `get`; aborting the
+ *   dispatched promise (e.g. when `ChatRoomScreen` unmounts, the thread is closed or the search
+ *   query changes) cancels the request.
+ *
  * Error Handling:
  * - All thunks surface failures via `rejectWithValue(error.message || '<fallback>')`.
  * - Parameter validation errors (e.g., missing IDs) are thrown and caught into `rejectWithValue`.
  *
  * Integration Points:
- * - API helpers: `get`, `post`, `del` (utils/api)
+ * - API helpers: `get`, `post`, `patch`, `del` (utils/api)
  * - URL constants: `API_URL_CHAT`, `API_URL_USERS` (utils/apiPaths)
- * - Local actions (from reducers/chatReducer): `appendMessage`, `clearQueuedMessages`
+ * - Local actions (from reducers/chatReducer): `appendMessage`, `clearQueuedMessages`,
+ *   `setImageUploadProgress`, `restoreMessages`
+ * - `readImageBase64` (utils/imageAttachments), `readVoiceNoteBase64` (utils/voiceNotes),
+ *   `readCachedMessages` / `isLocalMessage` (utils/messageCache)
  *
  * Author: Sunidhi Abhange
  */
 
 import { createAsyncThunk } from '@reduxjs/toolkit';
 import { API_URL_CHAT, API_URL_USERS } from '../../utils/apiPaths.js';
-import { get, post, del } from '../../utils/api';
+import { get, post, patch, del, getErrorMeta } from '../../utils/api';
+import { isConnectivityError } from '../../utils/apiError';
+import { readImageBase64 } from '../../utils/imageAttachments';
+import { readVoiceNoteBase64 } from '../../utils/voiceNotes';
+import { readCachedMessages, isLocalMessage } from '../../utils/messageCache';
+import { SEARCH_RESULT_LIMIT, findMatches } from '../../utils/messageSearch';
+import { toPreferenceFields } from '../../utils/chatPreferences';
 import {
     appendMessage,
     clearQueuedMessages,
     markChatAsRead,
+    setImageUploadProgress,
+    restoreMessages,
 } from '../reducers/chatReducer';
 
 /**
@@ -56,7 +147,7 @@ export const fetchActiveChats = createAsyncThunk(
             const currentUserId = getState().auth?.user?.id;
             if (!currentUserId) throw new Error('User not authenticated');
             const response = await get(`${API_URL_CHAT}/list/${currentUserId}`);
-            return Array.isArray(response?.data) ? response.data : [];
+            return response.data; // shape checked by apiSchemas.js
         } catch (error) {
             return rejectWithValue(error.message || 'Failed to fetch chats');
         }
@@ -220,6 +311,129 @@ export const removeUserFromGroup = createAsyncThunk(
     }
 );
 
+// Only the given fields are sent, so callers can change one setting at a time
+const groupSettingsPayload = async ({
+    name,
+    description,
+    avatar,
+    announcementOnly,
+}) => {
+    const payload = {};
+    if (name !== undefined) payload.name = name;
+    if (description !== undefined) payload.description = description;
+    if (announcementOnly !== undefined) {
+        payload.announcement_only = announcementOnly;
+    }
+    if (avatar !== undefined) {
+        payload.avatar = avatar
+            ? `data:${avatar.mime_type};base64,${await readImageBase64(
+                  avatar.uri
+              )}`
+            : null;
+    }
+    return payload;
+};
+
+/**
+ * Change a group's name, description, avatar or announcement-only mode (admins only)
+ */
+export const updateGroupSettings = createAsyncThunk(
+    'chat/updateGroupSettings',
+    async ({ chatId, ...settings }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await patch(`${API_URL_CHAT}/${chatId}`, {
+                user_id: userId,
+                ...(await groupSettingsPayload(settings)),
+            });
+
+            return response.chat;
+        } catch (error) {
+            return rejectWithValue(
+                error.message || 'Failed to update group settings'
+            );
+        }
+    }
+);
+
+/**
+ * Change a member's role or mute (admins only, and only members they outrank)
+ */
+export const updateGroupMember = createAsyncThunk(
+    'chat/updateGroupMember',
+    async (
+        { chatId, userId, role, mutedUntil },
+        { getState, rejectWithValue }
+    ) => {
+        try {
+            const requestedBy = getState().auth?.user?.id;
+            if (!requestedBy) throw new Error('User not authenticated');
+
+            const payload = { user_id: requestedBy };
+            if (role !== undefined) payload.role = role;
+            if (mutedUntil !== undefined) payload.muted_until = mutedUntil;
+
+            const response = await patch(
+                `${API_URL_CHAT}/${chatId}/members/${userId}`,
+                payload
+            );
+
+            return response.chat;
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to update member');
+        }
+    }
+);
+
+/**
+ * Ban a member: they are removed and cannot be added back or rejoin
+ */
+export const banGroupMember = createAsyncThunk(
+    'chat/banGroupMember',
+    async ({ chatId, userId }, { getState, rejectWithValue }) => {
+        try {
+            const requestedBy = getState().auth?.user?.id;
+            if (!requestedBy) throw new Error('User not authenticated');
+
+            const response = await post(
+                `${API_URL_CHAT}/${chatId}/members/${userId}/ban`,
+                { user_id: requestedBy }
+            );
+
+            return response.chat;
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to ban member');
+        }
+    }
+);
+
+/**
+ * Change the user's own mute, archive or notification setting for a chat
+ */
+export const updateChatPreferences = createAsyncThunk(
+    'chat/updateChatPreferences',
+    async ({ chatId, ...changes }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await patch(
+                `${API_URL_CHAT}/${chatId}/preferences`,
+                { user_id: userId, ...toPreferenceFields(changes) }
+            );
+
+            return { chatId, preferences: response.preferences };
+        } catch (error) {
+            return rejectWithValue(
+                error.message || 'Failed to update chat preferences',
+                getErrorMeta(error)
+            );
+        }
+    }
+);
+
 /**
  * Join or create a local group chat
  */
@@ -281,9 +495,14 @@ export const deleteChat = createAsyncThunk(
  */
 export const fetchChatById = createAsyncThunk(
     'chat/fetchChatById',
-    async (chatId, { rejectWithValue }) => {
+    async (chatId, { rejectWithValue, signal }) => {
         try {
-            const response = await get(`${API_URL_CHAT}/${chatId}`);
+            const response = await get(
+                `${API_URL_CHAT}/${chatId}`,
+                {},
+                {},
+                { signal }
+            );
 
             console.log('fetchChatById response: ', response);
 
@@ -297,29 +516,97 @@ export const fetchChatById = createAsyncThunk(
 /**
  * Fetch chat messages
  */
+export const MESSAGE_PAGE_SIZE = 30;
+
 export const fetchMessages = createAsyncThunk(
     'chat/fetchMessages',
-    async (chatId, { rejectWithValue }) => {
+    async (chatId, { dispatch, getState, rejectWithValue, signal }) => {
         try {
-            const response = await get(`${API_URL_CHAT}/${chatId}/messages`);
-            return { chatId, messages: response?.data || [] };
+            const state = getState();
+            if (!state.chat?.messagesByChatId?.[chatId]?.length) {
+                const cached = await readCachedMessages(chatId);
+                if (cached.length) {
+                    dispatch(restoreMessages({ chatId, messages: cached }));
+                }
+            }
+
+            const userId = state.auth?.user?.id;
+            const response = await get(
+                `${API_URL_CHAT}/${chatId}/messages`,
+                { user_id: userId, limit: MESSAGE_PAGE_SIZE },
+                {},
+                { signal }
+            );
+            return {
+                chatId,
+                messages: response?.data || [],
+                hasMore: !!response?.hasMore,
+            };
         } catch (error) {
             return rejectWithValue(error.message || 'Failed to load messages');
         }
     }
 );
 
+/**
+ * Load the page of messages before the oldest one in the store
+ */
+export const fetchOlderMessages = createAsyncThunk(
+    'chat/fetchOlderMessages',
+    async (chatId, { getState, rejectWithValue, signal }) => {
+        try {
+            const state = getState();
+            const oldest = (state.chat?.messagesByChatId?.[chatId] || []).find(
+                (m) => !isLocalMessage(m)
+            );
+            if (!oldest) throw new Error('No messages loaded yet');
+
+            const response = await get(
+                `${API_URL_CHAT}/${chatId}/messages`,
+                {
+                    user_id: state.auth?.user?.id,
+                    limit: MESSAGE_PAGE_SIZE,
+                    before: oldest.id,
+                },
+                {},
+                { signal }
+            );
+            return {
+                chatId,
+                before: oldest.id,
+                messages: response?.data || [],
+                hasMore: !!response?.hasMore,
+            };
+        } catch (error) {
+            return rejectWithValue(
+                error.message || 'Failed to load older messages'
+            );
+        }
+    }
+);
+
+// Mentions travel as member ids; the server answers with `{ id, name }` entities
+const mentionPayload = (mentions = []) =>
+    mentions.length
+        ? { mentions: mentions.map((mention) => mention.id ?? mention) }
+        : {};
+
 /**
  * Send a message
  */
 export const sendMessage = createAsyncThunk(
     'chat/sendMessage',
     async (
-        { chatId, senderId, message, message_type = 'text' },
+        { chatId, senderId, message, message_type = 'text', mentions = [] },
         { rejectWithValue }
     ) => {
         try {
-            const payload = { sender_id: senderId, message, message_type };
+            const payload = {
+                sender_id: senderId,
+                message,
+                message_type,
+                ...mentionPayload(mentions),
+            };
             const response = await post(
                 `${API_URL_CHAT}/${chatId}/messages`,
                 payload
@@ -333,6 +620,7 @@ export const sendMessage = createAsyncThunk(
                     sender: { id: senderId },
                     content: message,
                     message_type,
+                    mentions,
                     timestamp: new Date().toISOString(),
                 },
             };
@@ -342,6 +630,563 @@ export const sendMessage = createAsyncThunk(
     }
 );
 
+export const THREAD_PAGE_SIZE = 20;
+
+/**
+ * Load a page of thread replies
+ */
+export const fetchThreadReplies = createAsyncThunk(
+    'chat/fetchThreadReplies',
+    async (
+        { chatId, messageId, before = null },
+        { getState, rejectWithValue, signal }
+    ) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            const params = { user_id: userId, limit: THREAD_PAGE_SIZE };
+            if (before) params.before = before;
+
+            const response = await get(
+                `${API_URL_CHAT}/${chatId}/messages/${messageId}/replies`,
+                params,
+                {},
+                { signal }
+            );
+            return {
+                chatId,
+                messageId,
+                before,
+                replies: response?.data || [],
+                hasMore: !!response?.hasMore,
+            };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to load replies');
+        }
+    }
+);
+
+export const IMAGE_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Upload base64 data in chunks, reporting progress on the echo; resolves to the upload id
+ */
+const uploadInChunks = async ({ chatId, senderId, data, tempId }, dispatch) => {
+    let uploadId = null;
+    for (let offset = 0; offset < data.length; offset += IMAGE_CHUNK_SIZE) {
+        const chunk = await post(`${API_URL_CHAT}/${chatId}/uploads`, {
+            sender_id: senderId,
+            upload_id: uploadId,
+            offset,
+            data: data.slice(offset, offset + IMAGE_CHUNK_SIZE),
+        });
+        uploadId = chunk.upload_id;
+        dispatch(
+            setImageUploadProgress({
+                chatId,
+                messageId: tempId,
+                progress: chunk.received / data.length,
+            })
+        );
+    }
+    return uploadId;
+};
+
+/**
+ * Upload a prepared photo in chunks, then post it as an image message
+ */
+export const sendImageMessage = createAsyncThunk(
+    'chat/sendImageMessage',
+    async (
+        { chatId, senderId, image, tempId },
+        { dispatch, rejectWithValue }
+    ) => {
+        try {
+            const data = await readImageBase64(image.uri);
+            const uploadId = await uploadInChunks(
+                { chatId, senderId, data, tempId },
+                dispatch
+            );
+
+            const response = await post(`${API_URL_CHAT}/${chatId}/images`, {
+                sender_id: senderId,
+                upload_id: uploadId,
+                mime_type: image.mime_type,
+                width: image.width,
+                height: image.height,
+                location: image.location || null,
+            });
+
+            return {
+                chatId,
+                tempId,
+                message: { ...response.message, chat_id: chatId },
+            };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to send photo');
+        }
+    }
+);
+
+/**
+ * Upload a recorded voice note in chunks, then post it as a voice message
+ */
+export const sendVoiceMessage = createAsyncThunk(
+    'chat/sendVoiceMessage',
+    async (
+        { chatId, senderId, voice, tempId },
+        { dispatch, rejectWithValue }
+    ) => {
+        try {
+            const data = await readVoiceNoteBase64(voice.uri);
+            const uploadId = await uploadInChunks(
+                { chatId, senderId, data, tempId },
+                dispatch
+            );
+
+            const response = await post(`${API_URL_CHAT}/${chatId}/voice`, {
+                sender_id: senderId,
+                upload_id: uploadId,
+                mime_type: voice.mime_type,
+                duration_ms: voice.duration_ms,
+                waveform: voice.waveform || [],
+            });
+
+            return {
+                chatId,
+                tempId,
+                message: { ...response.message, chat_id: chatId },
+            };
+        } catch (error) {
+            return rejectWithValue(
+                error.message || 'Failed to send voice note'
+            );
+        }
+    }
+);
+
+/**
+ * Reply in a message's thread
+ */
+export const sendThreadReply = createAsyncThunk(
+    'chat/sendThreadReply',
+    async ({ chatId, messageId, senderId, content }, { rejectWithValue }) => {
+        try {
+            const response = await post(
+                `${API_URL_CHAT}/${chatId}/messages/${messageId}/replies`,
+                { sender_id: senderId, message: content }
+            );
+            return {
+                chatId,
+                messageId,
+                message: { ...response.message, chat_id: chatId },
+                replyCount: response.reply_count,
+            };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to send reply');
+        }
+    }
+);
+
+/**
+ * React to a message (one reaction per user; a new emoji replaces the old one)
+ */
+export const addReaction = createAsyncThunk(
+    'chat/addReaction',
+    async ({ chatId, messageId, emoji }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await post(
+                `${API_URL_CHAT}/${chatId}/messages/${messageId}/reactions`,
+                { user_id: userId, emoji }
+            );
+
+            return { chatId, messageId, reactions: response.reactions };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to add reaction');
+        }
+    }
+);
+
+/**
+ * Remove the user's reaction from a message
+ */
+export const removeReaction = createAsyncThunk(
+    'chat/removeReaction',
+    async ({ chatId, messageId }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await del(
+                `${API_URL_CHAT}/${chatId}/messages/${messageId}/reactions`,
+                { user_id: userId }
+            );
+
+            return { chatId, messageId, reactions: response.reactions };
+        } catch (error) {
+            return rejectWithValue(
+                error.message || 'Failed to remove reaction'
+            );
+        }
+    }
+);
+
+/**
+ * Edit the text of the user's own message
+ */
+export const editMessage = createAsyncThunk(
+    'chat/editMessage',
+    async ({ chatId, messageId, content }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await patch(
+                `${API_URL_CHAT}/${chatId}/messages/${messageId}`,
+                { user_id: userId, content }
+            );
+
+            return { chatId, message: response.message };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to edit message');
+        }
+    }
+);
+
+/**
+ * Delete the user's own message for everyone
+ */
+export const deleteMessage = createAsyncThunk(
+    'chat/deleteMessage',
+    async ({ chatId, messageId }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await del(
+                `${API_URL_CHAT}/${chatId}/messages/${messageId}`,
+                { user_id: userId }
+            );
+
+            return { chatId, message: response.message };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to delete message');
+        }
+    }
+);
+
+/**
+ * Fetch the messages pinned to the top of a chat
+ */
+export const fetchPinnedMessages = createAsyncThunk(
+    'chat/fetchPinnedMessages',
+    async (chatId, { getState, rejectWithValue, signal }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            const response = await get(
+                `${API_URL_CHAT}/${chatId}/pins`,
+                { user_id: userId },
+                {},
+                { signal }
+            );
+            return { chatId, pins: response?.pins || [] };
+        } catch (error) {
+            return rejectWithValue(
+                error.message || 'Failed to load pinned messages'
+            );
+        }
+    }
+);
+
+/**
+ * Search the user's messages, falling back to what is on the device when the server
+ * cannot be reached (including a key exchange that could not reach it)
+ */
+export const searchMessages = createAsyncThunk(
+    'chat/searchMessages',
+    async ({ query, chatId = null }, { getState, rejectWithValue, signal }) => {
+        const q = (query || '').trim();
+        try {
+            const state = getState();
+            const userId = state.auth?.user?.id;
+            try {
+                const response = await get(
+                    `${API_URL_CHAT}/search`,
+                    {
+                        user_id: userId,
+                        q,
+                        limit: SEARCH_RESULT_LIMIT,
+                        ...(chatId != null ? { chat_id: chatId } : {}),
+                    },
+                    {},
+                    { signal }
+                );
+                return {
+                    query: q,
+                    chatId,
+                    results: response?.results || [],
+                    source: 'server',
+                };
+            } catch (error) {
+                if (!isConnectivityError(error)) throw error;
+            }
+
+            const chats = (state.chat?.activeChats || [])
+                .map((chat) => ({
+                    chat_id: chat.chat_id ?? chat.id,
+                    chat_name: chat.name || null,
+                }))
+                .filter(
+                    (chat) =>
+                        chatId == null ||
+                        String(chat.chat_id) === String(chatId)
+                );
+            if (chatId != null && !chats.length) {
+                chats.push({ chat_id: chatId, chat_name: null });
+            }
+            const withMessages = await Promise.all(
+                chats.map(async (chat) => {
+                    const loaded = state.chat?.messagesByChatId?.[chat.chat_id];
+                    return {
+                        ...chat,
+                        messages: loaded?.length
+                            ? loaded
+                            : await readCachedMessages(chat.chat_id),
+                    };
+                })
+            );
+            return {
+                query: q,
+                chatId,
+                results: findMatches(withMessages, q),
+                source: 'cache',
+            };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Search failed');
+        }
+    }
+);
+
+/**
+ * Pin a message to the top of a chat (group admins, or either member of a direct chat)
+ */
+export const pinMessage = createAsyncThunk(
+    'chat/pinMessage',
+    async ({ chatId, messageId }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await post(`${API_URL_CHAT}/${chatId}/pins`, {
+                user_id: userId,
+                message_id: messageId,
+            });
+
+            return { chatId, pins: response.pins };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to pin message');
+        }
+    }
+);
+
+/**
+ * Unpin a message
+ */
+export const unpinMessage = createAsyncThunk(
+    'chat/unpinMessage',
+    async ({ chatId, messageId }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await del(
+                `${API_URL_CHAT}/${chatId}/pins/${messageId}`,
+                { user_id: userId }
+            );
+
+            return { chatId, pins: response.pins };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to unpin message');
+        }
+    }
+);
+
+/**
+ * Post a poll message
+ */
+export const createPoll = createAsyncThunk(
+    'chat/createPoll',
+    async (
+        {
+            chatId,
+            senderId,
+            question,
+            options,
+            allowsMultiple = false,
+            closesAt = null,
+        },
+        { rejectWithValue }
+    ) => {
+        try {
+            const payload = {
+                sender_id: senderId,
+                question,
+                options,
+                allows_multiple: allowsMultiple,
+                closes_at: closesAt,
+            };
+            const response = await post(
+                `${API_URL_CHAT}/${chatId}/polls`,
+                payload
+            );
+
+            return {
+                chatId,
+                message: { ...response.message, chat_id: chatId },
+            };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to create poll');
+        }
+    }
+);
+
+/**
+ * Vote on a poll (replaces the user's previous votes)
+ */
+export const votePoll = createAsyncThunk(
+    'chat/votePoll',
+    async (
+        { chatId, messageId, pollId, optionIds },
+        { getState, rejectWithValue }
+    ) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await post(
+                `${API_URL_CHAT}/${chatId}/polls/${pollId}/vote`,
+                { user_id: userId, option_ids: optionIds }
+            );
+
+            return { chatId, messageId, poll: response.poll };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to vote');
+        }
+    }
+);
+
+/**
+ * Close a poll (creator only)
+ */
+export const closePoll = createAsyncThunk(
+    'chat/closePoll',
+    async ({ chatId, messageId, pollId }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await post(
+                `${API_URL_CHAT}/${chatId}/polls/${pollId}/close`,
+                { user_id: userId }
+            );
+
+            return { chatId, messageId, poll: response.poll };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to close poll');
+        }
+    }
+);
+
+/**
+ * Who voted for each option of a poll (creator only)
+ */
+export const fetchPollVoters = createAsyncThunk(
+    'chat/fetchPollVoters',
+    async ({ chatId, pollId }, { getState, rejectWithValue }) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await get(
+                `${API_URL_CHAT}/${chatId}/polls/${pollId}/voters`,
+                { user_id: userId }
+            );
+
+            return { pollId, voters: response.voters };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to load votes');
+        }
+    }
+);
+
+/**
+ * Post an event message (group chats)
+ */
+export const createEvent = createAsyncThunk(
+    'chat/createEvent',
+    async (
+        {
+            chatId,
+            senderId,
+            title,
+            startsAt,
+            endsAt = null,
+            location = null,
+            capacity = null,
+        },
+        { rejectWithValue }
+    ) => {
+        try {
+            const payload = {
+                sender_id: senderId,
+                title,
+                starts_at: startsAt,
+                ends_at: endsAt,
+                location,
+                capacity,
+            };
+            const response = await post(
+                `${API_URL_CHAT}/${chatId}/events`,
+                payload
+            );
+
+            return {
+                chatId,
+                message: { ...response.message, chat_id: chatId },
+            };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to create event');
+        }
+    }
+);
+
+/**
+ * RSVP to an event
+ */
+export const rsvpEvent = createAsyncThunk(
+    'chat/rsvpEvent',
+    async (
+        { chatId, messageId, eventId, status, addToTasks = false },
+        { getState, rejectWithValue }
+    ) => {
+        try {
+            const userId = getState().auth?.user?.id;
+            if (!userId) throw new Error('User not authenticated');
+
+            const response = await post(
+                `${API_URL_CHAT}/${chatId}/events/${eventId}/rsvp`,
+                { user_id: userId, status, add_to_tasks: addToTasks }
+            );
+
+            return { chatId, messageId, event: response.event };
+        } catch (error) {
+            return rejectWithValue(error.message || 'Failed to RSVP');
+        }
+    }
+);
+
 /**
  * Retry queued messages (on reconnect)
  */
@@ -353,11 +1198,35 @@ export const flushQueuedMessages = createAsyncThunk(
         if (!queued || !queued.length) return;
 
         for (const msg of queued) {
+            if (msg.message_type === 'image' && msg.image) {
+                await dispatch(
+                    sendImageMessage({
+                        chatId,
+                        senderId: msg.sender?.id,
+                        image: msg.image,
+                        tempId: msg.id,
+                    })
+                );
+                continue;
+            }
+            if (msg.message_type === 'voice' && msg.voice) {
+                await dispatch(
+                    sendVoiceMessage({
+                        chatId,
+                        senderId: msg.sender?.id,
+                        voice: msg.voice,
+                        tempId: msg.id,
+                    })
+                );
+                continue;
+            }
+
             try {
                 const payload = {
                     sender_id: msg.sender_id,
                     message: msg.content,
                     message_type: msg.message_type || 'text',
+                    ...mentionPayload(msg.mentions),
                 };
                 const response = await post(
                     `${API_URL_CHAT}/${chatId}/messages`,
@@ -373,6 +1242,7 @@ export const flushQueuedMessages = createAsyncThunk(
                             sender: { id: msg.sender_id },
                             content: msg.content,
                             message_type: msg.message_type || 'text',
+                            mentions: msg.mentions || [],
                             timestamp: new Date().toISOString(),
                         },
                     })
@@ -41,7 +41,7 @@
  */
 
 import { createAsyncThunk } from '@reduxjs/toolkit';
-import { get, post, del } from '../../utils/api';
+import { get, post, del, getErrorMeta } from '../../utils/api';
 import { API_URL_DOCUMENTS } from '../../utils/apiPaths';
 import { BASE_URL } from '../../utils/config';
 
@@ -87,7 +87,10 @@ export const addDocument = createAsyncThunk(
             await post(`${API_URL_DOCUMENTS}`, enrichedDoc);
             return enrichedDoc;
         } catch (error) {
-            return rejectWithValue(error.message || 'Failed to add document');
+            return rejectWithValue(
+                error.message || 'Failed to add document',
+                getErrorMeta(error)
+            );
         }
     }
 );
@@ -108,7 +111,8 @@ export const removeDocument = createAsyncThunk(
             return doc.url;
         } catch (error) {
             return rejectWithValue(
-                error.message || 'Failed to remove document'
+                error.message || 'Failed to remove document',
+                getErrorMeta(error)
             );
         }
     }
@@ -126,7 +130,8 @@ export const clearAllDocuments = createAsyncThunk(
             return true;
         } catch (error) {
             return rejectWithValue(
-                error.message || 'Failed to clear documents'
+                error.message || 'Failed to clear documents',
+                getErrorMeta(error)
             );
         }
     }
@@ -147,7 +152,8 @@ export const markDocumentAsRead = createAsyncThunk(
             return documentId.documentId;
         } catch (error) {
             return rejectWithValue(
-                error.message || 'Failed to mark document as read'
+                error.message || 'Failed to mark document as read',
+                getErrorMeta(error)
             );
         }
     }
@@ -168,7 +174,8 @@ export const markDocumentAsUnread = createAsyncThunk(
             return documentId.documentId;
         } catch (error) {
             return rejectWithValue(
-                error.message || 'Failed to mark document as unread'
+                error.message || 'Failed to mark document as unread',
+                getErrorMeta(error)
             );
         }
     }
@@ -38,7 +38,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { setEmergencySettings } from '../reducers/emergencyReducer';
 import { DEV_MODE } from '../../utils/config';
 import { mockEmergencySettings } from '../../data/mockData';
-import { get, post, del } from '../../utils/api';
+import { get, post, del, getErrorMeta } from '../../utils/api';
 import { API_URL_USERS } from '../../utils/apiPaths';
 
 // Load local emergency settings from AsyncStorage (or mock)
@@ -102,7 +102,10 @@ export const addEmergencyContact = createAsyncThunk(
             });
             return { user_id, name, phone_number }; // you can return full object if backend returns it
         } catch (err) {
-            return rejectWithValue(err.message || 'Failed to add contact');
+            return rejectWithValue(
+                err.message || 'Failed to add contact',
+                getErrorMeta(err)
+            );
         }
     }
 );
@@ -115,7 +118,10 @@ export const deleteEmergencyContact = createAsyncThunk(
             await del(`${API_URL_USERS}/emergency-contacts/${contactId}`);
             return contactId;
         } catch (err) {
-            return rejectWithValue(err.message || 'Failed to delete contact');
+            return rejectWithValue(
+                err.message || 'Failed to delete contact',
+                getErrorMeta(err)
+            );
         }
     }
 );
@@ -12,11 +12,20 @@
  *
  * - **verifyOtp({ user_id, otp_code })**
  *   - POST `${API_URL_USERS}/verify-otp` with user id + code.
+ *   - Persists the returned token pair and user via `saveSession`. The tokens are required:
+ *     a response without `access_token` fails schema validation and rejects.
  *   - Returns API response object.
  *   - On error: rejects with `error.message` or fallback "OTP verification failed".
  *
+ * - **restoreSession()**
+ *   - Loads the stored session on launch (`loadSession`).
+ *   - Returns `{ user }` when a session exists, otherwise `{ user: null }`.
+ *
  * - **logout()**
- *   - Clears session (commented-out AsyncStorage removal).
+ *   - POST `${API_URL_USERS}/logout` with the refresh token so the server revokes it
+ *     (best effort; failures are ignored so logout always works offline).
+ *   - Wipes the stored tokens (`clearSession`), forgets the session AES key (`resetSessionKey`)
+ *     and disconnects the socket.
  *   - Returns `true`.
  *
  * - **updateUserLocation({ userId, latitude, longitude })**
@@ -25,7 +34,8 @@
  *   - On error: rejects with `error.message` or fallback "Failed to update location".
  *
  * Notes:
- * - Uses `post` and `patch` from `utils/api`.
+ * - Uses `post` and `patch` from `utils/api`; once a session exists every request
+ *   carries the bearer token and refreshes it on 401.
  * - AsyncStorage ensures phone and country persistence for OTP login flow.
  *
  * Author: Sunidhi Abhange
@@ -33,8 +43,18 @@
 
 import { createAsyncThunk } from '@reduxjs/toolkit';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { post, patch } from '../../utils/api';
+import { post, patch, getErrorMeta } from '../../utils/api';
 import { API_URL_USERS } from '../../utils/apiPaths.js';
+import {
+    saveSession,
+    loadSession,
+    clearSession,
+    getRefreshToken,
+    parseTokenResponse,
+    updateSessionUser,
+} from '../../utils/session';
+import { disconnectSocket } from '../../utils/socket';
+import { resetSessionKey } from '../../utils/keyExchange';
 
 /**
  * Request OTP for a phone number
@@ -70,6 +90,12 @@ export const verifyOtp = createAsyncThunk(
                 otp_code,
             });
 
+            // The response schema requires `access_token`, so a session is always issued here
+            await saveSession({
+                ...parseTokenResponse(data),
+                user: data.user || null,
+            });
+
             return data;
         } catch (error) {
             return rejectWithValue(error.message || 'OTP verification failed');
@@ -77,11 +103,45 @@ export const verifyOtp = createAsyncThunk(
     }
 );
 
+/**
+ * Restore a persisted session on launch
+ */
+export const restoreSession = createAsyncThunk(
+    'auth/restoreSession',
+    async (_, { rejectWithValue }) => {
+        try {
+            const session = await loadSession();
+            return { user: session?.user || null };
+        } catch (error) {
+            return rejectWithValue(
+                error.message || 'Failed to restore session'
+            );
+        }
+    }
+);
+
 /**
  * Logout
  */
 export const logout = createAsyncThunk('auth/logout', async () => {
     // await AsyncStorage.multiRemove(['countryCode', 'lastPhone']);
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+        try {
+            await post(
+                `${API_URL_USERS}/logout`,
+                { refresh_token: refreshToken },
+                {},
+                { skipAuthRefresh: true }
+            );
+        } catch (error) {
+            console.warn('Token revocation failed:', error.message);
+        }
+    }
+
+    await clearSession();
+    resetSessionKey();
+    disconnectSocket();
     return true;
 });
 
@@ -90,16 +150,23 @@ export const logout = createAsyncThunk('auth/logout', async () => {
  */
 export const updateUserLocation = createAsyncThunk(
     'auth/updateUserLocation',
-    async ({ userId, latitude, longitude }, { rejectWithValue }) => {
+    async ({ userId, latitude, longitude }, { getState, rejectWithValue }) => {
         try {
             const data = await patch(`${API_URL_USERS}/${userId}/location`, {
                 latitude,
                 longitude,
             });
+
+            const user = getState().auth?.user;
+            if (user) {
+                await updateSessionUser({ ...user, latitude, longitude });
+            }
+
             return data;
         } catch (error) {
             return rejectWithValue(
-                error.message || 'Failed to update location'
+                error.message || 'Failed to update location',
+                getErrorMeta(error)
             );
         }
     }
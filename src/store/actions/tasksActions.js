@@ -6,11 +6,11 @@
  * Exports:
  * - **fetchTasks(userId)**
  *   - GET `${API_URL_TASKS}/:userId`
- *   - Returns `response.tasks || []`
+ *   - Returns `response.tasks`
  *
  * - **fetchTaskProgress(userId)**
  *   - GET `${API_URL_TASKS}/progress/:userId`
- *   - Returns `response.completedTasks || []`
+ *   - Returns `response.completedTasks`
  *
  * - **completeTask({ userId, taskId })**
  *   - POST `${API_URL_TASKS}/complete` with `{ user_id, task_id }`
@@ -20,8 +20,14 @@
  *   - POST `${API_URL_TASKS}/uncomplete` with `{ user_id, task_id }`
  *   - Returns `{ taskId, ...response }`
  *
+ * Cancellation:
+ * - The fetch thunks forward the thunk `signal` to `get`, so calling `.abort()` on the
+ *   dispatched promise cancels the underlying request.
+ *
  * Error Handling:
  * - Each thunk rejects with `error.message` or a friendly fallback string.
+ * - Response shapes are guaranteed by `utils/apiSchemas.js`: a response without `tasks` or
+ *   `completedTasks` rejects with the schema error instead of resolving to an empty list.
  *
  * Dependencies:
  * - `get`, `post` from `utils/api`
@@ -32,15 +38,20 @@
 
 import { createAsyncThunk } from '@reduxjs/toolkit';
 import { API_URL_TASKS } from '../../utils/apiPaths';
-import { get, post } from '../../utils/api';
+import { get, post, getErrorMeta } from '../../utils/api';
 
 // GET /tasks - Fetch all active checklist tasks
 export const fetchTasks = createAsyncThunk(
     'tasks/fetchTasks',
-    async (userId, { rejectWithValue }) => {
+    async (userId, { rejectWithValue, signal }) => {
         try {
-            const response = await get(`${API_URL_TASKS}/${userId}`);
-            return response?.tasks || [];
+            const response = await get(
+                `${API_URL_TASKS}/${userId}`,
+                {},
+                {},
+                { signal }
+            );
+            return response.tasks;
         } catch (error) {
             return rejectWithValue(error.message || 'Failed to fetch tasks');
         }
@@ -50,10 +61,15 @@ export const fetchTasks = createAsyncThunk(
 // GET /tasks/progress/:user_id - Get user's completed task IDs
 export const fetchTaskProgress = createAsyncThunk(
     'tasks/fetchTaskProgress',
-    async (userId, { rejectWithValue }) => {
+    async (userId, { rejectWithValue, signal }) => {
         try {
-            const response = await get(`${API_URL_TASKS}/progress/${userId}`);
-            return response?.completedTasks || [];
+            const response = await get(
+                `${API_URL_TASKS}/progress/${userId}`,
+                {},
+                {},
+                { signal }
+            );
+            return response.completedTasks;
         } catch (error) {
             return rejectWithValue(error.message || 'Failed to fetch progress');
         }
@@ -69,7 +85,10 @@ export const completeTask = createAsyncThunk(
             const response = await post(`${API_URL_TASKS}/complete`, payload);
             return { taskId, ...response };
         } catch (error) {
-            return rejectWithValue(error.message || 'Failed to complete task');
+            return rejectWithValue(
+                error.message || 'Failed to complete task',
+                getErrorMeta(error)
+            );
         }
     }
 );
@@ -84,7 +103,8 @@ export const uncompleteTask = createAsyncThunk(
             return { taskId, ...response };
         } catch (error) {
             return rejectWithValue(
-                error.message || 'Failed to uncomplete task'
+                error.message || 'Failed to uncomplete task',
+                getErrorMeta(error)
             );
         }
     }
@@ -1,4 +1,3 @@
-
 // src/store/index.js
 /**
  * index.js (Redux Store Configuration)
@@ -10,9 +9,20 @@
  * Key Responsibilities:
  * - **Reducer Composition**: Combines all slice reducers into a single `rootReducer`.
  * - **Middleware Setup**: Applies Redux Toolkit's default middleware with
- *   `serializableCheck` disabled (required for socket objects and custom functions).
+ *   `serializableCheck` disabled (required for socket objects and custom functions),
+ *   plus state persistence (`middleware/persistMiddleware.js`), the per-chat message cache
+ *   (`middleware/messageCacheMiddleware.js`), delivery acknowledgements
+ *   (`middleware/deliveryReceiptMiddleware.js`) and the offline outbox
+ *   (`middleware/outboxMiddleware.js`).
+ * - **Persistence**: The root reducer is wrapped with `withRehydration`, which restores the
+ *   slices allowlisted in `persistConfig.js` on launch and resets them on logout.
  * - **DevTools Integration**: Enables Redux DevTools extension only in
  *   development mode for easier debugging.
+ * - **Session Expiry**: Registers a handler with `utils/session` that resets the `auth` slice
+ *   and dispatches `logout()` when the server rejects a token refresh, so the next user to sign
+ *   in does not inherit the previous user's persisted slices, outbox or message cache.
+ * - **Socket Status**: Registers a handler with `utils/socket` that mirrors the socket's
+ *   connection state into the `connection` slice.
  *
  * Store Structure (state tree):
  * - **Auth**:
@@ -29,6 +39,10 @@
  *   - `alerts` → alertsReducer
  *   - `emergency` → emergencyReducer
  *   - `gamification` → gamificationReducer
+ * - **Sync**:
+ *   - `outbox` → outboxReducer (mutations queued while offline)
+ *   - `persist` → persistReducer (rehydration status)
+ *   - `connection` → connectionReducer (real-time socket status)
  * - **Games**:
  *   - `quizzes` → quizzesReducer
  *   - `tasks` → tasksReducer
@@ -39,15 +53,26 @@
  * Notes:
  * - This store is the single source of truth for all global application state.
  * - All reducers should be pure functions and only respond to their slice of the state.
- * - New feature slices must be imported and added to `rootReducer`.
+ * - New feature slices must be imported and added to `rootReducer`; add them to
+ *   `persistAllowlist` (and bump `PERSIST_VERSION` on shape changes) to keep them across launches.
  *
  * Author: Sunidhi Abhange
  */
 
 import { configureStore, combineReducers } from '@reduxjs/toolkit';
+import { setSessionExpiredHandler } from '../utils/session';
+import { setConnectionStatusHandler } from '../utils/socket';
+import { createOutboxMiddleware } from './middleware/outboxMiddleware';
+import { createMessageCacheMiddleware } from './middleware/messageCacheMiddleware';
+import { createDeliveryReceiptMiddleware } from './middleware/deliveryReceiptMiddleware';
+import {
+    createPersistMiddleware,
+    withRehydration,
+} from './middleware/persistMiddleware';
 
 // Auth-related reducers
-import loginReducer from './reducers/loginReducer';
+import loginReducer, { resetAuthState } from './reducers/loginReducer';
+import { logout } from './actions/loginActions';
 import registrationReducer from './reducers/registrationReducer';
 
 // UI-related
@@ -63,6 +88,13 @@ import chatReducer from './reducers/chatReducer';
 import gamificationReducer from './reducers/gamificationReducer';
 import documentsReducer from './reducers/documentsReducer';
 
+// Sync
+import outboxReducer from './reducers/outboxReducer';
+import persistReducer from './reducers/persistReducer';
+import connectionReducer, {
+    connectionStatusChanged,
+} from './reducers/connectionReducer';
+
 // Game modules
 import quizzesReducer from './reducers/quizReducer';
 import tasksReducer from './reducers/tasksReducer';
@@ -89,6 +121,11 @@ const rootReducer = combineReducers({
     emergency: emergencyReducer,
     gamification: gamificationReducer,
 
+    // Sync
+    outbox: outboxReducer,
+    persist: persistReducer,
+    connection: connectionReducer,
+
     // Games
     quizzes: quizzesReducer,
     tasks: tasksReducer,
@@ -99,12 +136,29 @@ const rootReducer = combineReducers({
 
 // Configure the Redux store
 const store = configureStore({
-    reducer: rootReducer,
+    reducer: withRehydration(rootReducer),
     middleware: (getDefaultMiddleware) =>
         getDefaultMiddleware({
             serializableCheck: false, // Needed for socket and custom functions
-        }),
+        }).concat(
+            createPersistMiddleware(),
+            createMessageCacheMiddleware(),
+            createDeliveryReceiptMiddleware(),
+            createOutboxMiddleware()
+        ),
     devTools: process.env.NODE_ENV === 'development',
 });
 
+// A rejected token refresh signs the user out: `auth` is reset at once, and `logout` then
+// clears what `logout.fulfilled` clears (persisted slices, outbox, message cache, receipts)
+setSessionExpiredHandler(() => {
+    store.dispatch(resetAuthState());
+    store.dispatch(logout());
+});
+
+// Socket lifecycle → `state.connection`
+setConnectionStatusHandler((update) =>
+    store.dispatch(connectionStatusChanged(update))
+);
+
 export default store;
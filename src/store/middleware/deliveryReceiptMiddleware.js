@@ -0,0 +1,107 @@
+// src/store/middleware/deliveryReceiptMiddleware.js
+/**
+ * deliveryReceiptMiddleware.js
+ *
+ * Acknowledges messages with `chat:delivered` (`{ chatId, messageId, userId }`) as soon as they
+ * reach the device, whichever screen is open. An acknowledgement covers everything up to
+ * `messageId` in that chat, so one is sent per chat rather than one per message.
+ *
+ * Sources:
+ * 1. **Socket**: every `chat:new_message` from another member (thread replies included) is
+ *    acknowledged, from app start on; no chat screen needs to be open.
+ * 2. **fetchMessages.fulfilled**: the newest message from another member is acknowledged,
+ *    unless its receipt for the current user already has `delivered_at`.
+ * 3. **fetchActiveChats.fulfilled**: each chat's `last_message_id` is acknowledged unless the
+ *    user sent it (`last_message_sender_id`), which covers the messages that arrived while the
+ *    app was closed.
+ *
+ * Usage:
+ * ```js
+ * configureStore({
+ *     reducer,
+ *     middleware: (gdm) => gdm().concat(createDeliveryReceiptMiddleware()),
+ * });
+ * ```
+ *
+ * Notes:
+ * - The last message acknowledged per chat is remembered, so refetching a chat does not
+ *   acknowledge it again; it is forgotten on `logout.fulfilled`.
+ * - Nothing is remembered while the socket is disconnected (`emitEvent` drops the event), so
+ *   the next fetch acknowledges those messages.
+ * - Nothing is sent while no user is signed in.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { fetchActiveChats, fetchMessages } from '../actions/chatActions';
+import { logout } from '../actions/loginActions';
+import { emitEvent, onEvent } from '../../utils/socket';
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+// Newest message another member sent, if the current user's device has not acknowledged it
+const newestUndelivered = (messages = [], userId) => {
+    const newest = [...messages]
+        .reverse()
+        .find((message) => !sameId(message.sender?.id, userId));
+    if (!newest) return null;
+    const mine = (newest.receipts || []).find((r) =>
+        sameId(r.user?.id, userId)
+    );
+    return mine?.delivered_at ? null : newest;
+};
+
+export const createDeliveryReceiptMiddleware =
+    ({ subscribe = onEvent, emit = emitEvent } = {}) =>
+    (store) => {
+        const acknowledged = new Map();
+
+        const acknowledge = (chatId, messageId) => {
+            const userId = store.getState().auth?.user?.id;
+            if (!userId || chatId == null || messageId == null) return;
+            if (sameId(acknowledged.get(String(chatId)), messageId)) return;
+
+            const sent = emit('chat:delivered', { chatId, messageId, userId });
+            if (sent) acknowledged.set(String(chatId), messageId);
+        };
+
+        subscribe('chat:new_message', (message) => {
+            const userId = store.getState().auth?.user?.id;
+            if (!message || sameId(message.sender?.id, userId)) return;
+            acknowledge(message.chat_id, message.id);
+        });
+
+        return (next) => (action) => {
+            const result = next(action);
+
+            switch (action.type) {
+                case fetchMessages.fulfilled.type: {
+                    const { chatId, messages } = action.payload || {};
+                    const userId = store.getState().auth?.user?.id;
+                    const newest = newestUndelivered(messages, userId);
+                    if (newest) acknowledge(chatId, newest.id);
+                    break;
+                }
+                case fetchActiveChats.fulfilled.type: {
+                    const userId = store.getState().auth?.user?.id;
+                    (action.payload || [])
+                        .filter(
+                            (chat) =>
+                                !sameId(chat.last_message_sender_id, userId)
+                        )
+                        .forEach((chat) =>
+                            acknowledge(chat.chat_id, chat.last_message_id)
+                        );
+                    break;
+                }
+                case logout.fulfilled.type:
+                    acknowledged.clear();
+                    break;
+                default:
+                    break;
+            }
+            return result;
+        };
+    };
+
+export default createDeliveryReceiptMiddleware;
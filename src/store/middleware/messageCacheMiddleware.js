@@ -0,0 +1,118 @@
+// src/store/middleware/messageCacheMiddleware.js
+/**
+ * messageCacheMiddleware.js
+ *
+ * Keeps the on-device message cache (`utils/messageCache.js`) in step with
+ * `state.chat.messagesByChatId`, one storage entry per chat.
+ *
+ * Flow:
+ * 1. **Track**: after each action, chats whose message list changed (by reference) are marked
+ *    dirty; chats removed from the state are marked too, so their entry is deleted.
+ * 2. **Write**: dirty chats are written together, throttled to one write per
+ *    `PERSIST_THROTTLE_MS`; a pending write is flushed when the app leaves the foreground.
+ * 3. **Logout**: `logout.fulfilled` drops pending writes and clears every cached chat.
+ *
+ * Usage:
+ * ```js
+ * configureStore({
+ *     reducer,
+ *     middleware: (gdm) => gdm().concat(createMessageCacheMiddleware()),
+ * });
+ * ```
+ *
+ * Notes:
+ * - Reading the cache is not done here: `fetchMessages` restores a chat's entry when the chat
+ *   is opened with nothing in memory, so only chats the user visits are loaded.
+ * - `messagesByChatId` is not in `persistAllowlist`; this cache replaces it.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { logout } from '../actions/loginActions';
+import { PERSIST_THROTTLE_MS } from '../persistConfig';
+import {
+    writeCachedMessages,
+    clearCachedMessages,
+} from '../../utils/messageCache';
+
+const selectMessages = (state) => state.chat?.messagesByChatId || {};
+
+export const createMessageCacheMiddleware =
+    ({
+        storage = AsyncStorage,
+        appState = AppState,
+        throttleMs = PERSIST_THROTTLE_MS,
+    } = {}) =>
+    (store) => {
+        let started = false;
+        let timer = null;
+        let last = null;
+        const dirty = new Set();
+
+        const cancelWrite = () => {
+            if (timer) clearTimeout(timer);
+            timer = null;
+        };
+
+        const write = () => {
+            cancelWrite();
+            const messagesByChatId = selectMessages(store.getState());
+            const chatIds = [...dirty];
+            dirty.clear();
+            return Promise.all(
+                chatIds.map((chatId) =>
+                    writeCachedMessages(
+                        chatId,
+                        messagesByChatId[chatId],
+                        storage
+                    )
+                )
+            );
+        };
+
+        const scheduleWrite = () => {
+            if (!timer) timer = setTimeout(write, throttleMs);
+        };
+
+        const start = () => {
+            if (started) return;
+            started = true;
+            last = selectMessages(store.getState());
+
+            appState?.addEventListener?.('change', (status) => {
+                if (status !== 'active' && timer) write();
+            });
+        };
+
+        return (next) => (action) => {
+            start();
+
+            const result = next(action);
+            const current = selectMessages(store.getState());
+
+            if (action.type === logout.fulfilled.type) {
+                cancelWrite();
+                dirty.clear();
+                last = current;
+                clearCachedMessages(storage);
+                return result;
+            }
+
+            if (current === last) return result;
+
+            Object.keys(current).forEach((chatId) => {
+                if (current[chatId] !== last[chatId]) dirty.add(chatId);
+            });
+            Object.keys(last).forEach((chatId) => {
+                if (!(chatId in current)) dirty.add(chatId);
+            });
+            last = current;
+
+            if (dirty.size) scheduleWrite();
+            return result;
+        };
+    };
+
+export default createMessageCacheMiddleware;
@@ -0,0 +1,272 @@
+// src/store/middleware/outboxMiddleware.js
+/**
+ * outboxMiddleware.js
+ *
+ * Durable offline outbox for mutating thunks. When a registered thunk (see
+ * `outboxRegistry.js`) fails because the device is offline, the mutation is stored and
+ * replayed in order once connectivity returns.
+ *
+ * Flow:
+ * 1. **Capture**: a `rejected` action of a registered thunk is queued when its rejection meta
+ *    carries `code: 'NETWORK' | 'TIMEOUT'` (`isConnectivityError` in `utils/apiError.js`; a key
+ *    exchange that could not reach the server reports these too) or NetInfo
+ *    reports the device offline. If the entry defines `optimistic`, the rejection is replaced
+ *    by a synthetic `fulfilled` action (`meta.queued = true`) so the UI shows the change.
+ * 2. **Persist**: every change to `state.outbox.queue` is written to AsyncStorage
+ *    (`resqzone.outbox`) once the stored queue has been hydrated on start-up.
+ * 3. **Replay**: on start-up, on the NetInfo offline → online transition and on
+ *    `requestOutboxSync()`, entries are re-dispatched one at a time, oldest first.
+ *    - Success → `mutationSynced`.
+ *    - Connectivity failure, 408/425/429 or 5xx → `mutationRetried` and the replay stops, keeping
+ *      order; after `MAX_REPLAY_ATTEMPTS` the entry is treated as a conflict.
+ *    - Any other rejection (e.g. 404/409 because the data changed on the server) is a
+ *      conflict: `mutationConflicted` records it for the UI and the entry's `resync` action
+ *      reloads the server's version ("server wins").
+ *
+ * Usage:
+ * ```js
+ * configureStore({
+ *     reducer,
+ *     middleware: (gdm) => gdm().concat(createOutboxMiddleware()),
+ * });
+ * ```
+ *
+ * Notes:
+ * - Replays dispatch the real thunk, so their `fulfilled` actions reach the reducers again;
+ *   reducers of registered thunks must therefore be idempotent.
+ * - The middleware starts (hydration + NetInfo subscription) on the first dispatched action.
+ * - With the `persist` slice present, replays wait for `stateRehydrated` so the restored
+ *   snapshot cannot overwrite the results of a replay.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { outboxRegistry } from './outboxRegistry';
+import {
+    outboxHydrated,
+    mutationQueued,
+    mutationSynced,
+    mutationRetried,
+    mutationConflicted,
+    setOutboxSyncing,
+    requestOutboxSync,
+} from '../reducers/outboxReducer';
+import { stateRehydrated } from '../reducers/persistReducer';
+import { isConnectivityError } from '../../utils/apiError';
+
+export const OUTBOX_STORAGE_KEY = 'resqzone.outbox';
+export const MAX_REPLAY_ATTEMPTS = 5;
+
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const isOnlineState = (state) =>
+    state?.isConnected !== false && state?.isInternetReachable !== false;
+
+let entrySequence = 0;
+const createEntryId = () => {
+    entrySequence += 1;
+    return `${Date.now().toString(36)}-${entrySequence.toString(36)}`;
+};
+
+const getTypePrefix = (type = '') =>
+    type.endsWith('/rejected') ? type.slice(0, -'/rejected'.length) : null;
+
+export const createOutboxMiddleware =
+    ({
+        registry = outboxRegistry,
+        storage = AsyncStorage,
+        netInfo = NetInfo,
+    } = {}) =>
+    (store) => {
+        let started = false;
+        let isOnline = true;
+        let flushing = null;
+        const replaying = new Set();
+
+        const getOutbox = () => store.getState().outbox || {};
+
+        const persist = (queue) =>
+            storage
+                .setItem(OUTBOX_STORAGE_KEY, JSON.stringify(queue))
+                .catch((error) =>
+                    console.warn('Failed to persist outbox:', error)
+                );
+
+        const replay = async (entry) => {
+            const definition = registry[entry.type];
+            if (!definition) {
+                store.dispatch(
+                    mutationConflicted({
+                        id: entry.id,
+                        message: 'This change can no longer be synced',
+                    })
+                );
+                return true;
+            }
+
+            const promise = store.dispatch(definition.thunk(entry.arg));
+            replaying.add(promise.requestId);
+
+            let result;
+            try {
+                result = await promise;
+            } finally {
+                replaying.delete(promise.requestId);
+            }
+
+            if (definition.thunk.fulfilled.match(result)) {
+                store.dispatch(mutationSynced(entry.id));
+                return true;
+            }
+
+            const meta = result?.meta || {};
+            const transient =
+                isConnectivityError(meta) ||
+                TRANSIENT_STATUSES.includes(meta.status);
+
+            if (transient && (entry.attempts || 0) + 1 < MAX_REPLAY_ATTEMPTS) {
+                store.dispatch(mutationRetried(entry.id));
+                return false;
+            }
+
+            store.dispatch(
+                mutationConflicted({
+                    id: entry.id,
+                    message:
+                        result?.payload ||
+                        result?.error?.message ||
+                        'Rejected by server',
+                    status: meta.status ?? null,
+                })
+            );
+            if (definition.resync) {
+                store.dispatch(definition.resync(entry.arg, store.getState()));
+            }
+            return true;
+        };
+
+        const flush = () => {
+            const { hydrated, queue = [] } = getOutbox();
+            const waitingForState =
+                store.getState().persist?.rehydrated === false;
+            if (
+                flushing ||
+                !isOnline ||
+                !hydrated ||
+                waitingForState ||
+                !queue.length
+            ) {
+                return flushing;
+            }
+
+            flushing = (async () => {
+                store.dispatch(setOutboxSyncing(true));
+                const visited = new Set();
+                try {
+                    for (;;) {
+                        const entry = (getOutbox().queue || []).find(
+                            (e) => !visited.has(e.id)
+                        );
+                        if (!entry) break;
+                        visited.add(entry.id);
+
+                        const keepGoing = await replay(entry);
+                        if (!keepGoing || !isOnline) break;
+                    }
+                } catch (error) {
+                    console.warn('Outbox replay failed:', error);
+                } finally {
+                    store.dispatch(setOutboxSyncing(false));
+                    flushing = null;
+                }
+            })();
+
+            return flushing;
+        };
+
+        const hydrate = async () => {
+            let persisted = [];
+            try {
+                const raw = await storage.getItem(OUTBOX_STORAGE_KEY);
+                persisted = raw ? JSON.parse(raw) : [];
+            } catch (error) {
+                console.warn('Failed to read outbox:', error);
+            }
+
+            store.dispatch(outboxHydrated(persisted));
+            flush();
+        };
+
+        const start = () => {
+            if (started) return;
+            started = true;
+
+            netInfo.addEventListener((state) => {
+                const wasOnline = isOnline;
+                isOnline = isOnlineState(state);
+                if (isOnline && !wasOnline) flush();
+            });
+            hydrate();
+        };
+
+        const capture = (action) => {
+            const definition = registry[getTypePrefix(action.type)];
+            const meta = action.meta || {};
+
+            if (
+                !definition ||
+                replaying.has(meta.requestId) ||
+                meta.aborted ||
+                meta.condition ||
+                !(isConnectivityError(meta) || !isOnline)
+            ) {
+                return null;
+            }
+
+            store.dispatch(
+                mutationQueued({
+                    id: createEntryId(),
+                    type: definition.thunk.typePrefix,
+                    arg: meta.arg ?? null,
+                    queuedAt: new Date().toISOString(),
+                    attempts: 0,
+                    optimistic: !!definition.optimistic,
+                    coalesce: !!definition.coalesce,
+                })
+            );
+
+            return definition.optimistic
+                ? definition.thunk.fulfilled(
+                      definition.optimistic(meta.arg, store.getState()),
+                      meta.requestId,
+                      meta.arg,
+                      { queued: true }
+                  )
+                : null;
+        };
+
+        return (next) => (action) => {
+            start();
+
+            const replacement = capture(action);
+            const previousQueue = getOutbox().queue;
+            const result = next(replacement || action);
+            const { queue, hydrated } = getOutbox();
+
+            if (hydrated && queue !== previousQueue) {
+                persist(queue);
+            }
+            if (
+                action.type === requestOutboxSync.type ||
+                action.type === stateRehydrated.type
+            ) {
+                flush();
+            }
+
+            return result;
+        };
+    };
+
+export default createOutboxMiddleware;
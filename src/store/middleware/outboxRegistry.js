@@ -0,0 +1,199 @@
+// src/store/middleware/outboxRegistry.js
+/**
+ * outboxRegistry.js
+ *
+ * Declares which mutating thunks the offline outbox may queue and replay, keyed by
+ * the thunk `typePrefix`.
+ *
+ * Entry shape:
+ * - `thunk`: the `createAsyncThunk` action creator, re-dispatched with the stored `arg`.
+ * - `optimistic(arg, state)` *(optional)*: payload for a synthetic `thunk.fulfilled` action
+ *   dispatched when the mutation is queued, so the UI reflects the change while offline.
+ *   The replay's real `fulfilled` action reaches the reducers too, so they must be idempotent.
+ * - `resync(arg, state)` *(optional)*: action to dispatch when the server rejects the replay
+ *   (conflict), reloading the authoritative data ("server wins").
+ * - `coalesce` *(optional)*: only the latest queued entry of this type is kept (e.g. location).
+ *
+ * Not registered on purpose:
+ * - Chat creation / membership thunks, quiz submission and badge awards: the UI needs the
+ *   server's response right away.
+ * - `sendMessage` / `sendImageMessage` / `sendVoiceMessage`: chat keeps its own pending-message
+ *   queue (`queuePendingMessage`); photos and voice notes wait there with their local file and
+ *   are uploaded on flush.
+ * - `sendThreadReply`: the thread keeps the unsent text in its input and asks to retry.
+ * - Poll and event thunks (`createPoll`, `votePoll`, `closePoll`, `createEvent`, `rsvpEvent`):
+ *   tallies, capacity and closing are decided by the server, so a replayed vote or RSVP could
+ *   land on a poll that has closed or an event that is full.
+ * - `addReaction` / `removeReaction`: whether a tap adds or removes is decided from the
+ *   reactions on screen, so a late replay could undo a change made since.
+ * - `editMessage` / `deleteMessage`: both are only allowed for a short time after sending
+ *   (`utils/messageEdits.js`), which a replay after reconnecting could easily miss.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import {
+    completeTask,
+    uncompleteTask,
+    fetchTaskProgress,
+} from '../actions/tasksActions';
+import {
+    markAlertAsRead,
+    deleteAlert,
+    fetchUserAlerts,
+} from '../actions/alertsActions';
+import {
+    addBookmark,
+    removeBookmark,
+    clearBookmarksAndPersist,
+    loadBookmarks,
+} from '../actions/bookmarksActions';
+import {
+    addDocument,
+    removeDocument,
+    clearAllDocuments,
+    markDocumentAsRead,
+    markDocumentAsUnread,
+    fetchDocuments,
+} from '../actions/documentsActions';
+import {
+    addEmergencyContact,
+    deleteEmergencyContact,
+    fetchEmergencyContacts,
+} from '../actions/emergencyActions';
+import { updateUserLocation } from '../actions/loginActions';
+import {
+    updateChatPreferences,
+    fetchActiveChats,
+} from '../actions/chatActions';
+import {
+    applyPreferenceChanges,
+    preferencesOf,
+} from '../../utils/chatPreferences';
+
+const currentUserId = (state) => state?.auth?.user?.id;
+
+const entries = [
+    // Tasks
+    {
+        thunk: completeTask,
+        optimistic: ({ taskId }) => ({ taskId }),
+        resync: ({ userId }) => fetchTaskProgress(userId),
+    },
+    {
+        thunk: uncompleteTask,
+        optimistic: ({ taskId }) => ({ taskId }),
+        resync: ({ userId }) => fetchTaskProgress(userId),
+    },
+
+    // Alerts
+    {
+        thunk: markAlertAsRead,
+        optimistic: ({ alertId, alertType }) => ({
+            alertId,
+            alertType,
+            response: null,
+        }),
+        resync: ({ userId }, state) =>
+            fetchUserAlerts(userId ?? currentUserId(state)),
+    },
+    {
+        thunk: deleteAlert,
+        optimistic: (alertId) => alertId,
+        resync: (_, state) => fetchUserAlerts(currentUserId(state)),
+    },
+
+    // Bookmarks
+    {
+        thunk: addBookmark,
+        optimistic: (article, state) => ({
+            ...article,
+            user_id: currentUserId(state),
+            bookmarkedAt: new Date().toISOString(),
+        }),
+        resync: () => loadBookmarks(),
+    },
+    {
+        thunk: removeBookmark,
+        optimistic: (article) => article?.url,
+        resync: () => loadBookmarks(),
+    },
+    {
+        thunk: clearBookmarksAndPersist,
+        optimistic: () => true,
+        resync: () => loadBookmarks(),
+    },
+
+    // Documents
+    {
+        thunk: addDocument,
+        optimistic: (doc, state) => ({
+            ...doc,
+            user_id: currentUserId(state),
+            uploadedAt: new Date().toISOString(),
+        }),
+        resync: () => fetchDocuments(),
+    },
+    {
+        thunk: removeDocument,
+        optimistic: (doc) => doc?.url,
+        resync: () => fetchDocuments(),
+    },
+    {
+        thunk: clearAllDocuments,
+        optimistic: () => true,
+        resync: () => fetchDocuments(),
+    },
+    {
+        thunk: markDocumentAsRead,
+        optimistic: ({ documentId }) => documentId,
+        resync: () => fetchDocuments(),
+    },
+    {
+        thunk: markDocumentAsUnread,
+        optimistic: ({ documentId }) => documentId,
+        resync: () => fetchDocuments(),
+    },
+
+    // Emergency contacts
+    {
+        thunk: addEmergencyContact,
+        optimistic: ({ user_id, name, phone_number }) => ({
+            user_id,
+            name,
+            phone_number,
+        }),
+        resync: ({ user_id }) => fetchEmergencyContacts(user_id),
+    },
+    {
+        thunk: deleteEmergencyContact,
+        optimistic: (contactId) => contactId,
+        resync: (_, state) => fetchEmergencyContacts(currentUserId(state)),
+    },
+
+    // Profile
+    { thunk: updateUserLocation, coalesce: true },
+
+    // Chat preferences (mute, archive, notifications)
+    {
+        thunk: updateChatPreferences,
+        optimistic: ({ chatId, ...changes }, state) => ({
+            chatId,
+            preferences: applyPreferenceChanges(
+                preferencesOf(
+                    state?.chat?.activeChats?.find(
+                        (c) => c.chat_id === chatId || c.id === chatId
+                    )
+                ),
+                changes
+            ),
+        }),
+        resync: () => fetchActiveChats(),
+    },
+];
+
+export const outboxRegistry = Object.fromEntries(
+    entries.map((entry) => [entry.thunk.typePrefix, entry])
+);
+
+export default outboxRegistry;
@@ -0,0 +1,253 @@
+// src/store/middleware/persistMiddleware.js
+/**
+ * persistMiddleware.js
+ *
+ * Versioned persistence of selected Redux state across app restarts. What is kept, the
+ * schema version and the migrations live in `persistConfig.js`.
+ *
+ * Flow:
+ * 1. **Rehydrate**: on the first dispatched action the snapshot is read from AsyncStorage
+ *    (`resqzone.state`), migrated to `PERSIST_VERSION` and dispatched as
+ *    `stateRehydrated({ state, version })`. `withRehydration` merges it into the allowlisted
+ *    paths before the slice reducers run, and `state.persist.rehydrated` flips to true even
+ *    when nothing usable was stored, so the UI gate always opens.
+ * 2. **Write**: after rehydration, any action that changes an allowlisted slice schedules a
+ *    write of the allowlisted paths. Writes are throttled to one per `PERSIST_THROTTLE_MS`;
+ *    a pending write is flushed immediately when the app leaves the foreground.
+ * 3. **Logout**: `logout.fulfilled` removes the snapshot and `withRehydration` resets the
+ *    allowlisted slices, so one user's data is never restored for another.
+ *
+ * Usage:
+ * ```js
+ * configureStore({
+ *     reducer: withRehydration(rootReducer),
+ *     middleware: (gdm) => gdm().concat(createPersistMiddleware()),
+ * });
+ * ```
+ *
+ * Notes:
+ * - The store must include the `persist` slice (`reducers/persistReducer.js`); writes only
+ *   start once it reports `rehydrated`, so an early action cannot overwrite the snapshot.
+ * - Stored format: `{ version, state }` as JSON.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { stateRehydrated } from '../reducers/persistReducer';
+import { logout } from '../actions/loginActions';
+import {
+    PERSIST_STORAGE_KEY,
+    PERSIST_VERSION,
+    PERSIST_THROTTLE_MS,
+    persistAllowlist,
+    persistMigrations,
+} from '../persistConfig';
+
+const isPlainObject = (value) =>
+    !!value && typeof value === 'object' && !Array.isArray(value);
+
+const getIn = (obj, keys) => keys.reduce((acc, key) => acc?.[key], obj);
+
+// Immutable set: copies every object along `keys`
+const setIn = (obj, [key, ...rest], value) => ({
+    ...(isPlainObject(obj) ? obj : {}),
+    [key]: rest.length ? setIn(obj?.[key], rest, value) : value,
+});
+
+/**
+ * Copies the allowlisted paths of each slice into a new, JSON-ready object.
+ */
+export const pickPersistedState = (state, allowlist = persistAllowlist) => {
+    const snapshot = {};
+    Object.entries(allowlist).forEach(([slice, paths]) => {
+        if (!isPlainObject(state?.[slice])) return;
+        snapshot[slice] = paths.reduce((picked, path) => {
+            const keys = path.split('.');
+            const value = getIn(state[slice], keys);
+            return value === undefined ? picked : setIn(picked, keys, value);
+        }, {});
+    });
+    return snapshot;
+};
+
+/**
+ * Writes the allowlisted paths found in `snapshot` over `state`. Anything else in the
+ * snapshot (slices or fields no longer allowlisted) is ignored.
+ */
+export const mergePersistedState = (
+    state,
+    snapshot,
+    allowlist = persistAllowlist
+) => {
+    if (!isPlainObject(snapshot)) return state;
+
+    let merged = state;
+    Object.entries(allowlist).forEach(([slice, paths]) => {
+        if (!isPlainObject(snapshot[slice])) return;
+        paths.forEach((path) => {
+            const keys = path.split('.');
+            const value = getIn(snapshot[slice], keys);
+            if (value !== undefined) {
+                merged = setIn(merged, [slice, ...keys], value);
+            }
+        });
+    });
+    return merged;
+};
+
+/**
+ * Upgrades a stored `{ version, state }` to `currentVersion`. Returns the migrated state,
+ * or `null` when the snapshot is unusable (malformed, newer than the app, or missing a
+ * migration step). Errors thrown by a migration propagate.
+ */
+export const migratePersistedState = (
+    stored,
+    migrations = persistMigrations,
+    currentVersion = PERSIST_VERSION
+) => {
+    const version = stored?.version;
+    if (
+        !Number.isInteger(version) ||
+        version > currentVersion ||
+        !isPlainObject(stored.state)
+    ) {
+        return null;
+    }
+
+    let state = stored.state;
+    for (let next = version + 1; next <= currentVersion; next++) {
+        if (typeof migrations[next] !== 'function') return null;
+        state = migrations[next](state);
+    }
+    return state;
+};
+
+/**
+ * Root reducer enhancer: merges the rehydrated snapshot and drops the persisted slices
+ * on logout, before delegating to `reducer`.
+ */
+export const withRehydration =
+    (reducer, allowlist = persistAllowlist) =>
+    (state, action) => {
+        if (state && action.type === stateRehydrated.type) {
+            return reducer(
+                mergePersistedState(state, action.payload?.state, allowlist),
+                action
+            );
+        }
+        if (state && action.type === logout.fulfilled.type) {
+            const reset = { ...state };
+            Object.keys(allowlist).forEach((slice) => delete reset[slice]);
+            return reducer(reset, action);
+        }
+        return reducer(state, action);
+    };
+
+export const createPersistMiddleware =
+    ({
+        storage = AsyncStorage,
+        appState = AppState,
+        storageKey = PERSIST_STORAGE_KEY,
+        version = PERSIST_VERSION,
+        allowlist = persistAllowlist,
+        migrations = persistMigrations,
+        throttleMs = PERSIST_THROTTLE_MS,
+    } = {}) =>
+    (store) => {
+        let started = false;
+        let timer = null;
+        let lastSlices = null;
+
+        const getSlices = (state) =>
+            Object.keys(allowlist).map((slice) => state[slice]);
+
+        const cancelWrite = () => {
+            if (timer) clearTimeout(timer);
+            timer = null;
+        };
+
+        const write = () => {
+            cancelWrite();
+            const snapshot = {
+                version,
+                state: pickPersistedState(store.getState(), allowlist),
+            };
+            return storage
+                .setItem(storageKey, JSON.stringify(snapshot))
+                .catch((error) =>
+                    console.warn('Failed to persist state:', error)
+                );
+        };
+
+        const scheduleWrite = () => {
+            if (!timer) timer = setTimeout(write, throttleMs);
+        };
+
+        const rehydrate = async () => {
+            let restored = null;
+            try {
+                const raw = await storage.getItem(storageKey);
+                if (raw) {
+                    restored = migratePersistedState(
+                        JSON.parse(raw),
+                        migrations,
+                        version
+                    );
+                    if (!restored) {
+                        console.warn('Discarding incompatible persisted state');
+                    }
+                }
+            } catch (error) {
+                console.warn('Failed to restore persisted state:', error);
+            }
+
+            store.dispatch(
+                stateRehydrated({
+                    state: restored,
+                    version: restored ? version : null,
+                })
+            );
+        };
+
+        const start = () => {
+            if (started) return;
+            started = true;
+
+            appState?.addEventListener?.('change', (status) => {
+                if (status !== 'active' && timer) write();
+            });
+            rehydrate();
+        };
+
+        return (next) => (action) => {
+            start();
+
+            const result = next(action);
+            const state = store.getState();
+
+            if (action.type === logout.fulfilled.type) {
+                cancelWrite();
+                lastSlices = getSlices(state);
+                storage
+                    .removeItem(storageKey)
+                    .catch((error) =>
+                        console.warn('Failed to clear persisted state:', error)
+                    );
+                return result;
+            }
+
+            if (!state.persist?.rehydrated) return result;
+
+            const slices = getSlices(state);
+            if (!lastSlices || slices.some((s, i) => s !== lastSlices[i])) {
+                lastSlices = slices;
+                scheduleWrite();
+            }
+
+            return result;
+        };
+    };
+
+export default createPersistMiddleware;
@@ -0,0 +1,63 @@
+// src/store/persistConfig.js
+/**
+ * persistConfig.js
+ *
+ * Declares which parts of the Redux state survive an app restart (see
+ * `middleware/persistMiddleware.js`) and how older snapshots are upgraded.
+ *
+ * Allowlist:
+ * - Keyed by slice name; each value lists the paths to keep (dot notation for nested fields).
+ * - Request flags (`loading`, `error`) and transient UI state (typing users, drafts) are left
+ *   out on purpose, so a snapshot written mid-request never restores a spinner.
+ * - `auth` and `theme` restore themselves (`restoreSession`, `loadThemeFromStorage`) and the
+ *   `outbox` keeps its own queue, so none of them are listed here.
+ * - Chat messages are kept per chat by `middleware/messageCacheMiddleware.js` instead of in
+ *   this snapshot, so `chat.messagesByChatId` is not listed either.
+ *
+ * Versioning:
+ * - `PERSIST_VERSION` must be bumped whenever a persisted path changes shape.
+ * - `persistMigrations[n]` upgrades a snapshot from version `n - 1` to `n`; migrations run in
+ *   order from the stored version up to `PERSIST_VERSION`.
+ * - Snapshots newer than `PERSIST_VERSION` (downgrade) or with a gap in the chain are discarded.
+ *
+ * Usage:
+ * ```js
+ * // Version 2 renamed `tasks.completedTaskIds` to `tasks.completedIds`
+ * export const persistMigrations = {
+ *     2: (state) => ({
+ *         ...state,
+ *         tasks: { ...state.tasks, completedIds: state.tasks?.completedTaskIds ?? [] },
+ *     }),
+ * };
+ * ```
+ *
+ * Author: Sunidhi Abhange
+ */
+
+export const PERSIST_STORAGE_KEY = 'resqzone.state';
+export const PERSIST_VERSION = 1;
+export const PERSIST_THROTTLE_MS = 1000;
+
+export const persistAllowlist = {
+    // Games
+    tasks: ['tasks', 'completedTaskIds', 'lastCompleted'],
+    gamification: ['xp', 'level', 'nextLevelXP', 'badges'],
+    badges: ['allBadges', 'userBadges'],
+
+    // Features
+    alerts: [
+        'alerts.data',
+        'alerts.hasMore',
+        'alerts.totalCount',
+        'globalHazards.data',
+        'globalHazards.country',
+        'globalHazards.timestamp',
+    ],
+    weather: ['current', 'forecast', 'lastWeatherFetch', 'lastForecastFetch'],
+    documents: ['documents'],
+    bookmarks: ['bookmarks'],
+    emergency: ['countryCode', 'contacts'],
+    chat: ['activeChats', 'lastReadByChatId', 'queuedMessagesByChatId'],
+};
+
+export const persistMigrations = {};
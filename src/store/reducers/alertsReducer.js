@@ -16,7 +16,7 @@
  * - `alerts/markAlertAsRead/fulfilled`
  *   - Marks a specific alert (`payload.alertId`) as read (id match).
  * - `alerts/deleteAlert/fulfilled`
- *   - Removes the alert by id and decrements `totalCount` (floored at 0).
+ *   - Removes the alert by id and decrements `totalCount` (floored at 0); a no-op if already removed.
  * - `alerts/loadPendingActions` (pending/fulfilled/rejected)
  *   - Manages loading/errors and replaces `pendingActions.data`.
  * - `TOGGLE_ACTION`
@@ -123,6 +123,9 @@ const alertsReducer = (state = initialState, action) => {
 
         // Delete Alert
         case 'alerts/deleteAlert/fulfilled':
+            // Already removed (e.g. an offline outbox replay) → nothing to do
+            if (!state.alerts.data.some((alert) => alert.id === action.payload))
+                return state;
             return {
                 ...state,
                 alerts: {
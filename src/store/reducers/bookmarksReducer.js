@@ -15,7 +15,7 @@
  *   - fulfilled: replaces `bookmarks` with payload if it's an array, else []
  *   - rejected: stores error in `error`, sets `loading=false`
  * - `addBookmark` (fulfilled/rejected)
- *   - fulfilled: unshifts new item at the start of `bookmarks`
+ *   - fulfilled: unshifts new item at the start of `bookmarks`, replacing any item with the same `url`
  *   - rejected: stores error
  * - `removeBookmark` (fulfilled/rejected)
  *   - fulfilled: filters out item whose `url` matches payload
@@ -67,7 +67,13 @@ const bookmarksSlice = createSlice({
 
             // Add
             .addCase(addBookmark.fulfilled, (state, action) => {
-                state.bookmarks.unshift(action.payload);
+                // Replace an existing copy (offline outbox replays re-apply the add)
+                state.bookmarks = [
+                    action.payload,
+                    ...state.bookmarks.filter(
+                        (a) => a.url !== action.payload?.url
+                    ),
+                ];
             })
             .addCase(addBookmark.rejected, (state, action) => {
                 state.error = action.payload;
@@ -6,30 +6,77 @@
  * - `allUsers`: suggestion list for starting chats
  * - `draftGroupUsers`: staging list while composing a new group
  * - `activeChats`: list of chat summaries (DMs + groups)
- * - `messagesByChatId`: map<chatId, Message[]>
+ * - `messagesByChatId`: map<chatId, Message[]> (oldest first; cached per chat on the device)
+ * - `historyByChatId`: map<chatId, { hasMore, loadingOlder, error }> (paging state; not persisted)
  * - `lastReadByChatId`: map<chatId, lastReadMessageId>
  * - `queuedMessagesByChatId`: map<chatId, Message[]> (local "pending" echo)
  * - `typingUsersByChatId`: map<chatId, User[]>
+ * - `threadsByMessageId`: map<parentMessageId, { chatId, replies[], hasMore, loading, error }>
+ *   (loaded when a thread is opened; not persisted)
+ * - `pinsByChatId`: map<chatId, Pin[]> (`{ message_id, pinned_at, pinned_by, message }`, newest pin
+ *   first; loaded when the chat is opened; not persisted)
  * - `loading` / `error`: async flags for thunked ops
  *
  * Local reducers:
  * - `updateActiveChatsFromSocket(list)` → replaces `activeChats` when socket pushes updates; non-arrays become `[]`.
+ * - `updateChat(chat)` → upserts one chat summary (`chat:group_updated`: settings, roles and mutes
+ *   changed by a group admin).
  * - `appendMessage({ chatId, message })` → idempotent append (skips if id already exists).
- * - `queuePendingMessage({ chatId, senderId, message })` → pushes a temp `"pending"` echo to both `queuedMessagesByChatId[chatId]` and `messagesByChatId[chatId]`.
+ * - `queuePendingMessage({ chatId, senderId, message, mentions, image, voice })` → pushes a temp `"pending"` echo to both `queuedMessagesByChatId[chatId]` and `messagesByChatId[chatId]`;
+ *   with `image` (from `prepareChatImage`) the echo is a `message_type: 'image'` message showing the local file,
+ *   with `voice` (from `prepareVoiceNote`) a `message_type: 'voice'` message playing it.
  * - `clearQueuedMessages(chatId)` → deletes `queuedMessagesByChatId[chatId]`.
- * - `markChatAsRead({ chatId, messageId })` → stamps `lastReadByChatId[chatId]`.
+ * - `restoreMessages({ chatId, messages })` → fills an empty chat from the on-device cache and marks
+ *   its history as possibly having more (the next page request settles it).
+ * - `markChatAsRead({ chatId, messageId })` → stamps `lastReadByChatId[chatId]` and clears the
+ *   chat's `unread_mention_count`.
  * - `setTypingUser({ chatId, user })` / `removeTypingUser({ chatId, userId })` → maintain a de-duplicated typing list.
+ * - `updatePoll({ chatId, messageId, poll })` → merges live tallies (`chat:poll_updated`) into the poll message;
+ *   fields missing from the update (e.g. the viewer's `my_votes`) are kept.
+ * - `updateEvent({ chatId, messageId, event })` → same for RSVP counts (`chat:event_updated`).
+ * - `appendThreadReply({ chatId, messageId, message, replyCount })` → idempotent append of a
+ *   reply (`chat:thread_reply`) to a loaded thread, and sets the parent's `reply_count`.
+ * - `setImageUploadProgress({ chatId, messageId, progress })` → stores upload progress (0–1) on a photo or voice note echo.
+ * - `updateReactions({ chatId, messageId, reactions })` → replaces a message's `reactions`
+ *   with the server's list (`chat:reaction`).
+ * - `updateMessage({ chatId, message })` → applies an edit (`chat:message_updated`): copies the
+ *   server's `content`, `edited_at`, `edit_history` and `mentions` onto the stored message, thread
+ *   reply or pin.
+ * - `markMessageDeleted({ chatId, messageId, deletedAt })` → deletion for everyone
+ *   (`chat:message_deleted`): the stored message or reply becomes a tombstone with `deleted_at`
+ *   and no content, history, mentions, photo, voice note, poll, event or reactions; its pin is dropped.
+ * - `setPinnedMessages({ chatId, pins })` → replaces the chat's pins (`chat:pins_updated`).
+ * - `applyReceipt({ chatId, messageId, user, status, at })` → a member's device acknowledged
+ *   (`'delivered'`) or read (`'read'`) everything up to `messageId` (`chat:receipt`): stamps
+ *   `delivered_at` / `read_at` on that member's entry in `receipts` for each earlier server
+ *   message they did not send. Stamps already set are kept.
  *
  * Extra reducers (thunks):
  * - `fetchUserSuggestions` / `fetchActiveChats` → pending sets `loading=true, error=null`; fulfilled replaces lists; rejected sets `error`.
  * - `startDirectMessage` / `createGroupChat` → unshift new chat if not already present (dedupe by `chat_id` or `id`); `createGroupChat` also clears `draftGroupUsers`.
- * - `deleteChat` → removes chat (by `chat_id` or `id`) and deletes its messages.
- * - `fetchMessages` → replaces `messagesByChatId[chatId]`.
- * - `sendMessage` → idempotent append into `messagesByChatId[chatId]`.
- * - `markChatAsReadThunk` → stamps `lastReadByChatId[chatId]`.
+ * - `deleteChat` → removes chat (by `chat_id` or `id`) and deletes its messages, history state and threads.
+ * - `fetchMessages` → reconciles the newest page with what is stored: if the page overlaps the stored
+ *   messages, older stored messages are kept in front of it; otherwise (a gap, or nothing stored) the
+ *   page replaces them. Unsent local echoes (`temp-…` ids) are kept at the end. Stores `hasMore`.
+ * - `fetchOlderMessages` → pending/rejected track `loadingOlder`/`error` per chat in
+ *   `historyByChatId`; fulfilled prepends the page (skipping ids already stored) and stores `hasMore`.
+ * - `sendMessage` / `createPoll` / `createEvent` → idempotent append into `messagesByChatId[chatId]`.
+ * - `sendImageMessage` / `sendVoiceMessage` → pending adds (or, on retry, resets) the echo with `status: 'uploading'`;
+ *   fulfilled swaps the echo for the server's message; rejected marks the echo `status: 'failed'`.
+ * - `votePoll` / `closePoll` → merge the returned poll like `updatePoll`; `rsvpEvent` merges the event.
+ * - `fetchThreadReplies` → pending/rejected track `loading`/`error` per thread; fulfilled replaces
+ *   the replies (newest page) or prepends an older page (`before`), and stores `hasMore`.
+ * - `sendThreadReply` → same as `appendThreadReply`.
+ * - `addReaction` / `removeReaction` → same as `updateReactions`.
+ * - `editMessage` / `deleteMessage` → same as `updateMessage` / `markMessageDeleted`.
+ * - `markChatAsReadThunk` → stamps `lastReadByChatId[chatId]` and clears the chat's `unread_mention_count`.
  * - `addUserToDraftGroup` / `removeUserFromDraftGroup` / `clearDraftGroupUsers` → manage draft group list.
  * - `removeUserFromGroup` → removes a member from a specific chat’s `members`.
  * - `fetchChatById` → upsert chat details into `activeChats`.
+ * - `updateGroupSettings` / `updateGroupMember` / `banGroupMember` → same as `updateChat`.
+ * - `updateChatPreferences` → replaces the chat's `preferences` (also dispatched optimistically by
+ *   the offline outbox, so it only ever sets the given value).
+ * - `fetchPinnedMessages` / `pinMessage` / `unpinMessage` → same as `setPinnedMessages`.
  *
  * Notes:
  * - All updates are immutable via RTK's Immer.
@@ -44,6 +91,7 @@ import {
     startDirectMessage,
     createGroupChat,
     fetchMessages,
+    fetchOlderMessages,
     sendMessage,
     deleteChat,
     addUserToDraftGroup,
@@ -52,7 +100,28 @@ import {
     markChatAsReadThunk,
     removeUserFromGroup,
     fetchChatById,
+    updateGroupSettings,
+    updateGroupMember,
+    banGroupMember,
+    updateChatPreferences,
+    createPoll,
+    votePoll,
+    closePoll,
+    createEvent,
+    rsvpEvent,
+    fetchThreadReplies,
+    sendThreadReply,
+    addReaction,
+    removeReaction,
+    editMessage,
+    deleteMessage,
+    fetchPinnedMessages,
+    pinMessage,
+    unpinMessage,
+    sendImageMessage,
+    sendVoiceMessage,
 } from '../actions/chatActions';
+import { isLocalMessage } from '../../utils/messageCache';
 
 const initialState = {
     allUsers: [],
@@ -62,10 +131,254 @@ const initialState = {
     lastReadByChatId: {},
     queuedMessagesByChatId: {},
     typingUsersByChatId: {},
+    historyByChatId: {},
+    threadsByMessageId: {},
+    pinsByChatId: {},
     loading: false,
     error: null,
 };
 
+// Merges a partial `poll` / `event` update into the message that carries it
+const mergeIntoMessage = (state, { chatId, messageId }, key, update) => {
+    const message = (state.messagesByChatId[chatId] || []).find(
+        (m) => m.id === messageId
+    );
+    if (!message || !update) return;
+    message[key] = { ...message[key], ...update };
+};
+
+const stampReceipt = (message, { user, status, at }) => {
+    if (!Array.isArray(message.receipts)) message.receipts = [];
+    let receipt = message.receipts.find(
+        (r) => String(r.user?.id) === String(user.id)
+    );
+    if (!receipt) {
+        receipt = { user, delivered_at: null, read_at: null };
+        message.receipts.push(receipt);
+    }
+    receipt.delivered_at = receipt.delivered_at || at;
+    if (status === 'read') receipt.read_at = receipt.read_at || at;
+};
+
+const setReactions = (state, { chatId, messageId, reactions }) => {
+    const message = (state.messagesByChatId[chatId] || []).find(
+        (m) => m.id === messageId
+    );
+    if (message && Array.isArray(reactions)) message.reactions = reactions;
+};
+
+// Local stand-in for a photo or voice note until the server's message replaces it
+const attachmentEcho = ({
+    chatId,
+    senderId,
+    image,
+    voice,
+    tempId,
+    status,
+}) => ({
+    id: tempId,
+    chat_id: chatId,
+    sender: { id: senderId },
+    ...(voice
+        ? {
+              content: '🎤 Voice note',
+              message_type: 'voice',
+              voice: { ...voice, url: voice.uri },
+          }
+        : {
+              content: '📷 Photo',
+              message_type: 'image',
+              image: { ...image, url: image.uri },
+          }),
+    timestamp: new Date().toISOString(),
+    status,
+    ...(status === 'uploading' ? { progress: 0 } : {}),
+});
+
+const uploadPending = (state, action) => {
+    const { chatId, tempId } = action.meta.arg;
+    const echo = (state.messagesByChatId[chatId] || []).find(
+        (m) => m.id === tempId
+    );
+    if (echo) {
+        echo.status = 'uploading';
+        echo.progress = 0;
+    } else {
+        appendUnique(state, {
+            chatId,
+            message: attachmentEcho({
+                ...action.meta.arg,
+                status: 'uploading',
+            }),
+        });
+    }
+};
+
+const uploadFulfilled = (state, action) => {
+    const { chatId, tempId, message } = action.payload;
+    const list = state.messagesByChatId[chatId] || [];
+    const index = list.findIndex((m) => m.id === tempId);
+    const delivered = list.some((m) => m.id === message.id);
+
+    if (index === -1) {
+        appendUnique(state, { chatId, message });
+    } else if (delivered) {
+        list.splice(index, 1);
+    } else {
+        list[index] = message;
+    }
+};
+
+const uploadRejected = (state, action) => {
+    const { chatId, tempId } = action.meta.arg;
+    const echo = (state.messagesByChatId[chatId] || []).find(
+        (m) => m.id === tempId
+    );
+    if (!echo) return;
+    echo.status = 'failed';
+    delete echo.progress;
+};
+
+const historyFor = (state, chatId) => {
+    if (!state.historyByChatId[chatId]) {
+        state.historyByChatId[chatId] = {
+            hasMore: false,
+            loadingOlder: false,
+            error: null,
+        };
+    }
+    return state.historyByChatId[chatId];
+};
+
+// Newest page from the server + what is already stored (cache, socket, own sends)
+const reconcileLatest = (stored = [], page) => {
+    const pageIds = new Set(page.map((m) => String(m.id)));
+    const saved = stored.filter((m) => !isLocalMessage(m));
+    const overlaps = saved.some((m) => pageIds.has(String(m.id)));
+    const oldestId = Number(page[0]?.id);
+
+    const older = overlaps
+        ? saved.filter(
+              (m) => !pageIds.has(String(m.id)) && Number(m.id) < oldestId
+          )
+        : [];
+    const unsent = stored.filter(
+        (m) => isLocalMessage(m) && !pageIds.has(String(m.id))
+    );
+
+    return [...older, ...page, ...unsent];
+};
+
+const appendUnique = (state, { chatId, message }) => {
+    if (!state.messagesByChatId[chatId]) {
+        state.messagesByChatId[chatId] = [];
+    }
+
+    const exists = state.messagesByChatId[chatId].some(
+        (m) => m.id === message.id
+    );
+
+    if (!exists) {
+        state.messagesByChatId[chatId].push(message);
+    }
+};
+
+const ensureThread = (state, chatId, messageId) => {
+    if (!state.threadsByMessageId[messageId]) {
+        state.threadsByMessageId[messageId] = {
+            chatId,
+            replies: [],
+            hasMore: false,
+            loading: false,
+            error: null,
+        };
+    }
+    return state.threadsByMessageId[messageId];
+};
+
+// Replaces the chat summary with the same id, or adds it to the top of the list
+const upsertChat = (state, chat) => {
+    const id = chat?.id ?? chat?.chat_id;
+    if (!id) return;
+
+    const index = state.activeChats.findIndex(
+        (c) => c.id === id || c.chat_id === id
+    );
+
+    if (index !== -1) {
+        state.activeChats[index] = chat;
+    } else {
+        state.activeChats.unshift(chat);
+    }
+};
+
+// Reading a chat reads its mentions too
+const clearMentionCount = (state, chatId) => {
+    const chat = state.activeChats.find(
+        (c) => c.chat_id === chatId || c.id === chatId
+    );
+    if (chat?.unread_mention_count) chat.unread_mention_count = 0;
+};
+
+// The message and any loaded thread reply or pin with this id (edits and deletions patch all)
+const storedCopies = (state, chatId, messageId) => [
+    ...(state.messagesByChatId[chatId] || []).filter((m) => m.id === messageId),
+    ...Object.values(state.threadsByMessageId)
+        .filter((thread) => thread.chatId === chatId)
+        .flatMap((thread) => thread.replies.filter((r) => r.id === messageId)),
+    ...(state.pinsByChatId[chatId] || [])
+        .filter((pin) => pin.message?.id === messageId)
+        .map((pin) => pin.message),
+];
+
+const applyEdit = (state, { chatId, message }) => {
+    if (!message?.id) return;
+    storedCopies(state, chatId, message.id).forEach((stored) => {
+        stored.content = message.content;
+        stored.edited_at = message.edited_at;
+        stored.edit_history = message.edit_history || [];
+        if (message.mentions) stored.mentions = message.mentions;
+    });
+};
+
+const applyDeletion = (state, { chatId, messageId, deletedAt }) => {
+    storedCopies(state, chatId, messageId).forEach((stored) => {
+        stored.content = null;
+        stored.deleted_at = deletedAt || new Date().toISOString();
+        stored.edit_history = [];
+        stored.reactions = [];
+        stored.mentions = [];
+        delete stored.image;
+        delete stored.voice;
+        delete stored.poll;
+        delete stored.event;
+    });
+    if (state.pinsByChatId[chatId]) {
+        state.pinsByChatId[chatId] = state.pinsByChatId[chatId].filter(
+            (pin) => pin.message_id !== messageId
+        );
+    }
+};
+
+const setPins = (state, { chatId, pins }) => {
+    if (Array.isArray(pins)) state.pinsByChatId[chatId] = pins;
+};
+
+// Adds a reply to its thread (when loaded) and updates the parent's reply count
+const addReply = (state, { chatId, messageId, message, replyCount }) => {
+    const thread = state.threadsByMessageId[messageId];
+    if (thread && !thread.replies.some((r) => r.id === message.id)) {
+        thread.replies.push(message);
+    }
+
+    const parent = (state.messagesByChatId[chatId] || []).find(
+        (m) => m.id === messageId
+    );
+    if (parent && typeof replyCount === 'number') {
+        parent.reply_count = replyCount;
+    }
+};
+
 const chatSlice = createSlice({
     name: 'chat',
     initialState,
@@ -76,6 +389,10 @@ const chatSlice = createSlice({
                 : [];
         },
 
+        updateChat: (state, action) => {
+            upsertChat(state, action.payload);
+        },
+
         appendMessage: (state, action) => {
             const { chatId, message } = action.payload;
             if (!state.messagesByChatId[chatId]) {
@@ -92,21 +409,39 @@ const chatSlice = createSlice({
         },
 
         queuePendingMessage: (state, action) => {
-            const { chatId, senderId, message } = action.payload;
+            const {
+                chatId,
+                senderId,
+                message,
+                mentions = [],
+                image,
+                voice,
+            } = action.payload;
             if (!state.queuedMessagesByChatId[chatId]) {
                 state.queuedMessagesByChatId[chatId] = [];
             }
 
             const tempId = `temp-${Date.now()}`;
-            const queuedMessage = {
-                id: tempId,
-                chat_id: chatId,
-                sender: { id: senderId },
-                content: message,
-                message_type: 'text',
-                timestamp: new Date().toISOString(),
-                status: 'pending',
-            };
+            const queuedMessage =
+                image || voice
+                    ? attachmentEcho({
+                          chatId,
+                          senderId,
+                          image,
+                          voice,
+                          tempId,
+                          status: 'pending',
+                      })
+                    : {
+                          id: tempId,
+                          chat_id: chatId,
+                          sender: { id: senderId },
+                          content: message,
+                          message_type: 'text',
+                          mentions,
+                          timestamp: new Date().toISOString(),
+                          status: 'pending',
+                      };
 
             state.queuedMessagesByChatId[chatId].push(queuedMessage);
 
@@ -121,9 +456,19 @@ const chatSlice = createSlice({
             delete state.queuedMessagesByChatId[action.payload];
         },
 
+        restoreMessages: (state, action) => {
+            const { chatId, messages } = action.payload;
+            if (state.messagesByChatId[chatId]?.length || !messages?.length) {
+                return;
+            }
+            state.messagesByChatId[chatId] = messages;
+            historyFor(state, chatId).hasMore = true;
+        },
+
         markChatAsRead: (state, action) => {
             const { chatId, messageId } = action.payload;
             state.lastReadByChatId[chatId] = messageId;
+            clearMentionCount(state, chatId);
         },
 
         setTypingUser: (state, action) => {
@@ -151,6 +496,65 @@ const chatSlice = createSlice({
                 (u) => u.id !== userId
             );
         },
+
+        updatePoll: (state, action) => {
+            mergeIntoMessage(
+                state,
+                action.payload,
+                'poll',
+                action.payload.poll
+            );
+        },
+
+        updateEvent: (state, action) => {
+            mergeIntoMessage(
+                state,
+                action.payload,
+                'event',
+                action.payload.event
+            );
+        },
+
+        appendThreadReply: (state, action) => {
+            addReply(state, action.payload);
+        },
+
+        setImageUploadProgress: (state, action) => {
+            const { chatId, messageId, progress } = action.payload;
+            const message = (state.messagesByChatId[chatId] || []).find(
+                (m) => m.id === messageId
+            );
+            if (message) message.progress = progress;
+        },
+
+        updateReactions: (state, action) => {
+            setReactions(state, action.payload);
+        },
+
+        updateMessage: (state, action) => {
+            applyEdit(state, action.payload);
+        },
+
+        markMessageDeleted: (state, action) => {
+            applyDeletion(state, action.payload);
+        },
+
+        setPinnedMessages: (state, action) => {
+            setPins(state, action.payload);
+        },
+
+        applyReceipt: (state, action) => {
+            const { chatId, messageId, user } = action.payload;
+            if (!user?.id) return;
+            (state.messagesByChatId[chatId] || [])
+                .filter(
+                    (m) =>
+                        !isLocalMessage(m) &&
+                        Number(m.id) <= Number(messageId) &&
+                        String(m.sender?.id) !== String(user.id)
+                )
+                .forEach((m) => stampReceipt(m, action.payload));
+        },
     },
 
     extraReducers: (builder) => {
@@ -234,19 +638,54 @@ const chatSlice = createSlice({
                     (chat) => chat.chat_id !== chatId && chat.id !== chatId
                 );
                 delete state.messagesByChatId[chatId];
+                delete state.historyByChatId[chatId];
+                delete state.pinsByChatId[chatId];
+                Object.keys(state.threadsByMessageId).forEach((messageId) => {
+                    if (state.threadsByMessageId[messageId].chatId === chatId) {
+                        delete state.threadsByMessageId[messageId];
+                    }
+                });
             })
             .addCase(deleteChat.rejected, (state, action) => {
                 state.error = action.payload;
             })
 
             .addCase(fetchMessages.fulfilled, (state, action) => {
-                const { chatId, messages } = action.payload;
-                state.messagesByChatId[chatId] = messages;
+                const { chatId, messages, hasMore } = action.payload;
+                state.messagesByChatId[chatId] = reconcileLatest(
+                    state.messagesByChatId[chatId],
+                    messages
+                );
+                historyFor(state, chatId).hasMore = hasMore;
             })
             .addCase(fetchMessages.rejected, (state, action) => {
                 state.error = action.payload;
             })
 
+            .addCase(fetchOlderMessages.pending, (state, action) => {
+                const history = historyFor(state, action.meta.arg);
+                history.loadingOlder = true;
+                history.error = null;
+            })
+            .addCase(fetchOlderMessages.fulfilled, (state, action) => {
+                const { chatId, messages, hasMore } = action.payload;
+                const stored = state.messagesByChatId[chatId] || [];
+                const known = new Set(stored.map((m) => String(m.id)));
+                state.messagesByChatId[chatId] = [
+                    ...messages.filter((m) => !known.has(String(m.id))),
+                    ...stored,
+                ];
+
+                const history = historyFor(state, chatId);
+                history.loadingOlder = false;
+                history.hasMore = hasMore;
+            })
+            .addCase(fetchOlderMessages.rejected, (state, action) => {
+                const history = historyFor(state, action.meta.arg);
+                history.loadingOlder = false;
+                if (!action.meta.aborted) history.error = action.payload;
+            })
+
             .addCase(sendMessage.fulfilled, (state, action) => {
                 const { chatId, message } = action.payload;
                 if (!state.messagesByChatId[chatId]) {
@@ -265,9 +704,110 @@ const chatSlice = createSlice({
                 state.error = action.payload;
             })
 
+            .addCase(createPoll.fulfilled, (state, action) => {
+                appendUnique(state, action.payload);
+            })
+            .addCase(votePoll.fulfilled, (state, action) => {
+                mergeIntoMessage(
+                    state,
+                    action.payload,
+                    'poll',
+                    action.payload.poll
+                );
+            })
+            .addCase(closePoll.fulfilled, (state, action) => {
+                mergeIntoMessage(
+                    state,
+                    action.payload,
+                    'poll',
+                    action.payload.poll
+                );
+            })
+
+            .addCase(createEvent.fulfilled, (state, action) => {
+                appendUnique(state, action.payload);
+            })
+            .addCase(rsvpEvent.fulfilled, (state, action) => {
+                mergeIntoMessage(
+                    state,
+                    action.payload,
+                    'event',
+                    action.payload.event
+                );
+            })
+
+            .addCase(sendImageMessage.pending, uploadPending)
+            .addCase(sendImageMessage.fulfilled, uploadFulfilled)
+            .addCase(sendImageMessage.rejected, uploadRejected)
+            .addCase(sendVoiceMessage.pending, uploadPending)
+            .addCase(sendVoiceMessage.fulfilled, uploadFulfilled)
+            .addCase(sendVoiceMessage.rejected, uploadRejected)
+
+            .addCase(addReaction.fulfilled, (state, action) => {
+                setReactions(state, action.payload);
+            })
+            .addCase(removeReaction.fulfilled, (state, action) => {
+                setReactions(state, action.payload);
+            })
+
+            .addCase(editMessage.fulfilled, (state, action) => {
+                applyEdit(state, action.payload);
+            })
+            .addCase(deleteMessage.fulfilled, (state, action) => {
+                const { chatId, message } = action.payload;
+                applyDeletion(state, {
+                    chatId,
+                    messageId: message?.id,
+                    deletedAt: message?.deleted_at,
+                });
+            })
+
+            .addCase(fetchPinnedMessages.fulfilled, (state, action) => {
+                setPins(state, action.payload);
+            })
+            .addCase(pinMessage.fulfilled, (state, action) => {
+                setPins(state, action.payload);
+            })
+            .addCase(unpinMessage.fulfilled, (state, action) => {
+                setPins(state, action.payload);
+            })
+
+            .addCase(fetchThreadReplies.pending, (state, action) => {
+                const { chatId, messageId } = action.meta.arg;
+                const thread = ensureThread(state, chatId, messageId);
+                thread.loading = true;
+                thread.error = null;
+            })
+            .addCase(fetchThreadReplies.fulfilled, (state, action) => {
+                const { chatId, messageId, before, replies, hasMore } =
+                    action.payload;
+                const thread = ensureThread(state, chatId, messageId);
+                thread.loading = false;
+                thread.hasMore = hasMore;
+                if (before) {
+                    const older = replies.filter(
+                        (r) => !thread.replies.some((t) => t.id === r.id)
+                    );
+                    thread.replies = [...older, ...thread.replies];
+                } else {
+                    thread.replies = replies;
+                }
+            })
+            .addCase(fetchThreadReplies.rejected, (state, action) => {
+                const thread =
+                    state.threadsByMessageId[action.meta.arg.messageId];
+                if (!thread) return;
+                thread.loading = false;
+                if (!action.meta.aborted) thread.error = action.payload;
+            })
+            .addCase(sendThreadReply.fulfilled, (state, action) => {
+                addReply(state, action.payload);
+            })
+
             .addCase(markChatAsReadThunk.fulfilled, (state, action) => {
                 const { chatId, messageId } = action.payload;
                 state.lastReadByChatId[chatId] = messageId;
+                clearMentionCount(state, chatId);
             })
 
             .addCase(addUserToDraftGroup.fulfilled, (state, action) => {
@@ -296,31 +836,50 @@ const chatSlice = createSlice({
             })
 
             .addCase(fetchChatById.fulfilled, (state, action) => {
-                const updatedChat = action.payload;
-                if (!updatedChat?.id) return;
+                upsertChat(state, action.payload);
+            })
 
-                const index = state.activeChats.findIndex(
-                    (c) =>
-                        c.id === updatedChat.id || c.chat_id === updatedChat.id
-                );
+            .addCase(updateGroupSettings.fulfilled, (state, action) => {
+                upsertChat(state, action.payload);
+            })
 
-                if (index !== -1) {
-                    state.activeChats[index] = updatedChat;
-                } else {
-                    state.activeChats.unshift(updatedChat);
-                }
+            .addCase(updateGroupMember.fulfilled, (state, action) => {
+                upsertChat(state, action.payload);
+            })
+
+            .addCase(banGroupMember.fulfilled, (state, action) => {
+                upsertChat(state, action.payload);
+            })
+
+            .addCase(updateChatPreferences.fulfilled, (state, action) => {
+                const { chatId, preferences } = action.payload;
+                const chat = state.activeChats.find(
+                    (c) => c.chat_id === chatId || c.id === chatId
+                );
+                if (chat) chat.preferences = preferences;
             });
     },
 });
 
 export const {
     updateActiveChatsFromSocket,
+    updateChat,
     appendMessage,
     queuePendingMessage,
     clearQueuedMessages,
     markChatAsRead,
     setTypingUser,
     removeTypingUser,
+    updatePoll,
+    updateEvent,
+    appendThreadReply,
+    updateReactions,
+    updateMessage,
+    markMessageDeleted,
+    setPinnedMessages,
+    applyReceipt,
+    setImageUploadProgress,
+    restoreMessages,
 } = chatSlice.actions;
 
 export default chatSlice.reducer;
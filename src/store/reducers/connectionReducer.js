@@ -0,0 +1,73 @@
+// src/store/reducers/connectionReducer.js
+/**
+ * connectionReducer.js
+ *
+ * Real-time connection state, fed by `utils/socket.js` through the handler registered in
+ * `store/index.js`.
+ *
+ * State:
+ * - `status`: `idle` (no socket) | `connecting` | `connected` | `reconnecting` |
+ *   `disconnected` | `failed` (reconnect attempts exhausted)
+ * - `socketId`: id of the connected socket, or `null`
+ * - `attempt`: current reconnect attempt (0 while connected)
+ * - `lastError`: message of the last connection error, cleared on connect
+ * - `disconnectReason`: Socket.IO reason of the last disconnect
+ * - `lastConnectedAt`: ISO timestamp of the last successful connect
+ *
+ * Local reducers:
+ * - `connectionStatusChanged({ status, socketId, at, reason, attempt, error })` → apply an
+ *   update from the socket; an update without `status` only records `error`
+ *
+ * Notes:
+ * - Never persisted; every launch starts `idle`.
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+
+const initialState = {
+    status: 'idle',
+    socketId: null,
+    attempt: 0,
+    lastError: null,
+    disconnectReason: null,
+    lastConnectedAt: null,
+};
+
+const connectionSlice = createSlice({
+    name: 'connection',
+    initialState,
+    reducers: {
+        connectionStatusChanged: (state, action) => {
+            const { status, socketId, at, reason, attempt, error } =
+                action.payload || {};
+
+            if (error !== undefined) state.lastError = error;
+
+            switch (status) {
+                case 'connected':
+                    state.socketId = socketId ?? null;
+                    state.attempt = 0;
+                    state.lastError = null;
+                    state.disconnectReason = null;
+                    state.lastConnectedAt = at ?? state.lastConnectedAt;
+                    break;
+                case 'reconnecting':
+                    state.attempt = attempt ?? state.attempt + 1;
+                    break;
+                case 'disconnected':
+                    state.socketId = null;
+                    state.disconnectReason = reason ?? null;
+                    break;
+                case 'idle':
+                    return initialState;
+                default:
+                    break;
+            }
+            if (status) state.status = status;
+        },
+    },
+});
+
+export const { connectionStatusChanged } = connectionSlice.actions;
+
+export default connectionSlice.reducer;
@@ -16,7 +16,7 @@
  *   - fulfilled: replaces `documents` with payload if Array, else []
  *   - rejected: `loading=false`, set `error`
  * - `addDocument` (fulfilled/rejected)
- *   - fulfilled: unshifts new doc to the front
+ *   - fulfilled: unshifts new doc to the front, replacing any doc with the same `url`
  *   - rejected: set `error`
  * - `removeDocument` (fulfilled/rejected)
  *   - fulfilled: removes by matching `url`
@@ -73,7 +73,13 @@ const documentsSlice = createSlice({
 
             // Add document
             .addCase(addDocument.fulfilled, (state, action) => {
-                state.documents.unshift(action.payload);
+                // Replace an existing copy (offline outbox replays re-apply the add)
+                state.documents = [
+                    action.payload,
+                    ...state.documents.filter(
+                        (doc) => doc.url !== action.payload?.url
+                    ),
+                ];
             })
             .addCase(addDocument.rejected, (state, action) => {
                 state.error = action.payload;
@@ -24,7 +24,7 @@
  *   - pending → loading=true, error=null
  *   - fulfilled → replace contacts, loading=false, error=null
  *   - rejected → loading=false, set error (defaults to generic string)
- * - `addEmergencyContact.fulfilled` → unshift new contact
+ * - `addEmergencyContact.fulfilled` → unshift new contact, replacing one with the same id/phone number
  * - `deleteEmergencyContact.fulfilled` → remove contact by id
  *
  * Notes:
@@ -39,6 +39,10 @@ import {
     deleteEmergencyContact,
 } from '../actions/emergencyActions';
 
+const isSameContact = (a, b) =>
+    (a?.id != null && a.id === b?.id) ||
+    (!!a?.phone_number && a.phone_number === b?.phone_number);
+
 const initialState = {
     countryCode: 'US',
     customName: '',
@@ -107,7 +111,13 @@ const emergencySlice = createSlice({
 
             // Add contact
             .addCase(addEmergencyContact.fulfilled, (state, action) => {
-                state.contacts.unshift(action.payload);
+                // Replace an existing copy (offline outbox replays re-apply the add)
+                state.contacts = [
+                    action.payload,
+                    ...state.contacts.filter(
+                        (c) => !isSameContact(c, action.payload)
+                    ),
+                ];
             })
 
             // Delete contact
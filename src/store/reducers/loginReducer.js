@@ -8,7 +8,7 @@
  * - `loading`: async in-flight flag
  * - `error`: error string, if any
  * - `user`: authenticated user object (or null)
- * - `isVerified`: true if OTP verification succeeded
+ * - `isVerified`: true if OTP verification succeeded (or a stored session was restored)
  *
  * Reducers:
  * - `resetAuthState` → resets to initial state
@@ -18,6 +18,8 @@
  *   - pending → loading=true, error cleared, isVerified=false
  *   - fulfilled → user set from payload, isVerified=true
  *   - rejected → error set, isVerified=false
+ * - `restoreSession.fulfilled`
+ *   - sets `user` from the persisted session; `isVerified` mirrors whether a user was restored
  * - `updateUserLocation` (pending/fulfilled/rejected)
  *   - pending → loading=true, error cleared
  *   - fulfilled → updates `user.latitude` / `user.longitude` if user exists
@@ -30,7 +32,12 @@
  */
 
 import { createSlice } from '@reduxjs/toolkit';
-import { verifyOtp, logout, updateUserLocation } from '../actions/loginActions';
+import {
+    verifyOtp,
+    restoreSession,
+    logout,
+    updateUserLocation,
+} from '../actions/loginActions';
 
 const initialState = {
     loading: false,
@@ -62,6 +69,10 @@ const loginSlice = createSlice({
                 state.error = action.payload;
                 state.isVerified = false;
             })
+            .addCase(restoreSession.fulfilled, (state, action) => {
+                state.user = action.payload?.user || null;
+                state.isVerified = !!state.user;
+            })
             .addCase(updateUserLocation.pending, (state) => {
                 state.loading = true;
                 state.error = null;
@@ -0,0 +1,130 @@
+// src/store/reducers/outboxReducer.js
+/**
+ * outboxReducer.js
+ *
+ * State for the offline outbox: mutations that failed because the device was offline,
+ * waiting to be replayed by `outboxMiddleware`.
+ *
+ * State:
+ * - `queue`: ordered entries `{ id, type, arg, queuedAt, attempts, optimistic, coalesce }`
+ *   - `type` is the thunk `typePrefix` (e.g. `tasks/completeTask`), `arg` its argument
+ * - `conflicts`: entries the server rejected on replay `{ id, type, arg, message, status, failedAt }`
+ * - `isSyncing`: true while the middleware is replaying the queue
+ * - `hydrated`: true once the persisted queue has been read from AsyncStorage
+ *
+ * Local reducers:
+ * - `outboxHydrated(queue)` → merge the persisted queue in front of anything queued meanwhile
+ * - `mutationQueued(entry)` → append to the queue (`entry.coalesce` first drops older entries
+ *   of the same type)
+ * - `mutationSynced(id)` → drop a replayed entry
+ * - `mutationRetried(id)` → bump `attempts` after a failed replay that stays queued
+ * - `mutationConflicted({ id, message, status })` → move an entry from `queue` to `conflicts`
+ * - `dismissConflict(id)` / `clearConflicts()` → acknowledge conflicts in the UI
+ * - `setOutboxSyncing(bool)`
+ * - `requestOutboxSync()` → handled by the middleware ("Sync now")
+ * - `resetOutbox()` → clear everything
+ *
+ * Thunks (extra reducers):
+ * - `logout.fulfilled` → clear everything, so one user's changes are never replayed for another
+ *
+ * Notes:
+ * - Entries must stay serializable; they are persisted as JSON by the middleware.
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+import { logout } from '../actions/loginActions';
+
+const initialState = {
+    queue: [],
+    conflicts: [],
+    isSyncing: false,
+    hydrated: false,
+};
+
+const outboxSlice = createSlice({
+    name: 'outbox',
+    initialState,
+    reducers: {
+        outboxHydrated: (state, action) => {
+            const persisted = Array.isArray(action.payload)
+                ? action.payload
+                : [];
+            const ids = new Set(persisted.map((entry) => entry.id));
+            state.queue = [
+                ...persisted,
+                ...state.queue.filter((entry) => !ids.has(entry.id)),
+            ];
+            state.hydrated = true;
+        },
+        mutationQueued: (state, action) => {
+            const entry = action.payload;
+            if (entry.coalesce) {
+                state.queue = state.queue.filter((e) => e.type !== entry.type);
+            }
+            state.queue.push(entry);
+        },
+        mutationSynced: (state, action) => {
+            state.queue = state.queue.filter(
+                (entry) => entry.id !== action.payload
+            );
+        },
+        mutationRetried: (state, action) => {
+            const entry = state.queue.find((e) => e.id === action.payload);
+            if (entry) entry.attempts = (entry.attempts || 0) + 1;
+        },
+        mutationConflicted: (state, action) => {
+            const { id, message = null, status = null } = action.payload;
+            const entry = state.queue.find((e) => e.id === id);
+            if (!entry) return;
+
+            state.queue = state.queue.filter((e) => e.id !== id);
+            state.conflicts.push({
+                id,
+                type: entry.type,
+                arg: entry.arg,
+                message,
+                status,
+                failedAt: new Date().toISOString(),
+            });
+        },
+        dismissConflict: (state, action) => {
+            state.conflicts = state.conflicts.filter(
+                (c) => c.id !== action.payload
+            );
+        },
+        clearConflicts: (state) => {
+            state.conflicts = [];
+        },
+        setOutboxSyncing: (state, action) => {
+            state.isSyncing = !!action.payload;
+        },
+        requestOutboxSync: () => {},
+        resetOutbox: (state) => {
+            state.queue = [];
+            state.conflicts = [];
+            state.isSyncing = false;
+        },
+    },
+    extraReducers: (builder) => {
+        builder.addCase(logout.fulfilled, (state) => {
+            state.queue = [];
+            state.conflicts = [];
+            state.isSyncing = false;
+        });
+    },
+});
+
+export const {
+    outboxHydrated,
+    mutationQueued,
+    mutationSynced,
+    mutationRetried,
+    mutationConflicted,
+    dismissConflict,
+    clearConflicts,
+    setOutboxSyncing,
+    requestOutboxSync,
+    resetOutbox,
+} = outboxSlice.actions;
+
+export default outboxSlice.reducer;
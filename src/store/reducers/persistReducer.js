@@ -0,0 +1,40 @@
+// src/store/reducers/persistReducer.js
+/**
+ * persistReducer.js
+ *
+ * Tracks whether the persisted state snapshot has been restored (see
+ * `middleware/persistMiddleware.js`), so the UI can wait for it before rendering.
+ *
+ * State:
+ * - `rehydrated`: true once the snapshot was read (or found missing/unusable)
+ * - `version`: schema version of the restored snapshot after migrations, or `null` if none
+ *
+ * Local reducers:
+ * - `stateRehydrated({ state, version })` → mark the store rehydrated; the persisted slices
+ *   themselves are merged by `withRehydration` before the slice reducers run
+ *
+ * Notes:
+ * - Never persisted itself.
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+
+const initialState = {
+    rehydrated: false,
+    version: null,
+};
+
+const persistSlice = createSlice({
+    name: 'persist',
+    initialState,
+    reducers: {
+        stateRehydrated: (state, action) => {
+            state.rehydrated = true;
+            state.version = action.payload?.version ?? null;
+        },
+    },
+});
+
+export const { stateRehydrated } = persistSlice.actions;
+
+export default persistSlice.reducer;
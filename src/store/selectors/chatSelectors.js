@@ -14,6 +14,18 @@
  *   Returns an array of messages associated with the given chat.
  *   Falls back to an empty array if no messages exist for the chat.
  *
+ * - **selectMessageHistoryByChatId(chatId)**:
+ *   Returns `{ hasMore, loadingOlder, error }` for paging back through a chat's messages.
+ *   Falls back to an idle history without more pages if nothing has been loaded.
+ *
+ * - **selectThreadByMessageId(messageId)**:
+ *   Returns `{ replies, hasMore, loading, error }` for a message's thread.
+ *   Falls back to an empty, idle thread if it has not been loaded.
+ *
+ * - **selectPinnedMessagesByChatId(chatId)**:
+ *   Returns the chat's pins (`{ message_id, pinned_at, pinned_by, message }`), newest first.
+ *   Falls back to an empty array if none have been loaded.
+ *
  * Usage:
  * ```js
  * const typingUsers = useSelector(selectTypingUsersByChatId(chatId));
@@ -41,3 +53,36 @@ export const selectMessagesByChatId = (chatId) =>
         (state) => state.chat.messagesByChatId,
         (messagesByChatId) => messagesByChatId?.[chatId] || []
     );
+
+const EMPTY_HISTORY = {
+    hasMore: false,
+    loadingOlder: false,
+    error: null,
+};
+
+export const selectMessageHistoryByChatId = (chatId) =>
+    createSelector(
+        (state) => state.chat.historyByChatId,
+        (historyByChatId) => historyByChatId?.[chatId] || EMPTY_HISTORY
+    );
+
+const EMPTY_THREAD = {
+    replies: [],
+    hasMore: false,
+    loading: false,
+    error: null,
+};
+
+export const selectThreadByMessageId = (messageId) =>
+    createSelector(
+        (state) => state.chat.threadsByMessageId,
+        (threadsByMessageId) => threadsByMessageId?.[messageId] || EMPTY_THREAD
+    );
+
+const EMPTY_PINS = [];
+
+export const selectPinnedMessagesByChatId = (chatId) =>
+    createSelector(
+        (state) => state.chat.pinsByChatId,
+        (pinsByChatId) => pinsByChatId?.[chatId] || EMPTY_PINS
+    );
@@ -0,0 +1,20 @@
+// src/store/selectors/connectionSelectors.js
+/**
+ * connectionSelectors.js
+ *
+ * Selectors for the real-time connection (`state.connection`).
+ *
+ * - `selectConnectionStatus(state)` → `idle` | `connecting` | `connected` | `reconnecting` |
+ *   `disconnected` | `failed`
+ * - `selectIsSocketConnected(state)` → true while the socket is connected
+ * - `selectIsReconnecting(state)` → true while a dropped socket is being re-established
+ */
+
+export const selectConnectionStatus = (state) =>
+    state.connection?.status || 'idle';
+
+export const selectIsSocketConnected = (state) =>
+    selectConnectionStatus(state) === 'connected';
+
+export const selectIsReconnecting = (state) =>
+    selectConnectionStatus(state) === 'reconnecting';
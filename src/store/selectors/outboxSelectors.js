@@ -0,0 +1,38 @@
+// src/store/selectors/outboxSelectors.js
+/**
+ * outboxSelectors.js
+ *
+ * Selectors for the offline outbox (`state.outbox`), used by the pending-sync indicator.
+ *
+ * Selectors:
+ * - **selectPendingMutationCount**: number of queued mutations waiting to sync.
+ * - **selectOutboxConflicts**: mutations the server rejected on replay.
+ * - **selectOutboxStatus**: memoized `{ pendingCount, conflictCount, isSyncing }`.
+ *
+ * Usage:
+ * ```js
+ * const { pendingCount, conflictCount, isSyncing } = useSelector(selectOutboxStatus);
+ * ```
+ *
+ * Author: Sunidhi Abhange
+ */
+import { createSelector } from 'reselect';
+
+const EMPTY = [];
+
+export const selectPendingMutationCount = (state) =>
+    state.outbox?.queue?.length || 0;
+
+export const selectOutboxConflicts = (state) =>
+    state.outbox?.conflicts || EMPTY;
+
+const selectIsSyncing = (state) => !!state.outbox?.isSyncing;
+
+export const selectOutboxStatus = createSelector(
+    [selectPendingMutationCount, selectOutboxConflicts, selectIsSyncing],
+    (pendingCount, conflicts, isSyncing) => ({
+        pendingCount,
+        conflictCount: conflicts.length,
+        isSyncing,
+    })
+);
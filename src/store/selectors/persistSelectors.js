@@ -0,0 +1,10 @@
+// src/store/selectors/persistSelectors.js
+/**
+ * persistSelectors.js
+ *
+ * Selectors for the `persist` slice.
+ *
+ * - `selectIsRehydrated(state)` → true once the persisted snapshot has been restored
+ */
+
+export const selectIsRehydrated = (state) => !!state.persist?.rehydrated;
@@ -13,69 +13,221 @@
  * - **Response Handling**:
  *   - All responses are parsed as JSON.
  *   - If the response has a `payload`, it is decrypted via `decryptBody` before being returned.
- *   - If `decryptBody` fails, the function throws `"Invalid encrypted response"`.
+ *   - Payloads are authenticated envelopes (HMAC tag, timestamp, nonce); rejected payloads raise an
+ *     `ApiError` whose `code` names the failure: `INVALID_PAYLOAD`, `PAYLOAD_TAMPERED`,
+ *     `PAYLOAD_EXPIRED`, `PAYLOAD_REPLAYED`, or `DECRYPTION_FAILED` (`"Invalid encrypted response"`)
+ *     for anything else.
  *   - Non-OK responses (`response.ok === false`) throw with the server-provided `message` or a fallback message.
+ *   - Successful bodies are checked against the schema registered for the route in `apiSchemas.js`
+ *     and returned normalised; a mismatch throws a `ResponseSchemaError` (`code: 'INVALID_RESPONSE'`)
+ *     instead of letting a changed response reach the reducers as empty data.
+ *
+ * - **Timeouts, Retries & Cancellation**:
+ *   - Every request is bounded by a timeout (default 15s); a stalled server raises an `ApiError` with `code: 'TIMEOUT'`.
+ *   - Idempotent methods (`GET`, `PUT`, `DELETE`) are retried on network failures, timeouts and
+ *     retryable statuses (408, 425, 429, 5xx) using exponential backoff with jitter. Each attempt
+ *     is encrypted again, so no two attempts share a timestamp and nonce.
+ *     `POST`/`PATCH` are only retried when the caller passes `{ idempotent: true }`.
+ *   - An `AbortSignal` (e.g. the `signal` handed to `createAsyncThunk` payload creators) cancels the
+ *     in-flight request and any pending retry; this raises `code: 'ABORTED'` and is never retried.
+ *   - `setRequestDefaults({ timeout, retries, retryDelay, maxRetryDelay })` changes the global settings;
+ *     the same keys can be passed per call via the trailing `options` argument.
+ *
+ * - **Authentication**:
+ *   - `getHeaders` attaches `Authorization: Bearer <accessToken>` from `session.js` when a session exists.
+ *   - A `401` response triggers one transparent `refreshSession()` (POST `/users/refresh-token`)
+ *     and the original request is replayed with the new token. Pass `{ skipAuthRefresh: true }`
+ *     to opt out. A rejected refresh clears the session and notifies the store.
+ *
+ * - **Session Key**:
+ *   - Bodies are encrypted with a per-session AES key negotiated by `keyExchange.js`; `request`
+ *     awaits `ensureSessionKey()` first, so the very first call performs the RSA handshake.
+ *   - `getHeaders` sends the key id as `X-Session-Key-Id` so the server can pick the right key.
+ *   - When the server answers with `code: 'SESSION_KEY_EXPIRED'` (or `SESSION_KEY_UNKNOWN`) the key
+ *     is rotated and the request is re-encrypted and replayed once.
+ *   - A failed handshake raises `code: 'KEY_EXCHANGE_FAILED'`, or `NETWORK` / `TIMEOUT` when the
+ *     server could not be reached.
+ *
+ * - **Transport**:
+ *   - The request helpers hand `(method, endpoint, data, headers, options)` to the active transport.
+ *   - `httpTransport` (default) is the encrypted HTTP pipeline described above.
+ *   - While the environment profile has `DEV_MODE` on (e.g. `offline-fixture`), a
+ *     `createFixtureTransport()` (`fixtureTransport.js`) is used instead: an in-process backend
+ *     seeded from `mockData.js`, so the app runs with no server. The choice follows profile
+ *     switches made at runtime.
+ *   - `setTransport(transport)` pins a transport (e.g. in tests), `setTransport()` restores the
+ *     profile's default, and `getTransport()` returns the active one. Transports reject with `ApiError`
+ *     (defined in `apiError.js` so transports need not import this module).
  *
  * - **Helper Utilities**:
- *   - `getHeaders`: Constructs headers with `Content-Type: application/json` and merges any extra headers.
+ *   - `getHeaders`: Constructs headers with `Content-Type: application/json`, the bearer token, the
+ *     session key id and any extra headers.
  *   - `serializeParams`: Safely encodes key-value params into a query string.
+ *   - `getErrorMeta`: Extracts `{ status, code }` from an error for thunk rejection meta.
+ *   - `redactForLog`: Masks `*token`, `authorization`, `password` and `otp` fields before a
+ *     request or response is logged.
  *
  * API Methods:
- * - `get(endpoint, params, headers)`
- * - `post(endpoint, body, headers)`
- * - `put(endpoint, body, headers)`
- * - `patch(endpoint, body, headers)`
- * - `del(endpoint, params, headers)`
+ * - `get(endpoint, params, headers, options)`
+ * - `post(endpoint, body, headers, options)`
+ * - `put(endpoint, body, headers, options)`
+ * - `patch(endpoint, body, headers, options)`
+ * - `del(endpoint, params, headers, options)`
+ *
+ * Options (all optional):
+ * - `timeout`: milliseconds before the attempt is aborted.
+ * - `retries`: number of additional attempts for retryable failures.
+ * - `retryDelay` / `maxRetryDelay`: backoff base and ceiling in milliseconds.
+ * - `idempotent`: force-enable retries for `POST`/`PATCH`.
+ * - `skipAuthRefresh`: do not attempt a token refresh on `401`.
+ * - `signal`: an `AbortSignal` used to cancel the request.
  *
  * Middleware Flow:
  * 1. Accepts endpoint + optional params/body + optional headers.
- * 2. Encrypts the request payload.
- * 3. Sends the request with correct HTTP method and headers.
+ * 2. Ensures a session key exists, then encrypts the request payload.
+ * 3. Sends the request with correct HTTP method and headers, bounded by the timeout.
  * 4. Parses the response and attempts decryption if a payload exists.
- * 5. Throws an error for invalid responses or decryption failures.
+ * 5. Retries retryable failures with backoff, then throws an `ApiError` for invalid
+ *    responses, timeouts, cancellations or decryption failures.
  *
  * Notes:
- * - Relies on `BASE_URL` from `config.js` for endpoint resolution.
- * - Depends on `encryptBody` and `decryptBody` from `crypto.js`.
+ * - Relies on `BASE_URL` and `DEV_MODE` from `config.js` for endpoint resolution and transport choice.
+ * - Depends on `encryptBody` and `decryptBody` from `crypto.js` and on `keyExchange.js` for the key.
  * - Ensures security consistency across all client-server communication.
  *
  * Author: Sunidhi Abhange
  */
 
-import { BASE_URL } from './config';
-import { encryptBody, decryptBody } from './crypto';
+import { BASE_URL, DEV_MODE } from './config';
+import { API_URL_USERS } from './apiPaths';
+import { ApiError, isConnectivityError } from './apiError';
+import { validateResponse } from './apiSchemas';
+import { createFixtureTransport } from './fixtureTransport';
+import { encryptBody, decryptBody, getSessionKeyId } from './crypto';
+import { ensureSessionKey, rotateSessionKey } from './keyExchange';
+import {
+    getAccessToken,
+    getRefreshToken,
+    parseTokenResponse,
+    updateTokens,
+    clearSession,
+    notifySessionExpired,
+} from './session';
+
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const KEY_ERROR_CODES = ['SESSION_KEY_EXPIRED', 'SESSION_KEY_UNKNOWN'];
+
+const PAYLOAD_ERROR_MESSAGES = {
+    INVALID_PAYLOAD: 'Malformed encrypted response',
+    PAYLOAD_TAMPERED: 'Response failed integrity check',
+    PAYLOAD_EXPIRED: 'Response expired',
+    PAYLOAD_REPLAYED: 'Response replayed',
+};
+
+let requestDefaults = {
+    timeout: 15000,
+    retries: 2,
+    retryDelay: 500,
+    maxRetryDelay: 8000,
+};
+
+// Bearer credentials and secrets never reach the device logs
+const REDACTED_KEYS = /token$|^authorization$|^password$|^otp$/i;
+
+export { ApiError };
+
+/**
+ * `status`/`code` of a failed call, for `rejectWithValue(message, meta)` so
+ * middleware (e.g. the offline outbox) can tell connectivity failures apart
+ */
+export const getErrorMeta = (error) => ({
+    status: error?.status ?? null,
+    code: error?.code ?? null,
+});
+
+/**
+ * Copy of `value` for logging, with token, password and OTP fields masked at any depth
+ */
+export const redactForLog = (value) => {
+    if (Array.isArray(value)) return value.map(redactForLog);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(
+        Object.entries(value).map(([key, field]) => [
+            key,
+            REDACTED_KEYS.test(key) ? '[redacted]' : redactForLog(field),
+        ])
+    );
+};
+
+/**
+ * Override the global timeout/retry settings
+ */
+export const setRequestDefaults = (overrides = {}) => {
+    requestDefaults = { ...requestDefaults, ...overrides };
+    return requestDefaults;
+};
+
+export const getRequestDefaults = () => ({ ...requestDefaults });
 
-const handleResponse = async (response) => {
+// `/v0.0/tasks/7?x=1` from the full request URL, for the schema lookup
+const toEndpoint = (url) =>
+    BASE_URL && url.startsWith(BASE_URL) ? url.slice(BASE_URL.length) : url;
+
+const handleResponse = async (response, { method = 'GET', url = '' } = {}) => {
     const data = await response.json().catch(() => ({}));
+    const checkSchema = (body) =>
+        validateResponse(method, toEndpoint(url), body, {
+            status: response.status,
+        });
 
     if (!response.ok) {
         const errorMessage = data?.message || 'Something went wrong';
-        throw new Error(errorMessage);
+        throw new ApiError(errorMessage, {
+            code: KEY_ERROR_CODES.includes(data?.code)
+                ? 'KEY_EXPIRED'
+                : 'HTTP_ERROR',
+            status: response.status,
+        });
     }
 
     // Decrypt if payload exists
     if (data?.payload) {
+        let decryptedContent;
         try {
-            let decryptedContent = decryptBody(data.payload);
+            decryptedContent = decryptBody(data.payload);
 
-            console.log('Responce decryptedContent: ', decryptedContent);
-            return decryptedContent;
+            console.log(
+                'Responce decryptedContent: ',
+                redactForLog(decryptedContent)
+            );
         } catch (error) {
             console.error('❌ Failed to decrypt response:', error);
-            throw new Error('Invalid encrypted response');
+            const rejected = PAYLOAD_ERROR_MESSAGES[error?.code];
+            throw new ApiError(rejected || 'Invalid encrypted response', {
+                code: rejected ? error.code : 'DECRYPTION_FAILED',
+                status: response.status,
+            });
         }
+        return checkSchema(decryptedContent);
     }
 
-    return data;
+    return checkSchema(data);
 };
 
 /**
- * Build request headers
+ * Build request headers, attaching the bearer token and session key id when present
  */
-const getHeaders = (extraHeaders = {}) => ({
-    'Content-Type': 'application/json',
-    ...extraHeaders,
-});
+const getHeaders = (extraHeaders = {}) => {
+    const accessToken = getAccessToken();
+    const keyId = getSessionKeyId();
+    return {
+        'Content-Type': 'application/json',
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+        ...(keyId ? { 'X-Session-Key-Id': keyId } : {}),
+        ...extraHeaders,
+    };
+};
 
 /**
  * Serialize query params for GET requests
@@ -88,97 +240,352 @@ const serializeParams = (params = {}) =>
         )
         .join('&');
 
+const isRetryable = (error) =>
+    error.code === 'TIMEOUT' ||
+    error.code === 'NETWORK' ||
+    RETRYABLE_STATUSES.includes(error.status);
+
+/**
+ * Exponential backoff with "equal jitter": half of the delay is fixed,
+ * the other half is random so that clients do not retry in lockstep.
+ */
+const getBackoffDelay = (attempt, { retryDelay, maxRetryDelay }) => {
+    const exponential = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+    return exponential / 2 + Math.random() * (exponential / 2);
+};
+
+const wait = (ms, signal) =>
+    new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new ApiError('Request aborted', { code: 'ABORTED' }));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new ApiError('Request aborted', { code: 'ABORTED' }));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener?.('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener?.('abort', onAbort);
+    });
+
+/**
+ * Single attempt: fetch + parse, bounded by `timeout` and the caller's signal
+ */
+const attemptRequest = async (url, init, { timeout, signal }) => {
+    if (signal?.aborted) {
+        throw new ApiError('Request aborted', { code: 'ABORTED' });
+    }
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener?.('abort', onAbort);
+
+    let timedOut = false;
+    const timer =
+        timeout > 0
+            ? setTimeout(() => {
+                  timedOut = true;
+                  controller.abort();
+              }, timeout)
+            : null;
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, {
+                ...init,
+                headers: getHeaders(init.headers),
+                signal: controller.signal,
+            });
+        } catch (error) {
+            if (timedOut) {
+                throw new ApiError('Request timed out', { code: 'TIMEOUT' });
+            }
+            if (signal?.aborted) {
+                throw new ApiError('Request aborted', { code: 'ABORTED' });
+            }
+            throw new ApiError(error?.message || 'Network request failed', {
+                code: 'NETWORK',
+            });
+        }
+
+        return await handleResponse(response, { method: init.method, url });
+    } finally {
+        if (timer) clearTimeout(timer);
+        signal?.removeEventListener?.('abort', onAbort);
+    }
+};
+
+/**
+ * Timeout + retry loop around `attemptRequest`. `build()` is called per attempt so
+ * every retry carries a fresh envelope (timestamp and nonce); a server rejecting
+ * replayed envelopes would refuse a resent one.
+ */
+const sendWithRetry = async (method, build, options = {}) => {
+    const { signal, idempotent, skipAuthRefresh, ...overrides } = options;
+    const settings = { ...requestDefaults };
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined) settings[key] = value;
+    });
+
+    const canRetry = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const maxAttempts = canRetry ? Math.max(0, settings.retries) + 1 : 1;
+
+    for (let attempt = 0; ; attempt += 1) {
+        try {
+            const { url, init } = build();
+            return await attemptRequest(
+                url,
+                { ...init, method },
+                { timeout: settings.timeout, signal }
+            );
+        } catch (error) {
+            if (attempt + 1 >= maxAttempts || !isRetryable(error)) {
+                throw error;
+            }
+
+            const delay = getBackoffDelay(attempt, settings);
+            console.warn(
+                `🔁 Retrying ${method} (${attempt + 1}/${
+                    maxAttempts - 1
+                }) in ${Math.round(delay)}ms:`,
+                error.message
+            );
+            await wait(delay, signal);
+        }
+    }
+};
+
+/**
+ * Negotiate (or reuse) the session key, surfacing failures as ApiError
+ */
+const ensureKey = async (rotate = false) => {
+    try {
+        await (rotate ? rotateSessionKey() : ensureSessionKey());
+    } catch (error) {
+        throw new ApiError(error?.message || 'Key exchange failed', {
+            code: isConnectivityError(error)
+                ? error.code
+                : 'KEY_EXCHANGE_FAILED',
+            status: error?.status ?? null,
+        });
+    }
+};
+
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token for a new token pair.
+ * Concurrent 401s share a single in-flight refresh. If the server rejects the
+ * refresh token the session is wiped and `notifySessionExpired` fires; network
+ * failures leave the session untouched so the user stays signed in offline.
+ */
+export const refreshSession = () => {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = getRefreshToken();
+            if (!refreshToken) {
+                throw new ApiError('Session expired', { status: 401 });
+            }
+
+            try {
+                await ensureKey();
+                const data = await sendWithRetry(
+                    'POST',
+                    () => ({
+                        url: `${BASE_URL}${API_URL_USERS}/refresh-token`,
+                        init: {
+                            body: JSON.stringify(
+                                encryptBody({ refresh_token: refreshToken })
+                            ),
+                        },
+                    }),
+                    { skipAuthRefresh: true }
+                );
+
+                const tokens = parseTokenResponse(data);
+                if (!tokens.accessToken) {
+                    throw new ApiError('Session expired', { status: 401 });
+                }
+
+                await updateTokens(tokens);
+                return tokens;
+            } catch (error) {
+                if ([400, 401, 403].includes(error.status)) {
+                    await clearSession();
+                    notifySessionExpired();
+                }
+                throw error;
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+
+    return refreshPromise;
+};
+
+/**
+ * Shared request pipeline: session key, retries, then one transparent key
+ * rotation or token refresh. `build` is called per attempt so a retry or
+ * replay is encrypted afresh with the current key.
+ */
+const request = async (method, build, options = {}) => {
+    const send = () => sendWithRetry(method, build, options);
+
+    await ensureKey();
+
+    try {
+        return await send();
+    } catch (error) {
+        if (error.code === 'KEY_EXPIRED') {
+            await ensureKey(true);
+            return send();
+        }
+
+        if (
+            error.status !== 401 ||
+            options.skipAuthRefresh ||
+            !getRefreshToken()
+        ) {
+            throw error;
+        }
+
+        await refreshSession();
+        return send();
+    }
+};
+
+/**
+ * Default transport: the encrypted HTTP pipeline above. GET and DELETE send
+ * `data` as encrypted query params, the other methods as an encrypted body.
+ */
+export const httpTransport = {
+    request: (method, endpoint, data = {}, headers = {}, options = {}) =>
+        request(
+            method,
+            () => {
+                const { payload } = encryptBody(data);
+
+                if (method === 'GET') {
+                    const query = Object.keys(data).length
+                        ? `?${serializeParams(payload)}`
+                        : '';
+                    return {
+                        url: `${BASE_URL}${endpoint}${query}`,
+                        init: { headers },
+                    };
+                }
+
+                if (method === 'DELETE') {
+                    // Send payload using a single query parameter named "payload"
+                    const query = payload
+                        ? `?payload=${encodeURIComponent(payload)}`
+                        : '';
+                    return {
+                        url: `${BASE_URL}${endpoint}${query}`,
+                        init: { headers },
+                    };
+                }
+
+                return {
+                    url: `${BASE_URL}${endpoint}`,
+                    init: { headers, body: JSON.stringify({ payload }) },
+                };
+            },
+            options
+        ),
+};
+
+// `null` → follow `DEV_MODE` of the active environment profile
+let transport = null;
+let fixtureTransport = null;
+
+/**
+ * Replace the transport used by the request helpers (e.g. the fixture backend
+ * in tests). Passing nothing restores the profile's default.
+ */
+export const setTransport = (next) => {
+    transport = next || null;
+    return getTransport();
+};
+
+export const getTransport = () => {
+    if (transport) return transport;
+    if (!DEV_MODE) return httpTransport;
+    fixtureTransport = fixtureTransport || createFixtureTransport();
+    return fixtureTransport;
+};
+
 /**
  * GET request with optional query params
  */
-export const get = async (endpoint, params = {}, headers = {}) => {
+export const get = async (
+    endpoint,
+    params = {},
+    headers = {},
+    options = {}
+) => {
     console.log('🔒 Encrypted GET to:', endpoint);
-    console.log('Request GET params:', params);
-    console.log('Request GET headers:', headers);
-    const { payload } = encryptBody(params);
-
-    const query = Object.keys(params).length
-        ? `?${serializeParams(payload)}`
-        : '';
-    const response = await fetch(`${BASE_URL}${endpoint}${query}`, {
-        method: 'GET',
-        headers: getHeaders(headers),
-    });
+    console.log('Request GET params:', redactForLog(params));
+    console.log('Request GET headers:', redactForLog(headers));
 
-    return handleResponse(response);
+    return getTransport().request('GET', endpoint, params, headers, options);
 };
 
 /**
  * POST request — encrypts body
  */
-export const post = async (endpoint, body = {}, headers = {}) => {
+export const post = async (endpoint, body = {}, headers = {}, options = {}) => {
     console.log('🔒 Encrypted POST to:', endpoint);
-    console.log('Request POST body:', body);
-    console.log('Request POST headers:', headers);
-    const encrypted = encryptBody(body);
-
-    const response = await fetch(`${BASE_URL}${endpoint}`, {
-        method: 'POST',
-        headers: getHeaders(headers),
-        body: JSON.stringify(encrypted),
-    });
+    console.log('Request POST body:', redactForLog(body));
+    console.log('Request POST headers:', redactForLog(headers));
 
-    return handleResponse(response);
+    return getTransport().request('POST', endpoint, body, headers, options);
 };
 
 /**
  * PUT request — encrypts body
  */
-export const put = async (endpoint, body = {}, headers = {}) => {
+export const put = async (endpoint, body = {}, headers = {}, options = {}) => {
     console.log('🔒 Encrypted PUT to:', endpoint);
-    console.log('Request PUT body:', body);
-    console.log('Request PUT headers:', headers);
-    const encrypted = encryptBody(body);
-
-    const response = await fetch(`${BASE_URL}${endpoint}`, {
-        method: 'PUT',
-        headers: getHeaders(headers),
-        body: JSON.stringify(encrypted),
-    });
+    console.log('Request PUT body:', redactForLog(body));
+    console.log('Request PUT headers:', redactForLog(headers));
 
-    return handleResponse(response);
+    return getTransport().request('PUT', endpoint, body, headers, options);
 };
 
 /**
  * PATCH request — encrypts body
  */
-export const patch = async (endpoint, body = {}, headers = {}) => {
+export const patch = async (
+    endpoint,
+    body = {},
+    headers = {},
+    options = {}
+) => {
     console.log('🔒 Encrypted PATCH to:', endpoint);
-    console.log('Request PATCH body:', body);
-    console.log('Request PATCH headers:', headers);
-    const encrypted = encryptBody(body);
-
-    const response = await fetch(`${BASE_URL}${endpoint}`, {
-        method: 'PATCH',
-        headers: getHeaders(headers),
-        body: JSON.stringify(encrypted),
-    });
+    console.log('Request PATCH body:', redactForLog(body));
+    console.log('Request PATCH headers:', redactForLog(headers));
 
-    return handleResponse(response);
+    return getTransport().request('PATCH', endpoint, body, headers, options);
 };
 
 /**
  * DELETE request — encrypts query params
  */
-export const del = async (endpoint, params = {}, headers = {}) => {
+export const del = async (
+    endpoint,
+    params = {},
+    headers = {},
+    options = {}
+) => {
     console.log('🔒 Encrypted DELETE to:', endpoint);
-    console.log('Request DELETE params:', params);
-    console.log('Request DELETE headers:', headers);
-
-    const { payload } = encryptBody(params);
-
-    // Send payload using a single query parameter named "payload"
-    const query = payload ? `?payload=${encodeURIComponent(payload)}` : '';
-
-    const response = await fetch(`${BASE_URL}${endpoint}${query}`, {
-        method: 'DELETE',
-        headers: getHeaders(headers),
-    });
+    console.log('Request DELETE params:', redactForLog(params));
+    console.log('Request DELETE headers:', redactForLog(headers));
 
-    return handleResponse(response);
+    return getTransport().request('DELETE', endpoint, params, headers, options);
 };
@@ -0,0 +1,54 @@
+// Client/src/utils/apiError.js
+/**
+ * apiError.js
+ *
+ * Error type raised by every request helper in `api.js` and by the transports behind it
+ * (see `fixtureTransport.js`). Kept in its own module so transports can throw it without
+ * importing `api.js`. `api.js` re-exports it, so callers keep importing it from there.
+ *
+ * `code` is one of HTTP_ERROR, TIMEOUT, ABORTED, NETWORK, DECRYPTION_FAILED,
+ * INVALID_PAYLOAD, PAYLOAD_TAMPERED, PAYLOAD_EXPIRED, PAYLOAD_REPLAYED,
+ * KEY_EXPIRED, KEY_EXCHANGE_FAILED or INVALID_RESPONSE; `status` is the HTTP status
+ * when there was one.
+ *
+ * `isConnectivityError(error)` tells "the server could not be reached" (`NETWORK` / `TIMEOUT`,
+ * including a key exchange that failed for that reason) apart from everything else. It also
+ * accepts thunk rejection meta (`{ code }`, see `getErrorMeta`), so the offline outbox and
+ * the offline fallbacks in the thunks share one definition.
+ *
+ * `ResponseSchemaError` (`code: 'INVALID_RESPONSE'`) is raised when a successful response
+ * does not match its schema in `apiSchemas.js`. It carries the matched `route`
+ * (e.g. `GET /v0.0/tasks/:userId`) and the `issues` (`[{ path, message }]`).
+ *
+ * Author: Sunidhi Abhange
+ */
+
+export class ApiError extends Error {
+    constructor(message, { code = 'HTTP_ERROR', status = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+export class ResponseSchemaError extends ApiError {
+    constructor(route, issues = [], { status = null } = {}) {
+        const [first] = issues;
+        super(
+            `Unexpected response from ${route}` +
+                (first ? `: ${first.path || 'body'} ${first.message}` : ''),
+            { code: 'INVALID_RESPONSE', status }
+        );
+        this.name = 'ResponseSchemaError';
+        this.route = route;
+        this.issues = issues;
+    }
+}
+
+export const CONNECTIVITY_CODES = ['NETWORK', 'TIMEOUT'];
+
+export const isConnectivityError = (error) =>
+    CONNECTIVITY_CODES.includes(error?.code);
+
+export default ApiError;
@@ -15,10 +15,13 @@
  * - **Dashboard API**: `/v0.0/dashboard` – aggregates statistics and overview data for the user.
  * - **Badges API**: `/v0.0/badges` – handles gamification, earned badges, and related achievements.
  * - **Alerts API**: `/v0.0/alerts` – delivers system alerts, notifications, and warnings.
+ * - **Handshake API**: `/v0.0/handshake` – serves the server's RSA public key and accepts the
+ *   RSA-wrapped per-session AES key.
  *
  * Notes:
  * - These constants should be imported wherever an API call is made, rather than hardcoding URLs inline.
  * - Helps maintain clean separation between business logic and endpoint definitions.
+ * - The expected response of every route under these paths is declared in `apiSchemas.js`.
  *
  * Author: Sunidhi Abhange
  */
@@ -34,3 +37,5 @@ export const API_URL_DASHBOARD = '/v0.0/dashboard';
 export const API_URL_BADGES = '/v0.0/badges';
 
 export const API_URL_ALERTS = '/v0.0/alerts';
+
+export const API_URL_HANDSHAKE = '/v0.0/handshake';
@@ -0,0 +1,626 @@
+// Client/src/utils/apiSchemas.js
+/**
+ * apiSchemas.js
+ *
+ * Response schema registry for the v0.0 API, keyed by the `API_URL_*` paths in `apiPaths.js`.
+ * Each entry maps `'METHOD /sub/path/:param'` (relative to the base path; `'GET /'` is the base
+ * path itself) to the schema of a successful response, written with the builders in `schema.js`.
+ *
+ * Key functionalities:
+ * - **Validation**: `validateResponse(method, endpoint, body, { status })` finds the schema for
+ *   a concrete endpoint (`/v0.0/tasks/7?x=1` → `GET /v0.0/tasks/:userId`) and returns the
+ *   normalised body, or throws a `ResponseSchemaError` (`code: 'INVALID_RESPONSE'`) listing
+ *   every mismatch. Endpoints without a schema are returned untouched.
+ *   `api.js` (`handleResponse`) and `fixtureTransport.js` run every response through it.
+ * - **Normalisation**: aliases fill the field names the thunks read, e.g. `hasMore` from
+ *   `has_more`, `message_id` from `id`, `chat_id` and `id` from each other, and optional
+ *   lists default to `[]`.
+ * - **Fixtures**: `responseFixture(method, endpoint, overrides)` builds a valid sample
+ *   response from the schema (shallow-merged with `overrides`), so tests mock `get`/`post`
+ *   with payloads that match what the server contract promises.
+ *
+ * Notes:
+ * - Schemas list what the app reads; unknown fields pass through untouched.
+ * - Routes are matched in declaration order, so literal paths (`/progress/:userId`) come
+ *   before catch-alls (`/:userId`).
+ * - `API_URL_HANDSHAKE` is not listed: `keyExchange.js` talks to it directly and checks its
+ *   own fields.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import {
+    API_URL_CHAT,
+    API_URL_USERS,
+    API_URL_NEWS,
+    API_URL_DOCUMENTS,
+    API_URL_TASKS,
+    API_URL_QUIZZES,
+    API_URL_DASHBOARD,
+    API_URL_BADGES,
+    API_URL_ALERTS,
+} from './apiPaths';
+import { ResponseSchemaError } from './apiError';
+import { types as t, validate, exampleOf } from './schema';
+
+// --- Shared shapes ---
+
+const timestamp = () => t.string().example('2025-04-10T08:00:00.000Z');
+
+// Plain acknowledgement (`{ message }`); some endpoints answer with an empty body
+const ack = t.object({ message: t.string().optional() });
+
+// Names can be null or missing (users without a profile name, unnamed chats); the screens
+// fall back to `first_name` / `last_name` or a placeholder
+const member = t.object({
+    id: t.id(),
+    name: t.string().nullable().optional().example('Alex Kim'),
+    email: t.string().nullable().optional(),
+});
+
+// Group chat members also carry their role and, while muted, when the mute ends
+const chatMember = t.object({
+    id: t.id(),
+    name: t.string().nullable().optional().example('Alex Kim'),
+    email: t.string().nullable().optional(),
+    role: t.oneOf('owner', 'admin', 'member').optional(),
+    muted_until: timestamp().nullable().optional(null),
+});
+
+const user = t.object({
+    id: t.id(),
+    name: t.string().nullable().optional().example('Alex Kim'),
+    email: t.string().nullable().optional(),
+    phone_number: t.string().nullable().optional(),
+    city: t.string().nullable().optional(),
+});
+
+// The requesting user's own settings for a chat (see `utils/chatPreferences.js`)
+const chatPreferences = t.object({
+    muted_until: timestamp().nullable().optional(null),
+    archived: t.boolean().optional(false),
+    notification_level: t.oneOf('all', 'mentions', 'none').optional('all'),
+});
+
+const chatSummary = t.object({
+    id: t.id().from('chat_id'),
+    chat_id: t.id().from('id'),
+    name: t.string().nullable().optional().example('Neighbourhood Watch'),
+    is_group: t.boolean().optional(false),
+    members: t.array(chatMember),
+    description: t.string().nullable().optional(null),
+    avatar: t.string().nullable().optional(null),
+    announcement_only: t.boolean().optional(false),
+    preferences: chatPreferences.optional({
+        muted_until: null,
+        archived: false,
+        notification_level: 'all',
+    }),
+    unread_mention_count: t.number().optional(0),
+    lastMessage: t.string().nullable().optional(null).from('last_message'),
+    last_message_id: t.id().nullable().optional(null),
+    last_message_sender_id: t.id().nullable().optional(null),
+    updated_at: timestamp().optional(),
+});
+
+// Tallies are shared by everyone in the chat; `my_votes` is specific to the requesting user
+const poll = t.object({
+    id: t.id(),
+    question: t.string().example('Where should we meet after the drill?'),
+    options: t.array(
+        t.object({
+            id: t.id(),
+            text: t.string().example('Community centre'),
+            votes: t.number().optional(0),
+        })
+    ),
+    allows_multiple: t.boolean().optional(false),
+    closes_at: timestamp().nullable().optional(null),
+    closed: t.boolean().optional(false),
+    created_by: t.id(),
+    total_votes: t.number().optional(0),
+    my_votes: t.array(t.id()).optional([]),
+});
+
+const rsvpStatus = () => t.oneOf('going', 'maybe', 'not_going');
+
+// Counts are shared by everyone in the chat; `my_rsvp` / `my_task_id` belong to the requesting user
+const chatEvent = t.object({
+    id: t.id(),
+    title: t.string().example('Sandbag drop at the fire station'),
+    starts_at: timestamp(),
+    ends_at: timestamp().nullable().optional(null),
+    location: t
+        .object({
+            latitude: t.number().example(51.5072),
+            longitude: t.number().example(-0.1276),
+            label: t.string().nullable().optional(null),
+        })
+        .nullable()
+        .optional(null),
+    capacity: t.number().nullable().optional(null),
+    created_by: t.id(),
+    counts: t.object({
+        going: t.number().optional(0),
+        maybe: t.number().optional(0),
+        not_going: t.number().optional(0),
+    }),
+    my_rsvp: rsvpStatus().nullable().optional(null),
+    my_task_id: t.id().nullable().optional(null),
+});
+
+// `url` is where the uploaded JPEG is served; `location` is only sent when the sender opted in
+const chatImage = t.object({
+    url: t.string().example('https://cdn.example.com/chat/flooded-road.jpg'),
+    width: t.number().example(1600),
+    height: t.number().example(1200),
+    location: t
+        .object({
+            latitude: t.number().example(51.5072),
+            longitude: t.number().example(-0.1276),
+        })
+        .nullable()
+        .optional(null),
+});
+
+// `waveform` holds 0–1 bar heights drawn from the recording's loudness
+const chatVoice = t.object({
+    url: t.string().example('https://cdn.example.com/chat/voice-note.m4a'),
+    duration_ms: t.number().example(4200),
+    size: t.number().optional(),
+    mime_type: t.string().optional('audio/mp4'),
+    waveform: t.array(t.number()).optional([]),
+});
+
+// One reaction per member and message
+const reaction = t.object({
+    emoji: t.string().example('❤️'),
+    user: t.object({
+        id: t.id(),
+        name: t.string().optional(),
+    }),
+});
+
+// One receipt per recipient; timestamps stay null until the member's device acknowledges
+const receipt = t.object({
+    user: t.object({
+        id: t.id(),
+        name: t.string().optional(),
+    }),
+    delivered_at: timestamp().nullable().optional(null),
+    read_at: timestamp().nullable().optional(null),
+});
+
+// An earlier text of an edited message, and when it was written
+const messageVersion = t.object({
+    content: t.string().example('Shelter is at the old school'),
+    written_at: timestamp(),
+});
+
+const messageFields = {
+    id: t.id(),
+    sender: t.object({
+        id: t.id(),
+        name: t.string().optional(),
+    }),
+    content: t.string().nullable().example('Stay safe everyone'),
+    message_type: t.string().optional('text'),
+    mentions: t.array(member).optional([]),
+    timestamp: timestamp().from('created_at'),
+    parent_message_id: t.id().nullable().optional(null),
+    reply_count: t.number().optional(0),
+    edited_at: timestamp().nullable().optional(null),
+    edit_history: t.array(messageVersion).optional([]),
+    deleted_at: timestamp().nullable().optional(null),
+    reactions: t.array(reaction).optional([]),
+    receipts: t.array(receipt).optional([]),
+};
+
+const chatMessage = t.object({
+    ...messageFields,
+    poll: poll.optional(),
+    event: chatEvent.optional(),
+    image: chatImage.optional(),
+    voice: chatVoice.optional(),
+});
+
+// A message pinned to the top of a chat, with who pinned it and when
+const pin = t.object({
+    message_id: t.id(),
+    pinned_at: timestamp(),
+    pinned_by: t.object({
+        id: t.id(),
+        name: t.string().optional(),
+    }),
+    message: chatMessage,
+});
+
+const searchResult = t.object({
+    chat_id: t.id(),
+    chat_name: t.string().nullable().optional(null),
+    message: chatMessage,
+});
+
+const pollMessage = t.object({
+    ...messageFields,
+    message_type: t.oneOf('poll'),
+    poll,
+});
+
+const eventMessage = t.object({
+    ...messageFields,
+    message_type: t.oneOf('event'),
+    event: chatEvent,
+});
+
+const imageMessage = t.object({
+    ...messageFields,
+    message_type: t.oneOf('image'),
+    image: chatImage,
+});
+
+const voiceMessage = t.object({
+    ...messageFields,
+    message_type: t.oneOf('voice'),
+    voice: chatVoice,
+});
+
+const tokens = {
+    access_token: t.string().from('accessToken', 'token').example('access'),
+    refresh_token: t.string().optional().from('refreshToken'),
+    expires_in: t.number().optional().from('expiresIn').example(3600),
+};
+
+const otpIssued = t.object({
+    user_id: t.id().from('userId'),
+    otp_code: t.any().optional(), // only sent by servers with auto-filled OTPs
+});
+
+const contact = t.object({
+    id: t.id(),
+    name: t.string().example('Mom'),
+    phone_number: t.string().example('+15550100'),
+});
+
+const article = t.object({
+    url: t.string().example('https://example.com/news/1'),
+    title: t.string().optional(),
+});
+
+const userDocument = t.object({
+    id: t.id(),
+    title: t.string().example('Family Emergency Plan'),
+    url: t.string().example('https://example.com/docs/plan.pdf'),
+    file_url: t.string().example('/uploads/plan.pdf'),
+    read_at: t.string().nullable().optional(null),
+});
+
+const task = t.object({
+    id: t.id(),
+    title: t.string().example('Build an emergency kit'),
+    description: t.string().nullable().optional(),
+    xp: t.number().optional(0).example(50),
+});
+
+const quizSummary = t.object({
+    id: t.id(),
+    title: t.string().example('Storm Safety Basics'),
+    description: t.string().nullable().optional(),
+    xp: t.number().optional(0).example(20),
+});
+
+const quiz = t.object({
+    id: t.id(),
+    title: t.string().example('Storm Safety Basics'),
+    description: t.string().nullable().optional(),
+    xp: t.number().optional(0).example(20),
+    questions: t.array(
+        t.object({
+            id: t.id(),
+            question: t.string().example('Where is the safest place?'),
+            options: t.array(
+                t.object({
+                    id: t.id(),
+                    option_text: t.string().example('An interior room'),
+                    is_correct: t.boolean().optional(),
+                })
+            ),
+        })
+    ),
+});
+
+const quizResult = t.object({
+    score: t.number().example(2),
+    total_questions: t.number().example(3),
+    xp_earned: t.number().optional(0),
+});
+
+const badge = t.object({
+    id: t.id(),
+    name: t.string().optional().example('First Responder'),
+});
+
+const systemAlert = t.object({
+    id: t.id(),
+    title: t.string().example('Thunderstorm Warning'),
+    is_read: t.boolean().optional(),
+});
+
+const userAlert = t.object({
+    id: t.id(),
+    title: t.string().example('Sam Lee shared an emergency alert'),
+    type: t.string().optional(),
+    is_read: t.boolean().optional(false),
+});
+
+// --- Registry ---
+
+export const apiSchemas = {
+    [API_URL_CHAT]: {
+        'GET /list/:userId': t.object({ data: t.array(chatSummary) }),
+        'GET /search': t.object({ results: t.array(searchResult) }),
+        'POST /create': t.object({ chat: chatSummary }),
+        'POST /local-groups/join': t.object({
+            chat_id: t.id().from('chatId'),
+            name: t.string().example('Springfield Community'),
+        }),
+        'POST /read': ack,
+        'GET /:chatId': t.object({ chat: chatSummary }),
+        'PATCH /:chatId': t.object({ chat: chatSummary }),
+        'DELETE /:chatId': ack,
+        'POST /:chatId/add-members': ack,
+        'DELETE /:chatId/remove-member': ack,
+        'PATCH /:chatId/members/:memberId': t.object({ chat: chatSummary }),
+        'POST /:chatId/members/:memberId/ban': t.object({ chat: chatSummary }),
+        'PATCH /:chatId/preferences': t.object({
+            chat_id: t.id(),
+            preferences: chatPreferences,
+        }),
+        'GET /:chatId/pins': t.object({ pins: t.array(pin) }),
+        'POST /:chatId/pins': t.object({ pins: t.array(pin) }),
+        'DELETE /:chatId/pins/:messageId': t.object({ pins: t.array(pin) }),
+        'GET /:chatId/messages': t.object({
+            data: t.array(chatMessage),
+            hasMore: t.boolean().from('has_more').optional(false),
+        }),
+        'POST /:chatId/messages': t.object({
+            message_id: t.id().from('id'),
+        }),
+        'PATCH /:chatId/messages/:messageId': t.object({
+            message: chatMessage,
+        }),
+        'DELETE /:chatId/messages/:messageId': t.object({
+            message: chatMessage,
+        }),
+        'GET /:chatId/messages/:messageId/replies': t.object({
+            data: t.array(chatMessage),
+            hasMore: t.boolean().from('has_more'),
+        }),
+        'POST /:chatId/messages/:messageId/replies': t.object({
+            message_id: t.id(),
+            message: chatMessage,
+            reply_count: t.number(),
+        }),
+        'POST /:chatId/messages/:messageId/reactions': t.object({
+            message_id: t.id(),
+            reactions: t.array(reaction),
+        }),
+        'DELETE /:chatId/messages/:messageId/reactions': t.object({
+            message_id: t.id(),
+            reactions: t.array(reaction),
+        }),
+        'POST /:chatId/uploads': t.object({
+            upload_id: t.id(),
+            received: t.number(),
+        }),
+        'POST /:chatId/images': t.object({
+            message_id: t.id(),
+            message: imageMessage,
+        }),
+        'POST /:chatId/voice': t.object({
+            message_id: t.id(),
+            message: voiceMessage,
+        }),
+        'POST /:chatId/polls': t.object({
+            message_id: t.id(),
+            message: pollMessage,
+        }),
+        'POST /:chatId/polls/:pollId/vote': t.object({ poll }),
+        'POST /:chatId/polls/:pollId/close': t.object({ poll }),
+        'GET /:chatId/polls/:pollId/voters': t.object({
+            voters: t.array(
+                t.object({
+                    option_id: t.id(),
+                    users: t.array(member),
+                })
+            ),
+        }),
+        'POST /:chatId/events': t.object({
+            message_id: t.id(),
+            message: eventMessage,
+        }),
+        'POST /:chatId/events/:eventId/rsvp': t.object({ event: chatEvent }),
+    },
+
+    [API_URL_USERS]: {
+        'POST /register': otpIssued,
+        'POST /request-otp': otpIssued,
+        'POST /verify-otp': t.object({ user, ...tokens }),
+        'POST /refresh-token': t.object(tokens),
+        'POST /logout': ack,
+        'GET /suggestions': t.object({ data: t.array(user) }),
+        'PATCH /:userId/location': ack,
+        'GET /emergency-contacts/:userId': t.object({
+            data: t.array(contact),
+        }),
+        'POST /emergency-contacts': ack,
+        'DELETE /emergency-contacts/:contactId': ack,
+    },
+
+    [API_URL_NEWS]: {
+        'GET /bookmarks': t.array(article),
+        'POST /bookmarks': ack,
+        'DELETE /bookmarks': ack,
+        'DELETE /bookmarks/all': ack,
+    },
+
+    [API_URL_DOCUMENTS]: {
+        'POST /': ack,
+        'DELETE /': ack,
+        'DELETE /all': ack,
+        'POST /read': ack,
+        'DELETE /read': ack,
+        'GET /:userId': t.object({ data: t.array(userDocument) }),
+    },
+
+    [API_URL_TASKS]: {
+        'GET /progress/:userId': t.object({
+            completedTasks: t
+                .array(
+                    t.object({
+                        task_id: t.id().from('taskId'),
+                        completed_at: timestamp().nullable().optional(),
+                    })
+                )
+                .from('completed_tasks'),
+        }),
+        'GET /:userId': t.object({ tasks: t.array(task) }),
+        'POST /complete': t.object({
+            message: t.string().optional(),
+            xp_earned: t.number().optional(0),
+        }),
+        'POST /uncomplete': ack,
+    },
+
+    [API_URL_QUIZZES]: {
+        'GET /user/:userId': t.object({ quizzes: t.array(quizSummary) }),
+        'GET /history/:userId': t.object({
+            history: t.array(
+                t.object({
+                    quiz_id: t.id(),
+                    score: t.number(),
+                    total_questions: t.number().example(3),
+                })
+            ),
+        }),
+        'POST /ai-generate': t.object({ quiz }),
+        'GET /:quizId': t.object({ quiz }),
+        'GET /:quizId/stats': t.object({
+            stats: t.object({
+                attempts: t.number(),
+                average_score: t.number(),
+                best_score: t.number(),
+            }),
+        }),
+        'POST /:quizId/submit': quizResult,
+    },
+
+    [API_URL_DASHBOARD]: {
+        'GET /:userId': t.object({
+            profile: t.object({}),
+            stats: t.object({}),
+        }),
+    },
+
+    [API_URL_BADGES]: {
+        'GET /': t.object({ badges: t.array(badge) }),
+        'GET /user/:userId': t.object({ earned: t.array(badge) }),
+        'POST /award': ack,
+    },
+
+    [API_URL_ALERTS]: {
+        'GET /': t.object({
+            alerts: t.array(systemAlert),
+            hasMore: t.boolean().from('has_more'),
+            totalCount: t.number().from('total_count'),
+        }),
+        'GET /system': t.object({
+            systemAlerts: t.array(systemAlert).from('system_alerts'),
+        }),
+        'POST /system': ack,
+        'POST /emergency': ack,
+        'GET /pending-actions': t.object({
+            pendingActions: t
+                .array(t.object({ id: t.id() }))
+                .from('pending_actions'),
+        }),
+        'GET /user/:userId': t.object({ alerts: t.array(userAlert) }),
+        'PATCH /:alertId/read': ack,
+        'DELETE /:alertId': ack,
+    },
+};
+
+// --- Lookup ---
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compileRoutes = () =>
+    Object.entries(apiSchemas).flatMap(([basePath, routes]) =>
+        Object.entries(routes).map(([key, schema]) => {
+            const [method, subPath] = key.split(' ');
+            const pattern =
+                subPath === '/' ? basePath : `${basePath}${subPath}`;
+            const source = pattern
+                .split('/')
+                .map((segment) =>
+                    segment.startsWith(':') ? '[^/]+' : escapeRegex(segment)
+                )
+                .join('/');
+            return {
+                method,
+                route: `${method} ${pattern}`,
+                regex: new RegExp(`^${source}$`),
+                schema,
+            };
+        })
+    );
+
+let compiled = null;
+
+/**
+ * The registered route for a concrete endpoint: `{ route, schema }`, or `null`
+ */
+export const findResponseSchema = (method, endpoint = '') => {
+    compiled = compiled || compileRoutes();
+    const path = endpoint.split('?')[0].replace(/\/+$/, '');
+    const upper = method.toUpperCase();
+    const match = compiled.find(
+        (entry) => entry.method === upper && entry.regex.test(path)
+    );
+    return match ? { route: match.route, schema: match.schema } : null;
+};
+
+/**
+ * Validate and normalise a successful response body
+ */
+export const validateResponse = (
+    method,
+    endpoint,
+    body,
+    { status = null } = {}
+) => {
+    const match = findResponseSchema(method, endpoint);
+    if (!match) return body;
+
+    const { value, issues } = validate(match.schema, body);
+    if (issues.length) {
+        throw new ResponseSchemaError(match.route, issues, { status });
+    }
+    return value;
+};
+
+/**
+ * A valid sample response for tests, shallow-merged with `overrides`
+ */
+export const responseFixture = (method, endpoint, overrides) => {
+    const match = findResponseSchema(method, endpoint);
+    if (!match) {
+        throw new Error(`No response schema for ${method} ${endpoint}`);
+    }
+    const sample = exampleOf(match.schema);
+    return overrides === undefined
+        ? sample
+        : Array.isArray(sample)
+        ? overrides
+        : { ...sample, ...overrides };
+};
@@ -0,0 +1,120 @@
+/**
+ * chatPreferences.js
+ *
+ * Each member's own settings for a chat: muting, archiving and how much of it should notify them.
+ * Shared by the fixture server (push notifications) and the chat list (badges, archive tab).
+ *
+ * Key Functionalities:
+ *
+ * 1. **DEFAULT_PREFERENCES / NOTIFICATION_LEVELS / MUTE_OPTIONS**
+ *    - `{ muted_until, archived, notification_level }` of a chat nobody changed, the levels
+ *      (`'all'`, `'mentions'`, `'none'`) and the mute lengths offered (1 hour, 8 hours, forever).
+ *
+ * 2. **preferencesOf(chat) / muteUntil(key, now)**
+ *    - A chat summary's `preferences` with the defaults filled in, and the `muted_until` date
+ *      for a mute option (`MUTED_FOREVER` for "until I unmute").
+ *
+ * 3. **isChatMuted(preferences, now) / muteLabel(preferences, now)**
+ *    - Whether a mute is still running, and how the list describes it.
+ *
+ * 4. **toPreferenceFields(changes) / applyPreferenceChanges(preferences, changes)**
+ *    - Maps `{ mutedUntil, archived, notificationLevel }` to the API's fields (only those given)
+ *      and merges them into the current preferences.
+ *
+ * 5. **showsUnreadBadge(preferences, now) / shouldNotify(preferences, message, userId, now)**
+ *    - Muted chats and chats set to "none" or "mentions" only get a quiet unread marker; pushes
+ *      skip the member's own messages, muted chats and "none", and with "mentions" only go out
+ *      for messages that mention the member (`message.mentions`).
+ *
+ * Author: Sunidhi Abhange
+ */
+
+export const NOTIFICATION_LEVELS = ['all', 'mentions', 'none'];
+
+// Far enough ahead to never run out; stored like any other mute end
+export const MUTED_FOREVER = '9999-12-31T23:59:59.999Z';
+
+export const MUTE_OPTIONS = [
+    { key: '1h', label: '1 hour', ms: 60 * 60 * 1000 },
+    { key: '8h', label: '8 hours', ms: 8 * 60 * 60 * 1000 },
+    { key: 'forever', label: 'Until I unmute', ms: null },
+];
+
+export const DEFAULT_PREFERENCES = {
+    muted_until: null,
+    archived: false,
+    notification_level: 'all',
+};
+
+export const preferencesOf = (chat) => ({
+    ...DEFAULT_PREFERENCES,
+    ...(chat?.preferences || {}),
+});
+
+export const muteUntil = (key, now = Date.now()) => {
+    const option = MUTE_OPTIONS.find((o) => o.key === key);
+    if (!option) return null;
+    return option.ms === null
+        ? MUTED_FOREVER
+        : new Date(now + option.ms).toISOString();
+};
+
+export const isChatMuted = (preferences, now = Date.now()) =>
+    !!preferences?.muted_until &&
+    new Date(preferences.muted_until).getTime() > now;
+
+export const muteLabel = (preferences, now = Date.now()) => {
+    if (!isChatMuted(preferences, now)) return null;
+    if (preferences.muted_until === MUTED_FOREVER) return 'Muted';
+    const until = new Date(preferences.muted_until);
+    const time = `${String(until.getHours()).padStart(2, '0')}:${String(
+        until.getMinutes()
+    ).padStart(2, '0')}`;
+    return `Muted until ${time}`;
+};
+
+export const toPreferenceFields = ({
+    mutedUntil,
+    archived,
+    notificationLevel,
+} = {}) => ({
+    ...(mutedUntil !== undefined ? { muted_until: mutedUntil } : {}),
+    ...(archived !== undefined ? { archived: !!archived } : {}),
+    ...(notificationLevel !== undefined
+        ? { notification_level: notificationLevel }
+        : {}),
+});
+
+export const applyPreferenceChanges = (preferences, changes) => ({
+    ...DEFAULT_PREFERENCES,
+    ...(preferences || {}),
+    ...toPreferenceFields(changes),
+});
+
+export const showsUnreadBadge = (preferences, now = Date.now()) =>
+    !isChatMuted(preferences, now) &&
+    (preferences?.notification_level || 'all') === 'all';
+
+export const isMentioned = (message, userId) =>
+    (message?.mentions || []).some(
+        (mention) => String(mention?.id ?? mention) === String(userId)
+    );
+
+export const shouldNotify = (
+    preferences,
+    message,
+    userId,
+    now = Date.now()
+) => {
+    const senderId = message?.sender_id ?? message?.sender?.id;
+    if (!message || String(senderId) === String(userId)) return false;
+    if (isChatMuted(preferences, now)) return false;
+    switch (preferences?.notification_level || 'all') {
+        case 'none':
+            return false;
+        case 'mentions':
+            return isMentioned(message, userId);
+        default:
+            return true;
+    }
+};
@@ -1,16 +1,260 @@
-export const DEV_MODE = false; // ← Flip this to false to disable mode
-export const isLocalServer = true; // ← Flip this to false to disable mode
-export const autoSetOTP = true; // ← Flip this to false to disable mode
-export const External_API_MODE = true; // ← Flip this to false to enable mode
-
-export const BASE_URL = isLocalServer
-    ? 'http://192.168.1.166:3005'
-    : 'https://resqzone.64bitme.com'; // 🔁 Replace with your base API URL. Does not work with localhost
-export const OPENWEATHER_API_KEY =
-    External_API_MODE && '90ddd5a724508a3bd03a126fe9053ad0'; // https://home.openweathermap.org/api_keys
-export const NEWS_API_KEY =
-    External_API_MODE && '0cb5dd3d4c374b2ca475cfcff2e9aaa7'; // https://newsapi.org/register/success
-export const OPENCAGE_API_KEY =
-    External_API_MODE && 'c3303cfe37e84f0bae66916a43a905e7'; // https://api.opencagedata.com
-export const ENCRYPTION_KEY = '12345678901234567890123456789012'; // Must be 32 chars (256-bit)
+// Client/src/utils/config.js
+/**
+ * config.js
+ *
+ * Runtime configuration resolved from named environment profiles declared in `app.json`
+ * under `expo.extra` (read through `expo-constants`), instead of flags edited by hand
+ * before every build.
+ *
+ * `app.json` → `expo.extra`:
+ * - `envProfile`: the profile this build starts with (e.g. `"production"` for store builds).
+ * - `envProfiles`: `{ [name]: { apiBaseUrl, devMode, autoSetOTP, externalApis, release?, serverPublicKey?,
+ *   serverPublicKeySha256? } }`
+ *   - `local`: backend on the LAN (use the machine's IP; `localhost` is the device itself).
+ *   - `staging` / `production`: deployed backends; `production` is marked `release`.
+ *   - `offline-fixture`: `devMode` on, no backend; `api.js` answers from the in-process
+ *     fixture server and weather/news use their mocks.
+ * - `apiKeys`: `{ openWeather, news, openCage }`, used when a profile has `externalApis` on.
+ * - `serverPublicKey`: PEM pinned by the key exchange (a profile may override it).
+ *   `serverPublicKeySha256` pins a fetched key by fingerprint instead (see `keyExchange.js`).
+ *   Only `local` may run the key exchange without either.
+ *
+ * Exports (live bindings, updated when the profile changes):
+ * - `DEVELOPER_TOOLS`, `ENV_PROFILE`, `BASE_URL`, `DEV_MODE`, `isLocalServer`, `autoSetOTP`, `External_API_MODE`,
+ *   `OPENWEATHER_API_KEY`, `NEWS_API_KEY`, `OPENCAGE_API_KEY`, `SERVER_PUBLIC_KEY`,
+ *   `SERVER_PUBLIC_KEY_SHA256`, `IV_LENGTH`.
+ *   Read them at call time (as the existing modules do), not into module-level constants.
+ *
+ * Key functionalities:
+ * - **Validation**: `validateProfile(name)` lists what is wrong with a profile: non-boolean
+ *   flags, a missing or non-http(s) `apiBaseUrl` (required unless `devMode`), `localhost`,
+ *   missing API keys while `externalApis` is on, a malformed key fingerprint, no pinned server
+ *   key on a profile other than `local` that talks to a server (`devMode` off), and for
+ *   `release` profiles `devMode`, `autoSetOTP` or a non-https URL. The build's profile is validated when this module
+ *   loads and a `ConfigError` is thrown, so a misconfigured build fails at startup.
+ * - **Runtime switching**: `switchEnvironmentProfile(name)` validates, applies and persists
+ *   the choice (AsyncStorage `resqzone.envProfile`); `restoreEnvironmentProfile()` re-applies
+ *   it on launch (an invalid stored choice is dropped). Used by the hidden developer screen.
+ * - **Release builds**: `DEVELOPER_TOOLS` is false when the build's own profile is `release`;
+ *   the developer screen is then not reachable and a stored profile is never re-applied, so a
+ *   store build cannot be switched to the fixture backend or a plain-HTTP server.
+ * - **Introspection**: `getEnvironmentProfile()`, `getEnvironmentProfiles()` (with `errors`).
+ *
+ * Notes:
+ * - Switching profiles does not touch connections that already exist; callers reset the
+ *   session key and socket (see `DeveloperScreen.js`).
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import Constants from 'expo-constants';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+export const PROFILE_STORAGE_KEY = 'resqzone.envProfile';
 export const IV_LENGTH = 16;
+
+const FLAGS = ['devMode', 'autoSetOTP', 'externalApis'];
+const API_KEYS = ['openWeather', 'news', 'openCage'];
+const SHA256_BASE64 = /^[A-Za-z0-9+/]{43}=$/;
+
+export class ConfigError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const extra = Constants.expoConfig?.extra || {};
+const profiles = extra.envProfiles || {};
+const apiKeys = extra.apiKeys || {};
+
+export const DEFAULT_PROFILE = extra.envProfile || 'local';
+
+// Store builds (default profile marked `release`) get no developer screen and ignore a stored profile
+export const DEVELOPER_TOOLS = !profiles[DEFAULT_PROFILE]?.release;
+
+/**
+ * Problems with a profile, as readable messages (empty when valid)
+ */
+export const validateProfile = (
+    name,
+    profile = profiles[name],
+    keys = apiKeys
+) => {
+    if (!profile || typeof profile !== 'object') {
+        return [`Unknown environment profile "${name}"`];
+    }
+
+    const errors = [];
+    FLAGS.forEach((flag) => {
+        if (typeof profile[flag] !== 'boolean') {
+            errors.push(`${name}.${flag} must be true or false`);
+        }
+    });
+
+    const url = profile.apiBaseUrl;
+    if (url || !profile.devMode) {
+        if (typeof url !== 'string' || !/^https?:\/\/[^/\s]+/.test(url)) {
+            errors.push(`${name}.apiBaseUrl must be an http(s) URL`);
+        } else if (/^https?:\/\/(localhost|127\.0\.0\.1)\b/.test(url)) {
+            errors.push(
+                `${name}.apiBaseUrl must not be localhost; use the server's LAN address`
+            );
+        }
+    }
+
+    if (profile.externalApis) {
+        API_KEYS.forEach((key) => {
+            if (!keys[key]) {
+                errors.push(
+                    `apiKeys.${key} is required while ${name}.externalApis is on`
+                );
+            }
+        });
+    }
+
+    const fingerprint = profile.serverPublicKeySha256;
+    if (fingerprint != null && !SHA256_BASE64.test(fingerprint)) {
+        errors.push(
+            `${name}.serverPublicKeySha256 must be a base64 SHA-256 digest`
+        );
+    }
+
+    // Mirrors `getServerPublicKey` in keyExchange.js: only `local` may fetch an unpinned key
+    if (
+        name !== 'local' &&
+        !profile.devMode &&
+        !profile.serverPublicKey &&
+        !extra.serverPublicKey &&
+        !fingerprint
+    ) {
+        errors.push(
+            `${name} talks to a server; pin serverPublicKey or serverPublicKeySha256`
+        );
+    }
+
+    if (profile.release) {
+        if (profile.devMode) {
+            errors.push(`${name} is a release profile; devMode must be off`);
+        }
+        if (profile.autoSetOTP) {
+            errors.push(`${name} is a release profile; autoSetOTP must be off`);
+        }
+        if (typeof url === 'string' && !url.startsWith('https://')) {
+            errors.push(
+                `${name} is a release profile; apiBaseUrl must use https`
+            );
+        }
+    }
+
+    return errors;
+};
+
+export let ENV_PROFILE = null;
+export let BASE_URL = null;
+export let DEV_MODE = false;
+export let isLocalServer = false;
+export let autoSetOTP = false;
+export let External_API_MODE = false;
+export let OPENWEATHER_API_KEY = false;
+export let NEWS_API_KEY = false;
+export let OPENCAGE_API_KEY = false;
+export let SERVER_PUBLIC_KEY = null; // PEM; when set, the key exchange pins it instead of fetching it
+export let SERVER_PUBLIC_KEY_SHA256 = null; // fingerprint a fetched key must match
+
+const applyProfile = (name) => {
+    const profile = profiles[name];
+
+    ENV_PROFILE = name;
+    BASE_URL = profile.apiBaseUrl || null;
+    DEV_MODE = profile.devMode;
+    isLocalServer = name === 'local';
+    autoSetOTP = profile.autoSetOTP;
+    External_API_MODE = profile.externalApis;
+    OPENWEATHER_API_KEY = External_API_MODE && apiKeys.openWeather; // https://home.openweathermap.org/api_keys
+    NEWS_API_KEY = External_API_MODE && apiKeys.news; // https://newsapi.org/register/success
+    OPENCAGE_API_KEY = External_API_MODE && apiKeys.openCage; // https://api.opencagedata.com
+    SERVER_PUBLIC_KEY =
+        profile.serverPublicKey ?? extra.serverPublicKey ?? null;
+    SERVER_PUBLIC_KEY_SHA256 = profile.serverPublicKeySha256 ?? null;
+};
+
+/**
+ * The active profile: `{ name, apiBaseUrl, devMode, autoSetOTP, externalApis, release }`
+ */
+export const getEnvironmentProfile = () => ({
+    name: ENV_PROFILE,
+    apiBaseUrl: BASE_URL,
+    devMode: DEV_MODE,
+    autoSetOTP,
+    externalApis: External_API_MODE,
+    release: !!profiles[ENV_PROFILE]?.release,
+});
+
+/**
+ * Every declared profile with its validation errors, for the developer screen
+ */
+export const getEnvironmentProfiles = () =>
+    Object.entries(profiles).map(([name, profile]) => ({
+        name,
+        ...profile,
+        isDefault: name === DEFAULT_PROFILE,
+        errors: validateProfile(name),
+    }));
+
+/**
+ * Apply a profile now and remember it for the next launches
+ */
+export const switchEnvironmentProfile = async (name) => {
+    const errors = validateProfile(name);
+    if (errors.length) {
+        throw new ConfigError(`Cannot switch to "${name}"`, errors);
+    }
+
+    applyProfile(name);
+    if (name === DEFAULT_PROFILE) {
+        await AsyncStorage.removeItem(PROFILE_STORAGE_KEY);
+    } else {
+        await AsyncStorage.setItem(PROFILE_STORAGE_KEY, name);
+    }
+    return getEnvironmentProfile();
+};
+
+/**
+ * Re-apply the profile chosen on the developer screen, if it is still valid
+ */
+export const restoreEnvironmentProfile = async () => {
+    if (!DEVELOPER_TOOLS) return getEnvironmentProfile();
+
+    try {
+        const stored = await AsyncStorage.getItem(PROFILE_STORAGE_KEY);
+        if (stored && stored !== ENV_PROFILE) {
+            const errors = validateProfile(stored);
+            if (errors.length) {
+                console.warn(
+                    `Ignoring stored environment profile "${stored}":`,
+                    errors.join('; ')
+                );
+                await AsyncStorage.removeItem(PROFILE_STORAGE_KEY);
+            } else {
+                applyProfile(stored);
+            }
+        }
+    } catch (error) {
+        console.warn('Failed to restore environment profile:', error);
+    }
+    return getEnvironmentProfile();
+};
+
+// Fail fast on a misconfigured build
+const startupErrors = validateProfile(DEFAULT_PROFILE);
+if (startupErrors.length) {
+    throw new ConfigError(
+        `Invalid environment profile "${DEFAULT_PROFILE}": ${startupErrors.join(
+            '; '
+        )}`,
+        startupErrors
+    );
+}
+applyProfile(DEFAULT_PROFILE);
@@ -2,50 +2,107 @@
  * cryptoUtils.js
  *
  * Utility functions for encrypting and decrypting request/response payloads
- * using AES-256-CBC (Cipher Block Chaining) with PKCS7 padding.
+ * using AES-256-CBC (Cipher Block Chaining) with PKCS7 padding, authenticated with
+ * HMAC-SHA256 (encrypt-then-MAC).
  *
  * Key Functionalities:
  *
  * - **getRandomBytes**:
- *   Generates a secure random Initialization Vector (IV) of a specified length
- *   using the Web Crypto API (`react-native-get-random-values` ensures RN support).
+ *   Generates secure random bytes (IVs, nonces and keys) using the Web Crypto API
+ *   (`react-native-get-random-values` ensures RN support).
+ *
+ * - **Session key management**:
+ *   The AES key is no longer bundled with the app. A random 256-bit key is generated
+ *   per session (`generateSessionKey`), wrapped with the server's RSA public key by
+ *   `keyExchange.js`, and installed here with `setSessionKey({ keyHex, keyId, expiresAt })`.
+ *   - Separate encryption and MAC keys are derived from it with HMAC-SHA256
+ *     (`HMAC(key, "enc")` and `HMAC(key, "mac")`), so the raw key is never used twice.
+ *   - `hasValidSessionKey(skewMs)`: true while the key exists and is not about to expire.
+ *   - `getSessionKeyId()`: server-issued id sent with every request (`X-Session-Key-Id`).
+ *   - `clearSessionKey()`: drops the current and previous keys (logout) and the replay cache.
+ *   - `setServerClockOffset(ms)`: server clock minus device clock, recorded at the handshake.
+ *     Envelope timestamps are written and checked in server time, so a device whose clock is
+ *     off by more than `PAYLOAD_MAX_AGE_MS` can still talk to the server.
+ *   - The previous key is kept after a rotation so responses to in-flight requests
+ *     encrypted with it can still be decrypted.
  *
  * - **encryptBody**:
- *   Encrypts a plain JavaScript object into a secure payload.
+ *   Encrypts a plain JavaScript object into an authenticated envelope.
  *   - Input: Any serializable JS object.
  *   - Process:
  *     1. Stringify the object.
- *     2. Encrypt using AES-256-CBC with the configured `ENCRYPTION_KEY` and
+ *     2. Encrypt using AES-256-CBC with the derived encryption key and
  *        a randomly generated IV (`IV_LENGTH`).
- *     3. Return an object `{ payload: "ivHex:encryptedHex" }`.
- *   - Output: Encrypted payload with IV in hex form, concatenated with the
- *     ciphertext using `:` as a delimiter.
+ *     3. Compute an HMAC-SHA256 tag over `timestamp:nonce:iv:ciphertext`.
+ *   - Output: `{ payload: "timestamp:nonceHex:ivHex:encryptedHex:tagHex" }`, where
+ *     `timestamp` is milliseconds since the epoch and `nonce` is 16 random bytes.
  *
  * - **decryptBody**:
- *   Decrypts an AES-256-CBC payload back into its original JS object.
- *   - Input: String formatted as `"ivHex:encryptedHex"`.
+ *   Verifies and decrypts an envelope back into its original JS object.
+ *   - Input: String formatted as `"timestamp:nonceHex:ivHex:encryptedHex:tagHex"`.
  *   - Process:
- *     1. Split IV and ciphertext from the payload string.
- *     2. Parse them into WordArray objects.
- *     3. Decrypt using AES-256-CBC with the configured `ENCRYPTION_KEY`.
- *     4. Parse decrypted UTF-8 string back into JSON.
+ *     1. Check the envelope shape.
+ *     2. Verify the tag (constant-time) with the session key, falling back to the
+ *        previous key after a rotation.
+ *     3. Reject messages older (or further in the future) than `PAYLOAD_MAX_AGE_MS`.
+ *     4. Reject nonces already seen inside that window.
+ *     5. Decrypt and parse the UTF-8 JSON.
  *   - Output: Original JS object.
  *
  * Error Handling:
- * - `decryptBody` throws if the payload format is invalid (no colon `:` present).
- * - Throws if decryption fails or produces empty output.
+ * - `encryptBody` throws a `SessionKeyError` with `code: 'NO_SESSION_KEY'` before the key
+ *   exchange and `code: 'KEY_EXPIRED'` once the key has expired.
+ * - `decryptBody` throws a `PayloadError` whose `code` tells the failures apart:
+ *   - `INVALID_PAYLOAD`: not a well-formed envelope.
+ *   - `PAYLOAD_TAMPERED`: the tag does not match (modified data or wrong key).
+ *   - `PAYLOAD_EXPIRED`: the timestamp is outside the accepted window.
+ *   - `PAYLOAD_REPLAYED`: the nonce was already accepted.
+ *   - `DECRYPTION_FAILED`: authentic but undecryptable/empty content.
  *
  * Notes:
- * - Requires `ENCRYPTION_KEY` to be exactly 32 characters long for AES-256.
+ * - Session keys are 32 random bytes (AES-256) and live in memory only.
  * - `IV_LENGTH` must match the block size (16 bytes for AES).
- * - Ensures sensitive data is secured during transport/storage in the app.
+ * - The tag is checked before anything else, so forged payloads cannot fill the replay cache.
  *
  * Author: Sunidhi Abhange
  */
 
 import 'react-native-get-random-values';
 import CryptoJS from 'crypto-js';
-import { ENCRYPTION_KEY, IV_LENGTH } from './config';
+import { IV_LENGTH } from './config';
+
+const SESSION_KEY_BYTES = 32;
+const NONCE_BYTES = 16;
+export const PAYLOAD_MAX_AGE_MS = 5 * 60 * 1000;
+
+const HEX_PATTERN = /^[0-9a-f]+$/i;
+
+let sessionKey = null;
+let previousSessionKey = null;
+let serverClockOffset = 0;
+const seenNonces = new Map();
+
+/**
+ * Raised when no usable session key is installed
+ */
+export class SessionKeyError extends Error {
+    constructor(message, code = 'NO_SESSION_KEY') {
+        super(message);
+        this.name = 'SessionKeyError';
+        this.code = code;
+    }
+}
+
+/**
+ * Raised when an incoming envelope is rejected
+ */
+export class PayloadError extends Error {
+    constructor(message, code = 'INVALID_PAYLOAD') {
+        super(message);
+        this.name = 'PayloadError';
+        this.code = code;
+    }
+}
 
 /**
  * Generates secure random bytes for IV using Web Crypto API.
@@ -58,55 +115,193 @@ const getRandomBytes = (length) => {
 };
 
 /**
- * Encrypt a JS object into AES-256-CBC (CBC mode, PKCS7 padding)
- * Output format: { payload: 'ivHex:encryptedHex' }
+ * Generate a fresh random AES-256 key as hex
+ */
+export const generateSessionKey = () =>
+    getRandomBytes(SESSION_KEY_BYTES).toString(CryptoJS.enc.Hex);
+
+const deriveKeys = (keyHex) => {
+    const master = CryptoJS.enc.Hex.parse(keyHex);
+    return {
+        encKey: CryptoJS.HmacSHA256('enc', master),
+        macKey: CryptoJS.HmacSHA256('mac', master),
+    };
+};
+
+/**
+ * Install the negotiated session key; the old one is kept for decryption only
+ */
+export const setSessionKey = ({ keyHex, keyId, expiresAt = null }) => {
+    previousSessionKey = sessionKey;
+    sessionKey = {
+        ...deriveKeys(keyHex),
+        keyId,
+        expiresAt,
+    };
+};
+
+export const clearSessionKey = () => {
+    sessionKey = null;
+    previousSessionKey = null;
+    serverClockOffset = 0;
+    seenNonces.clear();
+};
+
+/**
+ * Record how far the server clock is ahead of the device (ms, negative when behind)
+ */
+export const setServerClockOffset = (offsetMs) => {
+    serverClockOffset = Number.isFinite(offsetMs) ? offsetMs : 0;
+};
+
+export const getServerClockOffset = () => serverClockOffset;
+
+// Envelope timestamps are in server time, so a wrong device clock does not expire them
+const serverNow = () => Date.now() + serverClockOffset;
+
+export const getSessionKeyId = () => sessionKey?.keyId ?? null;
+
+export const hasValidSessionKey = (skewMs = 0, now = Date.now()) =>
+    !!sessionKey &&
+    (!sessionKey.expiresAt || now + skewMs < sessionKey.expiresAt);
+
+const requireSessionKey = () => {
+    if (!sessionKey) {
+        throw new SessionKeyError('No session key; key exchange required');
+    }
+    if (!hasValidSessionKey()) {
+        throw new SessionKeyError('Session key expired', 'KEY_EXPIRED');
+    }
+    return sessionKey;
+};
+
+const computeTag = (macKey, fields) =>
+    CryptoJS.HmacSHA256(fields.join(':'), macKey).toString(CryptoJS.enc.Hex);
+
+// Compare without short-circuiting so timing does not leak the tag
+const tagsEqual = (a, b) => {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i += 1) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+};
+
+const rememberNonce = (nonceHex, timestamp, now) => {
+    seenNonces.forEach((seenAt, nonce) => {
+        if (Math.abs(now - seenAt) > PAYLOAD_MAX_AGE_MS) {
+            seenNonces.delete(nonce);
+        }
+    });
+    seenNonces.set(nonceHex, timestamp);
+};
+
+/**
+ * Encrypt a JS object into AES-256-CBC (CBC mode, PKCS7 padding) + HMAC-SHA256
+ * Output format: { payload: 'timestamp:nonceHex:ivHex:encryptedHex:tagHex' }
  */
 export const encryptBody = (bodyObject) => {
     const json = JSON.stringify(bodyObject);
-    const key = CryptoJS.enc.Utf8.parse(ENCRYPTION_KEY);
+    const { encKey, macKey } = requireSessionKey();
     const iv = getRandomBytes(IV_LENGTH);
 
-    const encrypted = CryptoJS.AES.encrypt(json, key, {
+    const encrypted = CryptoJS.AES.encrypt(json, encKey, {
         iv,
         mode: CryptoJS.mode.CBC,
         padding: CryptoJS.pad.Pkcs7,
     });
 
-    const ivHex = iv.toString(CryptoJS.enc.Hex);
-    const encryptedHex = encrypted.ciphertext.toString(CryptoJS.enc.Hex);
+    const fields = [
+        String(serverNow()),
+        getRandomBytes(NONCE_BYTES).toString(CryptoJS.enc.Hex),
+        iv.toString(CryptoJS.enc.Hex),
+        encrypted.ciphertext.toString(CryptoJS.enc.Hex),
+    ];
 
     return {
-        payload: `${ivHex}:${encryptedHex}`,
+        payload: [...fields, computeTag(macKey, fields)].join(':'),
+    };
+};
+
+const parseEnvelope = (payload) => {
+    const parts = typeof payload === 'string' ? payload.split(':') : [];
+    if (parts.length !== 5) {
+        throw new PayloadError('Invalid payload format');
+    }
+
+    const [timestamp, nonceHex, ivHex, encryptedHex, tagHex] = parts;
+    if (
+        !/^\d+$/.test(timestamp) ||
+        ![nonceHex, ivHex, encryptedHex, tagHex].every((part) =>
+            HEX_PATTERN.test(part)
+        )
+    ) {
+        throw new PayloadError('Invalid payload format');
+    }
+
+    return {
+        fields: [timestamp, nonceHex, ivHex, encryptedHex],
+        timestamp: Number(timestamp),
+        nonceHex,
+        ivHex,
+        encryptedHex,
+        tagHex: tagHex.toLowerCase(),
     };
 };
 
 /**
- * Decrypts AES-256-CBC string back into JS object.
- * Expects input in format: 'ivHex:encryptedHex'
+ * Verifies and decrypts an authenticated envelope back into a JS object.
+ * Expects input in format: 'timestamp:nonceHex:ivHex:encryptedHex:tagHex'
  */
-export const decryptBody = (payload) => {
-    if (!payload.includes(':')) {
-        throw new Error('Invalid payload format');
+export const decryptBody = (payload, now = serverNow()) => {
+    const envelope = parseEnvelope(payload);
+
+    if (!sessionKey && !previousSessionKey) {
+        throw new SessionKeyError('No session key; key exchange required');
     }
 
-    const [ivHex, encryptedHex] = payload.split(':');
-    const iv = CryptoJS.enc.Hex.parse(ivHex);
-    const encryptedWordArray = CryptoJS.enc.Hex.parse(encryptedHex);
-    const key = CryptoJS.enc.Utf8.parse(ENCRYPTION_KEY);
+    const key = [sessionKey, previousSessionKey]
+        .filter(Boolean)
+        .find(({ macKey }) =>
+            tagsEqual(computeTag(macKey, envelope.fields), envelope.tagHex)
+        );
+    if (!key) {
+        throw new PayloadError(
+            'Payload authentication failed',
+            'PAYLOAD_TAMPERED'
+        );
+    }
+
+    if (Math.abs(now - envelope.timestamp) > PAYLOAD_MAX_AGE_MS) {
+        throw new PayloadError('Payload expired', 'PAYLOAD_EXPIRED');
+    }
+    if (seenNonces.has(envelope.nonceHex)) {
+        throw new PayloadError('Payload replayed', 'PAYLOAD_REPLAYED');
+    }
+    rememberNonce(envelope.nonceHex, envelope.timestamp, now);
 
     const decrypted = CryptoJS.AES.decrypt(
-        { ciphertext: encryptedWordArray },
-        key,
+        { ciphertext: CryptoJS.enc.Hex.parse(envelope.encryptedHex) },
+        key.encKey,
         {
-            iv,
+            iv: CryptoJS.enc.Hex.parse(envelope.ivHex),
             mode: CryptoJS.mode.CBC,
             padding: CryptoJS.pad.Pkcs7,
         }
     );
 
-    const json = decrypted.toString(CryptoJS.enc.Utf8);
+    let json;
+    try {
+        json = decrypted.toString(CryptoJS.enc.Utf8);
+    } catch {
+        json = '';
+    }
     if (!json) {
-        throw new Error('Failed to decrypt payload');
+        throw new PayloadError(
+            'Failed to decrypt payload',
+            'DECRYPTION_FAILED'
+        );
     }
 
     return JSON.parse(json);
@@ -0,0 +1,83 @@
+// Client/src/utils/fixtureTransport.js
+/**
+ * fixtureTransport.js
+ *
+ * Transport for `api.js` that answers requests from the in-process fixture server
+ * (`data/fixtureServer`) instead of the network, so the app and its tests run with
+ * no backend. `api.js` installs it when `DEV_MODE` is on; tests can install one with
+ * `setTransport(createFixtureTransport())`.
+ *
+ * Key functionalities:
+ * - **Same contract as `httpTransport`**: `request(method, endpoint, data, headers, options)`
+ *   resolves the decoded response body or rejects with an `ApiError`
+ *   (`code: 'HTTP_ERROR'` with the fixture's status and message).
+ * - **Schemas**: Answers go through `validateResponse` (`apiSchemas.js`) like HTTP responses,
+ *   so a fixture that drifts from the API contract fails with `code: 'INVALID_RESPONSE'`.
+ * - **No crypto**: There is no key exchange or payload encryption in-process.
+ * - **Latency**: An optional `latency` (ms) delays every answer, to exercise loading states.
+ * - **Cancellation**: An aborted `options.signal` rejects with `code: 'ABORTED'`, before or
+ *   during the simulated latency.
+ *
+ * Usage:
+ * ```js
+ * import { setTransport } from './api';
+ * setTransport(createFixtureTransport({ latency: 200 }));
+ * ```
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { ApiError } from './apiError';
+import { validateResponse } from './apiSchemas';
+import { createFixtureServer } from '../data/fixtureServer';
+
+const aborted = () => new ApiError('Request aborted', { code: 'ABORTED' });
+
+const delay = (ms, signal) =>
+    new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(aborted());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(aborted());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener?.('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener?.('abort', onAbort);
+    });
+
+export const createFixtureTransport = ({
+    server = createFixtureServer(),
+    latency = 0,
+} = {}) => ({
+    server,
+    request: async (
+        method,
+        endpoint,
+        data = {},
+        headers = {},
+        options = {}
+    ) => {
+        const { signal } = options;
+        if (latency > 0) {
+            await delay(latency, signal);
+        } else if (signal?.aborted) {
+            throw aborted();
+        }
+
+        const { status, body } = await server.handle(method, endpoint, data);
+        if (status >= 400) {
+            throw new ApiError(body?.message || 'Something went wrong', {
+                code: 'HTTP_ERROR',
+                status,
+            });
+        }
+        return validateResponse(method, endpoint, body, { status });
+    },
+});
+
+export default createFixtureTransport;
@@ -0,0 +1,70 @@
+/**
+ * groupRoles.js
+ *
+ * Roles and moderation rules for group chats, read from a chat summary
+ * (`members: [{ id, role, muted_until }]`, `announcement_only`).
+ *
+ * Key Functionalities:
+ *
+ * 1. **memberRole(chat, userId)**
+ *    - `'owner'`, `'admin'` or `'member'`; `null` when the user is not in the chat.
+ *
+ * 2. **isGroupAdmin(chat, userId)**
+ *    - True for the owner and admins: they can edit the group and add people.
+ *
+ * 3. **canManageMember(chat, actorId, targetId)**
+ *    - The actor must outrank the target: admins manage members, the owner also manages
+ *      admins, and nobody manages the owner or themselves. Covers promoting, demoting,
+ *      muting, banning and removing.
+ *
+ * 4. **mutedUntil(chat, userId, now)**
+ *    - The end of the user's mute as a `Date`, or `null` when they are not muted.
+ *
+ * 5. **postingRestriction(chat, userId, now)**
+ *    - Why the user cannot post right now: `'muted'`, `'announcement_only'` (and they are
+ *      not an admin), or `null` when they can.
+ *
+ * Notes:
+ * - The server enforces the same rules; these helpers only decide what the UI offers.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+export const GROUP_ROLES = ['owner', 'admin', 'member'];
+
+const RANK = { owner: 2, admin: 1, member: 0 };
+
+const findMember = (chat, userId) =>
+    (chat?.members || []).find((m) => String(m.id) === String(userId));
+
+export const memberRole = (chat, userId) => {
+    const member = findMember(chat, userId);
+    if (!member) return null;
+    return GROUP_ROLES.includes(member.role) ? member.role : 'member';
+};
+
+export const isGroupAdmin = (chat, userId) =>
+    !!chat?.is_group && RANK[memberRole(chat, userId)] >= RANK.admin;
+
+export const canManageMember = (chat, actorId, targetId) => {
+    if (!isGroupAdmin(chat, actorId)) return false;
+    if (String(actorId) === String(targetId)) return false;
+    const target = memberRole(chat, targetId);
+    return !!target && RANK[memberRole(chat, actorId)] > RANK[target];
+};
+
+export const mutedUntil = (chat, userId, now = Date.now()) => {
+    const until = findMember(chat, userId)?.muted_until;
+    if (!until) return null;
+    const date = new Date(until);
+    return date.getTime() > now ? date : null;
+};
+
+export const postingRestriction = (chat, userId, now = Date.now()) => {
+    if (!chat?.is_group) return null;
+    if (mutedUntil(chat, userId, now)) return 'muted';
+    if (chat.announcement_only && !isGroupAdmin(chat, userId)) {
+        return 'announcement_only';
+    }
+    return null;
+};
@@ -0,0 +1,310 @@
+/**
+ * hazardFeeds.js
+ *
+ * Registry of the public hazard feeds behind `fetchGlobalHazardAlerts`: which feed serves
+ * which country, how to read it, and how to turn its entries into alerts.
+ *
+ * Key Functionalities:
+ *
+ * 1. **registerHazardFeed(code, { name, url, format, normalize, covers })**
+ *    - Registers the feed for an ISO 3166-1 alpha-2 country or region `code`, replacing any
+ *      feed already registered for it. `format` is one of `FEED_FORMATS`; `normalize` is
+ *      optional and defaults to the normaliser for that format.
+ *    - `covers(entry, place)` is optional, for feeds that span several countries: only the
+ *      entries it accepts for the user's `place` are read.
+ *    - Registering `GLOBAL_FEED` replaces the fallback used for countries without a feed.
+ *
+ * 2. **hazardFeedFor(code)**
+ *    - The feed registered for `code`, or the global feed (GDACS disaster alerts) when there
+ *      is none or the country is unknown.
+ *
+ * 3. **readHazardFeed(feed, body, country, place)**
+ *    - Parses the fetched body (XML, or JSON for GeoJSON), picks out the entries for the
+ *      feed's format, keeps those the feed `covers` for `place` (`{ iso3, name }` of the
+ *      user's country) and normalises each one to
+ *      `{ title, summary, area, severity, event, effective, expires, link, country }`.
+ *    - Entries the normaliser cannot read are dropped.
+ *
+ * 4. **Formats**
+ *    - `cap`: a CAP 1.2 `<alert>` document; the English `<info>` block is used when there
+ *      are several languages.
+ *    - `atom`: Atom entries, reading the `cap:` fields when the feed carries them (NWS,
+ *      Meteoalarm).
+ *    - `rss`: RSS 2.0 items (Met Office, GDACS).
+ *    - `geojson`: a FeatureCollection whose feature properties follow the NWS alert fields.
+ *
+ * Notes:
+ * - Shipped feeds: NWS (US and its territories), the Met Office (GB) and the national
+ *   services that publish through Meteoalarm (most of Europe), with GDACS as the fallback.
+ * - GDACS lists disasters worldwide; only the entries whose `gdacs:iso3` or `gdacs:country`
+ *   names the user's country are kept, so nothing is read when the country is unknown.
+ * - Dates are ISO strings, or `null` when the feed leaves them out (the Met Office RSS has
+ *   no CAP dates).
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { parseString } from 'react-native-xml2js';
+
+export const FEED_FORMATS = {
+    CAP: 'cap',
+    ATOM: 'atom',
+    RSS: 'rss',
+    GEOJSON: 'geojson',
+};
+
+export const GLOBAL_FEED = 'GLOBAL';
+
+const asArray = (value) =>
+    value == null ? [] : Array.isArray(value) ? value : [value];
+
+// xml2js gives `{ _: text, $: attributes }` for elements that carry attributes.
+const text = (value) => {
+    if (value == null) return '';
+    if (typeof value === 'object') return value._ ?? '';
+    return String(value);
+};
+
+const isoDate = (value) => {
+    if (!value) return null;
+    const date = new Date(text(value));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const atomLink = (link) => {
+    const links = asArray(link);
+    const alternate =
+        links.find((l) => (l?.$?.rel || 'alternate') === 'alternate') ||
+        links[0];
+    if (typeof alternate === 'string') return alternate;
+    return alternate?.$?.href || alternate?.href || '';
+};
+
+const normalizeCap = (alert, country) => {
+    const infos = asArray(alert.info);
+    const info = infos.find((i) => /^en/i.test(i.language || 'en')) || infos[0];
+    if (!info) return null;
+
+    return {
+        title: text(info.headline) || text(info.event) || 'Untitled Alert',
+        summary: text(info.description),
+        area: asArray(info.area)
+            .map((a) => text(a.areaDesc))
+            .filter(Boolean)
+            .join('; '),
+        severity: text(info.severity) || 'Unknown',
+        event: text(info.event) || 'Weather Alert',
+        effective: isoDate(info.effective || info.onset || alert.sent),
+        expires: isoDate(info.expires),
+        link: text(info.web) || text(alert.identifier),
+        country,
+    };
+};
+
+const normalizeAtom = (entry, country) => ({
+    title: text(entry.title) || 'Untitled Alert',
+    summary: text(entry.summary) || text(entry.content),
+    area: text(entry['cap:areaDesc']),
+    severity: text(entry['cap:severity']) || 'Unknown',
+    event: text(entry['cap:event']) || 'Weather Alert',
+    effective: isoDate(entry['cap:effective'] || entry.updated),
+    expires: isoDate(entry['cap:expires']),
+    link: atomLink(entry.link) || text(entry.id),
+    country,
+});
+
+const normalizeRss = (entry, country) => ({
+    title: text(entry.title) || 'Untitled Alert',
+    summary: text(entry.description),
+    area: text(entry['cap:areaDesc']) || text(entry['georss:point']),
+    severity: text(entry['cap:severity']) || 'Unknown',
+    event:
+        text(entry['cap:event']) ||
+        text(asArray(entry.category)[0]) ||
+        'Weather Warning',
+    effective: isoDate(entry['cap:effective']),
+    expires: isoDate(entry['cap:expires']),
+    link: text(entry.link) || text(entry.guid),
+    country,
+});
+
+const normalizeGeoJson = (feature, country) => {
+    const props = feature.properties || {};
+    return {
+        title: props.headline || props.title || props.event || 'Untitled Alert',
+        summary: props.description || '',
+        area: props.areaDesc || '',
+        severity: props.severity || 'Unknown',
+        event: props.event || 'Weather Alert',
+        effective: isoDate(props.effective || props.onset),
+        expires: isoDate(props.expires || props.ends),
+        link: props['@id'] || props.web || feature.id || '',
+        country,
+    };
+};
+
+const GDACS_LEVELS = { Red: 'Extreme', Orange: 'Severe', Green: 'Minor' };
+const GDACS_EVENTS = {
+    EQ: 'Earthquake',
+    TC: 'Tropical Cyclone',
+    FL: 'Flood',
+    VO: 'Volcano',
+    DR: 'Drought',
+    WF: 'Wildfire',
+    TS: 'Tsunami',
+};
+
+// GDACS adds its own namespace to RSS for the alert level, event type and dates.
+const normalizeGdacs = (entry, country) => ({
+    ...normalizeRss(entry, country),
+    area: text(entry['gdacs:country']) || text(entry['georss:point']),
+    severity: GDACS_LEVELS[text(entry['gdacs:alertlevel'])] || 'Unknown',
+    event:
+        GDACS_EVENTS[text(entry['gdacs:eventtype'])] ||
+        text(entry['gdacs:eventtype']) ||
+        'Disaster Alert',
+    effective: isoDate(entry['gdacs:fromdate'] || entry.pubDate),
+    expires: isoDate(entry['gdacs:todate']),
+});
+
+// `gdacs:iso3` and `gdacs:country` list every affected country, comma-separated.
+const listed = (value) =>
+    text(value)
+        .split(',')
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+
+const gdacsCovers = (entry, { iso3, name } = {}) =>
+    Boolean(
+        (iso3 && listed(entry['gdacs:iso3']).includes(iso3.toLowerCase())) ||
+            (name &&
+                listed(entry['gdacs:country']).includes(name.toLowerCase()))
+    );
+
+const FORMATS = {
+    [FEED_FORMATS.CAP]: {
+        entries: (doc) => (doc?.alert ? [doc.alert] : []),
+        normalize: normalizeCap,
+    },
+    [FEED_FORMATS.ATOM]: {
+        entries: (doc) => asArray(doc?.feed?.entry),
+        normalize: normalizeAtom,
+    },
+    [FEED_FORMATS.RSS]: {
+        entries: (doc) => asArray(doc?.rss?.channel?.item),
+        normalize: normalizeRss,
+    },
+    [FEED_FORMATS.GEOJSON]: {
+        entries: (doc) => asArray(doc?.features),
+        normalize: normalizeGeoJson,
+    },
+};
+
+const registry = new Map();
+
+export const registerHazardFeed = (
+    code,
+    { name, url, format, normalize, covers }
+) => {
+    if (!code) throw new Error('Hazard feed needs a country code');
+    if (!url) throw new Error(`Hazard feed for ${code} needs a url`);
+    if (!FORMATS[format]) {
+        throw new Error(`Unknown hazard feed format: ${format}`);
+    }
+
+    const key = code.toUpperCase();
+    registry.set(key, {
+        code: key,
+        name: name || key,
+        url,
+        format,
+        normalize: normalize || FORMATS[format].normalize,
+        covers: covers || null,
+    });
+};
+
+export const hazardFeedFor = (code) =>
+    (code && registry.get(code.toUpperCase())) || registry.get(GLOBAL_FEED);
+
+const parseXml = (xml) =>
+    new Promise((resolve, reject) => {
+        parseString(xml, { explicitArray: false }, (err, result) => {
+            if (err) reject(err);
+            else resolve(result);
+        });
+    });
+
+export const readHazardFeed = async (feed, body, country, place = {}) => {
+    const doc =
+        feed.format === FEED_FORMATS.GEOJSON
+            ? JSON.parse(body)
+            : await parseXml(body);
+
+    return FORMATS[feed.format]
+        .entries(doc)
+        .filter((entry) => !feed.covers || feed.covers(entry, place))
+        .map((entry) => {
+            try {
+                return feed.normalize(entry, country);
+            } catch (err) {
+                console.warn(`${feed.name} entry could not be read:`, err);
+                return null;
+            }
+        })
+        .filter(Boolean);
+};
+
+// ---------------- Shipped feeds ----------------
+
+const nwsTerritory = (code) => ({
+    name: 'US National Weather Service',
+    url: `https://api.weather.gov/alerts/active?area=${code}`,
+    format: FEED_FORMATS.GEOJSON,
+});
+
+const meteoalarm = (country, name) => ({
+    name,
+    url: `https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-${country}`,
+    format: FEED_FORMATS.ATOM,
+});
+
+const SHIPPED_FEEDS = {
+    US: {
+        name: 'US National Weather Service',
+        url: 'https://alerts.weather.gov/cap/us.php?x=0',
+        format: FEED_FORMATS.ATOM,
+    },
+    PR: nwsTerritory('PR'),
+    GU: nwsTerritory('GU'),
+    VI: nwsTerritory('VI'),
+    AS: nwsTerritory('AS'),
+    MP: nwsTerritory('MP'),
+    GB: {
+        name: 'Met Office',
+        url: 'https://www.metoffice.gov.uk/public/data/PWSCache/WarningsRSS/Region/UK.xml',
+        format: FEED_FORMATS.RSS,
+    },
+    IE: meteoalarm('ireland', 'Met Éireann'),
+    FR: meteoalarm('france', 'Météo-France'),
+    DE: meteoalarm('germany', 'Deutscher Wetterdienst'),
+    ES: meteoalarm('spain', 'AEMET'),
+    IT: meteoalarm('italy', 'Protezione Civile / Aeronautica Militare'),
+    NL: meteoalarm('netherlands', 'KNMI'),
+    BE: meteoalarm('belgium', 'Royal Meteorological Institute of Belgium'),
+    PT: meteoalarm('portugal', 'IPMA'),
+    AT: meteoalarm('austria', 'GeoSphere Austria'),
+    CH: meteoalarm('switzerland', 'MeteoSwiss'),
+    NO: meteoalarm('norway', 'Norwegian Meteorological Institute'),
+    SE: meteoalarm('sweden', 'SMHI'),
+    [GLOBAL_FEED]: {
+        name: 'GDACS',
+        url: 'https://www.gdacs.org/xml/rss.xml',
+        format: FEED_FORMATS.RSS,
+        normalize: normalizeGdacs,
+        covers: gdacsCovers,
+    },
+};
+
+Object.entries(SHIPPED_FEEDS).forEach(([code, feed]) =>
+    registerHazardFeed(code, feed)
+);
@@ -0,0 +1,128 @@
+/**
+ * imageAttachments.js
+ *
+ * Helpers for sending photos in chat: picking, shrinking, reading GPS from EXIF and
+ * loading the file for upload.
+ *
+ * Key Functionalities:
+ *
+ * 1. **pickChatImage(source)**
+ *    - Asks for photo library (`'library'`, default) or camera (`'camera'`) permission and
+ *      opens the picker with EXIF data.
+ *    - Returns the picked asset, or `null` when the user cancels.
+ *    - Throws an error if permission is denied.
+ *
+ * 2. **locationFromExif(exif)**
+ *    - Reads `{ latitude, longitude }` from Android (`GPSLatitude` / `GPSLatitudeRef`) or iOS
+ *      (`{GPS}`) EXIF keys; degree/minute/second arrays are converted to decimals.
+ *    - Returns `null` when the photo has no usable position.
+ *
+ * 3. **prepareChatImage(asset, { includeLocation, maxDimension })**
+ *    - Scales the longest side down to `maxDimension` (default `MAX_IMAGE_DIMENSION`; group
+ *      avatars use `AVATAR_DIMENSION`) and re-encodes as JPEG at `IMAGE_QUALITY`.
+ *      Re-encoding writes a new file without the original EXIF block.
+ *    - Returns `{ uri, width, height, mime_type, location }`; `location` is the EXIF position
+ *      only when `includeLocation` is true, otherwise `null`.
+ *
+ * 4. **readImageBase64(uri)**
+ *    - Reads a prepared image as base64 for the chunked upload in `sendImageMessage`.
+ *
+ * Notes:
+ * - Uses `expo-image-picker`, `expo-image-manipulator` and `expo-file-system`.
+ * - Prepared files live in the app cache; queued images keep their `uri` until they are sent.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import * as ImagePicker from 'expo-image-picker';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { File } from 'expo-file-system';
+
+export const MAX_IMAGE_DIMENSION = 1600;
+export const IMAGE_QUALITY = 0.7;
+export const AVATAR_DIMENSION = 256;
+
+export const pickChatImage = async (source = 'library') => {
+    const camera = source === 'camera';
+    const { granted } = camera
+        ? await ImagePicker.requestCameraPermissionsAsync()
+        : await ImagePicker.requestMediaLibraryPermissionsAsync();
+
+    if (!granted) {
+        throw new Error(
+            camera
+                ? 'Camera permission not granted'
+                : 'Photo library permission not granted'
+        );
+    }
+
+    const options = { mediaTypes: ['images'], quality: 1, exif: true };
+    const result = camera
+        ? await ImagePicker.launchCameraAsync(options)
+        : await ImagePicker.launchImageLibraryAsync(options);
+
+    return result.canceled ? null : result.assets?.[0] || null;
+};
+
+// 51.5, [51, 30, 0] or "51/1,30/1,0/1" → decimal degrees
+const toDegrees = (value) => {
+    if (typeof value === 'number') return value;
+    const parts = Array.isArray(value)
+        ? value
+        : String(value ?? '')
+              .split(',')
+              .map((part) => {
+                  const [num, den = 1] = part.split('/').map(Number);
+                  return num / den;
+              });
+    const [deg, min = 0, sec = 0] = parts.map(Number);
+    return deg + min / 60 + sec / 3600;
+};
+
+export const locationFromExif = (exif) => {
+    if (!exif) return null;
+    const gps = exif['{GPS}'];
+    const lat = gps ? gps.Latitude : exif.GPSLatitude;
+    const lng = gps ? gps.Longitude : exif.GPSLongitude;
+    const latRef = gps ? gps.LatitudeRef : exif.GPSLatitudeRef;
+    const lngRef = gps ? gps.LongitudeRef : exif.GPSLongitudeRef;
+    if (lat == null || lng == null) return null;
+
+    const latitude = Math.abs(toDegrees(lat)) * (latRef === 'S' ? -1 : 1);
+    const longitude = Math.abs(toDegrees(lng)) * (lngRef === 'W' ? -1 : 1);
+
+    return Number.isFinite(latitude) && Number.isFinite(longitude)
+        ? { latitude, longitude }
+        : null;
+};
+
+export const prepareChatImage = async (
+    asset,
+    { includeLocation = false, maxDimension = MAX_IMAGE_DIMENSION } = {}
+) => {
+    const context = ImageManipulator.manipulate(asset.uri);
+    const longest = Math.max(asset.width || 0, asset.height || 0);
+    if (longest > maxDimension) {
+        context.resize(
+            asset.width >= asset.height
+                ? { width: maxDimension }
+                : { height: maxDimension }
+        );
+    }
+
+    const rendered = await context.renderAsync();
+    const saved = await rendered.saveAsync({
+        compress: IMAGE_QUALITY,
+        format: SaveFormat.JPEG,
+    });
+
+    return {
+        uri: saved.uri,
+        width: saved.width,
+        height: saved.height,
+        mime_type: 'image/jpeg',
+        location: includeLocation ? locationFromExif(asset.exif) : null,
+    };
+};
+
+export const readImageBase64 = (uri) => new File(uri).base64();
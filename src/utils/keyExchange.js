@@ -0,0 +1,226 @@
+/**
+ * keyExchange.js
+ *
+ * Negotiates the per-session AES key used by `crypto.js`, replacing the AES key that used
+ * to be bundled with the app.
+ *
+ * Handshake:
+ * 1. Obtain the server's RSA public key — pinned via `SERVER_PUBLIC_KEY` in `config.js`,
+ *    otherwise fetched from `GET {BASE_URL}{API_URL_HANDSHAKE}/public-key` (`{ public_key }`).
+ *    A fetched key is only trusted when its fingerprint matches `SERVER_PUBLIC_KEY_SHA256`;
+ *    the `local` profile alone may use an unpinned key.
+ * 2. Generate 32 random bytes (`generateSessionKey`) and wrap them with RSA
+ *    (`react-native-rsa-native`).
+ * 3. `POST {BASE_URL}{API_URL_HANDSHAKE}` with `{ encrypted_key }`; the server answers
+ *    `{ key_id, expires_in }`.
+ * 4. Install the key with `setSessionKey({ keyHex, keyId, expiresAt })` and record the
+ *    server clock offset from `server_time` (epoch ms or ISO) or the `Date` header.
+ *
+ * Key Functionalities:
+ * - **ensureSessionKey()**:
+ *   Resolves immediately while the current key is valid for at least `ROTATION_SKEW_MS`,
+ *   otherwise performs a new handshake. Called by `api.js` before every request.
+ *
+ * - **rotateSessionKey()**:
+ *   Forces a new handshake (e.g. after the server reports `SESSION_KEY_EXPIRED`).
+ *   Concurrent callers share a single in-flight handshake.
+ *
+ * - **resetSessionKey()**:
+ *   Forgets the negotiated key (used on logout).
+ *
+ * - **publicKeyFingerprint(pem)**:
+ *   Base64 SHA-256 of the key's DER bytes, the value pinned as `serverPublicKeySha256`
+ *   (`openssl pkey -pubin -in server.pem -outform der | openssl dgst -sha256 -binary | base64`).
+ *
+ * Error Handling:
+ * - Failures throw `KeyExchangeError` with `code: 'KEY_EXCHANGE_FAILED'` and the HTTP
+ *   `status` when the server rejected the handshake. When the server could not be reached
+ *   the code is `NETWORK` or `TIMEOUT` instead, so callers treat it as being offline (a cold
+ *   start offline always lands here, as the key is kept in memory only).
+ * - A fetched key that is unpinned (outside `local`) or does not match the pin is refused.
+ *
+ * Notes:
+ * - The handshake uses `fetch` directly: it runs before any encrypted request can be
+ *   made, so it cannot go through the encrypting `api.js` helpers.
+ * - Keys are kept in memory only; a cold start always negotiates a fresh key.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { RSA } from 'react-native-rsa-native';
+import CryptoJS from 'crypto-js';
+import {
+    BASE_URL,
+    SERVER_PUBLIC_KEY,
+    SERVER_PUBLIC_KEY_SHA256,
+    isLocalServer,
+} from './config';
+import { API_URL_HANDSHAKE } from './apiPaths';
+import {
+    generateSessionKey,
+    setSessionKey,
+    setServerClockOffset,
+    clearSessionKey,
+    hasValidSessionKey,
+} from './crypto';
+
+const HANDSHAKE_TIMEOUT = 10000;
+const ROTATION_SKEW_MS = 30000;
+
+let pendingExchange = null;
+
+export class KeyExchangeError extends Error {
+    constructor(message, { status = null, code = 'KEY_EXCHANGE_FAILED' } = {}) {
+        super(message);
+        this.name = 'KeyExchangeError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const handshakeFetch = async (path, init = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HANDSHAKE_TIMEOUT);
+
+    try {
+        const response = await fetch(`${BASE_URL}${API_URL_HANDSHAKE}${path}`, {
+            ...init,
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+            },
+            signal: controller.signal,
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new KeyExchangeError(data?.message || 'Key exchange failed', {
+                status: response.status,
+            });
+        }
+        return { data, date: response.headers?.get?.('date') ?? null };
+    } catch (error) {
+        if (error instanceof KeyExchangeError) throw error;
+        // The server was not reached: report it like any other offline request
+        if (error?.name === 'AbortError') {
+            throw new KeyExchangeError('Key exchange timed out', {
+                code: 'TIMEOUT',
+            });
+        }
+        throw new KeyExchangeError(error?.message || 'Key exchange failed', {
+            code: 'NETWORK',
+        });
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Base64 SHA-256 of a PEM key's DER bytes
+ */
+export const publicKeyFingerprint = (pem) => {
+    const der = String(pem)
+        .replace(/-----(BEGIN|END)[^-]*-----/g, '')
+        .replace(/\s+/g, '');
+    return CryptoJS.SHA256(CryptoJS.enc.Base64.parse(der)).toString(
+        CryptoJS.enc.Base64
+    );
+};
+
+// `server_time` as epoch ms or a date string (ISO or an HTTP `Date` header)
+const parseServerTime = (value) => {
+    if (value == null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+};
+
+const getServerPublicKey = async () => {
+    if (SERVER_PUBLIC_KEY) return SERVER_PUBLIC_KEY;
+
+    // Without a pin anyone on the network could hand out their own key
+    if (!SERVER_PUBLIC_KEY_SHA256 && !isLocalServer) {
+        throw new KeyExchangeError(
+            'No pinned server public key for this environment'
+        );
+    }
+
+    const { data } = await handshakeFetch('/public-key', { method: 'GET' });
+    if (!data?.public_key) {
+        throw new KeyExchangeError('Server did not return a public key');
+    }
+    if (
+        SERVER_PUBLIC_KEY_SHA256 &&
+        publicKeyFingerprint(data.public_key) !== SERVER_PUBLIC_KEY_SHA256
+    ) {
+        throw new KeyExchangeError(
+            'Server public key does not match the pinned fingerprint'
+        );
+    }
+    return data.public_key;
+};
+
+/**
+ * Run the full handshake and install the new key
+ */
+export const performKeyExchange = async () => {
+    const publicKey = await getServerPublicKey();
+    const keyHex = generateSessionKey();
+
+    let encryptedKey;
+    try {
+        encryptedKey = await RSA.encrypt(keyHex, publicKey);
+    } catch (error) {
+        throw new KeyExchangeError(
+            `Failed to wrap session key: ${error?.message || error}`
+        );
+    }
+
+    const { data, date } = await handshakeFetch('', {
+        method: 'POST',
+        body: JSON.stringify({ encrypted_key: encryptedKey }),
+    });
+    if (!data?.key_id) {
+        throw new KeyExchangeError(
+            'Server did not acknowledge the session key'
+        );
+    }
+
+    const serverTime = parseServerTime(data.server_time ?? date);
+    if (serverTime !== null) setServerClockOffset(serverTime - Date.now());
+
+    const expiresIn = Number(data.expires_in);
+    setSessionKey({
+        keyHex,
+        keyId: data.key_id,
+        expiresAt:
+            Number.isFinite(expiresIn) && expiresIn > 0
+                ? Date.now() + expiresIn * 1000
+                : null,
+    });
+
+    return data.key_id;
+};
+
+/**
+ * Force a new handshake, sharing it between concurrent callers
+ */
+export const rotateSessionKey = () => {
+    if (!pendingExchange) {
+        pendingExchange = performKeyExchange().finally(() => {
+            pendingExchange = null;
+        });
+    }
+    return pendingExchange;
+};
+
+/**
+ * Make sure a usable key is installed before encrypting
+ */
+export const ensureSessionKey = async () => {
+    if (!pendingExchange && hasValidSessionKey(ROTATION_SKEW_MS)) return;
+    await rotateSessionKey();
+};
+
+export const resetSessionKey = () => {
+    clearSessionKey();
+};
@@ -0,0 +1,110 @@
+/**
+ * mentions.js
+ *
+ * @mentions in chat messages: finding what the user is typing after "@", suggesting members,
+ * inserting the picked name, and splitting message text so mentions can be highlighted.
+ *
+ * Key Functionalities:
+ *
+ * 1. **activeMentionQuery(text, cursor)**
+ *    - `{ start, end, query }` when the word before the cursor starts with "@" (at the start of
+ *      the text or after a space), otherwise `null`.
+ *
+ * 2. **mentionCandidates(members, query, excludeId, limit)**
+ *    - Members whose name (or any word of it) starts with `query`, leaving out the user
+ *      themselves, at most `MAX_MENTION_SUGGESTIONS`.
+ *
+ * 3. **insertMention(text, range, member)**
+ *    - Replaces "@query" with "@Name " and returns `{ text, cursor }`.
+ *
+ * 4. **mentionsInText(text, picked)**
+ *    - The picked members whose "@Name" is still in the text, once each, as `{ id, name }` (the
+ *      mention entities sent with the message).
+ *
+ * 5. **mentionParts(text, mentions)**
+ *    - Splits text into `[{ text, mention }]` parts; `mention` is the `{ id, name }` entity for
+ *      "@Name" parts and `null` elsewhere.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+export const MAX_MENTION_SUGGESTIONS = 5;
+
+const tokenOf = (name) => `@${name}`;
+
+export const activeMentionQuery = (text = '', cursor = text.length) => {
+    const before = text.slice(0, cursor);
+    const match = /(^|\s)@([^\s@]*)$/.exec(before);
+    if (!match) return null;
+    const start = before.length - match[2].length - 1;
+    return { start, end: cursor, query: match[2] };
+};
+
+export const mentionCandidates = (
+    members = [],
+    query = '',
+    excludeId = null,
+    limit = MAX_MENTION_SUGGESTIONS
+) => {
+    const needle = query.toLowerCase();
+    return members
+        .filter((member) => member?.name)
+        .filter((member) => String(member.id) !== String(excludeId))
+        .filter((member) => {
+            const name = member.name.toLowerCase();
+            return (
+                name.startsWith(needle) ||
+                name.split(/\s+/).some((word) => word.startsWith(needle))
+            );
+        })
+        .slice(0, limit);
+};
+
+export const insertMention = (text = '', { start, end }, member) => {
+    const inserted = `${tokenOf(member.name)} `;
+    return {
+        text: `${text.slice(0, start)}${inserted}${text.slice(end)}`,
+        cursor: start + inserted.length,
+    };
+};
+
+export const mentionsInText = (text = '', picked = []) => {
+    const seen = new Set();
+    return picked
+        .filter((member) => text.includes(tokenOf(member.name)))
+        .filter((member) => {
+            const key = String(member.id);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(({ id, name }) => ({ id, name }));
+};
+
+export const mentionParts = (text = '', mentions = []) => {
+    // Longest names first, so "@Sam Lee" wins over "@Sam"
+    const named = mentions
+        .filter((mention) => mention?.name)
+        .sort((a, b) => b.name.length - a.name.length);
+    if (!text || !named.length) return text ? [{ text, mention: null }] : [];
+
+    const parts = [];
+    let plain = '';
+    let i = 0;
+    while (i < text.length) {
+        const mention =
+            text[i] === '@' &&
+            named.find((m) => text.startsWith(tokenOf(m.name), i));
+        if (mention) {
+            if (plain) parts.push({ text: plain, mention: null });
+            plain = '';
+            parts.push({ text: tokenOf(mention.name), mention });
+            i += tokenOf(mention.name).length;
+        } else {
+            plain += text[i];
+            i += 1;
+        }
+    }
+    if (plain) parts.push({ text: plain, mention: null });
+    return parts;
+};
@@ -0,0 +1,90 @@
+/**
+ * messageCache.js
+ *
+ * On-device store of each chat's recent messages, so a chat opens with its history (and works
+ * offline) before the server answers.
+ *
+ * Key Functionalities:
+ *
+ * 1. **readCachedMessages(chatId)**
+ *    - Returns the chat's stored messages (oldest first), or `[]` when nothing usable is stored.
+ *      Never throws; storage and parse errors are logged.
+ *
+ * 2. **writeCachedMessages(chatId, messages)**
+ *    - Stores the newest `MESSAGE_CACHE_LIMIT` messages under `resqzone.messages.<chatId>`;
+ *      an empty list removes the entry.
+ *    - Photos that were still uploading are stored as `failed`, since an upload cannot resume
+ *      after a restart; the bubble then offers a retry.
+ *
+ * 3. **clearCachedMessages()**
+ *    - Removes every chat's entry (used on logout).
+ *
+ * 4. **isLocalMessage(message)**
+ *    - True for client-side echoes (`temp-…` ids) that the server has not stored yet.
+ *
+ * Notes:
+ * - Writes are driven by `store/middleware/messageCacheMiddleware.js`; reads happen in
+ *   `fetchMessages` when a chat is opened with nothing in memory.
+ * - Each chat has its own key, so a busy chat never rewrites the others.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+export const MESSAGE_CACHE_PREFIX = 'resqzone.messages.';
+export const MESSAGE_CACHE_LIMIT = 200;
+
+const cacheKey = (chatId) => `${MESSAGE_CACHE_PREFIX}${chatId}`;
+
+export const isLocalMessage = (message) =>
+    String(message?.id).startsWith('temp-');
+
+const toCachedMessage = (message) => {
+    if (message.status !== 'uploading') return message;
+    const { progress, ...rest } = message;
+    return { ...rest, status: 'failed' };
+};
+
+export const readCachedMessages = async (chatId, storage = AsyncStorage) => {
+    try {
+        const raw = await storage.getItem(cacheKey(chatId));
+        const messages = raw ? JSON.parse(raw) : [];
+        return Array.isArray(messages) ? messages : [];
+    } catch (error) {
+        console.warn('Failed to read cached messages:', error);
+        return [];
+    }
+};
+
+export const writeCachedMessages = async (
+    chatId,
+    messages = [],
+    storage = AsyncStorage
+) => {
+    try {
+        if (!messages.length) {
+            await storage.removeItem(cacheKey(chatId));
+            return;
+        }
+        await storage.setItem(
+            cacheKey(chatId),
+            JSON.stringify(
+                messages.slice(-MESSAGE_CACHE_LIMIT).map(toCachedMessage)
+            )
+        );
+    } catch (error) {
+        console.warn('Failed to cache messages:', error);
+    }
+};
+
+export const clearCachedMessages = async (storage = AsyncStorage) => {
+    try {
+        const keys = (await storage.getAllKeys()).filter((key) =>
+            key.startsWith(MESSAGE_CACHE_PREFIX)
+        );
+        if (keys.length) await storage.multiRemove(keys);
+    } catch (error) {
+        console.warn('Failed to clear cached messages:', error);
+    }
+};
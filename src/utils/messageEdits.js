@@ -0,0 +1,43 @@
+/**
+ * messageEdits.js
+ *
+ * Time windows for changing a chat message after it was sent.
+ *
+ * Key Functionalities:
+ *
+ * 1. **canEditMessage(message, userId, now)**
+ *    - True for the user's own text messages stored by the server, within
+ *      `MESSAGE_EDIT_WINDOW_MS` of being sent and not deleted.
+ *
+ * 2. **canDeleteMessage(message, userId, now)**
+ *    - Same for delete-for-everyone, any message type, within `MESSAGE_DELETE_WINDOW_MS`.
+ *
+ * Notes:
+ * - The server enforces the same windows (the fixture server imports them from here); the
+ *   checks here only decide which long-press actions a bubble offers.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { isLocalMessage } from './messageCache';
+
+export const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+export const MESSAGE_DELETE_WINDOW_MS = 60 * 60 * 1000;
+
+const isOwnLiveMessage = (message, userId) =>
+    !!message &&
+    !isLocalMessage(message) &&
+    !message.deleted_at &&
+    String(message.sender?.id) === String(userId);
+
+const isWithin = (message, windowMs, now) =>
+    now - new Date(message.timestamp).getTime() <= windowMs;
+
+export const canEditMessage = (message, userId, now = Date.now()) =>
+    isOwnLiveMessage(message, userId) &&
+    (message.message_type || 'text') === 'text' &&
+    isWithin(message, MESSAGE_EDIT_WINDOW_MS, now);
+
+export const canDeleteMessage = (message, userId, now = Date.now()) =>
+    isOwnLiveMessage(message, userId) &&
+    isWithin(message, MESSAGE_DELETE_WINDOW_MS, now);
@@ -0,0 +1,106 @@
+/**
+ * messageSearch.js
+ *
+ * Matching and snippet rules for searching chat history, shared by the fixture server and the
+ * offline fallback of `searchMessages` so both find the same messages.
+ *
+ * Key Functionalities:
+ *
+ * 1. **MIN_SEARCH_LENGTH / SEARCH_RESULT_LIMIT**
+ *    - Shortest query worth searching for, and how many hits one search returns.
+ *
+ * 2. **searchableText(message)**
+ *    - The words a message can be found by: its text, a poll's question or an event's title.
+ *      Deleted messages, photos, voice notes and locations have none.
+ *
+ * 3. **messageMatches(message, query)**
+ *    - Case-insensitive match on `searchableText` for top-level messages the server has stored.
+ *
+ * 4. **findMatches(chats, query, limit)**
+ *    - Searches `[{ chat_id, chat_name, messages }]` and returns
+ *      `[{ chat_id, chat_name, message }]`, newest first.
+ *
+ * 5. **snippetParts(text, query, radius)**
+ *    - Cuts the text down to the first hit with `radius` characters either side and splits it
+ *      into `[{ text, match }]` parts so the hits can be highlighted.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { isLocalMessage } from './messageCache';
+
+export const MIN_SEARCH_LENGTH = 2;
+export const SEARCH_RESULT_LIMIT = 50;
+export const SNIPPET_RADIUS = 30;
+
+export const normalizeQuery = (query) =>
+    (query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+export const searchableText = (message) => {
+    if (!message || message.deleted_at) return '';
+    switch (message.message_type) {
+        case 'image':
+        case 'voice':
+        case 'location':
+            return '';
+        case 'poll':
+            return message.poll?.question || '';
+        case 'event':
+            return message.event?.title || message.content || '';
+        case 'quiz':
+            return (message.content || '').replace(/\[quizId:\d+\]/, '').trim();
+        default:
+            return message.content || '';
+    }
+};
+
+export const messageMatches = (message, query) => {
+    const needle = normalizeQuery(query);
+    if (needle.length < MIN_SEARCH_LENGTH) return false;
+    if (!message || message.parent_message_id || isLocalMessage(message)) {
+        return false;
+    }
+    return searchableText(message).toLowerCase().includes(needle);
+};
+
+export const findMatches = (chats = [], query, limit = SEARCH_RESULT_LIMIT) =>
+    chats
+        .flatMap(({ chat_id, chat_name, messages = [] }) =>
+            messages
+                .filter((message) => messageMatches(message, query))
+                .map((message) => ({ chat_id, chat_name, message }))
+        )
+        .sort(
+            (a, b) =>
+                new Date(b.message.timestamp) - new Date(a.message.timestamp)
+        )
+        .slice(0, limit);
+
+export const snippetParts = (text = '', query, radius = SNIPPET_RADIUS) => {
+    const needle = normalizeQuery(query);
+    const lower = text.toLowerCase();
+    const first = needle ? lower.indexOf(needle) : -1;
+    if (first === -1) {
+        return text ? [{ text: text.slice(0, radius * 2), match: false }] : [];
+    }
+
+    const start = Math.max(0, first - radius);
+    const end = Math.min(text.length, first + needle.length + radius);
+    const parts = start > 0 ? [{ text: '…', match: false }] : [];
+
+    let cursor = start;
+    let at = first;
+    while (at !== -1 && at + needle.length <= end) {
+        if (at > cursor) {
+            parts.push({ text: text.slice(cursor, at), match: false });
+        }
+        parts.push({ text: text.slice(at, at + needle.length), match: true });
+        cursor = at + needle.length;
+        at = lower.indexOf(needle, cursor);
+    }
+    if (cursor < end) {
+        parts.push({ text: text.slice(cursor, end), match: false });
+    }
+    if (end < text.length) parts.push({ text: '…', match: false });
+    return parts;
+};
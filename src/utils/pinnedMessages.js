@@ -0,0 +1,62 @@
+/**
+ * pinnedMessages.js
+ *
+ * Rules and labels for messages pinned to the top of a chat.
+ *
+ * Key Functionalities:
+ *
+ * 1. **MAX_PINNED_MESSAGES**
+ *    - How many messages a chat can have pinned at once.
+ *
+ * 2. **canPinMessages(chat, userId)**
+ *    - Group admins pin in groups (`isGroupAdmin`); in direct chats either member can.
+ *
+ * 3. **canPinMessage(message)**
+ *    - Only top-level messages stored by the server that have not been deleted can be pinned.
+ *
+ * 4. **pinPreview(message)**
+ *    - One-line label for the pinned banner: the text, or "📷 Photo", "📊 <question>",
+ *      "📅 <title>", "📍 Location" for other message types.
+ *
+ * Notes:
+ * - The server enforces the same rules; these helpers only decide what the UI offers.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import { isGroupAdmin, memberRole } from './groupRoles';
+import { isLocalMessage } from './messageCache';
+
+export const MAX_PINNED_MESSAGES = 5;
+
+export const canPinMessages = (chat, userId) => {
+    if (!chat) return false;
+    return chat.is_group
+        ? isGroupAdmin(chat, userId)
+        : !!memberRole(chat, userId);
+};
+
+export const canPinMessage = (message) =>
+    !!message &&
+    !message.deleted_at &&
+    !message.parent_message_id &&
+    !isLocalMessage(message);
+
+export const pinPreview = (message) => {
+    if (!message) return '';
+    if (message.deleted_at) return 'This message was deleted';
+    switch (message.message_type) {
+        case 'image':
+            return '📷 Photo';
+        case 'poll':
+            return `📊 ${message.poll?.question || 'Poll'}`;
+        case 'event':
+            return `📅 ${message.event?.title || message.content || 'Event'}`;
+        case 'location':
+            return '📍 Location';
+        case 'quiz':
+            return (message.content || '').replace(/\[quizId:\d+\]/, '').trim();
+        default:
+            return message.content || '';
+    }
+};
@@ -0,0 +1,162 @@
+// Client/src/utils/schema.js
+/**
+ * schema.js
+ *
+ * Tiny declarative schema language for API responses (see `apiSchemas.js`). A schema both
+ * checks a payload and describes a sample of it, so the same declaration validates server
+ * responses and produces fixtures for tests.
+ *
+ * Builders (`types`):
+ * - `string()`, `number()`, `boolean()`, `any()`
+ * - `id()`: a string or a number (the backend uses both)
+ * - `array(item)`, `object({ field: schema, ... })`, `oneOf(...values)`
+ *
+ * Modifiers (each returns a new schema):
+ * - `.optional(fallback?)`: the value may be missing; with a `fallback`, a missing value is
+ *   replaced by it (e.g. `array(task).optional([])`).
+ * - `.nullable()`: `null` is accepted.
+ * - `.from(...aliases)`: object fields only; when the field is missing, the first alias
+ *   present is used instead and copied under the field's name (`hasMore` from `has_more`).
+ * - `.example(value)`: sample used by `exampleOf` instead of the generated one.
+ *
+ * Functions:
+ * - `validate(schema, value)` → `{ value, issues }`. `value` is a normalised copy (aliases
+ *   copied, fallbacks filled); `issues` lists `{ path, message }` for every mismatch.
+ *   Unknown object keys are kept, so the server can add fields without breaking the app.
+ * - `exampleOf(schema)` → a sample value that passes `validate`.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const isPlainObject = (value) =>
+    !!value && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const createSchema = (props) => {
+    const schema = { aliases: [], ...props };
+    const extend = (changes) => createSchema({ ...schema, ...changes });
+
+    return Object.assign(schema, {
+        optional: (fallback) =>
+            extend({ isOptional: true, fallback: clone(fallback) }),
+        nullable: () => extend({ isNullable: true }),
+        from: (...aliases) => extend({ aliases }),
+        example: (sample) => extend({ sample: clone(sample) }),
+    });
+};
+
+const primitive = (kind, test, sample) => () =>
+    createSchema({ kind, test, generated: sample });
+
+export const types = {
+    string: primitive('string', (v) => typeof v === 'string', 'text'),
+    number: primitive(
+        'number',
+        (v) => typeof v === 'number' && Number.isFinite(v),
+        0
+    ),
+    boolean: primitive('boolean', (v) => typeof v === 'boolean', false),
+    id: primitive(
+        'id',
+        (v) => (typeof v === 'string' && v !== '') || Number.isInteger(v),
+        1
+    ),
+    any: () =>
+        createSchema({
+            kind: 'any',
+            test: () => true,
+            generated: null,
+            isNullable: true,
+        }),
+    oneOf: (...values) =>
+        createSchema({
+            kind: `one of ${values.join(', ')}`,
+            test: (v) => values.includes(v),
+            generated: values[0],
+        }),
+    array: (item) => createSchema({ kind: 'array', item }),
+    object: (fields) => createSchema({ kind: 'object', fields }),
+};
+
+const typeOf = (value) =>
+    value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+const check = (schema, value, path, issues) => {
+    if (value === undefined) {
+        if (schema.isOptional) return clone(schema.fallback);
+        issues.push({ path, message: 'is missing' });
+        return value;
+    }
+    if (value === null) {
+        if (schema.isNullable) return null;
+        issues.push({ path, message: `should be ${schema.kind}, got null` });
+        return value;
+    }
+
+    if (schema.kind === 'array') {
+        if (!Array.isArray(value)) {
+            issues.push({
+                path,
+                message: `should be array, got ${typeOf(value)}`,
+            });
+            return value;
+        }
+        return value.map((item, i) =>
+            check(schema.item, item, `${path}[${i}]`, issues)
+        );
+    }
+
+    if (schema.kind === 'object') {
+        if (!isPlainObject(value)) {
+            issues.push({
+                path,
+                message: `should be object, got ${typeOf(value)}`,
+            });
+            return value;
+        }
+        const result = { ...value };
+        Object.entries(schema.fields).forEach(([name, field]) => {
+            const source = [name, ...field.aliases].find(
+                (key) => value[key] !== undefined
+            );
+            const checked = check(
+                field,
+                source === undefined ? undefined : value[source],
+                path ? `${path}.${name}` : name,
+                issues
+            );
+            if (checked !== undefined) result[name] = checked;
+        });
+        return result;
+    }
+
+    if (!schema.test(value)) {
+        issues.push({
+            path,
+            message: `should be ${schema.kind}, got ${typeOf(value)}`,
+        });
+    }
+    return value;
+};
+
+export const validate = (schema, value) => {
+    const issues = [];
+    const normalised = check(schema, value, '', issues);
+    return { value: normalised, issues };
+};
+
+export const exampleOf = (schema) => {
+    if (schema.sample !== undefined) return clone(schema.sample);
+    if (schema.kind === 'array') return [exampleOf(schema.item)];
+    if (schema.kind === 'object') {
+        return Object.fromEntries(
+            Object.entries(schema.fields).map(([name, field]) => [
+                name,
+                exampleOf(field),
+            ])
+        );
+    }
+    return schema.generated;
+};
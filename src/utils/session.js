@@ -0,0 +1,187 @@
+/**
+ * session.js
+ *
+ * Persistence layer for the authenticated session: the bearer token pair issued by
+ * `/users/verify-otp` plus the signed-in user, so a cold start can skip `LoginScreen`.
+ *
+ * Key Functionalities:
+ * - **saveSession({ accessToken, refreshToken, expiresAt, user })**:
+ *   Stores the tokens in the device keychain/keystore via `expo-secure-store` and the
+ *   non-secret session metadata (`user`, `expiresAt`) in AsyncStorage.
+ *
+ * - **updateTokens({ accessToken, refreshToken, expiresAt })**:
+ *   Replaces the token pair after a refresh while keeping the stored user.
+ *
+ * - **loadSession()**:
+ *   Reads the stored session back into the in-memory cache and returns
+ *   `{ accessToken, refreshToken, expiresAt, user }`, or `null` when nothing is stored.
+ *
+ * - **clearSession()**:
+ *   Wipes tokens and metadata from both stores and the in-memory cache.
+ *
+ * - **getAccessToken / getRefreshToken**:
+ *   Synchronous accessors backed by the in-memory cache (used by `getHeaders` in `api.js`
+ *   and by `initSocket`).
+ *
+ * - **parseTokenResponse(data)**:
+ *   Normalises the server's token fields (`access_token`, `refresh_token`, `expires_in`)
+ *   into `{ accessToken, refreshToken, expiresAt }`.
+ *
+ * - **setSessionExpiredHandler(handler) / notifySessionExpired()**:
+ *   Lets the store react (sign the user out) when a refresh is rejected by the server.
+ *
+ * Notes:
+ * - Tokens never touch AsyncStorage; only `expo-secure-store` holds credentials.
+ * - The cache is populated by `saveSession`/`loadSession`, so callers must restore the
+ *   session (see `restoreSession` in `loginActions.js`) before relying on the getters.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const ACCESS_TOKEN_KEY = 'resqzone.accessToken';
+const REFRESH_TOKEN_KEY = 'resqzone.refreshToken';
+const SESSION_META_KEY = 'resqzone.session';
+
+let cache = {
+    accessToken: null,
+    refreshToken: null,
+    expiresAt: null,
+};
+
+let sessionExpiredHandler = null;
+
+export const getAccessToken = () => cache.accessToken;
+
+export const getRefreshToken = () => cache.refreshToken;
+
+export const isAccessTokenExpired = (now = Date.now()) =>
+    !!cache.expiresAt && now >= cache.expiresAt;
+
+/**
+ * Normalise token fields from an auth response
+ */
+export const parseTokenResponse = (data = {}) => {
+    const expiresIn = Number(data?.expires_in ?? data?.expiresIn);
+
+    return {
+        accessToken:
+            data?.access_token ?? data?.accessToken ?? data?.token ?? null,
+        refreshToken: data?.refresh_token ?? data?.refreshToken ?? null,
+        expiresAt:
+            Number.isFinite(expiresIn) && expiresIn > 0
+                ? Date.now() + expiresIn * 1000
+                : null,
+    };
+};
+
+const writeToken = async (key, value) => {
+    if (value) {
+        await SecureStore.setItemAsync(key, value);
+    } else {
+        await SecureStore.deleteItemAsync(key);
+    }
+};
+
+const readMeta = async () => {
+    try {
+        const raw = await AsyncStorage.getItem(SESSION_META_KEY);
+        return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+        console.warn('Failed to read session metadata:', error);
+        return {};
+    }
+};
+
+/**
+ * Persist a freshly issued session
+ */
+export const saveSession = async ({
+    accessToken,
+    refreshToken = null,
+    expiresAt = null,
+    user = null,
+}) => {
+    cache = { accessToken, refreshToken, expiresAt };
+
+    await writeToken(ACCESS_TOKEN_KEY, accessToken);
+    await writeToken(REFRESH_TOKEN_KEY, refreshToken);
+    await AsyncStorage.setItem(
+        SESSION_META_KEY,
+        JSON.stringify({ user, expiresAt })
+    );
+};
+
+/**
+ * Replace the token pair after a refresh, keeping the stored user
+ */
+export const updateTokens = async ({
+    accessToken,
+    refreshToken = cache.refreshToken,
+    expiresAt = null,
+}) => {
+    const meta = await readMeta();
+    await saveSession({
+        accessToken,
+        refreshToken,
+        expiresAt,
+        user: meta.user ?? null,
+    });
+};
+
+/**
+ * Update the stored user (e.g. after a profile or location change)
+ */
+export const updateSessionUser = async (user) => {
+    if (!cache.accessToken) return;
+    const meta = await readMeta();
+    await AsyncStorage.setItem(
+        SESSION_META_KEY,
+        JSON.stringify({ ...meta, user })
+    );
+};
+
+/**
+ * Load the stored session into memory
+ */
+export const loadSession = async () => {
+    const [accessToken, refreshToken] = await Promise.all([
+        SecureStore.getItemAsync(ACCESS_TOKEN_KEY),
+        SecureStore.getItemAsync(REFRESH_TOKEN_KEY),
+    ]);
+
+    if (!accessToken && !refreshToken) {
+        cache = { accessToken: null, refreshToken: null, expiresAt: null };
+        return null;
+    }
+
+    const { user = null, expiresAt = null } = await readMeta();
+    cache = { accessToken, refreshToken, expiresAt };
+
+    return { accessToken, refreshToken, expiresAt, user };
+};
+
+/**
+ * Remove all stored credentials
+ */
+export const clearSession = async () => {
+    cache = { accessToken: null, refreshToken: null, expiresAt: null };
+
+    await Promise.all([
+        SecureStore.deleteItemAsync(ACCESS_TOKEN_KEY),
+        SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY),
+        AsyncStorage.removeItem(SESSION_META_KEY),
+    ]);
+};
+
+export const setSessionExpiredHandler = (handler) => {
+    sessionExpiredHandler = handler;
+};
+
+export const notifySessionExpired = () => {
+    if (typeof sessionExpiredHandler === 'function') {
+        sessionExpiredHandler();
+    }
+};
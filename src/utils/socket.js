@@ -8,44 +8,63 @@
  *
  * - **initSocket**:
  *   Initializes a new socket connection with authentication and query params.
+ *   - The session's access token (`getAccessToken`) is read on every handshake, reconnects
+ *     included, and sent in the `auth` payload only, never in the query string (which servers
+ *     and proxies log).
  *   - Establishes a connection using WebSocket transport.
- *   - Emits a `join_user_room` event once connected (using `userId`).
- *   - Handles connection lifecycle events: `connect`, `disconnect`, and `connect_error`.
+ *   - On every connect (including reconnects) emits `join_user_room` (using `userId`)
+ *     and `join_chat` for each chat room joined through `joinChat`.
+ *   - `reconnect: { retries, retryDelay, maxRetryDelay, jitter }` overrides the backoff for
+ *     this socket; `setReconnectDefaults(...)` changes it globally (defaults: unlimited
+ *     retries, 1s doubling up to 30s, ±50% jitter).
  *
  * - **getSocket**:
  *   Returns the current socket instance (if initialized).
  *
  * - **disconnectSocket**:
- *   Gracefully disconnects the socket, resets internal state, and clears `userId`.
+ *   Gracefully disconnects the socket, resets internal state, and forgets `userId` and the
+ *   joined chat rooms. Event subscriptions are kept for the next socket.
  *
  * - **emitEvent**:
- *   Emits a custom event with data, only if the socket is connected.
+ *   Emits a custom event with data, only if the socket is connected; returns whether it was sent.
  *
- * - **onEvent**:
- *   Subscribes to a socket event and registers a callback listener.
+ * - **onEvent(event, handler)**:
+ *   Adds `handler` to the subscribers of `event` and returns an unsubscribe function.
+ *   Any number of screens can listen to the same event; subscriptions made before
+ *   `initSocket` are attached once the socket exists.
  *
- * - **offEvent**:
- *   Removes a socket event listener by event name.
+ * - **offEvent(event, handler)**:
+ *   Removes that handler only; other subscribers of `event` keep receiving it.
  *
  * - **joinChat / leaveChat**:
- *   Emits events to join or leave specific chat rooms.
- *   - Example: `join_chat` or `leave_chat` with `chatId`.
+ *   Emits `join_chat` / `leave_chat` with `chatId` when connected and remembers the room,
+ *   so it is rejoined after a reconnect. `getJoinedChats()` lists the remembered rooms.
  *
  * - **Typing Indicator Events**:
  *   - `sendTypingStart(chatId, userId)`: Broadcasts that the user started typing.
  *   - `sendTypingStop(chatId, userId)`: Broadcasts that the user stopped typing.
  *
+ * - **Connection Status**:
+ *   `setConnectionStatusHandler(handler)` receives `{ status, socketId, at, reason, attempt, error }`
+ *   updates (`connecting`, `connected`, `disconnected`, `reconnecting`, `failed`, `idle`);
+ *   the store feeds them into the `connection` slice (`reducers/connectionReducer.js`).
+ *
  * Connection Flow:
- * 1. Call `initSocket({ userId, token, query })` → establishes connection.
- * 2. On success, the client auto-joins `user_${userId}` private room.
+ * 1. Call `initSocket({ userId, query })` → establishes connection.
+ * 2. On every connect, the client joins `user_${userId}` and its remembered chat rooms.
  * 3. Use `emitEvent`, `onEvent`, or `offEvent` for real-time messaging.
  * 4. Use `joinChat` / `leaveChat` to manage chat room participation.
  * 5. Call `disconnectSocket()` on logout/app close to cleanly terminate.
  *
  * Notes:
- * - Relies on `BASE_URL` from config.js as the Socket.IO server endpoint.
+ * - Relies on `BASE_URL` from config.js as the Socket.IO server endpoint; `initSocket` does
+ *   nothing when the environment profile has no backend URL.
  * - Uses `forceNew: true` to avoid sharing connections across users.
- * - Maintains `isConnected` flag for safer event emission.
+ * - Maintains `isConnected` flag for safer event emission; room joins made while offline are
+ *   sent on the next connect rather than buffered.
+ * - A handler that throws is logged and does not stop the other subscribers.
+ * - The server ending the session (`io server disconnect`) is not retried; call `initSocket`
+ *   again after `disconnectSocket()`.
  * - Console logs help trace socket lifecycle in development.
  *
  * Author: Sunidhi Abhange
@@ -53,47 +72,134 @@
 
 import { io } from 'socket.io-client';
 import { BASE_URL } from './config';
+import { getAccessToken } from './session';
 
 let socket = null;
 let isConnected = false;
 let currentUserId = null;
+let connectionStatusHandler = null;
+
+// event → { handlers: Set, dispatch } ; `dispatch` is the single listener on the socket
+const subscriptions = new Map();
+// Chat rooms to (re)join on every connect
+const joinedChats = new Set();
+
+let reconnectDefaults = {
+    retries: Infinity,
+    retryDelay: 1000,
+    maxRetryDelay: 30000,
+    jitter: 0.5,
+};
+
+/**
+ * Override the reconnect backoff for sockets created afterwards
+ */
+export const setReconnectDefaults = (overrides = {}) => {
+    reconnectDefaults = { ...reconnectDefaults, ...overrides };
+    return { ...reconnectDefaults };
+};
+
+/**
+ * Register the handler that receives connection status updates (see `store/index.js`)
+ */
+export const setConnectionStatusHandler = (handler) => {
+    connectionStatusHandler = handler;
+};
+
+const notifyStatus = (update) => {
+    if (typeof connectionStatusHandler === 'function') {
+        connectionStatusHandler(update);
+    }
+};
+
+const createDispatcher =
+    (event, handlers) =>
+    (...args) => {
+        [...handlers].forEach((handler) => {
+            try {
+                handler(...args);
+            } catch (error) {
+                console.error(
+                    `❌ Socket handler for "${event}" failed:`,
+                    error
+                );
+            }
+        });
+    };
+
+const rejoinRooms = () => {
+    if (currentUserId) {
+        socket.emit('join_user_room', currentUserId);
+        console.log(`👤 Joined user room: user_${currentUserId}`);
+    }
+    joinedChats.forEach((chatId) => {
+        socket.emit('join_chat', chatId);
+        console.log(`📥 Joined chat_${chatId}`);
+    });
+};
 
 /**
  * Initialize Socket.IO connection
  */
-export const initSocket = ({ userId, token, query = {} } = {}) => {
-    if (socket) return socket;
+export const initSocket = ({ userId, query = {}, reconnect = {} } = {}) => {
+    // Profiles without a backend (`offline-fixture`) have no socket server
+    if (socket || !BASE_URL) return socket;
 
     currentUserId = userId;
+    const { retries, retryDelay, maxRetryDelay, jitter } = {
+        ...reconnectDefaults,
+        ...reconnect,
+    };
 
     socket = io(BASE_URL, {
         transports: ['websocket'],
         forceNew: true,
+        // Read on every handshake so reconnects present the refreshed access token
+        auth: (cb) => cb({ token: getAccessToken() }),
         query: {
             userId,
-            token,
             ...query,
         },
+        reconnection: retries > 0,
+        reconnectionAttempts: retries,
+        reconnectionDelay: retryDelay,
+        reconnectionDelayMax: maxRetryDelay,
+        randomizationFactor: jitter,
     });
+    notifyStatus({ status: 'connecting' });
 
     socket.on('connect', () => {
         isConnected = true;
         console.log('🟢 Socket connected:', socket.id);
-
-        if (currentUserId) {
-            socket.emit('join_user_room', currentUserId);
-            console.log(`👤 Joined user room: user_${currentUserId}`);
-        }
+        notifyStatus({
+            status: 'connected',
+            socketId: socket.id,
+            at: new Date().toISOString(),
+        });
+        rejoinRooms();
     });
 
     socket.on('disconnect', (reason) => {
         isConnected = false;
         console.log('🔴 Socket disconnected:', reason);
+        notifyStatus({ status: 'disconnected', reason });
     });
 
     socket.on('connect_error', (err) => {
         console.error('❌ Connection error:', err.message);
+        notifyStatus({ error: err.message });
+    });
+
+    // Reconnection is driven by the underlying Manager
+    socket.io?.on?.('reconnect_attempt', (attempt) => {
+        notifyStatus({ status: 'reconnecting', attempt });
     });
+    socket.io?.on?.('reconnect_failed', () => {
+        notifyStatus({ status: 'failed' });
+    });
+
+    // Subscriptions made before (or across) connections
+    subscriptions.forEach(({ dispatch }, event) => socket.on(event, dispatch));
 
     return socket;
 };
@@ -112,42 +218,60 @@ export const disconnectSocket = () => {
         socket = null;
         isConnected = false;
         currentUserId = null;
+        joinedChats.clear();
+        notifyStatus({ status: 'idle' });
         console.log('🛑 Socket disconnected');
     }
 };
 
 /**
- * Emit socket event
+ * Emit socket event; false when it was dropped because the socket is not connected
  */
 export const emitEvent = (event, data) => {
-    if (socket && isConnected) {
-        socket.emit(event, data);
-    }
+    if (!socket || !isConnected) return false;
+    socket.emit(event, data);
+    return true;
 };
 
 /**
- * Listen for socket event
+ * Listen for socket event; returns a function that removes this handler only
  */
-export const onEvent = (event, callback) => {
-    if (socket) {
-        socket.on(event, callback);
+export const onEvent = (event, handler) => {
+    if (typeof handler !== 'function') return () => {};
+
+    let entry = subscriptions.get(event);
+    if (!entry) {
+        const handlers = new Set();
+        entry = { handlers, dispatch: createDispatcher(event, handlers) };
+        subscriptions.set(event, entry);
+        socket?.on(event, entry.dispatch);
     }
+    entry.handlers.add(handler);
+
+    return () => offEvent(event, handler);
 };
 
 /**
- * Remove socket event listener
+ * Remove one socket event handler (other subscribers keep theirs)
  */
-export const offEvent = (event) => {
-    if (socket) {
-        socket.off(event);
+export const offEvent = (event, handler) => {
+    const entry = subscriptions.get(event);
+    if (!entry || !handler) return;
+
+    entry.handlers.delete(handler);
+    if (!entry.handlers.size) {
+        subscriptions.delete(event);
+        socket?.off(event, entry.dispatch);
     }
 };
 
 /**
- * Join chat room
+ * Join chat room (rejoined automatically after a reconnect)
  */
 export const joinChat = (chatId) => {
-    if (socket && chatId) {
+    if (!chatId) return;
+    joinedChats.add(chatId);
+    if (socket && isConnected) {
         socket.emit('join_chat', chatId);
         console.log(`📥 Joined chat_${chatId}`);
     }
@@ -157,12 +281,19 @@ export const joinChat = (chatId) => {
  * Leave chat room
  */
 export const leaveChat = (chatId) => {
-    if (socket && chatId) {
+    if (!chatId) return;
+    joinedChats.delete(chatId);
+    if (socket && isConnected) {
         socket.emit('leave_chat', chatId);
         console.log(`📤 Left chat_${chatId}`);
     }
 };
 
+/**
+ * Chat rooms currently joined (and rejoined on reconnect)
+ */
+export const getJoinedChats = () => [...joinedChats];
+
 // NEW: Typing Indicator Emitters
 export const sendTypingStart = (chatId, userId) => {
     if (socket && isConnected && chatId && userId) {
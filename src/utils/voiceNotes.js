@@ -0,0 +1,155 @@
+/**
+ * voiceNotes.js
+ *
+ * Helpers for voice notes in chat: recording settings, limits, the waveform drawn from the
+ * recorder's metering, and checking a finished recording before it is sent.
+ *
+ * Key Functionalities:
+ *
+ * 1. **voiceNoteLimits(extra)**
+ *    - `{ maxDurationMs, maxSizeBytes }` from `app.json` → `expo.extra.voiceNotes`
+ *      (`{ maxDurationSeconds, maxSizeBytes }`). Missing or non-positive values fall back to
+ *      `VOICE_NOTE_DEFAULTS`. Shared by the recorder and the fixture server.
+ *
+ * 2. **VOICE_RECORDING_OPTIONS**
+ *    - Mono AAC at 32 kbps with metering on: about 4 KB a second, small enough to upload over
+ *      a poor connection and still clear for speech.
+ *
+ * 3. **requestRecordingPermission()**
+ *    - Asks for the microphone; throws an error when it is denied.
+ *
+ * 4. **meteringToLevel(db) / downsampleWaveform(levels, bars)**
+ *    - Turns metering readings (dBFS, about -60 to 0) into 0–1 levels, and averages them down
+ *      to `WAVEFORM_BARS` bars for the message.
+ *
+ * 5. **prepareVoiceNote({ uri, durationMs, levels }, limits)**
+ *    - Returns `{ uri, duration_ms, size, mime_type, waveform }`, or `null` for recordings
+ *      shorter than `MIN_VOICE_NOTE_MS` (a tap rather than a message).
+ *    - Throws an error when the recording is longer or larger than the limits.
+ *
+ * 6. **readVoiceNoteBase64(uri) / formatDuration(ms) / nextPlaybackRate(rate)**
+ *    - File contents for the chunked upload in `sendVoiceMessage`, "m:ss" labels, and the
+ *      playback speed after `rate` in `PLAYBACK_RATES`.
+ *
+ * Notes:
+ * - Uses `expo-audio` and `expo-file-system`. Recordings live in the app cache; queued voice
+ *   notes keep their `uri` until they are sent.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+import Constants from 'expo-constants';
+import { AudioModule, AudioQuality, IOSOutputFormat } from 'expo-audio';
+import { File } from 'expo-file-system';
+
+export const VOICE_NOTE_DEFAULTS = {
+    maxDurationSeconds: 120,
+    maxSizeBytes: 1024 * 1024,
+};
+
+export const MIN_VOICE_NOTE_MS = 1000;
+export const WAVEFORM_BARS = 40;
+export const VOICE_NOTE_MIME_TYPE = 'audio/mp4';
+export const PLAYBACK_RATES = [1, 1.5, 2];
+
+export const VOICE_RECORDING_OPTIONS = {
+    extension: '.m4a',
+    sampleRate: 22050,
+    numberOfChannels: 1,
+    bitRate: 32000,
+    isMeteringEnabled: true,
+    android: {
+        outputFormat: 'mpeg4',
+        audioEncoder: 'aac',
+    },
+    ios: {
+        outputFormat: IOSOutputFormat.MPEG4AAC,
+        audioQuality: AudioQuality.LOW,
+    },
+    web: {
+        mimeType: 'audio/webm',
+        bitsPerSecond: 32000,
+    },
+};
+
+const positive = (value, fallback) =>
+    Number.isFinite(value) && value > 0 ? value : fallback;
+
+export const voiceNoteLimits = (extra = Constants.expoConfig?.extra) => {
+    const config = extra?.voiceNotes || {};
+    return {
+        maxDurationMs:
+            positive(
+                config.maxDurationSeconds,
+                VOICE_NOTE_DEFAULTS.maxDurationSeconds
+            ) * 1000,
+        maxSizeBytes: positive(
+            config.maxSizeBytes,
+            VOICE_NOTE_DEFAULTS.maxSizeBytes
+        ),
+    };
+};
+
+export const requestRecordingPermission = async () => {
+    const { granted } = await AudioModule.requestRecordingPermissionsAsync();
+    if (!granted) throw new Error('Microphone permission not granted');
+};
+
+export const meteringToLevel = (db) => {
+    if (typeof db !== 'number' || Number.isNaN(db)) return 0;
+    return Math.min(1, Math.max(0, (db + 60) / 60));
+};
+
+export const downsampleWaveform = (levels = [], bars = WAVEFORM_BARS) => {
+    if (!levels.length) return Array(bars).fill(0);
+    return Array.from({ length: bars }, (_, i) => {
+        const start = Math.floor((i * levels.length) / bars);
+        const end = Math.max(
+            start + 1,
+            Math.floor(((i + 1) * levels.length) / bars)
+        );
+        const bucket = levels.slice(start, end);
+        const average = bucket.reduce((sum, l) => sum + l, 0) / bucket.length;
+        return Math.round(average * 100) / 100;
+    });
+};
+
+export const formatDuration = (ms = 0) => {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(
+        2,
+        '0'
+    )}`;
+};
+
+export const prepareVoiceNote = async (
+    { uri, durationMs, levels = [] },
+    limits = voiceNoteLimits()
+) => {
+    if (!uri || durationMs < MIN_VOICE_NOTE_MS) return null;
+    if (durationMs > limits.maxDurationMs) {
+        throw new Error(
+            `Voice notes can be at most ${formatDuration(
+                limits.maxDurationMs
+            )} long`
+        );
+    }
+
+    const { size } = new File(uri);
+    if (size > limits.maxSizeBytes) {
+        throw new Error('Voice note is too large to send');
+    }
+
+    return {
+        uri,
+        duration_ms: Math.round(durationMs),
+        size,
+        mime_type: VOICE_NOTE_MIME_TYPE,
+        waveform: downsampleWaveform(levels),
+    };
+};
+
+export const readVoiceNoteBase64 = (uri) => new File(uri).base64();
+
+export const nextPlaybackRate = (rate) =>
+    PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(rate) + 1) % PLAYBACK_RATES.length];